@@ -2,6 +2,7 @@
 // Provides utilities for fetching and caching account related data
 import { kc, initSession } from "./kite.js";
 import { toISTDate } from "./util.js";
+import { isPaperTrading, paperBroker } from "./paperBroker.js";
 
 let accountBalance = 0;
 let equityPeak = 0;
@@ -23,7 +24,7 @@ function maybeResetDailyPnlClock() {
   }
 }
 
-function extractNetBalance(margin) {
+export function extractNetBalance(margin) {
   // Prefer a broker-reported net; fall back to available cash buckets if present
   if (typeof margin?.net === "number" && Number.isFinite(margin.net)) return margin.net;
   const eq = margin?.equity || margin?.segment?.equity;
@@ -41,6 +42,7 @@ function extractNetBalance(margin) {
 // Fetch margin available across equity using the shared Kite instance
 export async function getAccountMargin() {
   try {
+    if (isPaperTrading()) return await paperBroker.getMargins();
     await initSession();
     const response = await kc.getMargins("equity");
     return response;
@@ -0,0 +1,539 @@
+// accounts.js
+// Additional trading accounts that share the market-data feed and signal
+// evaluation with the primary account but keep their own Kite session,
+// watchlist, risk state, positions and auto-trade settings. Signals are
+// evaluated once by the scanner, then sized and gated here per account;
+// the primary account's limits never decide what other accounts see.
+// Account-only symbols get ticks (paper fills) but are not scanned.
+import { KiteConnect } from 'kiteconnect';
+import db from './db.js';
+import {
+  createRiskState,
+  applyRiskOverrides,
+  isSignalValid,
+  recordTradeExecution,
+  getRiskStateSnapshot,
+} from './riskEngine.js';
+import { checkExposureLimits } from './portfolioContext.js';
+import { calculatePositionSize } from './positionSizing.js';
+import { mergeAutoTradingConfig, evaluateAutoTradeEligibility } from './autoTrader.js';
+import { createPaperBroker } from './paperBroker.js';
+import { extractNetBalance } from './account.js';
+import { validateConfig } from './configService.js';
+import { ensureClock } from './src/backtest/clock.js';
+
+const ACCOUNTS = 'accounts';
+const TOKENS = 'tokens';
+const OPEN_TRADES = 'open_trades';
+
+export const PRIMARY_ACCOUNT_ID = 'primary';
+
+const ID_RE = /^[a-z0-9_-]{2,32}$/i;
+const BALANCE_TTL_MS = Number(process.env.MARGIN_CACHE_TTL_MS) || 15_000;
+const ENTRY_TTL_MS = 15 * 60 * 1000;
+const DEFAULT_RISK_PER_TRADE = 0.01;
+
+function canonical(symbol) {
+  const s = String(symbol || '').trim().toUpperCase();
+  return s.includes(':') ? s : `NSE:${s}`;
+}
+
+function bare(symbol) {
+  return String(symbol || '').split(':').pop().trim().toUpperCase();
+}
+
+/** Kite API secret for an account: KITE_API_SECRET_<ACCOUNT_ID>. */
+export function apiSecretFor(accountId) {
+  const key = String(accountId).toUpperCase().replace(/-/g, '_');
+  return process.env[`KITE_API_SECRET_${key}`] || null;
+}
+
+/**
+ * Validate an account document from the API.
+ * @returns {{ok:boolean, errors?:string[], account?:Object}}
+ */
+export function normalizeAccount(input = {}) {
+  const errors = [];
+  const accountId = String(input.accountId || '').trim();
+  if (!ID_RE.test(accountId)) errors.push('accountId must be 2-32 letters, digits, _ or -');
+  if (accountId.toLowerCase() === PRIMARY_ACCOUNT_ID) {
+    errors.push('"primary" is reserved for the default account');
+  }
+  const mode = input.mode ?? 'live';
+  if (!['live', 'paper'].includes(mode)) errors.push('mode must be "live" or "paper"');
+  if (mode === 'live' && !input.kiteApiKey) errors.push('kiteApiKey is required for live accounts');
+  const riskPerTrade = input.riskPerTrade ?? DEFAULT_RISK_PER_TRADE;
+  if (!(typeof riskPerTrade === 'number' && riskPerTrade > 0 && riskPerTrade <= 0.1)) {
+    errors.push('riskPerTrade must be a fraction in (0, 0.1]');
+  }
+  if (input.symbols !== undefined && !Array.isArray(input.symbols)) {
+    errors.push('symbols must be an array');
+  }
+  errors.push(
+    ...validateConfig({
+      risk: input.risk || {},
+      portfolio: input.portfolio || {},
+      autoTrader: input.autoTrader || {},
+    })
+  );
+  if (errors.length) return { ok: false, errors };
+  return {
+    ok: true,
+    account: {
+      accountId,
+      name: input.name || accountId,
+      enabled: input.enabled !== false,
+      mode,
+      kiteApiKey: mode === 'live' ? String(input.kiteApiKey) : null,
+      capital: Number(input.capital) || undefined,
+      riskPerTrade,
+      symbols: [...new Set((input.symbols || []).map(canonical))],
+      risk: { ...(input.risk || {}) },
+      portfolio: { ...(input.portfolio || {}) },
+      autoTrader: { ...(input.autoTrader || {}) },
+    },
+  };
+}
+
+function defaultCreateBroker(account) {
+  if (account.mode === 'paper') return createPaperBroker({ capital: account.capital });
+  return new KiteConnect({ api_key: account.kiteApiKey });
+}
+
+/**
+ * @param {Object} [options]
+ * @param {Object} [options.database=db]
+ * @param {Function} [options.createBroker] - (account) => Kite-compatible broker
+ * @param {Object} [options.clock]
+ */
+export function createAccountManager(options = {}) {
+  const database = options.database || db;
+  const createBroker = options.createBroker || defaultCreateBroker;
+  const clock = ensureClock(options.clock);
+  const contexts = new Map(); // accountId -> context
+
+  function buildContext(account, previous) {
+    const ctx = previous || {
+      id: account.accountId,
+      broker: createBroker(account),
+      riskState: createRiskState(account.risk),
+      positions: new Map(),
+      pendingExits: new Map(), // tradingsymbol -> protective legs awaiting a fill
+      earlyFills: new Map(), // order_id -> fill seen before placeOrder returned
+      placing: 0,
+      balance: 0,
+      balanceAt: 0,
+      sessionReady: account.mode === 'paper',
+    };
+    if (!previous) watchFills(ctx);
+    else applyRiskOverrides(ctx.riskState, account.risk);
+    ctx.account = account;
+    ctx.symbols = new Set(account.symbols);
+    ctx.autoTrader = mergeAutoTradingConfig(undefined, account.autoTrader);
+    contexts.set(account.accountId, ctx);
+    return ctx;
+  }
+
+  async function restoreSession(ctx) {
+    if (ctx.account.mode === 'paper') return true;
+    const saved = await database
+      .collection(TOKENS)
+      .findOne({ type: 'account_session', accountId: ctx.id });
+    if (!saved?.access_token) return false;
+    ctx.broker.setAccessToken(saved.access_token);
+    ctx.sessionReady = true;
+    return true;
+  }
+
+  async function refreshBalance(ctx, { force = false } = {}) {
+    const now = clock.now();
+    if (!force && now - ctx.balanceAt < BALANCE_TTL_MS) return ctx.balance;
+    try {
+      const margin = await ctx.broker.getMargins('equity');
+      ctx.balance = extractNetBalance(margin);
+      ctx.balanceAt = now;
+    } catch (err) {
+      console.error(`[accounts] ${ctx.id} margin refresh failed: ${err?.message || err}`);
+    }
+    return ctx.balance;
+  }
+
+  function summarize(ctx) {
+    const { account } = ctx;
+    return {
+      accountId: ctx.id,
+      name: account.name,
+      enabled: account.enabled,
+      mode: account.mode,
+      sessionReady: ctx.sessionReady,
+      symbols: [...ctx.symbols],
+      balance: ctx.balance,
+      openPositions: [...ctx.positions.values()],
+      pendingEntries: ctx.pendingExits.size,
+      autoTrader: { ...ctx.autoTrader },
+      risk: getRiskStateSnapshot(ctx.riskState),
+    };
+  }
+
+  async function persist(account) {
+    await database
+      .collection(ACCOUNTS)
+      .updateOne(
+        { accountId: account.accountId },
+        { $set: { ...account, updatedAt: new Date(clock.now()) } },
+        { upsert: true }
+      );
+  }
+
+  async function placeEntry(ctx, signal) {
+    const side = signal.direction === 'Long' ? 'BUY' : 'SELL';
+    const tradingsymbol = bare(signal.stock || signal.symbol);
+    const strategy = signal.pattern || signal.strategy || '';
+    const response = await ctx.broker.placeOrder('regular', {
+      exchange: 'NSE',
+      tradingsymbol,
+      transaction_type: side,
+      quantity: signal.qty,
+      order_type: 'LIMIT',
+      price: signal.entry,
+      product: 'MIS',
+      tag: String(signal.signalId || signal.algoSignal?.signalId || strategy).slice(0, 20),
+    });
+    const orderId = response?.order_id;
+    if (!orderId) return null;
+    const pending = {
+      orderId,
+      side,
+      qty: signal.qty,
+      stopLoss: signal.stopLoss,
+      target: signal.target2 ?? signal.target1 ?? signal.target,
+      sector: signal.sector || 'GEN',
+      strategy,
+      placedAt: clock.now(),
+    };
+    ctx.pendingExits.set(tradingsymbol, pending);
+    // The legs are stored with the entry so a restart can still protect it
+    await database.collection(OPEN_TRADES).updateOne(
+      { _id: `${ctx.id}:${orderId}` },
+      {
+        $set: {
+          accountId: ctx.id,
+          entryId: orderId,
+          tradingsymbol,
+          signal,
+          exits: pending,
+          status: 'PENDING_ENTRY',
+          createdAt: new Date(clock.now()),
+        },
+      },
+      { upsert: true }
+    );
+    return orderId;
+  }
+
+  async function setTradeStatus(ctx, orderId, status) {
+    await database
+      .collection(OPEN_TRADES)
+      .updateOne(
+        { _id: `${ctx.id}:${orderId}` },
+        { $set: { status, updatedAt: new Date(clock.now()) } }
+      );
+  }
+
+  /** Attach the stored stop/target to a filled entry exactly once. */
+  async function protectPending(ctx, tradingsymbol, pending, position) {
+    if (ctx.pendingExits.get(tradingsymbol) !== pending) return;
+    ctx.pendingExits.delete(tradingsymbol);
+    await protectFill(ctx, tradingsymbol, pending, position);
+    await setTradeStatus(ctx, pending.orderId, 'OPEN');
+  }
+
+  // Brokers that stream order updates (paper) get their legs on the fill
+  // itself; the rest are picked up by syncPositions.
+  function watchFills(ctx) {
+    if (typeof ctx.broker.onUpdate !== 'function') return;
+    ctx.broker.onUpdate((update) => {
+      if (update.status !== 'COMPLETE') return;
+      onEntryFilled(ctx, update).catch((err) =>
+        console.error(`[accounts] ${ctx.id} protect ${update.tradingsymbol}: ${err?.message || err}`)
+      );
+    });
+  }
+
+  async function onEntryFilled(ctx, update) {
+    const found = [...ctx.pendingExits].find(([, p]) => p.orderId === update.order_id);
+    if (!found) {
+      // Paper fills land inside placeOrder, before the entry is registered
+      if (ctx.placing > 0) ctx.earlyFills.set(update.order_id, update);
+      return;
+    }
+    const [tradingsymbol, pending] = found;
+    // Counts against the account's limits before the next position sync
+    ctx.positions.set(canonical(tradingsymbol), {
+      symbol: canonical(tradingsymbol),
+      side: pending.side === 'BUY' ? 'buy' : 'sell',
+      qty: Number(update.filled_quantity),
+      entryPrice: Number(update.average_price),
+      sector: pending.sector,
+      strategy: pending.strategy,
+    });
+    await protectPending(ctx, tradingsymbol, pending, {
+      quantity: update.filled_quantity,
+      average_price: update.average_price,
+    });
+  }
+
+  async function protectFill(ctx, tradingsymbol, pending, position) {
+    const exit = pending.side === 'BUY' ? 'SELL' : 'BUY';
+    const qty = Math.abs(Number(position.quantity));
+    if (!(pending.stopLoss > 0) || !(pending.target > 0) || !(qty > 0)) return;
+    const legs = [
+      { price: pending.stopLoss, order_type: 'SL' },
+      { price: pending.target, order_type: 'LIMIT' },
+    ];
+    await ctx.broker.placeGTT({
+      trigger_type: ctx.broker.GTT_TYPE_OCO,
+      exchange: 'NSE',
+      tradingsymbol,
+      last_price: position.last_price ?? position.average_price,
+      trigger_values: legs.map((l) => l.price).sort((a, b) => a - b),
+      orders: legs.map((l) => ({
+        transaction_type: exit,
+        order_type: l.order_type,
+        product: 'MIS',
+        quantity: qty,
+        price: l.price,
+      })),
+    });
+  }
+
+  /**
+   * Size and gate one already-evaluated signal for one account.
+   * @returns {Promise<{accountId:string, status:'placed'|'skipped', reason?:string, qty?:number, orderId?:string}>}
+   */
+  async function evaluate(ctx, signal) {
+    const skip = (reason, extra = {}) => ({ accountId: ctx.id, status: 'skipped', reason, ...extra });
+    const symbol = canonical(signal.stock || signal.symbol);
+    if (!ctx.account.enabled) return skip('disabled');
+    if (!ctx.symbols.has(symbol)) return skip('notInWatchlist');
+    const eligibility = evaluateAutoTradeEligibility(signal, ctx.autoTrader);
+    if (!eligibility.ok) return skip(eligibility.reason);
+    if (!ctx.sessionReady) return skip('noSession');
+    if (ctx.pendingExits.has(bare(symbol))) return skip('entryPending');
+
+    const entry = Number(signal.entry);
+    const slPoints = Math.abs(entry - Number(signal.stopLoss));
+    if (!(entry > 0) || !(slPoints > 0)) return skip('invalidPrices');
+    const capital = await refreshBalance(ctx);
+    if (!(capital > 0)) return skip('noCapital');
+    const qty = calculatePositionSize({
+      capital,
+      risk: capital * ctx.account.riskPerTrade,
+      slPoints,
+      price: entry,
+      lotSize: signal.lotSize || 1,
+      direction: signal.direction,
+    });
+    if (!(qty > 0)) return skip('sizing');
+    const sized = { ...signal, stock: symbol, qty };
+
+    const maxOpen = ctx.autoTrader.maxOpenTrades || ctx.riskState.config.maxOpenPositions;
+    const verdict = isSignalValid(sized, {
+      riskState: ctx.riskState,
+      openPositionsMap: ctx.positions,
+      openPositionsCount: ctx.positions.size,
+      openSymbols: [...ctx.positions.keys()],
+      maxOpenPositions: maxOpen || undefined,
+      preventOverlap: true,
+      resolveConflicts: true,
+      tradeValue: entry * qty,
+      debugTrace: [],
+    });
+    if (!verdict?.ok) return skip(verdict?.reason || 'risk', { qty });
+
+    const exposureOk = checkExposureLimits({
+      ...ctx.account.portfolio,
+      symbol,
+      tradeValue: entry * qty,
+      sector: signal.sector || 'GEN',
+      totalCapital: capital,
+      positions: ctx.positions,
+    });
+    if (!exposureOk) return skip('exposure', { qty });
+
+    ctx.placing += 1;
+    let orderId;
+    try {
+      orderId = await placeEntry(ctx, sized);
+    } finally {
+      ctx.placing -= 1;
+    }
+    if (!orderId) return skip('execution-failed', { qty });
+    const early = ctx.earlyFills.get(orderId);
+    if (early) await onEntryFilled(ctx, early);
+    if (!ctx.placing) ctx.earlyFills.clear();
+    recordTradeExecution({ symbol, sector: signal.sector }, ctx.riskState);
+    return { accountId: ctx.id, status: 'placed', qty, orderId };
+  }
+
+  return {
+    /** Load every stored account and restore saved Kite sessions. */
+    async load() {
+      const docs = await database.collection(ACCOUNTS).find({}).toArray();
+      for (const doc of docs) {
+        const { ok, account, errors } = normalizeAccount(doc);
+        if (!ok) {
+          console.error(`[accounts] skipping ${doc.accountId}: ${errors.join('; ')}`);
+          continue;
+        }
+        const ctx = buildContext(account, contexts.get(account.accountId));
+        await restoreSession(ctx).catch((err) =>
+          console.error(`[accounts] ${ctx.id} session restore failed: ${err?.message || err}`)
+        );
+      }
+      // Entries still waiting for their fill keep their stop/target across restarts
+      const waiting = await database
+        .collection(OPEN_TRADES)
+        .find({ status: 'PENDING_ENTRY' })
+        .toArray();
+      for (const doc of waiting) {
+        const ctx = contexts.get(doc.accountId);
+        if (ctx && doc.exits) ctx.pendingExits.set(doc.tradingsymbol, doc.exits);
+      }
+      return this.list();
+    },
+    list() {
+      return [...contexts.values()].map(summarize);
+    },
+    get(accountId) {
+      const ctx = contexts.get(accountId);
+      return ctx ? summarize(ctx) : null;
+    },
+    /** Create or replace an account; counters survive a settings change. */
+    async upsert(input) {
+      const result = normalizeAccount(input);
+      if (!result.ok) return result;
+      await persist(result.account);
+      const ctx = buildContext(result.account, contexts.get(result.account.accountId));
+      await restoreSession(ctx).catch(() => false);
+      return { ok: true, account: summarize(ctx) };
+    },
+    async remove(accountId) {
+      if (!contexts.has(accountId)) return false;
+      contexts.delete(accountId);
+      await database.collection(ACCOUNTS).deleteOne({ accountId });
+      return true;
+    },
+    /**
+     * Edit an account's watchlist.
+     * @returns {Promise<string[]|null>} the new watchlist, null for unknown accounts
+     */
+    async updateSymbols(accountId, { add = [], remove = [] } = {}) {
+      const ctx = contexts.get(accountId);
+      if (!ctx) return null;
+      const next = new Set(ctx.symbols);
+      add.map(canonical).forEach((s) => next.add(s));
+      remove.map(canonical).forEach((s) => next.delete(s));
+      const account = { ...ctx.account, symbols: [...next] };
+      await persist(account);
+      buildContext(account, ctx);
+      return account.symbols;
+    },
+    /** Union of every account watchlist; subscribed for ticks only. */
+    universe() {
+      const all = new Set();
+      for (const ctx of contexts.values()) ctx.symbols.forEach((s) => all.add(s));
+      return [...all];
+    },
+    loginUrl(accountId) {
+      const ctx = contexts.get(accountId);
+      if (!ctx || ctx.account.mode !== 'live') return null;
+      // Kite echoes redirect_params back to /kite-redirect with the request_token
+      const params = encodeURIComponent(`account=${accountId}`);
+      return `${ctx.broker.getLoginURL()}&redirect_params=${params}`;
+    },
+    /** Exchange a Kite request_token for this account's access token. */
+    async createSession(accountId, requestToken) {
+      const ctx = contexts.get(accountId);
+      if (!ctx || ctx.account.mode !== 'live') throw new Error(`Unknown live account ${accountId}`);
+      const secret = apiSecretFor(accountId);
+      if (!secret) throw new Error(`KITE_API_SECRET_${accountId.toUpperCase()} is not set`);
+      const session = await ctx.broker.generateSession(requestToken, secret);
+      ctx.broker.setAccessToken(session.access_token);
+      ctx.sessionReady = true;
+      await database.collection(TOKENS).updateOne(
+        { type: 'account_session', accountId },
+        { $set: { ...session, type: 'account_session', accountId } },
+        { upsert: true }
+      );
+      return summarize(ctx);
+    },
+    /** Forward shared-feed ticks to paper-mode account brokers. */
+    onTick(symbol, tick) {
+      for (const ctx of contexts.values()) {
+        if (ctx.account.mode === 'paper') ctx.broker.onTick(symbol, tick);
+      }
+    },
+    evaluate(accountId, signal) {
+      const ctx = contexts.get(accountId);
+      return ctx ? evaluate(ctx, signal) : null;
+    },
+    /** Size, gate and route one signal to every account. */
+    async dispatch(signal) {
+      const results = [];
+      for (const ctx of contexts.values()) {
+        try {
+          results.push(await evaluate(ctx, signal));
+        } catch (err) {
+          console.error(`[accounts] ${ctx.id} dispatch failed: ${err?.message || err}`);
+          results.push({ accountId: ctx.id, status: 'skipped', reason: 'error' });
+        }
+      }
+      return results;
+    },
+    /**
+     * Pull positions from each broker, attach stop/target GTTs to new
+     * fills, drop stale unfilled entries and book realised losses.
+     */
+    async syncPositions() {
+      for (const ctx of contexts.values()) {
+        if (!ctx.sessionReady) continue;
+        try {
+          const { net = [] } = (await ctx.broker.getPositions()) || {};
+          ctx.positions.clear();
+          let realised = 0;
+          for (const p of net) {
+            realised += Number(p.realised ?? 0);
+            const qty = Number(p.quantity);
+            if (!qty) continue;
+            const pending = ctx.pendingExits.get(p.tradingsymbol);
+            ctx.positions.set(canonical(p.tradingsymbol), {
+              symbol: canonical(p.tradingsymbol),
+              side: qty > 0 ? 'buy' : 'sell',
+              qty: Math.abs(qty),
+              entryPrice: Number(p.average_price),
+              markPrice: Number(p.last_price) || undefined,
+              sector: pending?.sector || 'GEN',
+              strategy: pending?.strategy || '',
+            });
+            if (pending) await protectPending(ctx, p.tradingsymbol, pending, p);
+          }
+          for (const [sym, pending] of ctx.pendingExits) {
+            if (clock.now() - pending.placedAt < ENTRY_TTL_MS) continue;
+            ctx.pendingExits.delete(sym);
+            await ctx.broker
+              .cancelOrder('regular', pending.orderId)
+              .catch((err) => console.error(`[accounts] ${ctx.id} cancel ${sym}: ${err?.message || err}`));
+            await setTradeStatus(ctx, pending.orderId, 'CANCELLED');
+          }
+          // Broker-reported realised P&L is the source of truth for the day
+          ctx.riskState.dailyLoss = Math.max(0, -realised);
+        } catch (err) {
+          console.error(`[accounts] ${ctx.id} position sync failed: ${err?.message || err}`);
+        }
+      }
+    },
+  };
+}
+
+export const accountManager = createAccountManager();
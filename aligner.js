@@ -2,12 +2,49 @@ import db from "./db.js";
 import { canonToken } from "./canon.js";
 import { logError } from "./logger.js";
 import { incrementMetric } from "./metrics.js";
+import { ensureClock } from "./src/backtest/clock.js";
 
 const MINUTE_MS = 60 * 1000;
 export const WATERMARK_MS = 3000;
 
 const openBuckets = new Map(); // token -> Map(minuteMs -> bucket)
 const finalizedCandles = [];
+const candleListeners = new Set();
+let activeClock = ensureClock();
+const DEFAULT_COLLECTIONS = { aligned: "aligned_ticks", session: "session_data" };
+let collections = { ...DEFAULT_COLLECTIONS };
+
+function nowMs() {
+  return activeClock.now();
+}
+
+export function setAlignerClock(clockLike) {
+  activeClock = ensureClock(clockLike);
+}
+
+export function resetAlignerClock() {
+  activeClock = ensureClock();
+}
+
+// Where finalized candles are written. A tick replay points `aligned` at its
+// own collection and sets `session` to null so live history is untouched.
+export function setAlignerCollections({ aligned, session } = {}) {
+  collections = {
+    aligned: aligned === undefined ? DEFAULT_COLLECTIONS.aligned : aligned,
+    session: session === undefined ? DEFAULT_COLLECTIONS.session : session,
+  };
+}
+
+export function resetAlignerCollections() {
+  collections = { ...DEFAULT_COLLECTIONS };
+}
+
+// Called synchronously with every finalized 1m candle (e.g. to roll up
+// higher timeframes). Returns an unsubscribe function.
+export function onAlignedCandle(fn) {
+  candleListeners.add(fn);
+  return () => candleListeners.delete(fn);
+}
 
 function ensureTokenBuckets(token) {
   const tokenStr = canonToken(token);
@@ -18,7 +55,7 @@ function ensureTokenBuckets(token) {
 }
 
 function getMinuteStart(timestamp) {
-  const ts = timestamp ? new Date(timestamp) : new Date();
+  const ts = new Date(timestamp || nowMs());
   const minute = new Date(ts);
   minute.setSeconds(0, 0);
   return minute.getTime();
@@ -70,7 +107,7 @@ function finalizeBucket(bucket) {
   const trades = bucket.ticks.length;
   const minuteDate = new Date(minuteMs);
 
-  finalizedCandles.push({
+  const candle = {
     token: Number(token),
     tokenStr: token,
     symbol,
@@ -86,8 +123,16 @@ function finalizeBucket(bucket) {
     tickCount: bucket.ticks.length,
     lastTick: bucket.ticks[bucket.ticks.length - 1],
     createdAt: new Date(),
-  });
+  };
+  finalizedCandles.push(candle);
   incrementMetric("candles1mFormed");
+  for (const fn of candleListeners) {
+    try {
+      fn(candle);
+    } catch (err) {
+      logError("aligner.onAlignedCandle", err);
+    }
+  }
 }
 
 function finalizeBucketsUntil(cutoffMs) {
@@ -104,8 +149,8 @@ function finalizeBucketsUntil(cutoffMs) {
   }
 }
 
-function finalizeReadyBuckets(nowMs = Date.now()) {
-  const cutoff = nowMs - WATERMARK_MS - MINUTE_MS;
+function finalizeReadyBuckets(referenceMs = nowMs()) {
+  const cutoff = referenceMs - WATERMARK_MS - MINUTE_MS;
   for (const [token, buckets] of openBuckets.entries()) {
     for (const [minuteMs, bucket] of buckets.entries()) {
       if (minuteMs <= cutoff) {
@@ -122,9 +167,9 @@ function finalizeReadyBuckets(nowMs = Date.now()) {
 export function ingestTick({ token, symbol, tick }) {
   const tokenStr = canonToken(token);
   if (!tokenStr || !symbol) return;
-  const ts = tick.timestamp || tick.last_trade_time || Date.now();
+  const ts = tick.timestamp || tick.last_trade_time || nowMs();
   const minuteMs = getMinuteStart(ts);
-  const cutoff = Date.now() - WATERMARK_MS - MINUTE_MS;
+  const cutoff = nowMs() - WATERMARK_MS - MINUTE_MS;
   if (minuteMs <= cutoff) return;
   const buckets = ensureTokenBuckets(tokenStr);
   if (!buckets.has(minuteMs)) {
@@ -137,8 +182,8 @@ export function ingestTick({ token, symbol, tick }) {
   }
   const bucket = buckets.get(minuteMs);
   bucket.ticks.push(tick);
-  bucket.lastSeen = Date.now();
-  finalizeReadyBuckets(Date.now());
+  bucket.lastSeen = nowMs();
+  finalizeReadyBuckets(nowMs());
 }
 
 export async function persistAlignedCandleBatch() {
@@ -195,11 +240,11 @@ export async function persistAlignedCandleBatch() {
   }));
 
   try {
-    if (alignedOps.length) {
-      await db.collection("aligned_ticks").bulkWrite(alignedOps, { ordered: false });
+    if (alignedOps.length && collections.aligned) {
+      await db.collection(collections.aligned).bulkWrite(alignedOps, { ordered: false });
     }
-    if (sessionOps.length) {
-      await db.collection("session_data").bulkWrite(sessionOps, { ordered: false });
+    if (sessionOps.length && collections.session) {
+      await db.collection(collections.session).bulkWrite(sessionOps, { ordered: false });
     }
   } catch (err) {
     logError("aligner.persistAlignedCandleBatch", err);
@@ -210,7 +255,7 @@ export async function flushOpenCandles({ force = false } = {}) {
   if (force) {
     finalizeBucketsUntil(Number.POSITIVE_INFINITY);
   } else {
-    finalizeReadyBuckets(Date.now());
+    finalizeReadyBuckets(nowMs());
   }
   await persistAlignedCandleBatch();
 }
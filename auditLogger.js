@@ -120,6 +120,34 @@ export async function logSignalRejected(
   }
 }
 
+export async function logConfigChange({ version, diff, changedBy, reason, rollbackOf }) {
+  await secureLogStore({
+    type: 'config_change',
+    version,
+    diff,
+    changedBy,
+    reason,
+    rollbackOf,
+  });
+}
+
+/** Live exit service actions: stop-loss moves and forced exits. */
+export async function logExitAction({ action, tradeId, symbol, reason, price, from, to, qty, ok, error }) {
+  await secureLogStore({
+    type: 'exit_action',
+    action,
+    tradeId,
+    symbol,
+    reason,
+    price,
+    from,
+    to,
+    qty,
+    ok,
+    error,
+  });
+}
+
 export async function logBacktestReference(params, results) {
   await secureLogStore({
     type: 'backtest_reference',
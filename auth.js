@@ -0,0 +1,208 @@
+// auth.js
+// API-key / JWT authentication with viewer < trader < admin roles for the
+// REST routes and the Socket.IO handshake, plus single-use confirmation
+// tokens for destructive admin actions.
+import crypto from 'crypto';
+
+export const ROLES = Object.freeze(['viewer', 'trader', 'admin']);
+
+const CONFIRM_TTL_MS = Number(process.env.CONFIRM_TOKEN_TTL_MS) || 60 * 1000;
+const DEFAULT_JWT_TTL_SEC = 8 * 60 * 60;
+
+let settings = fromEnv();
+const confirmations = new Map(); // token -> { user, action, expiresAt }
+
+function sha256(value) {
+  return crypto.createHash('sha256').update(String(value)).digest('hex');
+}
+
+function b64url(input) {
+  return Buffer.from(input).toString('base64url');
+}
+
+function safeEqual(a, b) {
+  const x = Buffer.from(String(a));
+  const y = Buffer.from(String(b));
+  return x.length === y.length && crypto.timingSafeEqual(x, y);
+}
+
+/**
+ * Parse `API_KEYS` as comma-separated `key:role[:name]` entries.
+ * Keys are kept only as sha256 hashes.
+ */
+export function parseApiKeys(raw = '') {
+  const keys = new Map();
+  for (const entry of String(raw).split(',')) {
+    const [key, role = 'viewer', name] = entry.trim().split(':');
+    if (!key) continue;
+    if (!ROLES.includes(role)) {
+      console.warn(`[auth] ignoring API key with unknown role "${role}"`);
+      continue;
+    }
+    keys.set(sha256(key), { id: name || `key-${sha256(key).slice(0, 8)}`, role });
+  }
+  return keys;
+}
+
+function fromEnv() {
+  return {
+    disabled: process.env.AUTH_DISABLED === 'true',
+    jwtSecret: process.env.AUTH_JWT_SECRET || null,
+    apiKeys: parseApiKeys(process.env.API_KEYS || ''),
+  };
+}
+
+/**
+ * Override auth settings (tests, or wiring from another config source).
+ * @param {Object} opts - { apiKeys: 'key:role[:name],...', jwtSecret, disabled }
+ */
+export function configureAuth(opts = {}) {
+  settings = {
+    disabled: Boolean(opts.disabled),
+    jwtSecret: opts.jwtSecret || null,
+    apiKeys: parseApiKeys(opts.apiKeys || ''),
+  };
+  confirmations.clear();
+}
+
+export function hasRole(user, role) {
+  return ROLES.includes(role) && ROLES.indexOf(user?.role) >= ROLES.indexOf(role);
+}
+
+/** False when neither API keys nor a JWT secret is set (every request gets 401). */
+export function isAuthConfigured() {
+  return settings.disabled || settings.apiKeys.size > 0 || Boolean(settings.jwtSecret);
+}
+
+/**
+ * Sign an HS256 JWT.
+ * @param {Object} payload - Should carry `sub` and `role`
+ * @param {Object} [opts]
+ * @param {number} [opts.expiresInSec=28800]
+ * @param {number} [opts.now=Date.now()]
+ */
+export function signJwt(payload, { expiresInSec = DEFAULT_JWT_TTL_SEC, now = Date.now(), secret } = {}) {
+  const key = secret || settings.jwtSecret;
+  if (!key) throw new Error('AUTH_JWT_SECRET is not configured');
+  const iat = Math.floor(now / 1000);
+  const header = b64url(JSON.stringify({ alg: 'HS256', typ: 'JWT' }));
+  const body = b64url(JSON.stringify({ ...payload, iat, exp: iat + expiresInSec }));
+  const sig = crypto.createHmac('sha256', key).update(`${header}.${body}`).digest('base64url');
+  return `${header}.${body}.${sig}`;
+}
+
+/** @returns {Object|null} payload when the signature and expiry check out */
+export function verifyJwt(token, { now = Date.now(), secret } = {}) {
+  const key = secret || settings.jwtSecret;
+  if (!key || typeof token !== 'string') return null;
+  const parts = token.split('.');
+  if (parts.length !== 3) return null;
+  const [header, body, sig] = parts;
+  const expected = crypto.createHmac('sha256', key).update(`${header}.${body}`).digest('base64url');
+  if (!safeEqual(sig, expected)) return null;
+  try {
+    const { alg } = JSON.parse(Buffer.from(header, 'base64url').toString());
+    if (alg !== 'HS256') return null;
+    const payload = JSON.parse(Buffer.from(body, 'base64url').toString());
+    if (Number.isFinite(payload.exp) && payload.exp * 1000 <= now) return null;
+    return payload;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Resolve an API key or JWT to `{ id, role, via }`, or null.
+ * @param {string} credential
+ */
+export function authenticate(credential) {
+  if (settings.disabled) return { id: 'anonymous', role: 'admin', via: 'disabled' };
+  if (!credential) return null;
+  const keyUser = settings.apiKeys.get(sha256(credential));
+  if (keyUser) return { ...keyUser, via: 'apiKey' };
+  const claims = verifyJwt(credential);
+  if (claims && ROLES.includes(claims.role)) {
+    return { id: claims.sub || 'jwt', role: claims.role, via: 'jwt' };
+  }
+  return null;
+}
+
+function credentialFromHeaders(headers = {}) {
+  const authz = headers.authorization || '';
+  if (authz.toLowerCase().startsWith('bearer ')) return authz.slice(7).trim();
+  return headers['x-api-key'] || null;
+}
+
+/**
+ * Express middleware: 401 without valid credentials, 403 below `role`.
+ * Sets `req.user`.
+ * @param {'viewer'|'trader'|'admin'} role
+ */
+export function requireRole(role) {
+  return (req, res, next) => {
+    const user = authenticate(credentialFromHeaders(req.headers));
+    if (!user) return res.status(401).json({ error: 'Authentication required' });
+    if (!hasRole(user, role)) {
+      return res.status(403).json({ error: `Requires ${role} role` });
+    }
+    req.user = user;
+    next();
+  };
+}
+
+/**
+ * Issue a single-use token that `requireConfirmation(action)` accepts from
+ * the same user within CONFIRM_TOKEN_TTL_MS.
+ */
+export function issueConfirmation(user, action, { now = Date.now() } = {}) {
+  for (const [t, c] of confirmations) {
+    if (c.expiresAt <= now) confirmations.delete(t);
+  }
+  const token = crypto.randomBytes(24).toString('hex');
+  const expiresAt = now + CONFIRM_TTL_MS;
+  confirmations.set(token, { user: user.id, action, expiresAt });
+  return { token, action, expiresAt: new Date(expiresAt) };
+}
+
+/** @returns {boolean} true when the token matched; it is consumed either way */
+export function consumeConfirmation(token, user, action, { now = Date.now() } = {}) {
+  const entry = token ? confirmations.get(token) : null;
+  if (!entry) return false;
+  confirmations.delete(token);
+  return entry.user === user?.id && entry.action === action && entry.expiresAt > now;
+}
+
+/**
+ * Express middleware for destructive actions; expects `X-Confirm-Token`
+ * from `POST /auth/confirm`. Must run after requireRole.
+ * @param {string|Function} actionOrFn - Action name, or (req) => name to bind
+ *   the token to a target such as `deleteSymbol:TCS`
+ */
+export function requireConfirmation(actionOrFn) {
+  return (req, res, next) => {
+    if (settings.disabled) return next();
+    const action = typeof actionOrFn === 'function' ? actionOrFn(req) : actionOrFn;
+    const token = req.headers['x-confirm-token'];
+    if (!consumeConfirmation(token, req.user, action)) {
+      return res.status(428).json({
+        error: 'Confirmation required',
+        action,
+        hint: 'POST /auth/confirm with { action } and resend with X-Confirm-Token',
+      });
+    }
+    next();
+  };
+}
+
+/**
+ * Socket.IO middleware. Clients pass `auth: { token }` (API key or JWT)
+ * or an Authorization header; the user lands on `socket.data.user`.
+ */
+export function socketAuth(socket, next) {
+  const hs = socket.handshake || {};
+  const credential = hs.auth?.token || credentialFromHeaders(hs.headers);
+  const user = authenticate(credential);
+  if (!user) return next(new Error('unauthorized'));
+  socket.data.user = user;
+  next();
+}
@@ -36,8 +36,12 @@ export function getAutoTradingConfig() {
   return cloneConfig();
 }
 
-export function updateAutoTradingConfig(patch = {}) {
-  const next = cloneConfig();
+/**
+ * Coerce a patch onto a base config; invalid values are ignored.
+ * Used for the process-wide config and for per-account settings.
+ */
+export function mergeAutoTradingConfig(base = defaultConfig, patch = {}) {
+  const next = { ...base };
   if ("enabled" in patch) next.enabled = Boolean(patch.enabled);
   if ("minConfidence" in patch) {
     const num = parseNumber(patch.minConfidence);
@@ -48,27 +52,37 @@ export function updateAutoTradingConfig(patch = {}) {
     if (num !== null && num > 0) next.maxOpenTrades = Math.floor(num);
   }
   if ("intradayOnly" in patch) next.intradayOnly = Boolean(patch.intradayOnly);
-  config = next;
+  return next;
+}
+
+export function updateAutoTradingConfig(patch = {}) {
+  config = mergeAutoTradingConfig(config, patch);
   return cloneConfig();
 }
 
+// Rebuild from env defaults plus configService overrides.
+export function applyAutoTradingConfig(overrides = {}) {
+  config = { ...defaultConfig };
+  return updateAutoTradingConfig(overrides);
+}
+
 export function resetAutoTradingConfig() {
   config = { ...defaultConfig };
   return cloneConfig();
 }
 
-export function evaluateAutoTradeEligibility(signal = {}) {
-  if (!config.enabled) return { ok: false, reason: "disabled" };
+export function evaluateAutoTradeEligibility(signal = {}, cfg = config) {
+  if (!cfg.enabled) return { ok: false, reason: "disabled" };
   const confidence =
     signal.confidence ?? signal.confidenceScore ?? signal.algoSignal?.confidence;
   if (
-    config.minConfidence !== null &&
+    cfg.minConfidence !== null &&
     confidence !== undefined &&
-    confidence < config.minConfidence
+    confidence < cfg.minConfidence
   ) {
     return { ok: false, reason: "confidence" };
   }
-  if (config.intradayOnly) {
+  if (cfg.intradayOnly) {
     const expiry = signal.expiresAt || signal.algoSignal?.expiresAt;
     if (expiry) {
       const expiryDay = dayjs(expiry).tz("Asia/Kolkata").format("YYYY-MM-DD");
@@ -0,0 +1,143 @@
+// candidateEvaluator.js
+// The CPU-bound half of analyzeCandles: features plus strategy and detector
+// evaluation for one symbol. It reads nothing but its job, so it runs the same
+// in-process or in an evaluation worker (evaluationWorker.js); the scanner
+// keeps the gating, sizing and emission on the main thread.
+import { computeFeatures } from './featureEngine.js';
+import { featureStreams, candleTime } from './indicatorStreams.js';
+import { toSpreadPct } from './util.js';
+import { evaluateAllStrategies } from './strategyEngine.js';
+import { evaluateStrategies } from './strategies.js';
+
+export const SCANNER_FEATURES = [
+  'ema9',
+  'ema21',
+  'ema50',
+  'ema200',
+  'rsi',
+  'atr',
+  'macd',
+  'macdHist',
+  'ttmSqueeze',
+  'zScore',
+  'rvol',
+  'vwap',
+];
+
+/**
+ * Whether `evaluation` was computed from the same last bar as `candles`.
+ * A stale or missing evaluation is redone in-process.
+ */
+export function isCurrentEvaluation(evaluation, candles = []) {
+  if (!evaluation || !Array.isArray(candles) || !candles.length) return false;
+  const last = candles.at(-1);
+  return evaluation.lastTime === candleTime(last) && evaluation.lastClose === last.close;
+}
+
+/**
+ * The strategy context the scanner builds around its features.
+ * @param {object} job - see evaluateCandidate
+ * @param {object} features - computeFeatures output
+ */
+export function strategyContext(job, features) {
+  const { symbol, candles, inputs = {} } = job;
+  const last = candles.at(-1);
+  const lastVol = (last && (last.volume ?? last.v ?? last.qty)) ?? 0;
+  return {
+    symbol,
+    candles,
+    features,
+    depth: inputs.depth ?? null,
+    tick: inputs.liveTick ?? null,
+    spread: inputs.spread ?? 0,
+    spreadPct: toSpreadPct(inputs.spread ?? 0, last?.close),
+    liquidity: inputs.liquidity || features?.avgVolume || lastVol || 0,
+    totalBuy: inputs.totalBuy ?? 0,
+    totalSell: inputs.totalSell ?? 0,
+    dailyHistory: inputs.dailyHistory ?? [],
+    sessionCandles: candles,
+    benchmarkCloses: inputs.benchmarkCloses ?? null,
+    rsLookback: 20,
+    events: inputs.events,
+    isEventDay: inputs.events?.isEventDay,
+    timeframes: inputs.timeframes ?? {},
+    marketRegime: inputs.regime ?? null,
+  };
+}
+
+/**
+ * Compute features and run every enabled strategy and detector.
+ *
+ * @param {object} job
+ * @param {string} [job.key] - feature stream key (instrument token)
+ * @param {string} job.symbol
+ * @param {Object[]} job.candles - sanitized 1m candles, oldest first
+ * @param {object} [job.strategyConfig] - evaluateStrategies config
+ * @param {object} [job.inputs] - depth, liveTick, spread, liquidity,
+ *   totalBuy, totalSell, dailyHistory, timeframes, benchmarkCloses, events,
+ *   support, resistance, regime, accountBalance, riskPerTradePercentage
+ * @param {object} [opts]
+ * @param {string} [opts.seriesKey] - featureEngine EMA cache key
+ * @param {object} [opts.streams=featureStreams]
+ * @returns {{features:Object|null, stratResults:Object[], altStrategies:Object[],
+ *   lastTime:number|null, lastClose:number|null, evalMs:number}}
+ */
+export function evaluateCandidate(job, { seriesKey = null, streams = featureStreams } = {}) {
+  const started = performance.now();
+  const { key, candles = [], strategyConfig, inputs = {} } = job;
+  const last = candles.at(-1);
+  const result = {
+    features: null,
+    stratResults: [],
+    altStrategies: [],
+    lastTime: candleTime(last),
+    lastClose: last?.close ?? null,
+    evalMs: 0,
+  };
+  if (!candles.length) return result;
+
+  const stream = key ? streams.sync(key, candles) : null;
+  const features = computeFeatures(candles, {
+    seriesKey,
+    stream,
+    supertrendSettings: { atrLength: 10, multiplier: 3 },
+    only: SCANNER_FEATURES,
+    benchmarkCloses: inputs.benchmarkCloses ?? null,
+    rsLookback: 20,
+  });
+  result.features = features;
+  if (!features) {
+    result.evalMs = performance.now() - started;
+    return result;
+  }
+
+  const context = strategyContext(job, features);
+  const { atr: atrValue = 1, rvol, avgVolume } = features;
+  result.stratResults = evaluateAllStrategies({
+    ...context,
+    support: inputs.support ?? null,
+    resistance: inputs.resistance ?? null,
+    atr: atrValue,
+    accountBalance: inputs.accountBalance ?? 0,
+    riskPerTradePercentage: inputs.riskPerTradePercentage ?? 0.01,
+  });
+  result.altStrategies = evaluateStrategies(
+    candles,
+    {
+      symbol: job.symbol,
+      atr: atrValue,
+      rvol,
+      avgVolume,
+      regime: inputs.regime,
+      spreadPct: context.spreadPct,
+      features,
+      benchmarkCloses: context.benchmarkCloses,
+      rsLookback: 20,
+      events: inputs.events,
+      isEventDay: inputs.events?.isEventDay,
+    },
+    { topN: 1, atr: atrValue, config: strategyConfig }
+  );
+  result.evalMs = performance.now() - started;
+  return result;
+}
@@ -0,0 +1,228 @@
+// candidateTrace.js
+// Records the gate-by-gate path of every candidate evaluated by
+// analyzeCandles so "why did nothing fire" can be answered per symbol.
+import db from './db.js';
+import { ensureClock } from './src/backtest/clock.js';
+
+const COLLECTION = 'signal_candidates';
+
+// Risk-engine rejection codes that are really portfolio or validator gates.
+const PORTFOLIO_RULES = new Set([
+  'maxOpenPositions',
+  'preventOverlap',
+  'positionConflict',
+  'resolveConflictBlocked',
+  'maxTradesPerInstrument',
+  'maxTradesPerSector',
+  'minTradeValue',
+  'maxTradeValue',
+  'pyramidingDisabled',
+]);
+const VALIDATOR_RULES = new Set([
+  'rrBelowMin',
+  'rrBelowMinAfterCosts',
+  'rrBelowMinimum',
+  'rrBelowThreshold',
+  'winrateTooLowForScalping',
+  'slAtrTooWide',
+  'atrStopLossInvalid',
+  'slInvalid',
+  'supportResistanceFail',
+  'volumeSpikeFail',
+  'volatilitySlippage',
+  'invalidPrices',
+]);
+
+let activeClock = ensureClock();
+let enabled = process.env.CANDIDATE_TRACE !== 'false';
+let socket = null;
+
+function nowMs() {
+  return activeClock.now();
+}
+
+export function setCandidateTraceClock(clock) {
+  activeClock = ensureClock(clock);
+}
+
+export function resetCandidateTraceClock() {
+  activeClock = ensureClock();
+}
+
+/** Turn persistence/emission on or off (backtests run with it off). */
+export function setCandidateTracing(on) {
+  enabled = Boolean(on);
+}
+
+export function isCandidateTracing() {
+  return enabled;
+}
+
+/** Socket.IO server used for `candidateRejected` events. */
+export function attachCandidateSocket(io) {
+  socket = io || null;
+}
+
+/** Map a riskEngine rejection code onto its gate stage. */
+export function stageForRiskRule(code) {
+  if (PORTFOLIO_RULES.has(code)) return 'portfolio';
+  if (VALIDATOR_RULES.has(code)) return 'validator';
+  return 'risk';
+}
+
+function clean(inputs) {
+  if (!inputs || typeof inputs !== 'object') return {};
+  const out = {};
+  for (const [k, v] of Object.entries(inputs)) {
+    if (v === undefined || typeof v === 'function') continue;
+    if (v instanceof Map || v instanceof Set) continue;
+    if (typeof v === 'number' && !Number.isFinite(v)) {
+      out[k] = String(v);
+      continue;
+    }
+    out[k] = v;
+  }
+  return out;
+}
+
+/**
+ * Start a trace for one analyzeCandles evaluation.
+ * Steps are appended in order; `reject` or `accept` closes the trace,
+ * persists it to `signal_candidates` and, for rejections, emits
+ * `candidateRejected` to dashboard clients.
+ * @param {string} symbol
+ * @returns {Object} trace with pass/reject/accept
+ */
+export function createCandidateTrace(symbol) {
+  const doc = {
+    symbol,
+    evaluatedAt: new Date(nowMs()),
+    status: 'pending',
+    rejectedBy: null,
+    steps: [],
+  };
+
+  async function finish() {
+    if (!enabled) return doc;
+    try {
+      await db.collection(COLLECTION).insertOne({ ...doc, steps: [...doc.steps] });
+    } catch (err) {
+      console.error(`[candidateTrace] persist failed: ${err?.message || err}`);
+    }
+    if (doc.status === 'rejected' && socket) {
+      socket.emit('candidateRejected', {
+        symbol: doc.symbol,
+        evaluatedAt: doc.evaluatedAt,
+        stage: doc.rejectedBy.stage,
+        rule: doc.rejectedBy.rule,
+        inputs: doc.rejectedBy.inputs,
+        strategy: doc.strategy ?? null,
+        direction: doc.direction ?? null,
+      });
+    }
+    return doc;
+  }
+
+  return {
+    doc,
+    /** Note the strategy/direction once known so rejections carry them. */
+    annotate(fields = {}) {
+      Object.assign(doc, clean(fields));
+    },
+    pass(stage, rule, inputs) {
+      doc.steps.push({ stage, rule, passed: true, inputs: clean(inputs) });
+    },
+    async reject(stage, rule, inputs) {
+      if (doc.status !== 'pending') return doc;
+      const step = { stage, rule, passed: false, inputs: clean(inputs) };
+      doc.steps.push(step);
+      doc.status = 'rejected';
+      doc.rejectedBy = { stage, rule, inputs: step.inputs };
+      return finish();
+    },
+    async accept(summary = {}) {
+      if (doc.status !== 'pending') return doc;
+      doc.status = 'accepted';
+      doc.signal = clean(summary);
+      return finish();
+    },
+  };
+}
+
+/**
+ * Append the portfolio gates run after analyzeCandles accepted a candidate
+ * (kite.js emitUnifiedSignal) to its stored trace. A failed gate turns the
+ * trace into a rejection by that gate.
+ * @param {Object} signal - the accepted signal (matched by signalId)
+ * @param {Array<{stage:string, rule:string, passed:boolean, inputs?:Object}>} steps
+ */
+export async function recordGateSteps(signal, steps = []) {
+  const signalId = signal?.signalId ?? signal?.algoSignal?.signalId;
+  if (!enabled || !signalId || !steps.length) return null;
+  const cleaned = steps.map(({ stage, rule, passed, inputs }) => ({
+    stage,
+    rule,
+    passed: Boolean(passed),
+    inputs: clean(inputs),
+  }));
+  const failed = cleaned.find((s) => !s.passed);
+  const update = { $push: { steps: { $each: cleaned } } };
+  if (failed) {
+    update.$set = {
+      status: 'rejected',
+      rejectedBy: { stage: failed.stage, rule: failed.rule, inputs: failed.inputs },
+    };
+  }
+  try {
+    await db
+      .collection(COLLECTION)
+      .updateOne({ 'signal.signalId': signalId, status: 'accepted' }, update);
+  } catch (err) {
+    console.error(`[candidateTrace] gate update failed: ${err?.message || err}`);
+  }
+  if (failed && socket) {
+    socket.emit('candidateRejected', {
+      symbol: signal.stock || signal.symbol,
+      evaluatedAt: new Date(nowMs()),
+      stage: failed.stage,
+      rule: failed.rule,
+      inputs: failed.inputs,
+      strategy: signal.strategy ?? signal.pattern ?? null,
+      direction: signal.direction ?? null,
+    });
+  }
+  return failed || null;
+}
+
+/**
+ * Query stored candidate traces, newest first.
+ * @param {Object} [opts]
+ * @param {string} [opts.symbol] - "TCS" or "NSE:TCS"
+ * @param {string|number|Date} [opts.from]
+ * @param {string|number|Date} [opts.to]
+ * @param {'accepted'|'rejected'} [opts.status]
+ * @param {string} [opts.rule] - Only traces rejected by this rule
+ * @param {number} [opts.limit=200]
+ */
+export async function queryCandidates(opts = {}) {
+  const query = {};
+  if (opts.symbol) {
+    const sym = String(opts.symbol).trim().toUpperCase();
+    query.symbol = sym.includes(':') ? sym : `NSE:${sym}`;
+  }
+  const range = {};
+  const from = opts.from != null && opts.from !== '' ? new Date(opts.from) : null;
+  const to = opts.to != null && opts.to !== '' ? new Date(opts.to) : null;
+  if (from && !Number.isNaN(from.getTime())) range.$gte = from;
+  if (to && !Number.isNaN(to.getTime())) range.$lte = to;
+  if (Object.keys(range).length) query.evaluatedAt = range;
+  if (opts.status) query.status = opts.status;
+  if (opts.rule) query['rejectedBy.rule'] = opts.rule;
+  const limit = Math.min(Math.max(Number(opts.limit) || 200, 1), 1000);
+  return db
+    .collection(COLLECTION)
+    .find(query)
+    .sort({ evaluatedAt: -1 })
+    .limit(limit)
+    .toArray();
+}
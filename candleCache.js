@@ -2,6 +2,22 @@
 import db from "./db.js";
 export const candleHistory = {};
 const loaders = {};
+// (token, candles) => candles; applied to history read back from MongoDB
+let historyAdjuster = null;
+
+export function setHistoryAdjuster(fn) {
+  historyAdjuster = typeof fn === "function" ? fn : null;
+}
+
+function adjustLoaded(tokenStr, candles) {
+  if (!historyAdjuster) return candles;
+  try {
+    return historyAdjuster(tokenStr, candles) || candles;
+  } catch (err) {
+    console.error("[candleCache] adjuster failed:", err.message);
+    return candles;
+  }
+}
 
 // One cap to rule them all (import this in other files)
 export const HISTORY_CAP = Number(process.env.HISTORY_CAP) || 300;
@@ -28,7 +44,7 @@ function normalizeCandle(c) {
   const ts = c.timestamp ?? c.date ?? c.ts ?? c.minute ?? Date.now();
   const timestamp = toDateSafe(ts);
   if (!timestamp) return null;
-  return {
+  const out = {
     open: Number(c.open),
     high: Number(c.high),
     low: Number(c.low),
@@ -36,6 +52,9 @@ function normalizeCandle(c) {
     volume: Number(c.volume) || 0,
     timestamp,
   };
+  // Corporate-action back-adjustment factor (see corporateActions.js)
+  if (c.adjFactor) out.adjFactor = Number(c.adjFactor);
+  return out;
 }
 
 export function getCandleHistory(token) {
@@ -61,8 +80,11 @@ export async function ensureCandleHistory(token) {
         if (!c) continue;
         mapByMin.set(minuteKey(c.timestamp), c);
       }
-      const arr = Array.from(mapByMin.values()).sort(
-        (a, b) => +a.timestamp - +b.timestamp
+      const arr = adjustLoaded(
+        tokenStr,
+        Array.from(mapByMin.values()).sort(
+          (a, b) => +a.timestamp - +b.timestamp
+        )
       );
       candleHistory[tokenStr] =
         arr.length > HISTORY_CAP ? arr.slice(-HISTORY_CAP) : arr;
@@ -139,14 +161,17 @@ export async function preloadCandleHistory(tokens) {
     const data = doc.candles || doc.data || [];
     pushCandles(
       tokenStr,
-      data.map((c) => ({
-        open: c.open,
-        high: c.high,
-        low: c.low,
-        close: c.close,
-        volume: c.volume,
-        timestamp: c.date ?? c.timestamp,
-      })),
+      adjustLoaded(
+        tokenStr,
+        data.map((c) => ({
+          open: c.open,
+          high: c.high,
+          low: c.low,
+          close: c.close,
+          volume: c.volume,
+          timestamp: c.date ?? c.timestamp,
+        }))
+      ),
       HISTORY_CAP
     );
   }
@@ -164,7 +164,9 @@ export function evaluateCoreFactors(context = {}, pattern = {}) {
   if ((direction === 'Long' && ema9 > ema21) || (direction === 'Short' && ema9 < ema21)) confirm += 1;
   scores.push(confirm / 3);
 
-  const confluence = patternConfluenceAcrossTimeframes(context.candles || [], pattern.type);
+  const confluence = patternConfluenceAcrossTimeframes(context.candles || [], pattern.type, {
+    higherCandles: context.timeframes?.['5m'],
+  });
   scores.push(confluence ? 1 : 0.5);
 
   if (typeof pattern.strength === 'number') scores.push(Math.min(pattern.strength / 3, 1));
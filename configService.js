@@ -0,0 +1,386 @@
+// configService.js
+// Versioned runtime configuration stored in Mongo. Each change writes a
+// full snapshot plus its diff, is validated against CONFIG_SCHEMA, audited
+// and pushed to the owning modules without a restart.
+import db from './db.js';
+import { logConfigChange } from './auditLogger.js';
+import { ensureClock } from './src/backtest/clock.js';
+
+const COLLECTION = 'runtime_config';
+
+const num = (min, max, extra = {}) => ({ type: 'number', min, max, ...extra });
+const int = (min, max) => num(min, max, { integer: true });
+const pct = () => num(0, 1);
+const eventWindow = () => ({
+  type: 'object',
+  fields: {
+    before: int(0, 7 * 24 * 60),
+    after: int(0, 7 * 24 * 60),
+    action: { type: 'enum', values: ['block', 'tighten', 'none'] },
+  },
+});
+
+/**
+ * Every overridable key per section. Values left unset fall back to the
+ * module defaults (env via riskConfig.js, scanner FILTERS, etc.).
+ */
+export const CONFIG_SCHEMA = Object.freeze({
+  risk: {
+    maxDailyLoss: num(0),
+    maxDailyLossPct: pct(),
+    maxCumulativeLoss: num(0),
+    maxWeeklyDrawdown: pct(),
+    maxMonthlyDrawdown: pct(),
+    maxLossPerTradePct: pct(),
+    maxDailyRisk: num(0),
+    maxTradesPerDay: int(0),
+    maxTradesPerInstrument: int(0),
+    maxTradesPerSector: int(0),
+    maxLossStreak: int(0),
+    maxOpenPositions: int(0),
+    maxSignalsPerDay: int(0),
+    equityDrawdownLimitPct: pct(),
+    minRR: num(0),
+    maxSLATR: num(0),
+    maxSpreadSLRatio: num(0),
+  },
+  scanner: {
+    atrThreshold: num(0),
+    minBuySellRatio: num(0),
+    maxSpread: num(0),
+    minLiquidity: num(0),
+    maxATR: num(0),
+    rangeSpike: num(0),
+    consolidationRatio: num(0),
+    maxSlippage: num(0),
+    maxSpreadPct: num(0),
+  },
+  portfolio: {
+    exposureCap: num(0, 10),
+    instrumentCap: pct(),
+    tradeCapPct: pct(),
+    reservePct: pct(),
+    maxMarginPct: num(0, 10),
+    minTradeCapital: num(0),
+    maxTradeCapital: num(0),
+    reentryWindowMs: int(0),
+    sectorCaps: { type: 'map', of: pct() },
+  },
+  autoTrader: {
+    enabled: { type: 'boolean' },
+    minConfidence: num(0),
+    maxOpenTrades: int(1),
+    intradayOnly: { type: 'boolean' },
+  },
+  // Minutes around each event type (eventCalendar.js) and the qty factor
+  // applied inside `tighten` windows
+  events: {
+    rbi_policy: eventWindow(),
+    budget: eventWindow(),
+    fno_expiry: eventWindow(),
+    index_rebalance: eventWindow(),
+    earnings: eventWindow(),
+    dividend: eventWindow(),
+    split: eventWindow(),
+    sizeFactor: pct(),
+  },
+  // Live exit manager (liveExitService.js)
+  exits: {
+    enabled: { type: 'boolean' },
+    trailing: { type: 'boolean' },
+    trailPct: num(0, 20),
+    tickSize: num(0),
+    minStopStepPct: num(0, 5),
+    stopUpdateMs: int(0),
+    squareOffMinutes: int(0, 120),
+    maxHoldMinutes: int(0),
+    reversalBars: int(0, 20),
+    reversalBarMs: int(1000),
+    reversalMinMovePct: num(0, 20),
+    reversalInProfitOnly: { type: 'boolean' },
+    retryMs: int(0),
+  },
+  // Entry execution algorithms (smartOrderRouter.js)
+  execution: {
+    algo: { type: 'enum', values: ['limit', 'chase', 'twap', 'iceberg'] },
+    timeoutMs: int(1000, 30 * 60_000),
+    cancelOnTimeout: { type: 'boolean' },
+    maxSlippagePct: num(0.01, 5),
+    chaseIntervalMs: int(100),
+    tickSize: num(0.01),
+    twapSlices: int(1, 100),
+    twapDurationMs: int(1000, 60 * 60_000),
+    icebergDisplayQty: int(0),
+    sliceAboveQty: int(0),
+    sliceAlgo: { type: 'enum', values: ['twap', 'iceberg'] },
+    pollMs: int(100, 10_000),
+  },
+});
+
+function checkValue(rule, value, path) {
+  if (rule.type === 'boolean') {
+    return typeof value === 'boolean' ? null : `${path} must be a boolean`;
+  }
+  if (rule.type === 'enum') {
+    return rule.values.includes(value) ? null : `${path} must be one of ${rule.values.join(', ')}`;
+  }
+  if (rule.type === 'object') {
+    if (!value || typeof value !== 'object' || Array.isArray(value)) {
+      return `${path} must be an object`;
+    }
+    for (const [k, v] of Object.entries(value)) {
+      if (!rule.fields[k]) return `unknown key "${path}.${k}"`;
+      const err = checkValue(rule.fields[k], v, `${path}.${k}`);
+      if (err) return err;
+    }
+    return null;
+  }
+  if (rule.type === 'map') {
+    if (!value || typeof value !== 'object' || Array.isArray(value)) {
+      return `${path} must be an object`;
+    }
+    for (const [k, v] of Object.entries(value)) {
+      const err = checkValue(rule.of, v, `${path}.${k}`);
+      if (err) return err;
+    }
+    return null;
+  }
+  if (typeof value !== 'number' || !Number.isFinite(value)) {
+    return `${path} must be a finite number`;
+  }
+  if (rule.integer && !Number.isInteger(value)) return `${path} must be an integer`;
+  if (rule.min !== undefined && value < rule.min) return `${path} must be >= ${rule.min}`;
+  if (rule.max !== undefined && value > rule.max) return `${path} must be <= ${rule.max}`;
+  return null;
+}
+
+/**
+ * Validate a full or partial config against CONFIG_SCHEMA.
+ * @param {Object} config - { section: { key: value } }
+ * @param {Object} [opts]
+ * @param {boolean} [opts.allowClear=false] - Accept `null` as "remove override"
+ * @returns {string[]} error messages (empty when valid)
+ */
+export function validateConfig(config = {}, { allowClear = false } = {}) {
+  const errors = [];
+  if (!config || typeof config !== 'object') return ['config must be an object'];
+  for (const [section, values] of Object.entries(config)) {
+    const schema = CONFIG_SCHEMA[section];
+    if (!schema) {
+      errors.push(`unknown section "${section}"`);
+      continue;
+    }
+    if (!values || typeof values !== 'object' || Array.isArray(values)) {
+      errors.push(`${section} must be an object`);
+      continue;
+    }
+    for (const [key, value] of Object.entries(values)) {
+      const rule = schema[key];
+      if (!rule) {
+        errors.push(`unknown key "${section}.${key}"`);
+        continue;
+      }
+      if (value === null && allowClear) continue;
+      const err = checkValue(rule, value, `${section}.${key}`);
+      if (err) errors.push(err);
+    }
+  }
+  return errors;
+}
+
+/**
+ * Flat list of changed paths between two configs.
+ * @returns {Array<{path:string, from:any, to:any}>}
+ */
+export function diffConfig(before = {}, after = {}) {
+  const changes = [];
+  const sections = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+  for (const section of [...sections].sort()) {
+    const a = before?.[section] || {};
+    const b = after?.[section] || {};
+    const keys = new Set([...Object.keys(a), ...Object.keys(b)]);
+    for (const key of [...keys].sort()) {
+      if (JSON.stringify(a[key]) !== JSON.stringify(b[key])) {
+        changes.push({ path: `${section}.${key}`, from: a[key], to: b[key] });
+      }
+    }
+  }
+  return changes;
+}
+
+// Merge a patch into the current overrides; `null` clears a key back to
+// its module default.
+function mergeConfig(current = {}, patch = {}) {
+  const next = {};
+  for (const section of Object.keys(CONFIG_SCHEMA)) {
+    const merged = { ...(current[section] || {}) };
+    for (const [key, value] of Object.entries(patch[section] || {})) {
+      if (value === null) delete merged[key];
+      else merged[key] = value;
+    }
+    if (Object.keys(merged).length) next[section] = merged;
+  }
+  return next;
+}
+
+const defaultAppliers = {
+  risk: async (values) => (await import('./riskEngine.js')).applyRiskConfig(values),
+  scanner: async (values) => (await import('./scanner.js')).applyScannerConfig(values),
+  portfolio: async (values) =>
+    (await import('./portfolioContext.js')).applyPortfolioConfig(values),
+  autoTrader: async (values) =>
+    (await import('./autoTrader.js')).applyAutoTradingConfig(values),
+  events: async (values) => (await import('./eventCalendar.js')).applyEventConfig(values),
+  exits: async (values) => (await import('./liveExitService.js')).applyExitConfig(values),
+  execution: async (values) =>
+    (await import('./smartOrderRouter.js')).applyExecutionConfig(values),
+};
+
+/**
+ * @param {Object} [options]
+ * @param {Object} [options.database=db]
+ * @param {Object} [options.appliers] - section -> async (overrides) => effective config
+ * @param {Function} [options.audit=logConfigChange]
+ * @param {Object} [options.clock]
+ */
+export function createConfigService(options = {}) {
+  const database = options.database || db;
+  const appliers = options.appliers || defaultAppliers;
+  const audit = options.audit || logConfigChange;
+  const clock = ensureClock(options.clock);
+  let current = { version: 0, config: {}, updatedAt: null, changedBy: null };
+  const effective = {};
+
+  const col = () => database.collection(COLLECTION);
+
+  async function apply(config) {
+    for (const [section, fn] of Object.entries(appliers)) {
+      try {
+        effective[section] = await fn(config[section] || {});
+      } catch (err) {
+        console.error(`[config] apply ${section} failed: ${err?.message || err}`);
+      }
+    }
+  }
+
+  async function latestDoc() {
+    const [doc] = await col().find({}).sort({ version: -1 }).limit(1).toArray();
+    return doc || null;
+  }
+
+  async function commit(config, meta = {}) {
+    const diff = diffConfig(current.config, config);
+    if (!diff.length) return { ok: true, changed: false, ...snapshot() };
+    const doc = {
+      version: current.version + 1,
+      config,
+      diff,
+      changedBy: meta.changedBy || 'system',
+      reason: meta.reason || null,
+      rollbackOf: meta.rollbackOf ?? null,
+      createdAt: new Date(clock.now()),
+    };
+    // Unique version index makes a concurrent writer fail instead of forking history.
+    await col().insertOne(doc);
+    current = {
+      version: doc.version,
+      config,
+      updatedAt: doc.createdAt,
+      changedBy: doc.changedBy,
+    };
+    await apply(config);
+    try {
+      await audit({
+        version: doc.version,
+        diff,
+        changedBy: doc.changedBy,
+        reason: doc.reason,
+        rollbackOf: doc.rollbackOf,
+      });
+    } catch (err) {
+      console.error(`[config] audit failed: ${err?.message || err}`);
+    }
+    return { ok: true, changed: true, diff, ...snapshot() };
+  }
+
+  function snapshot() {
+    return {
+      version: current.version,
+      config: structuredClone(current.config),
+      updatedAt: current.updatedAt,
+      changedBy: current.changedBy,
+    };
+  }
+
+  return {
+    /** Load the newest stored version and apply it to every module. */
+    async load() {
+      const doc = await latestDoc();
+      if (doc) {
+        current = {
+          version: doc.version,
+          config: doc.config || {},
+          updatedAt: doc.createdAt,
+          changedBy: doc.changedBy,
+        };
+      }
+      await apply(current.config);
+      return snapshot();
+    },
+    /** Pick up versions written by another process. */
+    async refresh() {
+      const doc = await latestDoc();
+      if (doc && doc.version > current.version) {
+        current = {
+          version: doc.version,
+          config: doc.config || {},
+          updatedAt: doc.createdAt,
+          changedBy: doc.changedBy,
+        };
+        await apply(current.config);
+        return true;
+      }
+      return false;
+    },
+    get: snapshot,
+    getEffective() {
+      return structuredClone(effective);
+    },
+    /**
+     * Validate and store a partial change as the next version.
+     * @param {Object} patch - { section: { key: value|null } }
+     * @param {Object} [meta] - { changedBy, reason }
+     * @returns {Promise<{ok:boolean, errors?:string[], diff?:Array, version?:number}>}
+     */
+    async update(patch = {}, meta = {}) {
+      const errors = validateConfig(patch, { allowClear: true });
+      if (errors.length) return { ok: false, errors };
+      return commit(mergeConfig(current.config, patch), meta);
+    },
+    /** Restore the config stored at `version` as a new version. */
+    async rollback(version, meta = {}) {
+      const doc = await col().findOne({ version: Number(version) });
+      if (!doc) return { ok: false, errors: [`version ${version} not found`] };
+      return commit(doc.config || {}, { ...meta, rollbackOf: doc.version });
+    },
+    async history({ limit = 50 } = {}) {
+      return col()
+        .find({})
+        .sort({ version: -1 })
+        .limit(Math.min(Math.max(Number(limit) || 50, 1), 500))
+        .toArray();
+    },
+    /** Diff two stored versions (0 = module defaults). */
+    async diff(fromVersion, toVersion = current.version) {
+      const load = async (v) =>
+        Number(v) === 0 ? {} : (await col().findOne({ version: Number(v) }))?.config;
+      const [a, b] = await Promise.all([load(fromVersion), load(toVersion)]);
+      if (a === undefined || b === undefined) {
+        return { ok: false, errors: ['version not found'] };
+      }
+      return { ok: true, from: Number(fromVersion), to: Number(toVersion), diff: diffConfig(a, b) };
+    },
+  };
+}
+
+export const configService = createConfigService();
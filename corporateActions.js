@@ -0,0 +1,279 @@
+// corporateActions.js
+// Corporate-action ledger (splits, bonuses, dividends, rights issues) and
+// back-adjustment of price history. Mongo keeps the raw exchange candles;
+// the adjusted view scales every bar before an ex-date by that action's
+// price factor (and volume by the inverse for share-count changes) so MA,
+// ATR and gap maths see one continuous series across the ex-date.
+import { istDate } from './tradingCalendar.js';
+import { getSymbolForToken } from './mapping.js';
+
+export const CORPORATE_ACTION_COLLECTION = 'corporate_actions';
+
+// ratio conventions follow NSE announcements:
+//   split    '1:5'  one old share becomes five
+//   bonus    '1:1'  one bonus share for every one held
+//   rights   '1:5'  one rights share for every five held, at `price`
+//   dividend        `amount` per share
+export const ACTION_TYPES = ['split', 'bonus', 'dividend', 'rights'];
+
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+const RATIO_RE = /^(\d+(?:\.\d+)?):(\d+(?:\.\d+)?)$/;
+
+function bareSymbol(symbol = '') {
+  return String(symbol || '').split(':').pop().trim().toUpperCase();
+}
+
+function parseRatio(ratio) {
+  const m = RATIO_RE.exec(String(ratio || '').replace(/\s+/g, ''));
+  if (!m) return null;
+  const a = Number(m[1]);
+  const b = Number(m[2]);
+  return a > 0 && b > 0 ? [a, b] : null;
+}
+
+function optionalNumber(v) {
+  if (v === undefined || v === null || v === '') return undefined;
+  return Number(v);
+}
+
+/** Canonical stored form. */
+export function normalizeAction(entry = {}) {
+  const action = {
+    symbol: bareSymbol(entry.symbol),
+    exDate: String(entry.exDate || entry.ex_date || entry.date || '').trim(),
+    type: String(entry.type || '').trim().toLowerCase(),
+  };
+  if (entry.ratio !== undefined && entry.ratio !== '') action.ratio = String(entry.ratio).replace(/\s+/g, '');
+  for (const key of ['amount', 'price', 'factor']) {
+    const n = optionalNumber(entry[key]);
+    if (n !== undefined) action[key] = n;
+  }
+  action.description = entry.description ? String(entry.description) : '';
+  return action;
+}
+
+/** @returns {string[]} errors */
+export function validateAction(entry = {}) {
+  const errors = [];
+  const a = normalizeAction(entry);
+  if (!a.symbol) errors.push('symbol is required');
+  if (!DATE_RE.test(a.exDate)) errors.push('exDate must be YYYY-MM-DD');
+  if (!ACTION_TYPES.includes(a.type)) {
+    errors.push(`type must be one of ${ACTION_TYPES.join(', ')}`);
+    return errors;
+  }
+  if (a.factor !== undefined) {
+    if (!(a.factor > 0 && a.factor <= 1)) errors.push('factor must be in (0, 1]');
+    return errors;
+  }
+  if (a.type !== 'dividend' && !parseRatio(a.ratio)) errors.push(`${a.type} needs ratio "a:b"`);
+  if (a.type === 'dividend' && !(a.amount > 0)) errors.push('dividend needs a positive amount');
+  if (a.type === 'rights' && !(a.price >= 0)) errors.push('rights needs the issue price');
+  return errors;
+}
+
+/**
+ * Multiplier for prices before the ex-date. Dividends and rights depend on
+ * the last close before the ex-date; an explicit `factor` (as published by
+ * the exchange) wins over the computed one.
+ * @returns {number|null} null when it cannot be computed
+ */
+export function priceFactor(action, prevClose) {
+  if (action.factor !== undefined) return action.factor;
+  const ratio = parseRatio(action.ratio);
+  switch (action.type) {
+    case 'split':
+      return ratio ? ratio[0] / ratio[1] : null;
+    case 'bonus':
+      return ratio ? ratio[1] / (ratio[0] + ratio[1]) : null;
+    case 'dividend':
+      return prevClose > action.amount ? (prevClose - action.amount) / prevClose : null;
+    case 'rights': {
+      if (!ratio || !(prevClose > 0)) return null;
+      const [rights, held] = ratio;
+      const terp = (held * prevClose + rights * action.price) / (held + rights);
+      return terp < prevClose ? terp / prevClose : null;
+    }
+    default:
+      return null;
+  }
+}
+
+/** Splits and bonuses change the share count, so volume scales inversely. */
+export function volumeFactor(action, price) {
+  return action.type === 'split' || action.type === 'bonus' ? 1 / price : 1;
+}
+
+function candleDay(c) {
+  const t = c?.date ?? c?.timestamp;
+  const ms = t instanceof Date ? t.getTime() : Date.parse(t);
+  return Number.isFinite(ms) ? istDate(ms) : null;
+}
+
+/**
+ * Back-adjust candles (oldest first) for the given actions. Adjusted bars
+ * carry `adjFactor`, the cumulative price factor applied, so the raw value
+ * is always `price / adjFactor` and the call can be repeated with further
+ * actions (or with `invert` to take one back out).
+ * @param {Object[]} candles
+ * @param {Object[]} actions
+ * @param {Object} [opts]
+ * @param {boolean} [opts.invert]
+ * @returns {Object[]} new array; untouched bars are shared
+ */
+export function adjustCandles(candles = [], actions = [], { invert = false } = {}) {
+  if (!candles?.length || !actions?.length) return candles || [];
+  const days = candles.map(candleDay);
+  const factors = [];
+  for (const action of actions) {
+    let last = -1;
+    for (let i = 0; i < days.length; i += 1) {
+      if (days[i] && days[i] < action.exDate) last = i;
+    }
+    if (last < 0) continue; // nothing before the ex-date
+    const bar = candles[last];
+    const rawClose = Number(bar.close) / (bar.adjFactor || 1);
+    const price = priceFactor(action, rawClose);
+    if (!price || price === 1) continue;
+    const volume = volumeFactor(action, price);
+    factors.push({
+      exDate: action.exDate,
+      price: invert ? 1 / price : price,
+      volume: invert ? 1 / volume : volume,
+    });
+  }
+  if (!factors.length) return candles;
+  return candles.map((c, i) => {
+    let price = 1;
+    let volume = 1;
+    for (const f of factors) {
+      if (days[i] && days[i] < f.exDate) {
+        price *= f.price;
+        volume *= f.volume;
+      }
+    }
+    if (price === 1 && volume === 1) return c;
+    const adjFactor = (c.adjFactor || 1) * price;
+    const out = {
+      ...c,
+      open: c.open * price,
+      high: c.high * price,
+      low: c.low * price,
+      close: c.close * price,
+      volume: c.volume * volume,
+    };
+    if (Math.abs(adjFactor - 1) < 1e-12) delete out.adjFactor;
+    else out.adjFactor = adjFactor;
+    return out;
+  });
+}
+
+/**
+ * @param {Object} [options]
+ * @param {Object[]} [options.actions]
+ * @param {Function} [options.resolveSymbol] - instrument token -> symbol
+ */
+export function createCorporateActionLedger(options = {}) {
+  const resolveSymbol = options.resolveSymbol || getSymbolForToken;
+  const bySymbol = new Map(); // symbol -> actions sorted by exDate
+  const listeners = new Set();
+
+  function setActions(list = []) {
+    bySymbol.clear();
+    for (const entry of list) {
+      if (validateAction(entry).length) continue;
+      const action = normalizeAction(entry);
+      const arr = bySymbol.get(action.symbol) || [];
+      arr.push(action);
+      bySymbol.set(action.symbol, arr);
+    }
+    for (const arr of bySymbol.values()) arr.sort((a, b) => a.exDate.localeCompare(b.exDate));
+    return [...bySymbol.values()].reduce((n, arr) => n + arr.length, 0);
+  }
+  if (options.actions) setActions(options.actions);
+
+  // Accepts 'NSE:INFY', 'INFY' or an instrument token
+  function symbolOf(symbolOrToken) {
+    const raw = String(symbolOrToken ?? '').trim();
+    if (/^\d+$/.test(raw)) return bareSymbol(resolveSymbol(raw) || '');
+    return bareSymbol(raw);
+  }
+
+  function notify(change) {
+    for (const fn of listeners) {
+      try {
+        fn(change);
+      } catch (err) {
+        console.error('[corporateActions] listener failed:', err.message);
+      }
+    }
+  }
+
+  const filterOf = (a) => ({ symbol: a.symbol, exDate: a.exDate, type: a.type });
+
+  async function reload(database) {
+    const rows = await database
+      .collection(CORPORATE_ACTION_COLLECTION)
+      .find({}, { projection: { _id: 0 } })
+      .toArray();
+    return setActions(rows);
+  }
+
+  return {
+    setActions,
+    load({ database }) {
+      return reload(database);
+    },
+    /**
+     * Upsert an action (keyed by symbol, exDate and type) and notify
+     * listeners so cached history is re-adjusted.
+     * @returns {Promise<{ok:boolean, action?:Object, replaced?:Object, errors?:string[]}>}
+     */
+    async record({ database, action: entry }) {
+      const errors = validateAction(entry);
+      if (errors.length) return { ok: false, errors };
+      const action = normalizeAction(entry);
+      const replaced = (bySymbol.get(action.symbol) || []).find(
+        (a) => a.exDate === action.exDate && a.type === action.type
+      );
+      await database
+        .collection(CORPORATE_ACTION_COLLECTION)
+        .updateOne(filterOf(action), { $set: { ...action, updatedAt: new Date() } }, { upsert: true });
+      await reload(database);
+      if (replaced) notify({ kind: 'remove', action: replaced });
+      notify({ kind: 'record', action });
+      return { ok: true, action, replaced };
+    },
+    async remove({ database, symbol, exDate, type }) {
+      const sym = bareSymbol(symbol);
+      const existing = (bySymbol.get(sym) || []).find((a) => a.exDate === exDate && a.type === type);
+      if (!existing) return { ok: false, reason: 'not found' };
+      await database.collection(CORPORATE_ACTION_COLLECTION).deleteOne(filterOf(existing));
+      await reload(database);
+      notify({ kind: 'remove', action: existing });
+      return { ok: true, action: existing };
+    },
+    list({ symbol, from, to } = {}) {
+      const lists = symbol ? [bySymbol.get(symbolOf(symbol)) || []] : [...bySymbol.values()];
+      return lists
+        .flat()
+        .filter((a) => (!from || a.exDate >= from) && (!to || a.exDate <= to))
+        .sort((a, b) => a.exDate.localeCompare(b.exDate) || a.symbol.localeCompare(b.symbol));
+    },
+    actionsFor(symbolOrToken) {
+      return bySymbol.get(symbolOf(symbolOrToken)) || [];
+    },
+    /** Adjusted view of raw candles for a symbol or token. */
+    adjust(symbolOrToken, candles) {
+      return adjustCandles(candles, bySymbol.get(symbolOf(symbolOrToken)) || []);
+    },
+    symbolOf,
+    /** fn({kind:'record'|'remove', action}); returns an unsubscribe function. */
+    onChange(fn) {
+      listeners.add(fn);
+      return () => listeners.delete(fn);
+    },
+  };
+}
+
+export const corporateActions = createCorporateActionLedger();
@@ -0,0 +1,138 @@
+// costModel.js
+// Indian equity cash-segment transaction charges: brokerage, STT, exchange
+// transaction charges, SEBI turnover fees, stamp duty, GST and DP charges.
+// Used by backtests (applyCosts), RR validation and position sizing so a
+// setup is judged on the same net economics everywhere.
+import { riskDefaults } from './riskConfig.js';
+
+// Rates are fractions of turnover for that side unless noted otherwise.
+export const CHARGE_SCHEDULES = Object.freeze({
+  // Intraday: discount brokerage capped per order, STT on the sell side only.
+  MIS: Object.freeze({
+    brokeragePct: 0.0003,
+    brokerageCap: 20,
+    sttBuyPct: 0,
+    sttSellPct: 0.00025,
+    stampBuyPct: 0.00003,
+    dpPerSell: 0,
+  }),
+  // Delivery: zero brokerage, STT both sides, DP charge per sell per scrip.
+  CNC: Object.freeze({
+    brokeragePct: 0,
+    brokerageCap: 0,
+    sttBuyPct: 0.001,
+    sttSellPct: 0.001,
+    stampBuyPct: 0.00015,
+    dpPerSell: 13.5,
+  }),
+});
+
+export const EXCHANGE_TXN_PCT = Object.freeze({ NSE: 0.0000297, BSE: 0.0000375 });
+export const SEBI_FEE_PCT = 0.000001; // ₹10 per crore
+export const GST_PCT = 0.18; // on brokerage + exchange + SEBI + DP
+
+const DEFAULT_REFERENCE_NOTIONAL = 100000;
+
+export function normalizeProduct(product) {
+  const p = String(product || riskDefaults.frictions?.product || 'MIS').toUpperCase();
+  return p === 'CNC' || p === 'DELIVERY' ? 'CNC' : 'MIS';
+}
+
+export function chargesEnabled(flag) {
+  if (typeof flag === 'boolean') return flag;
+  return riskDefaults.frictions?.includeCharges !== false;
+}
+
+/**
+ * Charges for one side of a trade.
+ * @param {Object} opts
+ * @param {'buy'|'sell'} opts.side
+ * @param {number} opts.price
+ * @param {number} opts.qty
+ * @param {string} [opts.product='MIS'] - MIS (intraday) or CNC (delivery)
+ * @param {string} [opts.exchange='NSE']
+ * @param {number} [opts.brokeragePerOrder] - Flat brokerage overriding the schedule
+ * @param {Object} [opts.overrides] - Per-field schedule overrides
+ * @returns {{side:string, product:string, turnover:number, brokerage:number, stt:number,
+ *   exchangeTxn:number, sebi:number, stampDuty:number, dp:number, gst:number, total:number}}
+ */
+export function computeLegCharges({
+  side,
+  price,
+  qty,
+  product,
+  exchange = 'NSE',
+  brokeragePerOrder,
+  overrides = {},
+}) {
+  const prod = normalizeProduct(product);
+  const sched = { ...CHARGE_SCHEDULES[prod], ...overrides };
+  const isBuy = String(side).toLowerCase() === 'buy';
+  const turnover = Math.abs(Number(price) * Number(qty)) || 0;
+  const empty = {
+    side: isBuy ? 'buy' : 'sell',
+    product: prod,
+    turnover: 0,
+    brokerage: 0,
+    stt: 0,
+    exchangeTxn: 0,
+    sebi: 0,
+    stampDuty: 0,
+    dp: 0,
+    gst: 0,
+    total: 0,
+  };
+  if (!turnover) return empty;
+
+  const brokerage = Number.isFinite(brokeragePerOrder)
+    ? brokeragePerOrder
+    : Math.min(sched.brokerageCap, turnover * sched.brokeragePct);
+  const stt = turnover * (isBuy ? sched.sttBuyPct : sched.sttSellPct);
+  const exchangeTxn =
+    turnover * (EXCHANGE_TXN_PCT[String(exchange).toUpperCase()] ?? EXCHANGE_TXN_PCT.NSE);
+  const sebi = turnover * SEBI_FEE_PCT;
+  const stampDuty = isBuy ? turnover * sched.stampBuyPct : 0;
+  const dp = isBuy ? 0 : sched.dpPerSell;
+  const gst = (brokerage + exchangeTxn + sebi + dp) * GST_PCT;
+  return {
+    ...empty,
+    turnover,
+    brokerage,
+    stt,
+    exchangeTxn,
+    sebi,
+    stampDuty,
+    dp,
+    gst,
+    total: brokerage + stt + exchangeTxn + sebi + stampDuty + dp + gst,
+  };
+}
+
+/**
+ * Charges for a complete entry + exit.
+ * @param {Object} opts
+ * @param {'Long'|'Short'} [opts.direction='Long']
+ * @param {number} opts.entry
+ * @param {number} opts.exit
+ * @param {number} opts.qty
+ * @returns {{entry:Object, exit:Object, total:number, perUnit:number}}
+ */
+export function computeRoundTripCharges({ direction = 'Long', entry, exit, qty, ...rest }) {
+  const long = direction !== 'Short';
+  const entryLeg = computeLegCharges({ side: long ? 'buy' : 'sell', price: entry, qty, ...rest });
+  const exitLeg = computeLegCharges({ side: long ? 'sell' : 'buy', price: exit, qty, ...rest });
+  const total = entryLeg.total + exitLeg.total;
+  return { entry: entryLeg, exit: exitLeg, total, perUnit: qty > 0 ? total / qty : 0 };
+}
+
+/**
+ * Round-trip charges per share. When qty is unknown (RR checks before
+ * sizing) it is estimated from the configured reference notional.
+ */
+export function chargesPerUnit({ entry, qty, ...rest }) {
+  const px = Number(entry);
+  if (!(px > 0)) return 0;
+  const notional = riskDefaults.frictions?.referenceNotional ?? DEFAULT_REFERENCE_NOTIONAL;
+  const units = qty > 0 ? qty : Math.max(1, Math.floor(notional / px));
+  return computeRoundTripCharges({ entry: px, qty: units, ...rest }).perUnit;
+}
@@ -9,11 +9,14 @@ const defaults = {
   intradayStaleMs: 5 * 60 * 1000,
   enableChangeStream: false,
   metrics: {},
+  // (token, rawCandles) => adjusted candles, e.g. corporate-action back-adjustment
+  adjust: null,
 };
 
 function initHistoricalStore(options = {}) {
   const cfg = { ...defaults, ...options };
   const metrics = cfg.metrics || {};
+  const adjust = typeof cfg.adjust === "function" ? cfg.adjust : null;
 
   const dailyCache = new Map();
   const intradayCache = new Map();
@@ -39,6 +42,26 @@ function initHistoricalStore(options = {}) {
     return String(token);
   }
 
+  // Cache entries keep the raw candles plus the adjusted view derived from them
+  function cacheEntry(token, candles) {
+    let adjusted = candles;
+    if (adjust) {
+      try {
+        adjusted = adjust(token, candles) || candles;
+      } catch (err) {
+        logError("historicalStore.adjust", err);
+      }
+    }
+    return { candles, adjusted, lastLoadedAt: Date.now() };
+  }
+
+  function view(entry, opts = {}) {
+    return sliceCandles(
+      opts.adjusted === false ? entry.candles : entry.adjusted,
+      opts
+    );
+  }
+
   function isStale(entry, ttl) {
     return !entry || Date.now() - entry.lastLoadedAt > ttl;
   }
@@ -135,29 +158,34 @@ function initHistoricalStore(options = {}) {
       } else {
         state.dailyModel = "single";
       }
-      const candles = dedupeAndSort(arr || []).slice(-max);
-      dailyCache.set(k, { candles, lastLoadedAt: Date.now() });
+      const entry = cacheEntry(k, dedupeAndSort(arr || []).slice(-max));
+      dailyCache.set(k, entry);
       metric("onLoadMs", Date.now() - start, "daily");
-      return candles;
+      return entry;
     } catch (err) {
       logError("historicalStore.loadDaily", err);
       metric("onError", err, token, "daily");
-      dailyCache.set(k, { candles: [], lastLoadedAt: Date.now() });
-      return [];
+      const entry = cacheEntry(k, []);
+      dailyCache.set(k, entry);
+      return entry;
     }
   }
 
+  /**
+   * Daily candles, corporate-action adjusted unless `opts.adjusted === false`.
+   * @param {string|number} token
+   * @param {{limit?:number, from?:Date, to?:Date, adjusted?:boolean}} [opts]
+   */
   async function getDailyCandles(token, opts = {}) {
     const k = key(token);
     return withLock(dailyLocks, k, async () => {
       let entry = dailyCache.get(k);
       if (entry && !isStale(entry, cfg.dailyStaleMs)) {
         metric("onHit", "daily");
-        return sliceCandles(entry.candles, opts);
+        return view(entry, opts);
       }
       metric("onMiss", "daily");
-      const candles = await loadDaily(k);
-      return sliceCandles(candles, opts);
+      return view(await loadDaily(k), opts);
     });
   }
 
@@ -208,8 +236,9 @@ function initHistoricalStore(options = {}) {
         logError("historicalStore.appendDailyCandles", err);
         metric("onError", err, token, "daily");
       }
-      dailyCache.set(k, { candles: bounded, lastLoadedAt: Date.now() });
-      return bounded;
+      const updated = cacheEntry(k, bounded);
+      dailyCache.set(k, updated);
+      return updated.adjusted;
     });
   }
 
@@ -229,15 +258,16 @@ function initHistoricalStore(options = {}) {
         }
       );
       const arr = doc?.candles || doc?.data || [];
-      const candles = dedupeAndSort(arr).slice(-max);
-      intradayCache.set(k, { candles, lastLoadedAt: Date.now() });
+      const entry = cacheEntry(k, dedupeAndSort(arr).slice(-max));
+      intradayCache.set(k, entry);
       metric("onLoadMs", Date.now() - start, "intraday");
-      return candles;
+      return entry;
     } catch (err) {
       logError("historicalStore.loadIntraday", err);
       metric("onError", err, token, "intraday");
-      intradayCache.set(k, { candles: [], lastLoadedAt: Date.now() });
-      return [];
+      const entry = cacheEntry(k, []);
+      intradayCache.set(k, entry);
+      return entry;
     }
   }
 
@@ -247,11 +277,10 @@ function initHistoricalStore(options = {}) {
       let entry = intradayCache.get(k);
       if (entry && !isStale(entry, cfg.intradayStaleMs)) {
         metric("onHit", "intraday");
-        return sliceCandles(entry.candles, opts);
+        return view(entry, opts);
       }
       metric("onMiss", "intraday");
-      const candles = await loadIntraday(k);
-      return sliceCandles(candles, opts);
+      return view(await loadIntraday(k), opts);
     });
   }
 
@@ -292,8 +321,9 @@ function initHistoricalStore(options = {}) {
         logError("historicalStore.appendIntradayCandles", err);
         metric("onError", err, token, "intraday");
       }
-      intradayCache.set(k, { candles: bounded, lastLoadedAt: Date.now() });
-      return bounded;
+      const updated = cacheEntry(k, bounded);
+      intradayCache.set(k, updated);
+      return updated.adjusted;
     });
   }
 
@@ -313,6 +343,32 @@ function initHistoricalStore(options = {}) {
     if (scope === "all" || scope === "intraday") intradayCache.delete(k);
   }
 
+  // Recompute adjusted views from the cached raw candles, e.g. after a new
+  // corporate action is recorded. Without a token every cached entry is redone.
+  async function reapplyAdjustments(token) {
+    const jobs = [];
+    for (const [map, locks] of [
+      [dailyCache, dailyLocks],
+      [intradayCache, intradayLocks],
+    ]) {
+      const keys = token === undefined ? [...map.keys()] : [key(token)];
+      for (const k of keys) {
+        jobs.push(
+          withLock(locks, k, async () => {
+            const entry = map.get(k);
+            if (!entry) return;
+            map.set(k, {
+              ...cacheEntry(k, entry.candles),
+              lastLoadedAt: entry.lastLoadedAt,
+            });
+          })
+        );
+      }
+    }
+    await Promise.all(jobs);
+    return jobs.length;
+  }
+
   function shutdown() {
     for (const cs of changeStreams) {
       try {
@@ -331,6 +387,7 @@ function initHistoricalStore(options = {}) {
     appendIntradayCandles,
     warmup,
     invalidate,
+    reapplyAdjustments,
     shutdown,
     _cache: { dailyCache, intradayCache },
   };
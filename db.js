@@ -1,6 +1,7 @@
 import dotenv from "dotenv";
 dotenv.config();
 import { MongoClient } from "mongodb";
+import { isMainThread } from "worker_threads";
 
 let client;
 let database;
@@ -24,9 +25,35 @@ async function ensureIndexes(db) {
     { expiresAt: 1 },
     { expireAfterSeconds: 0 }
   );
+  await db.collection("signal_candidates").createIndex(
+    { evaluatedAt: 1 },
+    { expireAfterSeconds: 60 * 60 * 24 * 3 }
+  );
+  await db.collection("signal_candidates").createIndex({ symbol: 1, evaluatedAt: -1 });
+  await db.collection("signal_candidates").createIndex({ "signal.signalId": 1 });
+  await db
+    .collection("runtime_config")
+    .createIndex({ version: 1 }, { unique: true });
+  await db.collection("accounts").createIndex({ accountId: 1 }, { unique: true });
+  await db.collection("sector_map").createIndex({ symbol: 1 }, { unique: true });
+  await db
+    .collection("market_events")
+    .createIndex({ date: 1, type: 1, symbol: 1 }, { unique: true });
+  await db
+    .collection("corporate_actions")
+    .createIndex({ symbol: 1, exDate: 1, type: 1 }, { unique: true });
+  await db
+    .collection("timeframe_candles")
+    .createIndex({ token: 1, timeframe: 1, start: 1 }, { unique: true });
+  await db.collection("strategy_settings").createIndex({ id: 1 }, { unique: true });
+  await db.collection("strategy_rules").createIndex({ id: 1 }, { unique: true });
+  await db
+    .collection("market_calendar")
+    .createIndex({ date: 1, type: 1 }, { unique: true });
   await db.collection("retry_queue").createIndex({ nextAttempt: 1 });
   await db.collection("open_trades").createIndex({ slId: 1 });
   await db.collection("open_trades").createIndex({ targetId: 1 });
+  await db.collection("order_states").createIndex({ state: 1 });
   // Ensure aligned tick storage exists for minute-level tick aggregation
   await db
     .collection("aligned_ticks")
@@ -47,10 +74,11 @@ export const connectDB = async (attempt = 0) => {
   const MAX = 5;
   const delay = (ms) => new Promise((r) => setTimeout(r, ms));
   try {
-    client = new MongoClient(uri, { maxPoolSize: 100 });
+    // Evaluation workers (evaluationPool.js) only read strategy settings
+    client = new MongoClient(uri, { maxPoolSize: isMainThread ? 100 : 5 });
     await client.connect();
     database = client.db(process.env.DB_NAME);
-    await ensureIndexes(database);
+    if (isMainThread) await ensureIndexes(database);
     console.log(`connected to db ${process.env.DB_NAME}`);
     return database;
   } catch (err) {
@@ -63,6 +91,14 @@ export const connectDB = async (attempt = 0) => {
   }
 };
 
+/** Close the connection; evaluation workers call it before they exit. */
+export async function closeDB() {
+  const open = client;
+  client = undefined;
+  database = undefined;
+  await open?.close();
+}
+
 const db = await connectDB();
 
 export default db;
@@ -0,0 +1,372 @@
+// derivatives.js
+// Translates an equity or index signal into an NFO options or futures order.
+// Expiry, strike and lot size come from the `instruments` collection; the
+// stop and target are mapped onto the premium through the option delta and
+// the position is sized in whole lots against SPAN-like margin.
+import db from './db.js';
+import { estimateSpanMargin } from './positionSizing.js';
+import { toISTDate } from './util.js';
+import { ensureClock } from './src/backtest/clock.js';
+
+// Spot index symbol (as in stock_symbols) -> NFO underlying name
+export const INDEX_UNDERLYINGS = Object.freeze({
+  'NIFTY 50': 'NIFTY',
+  'NIFTY BANK': 'BANKNIFTY',
+  'NIFTY FIN SERVICE': 'FINNIFTY',
+  'NIFTY MID SELECT': 'MIDCPNIFTY',
+});
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const YEAR_MS = 365 * DAY_MS;
+const CHAIN_FIELDS = {
+  instrument_token: 1,
+  tradingsymbol: 1,
+  name: 1,
+  expiry: 1,
+  strike: 1,
+  lot_size: 1,
+  tick_size: 1,
+  instrument_type: 1,
+};
+
+const num = (value, fallback) => {
+  const n = Number(value);
+  return value !== undefined && value !== '' && Number.isFinite(n) ? n : fallback;
+};
+
+/**
+ * F&O translation settings from the environment.
+ * FNO_MODE: off | options | futures. FNO_UNDERLYINGS lists the spot
+ * symbols (without exchange prefix) whose signals are translated.
+ */
+export function getFnoConfig(env = process.env) {
+  return {
+    mode: env.FNO_MODE || 'off',
+    underlyings: String(env.FNO_UNDERLYINGS ?? 'NIFTY 50,NIFTY BANK')
+      .split(',')
+      .map((s) => s.trim().toUpperCase())
+      .filter(Boolean),
+    strikeMode: env.FNO_STRIKE_MODE || 'delta',
+    targetDelta: num(env.FNO_TARGET_DELTA, 0.5),
+    moneyness: num(env.FNO_MONEYNESS, 0),
+    minDaysToExpiry: num(env.FNO_MIN_DAYS_TO_EXPIRY, 0),
+    iv: num(env.FNO_DEFAULT_IV, 0.15),
+    riskFreeRate: num(env.FNO_RISK_FREE_RATE, 0.065),
+    maxLots: num(env.FNO_MAX_LOTS, Infinity),
+    product: env.FNO_PRODUCT || 'MIS',
+  };
+}
+
+function bare(symbol) {
+  return String(symbol || '').split(':').pop().trim().toUpperCase();
+}
+
+/** NFO `name` for a spot symbol: NSE:NIFTY 50 -> NIFTY, NSE:TCS -> TCS. */
+export function underlyingName(symbol) {
+  const s = bare(symbol);
+  return INDEX_UNDERLYINGS[s] || s;
+}
+
+export function isIndexSymbol(symbol) {
+  return Boolean(INDEX_UNDERLYINGS[bare(symbol)]);
+}
+
+function expiryKey(expiry) {
+  if (expiry instanceof Date) return toISTDate(expiry);
+  return String(expiry || '').slice(0, 10);
+}
+
+// Contracts expire at the 15:30 IST close
+function expiryCloseMs(expiry) {
+  return Date.parse(`${expiryKey(expiry)}T15:30:00+05:30`);
+}
+
+function normCdf(x) {
+  // Abramowitz & Stegun 26.2.17, |error| < 7.5e-8
+  const t = 1 / (1 + 0.2316419 * Math.abs(x));
+  const d = 0.3989422804014327 * Math.exp((-x * x) / 2);
+  const p =
+    d * t * (0.31938153 + t * (-0.356563782 + t * (1.781477937 + t * (-1.821255978 + t * 1.330274429))));
+  return x > 0 ? 1 - p : p;
+}
+
+/**
+ * Black-Scholes price and delta for a European option.
+ * @param {Object} opts
+ * @param {number} opts.spot
+ * @param {number} opts.strike
+ * @param {number} opts.years - Time to expiry in years
+ * @param {number} opts.iv - Annualised implied volatility (0.15 = 15%)
+ * @param {number} [opts.rate=0]
+ * @param {'CE'|'PE'} opts.type
+ * @returns {{price:number, delta:number}}
+ */
+export function blackScholes({ spot, strike, years, iv, rate = 0, type }) {
+  const t = Math.max(years, 1 / (365 * 24));
+  const vol = Math.max(iv, 1e-4) * Math.sqrt(t);
+  const d1 = (Math.log(spot / strike) + (rate + (iv * iv) / 2) * t) / vol;
+  const d2 = d1 - vol;
+  const discounted = strike * Math.exp(-rate * t);
+  if (type === 'CE') {
+    return { price: spot * normCdf(d1) - discounted * normCdf(d2), delta: normCdf(d1) };
+  }
+  return { price: discounted * normCdf(-d2) - spot * normCdf(-d1), delta: normCdf(d1) - 1 };
+}
+
+/**
+ * Nearest expiry at least `minDaysToExpiry` days away.
+ * @returns {string|null} YYYY-MM-DD
+ */
+export function pickExpiry(contracts, { now = Date.now(), minDaysToExpiry = 0 } = {}) {
+  const keys = [...new Set(contracts.map((c) => expiryKey(c.expiry)))].sort();
+  return (
+    keys.find((key) => {
+      const left = expiryCloseMs(key) - now;
+      return left > 0 && left >= minDaysToExpiry * DAY_MS;
+    }) || null
+  );
+}
+
+/**
+ * Choose a strike from one expiry's CE or PE contracts, either by target
+ * |delta| or by `moneyness` strikes away from ATM (positive = OTM).
+ * @returns {{contract:Object, delta:number, theoretical:number}|null}
+ */
+export function selectStrike(
+  contracts,
+  { spot, type, mode = 'delta', targetDelta = 0.5, moneyness = 0, years, iv, rate = 0 }
+) {
+  const pool = contracts
+    .filter((c) => c.instrument_type === type && c.strike > 0)
+    .sort((a, b) => a.strike - b.strike);
+  if (!pool.length || !(spot > 0)) return null;
+  const greeks = (c) => blackScholes({ spot, strike: c.strike, years, iv, rate, type });
+  let chosen;
+  if (mode === 'moneyness') {
+    let atm = 0;
+    pool.forEach((c, i) => {
+      if (Math.abs(c.strike - spot) < Math.abs(pool[atm].strike - spot)) atm = i;
+    });
+    const step = type === 'CE' ? moneyness : -moneyness;
+    chosen = pool[Math.min(pool.length - 1, Math.max(0, atm + Math.round(step)))];
+  } else {
+    chosen = pool.reduce((best, c) =>
+      Math.abs(Math.abs(greeks(c).delta) - targetDelta) <
+      Math.abs(Math.abs(greeks(best).delta) - targetDelta)
+        ? c
+        : best
+    );
+  }
+  const { price, delta } = greeks(chosen);
+  return { contract: chosen, delta, theoretical: price };
+}
+
+function roundToTick(value, tick = 0.05) {
+  const t = tick > 0 ? tick : 0.05;
+  return Number((Math.round(value / t) * t).toFixed(2));
+}
+
+/**
+ * Map the underlying's stop/target distances onto an option premium
+ * (first-order, via delta). The bought option always profits when the
+ * underlying moves in the signal's direction.
+ * @returns {{stopLoss:number, target:number, target1?:number, riskPerUnit:number}}
+ */
+export function estimatePremiumLevels({ premium, delta, entry, stopLoss, target, target1, tickSize }) {
+  const d = Math.abs(delta);
+  const tick = tickSize > 0 ? tickSize : 0.05;
+  const sl = Math.max(tick, roundToTick(premium - d * Math.abs(entry - stopLoss), tick));
+  const levels = {
+    stopLoss: sl,
+    target: roundToTick(premium + d * Math.abs(target - entry), tick),
+    riskPerUnit: premium - sl,
+  };
+  if (Number.isFinite(target1)) {
+    levels.target1 = roundToTick(premium + d * Math.abs(target1 - entry), tick);
+  }
+  return levels;
+}
+
+async function defaultQuote(instrument) {
+  const { kc } = await import('./kite.js');
+  const ltp = await kc.getLTP([instrument]);
+  return ltp?.[instrument]?.last_price;
+}
+
+/**
+ * @param {Object} [options]
+ * @param {Object} [options.database=db]
+ * @param {Function} [options.getQuote] - async ('NFO:SYMBOL') => last price
+ * @param {Object} [options.clock]
+ * @param {Object} [options.config] - Overrides getFnoConfig()
+ */
+export function createFnoTranslator(options = {}) {
+  const database = options.database || db;
+  const getQuote = options.getQuote || defaultQuote;
+  const clock = ensureClock(options.clock);
+  const chains = new Map(); // `${name}:${kind}:${day}` -> contracts
+
+  async function loadContracts(name, kind) {
+    const key = `${name}:${kind}:${toISTDate(new Date(clock.now()))}`;
+    if (!chains.has(key)) {
+      const types = kind === 'futures' ? ['FUT'] : ['CE', 'PE'];
+      const contracts = await database
+        .collection('instruments')
+        .find({ exchange: 'NFO', name, instrument_type: { $in: types } })
+        .project(CHAIN_FIELDS)
+        .toArray();
+      chains.set(key, contracts);
+    }
+    return chains.get(key);
+  }
+
+  async function quote(tradingsymbol) {
+    try {
+      const price = Number(await getQuote(`NFO:${tradingsymbol}`));
+      return price > 0 ? price : null;
+    } catch (err) {
+      console.error(`[FNO] quote failed for ${tradingsymbol}: ${err?.message || err}`);
+      return null;
+    }
+  }
+
+  return {
+    loadContracts,
+    clearCache() {
+      chains.clear();
+    },
+    /**
+     * Translate a spot signal into a derivative order for sendToExecution.
+     * @param {Object} signal - Spot signal (entry/stopLoss/target in underlying points)
+     * @param {Object} [opts]
+     * @param {number} opts.capital - Available margin
+     * @param {number} [opts.riskAmount] - Rupee risk; defaults to the spot signal's qty × stop distance
+     * @param {Object} [opts.config] - Per-call overrides of the F&O config
+     * @returns {Promise<{ok:true, signal:Object}|{ok:false, reason:string}>}
+     */
+    async translate(signal, opts = {}) {
+      const cfg = { ...getFnoConfig(), ...options.config, ...opts.config };
+      if (cfg.mode !== 'options' && cfg.mode !== 'futures') return { ok: false, reason: 'disabled' };
+      const spotSymbol = signal.stock || signal.symbol;
+      if (!cfg.underlyings.includes(bare(spotSymbol))) return { ok: false, reason: 'notEligible' };
+
+      const spot = Number(signal.entry);
+      const stopLoss = Number(signal.stopLoss);
+      const target = Number(signal.target2 ?? signal.target ?? signal.target1);
+      if (!(spot > 0) || !(stopLoss > 0) || !(target > 0)) return { ok: false, reason: 'invalidPrices' };
+
+      const name = underlyingName(spotSymbol);
+      const now = clock.now();
+      const contracts = await loadContracts(name, cfg.mode);
+      const expiry = pickExpiry(contracts, { now, minDaysToExpiry: cfg.minDaysToExpiry });
+      if (!expiry) return { ok: false, reason: 'noExpiry' };
+      const series = contracts.filter((c) => expiryKey(c.expiry) === expiry);
+      const years = (expiryCloseMs(expiry) - now) / YEAR_MS;
+      const isIndex = isIndexSymbol(spotSymbol);
+      const long = signal.direction === 'Long';
+
+      let contract;
+      let levels;
+      let entry;
+      let delta = 1;
+      let premiumSource = 'quote';
+      if (cfg.mode === 'options') {
+        const type = long ? 'CE' : 'PE';
+        const pick = selectStrike(series, {
+          spot,
+          type,
+          mode: cfg.strikeMode,
+          targetDelta: cfg.targetDelta,
+          moneyness: cfg.moneyness,
+          years,
+          iv: cfg.iv,
+          rate: cfg.riskFreeRate,
+        });
+        if (!pick) return { ok: false, reason: 'noStrike' };
+        ({ contract, delta } = pick);
+        entry = await quote(contract.tradingsymbol);
+        if (!entry) {
+          entry = roundToTick(pick.theoretical, contract.tick_size);
+          premiumSource = 'model';
+        }
+        if (!(entry > 0)) return { ok: false, reason: 'noPremium' };
+        levels = estimatePremiumLevels({
+          premium: entry,
+          delta,
+          entry: spot,
+          stopLoss,
+          target,
+          target1: Number(signal.target1),
+          tickSize: contract.tick_size,
+        });
+      } else {
+        [contract] = series;
+        if (!contract) return { ok: false, reason: 'noContract' };
+        entry = (await quote(contract.tradingsymbol)) ?? spot;
+        const basis = entry - spot;
+        levels = {
+          stopLoss: roundToTick(stopLoss + basis, contract.tick_size),
+          target: roundToTick(target + basis, contract.tick_size),
+          riskPerUnit: Math.abs(spot - stopLoss),
+        };
+        if (Number.isFinite(Number(signal.target1))) {
+          levels.target1 = roundToTick(Number(signal.target1) + basis, contract.tick_size);
+        }
+      }
+
+      const lotSize = Number(contract.lot_size) || 1;
+      const marginPerLot = estimateSpanMargin({
+        instrumentType: contract.instrument_type,
+        side: cfg.mode === 'futures' && !long ? 'sell' : 'buy',
+        price: entry,
+        underlyingPrice: spot,
+        lotSize,
+        isIndex,
+      });
+      const riskAmount =
+        opts.riskAmount ?? Math.abs(spot - stopLoss) * (Number(signal.qty) || 0);
+      const byRisk = riskAmount / (levels.riskPerUnit * lotSize);
+      const byMargin = marginPerLot > 0 ? (Number(opts.capital) || 0) / marginPerLot : 0;
+      const lots = Math.floor(Math.min(byRisk, byMargin, cfg.maxLots));
+      if (!(lots >= 1)) return { ok: false, reason: byMargin < 1 ? 'margin' : 'sizing' };
+
+      const instrument = `NFO:${contract.tradingsymbol}`;
+      return {
+        ok: true,
+        signal: {
+          ...signal,
+          stock: instrument,
+          symbol: instrument,
+          exchange: 'NFO',
+          tradingsymbol: contract.tradingsymbol,
+          instrumentToken: contract.instrument_token,
+          product: cfg.product,
+          direction: cfg.mode === 'options' ? 'Long' : signal.direction,
+          entry,
+          stopLoss: levels.stopLoss,
+          target1: levels.target1 ?? levels.target,
+          target2: levels.target,
+          target: levels.target,
+          lotSize,
+          lots,
+          qty: lots * lotSize,
+          margin: lots * marginPerLot,
+          derivative: {
+            underlying: spotSymbol,
+            underlyingDirection: signal.direction,
+            underlyingEntry: spot,
+            underlyingStopLoss: stopLoss,
+            underlyingTarget: target,
+            instrumentType: contract.instrument_type,
+            strike: contract.strike || null,
+            expiry,
+            delta: Number(delta.toFixed(3)),
+            premiumSource: cfg.mode === 'options' ? premiumSource : undefined,
+          },
+        },
+      };
+    },
+  };
+}
+
+export const fnoTranslator = createFnoTranslator();
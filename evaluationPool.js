@@ -0,0 +1,293 @@
+// evaluationPool.js
+// Runs candidateEvaluator jobs on worker_threads (evaluationWorker.js). Tokens
+// are sharded by a stable hash so each token's feature stream lives in one
+// worker. Every worker takes at most `maxInFlight` jobs at a time and queues
+// up to `maxQueued` more; beyond that evaluate() resolves null and the caller
+// evaluates in-process. A null result also covers timeouts, worker errors
+// and crashed workers (which are restarted). close() lets each worker close
+// its Mongo connection before it exits.
+import os from 'os';
+import { Worker } from 'worker_threads';
+
+export const DEFAULT_MAX_IN_FLIGHT = 8;
+export const DEFAULT_MAX_QUEUED = 64;
+const CYCLE_HISTORY = 60;
+const MAX_RESTARTS = 5;
+
+/** EVAL_WORKERS, else one worker per spare core (at most 8); 0 disables. */
+export function defaultPoolSize(env = process.env) {
+  if (env.EVAL_WORKERS !== undefined && env.EVAL_WORKERS !== '') {
+    return Math.max(0, Math.floor(Number(env.EVAL_WORKERS)) || 0);
+  }
+  const cores = typeof os.availableParallelism === 'function' ? os.availableParallelism() : os.cpus().length;
+  return Math.min(8, Math.max(0, cores - 1));
+}
+
+/** Stable worker index for a token (FNV-1a). */
+export function shardFor(key, size) {
+  const s = String(key);
+  let h = 0x811c9dc5;
+  for (let i = 0; i < s.length; i++) {
+    h ^= s.charCodeAt(i);
+    h = Math.imul(h, 0x01000193);
+  }
+  return (h >>> 0) % size;
+}
+
+const round = (n) => (n == null ? null : Math.round(n * 100) / 100);
+
+function summarize(values) {
+  if (!values.length) return { p50: null, p95: null, max: null };
+  const sorted = [...values].sort((a, b) => a - b);
+  const at = (p) => sorted[Math.min(sorted.length - 1, Math.floor(p * sorted.length))];
+  return { p50: round(at(0.5)), p95: round(at(0.95)), max: round(sorted.at(-1)) };
+}
+
+/**
+ * @param {Object} [options]
+ * @param {number} [options.size] - worker count; 0 keeps evaluation in-process
+ * @param {number} [options.maxInFlight] - jobs posted to one worker at a time
+ * @param {number} [options.maxQueued] - jobs waiting per worker before evaluate() gives up
+ * @param {number} [options.timeoutMs=10000]
+ * @param {number} [options.closeTimeoutMs=2000] - close() terminates workers that have not exited by then
+ * @param {Function} [options.onStats] - receives strategy registry counters from workers
+ * @param {Function} [options.createWorker] - (url) => Worker-like; for tests
+ */
+export function createEvaluationPool({
+  size = defaultPoolSize(),
+  maxInFlight = Number(process.env.EVAL_MAX_IN_FLIGHT) || DEFAULT_MAX_IN_FLIGHT,
+  maxQueued = Number(process.env.EVAL_MAX_QUEUE) || DEFAULT_MAX_QUEUED,
+  timeoutMs = 10_000,
+  closeTimeoutMs = 2000,
+  workerUrl = new URL('./evaluationWorker.js', import.meta.url),
+  createWorker = (url) => new Worker(url),
+  onStats = null,
+  logger = console,
+  now = () => performance.now(),
+} = {}) {
+  const slots = [];
+  const totals = { jobs: 0, completed: 0, timeout: 0, error: 0, crash: 0, backpressure: 0 };
+  const cycles = [];
+  let started = false;
+  let closing = false;
+  let nextId = 1;
+  let cycle = null;
+
+  function spawn(slot) {
+    const worker = createWorker(workerUrl);
+    slot.worker = worker;
+    worker.on('message', (msg) => {
+      if (msg?.stats?.length) onStats?.(msg.stats);
+      if (msg?.type === 'result') settle(slot, msg.id, msg.result);
+      else if (msg?.type === 'error') {
+        if (totals.error === 0 || totals.error % 100 === 0) {
+          logger.error?.(`[evaluationPool] worker ${slot.index} job failed: ${msg.error}`);
+        }
+        settle(slot, msg.id, null, 'error');
+      }
+    });
+    worker.on('error', (err) => logger.error?.(`[evaluationPool] worker ${slot.index} error: ${err?.message || err}`));
+    worker.on('exit', (code) => {
+      if (slot.worker !== worker) return;
+      slot.worker = null;
+      for (const id of [...slot.inFlight.keys()]) settle(slot, id, null, 'crash');
+      if (closing) return;
+      slot.restarts += 1;
+      if (slot.restarts > MAX_RESTARTS) {
+        logger.error?.(`[evaluationPool] worker ${slot.index} exited (${code}) too often; evaluating its tokens in-process`);
+        for (const rec of slot.queue.splice(0)) finish(rec, null, 'crash');
+        return;
+      }
+      logger.warn?.(`[evaluationPool] worker ${slot.index} exited (${code}); restarting`);
+      spawn(slot);
+      pump(slot);
+    });
+  }
+
+  // Ask the worker to close its db connection and exit; terminate it if it
+  // has not after closeTimeoutMs
+  function shutdown(worker) {
+    return new Promise((resolve) => {
+      const timer = setTimeout(() => {
+        Promise.resolve(worker.terminate?.()).catch(() => {}).finally(resolve);
+      }, closeTimeoutMs);
+      worker.once('exit', () => {
+        clearTimeout(timer);
+        resolve();
+      });
+      worker.postMessage({ type: 'close' });
+    });
+  }
+
+  function finish(rec, result, failure) {
+    clearTimeout(rec.timer);
+    if (failure) totals[failure] += 1;
+    else totals.completed += 1;
+    if (cycle && rec.cycle === cycle) {
+      if (failure) cycle.failures[failure] += 1;
+      else {
+        cycle.completed += 1;
+        if (Number.isFinite(result?.evalMs)) cycle.evalMs.push(result.evalMs);
+      }
+      cycle.roundTripMs.push(now() - rec.submittedAt);
+      if (rec.dispatchedAt != null) cycle.queueWaitMs.push(rec.dispatchedAt - rec.submittedAt);
+    }
+    rec.resolve(result);
+  }
+
+  function settle(slot, id, result, failure = null) {
+    const rec = slot.inFlight.get(id);
+    if (!rec) return; // already timed out
+    slot.inFlight.delete(id);
+    finish(rec, result, failure);
+    pump(slot);
+  }
+
+  function pump(slot) {
+    while (slot.worker && slot.inFlight.size < maxInFlight && slot.queue.length) {
+      const rec = slot.queue.shift();
+      rec.dispatchedAt = now();
+      slot.inFlight.set(rec.id, rec);
+      rec.timer = setTimeout(() => settle(slot, rec.id, null, 'timeout'), timeoutMs);
+      try {
+        slot.worker.postMessage({ type: 'evaluate', id: rec.id, job: rec.job });
+      } catch (err) {
+        logger.error?.(`[evaluationPool] could not post job: ${err.message}`);
+        settle(slot, rec.id, null, 'error');
+      }
+    }
+  }
+
+  const live = () => slots.filter((s) => s.worker);
+
+  return {
+    get size() {
+      return size;
+    },
+    /** True once started with at least one live worker. */
+    get enabled() {
+      return started && live().length > 0;
+    },
+
+    /** Spawn the workers; `onStats` replaces the constructor option. */
+    start({ onStats: statsListener } = {}) {
+      if (statsListener) onStats = statsListener;
+      if (started || size <= 0) return this;
+      started = true;
+      closing = false;
+      for (let index = 0; index < size; index++) {
+        const slot = { index, worker: null, inFlight: new Map(), queue: [], restarts: 0 };
+        slots.push(slot);
+        spawn(slot);
+      }
+      return this;
+    },
+
+    /**
+     * Evaluate one candidateEvaluator job on its token's worker.
+     * @param {Object} job - buildEvaluationJob() output
+     * @returns {Promise<Object|null>} evaluateCandidate result, or null when
+     *   the caller should evaluate in-process
+     */
+    evaluate(job) {
+      if (!started || !slots.length) return Promise.resolve(null);
+      totals.jobs += 1;
+      if (cycle) cycle.jobs += 1;
+      const slot = slots[shardFor(job.key ?? job.symbol, slots.length)];
+      const rec = { id: nextId++, job, submittedAt: now(), dispatchedAt: null, timer: null, cycle };
+      if (!slot.worker || slot.queue.length >= maxQueued) {
+        const failure = slot.worker ? 'backpressure' : 'crash';
+        return new Promise((resolve) => finish({ ...rec, resolve }, null, failure));
+      }
+      return new Promise((resolve) => {
+        rec.resolve = resolve;
+        slot.queue.push(rec);
+        pump(slot);
+      });
+    },
+
+    /** Jobs the pool can take right now without giving up on any. */
+    capacity() {
+      return live().reduce(
+        (n, s) => n + Math.max(0, maxInFlight + maxQueued - s.inFlight.size - s.queue.length),
+        0
+      );
+    },
+
+    /** Re-read strategy plugins, rules and settings in every worker. */
+    reload() {
+      for (const slot of live()) slot.worker.postMessage({ type: 'reload' });
+    },
+
+    /** Drop a token's feature stream in its worker (e.g. adjusted prices). */
+    reset(key) {
+      if (!slots.length) return;
+      slots[shardFor(key, slots.length)].worker?.postMessage({ type: 'reset', key: String(key) });
+    },
+
+    /**
+     * Start timing one scan cycle; end() records its latency summary.
+     * Cycles are timed with or without workers.
+     */
+    startCycle() {
+      const current = {
+        startedAt: Date.now(),
+        t0: now(),
+        jobs: 0,
+        completed: 0,
+        failures: { timeout: 0, error: 0, crash: 0, backpressure: 0 },
+        evalMs: [],
+        roundTripMs: [],
+        queueWaitMs: [],
+      };
+      cycle = current;
+      return {
+        end(extra = {}) {
+          if (cycle === current) cycle = null;
+          const summary = {
+            startedAt: new Date(current.startedAt).toISOString(),
+            workers: live().length,
+            ...extra,
+            jobs: current.jobs,
+            completed: current.completed,
+            fallbacks: { ...current.failures },
+            wallMs: round(now() - current.t0),
+            evalMs: summarize(current.evalMs),
+            roundTripMs: summarize(current.roundTripMs),
+            maxQueueWaitMs: summarize(current.queueWaitMs).max,
+          };
+          cycles.push(summary);
+          if (cycles.length > CYCLE_HISTORY) cycles.shift();
+          return summary;
+        },
+      };
+    },
+
+    stats() {
+      return {
+        size,
+        workers: live().length,
+        inFlight: slots.reduce((n, s) => n + s.inFlight.size, 0),
+        queued: slots.reduce((n, s) => n + s.queue.length, 0),
+        capacity: this.capacity(),
+        restarts: slots.reduce((n, s) => n + s.restarts, 0),
+        totals: { ...totals },
+        cycles: [...cycles],
+      };
+    },
+
+    async close() {
+      closing = true;
+      started = false;
+      const workers = slots.map((s) => s.worker).filter(Boolean);
+      for (const slot of slots.splice(0)) {
+        slot.worker = null;
+        for (const id of [...slot.inFlight.keys()]) settle(slot, id, null, 'crash');
+        for (const rec of slot.queue.splice(0)) finish(rec, null, 'crash');
+      }
+      await Promise.all(workers.map(shutdown));
+    },
+  };
+}
+
+export const evaluationPool = createEvaluationPool();
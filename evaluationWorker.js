@@ -0,0 +1,55 @@
+// evaluationWorker.js
+// Worker thread behind evaluationPool.js. It loads the strategy registry the
+// same way index.js does (plugins, stored rules, stored settings), answers
+// `evaluate` jobs with candidateEvaluator results and re-reads the registry
+// on `reload`. Registry counters go back with results, at most once a second.
+// On `close` it closes its own Mongo connection (db.js) and exits.
+import { parentPort } from 'worker_threads';
+import db, { closeDB } from './db.js';
+import { evaluateCandidate } from './candidateEvaluator.js';
+import { featureStreams } from './indicatorStreams.js';
+import { strategyRegistry } from './strategyRegistry.js';
+import { ruleBook } from './strategyDsl.js';
+
+const STATS_INTERVAL_MS = 1000;
+let lastStatsAt = Date.now();
+
+async function loadStrategies() {
+  try {
+    await strategyRegistry.loadPlugins();
+    await ruleBook.load({ database: db });
+    await strategyRegistry.load({ database: db });
+  } catch (err) {
+    console.error('[evaluationWorker] strategy registry load failed:', err.message);
+  }
+}
+
+let ready = loadStrategies();
+
+parentPort.on('message', async (msg) => {
+  await ready;
+  if (msg?.type === 'reload') {
+    ready = loadStrategies();
+    return;
+  }
+  if (msg?.type === 'close') {
+    await closeDB().catch((err) => console.error('[evaluationWorker] db close failed:', err.message));
+    process.exit(0);
+  }
+  if (msg?.type === 'reset') {
+    featureStreams.reset(msg.key);
+    return;
+  }
+  if (msg?.type !== 'evaluate') return;
+  let stats = null;
+  if (Date.now() - lastStatsAt >= STATS_INTERVAL_MS) {
+    stats = strategyRegistry.drainStats();
+    lastStatsAt = Date.now();
+  }
+  try {
+    const result = evaluateCandidate(msg.job);
+    parentPort.postMessage({ type: 'result', id: msg.id, result, stats });
+  } catch (err) {
+    parentPort.postMessage({ type: 'error', id: msg.id, error: err.message, stats });
+  }
+});
@@ -0,0 +1,228 @@
+// eventCalendar.js
+// Scheduled market and corporate events: RBI policy, Union Budget, F&O
+// expiry, index rebalancing (market-wide) and per-symbol earnings, dividend
+// and split dates. Each event type has a window around its time; inside a
+// `block` window no new signals are taken, inside a `tighten` window they
+// are sized down. Events live in the `market_events` collection and can be
+// imported from CSV.
+import { parseCsv } from './util.js';
+import { istDate } from './tradingCalendar.js';
+import { ensureClock } from './src/backtest/clock.js';
+
+export const EVENT_COLLECTION = 'market_events';
+
+// scope: `market` events apply to every symbol unless one is given;
+// `symbol` events need a symbol. `time` is the default IST event time.
+export const EVENT_TYPES = Object.freeze({
+  rbi_policy: { scope: 'market', time: '10:00' },
+  budget: { scope: 'market', time: '11:00' },
+  fno_expiry: { scope: 'market', time: '15:30' },
+  index_rebalance: { scope: 'market', time: '15:30' },
+  earnings: { scope: 'symbol', time: '15:30' },
+  dividend: { scope: 'symbol', time: '09:15' },
+  split: { scope: 'symbol', time: '09:15' },
+});
+
+export const EVENT_ACTIONS = ['block', 'tighten', 'none'];
+
+// Minutes before/after the event time
+export const DEFAULT_EVENT_WINDOWS = Object.freeze({
+  rbi_policy: { before: 30, after: 60, action: 'block' },
+  budget: { before: 60, after: 180, action: 'block' },
+  fno_expiry: { before: 90, after: 0, action: 'tighten' },
+  index_rebalance: { before: 60, after: 0, action: 'tighten' },
+  earnings: { before: 120, after: 1440, action: 'tighten' },
+  dividend: { before: 0, after: 375, action: 'tighten' },
+  split: { before: 0, after: 375, action: 'block' },
+});
+
+const DEFAULT_SIZE_FACTOR = 0.5;
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+const TIME_RE = /^([01]\d|2[0-3]):[0-5]\d$/;
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+
+function bareSymbol(symbol = '') {
+  return String(symbol || '').split(':').pop().trim().toUpperCase();
+}
+
+/** Canonical stored form: symbol '' for market-wide events. */
+export function normalizeEvent(entry = {}) {
+  const type = String(entry.type || '').trim().toLowerCase();
+  return {
+    date: String(entry.date || '').trim(),
+    type,
+    symbol: bareSymbol(entry.symbol),
+    time: entry.time ? String(entry.time).trim() : EVENT_TYPES[type]?.time || '09:15',
+    description: entry.description ? String(entry.description) : '',
+  };
+}
+
+/** @returns {string[]} errors */
+export function validateEvent(entry = {}) {
+  const errors = [];
+  const ev = normalizeEvent(entry);
+  if (!DATE_RE.test(ev.date)) errors.push('date must be YYYY-MM-DD');
+  if (!EVENT_TYPES[ev.type]) {
+    errors.push(`type must be one of ${Object.keys(EVENT_TYPES).join(', ')}`);
+  } else if (EVENT_TYPES[ev.type].scope === 'symbol' && !ev.symbol) {
+    errors.push(`${ev.type} events need a symbol`);
+  }
+  if (!TIME_RE.test(ev.time)) errors.push('time must be HH:MM (IST)');
+  return errors;
+}
+
+/**
+ * Parse `date,type,symbol,time,description` rows (header order is free;
+ * `symbol`, `time` and `description` are optional).
+ * @returns {{rows:Object[], errors:string[]}}
+ */
+export function parseEventsCsv(text = '') {
+  const { header, rows: records } = parseCsv(text);
+  if (!header.includes('date') || !header.includes('type')) {
+    return { rows: [], errors: ['header needs date and type columns'] };
+  }
+  const rows = [];
+  const errors = [];
+  records.forEach((rec, i) => {
+    const errs = validateEvent(rec);
+    if (errs.length) errors.push(`line ${i + 2}: ${errs.join('; ')}`);
+    else rows.push(normalizeEvent(rec));
+  });
+  return { rows, errors };
+}
+
+/**
+ * @param {Object} [options]
+ * @param {Object[]} [options.events]
+ * @param {Object} [options.windows] - per-type overrides of DEFAULT_EVENT_WINDOWS
+ * @param {number} [options.sizeFactor] - qty multiplier inside tighten windows
+ * @param {Object} [options.clock]
+ */
+export function createEventCalendar(options = {}) {
+  const clock = ensureClock(options.clock);
+  let events = [];
+  let windows = {};
+  let sizeFactor = DEFAULT_SIZE_FACTOR;
+
+  function configure({ windows: w = {}, sizeFactor: f } = {}) {
+    windows = {};
+    for (const [type, base] of Object.entries(DEFAULT_EVENT_WINDOWS)) {
+      windows[type] = { ...base, ...(w[type] || {}) };
+    }
+    sizeFactor = Number.isFinite(f) ? f : DEFAULT_SIZE_FACTOR;
+    return { windows: structuredClone(windows), sizeFactor };
+  }
+  configure(options);
+
+  function setEvents(list = []) {
+    events = list
+      .filter((e) => !validateEvent(e).length)
+      .map(normalizeEvent)
+      .sort((a, b) => a.date.localeCompare(b.date) || a.time.localeCompare(b.time));
+    return events.length;
+  }
+  if (options.events) setEvents(options.events);
+
+  function windowFor(ev) {
+    const w = windows[ev.type];
+    const at = Date.parse(`${ev.date}T${ev.time}:00+05:30`);
+    return {
+      ...ev,
+      action: w.action,
+      eventAt: at,
+      start: at - w.before * MINUTE_MS,
+      end: at + w.after * MINUTE_MS,
+    };
+  }
+
+  const appliesTo = (ev, symbol) => !ev.symbol || ev.symbol === symbol;
+
+  return {
+    configure,
+    setEvents,
+    /** Load every stored event. */
+    async load({ database }) {
+      const rows = await database
+        .collection(EVENT_COLLECTION)
+        .find({}, { projection: { _id: 0 } })
+        .toArray();
+      return setEvents(rows);
+    },
+    list({ from, to, symbol, type } = {}) {
+      const sym = symbol ? bareSymbol(symbol) : null;
+      return events.filter(
+        (e) =>
+          (!from || e.date >= from) &&
+          (!to || e.date <= to) &&
+          (!type || e.type === type) &&
+          (!sym || appliesTo(e, sym))
+      );
+    },
+    /**
+     * Event context for one symbol at `at`.
+     * `active` are events whose window contains `at`; `symbolEvents` are
+     * this symbol's own events within three days either side, with
+     * `daysSince` (0 = today, 1 = yesterday, -1 = tomorrow) for detectors.
+     */
+    contextFor(symbol, at = clock.now()) {
+      const sym = bareSymbol(symbol);
+      const today = istDate(at);
+      const todayMs = Date.parse(`${today}T00:00:00Z`);
+      const active = [];
+      const symbolEvents = [];
+      let isEventDay = false;
+      for (const ev of events) {
+        if (!appliesTo(ev, sym)) continue;
+        const win = windowFor(ev);
+        if (ev.date === today) isEventDay = true;
+        if (at >= win.start && at <= win.end && win.action !== 'none') {
+          active.push({ ...win, phase: at < win.eventAt ? 'before' : 'after' });
+        }
+        if (ev.symbol === sym) {
+          const daysSince = Math.round((todayMs - Date.parse(`${ev.date}T00:00:00Z`)) / DAY_MS);
+          if (Math.abs(daysSince) <= 3) symbolEvents.push({ ...ev, daysSince });
+        }
+      }
+      const blocking = active.filter((e) => e.action === 'block');
+      const tightened = active.some((e) => e.action === 'tighten');
+      return {
+        at,
+        active,
+        blocking,
+        blocked: blocking.length > 0,
+        tightened,
+        sizeFactor: tightened ? sizeFactor : 1,
+        isEventDay,
+        symbolEvents,
+      };
+    },
+    /**
+     * Today's market-wide events in the shape handleEconomicEvents takes;
+     * `active` is true inside a blocking window.
+     */
+    marketEvents(at = clock.now()) {
+      const today = istDate(at);
+      return events
+        .filter((e) => !e.symbol && e.date === today)
+        .map((e) => {
+          const win = windowFor(e);
+          return {
+            ...e,
+            action: win.action,
+            start: new Date(win.start),
+            end: new Date(win.end),
+            active: win.action === 'block' && at >= win.start && at <= win.end,
+          };
+        });
+    },
+  };
+}
+
+export const eventCalendar = createEventCalendar();
+
+/** configService applier for the `events` section. */
+export function applyEventConfig(values = {}) {
+  const { sizeFactor, ...perType } = values;
+  return eventCalendar.configure({ windows: perType, sizeFactor });
+}
@@ -0,0 +1,419 @@
+// executionQuality.js
+// Transaction cost analysis. Each signal (`signals`) is joined with whether
+// it was sent (`executed_signals`), how its entry was worked
+// (`execution_reports`, smartOrderRouter.js), its entry order updates
+// (`order_updates`, tradeLogger.logOrderUpdate) and its realized P&L
+// (`trade_logs`). Per signal it measures slippage against the signal entry,
+// the arrival LTP and the signal-time VWAP, the fill rate and the time to
+// fill. Entries that were sent but not filled are priced as missed trades
+// from the candles that followed. Results roll up by strategy, symbol and
+// time of day, and the measured slippage per symbol is fed back into
+// riskDefaults.frictions (riskConfig.setMeasuredSlippage).
+import db from './db.js';
+import { setMeasuredSlippage } from './riskConfig.js';
+import { EXECUTION_COLLECTION } from './smartOrderRouter.js';
+import { ensureClock } from './src/backtest/clock.js';
+
+export const TCA_GROUPS = ['strategy', 'symbol', 'timeOfDay'];
+/** Longest window a report or slippage run reads. */
+export const MAX_TCA_DAYS = 90;
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Concurrent candle loads while pricing missed trades
+const CANDLE_LOADS = 4;
+const IST_OFFSET_MS = 330 * 60 * 1000;
+
+const toNum = (v) => (Number.isFinite(Number(v)) && v !== null && v !== '' ? Number(v) : null);
+const round2 = (n) => Math.round(n * 100) / 100;
+const symbolKey = (symbol) => String(symbol || '').split(':').pop().trim().toUpperCase();
+const toMs = (v) => {
+  if (v == null) return null;
+  const t = new Date(v).getTime();
+  return Number.isFinite(t) ? t : null;
+};
+
+/** 30-minute IST bucket of a timestamp, e.g. "09:30". */
+export function timeOfDayBucket(at) {
+  const t = toMs(at);
+  if (t == null) return null;
+  const ist = new Date(t + IST_OFFSET_MS);
+  return `${String(ist.getUTCHours()).padStart(2, '0')}:${ist.getUTCMinutes() < 30 ? '00' : '30'}`;
+}
+
+// IST day number of `at`
+function istDay(at) {
+  return Math.floor((at + IST_OFFSET_MS) / DAY_MS);
+}
+
+// Last moment of the IST day `at` falls in
+function endOfIstDay(at) {
+  return istDay(at) * DAY_MS + DAY_MS - IST_OFFSET_MS - 1;
+}
+
+// Adverse move per share from `ref` to `price`; positive is a cost
+function slip(price, ref, dir) {
+  if (!(price > 0) || !(ref > 0)) return null;
+  const abs = round2((price - ref) * dir);
+  return { abs, bps: round2((abs / ref) * 10_000) };
+}
+
+function groupBySignal(rows, idOf = (r) => r.signalId) {
+  const map = new Map();
+  for (const row of rows) {
+    const id = idOf(row);
+    if (id == null) continue;
+    const key = String(id);
+    if (!map.has(key)) map.set(key, []);
+    map.get(key).push(row);
+  }
+  return map;
+}
+
+// sendOrder tags orders "<signalId>_<strategy>_<confidence>": index each
+// order under its whole tag and every "_"-delimited prefix of it
+function ordersByTag(orders) {
+  const byTag = new Map();
+  for (const o of orders) {
+    if (o.tag == null) continue;
+    const tag = String(o.tag);
+    for (let i = tag.indexOf('_'); ; i = tag.indexOf('_', i + 1)) {
+      const key = i < 0 ? tag : tag.slice(0, i);
+      if (!byTag.has(key)) byTag.set(key, []);
+      byTag.get(key).push(o);
+      if (i < 0) break;
+    }
+  }
+  return byTag;
+}
+
+// Latest state and first fill time of every order in the update log
+function ordersFromUpdates(updates) {
+  const orders = new Map();
+  for (const u of updates) {
+    if (u?.order_id == null) continue;
+    const id = String(u.order_id);
+    const at = toMs(u.exchange_timestamp ?? u.order_timestamp ?? u.timestamp);
+    const filled = Number(u.filled_quantity) || 0;
+    const prev = orders.get(id);
+    const order = prev || { ...u, firstFillAt: null };
+    if (prev && filled >= (Number(prev.filled_quantity) || 0)) Object.assign(order, u);
+    if (filled > 0 && at != null && (order.firstFillAt == null || at < order.firstFillAt)) order.firstFillAt = at;
+    orders.set(id, order);
+  }
+  return orders;
+}
+
+/**
+ * One row per signal: what was sent, what filled, at what cost.
+ * Slippage is per share and positive when it cost money. Time to fill runs
+ * from the first order being sent to its first fill.
+ * @param {Object} data - { signals, executed, reports, updates, trades } documents
+ * @returns {Object[]}
+ */
+export function joinExecutions({ signals = [], executed = [], reports = [], updates = [], trades = [] } = {}) {
+  const sent = groupBySignal(executed);
+  const routed = groupBySignal(reports);
+  const logs = groupBySignal(trades);
+  const byId = ordersFromUpdates(updates);
+  const byTag = ordersByTag(byId.values());
+
+  return signals
+    .filter((s) => s?.signalId != null)
+    .map((sig) => {
+      const id = String(sig.signalId);
+      const side = String(sig.side || (sig.direction === 'Long' ? 'BUY' : 'SELL')).toUpperCase();
+      const dir = side === 'BUY' ? 1 : -1;
+      const signalAt = toMs(sig.generatedAt ?? sig.timestamp);
+      const runs = (routed.get(id) || []).sort((a, b) => toMs(a.startedAt) - toMs(b.startedAt));
+      const sends = sent.get(id) || [];
+      const candidates = new Set(byTag.get(id));
+      for (const r of runs) {
+        for (const c of r.children || []) {
+          const o = byId.get(String(c.orderId));
+          if (o) candidates.add(o);
+        }
+      }
+      const entries = [...candidates].filter((o) => String(o.transaction_type).toUpperCase() === side);
+
+      let filledQty = 0;
+      let notional = 0;
+      let firstFillAt = null;
+      for (const o of entries) {
+        const q = Number(o.filled_quantity) || 0;
+        filledQty += q;
+        notional += q * (Number(o.average_price) || 0);
+        if (o.firstFillAt != null && (firstFillAt == null || o.firstFillAt < firstFillAt)) firstFillAt = o.firstFillAt;
+      }
+      // Without updates (e.g. paper runs) the execution reports carry the fills
+      if (!filledQty) {
+        for (const r of runs) {
+          filledQty += Number(r.filledQty) || 0;
+          notional += (Number(r.filledQty) || 0) * (Number(r.avgPrice) || 0);
+        }
+        const done = runs.find((r) => r.filledQty > 0);
+        if (done) firstFillAt = toMs(done.finishedAt);
+      }
+      const avgFill = filledQty ? round2(notional / filledQty) : null;
+      const wasSent = sends.length > 0 || runs.length > 0 || entries.length > 0;
+      const qty = toNum(sig.qty) ?? toNum(runs[0]?.qty) ?? filledQty;
+      const startedAt = toMs(runs[0]?.startedAt) ?? toMs(sends[0]?.timestamp) ?? signalAt;
+      const entry = toNum(sig.entry);
+      const arrivalPrice =
+        toNum(runs[0]?.arrivalPrice) ??
+        toNum(sig.liveTickData?.last_price) ??
+        toNum(sends[0]?.arrivalPrice ?? sends[0]?.ltp);
+      const vwap = toNum(sig.liveVWAP ?? sig.vwap);
+      let status = 'skipped';
+      if (wasSent) status = filledQty >= qty && qty > 0 ? 'filled' : filledQty > 0 ? 'partial' : 'missed';
+      const pnl = (logs.get(id) || []).map((t) => toNum(t.pnl)).filter((v) => v != null);
+
+      return {
+        signalId: id,
+        symbol: symbolKey(sig.stock || sig.symbol),
+        strategy: sig.strategy || sig.pattern || sig.algoSignal?.strategy || 'unknown',
+        side,
+        qty,
+        signalAt,
+        timeOfDay: timeOfDayBucket(signalAt),
+        token: sig.instrument_token ?? null,
+        entry,
+        stopLoss: toNum(sig.stopLoss),
+        target: toNum(sig.target2 ?? sig.target1 ?? sig.target),
+        expiresAt: toMs(sig.expiresAt),
+        arrivalPrice,
+        vwap,
+        expectedSlippage: toNum(sig.slippage),
+        algo: runs.at(-1)?.algo ?? null,
+        status,
+        filledQty,
+        avgFill,
+        fillRate: wasSent && qty > 0 ? round2(filledQty / qty) : null,
+        timeToFillMs: firstFillAt != null && startedAt != null ? Math.max(0, firstFillAt - startedAt) : null,
+        slippage: {
+          entry: slip(avgFill, entry, dir),
+          arrival: slip(avgFill, arrivalPrice, dir),
+          vwap: slip(avgFill, vwap, dir),
+        },
+        missedQty: wasSent ? Math.max(0, qty - filledQty) : 0,
+        missedCost: null,
+        realizedPnl: pnl.length ? round2(pnl.reduce((a, b) => a + b, 0)) : null,
+      };
+    });
+}
+
+/**
+ * What the unfilled qty of a signal would have made, entered at the signal
+ * entry and exited at the first of its stop or target in `candles` (the
+ * stop wins a candle that touches both), else at the last close. Positive
+ * is profit given up.
+ * @returns {number|null}
+ */
+export function missedTradeCost(row, candles = []) {
+  if (!(row?.missedQty > 0) || !(row.entry > 0) || !candles.length) return null;
+  const dir = row.side === 'BUY' ? 1 : -1;
+  let exit = null;
+  for (const c of candles) {
+    const low = Number(c.low ?? c.close);
+    const high = Number(c.high ?? c.close);
+    if (row.stopLoss != null && (dir > 0 ? low <= row.stopLoss : high >= row.stopLoss)) {
+      exit = row.stopLoss;
+      break;
+    }
+    if (row.target != null && (dir > 0 ? high >= row.target : low <= row.target)) {
+      exit = row.target;
+      break;
+    }
+  }
+  if (exit == null) exit = Number(candles.at(-1).close);
+  return round2((exit - row.entry) * dir * row.missedQty);
+}
+
+function rollup(rows) {
+  const sent = rows.filter((r) => r.status !== 'skipped');
+  const filled = sent.filter((r) => r.filledQty > 0);
+  const sum = (vals) => vals.reduce((a, b) => a + b, 0);
+  const weightedBps = (ref) => {
+    const priced = filled.filter((r) => r.slippage[ref]);
+    const qty = sum(priced.map((r) => r.filledQty));
+    return qty ? round2(sum(priced.map((r) => r.slippage[ref].bps * r.filledQty)) / qty) : null;
+  };
+  const times = filled.map((r) => r.timeToFillMs).filter((v) => v != null);
+  const missed = sent.map((r) => r.missedCost).filter((v) => v != null);
+  const pnl = rows.map((r) => r.realizedPnl).filter((v) => v != null);
+  const sentQty = sum(sent.map((r) => r.qty || 0));
+  return {
+    signals: rows.length,
+    executed: sent.length,
+    filled: filled.length,
+    missed: sent.filter((r) => r.status === 'missed').length,
+    fillRate: sentQty ? round2(sum(sent.map((r) => r.filledQty)) / sentQty) : null,
+    slippageBps: { entry: weightedBps('entry'), arrival: weightedBps('arrival'), vwap: weightedBps('vwap') },
+    // Money lost to entry slippage against the signal entry
+    slippageCost: round2(sum(filled.filter((r) => r.slippage.entry).map((r) => r.slippage.entry.abs * r.filledQty))),
+    avgTimeToFillMs: times.length ? Math.round(sum(times) / times.length) : null,
+    missedCost: round2(sum(missed)),
+    missedPriced: missed.length,
+    realizedPnl: pnl.length ? round2(sum(pnl)) : null,
+  };
+}
+
+/**
+ * Totals plus one rollup per key of each group (strategy, symbol, timeOfDay),
+ * busiest first.
+ */
+export function summarizeExecutions(rows = [], groups = TCA_GROUPS) {
+  const out = { totals: rollup(rows), groups: {} };
+  for (const group of groups) {
+    const buckets = groupBySignal(rows, (r) => r[group] ?? 'unknown');
+    out.groups[group] = [...buckets.entries()]
+      .map(([key, list]) => ({ key, ...rollup(list) }))
+      .sort((a, b) => b.executed - a.executed || String(a.key).localeCompare(String(b.key)));
+  }
+  return out;
+}
+
+/**
+ * Qty-weighted entry slippage per symbol in price units per share, the unit
+ * of riskDefaults.frictions.defaultSlippage. Price improvement counts as 0.
+ * @param {Object[]} rows - from joinExecutions
+ * @param {Object} [opts]
+ * @param {number} [opts.minFills=5] - symbols with fewer filled signals are left out
+ */
+export function measuredSlippageBySymbol(rows = [], { minFills = 5 } = {}) {
+  const bySymbol = groupBySignal(
+    rows.filter((r) => r.filledQty > 0 && r.slippage.entry),
+    (r) => r.symbol
+  );
+  const out = {};
+  for (const [symbol, list] of bySymbol) {
+    if (list.length < minFills) continue;
+    const qty = list.reduce((n, r) => n + r.filledQty, 0);
+    const cost = list.reduce((n, r) => n + r.slippage.entry.abs * r.filledQty, 0);
+    out[symbol] = Math.max(0, round2(cost / qty));
+  }
+  return out;
+}
+
+async function defaultLoadCandles({ token, from, to }) {
+  if (token == null) return [];
+  const { loadRuleCandles } = await import('./strategyDsl.js');
+  return loadRuleCandles({ database: db, token, from, to });
+}
+
+/**
+ * @param {Object} [options]
+ * @param {Object} [options.database=db]
+ * @param {Function} [options.loadCandles] - ({token, symbol, from, to}) => 1-minute candles
+ * @param {Function} [options.applySlippage=setMeasuredSlippage]
+ * @param {Object} [options.clock]
+ */
+export function createExecutionQuality(options = {}) {
+  const database = options.database || db;
+  const loadCandles = options.loadCandles || defaultLoadCandles;
+  const applySlippage = options.applySlippage || setMeasuredSlippage;
+  const clock = ensureClock(options.clock);
+
+  // At most MAX_TCA_DAYS back from `to` (default: now)
+  function window({ from, to, days = 30 } = {}) {
+    const end = to != null ? new Date(to) : new Date(clock.now());
+    const span = Math.min(Math.max(Number(days) || 30, 0), MAX_TCA_DAYS) * DAY_MS;
+    const earliest = end.getTime() - MAX_TCA_DAYS * DAY_MS;
+    const start = new Date(Math.max(from != null ? new Date(from).getTime() : end.getTime() - span, earliest));
+    return { start, end };
+  }
+
+  // Only the fields joinExecutions reads
+  const FIELDS = {
+    signals: ['signalId', 'side', 'direction', 'generatedAt', 'timestamp', 'stock', 'symbol', 'strategy', 'pattern',
+      'algoSignal.strategy', 'qty', 'entry', 'stopLoss', 'target', 'target1', 'target2', 'expiresAt',
+      'liveTickData.last_price', 'liveVWAP', 'vwap', 'slippage', 'instrument_token'],
+    executed_signals: ['signalId', 'timestamp', 'arrivalPrice', 'ltp'],
+    [EXECUTION_COLLECTION]: ['signalId', 'startedAt', 'finishedAt', 'algo', 'qty', 'arrivalPrice', 'filledQty',
+      'avgPrice', 'children.orderId'],
+    order_updates: ['order_id', 'tag', 'transaction_type', 'status', 'filled_quantity', 'average_price',
+      'exchange_timestamp', 'order_timestamp', 'timestamp'],
+    trade_logs: ['signalId', 'pnl'],
+  };
+  const projection = (name) => Object.fromEntries([['_id', 0], ...FIELDS[name].map((f) => [f, 1])]);
+
+  // Signals in the window; fills, exits and updates up to a day after it.
+  // `trades: false` skips the P&L logs.
+  async function collect({ start, end }, { trades = true } = {}) {
+    const late = new Date(end.getTime() + DAY_MS);
+    const read = (name, field, until) =>
+      database
+        .collection(name)
+        .find({ [field]: { $gte: start, $lt: until } }, { projection: projection(name) })
+        .toArray();
+    const [signals, executed, reports, updates, logs] = await Promise.all([
+      read('signals', 'generatedAt', end),
+      read('executed_signals', 'timestamp', late),
+      read(EXECUTION_COLLECTION, 'startedAt', late),
+      read('order_updates', 'timestamp', late),
+      trades ? read('trade_logs', 'timestamp', late) : [],
+    ]);
+    return { signals, executed, reports, updates, trades: logs };
+  }
+
+  // One candle load per instrument and IST day, a few at a time
+  async function priceMissed(rows) {
+    const groups = new Map();
+    for (const row of rows) {
+      if (!(row.missedQty > 0) || row.signalAt == null) continue;
+      const key = `${row.symbol}:${row.token}:${istDay(row.signalAt)}`;
+      if (!groups.has(key)) groups.set(key, []);
+      groups.get(key).push(row);
+    }
+    const load = async (list) => {
+      const { token, symbol } = list[0];
+      const ends = list.map((r) => r.expiresAt ?? endOfIstDay(r.signalAt));
+      const from = Math.min(...list.map((r) => r.signalAt));
+      try {
+        const candles = (await loadCandles({ token, symbol, from: new Date(from), to: new Date(Math.max(...ends)) })) || [];
+        list.forEach((row, i) => {
+          row.missedCost = missedTradeCost(
+            row,
+            candles.filter((c) => {
+              const t = toMs(c.timestamp ?? c.date);
+              return t >= row.signalAt && t <= ends[i];
+            })
+          );
+        });
+      } catch (err) {
+        console.warn(`[tca] no candles for ${symbol}: ${err?.message || err}`);
+      }
+    };
+    const queue = [...groups.values()];
+    const worker = async () => {
+      while (queue.length) await load(queue.shift());
+    };
+    await Promise.all(Array.from({ length: Math.min(CANDLE_LOADS, queue.length) }, worker));
+  }
+
+  return {
+    /**
+     * TCA report for signals generated in [from, to) (default: the last
+     * `days` days), at most MAX_TCA_DAYS.
+     * @param {Object} [opts] - from, to, days, groupBy, rows (include per-signal rows)
+     * @returns {Promise<{from:Date, to:Date, totals:Object, groups:Object, rows?:Object[]}>}
+     */
+    async report({ from, to, days = 30, groupBy = TCA_GROUPS, rows = false } = {}) {
+      const { start, end } = window({ from, to, days });
+      const joined = joinExecutions(await collect({ start, end }));
+      await priceMissed(joined);
+      return { from: start, to: end, ...summarizeExecutions(joined, groupBy), ...(rows ? { rows: joined } : {}) };
+    },
+
+    /**
+     * Measure entry slippage per symbol over the last `days` and feed it to
+     * riskDefaults.frictions.
+     * @returns {Promise<{applied:Object, symbols:number}>}
+     */
+    async applySlippage({ days = 30, minFills = 5 } = {}) {
+      const joined = joinExecutions(await collect(window({ days }), { trades: false }));
+      const applied = applySlippage(measuredSlippageBySymbol(joined, { minFills }));
+      return { applied, symbols: Object.keys(applied).length };
+    },
+  };
+}
+
+export const executionQuality = createExecutionQuality();
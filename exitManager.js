@@ -60,18 +60,21 @@ export function forceTimeExit(position) {
 }
 
 /**
- * Detect simple price reversal using last 3 prices.
+ * Detect a price reversal: the last `bars` prices each move against the
+ * position, by at least `minMovePct` percent in total.
  * @param {Object} position - {side, history: number[]}
+ * @param {Object} [rules] - {bars = 3, minMovePct = 0}
  * @returns {boolean}
  */
-export function detectReversalExit(position) {
+export function detectReversalExit(position, { bars = 3, minMovePct = 0 } = {}) {
   const hist = position?.history || [];
-  if (hist.length < 3) return false;
-  const [p3, p2, p1] = hist.slice(-3);
-  if (position.side === 'Long' || position.side === 'long') {
-    return p1 < p2 && p2 < p3;
+  if (bars < 2 || hist.length < bars) return false;
+  const recent = hist.slice(-bars);
+  const long = position.side === 'Long' || position.side === 'long';
+  for (let i = 1; i < recent.length; i++) {
+    if (long ? !(recent[i] < recent[i - 1]) : !(recent[i] > recent[i - 1])) return false;
   }
-  return p1 > p2 && p2 > p3;
+  return (Math.abs(recent.at(-1) - recent[0]) / recent[0]) * 100 >= minMovePct;
 }
 
 export function checkExitConditions(position) {
@@ -1214,6 +1214,7 @@ export function computeFeatures(candles = [], opts = {}) {
     only = null,
     vwapMode = "session",
     vwapWindow = 10,
+    stream = null,
   } = opts;
   if (!Array.isArray(candles) || candles.length === 0) return null;
 
@@ -1258,30 +1259,56 @@ export function computeFeatures(candles = [], opts = {}) {
   const lows = valid.map((c) => c.low);
   const volumes = valid.map((c) => c.volume || 0);
 
+  // A feature stream (indicatorStreams.js) built over this window that has
+  // already seen the last candle supplies its indicators in O(1); everything
+  // else uses the window.
+  const lastCandle = valid.at(-1);
+  const streamed =
+    stream &&
+    stream.lastTime != null &&
+    stream.firstTime === getTime(valid[0]) &&
+    stream.lastTime === getTime(lastCandle) &&
+    stream.lastClose === lastCandle.close
+      ? stream.features()
+      : null;
+  const fromStream = (name, compute) => (streamed ? streamed[name] : compute());
+
   const ema9 = want("ema9")
-    ? calculateEMA(closes, 9, seriesKey ? `${seriesKey}:ema9` : undefined)
+    ? fromStream("ema9", () =>
+        calculateEMA(closes, 9, seriesKey ? `${seriesKey}:ema9` : undefined)
+      )
     : null;
   const ema21 = want("ema21")
-    ? calculateEMA(closes, 21, seriesKey ? `${seriesKey}:ema21` : undefined)
+    ? fromStream("ema21", () =>
+        calculateEMA(closes, 21, seriesKey ? `${seriesKey}:ema21` : undefined)
+      )
     : null;
   const ema50 = want("ema50")
-    ? calculateEMA(closes, 50, seriesKey ? `${seriesKey}:ema50` : undefined)
+    ? fromStream("ema50", () =>
+        calculateEMA(closes, 50, seriesKey ? `${seriesKey}:ema50` : undefined)
+      )
     : null;
   const ema200 = want("ema200")
-    ? calculateEMA(closes, 200, seriesKey ? `${seriesKey}:ema200` : undefined)
+    ? fromStream("ema200", () =>
+        calculateEMA(closes, 200, seriesKey ? `${seriesKey}:ema200` : undefined)
+      )
     : null;
-  const sma50 = calculateSMA(closes, 50);
-  const wma50 = calculateWMA(closes, 50);
-  const hma50 = calculateHMA(closes, 50);
-  const dema50 = calculateDEMA(closes, 50);
-  const tema50 = calculateTEMA(closes, 50);
-  const macd = want("macd") || want("macdHist") ? calculateMACD(closes) : null;
-  const { adx, plusDI, minusDI } = calculateADX(valid, 14) || {};
+  const sma50 = fromStream("sma50", () => calculateSMA(closes, 50));
+  const wma50 = fromStream("wma50", () => calculateWMA(closes, 50));
+  const hma50 = fromStream("hma50", () => calculateHMA(closes, 50));
+  const dema50 = fromStream("dema50", () => calculateDEMA(closes, 50));
+  const tema50 = fromStream("tema50", () => calculateTEMA(closes, 50));
+  const macd =
+    want("macd") || want("macdHist")
+      ? fromStream("macd", () => calculateMACD(closes))
+      : null;
+  const { adx, plusDI, minusDI } =
+    streamed ?? (calculateADX(valid, 14) || {});
   const vortex = want("vortex") ? calculateVortex(valid, 14) : null;
   const ichimoku = want("ichimoku") ? calculateIchimoku(valid) : null;
   const maEnv = calculateMAEnvelopes(closes, 20);
   const linearReg = calculateLinearRegression(closes, 20);
-  const rsi = want("rsi") ? calculateRSI(closes, 14) : null;
+  const rsi = want("rsi") ? fromStream("rsi", () => calculateRSI(closes, 14)) : null;
   const stochastic = calculateStochastic(valid);
   const cci = calculateCCI(valid);
   const roc = calculateROC(closes);
@@ -1295,29 +1322,38 @@ export function computeFeatures(candles = [], opts = {}) {
   const klinger = calculateKlinger(valid);
   const stc = calculateSTC(closes);
   const tsi = calculateTSI(closes);
-  const bollinger = want("bollinger") ? calculateBollingerBands(closes) : null;
+  const bollinger = want("bollinger")
+    ? fromStream("bollinger", () => calculateBollingerBands(closes))
+    : null;
   const keltner = want("keltner") ? calculateKeltnerChannels(valid) : null;
   const donchian = want("donchian") ? calculateDonchianChannels(valid) : null;
   const chaikinVol = calculateChaikinVolatility(valid);
-  const stdDev = calculateStdDev(closes, 20);
+  const stdDev = fromStream("stdDev", () => calculateStdDev(closes, 20));
   const histVol = calculateHistoricalVolatility(closes);
   const fractalChaos = calculateFractalChaosBands(valid);
   const envelopes = calculateEnvelopes(closes);
-  const atr = want("atr") ? getATR(valid, 14) : null;
-  const emaSlope = calculateEMASlope(closes, 21);
+  const atr = want("atr") ? fromStream("atr", () => getATR(valid, 14)) : null;
+  const emaSlope = fromStream("emaSlope", () => calculateEMASlope(closes, 21));
   const trendStrength = adx ?? Math.abs((emaSlope / (ema21 || 1)) * 100);
   const volatilityClass = classifyVolatility(atr, closes.at(-1));
+  const streamSettings = streamed ? stream.settings : {};
   const supertrend = want("supertrend")
-    ? calculateSupertrend(
-        valid,
-        supertrendSettings.atrLength ?? 10,
-        supertrendSettings.multiplier ?? 3
-      )
+    ? streamed &&
+      streamSettings.atrLength === Math.max(1, Math.floor(supertrendSettings.atrLength ?? 10)) &&
+      streamSettings.multiplier === (supertrendSettings.multiplier ?? 3)
+      ? streamed.supertrend
+      : calculateSupertrend(
+          valid,
+          supertrendSettings.atrLength ?? 10,
+          supertrendSettings.multiplier ?? 3
+        )
     : null;
   const vwap = want("vwap")
     ? vwapMode === "rolling"
-      ? calculateVWAP(valid.slice(-Math.max(1, vwapWindow)))
-      : calculateVWAP(valid)
+      ? streamed && streamSettings.vwapWindow === Math.max(1, vwapWindow)
+        ? streamed.vwapRolling
+        : calculateVWAP(valid.slice(-Math.max(1, vwapWindow)))
+      : fromStream("vwap", () => calculateVWAP(valid))
     : null;
   const pivot = calculatePivotPoints(valid);
   const fibRetracements = calculateFibonacciRetracements(Math.max(...highs), Math.min(...lows));
@@ -1343,8 +1379,12 @@ export function computeFeatures(candles = [], opts = {}) {
   const vpt = calculateVPT(valid);
   const volumeProfile = want("volumeProfile") ? calculateVolumeProfile(valid) : null;
 
-  const ttmSqueeze = want("ttmSqueeze") ? calculateTTMSqueeze(valid) : null;
-  const zScore = want("zScore") ? calculateZScore(closes) : null;
+  const ttmSqueeze = want("ttmSqueeze")
+    ? fromStream("ttmSqueeze", () => calculateTTMSqueeze(valid))
+    : null;
+  const zScore = want("zScore")
+    ? fromStream("zScore", () => calculateZScore(closes))
+    : null;
   const elderImpulse = calculateElderImpulse(valid);
   const donchianWidth = calculateDonchianWidth(valid);
   const ichimokuBase = calculateIchimokuBaseLine(valid);
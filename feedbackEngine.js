@@ -59,6 +59,27 @@ export async function recordSignalOutcome(signal = {}, result = 0) {
   updateStrategyWeight(strategy, result > 0 ? 0.1 : -0.1);
 }
 
+/**
+ * Combined outcome totals for the names a strategy emits (its signal
+ * names / pattern types), with the lowest current weight among them.
+ * @param {string[]} names
+ */
+export function getStrategyOutcome(names = []) {
+  const out = { wins: 0, trades: 0, winRate: null, weight: null };
+  for (const name of new Set(names)) {
+    const stat = stats.get(name);
+    if (stat) {
+      out.wins += stat.wins;
+      out.trades += stat.trades;
+    }
+    const weight = getStrategyWeight(name);
+    out.weight = out.weight === null ? weight : Math.min(out.weight, weight);
+  }
+  if (out.weight === null) out.weight = 1;
+  if (out.trades) out.winRate = out.wins / out.trades;
+  return out;
+}
+
 /**
  * Adjust signal confidence based on historical win rate.
  */
@@ -4,7 +4,12 @@ import express from "express";
 import http from "http";
 import { Server } from "socket.io";
 import cors from "cors";
-import { analyzeCandles, getSignalHistory } from "./scanner.js";
+import {
+  analyzeCandles,
+  getSignalHistory,
+  getActiveStrategyConfig,
+  loadActiveStrategyConfig,
+} from "./scanner.js";
 import cron from "node-cron";
 import {
   startLiveFeed,
@@ -25,6 +30,14 @@ import {
   lastTickTs,
   getInstrumentTokenCount,
   watchStockSymbolUniverse,
+  startTickReplay,
+  getTickReplay,
+  stopTickReplay,
+  onTick,
+  subscribeAuxiliaryTokens,
+  subscribeTickSymbols,
+  unsubscribeTickSymbols,
+  getTokenForSymbol,
 } from "./kite.js";
 import { createLiveFeedMonitor } from "./liveFeedMonitor.js";
 import {
@@ -39,20 +52,58 @@ import db from "./db.js";
 import { Console } from "console";
 import { addSignal } from "./signalManager.js";
 import { logSignalCreated } from "./auditLogger.js";
+import { attachCandidateSocket, queryCandidates } from "./candidateTrace.js";
+import { configService, CONFIG_SCHEMA } from "./configService.js";
+import { accountManager } from "./accounts.js";
+import {
+  tradingCalendar,
+  validateCalendarEntry,
+  CALENDAR_COLLECTION,
+} from "./tradingCalendar.js";
+import {
+  ROLES,
+  requireRole,
+  requireConfirmation,
+  issueConfirmation,
+  isAuthConfigured,
+  signJwt,
+  socketAuth,
+} from "./auth.js";
 import {
   detectMarketRegime,
   applyVIXThresholds,
   handleEconomicEvents,
   supportUserOverrides,
   marketContext,
+  trackSectorBreadth,
 } from "./smartStrategySelector.js";
+import { loadSectorMap, refreshSectorMap, listSectors } from "./sectors.js";
+import { sectorStrength } from "./sectorStrength.js";
+import { regimeEngine } from "./regimeEngine.js";
+import {
+  eventCalendar,
+  validateEvent,
+  normalizeEvent,
+  parseEventsCsv,
+  EVENT_COLLECTION,
+} from "./eventCalendar.js";
+import { corporateActions } from "./corporateActions.js";
+import { timeframeEngine } from "./timeframes.js";
+import { strategyRegistry } from "./strategyRegistry.js";
+import { symbolKey } from "./util.js";
+import { ruleBook, parseRule, dryRunRule, loadRuleCandles } from "./strategyDsl.js";
+import { evaluationPool } from "./evaluationPool.js";
+import { orderStates } from "./orderStateMachine.js";
+import { liveExits } from "./liveExitService.js";
+import { orderRouter } from "./smartOrderRouter.js";
+import { executionQuality, TCA_GROUPS } from "./executionQuality.js";
+import { isPaperTrading } from "./paperBroker.js";
+import { getStrategyOutcome } from "./feedbackEngine.js";
+import { strategyStats } from "./confidence.js";
 import { selectTopSignal } from "./signalRanker.js";
 import { logTrade } from "./tradeLogger.js";
 import { logError } from "./logger.js";
-import {
-  getAutoTradingConfig,
-  updateAutoTradingConfig,
-} from "./autoTrader.js";
+import { getAutoTradingConfig } from "./autoTrader.js";
 
 const apiSecret = process.env.KITE_API_SECRET;
 
@@ -81,11 +132,55 @@ const corsOptions = {
 app.use(cors(corsOptions));
 
 const io = new Server(server, { cors: corsOptions });
+io.use(socketAuth);
+attachCandidateSocket(io);
 
 app.use(express.json());
 
+if (!isAuthConfigured()) {
+  console.warn(
+    "⚠️ No API_KEYS or AUTH_JWT_SECRET set; all authenticated routes will return 401."
+  );
+}
+
+const viewer = requireRole("viewer");
+const trader = requireRole("trader");
+const admin = requireRole("admin");
+
+app.get("/auth/me", viewer, (req, res) => {
+  res.json({ status: "ok", user: req.user });
+});
+
+// Mint a JWT for a teammate (requires AUTH_JWT_SECRET)
+app.post("/auth/token", admin, (req, res) => {
+  const { sub, role = "viewer", expiresInSec } = req.body || {};
+  if (!sub || !ROLES.includes(role)) {
+    return res.status(400).json({ error: "sub and a valid role are required" });
+  }
+  try {
+    const token = signJwt(
+      { sub, role },
+      { expiresInSec: Number(expiresInSec) || undefined }
+    );
+    res.json({ status: "ok", token });
+  } catch (err) {
+    logError("mint token", err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Single-use token for destructive actions, e.g. { action: "reset" } or
+// { action: "deleteSymbol:TCS" }; send it back as X-Confirm-Token
+app.post("/auth/confirm", admin, (req, res) => {
+  const { action } = req.body || {};
+  if (!action || typeof action !== "string") {
+    return res.status(400).json({ error: "action is required" });
+  }
+  res.json({ status: "ok", ...issueConfirmation(req.user, action) });
+});
+
 const liveFeedMonitor = createLiveFeedMonitor({
-  isMarketOpen,
+  calendar: tradingCalendar,
   isLiveFeedRunning,
   startLiveFeed,
   logger: console,
@@ -101,6 +196,7 @@ const handleShutdown = () => {
   if (shuttingDown) return;
   shuttingDown = true;
   stopLiveFeedMonitor();
+  evaluationPool.close().catch((err) => logError("close evaluation pool", err));
   if (server.listening) {
     server.close(() => process.exit(0));
   } else {
@@ -152,17 +248,423 @@ app.get("/health", async (req, res) => {
   });
 });
 
-app.get("/autotrader/config", (req, res) => {
+// Evaluation worker pool and per-cycle scan latency (evaluationPool.js)
+app.get("/scanner/evaluation", viewer, (req, res) => {
+  res.json({ status: "ok", ...evaluationPool.stats() });
+});
+
+app.get("/orders/state", viewer, (req, res) => {
+  res.json({ status: "ok", ...orderStates.stats(), trades: orderStates.list() });
+});
+
+// Live exit manager: tracked trades, config and recent stop moves/exits
+app.get("/orders/exits", viewer, (req, res) => {
+  res.json({ status: "ok", ...liveExits.stats() });
+});
+
+// Fill quality of entry executions (smartOrderRouter.js), newest first
+app.get("/orders/execution", viewer, async (req, res) => {
+  try {
+    const { symbol, algo, strategy, limit } = req.query;
+    const result = await orderRouter.reports({ symbol, algo, strategy, limit });
+    res.json({ status: "ok", config: orderRouter.config(), ...result });
+  } catch (err) {
+    logError("execution reports", err);
+    res.status(500).json({ error: "Failed to load execution reports" });
+  }
+});
+
+// Transaction cost analysis: slippage, fill rate, time to fill and missed
+// trades by strategy, symbol and time of day (executionQuality.js)
+app.get("/tca", viewer, async (req, res) => {
+  const { from, to, days, groupBy, rows } = req.query;
+  const groups = groupBy ? String(groupBy).split(",").map((g) => g.trim()) : TCA_GROUPS;
+  const bad = groups.filter((g) => !TCA_GROUPS.includes(g));
+  const dates = [from, to].filter((d) => d != null && Number.isNaN(new Date(d).getTime()));
+  if (bad.length || dates.length) {
+    return res.status(400).json({
+      error: bad.length ? `groupBy must be one of ${TCA_GROUPS.join(", ")}` : "from/to must be dates",
+    });
+  }
+  try {
+    const report = await executionQuality.report({
+      from,
+      to,
+      days: days ? Number(days) : undefined,
+      groupBy: groups,
+      rows: rows === "1" || rows === "true",
+    });
+    res.json({ status: "ok", ...report });
+  } catch (err) {
+    logError("tca report", err);
+    res.status(500).json({ error: "Failed to build TCA report" });
+  }
+});
+
+// Re-measure slippage per symbol and feed it to the risk frictions now
+app.post("/admin/tca/slippage", admin, async (req, res) => {
+  try {
+    const { days, minFills } = req.body || {};
+    const result = await executionQuality.applySlippage({
+      days: days ? Number(days) : undefined,
+      minFills: minFills != null ? Number(minFills) : undefined,
+    });
+    res.json({ status: "ok", ...result });
+  } catch (err) {
+    logError("tca slippage", err);
+    res.status(500).json({ error: "Failed to apply measured slippage" });
+  }
+});
+
+app.post("/admin/orders/reconcile", admin, async (req, res) => {
+  try {
+    const report = await orderStates.reconcile();
+    res.status(report.ok ? 200 : 502).json({ status: report.ok ? "ok" : "error", ...report });
+  } catch (err) {
+    logError("orders reconcile", err);
+    res.status(500).json({ error: "Failed to reconcile orders" });
+  }
+});
+
+app.get("/autotrader/config", viewer, (req, res) => {
   res.json({ status: "ok", config: getAutoTradingConfig() });
 });
 
-app.post("/autotrader/config", (req, res) => {
-  const config = updateAutoTradingConfig(req.body || {});
-  res.json({ status: "ok", config });
+// Stored as a new runtime config version so the change is audited and survives restarts
+app.post("/autotrader/config", trader, async (req, res) => {
+  try {
+    const result = await configService.update(
+      { autoTrader: req.body || {} },
+      { changedBy: req.user.id }
+    );
+    if (!result.ok) return res.status(400).json({ errors: result.errors });
+    res.json({ status: "ok", config: getAutoTradingConfig() });
+  } catch (err) {
+    logError("update autotrader config", err);
+    res.status(500).json({ error: "Failed to update autotrader config" });
+  }
+});
+
+// Versioned runtime config (risk limits, scanner filters, exposure, autotrader)
+app.get("/admin/config", admin, (req, res) => {
+  res.json({
+    status: "ok",
+    ...configService.get(),
+    effective: configService.getEffective(),
+  });
+});
+
+app.get("/admin/config/schema", admin, (req, res) => {
+  res.json({ status: "ok", schema: CONFIG_SCHEMA });
+});
+
+app.get("/admin/config/history", admin, async (req, res) => {
+  try {
+    const history = await configService.history({ limit: req.query.limit });
+    res.json({ status: "ok", history });
+  } catch (err) {
+    logError("config history", err);
+    res.status(500).json({ error: "Failed to fetch config history" });
+  }
+});
+
+app.get("/admin/config/diff", admin, async (req, res) => {
+  try {
+    const { from = 0, to } = req.query;
+    const result = await configService.diff(from, to ?? undefined);
+    if (!result.ok) return res.status(404).json({ errors: result.errors });
+    res.json({ status: "ok", ...result });
+  } catch (err) {
+    logError("config diff", err);
+    res.status(500).json({ error: "Failed to diff config versions" });
+  }
+});
+
+// Body: { changes: { risk: { maxDailyLoss: 8000 } }, reason }; null clears a key
+app.post("/admin/config", admin, async (req, res) => {
+  const { changes, reason } = req.body || {};
+  try {
+    const result = await configService.update(changes, {
+      changedBy: req.user.id,
+      reason,
+    });
+    if (!result.ok) return res.status(400).json({ errors: result.errors });
+    res.json({ status: "ok", ...result });
+  } catch (err) {
+    logError("update config", err);
+    res.status(500).json({ error: "Failed to update config" });
+  }
+});
+
+app.post("/admin/config/rollback", admin, async (req, res) => {
+  const { version, reason } = req.body || {};
+  try {
+    const result = await configService.rollback(version, {
+      changedBy: req.user.id,
+      reason,
+    });
+    if (!result.ok) return res.status(404).json({ errors: result.errors });
+    res.json({ status: "ok", ...result });
+  } catch (err) {
+    logError("rollback config", err);
+    res.status(500).json({ error: "Failed to roll back config" });
+  }
+});
+
+// Scheduled market/corporate events and their block/tighten windows
+app.get("/events", viewer, (req, res) => {
+  const { from, to, symbol, type } = req.query;
+  res.json({
+    status: "ok",
+    events: eventCalendar.list({ from, to, symbol, type }),
+    active: symbol ? eventCalendar.contextFor(symbol).active : undefined,
+  });
+});
+
+async function upsertEvents(rows) {
+  if (!rows.length) return 0;
+  await db.collection(EVENT_COLLECTION).bulkWrite(
+    rows.map((ev) => ({
+      updateOne: {
+        filter: { date: ev.date, type: ev.type, symbol: ev.symbol },
+        update: { $set: { ...ev, updatedAt: new Date() } },
+        upsert: true,
+      },
+    })),
+    { ordered: false }
+  );
+  return eventCalendar.load({ database: db });
+}
+
+// Body: { date: "2025-06-06", type: "rbi_policy", time?: "10:00", symbol?, description? }
+app.post("/admin/events", admin, async (req, res) => {
+  const errors = validateEvent(req.body || {});
+  if (errors.length) return res.status(400).json({ errors });
+  try {
+    const event = normalizeEvent(req.body);
+    await upsertEvents([event]);
+    res.json({ status: "ok", event });
+  } catch (err) {
+    logError("upsert event", err);
+    res.status(500).json({ error: "Failed to save event" });
+  }
+});
+
+// Body: { csv: "date,type,symbol,time,description\n..." }
+app.post("/admin/events/import", admin, async (req, res) => {
+  const { rows, errors } = parseEventsCsv(req.body?.csv || "");
+  if (!rows.length) return res.status(400).json({ errors });
+  try {
+    const total = await upsertEvents(rows);
+    res.json({ status: "ok", imported: rows.length, total, errors });
+  } catch (err) {
+    logError("import events", err);
+    res.status(500).json({ error: "Failed to import events" });
+  }
+});
+
+app.delete("/admin/events/:date/:type", admin, async (req, res) => {
+  const { date, type } = req.params;
+  const { symbol } = normalizeEvent({ symbol: req.query.symbol });
+  try {
+    const { deletedCount } = await db
+      .collection(EVENT_COLLECTION)
+      .deleteOne({ date, type, symbol });
+    await eventCalendar.load({ database: db });
+    res.json({ status: "ok", deleted: deletedCount });
+  } catch (err) {
+    logError("delete event", err);
+    res.status(500).json({ error: "Failed to delete event" });
+  }
+});
+
+app.get("/corporate-actions", viewer, (req, res) => {
+  const { symbol, from, to } = req.query;
+  res.json({
+    status: "ok",
+    actions: corporateActions.list({ symbol, from, to }),
+  });
+});
+
+// Body: { symbol: "INFY", exDate: "2025-06-02", type: "split"|"bonus"|"dividend"|"rights",
+//         ratio?: "1:5", amount?: 12.5, price?: 250, factor?: 0.2, description? }
+app.post("/admin/corporate-actions", admin, async (req, res) => {
+  try {
+    const result = await corporateActions.record({
+      database: db,
+      action: req.body || {},
+    });
+    if (!result.ok) return res.status(400).json({ errors: result.errors });
+    res.json({ status: "ok", action: result.action, replaced: result.replaced });
+  } catch (err) {
+    logError("record corporate action", err);
+    res.status(500).json({ error: "Failed to record corporate action" });
+  }
+});
+
+app.delete("/admin/corporate-actions/:symbol/:exDate/:type", admin, async (req, res) => {
+  try {
+    const result = await corporateActions.remove({ database: db, ...req.params });
+    if (!result.ok) return res.status(404).json({ error: result.reason });
+    res.json({ status: "ok", action: result.action });
+  } catch (err) {
+    logError("delete corporate action", err);
+    res.status(500).json({ error: "Failed to delete corporate action" });
+  }
+});
+
+// Live regime inputs (index EMAs/ADX, VIX, breadth) and the detected regime
+app.get("/market/regime", viewer, (req, res) => {
+  const { history, overrides, economicEvents, ...context } = marketContext;
+  res.json({ status: "ok", context, engine: regimeEngine.state() });
+});
+
+// Sector taxonomy plus live relative strength / breadth per sector
+app.get("/sectors", viewer, (req, res) => {
+  res.json({
+    status: "ok",
+    sectors: listSectors(),
+    strength: sectorStrength.snapshot(),
+  });
+});
+
+// Body: { csv?: "<NSE classification CSV>" }; defaults to SECTOR_MAP_FILE
+app.post("/admin/sectors/refresh", admin, async (req, res) => {
+  try {
+    const result = await refreshSectorMap({ database: db, csv: req.body?.csv });
+    if (!result.ok) return res.status(400).json({ errors: result.errors });
+    res.json({ status: "ok", ...result });
+  } catch (err) {
+    logError("refresh sectors", err);
+    res.status(500).json({ error: "Failed to refresh sector map" });
+  }
+});
+
+// NSE calendar: holidays, special sessions and muhurat trading
+app.get("/calendar", viewer, (req, res) => {
+  const { from, to } = req.query;
+  const entries = tradingCalendar
+    .entries()
+    .filter((e) => (!from || e.date >= from) && (!to || e.date <= to));
+  res.json({ status: "ok", today: tradingCalendar.getDay(), entries });
+});
+
+// Body: { date: "2025-10-21", type: "muhurat", open: "13:45", close: "14:45", description }
+app.post("/admin/calendar", admin, async (req, res) => {
+  const entry = req.body || {};
+  const errors = validateCalendarEntry(entry);
+  if (errors.length) return res.status(400).json({ errors });
+  try {
+    const { date, type } = entry;
+    await db
+      .collection(CALENDAR_COLLECTION)
+      .updateOne({ date, type }, { $set: entry }, { upsert: true });
+    await tradingCalendar.load({ database: db });
+    res.json({ status: "ok", day: tradingCalendar.getDay(date) });
+  } catch (err) {
+    logError("update calendar", err);
+    res.status(500).json({ error: "Failed to update calendar" });
+  }
+});
+
+// Removes stored overrides for a date; entries from the JSON file stay
+app.delete("/admin/calendar/:date", admin, async (req, res) => {
+  try {
+    const { deletedCount } = await db
+      .collection(CALENDAR_COLLECTION)
+      .deleteMany({ date: req.params.date });
+    await tradingCalendar.load({ database: db });
+    res.json({
+      status: "ok",
+      deleted: deletedCount,
+      day: tradingCalendar.getDay(req.params.date),
+    });
+  } catch (err) {
+    logError("delete calendar entry", err);
+    res.status(500).json({ error: "Failed to delete calendar entry" });
+  }
+});
+
+// Additional accounts: own Kite session, watchlist, risk limits and positions
+app.get("/accounts", admin, (req, res) => {
+  res.json({ status: "ok", accounts: accountManager.list() });
+});
+
+app.get("/accounts/:id", admin, (req, res) => {
+  const account = accountManager.get(req.params.id);
+  if (!account) return res.status(404).json({ error: "Unknown account" });
+  res.json({ status: "ok", account });
+});
+
+// Body: { accountId, name, mode, kiteApiKey, symbols, riskPerTrade, risk, portfolio, autoTrader }
+app.post("/accounts", admin, async (req, res) => {
+  try {
+    const result = await accountManager.upsert(req.body || {});
+    if (!result.ok) return res.status(400).json({ errors: result.errors });
+    // Ticks only: account watchlists stay out of the primary scan
+    await subscribeTickSymbols(result.account.symbols);
+    res.json({ status: "ok", account: result.account });
+  } catch (err) {
+    logError("upsert account", err);
+    res.status(500).json({ error: "Failed to save account" });
+  }
+});
+
+app.delete(
+  "/accounts/:id",
+  admin,
+  requireConfirmation((req) => `deleteAccount:${req.params.id}`),
+  async (req, res) => {
+    try {
+      const removed = await accountManager.remove(req.params.id);
+      if (!removed) return res.status(404).json({ error: "Unknown account" });
+      res.json({ status: "ok" });
+    } catch (err) {
+      logError("delete account", err);
+      res.status(500).json({ error: "Failed to delete account" });
+    }
+  }
+);
+
+// Body: { symbols: ["TCS", "NSE:INFY"] }
+app.post("/accounts/:id/symbols", admin, async (req, res) => {
+  const { symbols } = req.body || {};
+  if (!Array.isArray(symbols) || !symbols.length) {
+    return res.status(400).json({ error: "symbols must be a non-empty array" });
+  }
+  try {
+    const watchlist = await accountManager.updateSymbols(req.params.id, { add: symbols });
+    if (!watchlist) return res.status(404).json({ error: "Unknown account" });
+    await subscribeTickSymbols(watchlist);
+    res.json({ status: "ok", symbols: watchlist });
+  } catch (err) {
+    logError("add account symbols", err);
+    res.status(500).json({ error: "Failed to update account symbols" });
+  }
+});
+
+// Only drops the symbol from this account; the shared feed keeps it
+app.delete("/accounts/:id/symbols/:symbol", admin, async (req, res) => {
+  try {
+    const watchlist = await accountManager.updateSymbols(req.params.id, {
+      remove: [req.params.symbol],
+    });
+    if (!watchlist) return res.status(404).json({ error: "Unknown account" });
+    res.json({ status: "ok", symbols: watchlist });
+  } catch (err) {
+    logError("remove account symbol", err);
+    res.status(500).json({ error: "Failed to update account symbols" });
+  }
+});
+
+app.get("/accounts/:id/login-url", admin, (req, res) => {
+  const url = accountManager.loginUrl(req.params.id);
+  if (!url) return res.status(404).json({ error: "Unknown live account" });
+  res.json({ status: "ok", url });
 });
 
 // ADD STOCK SYMBOLS ENDPOINT
-app.post("/addStockSymbol", async (req, res) => {
+app.post("/addStockSymbol", trader, async (req, res) => {
   const { symbol } = req.body;
   if (!symbol || typeof symbol !== "string") {
     return res.status(400).json({ error: "Invalid symbol" });
@@ -179,7 +681,7 @@ app.post("/addStockSymbol", async (req, res) => {
 
 const allowDebugFeedControls = process.env.NODE_ENV !== "production";
 
-app.post("/_debug/start-feed", (req, res) => {
+app.post("/_debug/start-feed", admin, (req, res) => {
   if (!allowDebugFeedControls) {
     return res.status(403).json({ error: "Debug feed controls disabled" });
   }
@@ -193,15 +695,58 @@ app.post("/_debug/start-feed", (req, res) => {
   res.json({ status: "started" });
 });
 
-app.post("/_debug/stop-feed", (req, res) => {
+app.post("/_debug/stop-feed", admin, (req, res) => {
   if (!allowDebugFeedControls) {
     return res.status(403).json({ error: "Debug feed controls disabled" });
   }
   res.json({ status: "noop (implement if needed)" });
 });
 
+// Tick replay controls (after-hours debugging of the live pipeline)
+app.post("/_debug/replay/start", admin, async (req, res) => {
+  if (!allowDebugFeedControls) {
+    return res.status(403).json({ error: "Debug feed controls disabled" });
+  }
+  const { file, from, to, tokens, speed } = req.body || {};
+  try {
+    const status = await startTickReplay(io, { file, from, to, tokens, speed });
+    res.json({ status: "started", replay: status });
+  } catch (err) {
+    logError("tick replay start", err);
+    res.status(400).json({ error: err.message || "Failed to start replay" });
+  }
+});
+
+app.get("/_debug/replay", admin, (req, res) => {
+  const replay = getTickReplay();
+  res.json(replay ? replay.status() : { state: "idle" });
+});
+
+app.post("/_debug/replay/:action", admin, async (req, res) => {
+  if (!allowDebugFeedControls) {
+    return res.status(403).json({ error: "Debug feed controls disabled" });
+  }
+  const replay = getTickReplay();
+  if (!replay) return res.status(404).json({ error: "No replay running" });
+  const { action } = req.params;
+  switch (action) {
+    case "pause":
+      return res.json(replay.pause());
+    case "resume":
+      return res.json(replay.resume());
+    case "seek":
+      return res.json(replay.seek(req.body?.to));
+    case "speed":
+      return res.json(replay.setSpeed(req.body?.speed));
+    case "stop":
+      return res.json(await stopTickReplay());
+    default:
+      return res.status(400).json({ error: `Unknown replay action: ${action}` });
+  }
+});
+
 // GET STOCK SYMBOLS ENDPOINT
-app.get("/stockSymbols", async (req, res) => {
+app.get("/stockSymbols", viewer, async (req, res) => {
   try {
     const stockSymbols = await db.collection("stock_symbols").findOne({});
     res.json(stockSymbols || { symbols: [] });
@@ -212,26 +757,31 @@ app.get("/stockSymbols", async (req, res) => {
 });
 
 // DELETE stock symbol and its historical data
-app.delete("/stockSymbols/:symbol", async (req, res) => {
-  const { symbol } = req.params;
-  if (!symbol || typeof symbol !== "string") {
-    return res.status(400).json({ error: "Invalid stock symbol" });
-  }
+app.delete(
+  "/stockSymbols/:symbol",
+  admin,
+  requireConfirmation((req) => `deleteSymbol:${req.params.symbol}`),
+  async (req, res) => {
+    const { symbol } = req.params;
+    if (!symbol || typeof symbol !== "string") {
+      return res.status(400).json({ error: "Invalid stock symbol" });
+    }
 
-  try {
-    await removeStockSymbol(symbol);
-    res.json({
-      status: "success",
-      deletedSymbol: symbol.includes(":") ? symbol : `NSE:${symbol}`,
-    });
-  } catch (err) {
-    logError("delete stock symbol", err);
-    res.status(500).json({ error: "Failed to delete stock symbol" });
+    try {
+      await removeStockSymbol(symbol);
+      res.json({
+        status: "success",
+        deletedSymbol: symbol.includes(":") ? symbol : `NSE:${symbol}`,
+      });
+    } catch (err) {
+      logError("delete stock symbol", err);
+      res.status(500).json({ error: "Failed to delete stock symbol" });
+    }
   }
-});
+);
 
 // DELETE ALL THE COLLECTIONS EXCEPT THE instruments COLLECTIONS AND RECREATE THE COLLECTIONS WITH EMPTY DATA
-app.delete("/reset", async (req, res) => {
+app.delete("/reset", admin, requireConfirmation("reset"), async (req, res) => {
   try {
     const result = await resetDatabase();
     res.json(result);
@@ -242,7 +792,7 @@ app.delete("/reset", async (req, res) => {
 });
 
 // GET SIGNALS ENDPOINT
-app.get("/signals", async (req, res) => {
+app.get("/signals", viewer, async (req, res) => {
   try {
     const signals = await db
       .collection("signals")
@@ -257,11 +807,144 @@ app.get("/signals", async (req, res) => {
   }
 });
 
-app.get("/signal-history", (req, res) => {
+// Gate-by-gate trace of every candidate analyzeCandles evaluated
+app.get("/signals/candidates", viewer, async (req, res) => {
+  try {
+    const { symbol, from, to, status, rule, limit } = req.query;
+    const candidates = await queryCandidates({
+      symbol,
+      from,
+      to,
+      status,
+      rule,
+      limit,
+    });
+    res.json({ status: "success", candidates });
+  } catch (err) {
+    logError("fetching signal candidates", err);
+    res.status(500).json({ error: "Failed to fetch signal candidates" });
+  }
+});
+
+app.get("/signal-history", viewer, (req, res) => {
   res.json(getSignalHistory());
 });
 
-app.post("/set-interval", (req, res) => {
+// Effective scanner filters / strategy config (optimizer overrides applied)
+app.get("/strategy-config", viewer, (req, res) => {
+  res.json(getActiveStrategyConfig());
+});
+
+app.post("/strategy-config/reload", admin, async (req, res) => {
+  const { version } = req.body || {};
+  res.json(await loadActiveStrategyConfig(db, { version }));
+});
+
+// Strategy registry with effective enablement (per symbol when given),
+// runtime counters and realised outcomes
+app.get("/strategies", viewer, (req, res) => {
+  const { symbol, kind } = req.query;
+  const bare = symbol ? symbolKey(symbol) : null;
+  const strategies = strategyRegistry.list({ kind, symbol }).map((s) => {
+    const names = [s.name, ...s.stats.signalNames];
+    const outcome = getStrategyOutcome(names);
+    if (bare) {
+      const perSymbol = strategyStats[bare] || strategyStats[symbol] || {};
+      outcome.symbol = names.reduce(
+        (acc, n) => ({
+          wins: acc.wins + (perSymbol[n]?.wins || 0),
+          trades: acc.trades + (perSymbol[n]?.trades || 0),
+        }),
+        { wins: 0, trades: 0 }
+      );
+    }
+    return { ...s, outcome };
+  });
+  res.json({ status: "ok", count: strategies.length, strategies });
+});
+
+// Body: { enabled?: true|false|null, symbol?: "INFY", params?: {...} }
+// enabled:null clears the override (per symbol when symbol is given)
+app.patch("/admin/strategies/:id", admin, async (req, res) => {
+  try {
+    const result = await strategyRegistry.configure(req.params.id, req.body || {}, {
+      database: db,
+    });
+    if (!result.ok) {
+      const status = strategyRegistry.has(req.params.id) ? 400 : 404;
+      return res.status(status).json({ errors: result.errors });
+    }
+    evaluationPool.reload();
+    res.json({ status: "ok", strategy: result.strategy });
+  } catch (err) {
+    logError("configure strategy", err);
+    res.status(500).json({ error: "Failed to update strategy" });
+  }
+});
+
+app.post("/admin/strategies/plugins/reload", admin, async (req, res) => {
+  try {
+    const result = await strategyRegistry.loadPlugins();
+    evaluationPool.reload();
+    res.json({ status: "ok", ...result });
+  } catch (err) {
+    logError("reload strategy plugins", err);
+    res.status(500).json({ error: "Failed to reload strategy plugins" });
+  }
+});
+
+// Declarative strategy rules (strategyDsl.js). Bodies take the rule as an
+// object in `rule` or as JSON/YAML text in `yaml`.
+app.get("/strategy-rules", viewer, (req, res) => {
+  res.json({ status: "ok", rules: ruleBook.list() });
+});
+
+app.post("/admin/strategy-rules", admin, async (req, res) => {
+  try {
+    const parsed = parseRule(req.body?.rule ?? req.body?.yaml);
+    if (!parsed.ok) return res.status(400).json({ errors: parsed.errors });
+    const result = await ruleBook.save({ database: db, rule: parsed.rule });
+    if (!result.ok) return res.status(400).json({ errors: result.errors });
+    evaluationPool.reload();
+    res.json({ status: "ok", rule: result.rule, enabled: strategyRegistry.isEnabled(result.rule.id) });
+  } catch (err) {
+    logError("save strategy rule", err);
+    res.status(500).json({ error: "Failed to save strategy rule" });
+  }
+});
+
+// Body: { rule | yaml, symbol | token, from?, to?, limit?, maxHoldBars? }
+app.post("/admin/strategy-rules/dry-run", admin, async (req, res) => {
+  try {
+    const { symbol, token, from, to, limit, maxHoldBars } = req.body || {};
+    const parsed = parseRule(req.body?.rule ?? req.body?.yaml);
+    if (!parsed.ok) return res.status(400).json({ errors: parsed.errors });
+    const resolved = token ?? (symbol ? await getTokenForSymbol(symbol) : null);
+    if (!resolved) return res.status(400).json({ error: "symbol or token is required" });
+    const candles = await loadRuleCandles({ database: db, token: resolved, from, to, limit });
+    if (!candles.length) return res.status(404).json({ error: "No stored candles" });
+    const result = await dryRunRule(parsed.rule, candles, { maxHoldBars });
+    if (!result.ok) return res.status(400).json({ errors: result.errors });
+    res.json({ status: "ok", token: Number(resolved), ...result });
+  } catch (err) {
+    logError("dry-run strategy rule", err);
+    res.status(500).json({ error: "Failed to dry-run strategy rule" });
+  }
+});
+
+app.delete("/admin/strategy-rules/:id", admin, async (req, res) => {
+  try {
+    const result = await ruleBook.remove({ database: db, id: req.params.id });
+    if (!result.ok) return res.status(404).json({ error: result.reason });
+    evaluationPool.reload();
+    res.json({ status: "ok" });
+  } catch (err) {
+    logError("delete strategy rule", err);
+    res.status(500).json({ error: "Failed to delete strategy rule" });
+  }
+});
+
+app.post("/set-interval", trader, (req, res) => {
   const { interval } = req.body;
   if (typeof interval === "number" && interval > 0) {
     setTickInterval(interval);
@@ -272,7 +955,7 @@ app.post("/set-interval", (req, res) => {
 });
 
 // Trigger historical intraday data fetch
-app.post("/fetch-intraday-data", async (req, res) => {
+app.post("/fetch-intraday-data", trader, async (req, res) => {
   const { interval = "minute", days = 3 } = req.body || {};
   try {
     await fetchHistoricalIntradayData(interval, days);
@@ -290,6 +973,16 @@ app.get("/kite-redirect", async (req, res) => {
     return res.status(400).json({ error: "Missing request_token" });
   }
 
+  if (req.query.account) {
+    try {
+      await accountManager.createSession(String(req.query.account), requestToken);
+      return res.send(`✅ Login successful for account ${req.query.account}.`);
+    } catch (err) {
+      logError("kite redirect (account)", err);
+      return res.status(500).json({ error: "Login failed" });
+    }
+  }
+
   try {
     const session = await kc.generateSession(requestToken, apiSecret);
     kc.setAccessToken(session.access_token);
@@ -318,7 +1011,11 @@ app.get("/kite-redirect", async (req, res) => {
 });
 
 io.on("connection", (socket) => {
-  console.log("✅ Client connected:", socket.id);
+  console.log(
+    "✅ Client connected:",
+    socket.id,
+    socket.data.user?.id ?? "unknown"
+  );
   socket.emit("serverMessage", "Connected to backend.");
 });
 
@@ -327,8 +1024,53 @@ server.listen(3000, async () => {
 
   try {
     await ensureUniverseSeeded(db);
+    await tradingCalendar.load({ database: db });
+    await loadSectorMap({ database: db });
+    await eventCalendar.load({ database: db });
+    // corporateActions is loaded by kite.js before its first session pull
+    await timeframeEngine.load({ database: db });
+    const plugins = await strategyRegistry.loadPlugins();
+    plugins.errors.forEach((e) => console.warn("[strategies] plugin:", e));
+    await ruleBook.load({ database: db });
+    await strategyRegistry.load({ database: db });
+    // Workers load the registry themselves; their counters land here
+    evaluationPool.start({ onStats: (rows) => strategyRegistry.mergeStats(rows) });
+    await loadActiveStrategyConfig(db);
+    await configService.load();
+    await accountManager.load();
+    // Slippage measured on past fills becomes a floor in the risk frictions
+    await executionQuality
+      .applySlippage()
+      .catch((err) => logError("tca slippage", err));
+    onTick((symbol, tick) => accountManager.onTick(symbol, tick));
+    await subscribeTickSymbols(accountManager.universe()).catch((err) =>
+      logError("account ticks", err)
+    );
+    onTick((symbol, tick) => regimeEngine.onTick(symbol, tick));
+    // Depth and arrival prices for the execution algorithms
+    onTick((symbol, tick) => orderRouter.onTick(symbol, tick));
+    subscribeAuxiliaryTokens(regimeEngine.instruments());
+    regimeEngine.setEmitter((event, payload) => io.emit(event, payload));
     await watchStockSymbolUniverse();
     const token = await initSession();
+    // Trades a previous run left open are checked against the broker before
+    // anything new is sent
+    await orderStates.load();
+    if (token || isPaperTrading()) {
+      const report = await orderStates.reconcile();
+      console.log(
+        `[orders] reconcile: ${report.checked} open, ${report.repaired.length} repaired, ${report.closed.length} closed, ${report.alerts.length} alerts`
+      );
+    }
+    // Stops trail and positions close on ticks once the books are reconciled
+    onTick((symbol, tick) => liveExits.onTick(symbol, tick));
+    if (token) {
+      regimeEngine
+        .warmup((instrument, from, to) =>
+          kc.getHistoricalData(instrument, "minute", from, to)
+        )
+        .catch((err) => logError("regime warmup", err));
+    }
     if (!token) {
       console.warn("⚠️ No Kite session; live feed will not start.");
     } else if (isMarketOpen()) {
@@ -349,12 +1091,57 @@ server.listen(3000, async () => {
     const dummyBroker = { getPositions: async () => [] };
     trackOpenPositions(dummyBroker);
     setInterval(() => trackOpenPositions(dummyBroker), 60 * 1000);
+    // Pick up config versions written by other processes (e.g. a second instance)
+    setInterval(() => {
+      configService
+        .refresh()
+        .catch((err) => logError("config refresh", err));
+    }, 30 * 1000);
+    setInterval(() => {
+      accountManager
+        .syncPositions()
+        .catch((err) => logError("accounts sync", err));
+    }, 30 * 1000);
+    regimeEngine.start();
+    liveExits
+      .start({
+        subscribe: (symbol) => subscribeTickSymbols([symbol], "liveExits"),
+        unsubscribe: (symbol) => unsubscribeTickSymbols([symbol], "liveExits"),
+      })
+      .catch((err) => logError("live exits start", err));
+    setInterval(() => {
+      if (!isMarketOpen()) return;
+      orderStates.reconcile().catch((err) => logError("orders reconcile", err));
+    }, 5 * 60 * 1000);
+    setInterval(() => {
+      executionQuality
+        .applySlippage()
+        .catch((err) => logError("tca slippage", err));
+    }, 60 * 60 * 1000);
+    // Market-wide event windows drive marketContext.eventActive
+    setInterval(() => {
+      handleEconomicEvents(eventCalendar.marketEvents());
+    }, 60 * 1000);
+    // Sector breadth feeds the regime context; rotations go to the dashboard
+    setInterval(() => {
+      if (!isMarketOpen()) return;
+      const { snapshot, rotations } = sectorStrength.rotate();
+      trackSectorBreadth(sectorStrength.breadth(snapshot));
+      io.emit("sectorStrength", snapshot);
+      for (const r of rotations) {
+        console.log(
+          `[SECTOR] ${r.sector} rotated ${r.direction} (rank ${r.fromRank} → ${r.toRank})`
+        );
+        io.emit("sectorRotation", r);
+      }
+    }, 60 * 1000);
   }
 
+  // Daily at 08:30 IST; skipped on exchange holidays, runs on special sessions
   cron.schedule(
-    "30 8 * * 1-5",
+    "30 8 * * *",
     () => {
-      preloadStockData();
+      if (tradingCalendar.isTradingDay()) preloadStockData();
     },
     { timezone: "Asia/Kolkata" }
   );
@@ -363,7 +1150,7 @@ server.listen(3000, async () => {
     new Date().toLocaleString("en-US", { timeZone: "Asia/Kolkata" })
   );
   const minutes = now.getHours() * 60 + now.getMinutes();
-  if (minutes >= 510 && minutes <= 540) {
+  if (tradingCalendar.isTradingDay() && minutes >= 510 && minutes <= 540) {
     preloadStockData();
   }
 
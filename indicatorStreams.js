@@ -0,0 +1,575 @@
+// indicatorStreams.js
+// Stateful, O(1)-per-bar versions of the featureEngine indicators. Each
+// indicator is a small spec - init() state, step(state, input), value(state) -
+// over plain JSON-safe state, so a stream can be snapshotted and resumed.
+// Recursive indicators (EMA, RSI, ATR, MACD, Supertrend) repeat the batch
+// arithmetic step for step; windowed ones keep the trailing bars and call the
+// batch function on them, so outputs match computeFeatures exactly for the
+// same series.
+import {
+  calculateSMA,
+  calculateWMA,
+  calculateStdDev,
+  calculateBollingerBands,
+  calculateZScore,
+  calculateADX,
+  calculateVWAP,
+} from './featureEngine.js';
+
+export const SNAPSHOT_VERSION = 2;
+
+/** computeFeatures outputs a synced feature stream can supply. */
+export const STREAMED_FEATURES = [
+  'ema9',
+  'ema21',
+  'ema50',
+  'ema200',
+  'sma50',
+  'wma50',
+  'hma50',
+  'dema50',
+  'tema50',
+  'macd',
+  'adx',
+  'rsi',
+  'bollinger',
+  'stdDev',
+  'atr',
+  'emaSlope',
+  'supertrend',
+  'vwap',
+  'ttmSqueeze',
+  'zScore',
+];
+
+export function candleTime(c) {
+  if (c == null) return null;
+  if (Number.isFinite(c.ts)) return +c.ts;
+  const raw = c.timestamp ?? c.date;
+  if (!raw) return null;
+  const t = raw instanceof Date ? raw.getTime() : new Date(raw).getTime();
+  return Number.isFinite(t) ? t : null;
+}
+
+function localDayStart(time) {
+  const d = new Date(time);
+  d.setHours(0, 0, 0, 0);
+  return d.getTime();
+}
+
+function trueRange(c, prevClose) {
+  return Math.max(c.high - c.low, Math.abs(c.high - prevClose), Math.abs(c.low - prevClose));
+}
+
+// ---- Indicator specs ------------------------------------------------------
+
+/**
+ * @param {number} length
+ * @param {{series?: boolean}} [opts] - series: seed like the emaSeries helper
+ *   (MACD, DEMA, TEMA) rather than calculateEMA, which also applies the
+ *   smoothing step to the seed price
+ */
+export function emaSpec(length, { series = false } = {}) {
+  const k = 2 / (length + 1);
+  return {
+    init: () => ({ count: 0, ema: null }),
+    step(st, price) {
+      const prev = st.count === 0 ? price : st.ema;
+      st.ema = st.count === 0 && series ? price : price * k + prev * (1 - k);
+      st.count += 1;
+    },
+    value: (st) => st.ema,
+  };
+}
+
+export function rsiSpec(length = 14) {
+  const period = Math.max(1, Math.floor(length));
+  return {
+    init: () => ({ count: 0, prev: null, gain: 0, loss: 0 }),
+    step(st, price) {
+      if (st.count > 0) {
+        const diff = price - st.prev;
+        if (st.count <= period) {
+          // Seed: simple average of the first `period` changes
+          if (diff > 0) st.gain += diff;
+          else st.loss -= diff;
+          if (st.count === period) {
+            st.gain /= period;
+            st.loss /= period;
+          }
+        } else {
+          const up = diff > 0 ? diff : 0;
+          const down = diff < 0 ? -diff : 0;
+          st.gain = (st.gain * (period - 1) + up) / period;
+          st.loss = (st.loss * (period - 1) + down) / period;
+        }
+      }
+      st.prev = price;
+      st.count += 1;
+    },
+    value(st) {
+      if (st.count < period + 1) return null;
+      const rs = st.loss === 0 ? Infinity : st.gain / st.loss;
+      return 100 - 100 / (1 + rs);
+    },
+  };
+}
+
+export function atrSpec(period = 14) {
+  const len = Math.max(1, Math.floor(period));
+  return {
+    init: () => ({ count: 0, prevClose: null, seed: 0, atr: null }),
+    step(st, c) {
+      if (st.count > 0) {
+        const tr = trueRange(c, st.prevClose);
+        if (st.count <= len) {
+          st.seed += tr;
+          if (st.count === len) st.atr = st.seed / len;
+        } else {
+          st.atr = (st.atr * (len - 1) + tr) / len;
+        }
+      }
+      st.prevClose = c.close;
+      st.count += 1;
+    },
+    value: (st) => st.atr,
+  };
+}
+
+export function supertrendSpec(atrLength = 10, multiplier = 3) {
+  const atr = atrSpec(atrLength);
+  const mult = Number.isFinite(multiplier) ? multiplier : 3;
+  return {
+    init: () => ({
+      atr: atr.init(),
+      started: false,
+      finalUpper: 0,
+      finalLower: 0,
+      supertrend: 0,
+      trendUp: true,
+    }),
+    step(st, c) {
+      const prevClose = st.atr.prevClose;
+      atr.step(st.atr, c);
+      const atrValue = atr.value(st.atr);
+      if (atrValue == null) return;
+      const hl2 = (c.high + c.low) / 2;
+      const basicUpper = hl2 + mult * atrValue;
+      const basicLower = hl2 - mult * atrValue;
+      if (!st.started) {
+        st.started = true;
+        st.finalUpper = basicUpper;
+        st.finalLower = basicLower;
+        st.trendUp = c.close >= basicLower;
+        st.supertrend = st.trendUp ? st.finalLower : st.finalUpper;
+        return;
+      }
+      const prevFinalUpper = st.finalUpper;
+      const prevFinalLower = st.finalLower;
+      const prevSupertrend = st.supertrend;
+      st.finalUpper =
+        basicUpper < prevFinalUpper || prevClose > prevFinalUpper ? basicUpper : prevFinalUpper;
+      st.finalLower =
+        basicLower > prevFinalLower || prevClose < prevFinalLower ? basicLower : prevFinalLower;
+      if (prevSupertrend === prevFinalUpper) {
+        st.trendUp = c.close > st.finalUpper;
+      } else {
+        st.trendUp = c.close >= st.finalLower;
+      }
+      st.supertrend = st.trendUp ? st.finalLower : st.finalUpper;
+    },
+    value(st) {
+      if (!st.started) return null;
+      return {
+        signal: st.trendUp ? 'Buy' : 'Sell',
+        level: st.supertrend,
+        upperBand: st.finalUpper,
+        lowerBand: st.finalLower,
+        trend: st.trendUp ? 'up' : 'down',
+      };
+    },
+  };
+}
+
+export function macdSpec(shortLength = 12, longLength = 26, signalLength = 9) {
+  const short = emaSpec(shortLength, { series: true });
+  const long = emaSpec(longLength, { series: true });
+  const signal = emaSpec(signalLength, { series: true });
+  return {
+    init: () => ({ short: short.init(), long: long.init(), signal: signal.init() }),
+    step(st, price) {
+      short.step(st.short, price);
+      long.step(st.long, price);
+      signal.step(st.signal, st.short.ema - st.long.ema);
+    },
+    value(st) {
+      if (st.long.count < longLength) return null;
+      const macd = st.short.ema - st.long.ema;
+      return { macd, signal: st.signal.ema, histogram: macd - st.signal.ema };
+    },
+  };
+}
+
+/** EMA of EMA (of EMA): `depth` 2 is DEMA, 3 is TEMA. */
+export function multiEmaSpec(length, depth) {
+  const ema = emaSpec(length, { series: true });
+  return {
+    init: () => ({ count: 0, emas: Array.from({ length: depth }, () => ema.init()) }),
+    step(st, price) {
+      let input = price;
+      for (const e of st.emas) {
+        ema.step(e, input);
+        input = e.ema;
+      }
+      st.count += 1;
+    },
+    value(st) {
+      if (st.count < length) return null;
+      const [e1, e2, e3] = st.emas.map((e) => e.ema);
+      return depth === 2 ? 2 * e1 - e2 : 3 * e1 - 3 * e2 + e3;
+    },
+  };
+}
+
+/** Trailing window of the last `size` inputs, oldest first. */
+export function windowSpec(size, pick = (x) => x) {
+  return {
+    init: () => ({ values: [] }),
+    step(st, input) {
+      st.values.push(pick(input));
+      if (st.values.length > size) st.values.shift();
+    },
+    value: (st) => st.values,
+  };
+}
+
+export function hmaSpec(length) {
+  const half = Math.max(1, Math.round(length / 2));
+  const sqrt = Math.max(1, Math.round(Math.sqrt(length)));
+  const prices = windowSpec(length);
+  const raw = windowSpec(sqrt);
+  return {
+    init: () => ({ prices: prices.init(), raw: raw.init() }),
+    step(st, price) {
+      prices.step(st.prices, price);
+      const window = st.prices.values;
+      if (window.length < length) return;
+      raw.step(st.raw, 2 * calculateWMA(window, half) - calculateWMA(window, length));
+    },
+    value: (st) => calculateWMA(st.raw.values, sqrt),
+  };
+}
+
+/** Session VWAP: accumulates from local midnight, like calculateVWAP. */
+export function sessionVwapSpec() {
+  return {
+    init: () => ({ day: null, pv: 0, volume: 0, count: 0, fallback: null }),
+    step(st, c) {
+      const time = candleTime(c);
+      const day = time == null ? st.day : localDayStart(time);
+      if (day !== st.day) {
+        st.day = day;
+        st.pv = 0;
+        st.volume = 0;
+        st.count = 0;
+      }
+      const typicalPrice = (c.high + c.low + c.close) / 3;
+      if (c.volume && c.volume > 0) {
+        st.pv += typicalPrice * c.volume;
+        st.volume += c.volume;
+      } else {
+        st.pv += typicalPrice;
+        st.count += 1;
+      }
+      st.fallback = typicalPrice;
+    },
+    value(st) {
+      if (st.fallback == null) return null;
+      if (st.volume > 0) return st.pv / st.volume;
+      return st.count > 0 ? st.pv / st.count : st.fallback;
+    },
+  };
+}
+
+/**
+ * Wrap a spec as a standalone stream.
+ * @param {object} spec - one of the *Spec() results
+ * @param {object} [snapshot] - a previous snapshot() to resume from
+ */
+export function createIndicatorStream(spec, snapshot) {
+  const state = snapshot ? structuredClone(snapshot) : spec.init();
+  return {
+    update(input) {
+      spec.step(state, input);
+      return spec.value(state);
+    },
+    value: () => spec.value(state),
+    snapshot: () => structuredClone(state),
+  };
+}
+
+// ---- Feature stream -------------------------------------------------------
+
+/** Feed a close-price spec from candles. */
+const onClose = (spec) => ({ ...spec, step: (st, c) => spec.step(st, c.close) });
+
+const barOf = (c) => ({
+  ts: candleTime(c),
+  high: c.high,
+  low: c.low,
+  close: c.close,
+  volume: c.volume,
+});
+
+function streamSettings({ supertrendSettings = {}, vwapWindow = 10 } = {}) {
+  return {
+    atrLength: Math.max(1, Math.floor(supertrendSettings.atrLength ?? 10)),
+    multiplier: supertrendSettings.multiplier ?? 3,
+    vwapWindow: Math.max(1, vwapWindow),
+  };
+}
+
+function featureSpecs({ atrLength, multiplier, vwapWindow }) {
+  return {
+    ema9: onClose(emaSpec(9)),
+    ema20: onClose(emaSpec(20)),
+    ema21: onClose(emaSpec(21)),
+    ema50: onClose(emaSpec(50)),
+    ema200: onClose(emaSpec(200)),
+    dema50: onClose(multiEmaSpec(50, 2)),
+    tema50: onClose(multiEmaSpec(50, 3)),
+    hma50: onClose(hmaSpec(50)),
+    macd: onClose(macdSpec()),
+    rsi: onClose(rsiSpec(14)),
+    atr: atrSpec(14),
+    atr20: atrSpec(20),
+    supertrend: supertrendSpec(atrLength, multiplier),
+    closes: windowSpec(50, (c) => c.close),
+    adxBars: windowSpec(15, barOf),
+    vwap: sessionVwapSpec(),
+    vwapBars: windowSpec(vwapWindow, barOf),
+  };
+}
+
+/**
+ * Every streamed computeFeatures output, kept current one candle at a time.
+ * Feed candles oldest first; features() then equals computeFeatures over
+ * every candle fed so far.
+ *
+ * @param {object} [opts]
+ * @param {{atrLength?: number, multiplier?: number}} [opts.supertrendSettings]
+ * @param {number} [opts.vwapWindow=10] - bars in the rolling VWAP
+ * @param {object} [snapshot] - a previous snapshot() to resume from
+ */
+export function createFeatureStream(opts = {}, snapshot = null) {
+  const settings = snapshot?.settings ?? streamSettings(opts);
+  const specs = featureSpecs(settings);
+  const state = snapshot
+    ? structuredClone(snapshot.state)
+    : Object.fromEntries(Object.entries(specs).map(([name, spec]) => [name, spec.init()]));
+  let count = snapshot?.count ?? 0;
+  let firstTime = snapshot?.firstTime ?? null;
+  let lastTime = snapshot?.lastTime ?? null;
+  let lastClose = snapshot?.lastClose ?? null;
+  let prevEma21 = snapshot?.prevEma21 ?? null;
+
+  const stream = {
+    settings,
+    get count() {
+      return count;
+    },
+    get firstTime() {
+      return firstTime;
+    },
+    get lastTime() {
+      return lastTime;
+    },
+    get lastClose() {
+      return lastClose;
+    },
+
+    update(candle) {
+      prevEma21 = state.ema21.ema;
+      for (const [name, spec] of Object.entries(specs)) spec.step(state[name], candle);
+      if (count === 0) firstTime = candleTime(candle);
+      count += 1;
+      lastTime = candleTime(candle);
+      lastClose = candle.close;
+      return stream;
+    },
+
+    /**
+     * Outputs keyed like computeFeatures. `vwap` is the session VWAP and
+     * `vwapRolling` the VWAP of the last `vwapWindow` bars.
+     */
+    features() {
+      if (count === 0) return null;
+      const value = (name) => specs[name].value(state[name]);
+      const closes = state.closes.values;
+      const ema21 = value('ema21');
+      const atr = value('atr');
+      const bb = calculateBollingerBands(closes);
+      // TTM squeeze: Bollinger(20, 2) inside Keltner(EMA 20 ± 1.5 ATR 20)
+      const kcAtr = value('atr20');
+      const kcEma = value('ema20');
+      let ttmSqueeze = null;
+      if (bb && kcAtr != null) {
+        const upper = kcEma + 1.5 * kcAtr;
+        const lower = kcEma - 1.5 * kcAtr;
+        ttmSqueeze = { squeezeOn: bb.upper <= upper && bb.lower >= lower, width: bb.upper - bb.lower };
+      }
+      const { adx, plusDI, minusDI } = calculateADX(state.adxBars.values, 14) || {};
+      return {
+        ema9: value('ema9'),
+        ema21,
+        ema50: value('ema50'),
+        ema200: value('ema200'),
+        sma50: calculateSMA(closes, 50),
+        wma50: calculateWMA(closes, 50),
+        hma50: value('hma50'),
+        dema50: value('dema50'),
+        tema50: value('tema50'),
+        macd: value('macd'),
+        adx,
+        plusDI,
+        minusDI,
+        rsi: value('rsi'),
+        bollinger: bb,
+        stdDev: calculateStdDev(closes, 20),
+        atr,
+        atr14: atr,
+        emaSlope: count > 21 ? ema21 - prevEma21 : 0,
+        supertrend: value('supertrend'),
+        vwap: value('vwap'),
+        vwapRolling: calculateVWAP(state.vwapBars.values),
+        ttmSqueeze,
+        zScore: calculateZScore(closes),
+      };
+    },
+
+    snapshot() {
+      return {
+        version: SNAPSHOT_VERSION,
+        settings: { ...settings },
+        count,
+        firstTime,
+        lastTime,
+        lastClose,
+        prevEma21,
+        state: structuredClone(state),
+      };
+    },
+  };
+  return stream;
+}
+
+// ---- Per-token store ------------------------------------------------------
+
+function sameSettings(settings, opts) {
+  const want = streamSettings(opts);
+  return Object.keys(want).every((k) => settings?.[k] === want[k]);
+}
+
+/**
+ * Feature streams keyed by instrument token. sync() appends only the bars
+ * newer than the stream's last one and rebuilds from the given window when
+ * the history no longer lines up (restart, adjusted prices, revised bar) or
+ * the window's first bar moved (the capped history slid), so recursive
+ * indicators always equal a batch recompute over the same window.
+ *
+ * @param {object} [opts]
+ * @param {number} [opts.maxStreams=2000] - least recently synced are dropped
+ * @param {object} [opts.streamOptions] - passed to createFeatureStream
+ */
+export function createFeatureStreamStore({ maxStreams = 2000, streamOptions = {} } = {}) {
+  const streams = new Map();
+  const stats = { appended: 0, rebuilt: 0, reseeded: 0 };
+
+  function rebuild(bars) {
+    const stream = createFeatureStream(streamOptions);
+    for (const c of bars) stream.update(c);
+    stats.rebuilt += 1;
+    return stream;
+  }
+
+  function keep(key, stream) {
+    streams.delete(key);
+    streams.set(key, stream);
+    if (streams.size > maxStreams) streams.delete(streams.keys().next().value);
+    return stream;
+  }
+
+  return {
+    /**
+     * Bring the token's stream up to the last of `candles` (oldest first).
+     * @returns {object|null} the synced feature stream
+     */
+    sync(key, candles = []) {
+      const k = String(key);
+      const bars = candles.filter(
+        (c) => c && c.open !== undefined && c.high !== undefined && c.low !== undefined && c.close !== undefined
+      );
+      if (!bars.length) return null;
+      let stream = streams.get(k);
+      if (stream && stream.firstTime !== candleTime(bars[0])) {
+        stats.reseeded += 1;
+        stream = null;
+      }
+      let from = -1;
+      if (stream && stream.lastTime != null) {
+        for (let i = bars.length - 1; i >= 0; i--) {
+          const t = candleTime(bars[i]);
+          if (t === stream.lastTime) {
+            if (bars[i].close === stream.lastClose) from = i + 1;
+            break;
+          }
+          if (t != null && t < stream.lastTime) break;
+        }
+      }
+      if (from < 0) return keep(k, rebuild(bars));
+
+      let prev = stream.lastTime;
+      for (let i = from; i < bars.length; i++) {
+        const t = candleTime(bars[i]);
+        if (t == null || t <= prev) return keep(k, rebuild(bars));
+        prev = t;
+      }
+      for (let i = from; i < bars.length; i++) stream.update(bars[i]);
+      stats.appended += bars.length - from;
+      return keep(k, stream);
+    },
+
+    get: (key) => streams.get(String(key)) ?? null,
+
+    /** Drop a token's stream so the next sync rebuilds it. */
+    reset(key) {
+      if (key === undefined) streams.clear();
+      else streams.delete(String(key));
+    },
+
+    /** @returns {Record<string, object>} snapshots keyed by token */
+    snapshot() {
+      return Object.fromEntries([...streams].map(([key, s]) => [key, s.snapshot()]));
+    },
+
+    /**
+     * Resume streams from snapshot(). Entries from another snapshot version
+     * or with different settings are skipped and rebuild on their next sync.
+     * @returns {number} streams restored
+     */
+    restore(snapshots = {}) {
+      let restored = 0;
+      for (const [key, snap] of Object.entries(snapshots)) {
+        if (snap?.version !== SNAPSHOT_VERSION || !snap.state) continue;
+        if (!sameSettings(snap.settings, streamOptions)) continue;
+        keep(key, createFeatureStream({}, snap));
+        restored += 1;
+      }
+      return restored;
+    },
+
+    stats: () => ({ streams: streams.size, ...stats }),
+  };
+}
+
+export const featureStreams = createFeatureStreamStore();
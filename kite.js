@@ -3,6 +3,8 @@ import "./env.js";
 import { KiteConnect, KiteTicker } from "kiteconnect";
 import { EventEmitter } from "events";
 import { calculateEMA, calculateSupertrend } from "./featureEngine.js";
+import { featureStreams } from "./indicatorStreams.js";
+import { evaluationPool } from "./evaluationPool.js";
 import fs from "fs";
 import path from "path";
 import dotenv from "dotenv";
@@ -22,11 +24,22 @@ import {
   ingestTick as ingestAlignedTick,
   flushOpenCandles,
   finalizeEOD as finalizeAlignedEOD,
+  setAlignerClock,
+  resetAlignerClock,
+  setAlignerCollections,
+  resetAlignerCollections,
+  onAlignedCandle,
 } from "./aligner.js";
+import {
+  timeframeEngine,
+  normalizeTimeframe,
+  resampleCandles,
+} from "./timeframes.js";
 import { fallbackFetch } from "./fallbackFetcher.js";
 import {
   metrics,
   incrementMetric,
+  setMetric,
   onReject,
   startMetricsReporter,
 } from "./metrics.js";
@@ -38,12 +51,39 @@ import {
   notifyExposureEvents,
   openPositions,
   recordExit as markExit,
+  setPortfolioClock,
+  resetPortfolioClock,
 } from "./portfolioContext.js";
-import { startExitMonitor, recordExit as logExit } from "./exitManager.js";
+import {
+  startExitMonitor,
+  recordExit as logExit,
+  setExitClock,
+  resetExitClock,
+} from "./exitManager.js";
 import { logTrade as recordTrade, logOrderUpdate } from "./tradeLogger.js";
 import { getAccountBalance, initAccountBalance } from "./account.js";
 import { marketContext } from "./smartStrategySelector.js";
 import { evaluateAutoTradeEligibility } from "./autoTrader.js";
+import { isPaperTrading, paperBroker } from "./paperBroker.js";
+import {
+  setCandidateTraceClock,
+  resetCandidateTraceClock,
+  setCandidateTracing,
+  isCandidateTracing,
+  recordGateSteps,
+} from "./candidateTrace.js";
+import { setRiskClock, resetRiskClock } from "./riskEngine.js";
+import {
+  setSignalManagerClock,
+  resetSignalManagerClock,
+} from "./signalManager.js";
+import { ensureClock } from "./src/backtest/clock.js";
+import { tradingCalendar } from "./tradingCalendar.js";
+import {
+  createTickReplay,
+  loadTicksFromCollection,
+  loadTicksFromJsonl,
+} from "./src/backtest/tickReplay.js";
 dotenv.config();
 
 import db from "./db.js"; // 🧠 Import database module for future use
@@ -54,10 +94,22 @@ import {
   pushCandle,
   pushCandles,
   clearCandleHistory,
+  setHistoryAdjuster,
   HISTORY_CAP,
 } from "./candleCache.js";
+import { corporateActions, adjustCandles } from "./corporateActions.js";
+
+// Stored candles stay raw; reads get the corporate-action adjusted view
+const adjustForActions = (token, candles) =>
+  corporateActions.adjust(token, candles);
+const historicalStore = initHistoricalStore({ adjust: adjustForActions });
+setHistoryAdjuster(adjustForActions);
 
-const historicalStore = initHistoricalStore();
+// 3m/5m/15m/30m/60m/daily bars are rolled up from every finalized 1m candle;
+// bars built from a tick replay are never queued for timeframe_candles
+onAlignedCandle((candle) =>
+  timeframeEngine.onMinuteBar(candle.tokenStr, candle, { persist: !activeReplay })
+);
 
 const DEFAULT_SLIPPAGE_PCT = 0.0005;
 const MAX_SPREAD_SLIPPAGE = 0.003;
@@ -69,6 +121,10 @@ const computeSlippagePct = (lastPrice, spread) =>
 
 // Collection name for aligned ticks stored in MongoDB
 const ALIGNED_COLLECTION = "aligned_ticks";
+// A tick replay aligns into its own collection and records its signals apart
+// from the live `signals` history
+const REPLAY_ALIGNED_COLLECTION = "replay_aligned_ticks";
+const REPLAY_SIGNAL_COLLECTION = "replay_signals";
 // Ensure the collection exists. Mongo will create it automatically if missing.
 await db.createCollection(ALIGNED_COLLECTION).catch(() => {});
 
@@ -97,6 +153,66 @@ export function getOrderUpdate(orderId) {
   return orderUpdateMap.get(orderId);
 }
 
+// Extra consumers of the shared feed (e.g. paper brokers of other accounts).
+// Replayed ticks are not passed on, so a replay cannot trail live stops or
+// fill paper orders at historical prices.
+const tickListeners = new Set();
+
+export function onTick(cb) {
+  tickListeners.add(cb);
+  return () => tickListeners.delete(cb);
+}
+
+function notifyTickListeners(symbol, tick) {
+  if (activeReplay) return;
+  for (const cb of tickListeners) {
+    try {
+      cb(symbol, tick);
+    } catch (err) {
+      logError("tickListener", err);
+    }
+  }
+}
+
+// Index/VIX, other accounts' and open-trade feeds for tick listeners only:
+// never buffered, aligned or scanned, and kept across universe changes
+const auxiliaryTokens = new Map(); // token -> { symbol, owners }
+
+export function subscribeAuxiliaryTokens(entries = [], owner = "feeds") {
+  const added = [];
+  for (const { token, symbol } of entries) {
+    const tokenStr = canonToken(token);
+    if (!tokenStr || !symbol) continue;
+    const aux = auxiliaryTokens.get(tokenStr);
+    if (aux) {
+      aux.owners.add(owner);
+      continue;
+    }
+    auxiliaryTokens.set(tokenStr, { symbol, owners: new Set([owner]) });
+    added.push(Number(tokenStr));
+  }
+  if (ticker && liveFeedActive && added.length) {
+    ticker.subscribe(added);
+    ticker.setMode(ticker.modeFull, added);
+  }
+  return added.length;
+}
+
+// A token leaves the feed once its last owner lets go, unless the primary
+// universe still holds it
+export function unsubscribeAuxiliaryTokens(tokens = [], owner = "feeds") {
+  const removed = [];
+  for (const token of tokens) {
+    const tokenStr = canonToken(token);
+    const aux = auxiliaryTokens.get(tokenStr);
+    if (!aux || !aux.owners.delete(owner) || aux.owners.size) continue;
+    auxiliaryTokens.delete(tokenStr);
+    if (!instrumentTokens.includes(Number(tokenStr))) removed.push(Number(tokenStr));
+  }
+  if (ticker && liveFeedActive && removed.length) ticker.unsubscribe(removed);
+  return removed.length;
+}
+
 const tokensData = await db.collection("tokens").findOne({});
 const sessionData = {};
 const DEFAULT_SESSION_PRELOAD_LIMIT = 500;
@@ -243,6 +359,8 @@ async function syncStockSymbolUniverse(nextSymbols = []) {
     delete tickBuffer[token];
     delete sessionData[token];
     delete candleHistory[token];
+    featureStreams.reset(token);
+    evaluationPool.reset(token);
   }
 
   updateInstrumentTokens(numericTokens);
@@ -364,6 +482,8 @@ async function removeStockSymbol(symbol) {
     instrumentTokens = instrumentTokens.filter((t) => t !== token);
     delete tickBuffer[token];
     delete candleHistory[token];
+    featureStreams.reset(token);
+    evaluationPool.reset(token);
     // Remove any aligned tick data for this token from DB
     await db
       .collection(ALIGNED_COLLECTION)
@@ -478,6 +598,9 @@ let tickBuffer = {};
 let candleInterval;
 let globalIO;
 let lastTickTs = null;
+// Clock for the tick pipeline; swapped for a backtest clock during replay
+let feedClock = ensureClock();
+let activeReplay = null;
 let riskState = {
   dailyLoss: 0,
   maxDailyLoss: 5000,
@@ -525,6 +648,9 @@ function handleOrderUpdate(update) {
   }
 }
 
+// Simulated fills are surfaced exactly like broker postbacks
+paperBroker.onUpdate(handleOrderUpdate);
+
 // 🔐 Initialize Kite session
 export async function initSession() {
   try {
@@ -595,17 +721,9 @@ async function resetDatabase() {
   };
 }
 
+// Regular, special and muhurat sessions per the NSE calendar (not pre-open)
 function isMarketOpen() {
-  const now = new Date(
-    new Date().toLocaleString("en-US", { timeZone: "Asia/Kolkata" })
-  );
-  const totalMinutes = now.getHours() * 60 + now.getMinutes();
-  return (
-    now.getDay() >= 1 &&
-    now.getDay() <= 5 &&
-    totalMinutes >= 555 &&
-    totalMinutes <= 930
-  );
+  return tradingCalendar.isMarketOpen();
 }
 
 async function getTokensForSymbols(symbols) {
@@ -668,16 +786,20 @@ async function loadHistoricalSessionCandles(tokens) {
     const tokenStr = String(doc.token);
     pushCandles(
       tokenStr,
-      (doc.candles || doc.data || []).map((c) => ({
-        open: c.open,
-        high: c.high,
-        low: c.low,
-        close: c.close,
-        volume: c.volume,
-        timestamp: new Date(c.date),
-      })),
+      adjustForActions(
+        tokenStr,
+        (doc.candles || doc.data || []).map((c) => ({
+          open: c.open,
+          high: c.high,
+          low: c.low,
+          close: c.close,
+          volume: c.volume,
+          timestamp: new Date(c.date),
+        }))
+      ),
       HISTORY_CAP
     );
+    timeframeEngine.seed(tokenStr, candleHistory[tokenStr]);
   }
 
   if (docs.length) {
@@ -708,9 +830,43 @@ function isLiveFeedRunning() {
   return liveFeedStarting;
 }
 
+// Shared entry point for ticker "ticks" events and the tick replay.
+function handleTicks(ticks) {
+  lastTickTs = feedClock.now();
+  incrementMetric("ticks", ticks.length);
+  const paperMode = isPaperTrading();
+  for (const tick of ticks) {
+    const tokenStr = canonToken(tick.instrument_token);
+    if (!tokenStr) continue;
+    const auxSymbol = auxiliaryTokens.get(tokenStr)?.symbol;
+    if (auxSymbol && !instrumentTokens.includes(Number(tokenStr))) {
+      notifyTickListeners(auxSymbol, tick);
+      continue;
+    }
+    const symbol = tokenSymbolMap.get(tokenStr);
+    if (!symbol) {
+      logWarnOncePerToken("UNMAPPED_TOKEN", tokenStr, "dropping tick");
+      continue;
+    }
+    if (!tickBuffer[tokenStr]) tickBuffer[tokenStr] = [];
+    tickBuffer[tokenStr].push({
+      ...tick,
+      instrument_token: Number(tokenStr),
+    });
+    ingestAlignedTick({ token: tokenStr, symbol, tick });
+    if (paperMode && !activeReplay) paperBroker.onTick(symbol, tick);
+    notifyTickListeners(symbol, tick);
+  }
+}
+
 async function startLiveFeed(io) {
   globalIO = io;
 
+  if (activeReplay) {
+    console.log("⚠️ Tick replay in progress. Stop it before starting the live feed.");
+    return;
+  }
+
   if (liveFeedStarting || isLiveFeedRunning()) {
     console.log(
       "⚠️ Live feed already starting or running. Skipping duplicate start."
@@ -718,7 +874,8 @@ async function startLiveFeed(io) {
     return;
   }
 
-  if (!isMarketOpen()) {
+  // Connecting during the 09:00–09:08 pre-open has the feed ready for 09:15
+  if (!tradingCalendar.isMarketOpen(Date.now(), { includePreOpen: true })) {
     console.log("⛔ Market closed: not starting live feed.");
     return;
   }
@@ -787,8 +944,11 @@ async function startLiveFeed(io) {
 
     ticker = new KiteTicker({ api_key: apiKey, access_token: accessToken });
     ticker.on("connect", () => {
-      ticker.subscribe(instrumentTokens);
-      ticker.setMode(ticker.modeFull, instrumentTokens);
+      const auxTokens = [...auxiliaryTokens.keys()]
+        .map(Number)
+        .filter((t) => !instrumentTokens.includes(t));
+      ticker.subscribe([...instrumentTokens, ...auxTokens]);
+      ticker.setMode(ticker.modeFull, [...instrumentTokens, ...auxTokens]);
       console.log(
         "📈 Ticker connected; subscribed:",
         instrumentTokens.length,
@@ -799,25 +959,7 @@ async function startLiveFeed(io) {
       liveFeedStarting = false;
     });
 
-    ticker.on("ticks", (ticks) => {
-      lastTickTs = Date.now();
-      incrementMetric("ticks", ticks.length);
-      for (const tick of ticks) {
-        const tokenStr = canonToken(tick.instrument_token);
-        if (!tokenStr) continue;
-        const symbol = tokenSymbolMap.get(tokenStr);
-        if (!symbol) {
-          logWarnOncePerToken("UNMAPPED_TOKEN", tokenStr, "dropping tick");
-          continue;
-        }
-        if (!tickBuffer[tokenStr]) tickBuffer[tokenStr] = [];
-        tickBuffer[tokenStr].push({
-          ...tick,
-          instrument_token: Number(tokenStr),
-        });
-        ingestAlignedTick({ token: tokenStr, symbol, tick });
-      }
-    });
+    ticker.on("ticks", handleTicks);
 
     ticker.on("order_update", handleOrderUpdate);
 
@@ -846,9 +988,9 @@ async function startLiveFeed(io) {
     const alignedTimer = setInterval(() => processAlignedCandles(io), 60000);
     alignedTimer.unref?.();
     const flushTimer = setInterval(() => {
-      flushOpenCandles({ force: false }).catch((err) =>
-        logError("aligner.flush", err)
-      );
+      flushOpenCandles({ force: false })
+        .then(() => timeframeEngine.persist({ database: db }))
+        .catch((err) => logError("aligner.flush", err));
     }, 5000);
     flushTimer.unref?.();
     const persistTimerStarter = setTimeout(() => {
@@ -864,6 +1006,10 @@ async function startLiveFeed(io) {
       lastEODFlush = dayKey;
       finalizeAlignedEOD(now)
         .then(() => flushOpenCandles({ force: true }))
+        .then(() => {
+          timeframeEngine.flush();
+          return timeframeEngine.persist({ database: db });
+        })
         .catch((err) => logError("aligner.finalizeEOD", err));
     }, 60000);
     eodTimer.unref?.();
@@ -876,6 +1022,127 @@ async function startLiveFeed(io) {
   }
 }
 
+function setPipelineClock(clock) {
+  feedClock = ensureClock(clock);
+  setAlignerClock(clock);
+  setPortfolioClock(clock);
+  setRiskClock(clock);
+  setSignalManagerClock(clock);
+  setExitClock(clock);
+  setCandidateTraceClock(clock);
+  paperBroker.setClock(clock);
+}
+
+function resetPipelineClock() {
+  feedClock = ensureClock();
+  resetAlignerClock();
+  resetPortfolioClock();
+  resetRiskClock();
+  resetSignalManagerClock();
+  resetExitClock();
+  resetCandidateTraceClock();
+  paperBroker.setClock();
+}
+
+// Sandbox the pipeline for a replay: aligned bars go to their own
+// collection, session_data and candidate traces are not written. Signals are
+// flagged `replay` and emitUnifiedSignal keeps them away from execution,
+// account dispatch and notifications.
+function enterReplaySandbox() {
+  const tracing = isCandidateTracing();
+  setAlignerCollections({ aligned: REPLAY_ALIGNED_COLLECTION, session: null });
+  setCandidateTracing(false);
+  return () => {
+    resetAlignerCollections();
+    setCandidateTracing(tracing);
+  };
+}
+
+/**
+ * Replay recorded ticks through the live pipeline after hours.
+ * Ticks go through the same handler as ticker "ticks" events, and
+ * processBuffer / flushOpenCandles / processAlignedCandles run on the
+ * replay clock at their live cadence. The run is sandboxed: see
+ * enterReplaySandbox.
+ * @param {Object} io - Socket.IO server used for signal emits
+ * @param {Object} [options]
+ * @param {string} [options.file] - JSONL file to read instead of tick_data
+ * @param {number|string} [options.from] - Start time (ms or ISO)
+ * @param {number|string} [options.to] - End time (ms or ISO)
+ * @param {Array<number>} [options.tokens] - Restrict to these instrument tokens
+ * @param {number} [options.speed=1] - Playback multiplier; 0 = as fast as possible
+ * @returns {Promise<Object>} replay status
+ */
+async function startTickReplay(io, options = {}) {
+  if (activeReplay) throw new Error("Tick replay already running");
+  if (isLiveFeedRunning()) throw new Error("Live feed is running");
+  globalIO = io || globalIO;
+  await ensureInstrumentMap(db);
+
+  const { file, from, to, tokens, speed = 1 } = options;
+  const events = file
+    ? await loadTicksFromJsonl(file, { from, to, tokens })
+    : await loadTicksFromCollection(db, { from, to, tokens });
+  if (!events.length) throw new Error("No ticks found for replay");
+
+  await db.collection(REPLAY_ALIGNED_COLLECTION).deleteMany({});
+  const leaveSandbox = enterReplaySandbox();
+  const replay = createTickReplay({
+    events,
+    speed: Number(speed),
+    onTicks: (ticks) => handleTicks(ticks),
+    timers: [
+      { everyMs: tickIntervalMs, run: () => processBuffer(globalIO) },
+      {
+        everyMs: 5000,
+        run: () =>
+          flushOpenCandles({ force: false }).catch((err) =>
+            logError("aligner.flush", err)
+          ),
+      },
+      { everyMs: 60000, run: () => processAlignedCandles(globalIO) },
+    ],
+    onEnd: async (status) => {
+      try {
+        await flushOpenCandles({ force: true });
+        await processAlignedCandles(globalIO);
+      } catch (err) {
+        logError("tickReplay.finish", err);
+      } finally {
+        resetPipelineClock();
+        leaveSandbox();
+        activeReplay = null;
+        console.log(
+          `⏹️ Tick replay ${status.state}: ${status.emitted}/${status.total} ticks`
+        );
+      }
+    },
+  });
+  setPipelineClock(replay.clock);
+  activeReplay = replay;
+  replay.start().catch((err) => {
+    logError("tickReplay", err);
+    resetPipelineClock();
+    leaveSandbox();
+    activeReplay = null;
+  });
+  console.log(
+    `▶️ Tick replay started: ${events.length} ticks from ${new Date(
+      events[0].ts
+    ).toISOString()} at ${speed}x`
+  );
+  return replay.status();
+}
+
+function getTickReplay() {
+  return activeReplay;
+}
+
+async function stopTickReplay() {
+  if (!activeReplay) return null;
+  return activeReplay.stop();
+}
+
 const BATCH_LIMIT = 100;
 let processingInProgress = false;
 let lastEmptyAlignedLog = 0;
@@ -886,13 +1153,23 @@ const bufferLogState = new Map();
 export async function processAlignedCandles(io) {
   if (processingInProgress) return;
   processingInProgress = true;
+  const cycle = evaluationPool.startCycle();
+  const prepared = [];
 
   try {
+    // With evaluation workers the batch is what the pool can take; the rest
+    // stays in aligned_ticks for the next cycle
+    const limit = evaluationPool.enabled
+      ? Math.max(1, evaluationPool.capacity())
+      : BATCH_LIMIT;
+    const alignedCollection = activeReplay
+      ? REPLAY_ALIGNED_COLLECTION
+      : ALIGNED_COLLECTION;
     const docs = await db
-      .collection(ALIGNED_COLLECTION)
+      .collection(alignedCollection)
       .find({})
       .sort({ minute: 1 })
-      .limit(BATCH_LIMIT)
+      .limit(limit)
       .toArray();
 
     if (!docs.length) {
@@ -907,10 +1184,15 @@ export async function processAlignedCandles(io) {
 
     console.log(`🧱 Aligned batch: ${docs.length} docs`);
 
-    const { analyzeCandles } = await import("./scanner.js");
+    const { analyzeCandles, buildEvaluationJob } = await import("./scanner.js");
 
+    // 1) Fold each bar into its history. A token's later minutes wait for the
+    // next cycle so every doc is analysed on the history up to its own bar.
+    const seen = new Set();
     for (const doc of docs) {
       const tokenStr = canonToken(doc.token);
+      if (seen.has(tokenStr)) break;
+      seen.add(tokenStr);
       await ensureCandleHistory(tokenStr);
       const symbol = doc.symbol || (await getSymbolForToken(tokenStr));
       if (!symbol) {
@@ -919,7 +1201,7 @@ export async function processAlignedCandles(io) {
           tokenStr,
           "aligned candle missing symbol"
         );
-        await db.collection(ALIGNED_COLLECTION).deleteOne({ _id: doc._id });
+        await db.collection(alignedCollection).deleteOne({ _id: doc._id });
         continue;
       }
 
@@ -945,20 +1227,58 @@ export async function processAlignedCandles(io) {
       const avgVol = (await getAverageVolume(tokenStr, 20)) ?? 1000;
       const lastPrice =
         Number(lastTick?.last_price) || newCandle.close || newCandle.open || 0;
+      // cap at 0.30%; default 0.05%
       const slippagePct = computeSlippagePct(lastPrice, spread);
+      prepared.push({
+        doc,
+        tokenStr,
+        symbol,
+        market: { depth, totalBuy, totalSell, slippagePct, spread, avgVol, lastTick },
+      });
+    }
+
+    // 2) Features and strategies for the whole batch on the worker pool; the
+    // jobs are handed on to analyzeCandles so they are built only once
+    const jobs = evaluationPool.enabled
+      ? await Promise.all(
+          prepared.map(({ tokenStr, symbol, market }) =>
+            buildEvaluationJob(candleHistory[tokenStr], symbol, {
+              token: tokenStr,
+              depth: market.depth,
+              totalBuy: market.totalBuy,
+              totalSell: market.totalSell,
+              spread: market.spread,
+              liquidity: market.avgVol,
+              liveTick: market.lastTick,
+            })
+          )
+        )
+      : [];
+    const evaluations = await Promise.all(
+      jobs.map((job) => evaluationPool.evaluate(job))
+    );
+
+    // 3) Gating, sizing and emission stay here, one symbol at a time
+    for (const [i, { doc, tokenStr, symbol, market }] of prepared.entries()) {
       incrementMetric("evalSymbols");
-      // const lastPrice and slippagePct already declared above, so just use them here
-      // cap at 0.30%; default 0.05%
       const signal = await analyzeCandles(
         candleHistory[tokenStr],
         symbol,
-        depth,
-        totalBuy,
-        totalSell,
-        slippagePct,
-        spread,
-        avgVol,
-        lastTick
+        market.depth,
+        market.totalBuy,
+        market.totalSell,
+        market.slippagePct,
+        market.spread,
+        market.avgVol,
+        market.lastTick,
+        {},
+        {},
+        {
+          job: jobs[i],
+          evaluation: evaluations[i],
+          replay: Boolean(activeReplay),
+          onAccountSignal: activeReplay ? null : dispatchToAccounts,
+        }
       );
 
       if (signal) {
@@ -966,12 +1286,16 @@ export async function processAlignedCandles(io) {
         await emitUnifiedSignal(signal, "Aligned", io);
       }
 
-      await db.collection(ALIGNED_COLLECTION).deleteOne({ _id: doc._id });
+      await db.collection(alignedCollection).deleteOne({ _id: doc._id });
     }
   } catch (err) {
     logError("processAlignedCandles", err);
   } finally {
     processingInProgress = false;
+    if (prepared.length) {
+      const summary = cycle.end({ symbols: prepared.length });
+      setMetric("evalCycleMs", summary.wallMs);
+    }
   }
 }
 
@@ -1049,7 +1373,7 @@ async function processBuffer(io) {
       continue;
     }
 
-    const minuteKey = Math.floor(Date.now() / 60000);
+    const minuteKey = Math.floor(feedClock.now() / 60000);
     const lastLog = bufferLogState.get(tokenStr);
     if (!lastLog || lastLog.minute !== minuteKey) {
       console.log(`🧮 Tick buffer for ${symbol}: ${ticks.length} ticks`);
@@ -1064,7 +1388,7 @@ async function processBuffer(io) {
       low,
       close,
       volume,
-      timestamp: new Date(),
+      timestamp: new Date(feedClock.now()),
     };
 
     pushCandle(tokenStr, newCandle, HISTORY_CAP); // Keep only last HISTORY_CAP candles
@@ -1080,7 +1404,13 @@ async function processBuffer(io) {
         slippagePct,
         spread,
         avgVol,
-        lastTick
+        lastTick,
+        {},
+        {},
+        {
+          replay: Boolean(activeReplay),
+          onAccountSignal: activeReplay ? null : dispatchToAccounts,
+        }
       );
 
       if (signal) {
@@ -1127,22 +1457,25 @@ function checkMarketVolatility(
   return atrPct <= thresholdPct;
 }
 
+// Session risk gate for emitted signals; returns the failing rule or null
 async function checkRisk(signal) {
-  if (riskState.dailyLoss >= riskState.maxDailyLoss) return false;
+  if (riskState.dailyLoss >= riskState.maxDailyLoss) return "maxDailyLoss";
   if (riskState.consecutiveLosses >= riskState.maxConsecutiveLosses)
-    return false;
+    return "maxConsecutiveLosses";
   const tokenStr =
     (await getTokenForSymbol(signal.stock)) || signal.instrument_token;
-  if (tokenStr && !checkMarketVolatility(String(tokenStr))) return false;
-  return true;
+  if (tokenStr && !checkMarketVolatility(String(tokenStr)))
+    return "marketVolatility";
+  return null;
 }
 
 // ✅ Fix 1: Candle Stability — Add fallback using official 1-min data every X minutes
-setInterval(() => {
+const fallbackTimer = setInterval(() => {
   if (isMarketOpen()) {
     fetchFallbackOneMinuteCandles();
   }
 }, 5 * 60 * 1000); // Every 5 minutes
+fallbackTimer.unref?.();
 
 async function fetchFallbackOneMinuteCandles() {
   const accessToken = await initSession();
@@ -1423,17 +1756,71 @@ function scheduleAutoExecution(signal) {
     triggerFlush();
   }
 }
+// Signals from a tick replay are gated like live ones but only recorded in
+// replay_signals and emitted as `replaySignal`.
+async function recordReplaySignal(signal, source, io) {
+  console.log(`⏪ Replay ${source} signal: ${signal.stock} ${signal.direction}`);
+  if (io) {
+    io.emit("replaySignal", signal);
+  }
+  try {
+    await db.collection(REPLAY_SIGNAL_COLLECTION).insertOne({
+      ...signal,
+      source,
+      replayedAt: new Date(feedClock.now()),
+    });
+  } catch (err) {
+    logError("tickReplay.signal", err);
+  }
+}
+
+// Hand a signal to the other trading accounts. Also used by the scanner for
+// signals that only the primary account's own limits rejected.
+function dispatchToAccounts(signal) {
+  import("./accounts.js")
+    .then(({ accountManager }) => accountManager.dispatch(signal))
+    .then((results) => {
+      const placed = results.filter((r) => r.status === "placed");
+      if (placed.length) {
+        console.log(`[ACCOUNTS] ${signal.stock} placed for`, placed.map((r) => r.accountId));
+      }
+    })
+    .catch((err) => logError("accounts.dispatch", err));
+}
+
 // Allow io to be optional and fall back to the initialized global socket
 async function emitUnifiedSignal(signal, source, io = globalIO) {
+  const replay = Boolean(signal.replay || activeReplay);
+  if (replay) signal.replay = true;
   const key = `${signal.stock}-${signal.pattern}-${signal.direction}`;
-  const now = Date.now();
+  const now = feedClock.now();
   if (lastSignalMap[key] && now - lastSignalMap[key] < 5 * 60 * 1000) {
     console.log(`🛑 Duplicate signal skipped for ${key}`);
     return;
   }
   lastSignalMap[key] = now;
-  if (!(await checkRisk(signal))) return;
+  // Other accounts size and gate the signal against their own risk state,
+  // independent of the primary account's gates below.
+  if (!replay) dispatchToAccounts(signal);
   const symbol = signal.stock || signal.symbol;
+  // Each portfolio gate's verdict is appended to the candidate's trace
+  const gates = [];
+  const riskRule = await checkRisk(signal);
+  gates.push({
+    stage: "risk",
+    rule: riskRule || "checkRisk",
+    passed: !riskRule,
+    inputs: {
+      dailyLoss: riskState.dailyLoss,
+      maxDailyLoss: riskState.maxDailyLoss,
+      consecutiveLosses: riskState.consecutiveLosses,
+      maxConsecutiveLosses: riskState.maxConsecutiveLosses,
+    },
+  });
+  if (riskRule) {
+    if (!replay) await recordGateSteps(signal, gates);
+    return;
+  }
   const tradeValue = signal.entry * (signal.qty || 1);
   const exposureOptions = {
     symbol,
@@ -1448,6 +1835,26 @@ async function emitUnifiedSignal(signal, source, io = globalIO) {
     side: signal.direction === "Long" ? "buy" : "sell",
     strategy: signal.pattern,
   });
+  gates.push(
+    { stage: "portfolio", rule: "preventReEntry", passed: reEntryAllowed, inputs: { symbol } },
+    {
+      stage: "portfolio",
+      rule: "exposureLimits",
+      passed: exposureAllowed,
+      inputs: {
+        tradeValue,
+        sector: exposureOptions.sector,
+        totalCapital: exposureOptions.totalCapital,
+      },
+    },
+    {
+      stage: "portfolio",
+      rule: "signalConflict",
+      passed: conflictAllowed,
+      inputs: { direction: signal.direction, strategy: signal.pattern },
+    }
+  );
+  if (!replay) await recordGateSteps(signal, gates);
 
   if (process.env.DEBUG_PORTFOLIO) {
     console.log("[PORTFOLIO GATE]", {
@@ -1459,6 +1866,7 @@ async function emitUnifiedSignal(signal, source, io = globalIO) {
 
   const allowed = reEntryAllowed && exposureAllowed && conflictAllowed;
   if (!allowed) {
+    if (replay) return;
     await logSignalRejected(
       signal.signalId ||
         signal.algoSignal?.signalId ||
@@ -1480,6 +1888,10 @@ async function emitUnifiedSignal(signal, source, io = globalIO) {
     marginCapped: Boolean(sizingInfo.marginCapped),
   };
   console.log(`[SIZING] ${symbol}`, sizingLog);
+  if (replay) {
+    await recordReplaySignal(signal, source, io);
+    return;
+  }
   console.log(`🚀 Emitting ${source} Signal:`, signal);
   // Guard against missing socket instance which previously threw and prevented
   // signal propagation
@@ -1532,9 +1944,9 @@ async function fetchHistoricalIntradayData(
 
   for (const dateStr of tradingDates) {
     console.log(`📆 Fetching ${interval} data for: ${dateStr}`);
-    const [year, month, day] = dateStr.split("-").map(Number);
-    const from = new Date(Date.UTC(year, month - 1, day, 3, 45));
-    const to = new Date(Date.UTC(year, month - 1, day, 10, 0));
+    const { sessions } = tradingCalendar.getDay(dateStr);
+    const from = new Date(sessions[0].start);
+    const to = new Date(sessions.at(-1).end);
 
     for (const symbol of symbolsToUse) {
       try {
@@ -1610,30 +2022,14 @@ async function fetchHistoricalIntradayData(
       volume: c.volume,
       timestamp: new Date(c.date),
     }));
-    pushCandles(tokenStr, candles, HISTORY_CAP);
+    pushCandles(tokenStr, adjustForActions(tokenStr, candles), HISTORY_CAP);
+    timeframeEngine.seed(tokenStr, candleHistory[tokenStr]);
   }
 }
 
-// Get past trading dates excluding weekends
+// Previous trading dates (IST, oldest first), skipping weekends and exchange holidays
 function getPastTradingDates(refDate, count) {
-  const dates = [];
-  const d = new Date(refDate);
-
-  // If today is weekend, start from the last weekday
-  while (d.getDay() === 0 || d.getDay() === 6) {
-    d.setDate(d.getDate() - 1);
-  }
-
-  // Collect previous trading days
-  while (dates.length < count) {
-    d.setDate(d.getDate() - 1);
-    const day = d.getDay();
-    if (day !== 0 && day !== 6) {
-      dates.push(d.toISOString().split("T")[0]);
-    }
-  }
-
-  return dates.reverse(); // Oldest first
+  return tradingCalendar.pastTradingDates(refDate, count);
 }
 
 async function fetchHistoricalData(symbols) {
@@ -1696,6 +2092,34 @@ async function fetchHistoricalData(symbols) {
   }
 }
 
+// A new (or withdrawn) corporate action re-adjusts the cached history of
+// that symbol and the gap computed from it.
+corporateActions.onChange(async ({ kind, action }) => {
+  try {
+    const token = await getTokenForSymbol(`NSE:${action.symbol}`);
+    if (!token) return;
+    const tokenStr = String(token);
+    if (candleHistory[tokenStr]?.length) {
+      candleHistory[tokenStr] = adjustCandles(
+        candleHistory[tokenStr],
+        [action],
+        { invert: kind === "remove" }
+      );
+      // Indicator state was built from the unadjusted prices
+      featureStreams.reset(tokenStr);
+      evaluationPool.reset(tokenStr);
+    }
+    await historicalStore.reapplyAdjustments(tokenStr);
+    delete gapPercent[tokenStr];
+    await computeGapPercent(tokenStr);
+    console.log(
+      `🧾 Re-adjusted ${action.symbol} history for ${action.type} (${action.exDate})`
+    );
+  } catch (err) {
+    console.error("❌ Corporate action re-adjust failed:", err.message);
+  }
+});
+
 async function getHistoricalData(tokenStr) {
   try {
     return await historicalStore.getDailyCandles(tokenStr);
@@ -1881,6 +2305,11 @@ async function fetchSessionData() {
 
 // setInterval(() => fetchSessionData(), 3 * 60 * 1000);
 if (process.env.NODE_ENV !== "test") {
+  // The first session pull caches daily candles and gaps; they have to be
+  // adjusted with the stored corporate actions from the start
+  await corporateActions
+    .load({ database: db })
+    .catch((err) => logError("corporateActions.load", err));
   fetchSessionData();
 
   const sessionTimer = setInterval(() => {
@@ -1939,6 +2368,27 @@ async function subscribeSymbol(symbol) {
   }
 }
 
+// Ticks only for symbols outside the primary watchlist (other accounts'
+// universes): nothing is written to stock_symbols and nothing is scanned
+async function subscribeTickSymbols(symbols = [], owner) {
+  const entries = [];
+  for (const symbol of symbols) {
+    const token = await getTokenForSymbol(symbol);
+    if (token) entries.push({ token, symbol });
+    else console.warn(`⚠️ Token not found for ${symbol}`);
+  }
+  return subscribeAuxiliaryTokens(entries, owner);
+}
+
+async function unsubscribeTickSymbols(symbols = [], owner) {
+  const tokens = [];
+  for (const symbol of symbols) {
+    const token = await getTokenForSymbol(symbol);
+    if (token) tokens.push(token);
+  }
+  return unsubscribeAuxiliaryTokens(tokens, owner);
+}
+
 async function ensureDataForSymbol(symbol) {
   try {
     const ltp = await kc.getLTP([symbol]);
@@ -1972,9 +2422,10 @@ function updateInstrumentTokens(tokens) {
   );
   if (ticker) {
     const currentSet = new Set(instrumentTokens.map((t) => Number(t)));
+    // Auxiliary feeds stay subscribed when they leave the universe
     const toRemove = instrumentTokens
-      .filter((t) => !next.includes(Number(t)))
-      .map((t) => Number(t));
+      .map((t) => Number(t))
+      .filter((t) => !next.includes(t) && !auxiliaryTokens.has(String(t)));
     const toAdd = next.filter((t) => !currentSet.has(t));
 
     if (toRemove.length) {
@@ -1996,7 +2447,33 @@ function setTickInterval(interval) {
   console.log(`⏲ Tick interval set to ${tickIntervalMs} ms`);
 }
 
+// Bars with fewer than this many local candles fall back to Kite after hours
+const MIN_LOCAL_HTF_BARS = 20;
+
+function higherTimeframeSummary(candles, source) {
+  const closes = candles.map((c) => c.close);
+  return {
+    ema50: calculateEMA(closes, 50),
+    supertrend: calculateSupertrend(candles, 50, 3),
+    candles,
+    source,
+  };
+}
+
+/**
+ * EMA50 / Supertrend on a higher timeframe. Uses the locally rolled-up bars
+ * from the timeframe engine; the Kite historical API is only called outside
+ * market hours when there are not enough local bars.
+ */
 export async function getHigherTimeframeData(symbol, timeframe = "15minute") {
+  const tf = normalizeTimeframe(timeframe);
+  const token = tf ? await getTokenForSymbol(symbol) : null;
+  const local = token ? timeframeEngine.getBars(token, tf) : [];
+  if (local.length >= MIN_LOCAL_HTF_BARS || (local.length && isMarketOpen())) {
+    return higherTimeframeSummary(local, "local");
+  }
+  if (isMarketOpen()) return null;
+
   const accessToken = await initSession();
   if (!accessToken) {
     console.error("❌ Cannot fetch higher timeframe data");
@@ -2022,11 +2499,7 @@ export async function getHigherTimeframeData(symbol, timeframe = "15minute") {
 
     if (!candles || candles.length === 0) return null;
 
-    const closes = candles.map((c) => c.close);
-    const ema50 = calculateEMA(closes, 50);
-    const supertrend = calculateSupertrend(candles, 50, 3);
-
-    return { ema50, supertrend };
+    return higherTimeframeSummary(candles, "kite");
   } catch (err) {
     console.error(`❌ Error fetching higher timeframe data: ${err.message}`);
     return null;
@@ -2061,20 +2534,15 @@ export async function rebuildThreeMinCandlesFromOneMin(token) {
     .sort({ minute: 1 })
     .toArray();
 
-  const result = [];
-  for (let i = 0; i < docs.length; i += 3) {
-    const slice = docs.slice(i, i + 3);
-    if (slice.length === 0) continue;
-    result.push({
-      date: slice[0].minute,
-      open: slice[0].open,
-      high: Math.max(...slice.map((d) => d.high)),
-      low: Math.min(...slice.map((d) => d.low)),
-      close: slice[slice.length - 1].close,
-      volume: slice.reduce((sum, d) => sum + (d.volume || 0), 0),
-    });
-  }
-  return result;
+  // Session-anchored buckets (09:15, 09:18, ...) rather than every 3 docs
+  return resampleCandles(docs, "3m").map((bar) => ({
+    date: bar.timestamp,
+    open: bar.open,
+    high: bar.high,
+    low: bar.low,
+    close: bar.close,
+    volume: bar.volume,
+  }));
 }
 
 async function resetInMemoryData() {
@@ -2114,6 +2582,8 @@ export {
   getStockSymbols,
   setStockSymbol,
   subscribeSymbol,
+  subscribeTickSymbols,
+  unsubscribeTickSymbols,
   ensureDataForSymbol,
   removeStockSymbol,
   kc,
@@ -2127,4 +2597,7 @@ export {
   isLiveFeedRunning,
   getInstrumentTokens,
   getInstrumentTokenCount,
+  startTickReplay,
+  getTickReplay,
+  stopTickReplay,
 };
@@ -0,0 +1,318 @@
+// liveExitService.js
+// Live exits for open trades in order_states (orderStateMachine.js). Every
+// FILLED/PROTECTED trade gets its symbol subscribed on the tick feed until
+// its last open trade closes. On each
+// tick the stop-loss is trailed with exitManager.applyTrailingSL and the
+// broker SL order modified to match. Positions are closed before the MIS auto
+// square-off, after the max hold time and on reversal rules. Stop moves and
+// exits go to the audit log; exit fills reach recordExit and the trade log
+// through the state machine's leg listener (orderExecution.js).
+// Positions without an order_states record (manual trades, other tools) have
+// no stop order to move or exit through, so they are not managed here.
+import { applyTrailingSL, detectReversalExit } from './exitManager.js';
+import { openQty, orderStates } from './orderStateMachine.js';
+import { tradingCalendar } from './tradingCalendar.js';
+import { logExitAction } from './auditLogger.js';
+import { ensureClock } from './src/backtest/clock.js';
+
+export const DEFAULT_EXIT_CONFIG = Object.freeze({
+  enabled: true,
+  trailing: true,
+  trailPct: 0.5, // trail distance for trades without an exit plan; they trail from breakeven
+  tickSize: 0.05,
+  minStopStepPct: 0.05, // smaller stop moves are not sent to the broker
+  stopUpdateMs: 5000, // at most one SL modify per trade in this window
+  squareOffMinutes: 15, // MIS trades exit this long before the session close; 0 disables
+  maxHoldMinutes: 0, // 0 disables
+  reversalBars: 0, // consecutive adverse bar closes that force an exit; 0 disables
+  reversalBarMs: 60_000,
+  reversalMinMovePct: 0.3,
+  reversalInProfitOnly: true,
+  retryMs: 30_000, // wait after a failed exit before trying again
+});
+const ACTION_HISTORY = 50;
+
+const symbolKey = (symbol) => String(symbol || '').split(':').pop().trim().toUpperCase();
+const withExchange = (symbol, exchange = 'NSE') => (String(symbol).includes(':') ? String(symbol) : `${exchange}:${symbol}`);
+const isOpen = (trade) => trade.state === 'FILLED' || trade.state === 'PROTECTED';
+
+function filledAt(trade) {
+  const step = (trade.history || []).find((h) => h.to === 'FILLED');
+  return step ? new Date(step.at).getTime() : null;
+}
+
+// Scale-out trades trail only after T1 in 'trail' mode, as in backtests
+function trailAllowed(trade) {
+  const scale = trade.exitPlan?.scaleOut;
+  return !scale || (scale.done && scale.after === 'trail');
+}
+
+// Round a stop to the tick size, on the loose side
+function toTick(price, tick, long) {
+  if (!(tick > 0)) return price;
+  const steps = price / tick;
+  return Number(((long ? Math.floor(steps + 1e-9) : Math.ceil(steps - 1e-9)) * tick).toFixed(4));
+}
+
+/**
+ * @param {Object} [options]
+ * @param {Object} [options.orders=orderStates] - state machine with list(), moveStop(), exit()
+ * @param {Object} [options.calendar=tradingCalendar]
+ * @param {Function} [options.audit=logExitAction]
+ * @param {Function} [options.subscribe] - (symbol) => Promise; adds a symbol to the tick feed
+ * @param {Function} [options.unsubscribe] - (symbol) => Promise; drops it again
+ * @param {Object} [options.config] - overrides for DEFAULT_EXIT_CONFIG
+ * @param {number} [options.sweepMs=15000] - time-based checks between ticks
+ * @param {Object} [options.clock]
+ */
+export function createLiveExitService(options = {}) {
+  const orders = options.orders || orderStates;
+  const calendar = options.calendar || tradingCalendar;
+  const audit = options.audit || logExitAction;
+  const clock = ensureClock(options.clock);
+  const sweepMs = options.sweepMs ?? 15_000;
+  const logger = options.logger || console;
+  let subscribe = options.subscribe || null;
+  let unsubscribe = options.unsubscribe || null;
+  let config = { ...DEFAULT_EXIT_CONFIG, ...(options.config || {}) };
+  const tracked = new Map(); // tradeId -> per-trade tick state
+  const subscribed = new Set();
+  const actions = [];
+  let timer = null;
+
+  function stateFor(trade) {
+    let st = tracked.get(trade._id);
+    if (!st) {
+      st = { highest: undefined, lowest: undefined, lastPrice: null, bar: null, bars: [], lastMoveAt: 0, moving: false, exiting: false, retryAt: 0 };
+      tracked.set(trade._id, st);
+    }
+    return st;
+  }
+
+  function record(entry) {
+    const row = { ...entry, at: new Date(clock.now()).toISOString() };
+    actions.push(row);
+    if (actions.length > ACTION_HISTORY) actions.shift();
+    Promise.resolve()
+      .then(() => audit(entry))
+      .catch((err) => logger.error?.('[liveExits] audit failed', err?.message || err));
+  }
+
+  function requestExit(trade, st, reason, price) {
+    if (st.exiting || trade.exitRequest || clock.now() < st.retryAt) return null;
+    st.exiting = true;
+    const qty = openQty(trade);
+    return orders
+      .exit(trade._id, { reason })
+      .then((res) => {
+        record({ action: 'exit', tradeId: trade._id, symbol: trade.symbol, reason, price, qty, ok: res.ok, error: res.ok ? undefined : res.reason });
+        if (!res.ok) {
+          st.exiting = false;
+          st.retryAt = clock.now() + config.retryMs;
+        }
+      })
+      .catch((err) => {
+        st.exiting = false;
+        st.retryAt = clock.now() + config.retryMs;
+        logger.error?.('[liveExits] exit failed', err?.message || err);
+      });
+  }
+
+  // Square-off and max hold: checked on ticks and by the sweep timer
+  function timeExit(trade, at) {
+    if (trade.product === 'MIS' && config.squareOffMinutes > 0) {
+      const session = calendar.currentSession(at);
+      if (session && at >= session.end - config.squareOffMinutes * 60_000) return 'square-off';
+    }
+    if (config.maxHoldMinutes > 0) {
+      const openTime = filledAt(trade);
+      if (openTime && at - openTime >= config.maxHoldMinutes * 60_000) return 'max-hold';
+    }
+    return null;
+  }
+
+  // Bar closes for the reversal rule; true when a bar just completed
+  function sampleBar(st, price, at) {
+    const bar = Math.floor(at / config.reversalBarMs);
+    const closed = st.bar != null && bar !== st.bar && st.lastPrice != null;
+    if (closed) {
+      st.bars.push(st.lastPrice);
+      if (st.bars.length > Math.max(config.reversalBars, 2)) st.bars.shift();
+    }
+    st.bar = bar;
+    return closed;
+  }
+
+  // Trades with an exit plan trail by its ATR distance from the first tick,
+  // as the backtests do (updateDynamicExitPlan)
+  function trail(trade, st, price, at) {
+    const long = trade.side === 'BUY';
+    const planned = trade.exitPlan?.trailDistance > 0;
+    const position = {
+      side: long ? 'Long' : 'Short',
+      entryPrice: trade.entryPrice,
+      stopLoss: trade.stopLoss,
+      lastPrice: price,
+      atr: planned ? trade.exitPlan.trailDistance : (price * config.trailPct) / 100,
+      highest: st.highest,
+      lowest: st.lowest,
+    };
+    applyTrailingSL(position);
+    st.highest = position.highest;
+    st.lowest = position.lowest;
+    // A % distance knows nothing of the signal's stop: it would tighten a
+    // wide stop on the first tick, so it only takes over past breakeven
+    if (!planned && (long ? position.stopLoss < trade.entryPrice : position.stopLoss > trade.entryPrice)) return null;
+    const stop = toTick(position.stopLoss, config.tickSize, long);
+    const step = Math.max(config.tickSize, (price * config.minStopStepPct) / 100);
+    const gain = long ? stop - trade.stopLoss : trade.stopLoss - stop;
+    if (!(gain >= step) || st.moving || at - st.lastMoveAt < config.stopUpdateMs) return null;
+    st.moving = true;
+    st.lastMoveAt = at;
+    const from = trade.stopLoss;
+    return orders
+      .moveStop(trade._id, stop)
+      .then((res) => {
+        if (res.ok || res.reason !== 'stop-loss only tightens') {
+          record({ action: 'stop-moved', tradeId: trade._id, symbol: trade.symbol, reason: 'trailing', price, from, to: stop, ok: res.ok, error: res.ok ? undefined : res.reason });
+        }
+      })
+      .catch((err) => logger.error?.('[liveExits] stop move failed', err?.message || err))
+      .finally(() => {
+        st.moving = false;
+      });
+  }
+
+  function evaluate(trade, price, at) {
+    const st = stateFor(trade);
+    const barClosed = sampleBar(st, price, at);
+    st.lastPrice = price;
+    if (st.exiting || trade.exitRequest) return null;
+
+    const timed = timeExit(trade, at);
+    if (timed) return requestExit(trade, st, timed, price);
+    if (config.reversalBars >= 2 && barClosed) {
+      const long = trade.side === 'BUY';
+      const inProfit = long ? price > trade.entryPrice : price < trade.entryPrice;
+      const rules = { bars: config.reversalBars, minMovePct: config.reversalMinMovePct };
+      if ((inProfit || !config.reversalInProfitOnly) && detectReversalExit({ side: long ? 'Long' : 'Short', history: st.bars }, rules)) {
+        return requestExit(trade, st, 'reversal', price);
+      }
+    }
+    if (config.trailing && trade.state === 'PROTECTED' && trailAllowed(trade)) return trail(trade, st, price, at);
+    return null;
+  }
+
+  async function sync() {
+    const symbols = new Set();
+    for (const trade of orders.list()) {
+      if (isOpen(trade)) symbols.add(withExchange(trade.tradingsymbol, trade.exchange));
+    }
+    if (!subscribe) return [];
+    for (const symbol of subscribed) {
+      if (symbols.has(symbol)) continue;
+      try {
+        if (unsubscribe) await unsubscribe(symbol);
+        subscribed.delete(symbol);
+      } catch (err) {
+        logger.warn?.(`[liveExits] could not unsubscribe ${symbol}: ${err?.message || err}`);
+      }
+    }
+    const added = [];
+    for (const symbol of symbols) {
+      if (subscribed.has(symbol)) continue;
+      try {
+        await subscribe(symbol);
+        subscribed.add(symbol);
+        added.push(symbol);
+      } catch (err) {
+        logger.warn?.(`[liveExits] could not subscribe ${symbol}: ${err?.message || err}`);
+      }
+    }
+    return added;
+  }
+
+  return {
+    /** configService applier for the `exits` section; returns the effective config. */
+    configure(values = {}) {
+      config = { ...DEFAULT_EXIT_CONFIG, ...values };
+      return { ...config };
+    },
+
+    /** Subscribe open symbols and start the sweep timer. */
+    async start({ subscribe: next, unsubscribe: drop } = {}) {
+      if (next) subscribe = next;
+      if (drop) unsubscribe = drop;
+      if (!timer && sweepMs > 0) {
+        timer = setInterval(() => this.sweep().catch((err) => logger.error?.('[liveExits] sweep failed', err?.message || err)), sweepMs);
+      }
+      await sync();
+      return this;
+    },
+
+    stop() {
+      if (timer) clearInterval(timer);
+      timer = null;
+    },
+
+    /**
+     * Tick listener (kite.js onTick). Resolves once any stop move or exit
+     * it started has been sent.
+     */
+    onTick(symbol, tick = {}) {
+      const price = Number(tick.last_price);
+      if (!config.enabled || !(price > 0)) return Promise.resolve();
+      const key = symbolKey(symbol);
+      const at = clock.now();
+      const pending = [];
+      for (const trade of orders.list()) {
+        if (!isOpen(trade) || symbolKey(trade.tradingsymbol) !== key) continue;
+        pending.push(evaluate(trade, price, at));
+      }
+      return Promise.all(pending);
+    },
+
+    /** Time-based exits for trades without ticks; also syncs the subscribed symbols. */
+    async sweep() {
+      const open = new Set();
+      const pending = [];
+      if (config.enabled) {
+        const at = clock.now();
+        for (const trade of orders.list()) {
+          if (!isOpen(trade)) continue;
+          open.add(trade._id);
+          const st = stateFor(trade);
+          const reason = !st.exiting && !trade.exitRequest ? timeExit(trade, at) : null;
+          if (reason) pending.push(requestExit(trade, st, reason, st.lastPrice));
+        }
+      }
+      for (const id of tracked.keys()) if (!open.has(id)) tracked.delete(id);
+      await Promise.all(pending);
+      return sync();
+    },
+
+    stats() {
+      return {
+        enabled: config.enabled,
+        running: Boolean(timer),
+        config: { ...config },
+        subscribed: [...subscribed],
+        trades: [...tracked.entries()].map(([tradeId, st]) => ({
+          tradeId,
+          lastPrice: st.lastPrice,
+          highest: st.highest ?? null,
+          lowest: st.lowest ?? null,
+          exiting: st.exiting,
+        })),
+        actions: [...actions],
+      };
+    },
+  };
+}
+
+export const liveExits = createLiveExitService();
+
+/** configService applier for the `exits` section. */
+export function applyExitConfig(values = {}) {
+  return liveExits.configure(values);
+}
@@ -1,5 +1,8 @@
 export function createLiveFeedMonitor({
-  isMarketOpen,
+  calendar,
+  isMarketOpen = calendar
+    ? () => calendar.isMarketOpen(Date.now(), { includePreOpen: true })
+    : undefined,
   isLiveFeedRunning,
   startLiveFeed,
   logger = console,
@@ -57,7 +60,12 @@ export function createLiveFeedMonitor({
       }
     } else {
       if (lastOpenState !== false) {
-        log("🛑 Market closed; live feed monitor standing by.");
+        const holiday = calendar?.getDay?.().holiday;
+        log(
+          holiday
+            ? `🛑 Market closed (${holiday}); live feed monitor standing by.`
+            : "🛑 Market closed; live feed monitor standing by."
+        );
       }
       lastOpenState = false;
     }
@@ -12,6 +12,11 @@ import { getAccountMargin } from "./account.js";
 import { calculateDynamicStopLoss } from "./dynamicRiskModel.js";
 import db from "./db.js";
 import { recordEntry, recordExit } from "./portfolioContext.js";
+import { isPaperTrading, paperBroker } from "./paperBroker.js";
+import { openQty, orderStates, orderTag } from "./orderStateMachine.js";
+import { logTrade } from "./tradeLogger.js";
+import { computeDynamicExitPlan, scaleOutFromEnv } from "./src/backtest/engine.js";
+import { orderRouter } from "./smartOrderRouter.js";
 
 // Store order id -> metadata mapping for traceability
 export const orderMetadata = new Map();
@@ -54,6 +59,16 @@ dotenv.config();
 
 // kc instance and session handled in kite.js
 
+// Broker used for order calls: the shared Kite client in live mode or the
+// simulated paper broker when TRADING_MODE=paper.
+export function getBroker() {
+  return isPaperTrading() ? paperBroker : kc;
+}
+
+async function ensureSession() {
+  if (!isPaperTrading()) await initSession();
+}
+
 // Place a bracket-style GTT order with both stop loss and target legs.
 // Internal helper used by sendOrder when the caller provides stop-loss
 // and target values. Uses an OCO trigger so that either leg exits the
@@ -65,7 +80,7 @@ async function placeBracketGTTOrder(orderParams, meta) {
   if (sl == null || target == null) return null;
   const exitType = orderParams.transaction_type === "BUY" ? "SELL" : "BUY";
   const gttParams = {
-    trigger_type: kc.GTT_TYPE_OCO,
+    trigger_type: getBroker().GTT_TYPE_OCO,
     exchange: orderParams.exchange,
     tradingsymbol: orderParams.tradingsymbol,
     last_price: orderParams.last_price ?? orderParams.price,
@@ -87,7 +102,7 @@ async function placeBracketGTTOrder(orderParams, meta) {
       },
     ],
   };
-  const response = await kc.placeGTT(gttParams);
+  const response = await getBroker().placeGTT(gttParams);
   console.log("✅ GTT Order placed:", response);
   if (meta) {
     if (response?.order_id) orderMetadata.set(response.order_id, meta);
@@ -109,16 +124,12 @@ export async function sendOrder(variety = "regular", order, opts = {}) {
   let attempt = 0;
   while (attempt < retries) {
     try {
-      await initSession();
+      await ensureSession();
 
       // Extract optional metadata for traceability
       const { meta, ...orderParams } = order || {};
       if (meta) {
-        const { strategy, signalId, confidence } = meta;
-        const tag = [signalId, strategy, confidence]
-          .filter((v) => v !== undefined && v !== null)
-          .join('_');
-        orderParams.tag = orderParams.tag || tag;
+        orderParams.tag = orderParams.tag || orderTag(meta);
       }
 
       // If caller wants a bracket/GTT style order and provided SL/target
@@ -129,7 +140,7 @@ export async function sendOrder(variety = "regular", order, opts = {}) {
         if (response) return response;
       }
 
-      const response = await kc.placeOrder(variety, orderParams);
+      const response = await getBroker().placeOrder(variety, orderParams);
       console.log("✅ Order placed:", response);
       if (meta) {
         if (response?.order_id) orderMetadata.set(response.order_id, meta);
@@ -150,8 +161,8 @@ export async function sendOrder(variety = "regular", order, opts = {}) {
 // Modify an existing order
 export async function modifyOrder(variety, orderId, order) {
   try {
-    await initSession();
-    const response = await kc.modifyOrder(variety, orderId, order);
+    await ensureSession();
+    const response = await getBroker().modifyOrder(variety, orderId, order);
     console.log("✏️ Order modified:", response);
     return response;
   } catch (err) {
@@ -163,8 +174,8 @@ export async function modifyOrder(variety, orderId, order) {
 // Cancel an existing order
 export async function cancelOrder(variety, orderId) {
   try {
-    await initSession();
-    const response = await kc.cancelOrder(variety, orderId);
+    await ensureSession();
+    const response = await getBroker().cancelOrder(variety, orderId);
     console.log("❌ Order cancelled:", response);
     return response;
   } catch (err) {
@@ -176,8 +187,8 @@ export async function cancelOrder(variety, orderId) {
 // Fetch all orders
 export async function getAllOrders() {
   try {
-    await initSession();
-    const orders = await kc.getOrders();
+    await ensureSession();
+    const orders = await getBroker().getOrders();
     return orders;
   } catch (err) {
     logError("Error fetching orders", err);
@@ -188,8 +199,8 @@ export async function getAllOrders() {
 // Fetch open positions
 export async function getOpenPositions() {
   try {
-    await initSession();
-    const positions = await kc.getPositions();
+    await ensureSession();
+    const positions = await getBroker().getPositions();
     return positions;
   } catch (err) {
     logError("Error fetching positions", err);
@@ -212,8 +223,8 @@ export async function getHoldings() {
 // Get margin requirement for a specific stock order
 export async function getMarginForStock(order) {
   try {
-    await initSession();
-    const response = await kc.orderMargins([order]);
+    await ensureSession();
+    const response = await getBroker().orderMargins([order]);
 
     const token = await getTokenForSymbol(order.tradingsymbol);
     const hist = await getHistoricalData(token);
@@ -233,22 +244,25 @@ export async function getMarginForStock(order) {
 export async function canPlaceTrade(signal, sampleQty = 10) {
   const marginInfo = await getAccountMargin();
   const available = marginInfo?.equity?.available?.cash ?? 0;
+  // F&O quantities must stay whole lots
+  const lotSize = Number(signal.lotSize) > 1 ? Number(signal.lotSize) : 1;
+  const sample = lotSize > 1 ? lotSize : sampleQty;
   const order = {
-    exchange: "NSE",
-    tradingsymbol: signal.stock || signal.symbol,
+    exchange: signal.exchange || "NSE",
+    tradingsymbol: signal.tradingsymbol || signal.stock || signal.symbol,
     transaction_type: signal.direction === "Long" ? "BUY" : "SELL",
-    quantity: sampleQty,
+    quantity: sample,
     order_type: "MARKET",
-    product: "MIS",
+    product: signal.product || "MIS",
   };
   const margin = await getMarginForStock(order);
   const info = Array.isArray(margin) ? margin[0] : margin;
   const required = Number(info?.total ?? info?.required ?? 0);
-  const perUnit = sampleQty > 0 ? required / sampleQty : 0;
+  const perUnit = sample > 0 ? required / sample : 0;
   if (!perUnit || available < perUnit) {
     return { canPlace: false, quantity: 0, required: perUnit, available };
   }
-  const maxQty = Math.floor(available / perUnit);
+  const maxQty = Math.floor(available / perUnit / lotSize) * lotSize;
   return {
     canPlace: maxQty > 0,
     quantity: maxQty,
@@ -260,8 +274,8 @@ export async function canPlaceTrade(signal, sampleQty = 10) {
 // Place a GTT (Good Till Triggered) order
 export async function placeGTTOrder(order) {
   try {
-    await initSession();
-    const response = await kc.placeGTT(order);
+    await ensureSession();
+    const response = await getBroker().placeGTT(order);
     console.log("✅ GTT Order placed:", response);
     return response;
   } catch (err) {
@@ -282,8 +296,8 @@ export async function monitorOrder(orderId, timeout = 30000, interval = 1000) {
   const start = Date.now();
   while (Date.now() - start < timeout) {
     try {
-      await initSession();
-      const orders = await kc.getOrders();
+      await ensureSession();
+      const orders = await getBroker().getOrders();
       const ord = orders.find((o) => o.order_id === orderId);
       if (!ord) {
         await new Promise((r) => setTimeout(r, interval));
@@ -301,8 +315,8 @@ export async function monitorOrder(orderId, timeout = 30000, interval = 1000) {
 
 export async function cancelStaleOrders(maxAgeMs = 60000) {
   const now = Date.now();
-  await initSession();
-  const orders = await kc.getOrders();
+  await ensureSession();
+  const orders = await getBroker().getOrders();
   for (const ord of orders) {
     if (!activeOrders.has(ord.order_id)) continue;
     const info = activeOrders.get(ord.order_id);
@@ -312,7 +326,7 @@ export async function cancelStaleOrders(maxAgeMs = 60000) {
     }
     if (now - info.timestamp > maxAgeMs) {
       try {
-        await kc.cancelOrder("regular", ord.order_id);
+        await getBroker().cancelOrder("regular", ord.order_id);
         activeOrders.delete(ord.order_id);
       } catch (err) {
         logError("Error canceling stale order", err);
@@ -323,10 +337,16 @@ export async function cancelStaleOrders(maxAgeMs = 60000) {
 
 /**
  * Place entry order and related SL/TP for a signal.
- * Implements retry and dynamic stop-loss/target placement.
+ * Implements retry and dynamic stop-loss/target placement; the trade is
+ * tracked in orderStateMachine.js from before the entry is sent. The entry
+ * is worked by the execution algorithm in `signal.execution` or the config
+ * (smartOrderRouter.js).
  * @param {Object} signal Trading signal
  * @param {number} [maxRetries=3]
- * @returns {Promise<Object|null>} order ids on success
+ * @returns {Promise<Object|null>} { entryId, slId, target1Id, targetId, tradeId, state, execution };
+ *   the exit leg ids are null while the entry is still working, and
+ *   target1Id is null without a scale-out. state is CLOSED when the
+ *   algorithm timed out without a fill; execution holds the fill quality
  */
 export async function placeOrder(signal, maxRetries = 3) {
   const normalizedSignal = { ...signal };
@@ -335,11 +355,12 @@ export async function placeOrder(signal, maxRetries = 3) {
     (normalizedSignal.direction === "Long" ? "buy" : "sell");
   normalizedSignal.side = derivedSide;
   const symbol = normalizedSignal.stock || normalizedSignal.symbol;
+  const exchange = normalizedSignal.exchange || "NSE";
+  const tradingsymbol = normalizedSignal.tradingsymbol || symbol;
+  const product = normalizedSignal.product || "MIS";
   const qty = normalizedSignal.qty || 1;
   const side = normalizedSignal.side;
-  const exitSide = side === "buy" ? "sell" : "buy";
   const entryTransactionType = side.toUpperCase();
-  const exitTransactionType = exitSide.toUpperCase();
 
   const meta = {
     strategy: normalizedSignal.pattern || normalizedSignal.strategy,
@@ -351,13 +372,13 @@ export async function placeOrder(signal, maxRetries = 3) {
   };
 
   const entryParams = {
-    exchange: "NSE",
-    tradingsymbol: symbol,
+    exchange,
+    tradingsymbol,
     transaction_type: entryTransactionType,
     quantity: qty,
     order_type: "LIMIT",
     price: normalizedSignal.entry,
-    product: "MIS",
+    product,
     meta,
   };
 
@@ -376,42 +397,6 @@ export async function placeOrder(signal, maxRetries = 3) {
     return null;
   }
 
-  let attempt = 0;
-  let entry;
-  let lastStatus = null;
-  while (attempt < maxRetries) {
-    entry = await sendOrder("regular", entryParams);
-    if (!entry) {
-      attempt++;
-      continue;
-    }
-    const status = await monitorOrder(entry.order_id, 20000);
-    lastStatus = status;
-    if (status === "FILLED") break;
-    attempt++;
-  }
-  if (!entry) return null;
-  if (lastStatus === "FILLED") {
-    const orders = await kc.getOrders().catch(() => []);
-    const entryOrd = orders?.find((o) => o.order_id === entry.order_id);
-    const avgFill = Number(
-      entryOrd?.average_price ?? normalizedSignal.entry
-    );
-    const fillQty = Number(
-      entryOrd?.filled_quantity ?? normalizedSignal.qty ?? 1
-    );
-    await recordEntry({
-      symbol,
-      side,
-      qty: fillQty,
-      entryPrice: avgFill,
-      sector: normalizedSignal.sector || "GEN",
-      strategy: meta.strategy,
-    }).catch((err) => logError("recordEntry", err));
-  }
-
-  trackOrder(entry.order_id, { type: "ENTRY", symbol });
-
   const stopLoss =
     normalizedSignal.stopLoss ??
     calculateDynamicStopLoss({
@@ -426,41 +411,129 @@ export async function placeOrder(signal, maxRetries = 3) {
     (normalizedSignal.direction === "Long"
       ? normalizedSignal.entry + risk * 2
       : normalizedSignal.entry - risk * 2);
+  // Every trade gets the backtests' exit plan, so live stops trail by the
+  // same ATR distance. Scale-out (SCALE_OUT_PCT, or signal.scaleOut; false
+  // turns it off) adds a partial exit at target1.
+  const scaleOut =
+    normalizedSignal.scaleOut === false
+      ? null
+      : normalizedSignal.scaleOut ?? scaleOutFromEnv();
+  const exitPlan = computeDynamicExitPlan(
+    { ...normalizedSignal, stopLoss },
+    { atr: normalizedSignal.atr, target, qty, scaleOut }
+  );
 
-  const slParams = {
-    exchange: "NSE",
-    tradingsymbol: symbol,
-    transaction_type: exitTransactionType,
-    quantity: qty,
-    order_type: "SL",
-    price: stopLoss,
-    trigger_price: stopLoss,
-    product: "MIS",
-    meta,
-  };
-  const tgtParams = {
-    exchange: "NSE",
-    tradingsymbol: symbol,
-    transaction_type: exitTransactionType,
-    quantity: qty,
-    order_type: "LIMIT",
-    price: target,
-    product: "MIS",
-    meta,
+  // Execution algorithm (smartOrderRouter.js): signal.execution, else the
+  // `execution` config
+  const execution = orderRouter.resolve(normalizedSignal.execution, qty);
+  if (!execution.ok) {
+    logError("execution", execution.errors.join("; "));
+    return null;
+  }
+  const single = execution.params.algo === "limit";
+
+  // Each entry gets its own order_states record, written before any order is
+  // sent. A single limit is tracked by its order id; the child orders of the
+  // other algorithms are listed in `routing` and the trade is filled from the
+  // execution report. The protective legs are placed by the state machine
+  // once the entry fills, here or from the order update listener.
+  let attempt = 0;
+  let run;
+  let trade;
+  while (attempt < maxRetries) {
+    const opened = await orderStates.open({
+      symbol,
+      tradingsymbol,
+      exchange,
+      product,
+      side: entryTransactionType,
+      qty,
+      entry: normalizedSignal.entry,
+      stopLoss,
+      target,
+      exitPlan,
+      meta: { strategy: meta.strategy, signalId: meta.signalId, confidence: meta.confidence },
+    });
+    if (!opened.ok) {
+      logError("order state", opened.errors.join("; "));
+      return null;
+    }
+    trade = opened.trade;
+    const tradeId = trade._id;
+    run = await orderRouter.execute(entryParams, execution.params, {
+      tradeId,
+      onChild: (child, r) =>
+        orderStates.update(
+          tradeId,
+          single
+            ? { entryId: child.orderId }
+            : {
+                routing: {
+                  algo: r.p.algo,
+                  childIds: r.children.filter((c) => c.orderId).map((c) => c.orderId),
+                  until: r.until,
+                },
+              }
+        ),
+    });
+    // A working entry is left to the order update listener, not re-sent
+    if (run.status !== "REJECTED") break;
+    const why = run.children.some((c) => c.orderId) ? "entry rejected" : "entry not placed";
+    await orderStates.transition(trade._id, "CLOSED", { exitReason: why }, why);
+    attempt++;
+  }
+  if (!run || run.status === "REJECTED") return null;
+  const entryId = run.children.filter((c) => c.orderId).at(-1)?.orderId ?? null;
+  trackOrder(entryId, { type: "ENTRY", symbol });
+  const fillQuality = {
+    algo: run.algo,
+    status: run.status,
+    arrivalPrice: run.arrivalPrice,
+    avgPrice: run.avgPrice,
+    slippageBps: run.slippageBps,
+    fillRate: run.fillRate,
   };
+  if (run.status === "OPEN" || run.status === "UNFILLED") {
+    if (run.status === "UNFILLED") {
+      await orderStates.transition(trade._id, "CLOSED", { exitReason: "entry not filled" }, "entry not filled");
+    }
+    return {
+      entryId,
+      slId: null,
+      target1Id: null,
+      targetId: null,
+      tradeId: trade._id,
+      state: run.status === "OPEN" ? "PENDING_ENTRY" : "CLOSED",
+      execution: fillQuality,
+    };
+  }
 
-  const slOrder = await sendOrder("regular", slParams);
-  const tgtOrder = await sendOrder("regular", tgtParams);
-  if (slOrder) trackOrder(slOrder.order_id, { type: "SL", symbol });
-  if (tgtOrder) trackOrder(tgtOrder.order_id, { type: "TARGET", symbol });
+  const avgFill = run.avgPrice ?? normalizedSignal.entry;
+  const fillQty = run.filledQty;
+  await recordEntry({
+    symbol,
+    side,
+    qty: fillQty,
+    entryPrice: avgFill,
+    sector: normalizedSignal.sector || "GEN",
+    strategy: meta.strategy,
+  }).catch((err) => logError("recordEntry", err));
+
+  await orderStates.fill(trade._id, { qty: fillQty, price: avgFill });
+  const { trade: current = trade } = await orderStates.protect(trade._id);
+  if (current.slId) trackOrder(current.slId, { type: "SL", symbol });
+  if (current.target1Id) trackOrder(current.target1Id, { type: "TARGET1", symbol });
+  if (current.targetId) trackOrder(current.targetId, { type: "TARGET", symbol });
 
-  return slOrder && tgtOrder && entry
-    ? {
-        entryId: entry.order_id,
-        slId: slOrder.order_id,
-        targetId: tgtOrder.order_id,
-      }
-    : null;
+  return {
+    entryId,
+    slId: current.slId,
+    target1Id: current.target1Id ?? null,
+    targetId: current.targetId,
+    tradeId: trade._id,
+    state: current.state,
+    execution: fillQuality,
+  };
 }
 
 // --- Execution facade ---
@@ -474,11 +547,13 @@ async function updateOpenTrades(update) {
     ],
   });
   if (!trade) return;
+  // Exits of trades in order_states are booked per leg by recordExitLeg
+  if (trade.tradeId && trade._id !== update.order_id) return;
   const exitPrice = Number(update.average_price ?? update.price ?? 0) || undefined;
 
   if (trade._id === update.order_id) {
     trade.status = update.status;
-    if (update.status === "COMPLETE") {
+    if (update.status === "COMPLETE" && !trade.tradeId) {
       await removeOpenTrade(trade._id);
       // safety: entry already recorded above
     } else {
@@ -506,7 +581,76 @@ async function updateOpenTrades(update) {
       }).catch((e) => logError("recordExit", e));
   }
 }
+// One exit leg of a tracked trade (a scale-out T1 or the final exit): book
+// its qty in the portfolio, log its P&L and keep open_trades in step.
+async function recordExitLeg({ trade, leg }) {
+  const price = leg.price ?? undefined;
+  await recordExit(trade.symbol, { exitPrice: price, qty: leg.qty, reason: leg.reason }).catch((e) =>
+    logError("recordExit", e)
+  );
+  await logTrade(
+    {
+      symbol: trade.symbol,
+      event: "exit",
+      tradeId: trade._id,
+      leg: leg.leg,
+      side: trade.side,
+      entryPrice: trade.entryPrice,
+      qty: leg.qty,
+      pnl: leg.pnl,
+      strategy: trade.meta?.strategy,
+      signalId: trade.meta?.signalId,
+    },
+    leg.reason,
+    price
+  ).catch((e) => logError("logTrade", e));
+  const col = db.collection(OPEN_TRADES_COLLECTION);
+  const remaining = openQty(trade);
+  if (remaining > 0) {
+    await col.updateOne(
+      { tradeId: trade._id },
+      { $set: { status: "PARTIAL_EXIT", openQty: remaining, stopLoss: trade.stopLoss, legs: trade.legs } }
+    );
+  } else {
+    await col.deleteOne({ tradeId: trade._id });
+  }
+}
+
 onOrderUpdate((u) => updateOpenTrades(u).catch((e) => logError("updateOpenTrades", e)));
+orderStates.onLeg((e) => recordExitLeg(e).catch((err) => logError("recordExitLeg", err)));
+onOrderUpdate((u) =>
+  orderStates.handleOrderUpdate(u).catch((e) => logError("orderStates update", e))
+);
+onOrderUpdate((u) =>
+  orderRouter.handleOrderUpdate(u).catch((e) => logError("orderRouter update", e))
+);
+
+// Child orders of the execution algorithms
+orderRouter.setBroker({
+  place: (params) => sendOrder("regular", params),
+  modify: (orderId, params) => modifyOrder("regular", orderId, params),
+  cancel: (orderId) => cancelOrder("regular", orderId),
+  async orders() {
+    await ensureSession();
+    return getBroker().getOrders();
+  },
+});
+
+// Broker calls for protective legs and reconciliation. Reads throw instead
+// of returning [] so reconcile() never mistakes a failed call for no orders.
+orderStates.setBroker({
+  place: (params) => sendOrder("regular", params),
+  modify: (orderId, params) => modifyOrder("regular", orderId, params),
+  cancel: (orderId) => cancelOrder("regular", orderId),
+  async orders() {
+    await ensureSession();
+    return getBroker().getOrders();
+  },
+  async positions() {
+    await ensureSession();
+    return getBroker().getPositions();
+  },
+});
 
 /**
  * Send trading signal to execution layer.
@@ -552,6 +696,8 @@ export async function sendToExecution(signal, opts = {}) {
     return null;
   }
   const orders = await placeOrder(sizedSignal);
+  // Not filled in the algorithm's window: the signal is not retried
+  if (orders?.state === "CLOSED") return orders;
   if (orders) {
     await addOpenTrade(orders.entryId, {
       signal: sizedSignal,
@@ -0,0 +1,882 @@
+// orderStateMachine.js
+// Durable order/position state for live trades. Each trade is one document in
+// `order_states` that moves PENDING_ENTRY → FILLED → PROTECTED → EXITING →
+// CLOSED. Every step is written before the next broker call, so after a
+// restart reconcile() can tell how far a trade got. It checks the open trades
+// against the broker's orders and positions, re-places missing stop-loss legs
+// and alerts on anything it cannot explain.
+//
+// A trade opened with a scale-out exit plan (computeDynamicExitPlan in
+// src/backtest/engine.js) gets two target legs: part of the position at T1
+// and the rest at the final target. When T1 fills, the stop-loss is modified
+// down to the remaining qty and moved to breakeven or an ATR trail.
+// moveStop() and exit() let liveExitService.js trail the stop-loss and close
+// positions early. An entry worked as child orders by smartOrderRouter.js has
+// no entryId; its children are listed in `routing` and the router fills the
+// trade when it is done.
+import db from './db.js';
+import { sendNotification } from './telegram.js';
+import { ensureClock } from './src/backtest/clock.js';
+import { scaleOutQty, takeScaleOut } from './src/backtest/engine.js';
+
+export const ORDER_STATE_COLLECTION = 'order_states';
+export const ORDER_STATES = ['PENDING_ENTRY', 'FILLED', 'PROTECTED', 'EXITING', 'CLOSED'];
+
+const TRANSITIONS = {
+  PENDING_ENTRY: ['FILLED', 'CLOSED'],
+  FILLED: ['PROTECTED', 'EXITING', 'CLOSED'],
+  // back to FILLED when the stop-loss leg is lost and has to be re-placed
+  PROTECTED: ['FILLED', 'EXITING', 'CLOSED'],
+  EXITING: ['CLOSED'],
+  CLOSED: [],
+};
+const ALERT_HISTORY = 50;
+
+export function canTransition(from, to) {
+  return (TRANSITIONS[from] || []).includes(to);
+}
+
+const orderDone = (o) => o?.status === 'COMPLETE';
+const orderDead = (o) => /^(CANCELLED|REJECTED)/.test(o?.status || '');
+const orderLive = (o) => !!o && !orderDone(o) && !orderDead(o);
+const positionKey = (tradingsymbol, product) => `${tradingsymbol}:${product}`;
+const toNum = (v) => (Number.isFinite(Number(v)) && v !== null && v !== '' ? Number(v) : null);
+const round2 = (n) => Math.round(n * 100) / 100;
+
+/** Order tag sendOrder derives from a trade's meta: "<signalId>_<strategy>_<confidence>". */
+export function orderTag(meta = {}) {
+  const { strategy, signalId, confidence } = meta || {};
+  return [signalId, strategy, confidence].filter((v) => v !== undefined && v !== null).join('_');
+}
+
+/** Position qty still open: filled minus what exit legs have booked. */
+export function openQty(trade) {
+  return (trade?.filledQty || 0) - (trade?.legs || []).reduce((n, l) => n + (l.qty || 0), 0);
+}
+
+// Scale-out still waiting for its T1 leg
+const scalePending = (trade) => !!trade.exitPlan?.scaleOut && !trade.exitPlan.scaleOut.done;
+
+function defaultAlert(type, details = {}) {
+  const text = `[ORDER] ${type}${details.symbol ? ` ${details.symbol}` : ''}: ${details.message || ''}`;
+  console.warn(text);
+  sendNotification(text);
+}
+
+/**
+ * @param {Object} [options]
+ * @param {Object} [options.database]
+ * @param {Object} [options.broker] - { place(params), modify(orderId, params), cancel(orderId),
+ *   orders(), positions() }; orders() and positions() must throw rather than
+ *   return an empty list on failure
+ * @param {Function} [options.alert] - (type, details) => void; defaults to log + Telegram
+ * @param {Object} [options.clock]
+ */
+export function createOrderStateMachine(options = {}) {
+  const database = options.database || db;
+  const clock = ensureClock(options.clock);
+  const alert = options.alert || defaultAlert;
+  let broker = options.broker || null;
+  const trades = new Map(); // id -> trade that is not CLOSED
+  const locks = new Map(); // id -> tail of that trade's queued operations
+  const alerts = [];
+  const legListeners = new Set();
+  let alertedKeys = new Set(); // reconcile alerts already raised
+  let reconcileRun = null; // { keys, report } while reconcile() runs
+  let lastReconcile = null;
+  let seq = 0;
+
+  const col = () => database.collection(ORDER_STATE_COLLECTION);
+  const now = () => new Date(clock.now());
+
+  // Reconcile alerts carry a key and repeat only once the condition has
+  // cleared for a run.
+  function raise(type, details = {}, key = null) {
+    if (key && reconcileRun) reconcileRun.keys.add(key);
+    if (key && alertedKeys.has(key)) return;
+    const entry = { type, ...details, at: now().toISOString() };
+    alerts.push(entry);
+    if (alerts.length > ALERT_HISTORY) alerts.shift();
+    reconcileRun?.report.alerts.push(entry);
+    try {
+      alert(type, details);
+    } catch (err) {
+      console.error('[orderStateMachine] alert failed', err?.message || err);
+    }
+  }
+
+  // One operation per trade at a time: order updates, placeOrder and
+  // reconcile can all act on the same trade.
+  function serialize(id, fn) {
+    const run = (locks.get(id) || Promise.resolve()).then(fn);
+    const tail = run.catch(() => {});
+    locks.set(id, tail);
+    tail.then(() => {
+      if (locks.get(id) === tail) locks.delete(id);
+    });
+    return run;
+  }
+
+  async function save(trade) {
+    trade.updatedAt = now();
+    const { _id, ...fields } = trade;
+    await col().updateOne({ _id }, { $set: fields }, { upsert: true });
+    if (trade.state === 'CLOSED') trades.delete(_id);
+    else trades.set(_id, trade);
+    return trade;
+  }
+
+  async function find(id) {
+    if (trades.has(id)) return trades.get(id);
+    return col().findOne({ _id: id });
+  }
+
+  function findByOrderId(orderId) {
+    if (orderId == null) return null;
+    const id = String(orderId);
+    for (const trade of trades.values()) {
+      const legs = [trade.entryId, trade.slId, trade.target1Id, trade.targetId, trade.exitId, trade.exitRequest?.orderId];
+      if (legs.some((o) => o != null && String(o) === id)) {
+        return trade;
+      }
+    }
+    return null;
+  }
+
+  // The update for an entry can arrive before its order id is saved on the
+  // trade. A pending trade without an entryId takes an entry-side order for
+  // its full qty that carries its tag. Routed entries list their children in
+  // `routing` and are filled by the router instead.
+  function findPendingEntry(update) {
+    const tag = update.tag != null ? String(update.tag) : '';
+    if (!tag) return null;
+    for (const trade of trades.values()) {
+      if (trade.state !== 'PENDING_ENTRY' || trade.entryId != null || trade.routing) continue;
+      if (update.tradingsymbol !== trade.tradingsymbol) continue;
+      if (String(update.transaction_type || '').toUpperCase() !== trade.side) continue;
+      if (Number(update.quantity) !== trade.qty) continue;
+      if (orderTag(trade.meta) === tag) return trade;
+    }
+    return null;
+  }
+
+  async function move(trade, to, patch = {}, reason = '') {
+    if (trade.state === to) {
+      Object.assign(trade, patch);
+      await save(trade);
+      return { ok: true, trade };
+    }
+    if (!canTransition(trade.state, to)) {
+      return { ok: false, trade, reason: `${trade.state} → ${to} is not allowed` };
+    }
+    const at = now();
+    Object.assign(trade, patch);
+    trade.history = [...(trade.history || []), { from: trade.state, to, at, reason }];
+    trade.state = to;
+    if (to === 'CLOSED') trade.closedAt = at;
+    await save(trade);
+    return { ok: true, trade };
+  }
+
+  async function fill(trade, { qty, price, reason = 'entry filled' } = {}) {
+    if (trade.state !== 'PENDING_ENTRY') return { ok: true, trade };
+    const filledQty = toNum(qty) > 0 ? toNum(qty) : trade.qty;
+    const entryPrice = toNum(price) > 0 ? toNum(price) : trade.entryPrice;
+    // Breakeven is the actual fill, and T1 is split from the filled qty
+    let exitPlan = trade.exitPlan;
+    if (exitPlan?.scaleOut) {
+      const part = scaleOutQty(filledQty, exitPlan.scaleOut.pct);
+      exitPlan = part
+        ? { ...exitPlan, entry: entryPrice ?? exitPlan.entry, scaleOut: { ...exitPlan.scaleOut, qty: part } }
+        : { ...exitPlan, scaleOut: null };
+    }
+    return move(trade, 'FILLED', { filledQty, entryPrice, exitPlan }, reason);
+  }
+
+  function emitLeg(trade, leg) {
+    for (const fn of legListeners) {
+      try {
+        const res = fn({ trade: { ...trade }, leg });
+        res?.catch?.((err) => console.error('[orderStateMachine] leg listener failed', err?.message || err));
+      } catch (err) {
+        console.error('[orderStateMachine] leg listener failed', err?.message || err);
+      }
+    }
+  }
+
+  // Book an exit leg with its P&L (before charges) on the trade.
+  function bookLeg(trade, { leg, orderId = null, qty, price, reason = leg }) {
+    const px = toNum(price);
+    const dir = trade.side === 'BUY' ? 1 : -1;
+    const entry = {
+      leg,
+      reason,
+      orderId: orderId ?? null,
+      qty,
+      price: px,
+      pnl: px != null && trade.entryPrice != null ? round2((px - trade.entryPrice) * qty * dir) : null,
+      at: now(),
+    };
+    trade.legs = [...(trade.legs || []), entry];
+    return entry;
+  }
+
+  // A live order on the broker that matches a leg this trade would place,
+  // e.g. one sent just before a crash, is adopted instead of duplicated.
+  function adoptable(trade, orders, qty, match) {
+    const claimed = (id) =>
+      [...trades.values()].some((t) => t !== trade && [t.slId, t.target1Id, t.targetId, t.exitId].includes(id));
+    return orders.find(
+      (o) =>
+        orderLive(o) &&
+        o.tradingsymbol === trade.tradingsymbol &&
+        o.transaction_type === (trade.side === 'BUY' ? 'SELL' : 'BUY') &&
+        Number(o.quantity) === qty &&
+        match(o) &&
+        !claimed(o.order_id)
+    );
+  }
+
+  // Order params closing the trade's open qty
+  const exitOrder = (trade, params) => ({
+    exchange: trade.exchange,
+    tradingsymbol: trade.tradingsymbol,
+    transaction_type: trade.side === 'BUY' ? 'SELL' : 'BUY',
+    quantity: openQty(trade),
+    product: trade.product,
+    meta: trade.meta,
+    ...params,
+  });
+
+  async function protect(trade, { orders = [], reason = 'protective legs placed' } = {}) {
+    if (trade.state === 'PROTECTED') return { ok: true, trade };
+    if (trade.state !== 'FILLED') return { ok: false, trade, reason: `cannot protect a ${trade.state} trade` };
+    const remaining = openQty(trade);
+    const place = async (params) => {
+      if (!broker) return null;
+      return broker.place(exitOrder(trade, params)).catch(() => null);
+    };
+
+    if (!trade.slId) {
+      const existing = adoptable(trade, orders, remaining, (o) => /^SL/.test(o.order_type));
+      const placed = existing || (await place({ order_type: 'SL', price: trade.stopLoss, trigger_price: trade.stopLoss }));
+      if (!placed?.order_id) {
+        raise(
+          'naked-position',
+          { tradeId: trade._id, symbol: trade.tradingsymbol, message: `stop-loss order failed; ${remaining} unprotected` },
+          reconcileRun ? `naked:${trade._id}` : null
+        );
+        return { ok: false, trade, reason: 'stop-loss order failed' };
+      }
+      trade.slId = placed.order_id;
+      await save(trade);
+    }
+    // With a pending scale-out the targets split the position: T1 qty at T1
+    // and the rest at the final target.
+    const t1Qty = scalePending(trade) ? trade.exitPlan.scaleOut.qty : 0;
+    const targets = [
+      ['target1Id', trade.target1, t1Qty],
+      ['targetId', trade.target, remaining - t1Qty],
+    ];
+    for (const [field, price, qty] of targets) {
+      if (price == null || !(qty > 0) || trade[field]) continue;
+      const existing = adoptable(trade, orders, qty, (o) => o.order_type === 'LIMIT' && Number(o.price) === price);
+      const placed = existing || (await place({ order_type: 'LIMIT', price, quantity: qty }));
+      if (placed?.order_id) trade[field] = placed.order_id;
+      else raise('target-leg-failed', { tradeId: trade._id, symbol: trade.tradingsymbol, message: 'target order failed; stop-loss is in place' });
+    }
+    return move(trade, 'PROTECTED', {}, reason);
+  }
+
+  // Shrink the stop-loss to the open qty at trade.stopLoss. If the broker will
+  // not modify it, the old stop-loss is cancelled and a new one placed, but
+  // only once the cancel is confirmed: otherwise both could trigger. An
+  // uncancelled stop stays in place, flagged stopPending for reconcile().
+  async function moveStop(trade, reason) {
+    const remaining = openQty(trade);
+    const stop = trade.stopLoss;
+    const params = { quantity: remaining, price: stop, trigger_price: stop };
+    const modified = trade.slId && broker?.modify ? await broker.modify(trade.slId, params).catch(() => null) : null;
+    if (modified) {
+      return move(trade, 'PROTECTED', { stopPending: false }, `stop-loss moved to ${stop} for ${remaining} ${reason}`);
+    }
+    raise('stop-modify-failed', {
+      tradeId: trade._id,
+      symbol: trade.tradingsymbol,
+      message: `could not modify stop-loss ${trade.slId}; replacing it`,
+    });
+    const cancelled = trade.slId && broker ? await broker.cancel(trade.slId).catch(() => null) : null;
+    if (trade.slId && !cancelled) {
+      raise(
+        'stop-replace-failed',
+        {
+          tradeId: trade._id,
+          symbol: trade.tradingsymbol,
+          message: `could not cancel stop-loss ${trade.slId}; it stays at the old price and qty until reconcile`,
+        },
+        reconcileRun ? `stop:${trade._id}` : null
+      );
+      trade.stopPending = true;
+      await save(trade);
+      return { ok: false, trade, reason: 'stop-loss cancel failed' };
+    }
+    const moved = await move(trade, 'FILLED', { slId: null, stopPending: false }, `stop-loss replaced ${reason}`);
+    return moved.ok ? protect(trade, { reason: `stop-loss moved ${reason}` }) : moved;
+  }
+
+  // T1 filled: book the leg, then shrink the stop-loss to the remaining qty
+  // and move it to breakeven or the trail.
+  async function scaleOut(trade, { orderId, price, qty } = {}) {
+    if (!scalePending(trade) || trade.state !== 'PROTECTED') return { ok: true, trade };
+    const fillPrice = toNum(price) ?? trade.target1;
+    const booked = bookLeg(trade, {
+      leg: 'target1',
+      orderId,
+      qty: Math.min(toNum(qty) > 0 ? toNum(qty) : trade.exitPlan.scaleOut.qty, openQty(trade)),
+      price: fillPrice,
+    });
+    const exitPlan = { ...trade.exitPlan, scaleOut: { ...trade.exitPlan.scaleOut } };
+    const stop = takeScaleOut(exitPlan, fillPrice);
+    Object.assign(trade, { exitPlan, stopLoss: stop });
+    await save(trade);
+    emitLeg(trade, booked);
+    // An exit already in flight takes the rest
+    if (trade.exitRequest) return { ok: true, trade };
+    return moveStop(trade, 'after target1');
+  }
+
+  // A T1 fill after the final leg (a gap through both targets) is booked as
+  // its own leg.
+  async function bookTarget1(trade, { orderId, price, qty } = {}) {
+    if (trade.legs?.some((l) => String(l.orderId) === String(orderId))) return;
+    const remaining = openQty(trade);
+    if (!(remaining > 0)) return;
+    const booked = bookLeg(trade, {
+      leg: 'target1',
+      orderId,
+      qty: Math.min(toNum(qty) > 0 ? toNum(qty) : remaining, remaining),
+      price: toNum(price) ?? trade.target1,
+    });
+    await save(trade);
+    emitLeg(trade, booked);
+  }
+
+  // Exit legs left working after the exit are cancelled before the trade
+  // closes; one that cannot be cancelled keeps it EXITING for reconcile().
+  // A T1 still working for qty the final leg did not take is left to fill.
+  async function finishExit(trade, orders = null) {
+    const list = orders ?? (broker ? await broker.orders().catch(() => null) : null);
+    const byId = new Map((list || []).map((o) => [String(o.order_id), o]));
+    const t1 = trade.target1Id != null ? byId.get(String(trade.target1Id)) : null;
+    if (orderDone(t1)) await bookTarget1(trade, { orderId: t1.order_id, price: t1.average_price, qty: t1.filled_quantity });
+    let open = 0;
+    let waiting = false;
+    for (const id of [trade.slId, trade.target1Id, trade.targetId]) {
+      if (!id || id === trade.exitId || trade.legs?.some((l) => l.orderId === id)) continue;
+      if (list && !orderLive(byId.get(String(id)))) continue;
+      if (id === trade.target1Id && openQty(trade) > 0) {
+        waiting = true;
+        continue;
+      }
+      const res = broker ? await broker.cancel(id).catch(() => null) : null;
+      if (!res) open += 1;
+    }
+    if (open) {
+      raise(
+        'exit-leg-open',
+        { tradeId: trade._id, symbol: trade.tradingsymbol, message: 'could not cancel the other exit leg' },
+        `exit-leg:${trade._id}`
+      );
+      return { ok: false, trade, reason: 'could not cancel the other exit leg' };
+    }
+    if (waiting) return { ok: false, trade, reason: 'target1 still working' };
+    if (openQty(trade) > 0) {
+      raise(
+        'exit-qty-open',
+        { tradeId: trade._id, symbol: trade.tradingsymbol, message: `${openQty(trade)} still open after the exit fill` },
+        `exit-qty:${trade._id}`
+      );
+      return { ok: false, trade, reason: 'qty still open after the exit' };
+    }
+    return move(trade, 'CLOSED', {}, 'exit complete');
+  }
+
+  // The exit order filled: book its qty (the rest of the position when the
+  // fill carries none) as the final leg.
+  async function bookFinal(trade, { leg, orderId = null, price, qty: filled, reason = leg }) {
+    const remaining = openQty(trade);
+    if (!(remaining > 0)) return;
+    const qty = toNum(filled) > 0 ? Math.min(toNum(filled), remaining) : remaining;
+    const booked = bookLeg(trade, { leg, orderId, qty, price, reason });
+    await save(trade);
+    emitLeg(trade, booked);
+  }
+
+  async function exitFilled(trade, { orderId, price, qty, orders = null } = {}) {
+    if (trade.state === 'CLOSED') return { ok: true, trade };
+    if (trade.state !== 'EXITING') {
+      const id = orderId != null ? String(orderId) : null;
+      const requested = trade.exitRequest && id === String(trade.exitRequest.orderId) ? trade.exitRequest : null;
+      const leg = requested ? 'exit' : id === String(trade.targetId) ? 'target' : id === String(trade.slId) ? 'stop-loss' : 'exit';
+      const reason = requested?.reason || leg;
+      const moved = await move(
+        trade,
+        'EXITING',
+        { exitId: orderId ?? null, exitReason: reason, exitPrice: toNum(price) },
+        `${leg} filled`
+      );
+      if (!moved.ok) return moved;
+      await bookFinal(trade, { leg, orderId, price, qty, reason });
+    }
+    return finishExit(trade, orders);
+  }
+
+  async function onUpdate(trade, update) {
+    const id = String(update.order_id);
+    const status = String(update.status || '').toLowerCase();
+    if (trade.entryId != null && id === String(trade.entryId)) {
+      const partial = orderDead(update) && Number(update.filled_quantity) > 0;
+      if (orderDone(update) || partial) {
+        const filled = await fill(trade, { qty: update.filled_quantity, price: update.average_price });
+        return filled.ok && trade.state === 'FILLED' ? protect(trade) : filled;
+      }
+      if (orderDead(update) && trade.state === 'PENDING_ENTRY') {
+        return move(trade, 'CLOSED', { exitReason: `entry ${status}` }, `entry ${status}`);
+      }
+      return { ok: true, trade };
+    }
+    if (orderDone(update) && id === String(trade.target1Id)) {
+      const t1 = { orderId: update.order_id, price: update.average_price, qty: update.filled_quantity };
+      if (trade.state !== 'EXITING') return scaleOut(trade, t1);
+      await bookTarget1(trade, t1);
+      return finishExit(trade);
+    }
+    if (orderDone(update)) {
+      return exitFilled(trade, { orderId: update.order_id, price: update.average_price, qty: update.filled_quantity });
+    }
+    if (orderDead(update) && trade.exitRequest?.via === 'order' && id === String(trade.exitRequest.orderId)) {
+      raise('exit-failed', { tradeId: trade._id, symbol: trade.tradingsymbol, message: `exit order ${status}; legs stay` });
+      return move(trade, trade.state, { exitRequest: null });
+    }
+    if (orderDead(update) && trade.state === 'PROTECTED') {
+      if (id === String(trade.slId)) {
+        raise('protective-leg-lost', { tradeId: trade._id, symbol: trade.tradingsymbol, message: `stop-loss ${status}; re-placing` });
+        const moved = await move(trade, 'FILLED', { slId: null, exitRequest: null }, `stop-loss ${status}`);
+        return moved.ok ? protect(trade, { reason: 'stop-loss re-placed' }) : moved;
+      }
+      if (id === String(trade.targetId) || (id === String(trade.target1Id) && scalePending(trade))) {
+        const field = id === String(trade.targetId) ? 'targetId' : 'target1Id';
+        raise('target-leg-lost', { tradeId: trade._id, symbol: trade.tradingsymbol, message: `target ${status}; stop-loss stays` });
+        return move(trade, 'PROTECTED', { [field]: null });
+      }
+    }
+    return { ok: true, trade };
+  }
+
+  // An entry worked as several child orders (smartOrderRouter.js) whose
+  // router is gone: cancel what is still working and fill from the rest.
+  async function reconcileRouted(trade, byId, report) {
+    const children = trade.routing.childIds.map((id) => byId.get(String(id))).filter(Boolean);
+    for (const o of children.filter(orderLive)) {
+      await Promise.resolve(broker.cancel(o.order_id)).catch(() => null);
+    }
+    const qty = children.reduce((n, o) => n + (Number(o.filled_quantity) || 0), 0);
+    if (qty > 0) {
+      const notional = children.reduce((n, o) => n + (Number(o.filled_quantity) || 0) * Number(o.average_price || 0), 0);
+      await fill(trade, { qty, price: round2(notional / qty), reason: 'routed entry fills found on reconcile' });
+      return true;
+    }
+    await move(trade, 'CLOSED', { exitReason: 'routed entry not filled' }, 'routed entry not filled');
+    report.closed.push(trade._id);
+    return false;
+  }
+
+  async function reconcileTrade(trade, orders, byId, net, report) {
+    if (!trade) return;
+    if (trade.state === 'PENDING_ENTRY' && trade.entryId == null && trade.routing?.childIds?.length) {
+      // Still inside the router's window
+      if (clock.now() < trade.routing.until) return;
+      if (!(await reconcileRouted(trade, byId, report))) return;
+    }
+    if (trade.state === 'PENDING_ENTRY') {
+      const entry = trade.entryId != null ? byId.get(String(trade.entryId)) : null;
+      if (orderLive(entry)) return;
+      if (orderDone(entry) || Number(entry?.filled_quantity) > 0) {
+        await fill(trade, { qty: entry.filled_quantity, price: entry.average_price, reason: 'entry fill found on reconcile' });
+      } else {
+        const why = entry
+          ? `entry ${String(entry.status).toLowerCase()}`
+          : trade.entryId != null
+            ? 'entry not in order book'
+            : 'entry never placed';
+        if (!entry && trade.entryId != null) {
+          raise('entry-missing', { tradeId: trade._id, symbol: trade.tradingsymbol, message: `entry ${trade.entryId} not found at broker` });
+        }
+        await move(trade, 'CLOSED', { exitReason: why }, why);
+        report.closed.push(trade._id);
+        return;
+      }
+    }
+
+    if (trade.state === 'PROTECTED' && scalePending(trade) && orderDone(byId.get(String(trade.target1Id)))) {
+      const t1 = byId.get(String(trade.target1Id));
+      const slId = trade.slId;
+      await scaleOut(trade, { orderId: t1.order_id, price: t1.average_price, qty: t1.filled_quantity });
+      report.repaired.push(trade._id);
+      // A replaced stop-loss is not in this order book snapshot; one that
+      // could not be cancelled is retried on the next run
+      if (trade.slId !== slId || trade.stopPending) return;
+    }
+
+    if (trade.state === 'FILLED' || trade.state === 'PROTECTED') {
+      const sl = trade.slId != null ? byId.get(String(trade.slId)) : null;
+      const target = trade.targetId != null ? byId.get(String(trade.targetId)) : null;
+      const exitOrder = trade.exitRequest ? byId.get(String(trade.exitRequest.orderId)) : null;
+      const exitLeg = [sl, target, exitOrder].find(orderDone);
+      if (exitLeg) {
+        const res = await exitFilled(trade, {
+          orderId: exitLeg.order_id,
+          price: exitLeg.average_price,
+          qty: exitLeg.filled_quantity,
+          orders,
+        });
+        if (res.ok) report.closed.push(trade._id);
+        return;
+      }
+      if (!net.get(positionKey(trade.tradingsymbol, trade.product))) {
+        raise('position-flat', {
+          tradeId: trade._id,
+          symbol: trade.tradingsymbol,
+          message: `broker shows no position for a ${trade.state} trade; closing it`,
+        });
+        await move(trade, 'EXITING', { exitReason: 'flat at broker' }, 'broker position flat');
+        await bookFinal(trade, { leg: 'exit', reason: 'flat at broker' });
+        const res = await finishExit(trade, orders);
+        if (res.ok) report.closed.push(trade._id);
+        return;
+      }
+      if (trade.state === 'PROTECTED' && !orderLive(sl)) {
+        const why = sl ? `stop-loss ${String(sl.status).toLowerCase()}` : 'stop-loss not in order book';
+        raise('protective-leg-lost', { tradeId: trade._id, symbol: trade.tradingsymbol, message: `${why}; re-placing` });
+        await move(trade, 'FILLED', { slId: null, stopPending: false }, why);
+      } else if (trade.state === 'PROTECTED' && trade.stopPending) {
+        // A stop-loss left at the old price and qty after target1
+        const res = await moveStop(trade, 'on reconcile');
+        if (res.ok) report.repaired.push(trade._id);
+        return;
+      } else if (trade.state === 'PROTECTED' && trade.targetId != null && !orderLive(target)) {
+        raise(
+          'target-leg-lost',
+          { tradeId: trade._id, symbol: trade.tradingsymbol, message: 'target order is not working; stop-loss stays' },
+          `target:${trade._id}`
+        );
+      }
+      if (trade.state === 'FILLED') {
+        const res = await protect(trade, { orders, reason: 'protective legs repaired' });
+        if (res.ok) {
+          report.repaired.push(trade._id);
+          raise('protection-repaired', {
+            tradeId: trade._id,
+            symbol: trade.tradingsymbol,
+            message: `stop-loss ${trade.slId} covers ${openQty(trade)}`,
+          });
+        }
+      }
+      return;
+    }
+
+    if (trade.state === 'EXITING') {
+      const res = await finishExit(trade, orders);
+      if (res.ok) report.closed.push(trade._id);
+    }
+  }
+
+  return {
+    /** Broker calls: { place(params), modify(orderId, params), cancel(orderId), orders(), positions() }. */
+    setBroker(next) {
+      broker = next || null;
+    },
+
+    /** Load trades that are not CLOSED (e.g. at startup). */
+    async load() {
+      const rows = await col().find({ state: { $ne: 'CLOSED' } }).toArray();
+      for (const row of rows) if (!trades.has(row._id)) trades.set(row._id, row);
+      return trades.size;
+    },
+
+    /**
+     * Record a trade before its entry order is sent.
+     * @param {Object} spec - symbol, tradingsymbol, exchange, product, side
+     *   ('BUY'/'SELL') or direction ('Long'/'Short'), qty, entry, stopLoss,
+     *   target, meta (order tag fields), entryId, exitPlan (a
+     *   computeDynamicExitPlan() result; its scaleOut adds a T1 leg)
+     * @returns {Promise<{ok:boolean, trade?:Object, errors?:string[]}>}
+     */
+    async open(spec = {}) {
+      const side = String(spec.side || (spec.direction === 'Long' ? 'BUY' : 'SELL')).toUpperCase();
+      const tradingsymbol = spec.tradingsymbol || spec.symbol;
+      const qty = toNum(spec.qty);
+      const stopLoss = toNum(spec.stopLoss);
+      const errors = [];
+      if (!tradingsymbol) errors.push('tradingsymbol is required');
+      if (!(qty > 0)) errors.push('qty must be positive');
+      if (stopLoss == null) errors.push('stopLoss is required');
+      if (!['BUY', 'SELL'].includes(side)) errors.push('side must be BUY or SELL');
+      if (errors.length) return { ok: false, errors };
+      const at = now();
+      const trade = {
+        _id: spec.id || `TRD-${clock.now()}-${++seq}`,
+        state: 'PENDING_ENTRY',
+        symbol: spec.symbol || tradingsymbol,
+        tradingsymbol,
+        exchange: spec.exchange || 'NSE',
+        product: spec.product || 'MIS',
+        side,
+        qty,
+        filledQty: 0,
+        entryPrice: toNum(spec.entry),
+        stopLoss,
+        target: toNum(spec.target),
+        target1: toNum(spec.exitPlan?.scaleOut?.target1),
+        exitPlan: spec.exitPlan || null,
+        entryId: spec.entryId ?? null,
+        slId: null,
+        target1Id: null,
+        targetId: null,
+        exitId: null,
+        exitReason: null,
+        exitPrice: null,
+        legs: [],
+        exitRequest: null,
+        routing: null,
+        meta: spec.meta || {},
+        history: [{ from: null, to: 'PENDING_ENTRY', at, reason: 'opened' }],
+        createdAt: at,
+      };
+      try {
+        await save(trade);
+      } catch (err) {
+        return { ok: false, errors: [`could not persist trade: ${err.message}`] };
+      }
+      return { ok: true, trade };
+    },
+
+    /** Persist fields (e.g. entryId) without changing state. */
+    update(id, patch = {}) {
+      return serialize(id, async () => {
+        const trade = await find(id);
+        if (!trade) return { ok: false, reason: 'unknown trade' };
+        Object.assign(trade, patch);
+        await save(trade);
+        return { ok: true, trade };
+      });
+    },
+
+    /** @returns {Promise<{ok:boolean, trade?:Object, reason?:string}>} */
+    transition(id, to, patch = {}, reason = '') {
+      return serialize(id, async () => {
+        const trade = await find(id);
+        if (!trade) return { ok: false, reason: 'unknown trade' };
+        return move(trade, to, patch, reason);
+      });
+    },
+
+    /** Entry filled; a no-op once the trade is past PENDING_ENTRY. */
+    fill(id, { qty, price } = {}) {
+      return serialize(id, async () => {
+        const trade = await find(id);
+        return trade ? fill(trade, { qty, price }) : { ok: false, reason: 'unknown trade' };
+      });
+    },
+
+    /** Place whichever of the stop-loss and target legs is missing. */
+    protect(id) {
+      return serialize(id, async () => {
+        const trade = await find(id);
+        return trade ? protect(trade) : { ok: false, reason: 'unknown trade' };
+      });
+    },
+
+    /**
+     * An exit leg filled: cancel the other leg and close. `orders` (the
+     * broker order book) saves a fetch and skips legs already cancelled.
+     */
+    exitFilled(id, { orderId, price, orders = null } = {}) {
+      return serialize(id, async () => {
+        const trade = await find(id);
+        return trade ? exitFilled(trade, { orderId, price, orders }) : { ok: false, reason: 'unknown trade' };
+      });
+    },
+
+    /**
+     * Modify the stop-loss leg to `price` (e.g. a trailing stop). It only
+     * tightens, and not while an exit is in flight.
+     * @returns {Promise<{ok:boolean, trade?:Object, from?:number, reason?:string}>}
+     */
+    moveStop(id, price) {
+      return serialize(id, async () => {
+        const trade = trades.get(id);
+        if (!trade || trade.state !== 'PROTECTED' || !trade.slId) return { ok: false, reason: 'no working stop-loss' };
+        if (trade.exitRequest) return { ok: false, trade, reason: 'exit in progress' };
+        const stop = toNum(price);
+        const tighter = stop != null && (trade.side === 'BUY' ? stop > trade.stopLoss : stop < trade.stopLoss);
+        if (!tighter) return { ok: false, trade, reason: 'stop-loss only tightens' };
+        if (!broker?.modify) return { ok: false, trade, reason: 'no broker configured' };
+        const params = { quantity: openQty(trade), price: stop, trigger_price: stop };
+        if (!(await broker.modify(trade.slId, params).catch(() => null))) {
+          return { ok: false, trade, reason: 'modify failed' };
+        }
+        const from = trade.stopLoss;
+        trade.stopLoss = stop;
+        if (trade.exitPlan) trade.exitPlan = { ...trade.exitPlan, activeStop: stop };
+        await save(trade);
+        return { ok: true, trade, from };
+      });
+    },
+
+    /**
+     * Exit the open qty now. The stop-loss leg is modified to MARKET, or a
+     * MARKET order is sent when that fails; its fill closes the trade
+     * through the usual exit path with `reason` as the exit reason.
+     * @returns {Promise<{ok:boolean, trade?:Object, reason?:string}>}
+     */
+    exit(id, { reason = 'manual exit' } = {}) {
+      return serialize(id, async () => {
+        const trade = trades.get(id);
+        if (!trade || !['FILLED', 'PROTECTED'].includes(trade.state)) return { ok: false, reason: 'no open position' };
+        if (trade.exitRequest) return { ok: true, trade };
+        if (!broker) return { ok: false, trade, reason: 'no broker configured' };
+        let request = null;
+        if (trade.slId && broker.modify) {
+          const res = await broker.modify(trade.slId, { order_type: 'MARKET', quantity: openQty(trade) }).catch(() => null);
+          if (res) request = { orderId: trade.slId, via: 'stop-loss' };
+        }
+        if (!request) {
+          const placed = await broker.place(exitOrder(trade, { order_type: 'MARKET' })).catch(() => null);
+          if (placed?.order_id) request = { orderId: placed.order_id, via: 'order' };
+        }
+        if (!request) {
+          raise('exit-failed', { tradeId: trade._id, symbol: trade.tradingsymbol, message: `${reason}: exit order failed` });
+          return { ok: false, trade, reason: 'exit order failed' };
+        }
+        trade.exitRequest = { ...request, reason, at: now() };
+        await save(trade);
+        return { ok: true, trade };
+      });
+    },
+
+    /**
+     * Listen for booked exit legs: fn({ trade, leg }) with leg { leg
+     * ('target1' | 'target' | 'stop-loss' | 'exit'), reason, orderId, qty,
+     * price, pnl, at }. Returns an unsubscribe function.
+     */
+    onLeg(fn) {
+      legListeners.add(fn);
+      return () => legListeners.delete(fn);
+    },
+
+    /** Broker order update (Kite postback shape). */
+    async handleOrderUpdate(update = {}) {
+      const match = findByOrderId(update.order_id) || findPendingEntry(update);
+      if (!match) return null;
+      return serialize(match._id, async () => {
+        const trade = trades.get(match._id);
+        if (!trade) return null;
+        if (trade.entryId == null && trade.state === 'PENDING_ENTRY' && findPendingEntry(update) === trade) {
+          trade.entryId = update.order_id;
+          await save(trade);
+        }
+        return onUpdate(trade, update);
+      });
+    },
+
+    /**
+     * Check every open trade against the broker. Fills, exits and flat
+     * positions found there advance or close the trade; a filled trade
+     * without a working stop-loss gets one. Positions that do not add up to
+     * the tracked trades are alerted, not touched.
+     * @returns {Promise<Object>} { ok, checked, repaired, closed, alerts }
+     */
+    async reconcile() {
+      const report = { ok: true, checked: 0, repaired: [], closed: [], alerts: [] };
+      const startedAt = now();
+      if (!broker) return { ...report, ok: false, reason: 'no broker configured' };
+      if (reconcileRun) return { ...report, ok: false, reason: 'already running' };
+      reconcileRun = { keys: new Set(), report };
+      try {
+        let orders;
+        let positions;
+        try {
+          [orders, positions] = await Promise.all([broker.orders(), broker.positions()]);
+        } catch (err) {
+          report.ok = false;
+          report.reason = err?.message || String(err);
+          raise('reconcile-failed', { message: report.reason }, 'reconcile-failed');
+          return report;
+        }
+        orders = Array.isArray(orders) ? orders : [];
+        await this.load();
+        const byId = new Map(orders.map((o) => [String(o.order_id), o]));
+        const net = new Map();
+        for (const p of (Array.isArray(positions) ? positions : positions?.net) || []) {
+          const key = positionKey(p.tradingsymbol, p.product);
+          net.set(key, (net.get(key) || 0) + (Number(p.quantity) || 0));
+        }
+
+        for (const id of [...trades.keys()]) {
+          report.checked += 1;
+          await serialize(id, () => reconcileTrade(trades.get(id), orders, byId, net, report));
+        }
+
+        const tracked = new Map();
+        for (const t of trades.values()) {
+          if (t.state !== 'FILLED' && t.state !== 'PROTECTED') continue;
+          const key = positionKey(t.tradingsymbol, t.product);
+          tracked.set(key, (tracked.get(key) || 0) + (t.side === 'BUY' ? openQty(t) : -openQty(t)));
+        }
+        for (const key of new Set([...net.keys(), ...tracked.keys()])) {
+          const actual = net.get(key) || 0;
+          const expected = tracked.get(key) || 0;
+          if (actual === expected) continue;
+          raise(
+            'position-mismatch',
+            { symbol: key, message: `broker net ${actual}, tracked ${expected}` },
+            `position:${key}:${actual}:${expected}`
+          );
+        }
+        return report;
+      } finally {
+        alertedKeys = reconcileRun.keys;
+        reconcileRun = null;
+        lastReconcile = {
+          at: startedAt.toISOString(),
+          ok: report.ok,
+          checked: report.checked,
+          repaired: report.repaired.length,
+          closed: report.closed.length,
+          alerts: report.alerts.length,
+        };
+      }
+    },
+
+    get: (id) => trades.get(id) || null,
+    findByOrderId,
+    /** Trades that are not CLOSED. */
+    list({ state } = {}) {
+      return [...trades.values()].filter((t) => !state || t.state === state);
+    },
+    stats() {
+      const byState = Object.fromEntries(ORDER_STATES.filter((s) => s !== 'CLOSED').map((s) => [s, 0]));
+      for (const t of trades.values()) byState[t.state] = (byState[t.state] || 0) + 1;
+      return { byState, lastReconcile, alerts: [...alerts] };
+    },
+    reset() {
+      trades.clear();
+      alerts.length = 0;
+      alertedKeys = new Set();
+      lastReconcile = null;
+    },
+  };
+}
+
+export const orderStates = createOrderStateMachine();
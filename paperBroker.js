@@ -0,0 +1,447 @@
+// paperBroker.js
+// Simulated broker used for paper trading. Mirrors the subset of the
+// KiteConnect API used by orderExecution.js and fills orders against the
+// live tick stream instead of sending them to the exchange.
+import { ensureClock } from './src/backtest/clock.js';
+
+const DEFAULT_CAPITAL = 1_000_000;
+const DEFAULT_MIS_LEVERAGE = 5;
+
+const parseBool = (v) => /^(1|true|yes|on)$/i.test(String(v ?? '').trim());
+
+/**
+ * Whether order calls should be routed to the paper broker.
+ * Enabled with TRADING_MODE=paper or PAPER_TRADING=true.
+ * @returns {boolean}
+ */
+export function isPaperTrading() {
+  const mode = String(process.env.TRADING_MODE || '').trim().toLowerCase();
+  if (mode) return mode === 'paper';
+  return parseBool(process.env.PAPER_TRADING);
+}
+
+function toNum(v) {
+  const n = Number(v);
+  return Number.isFinite(n) ? n : undefined;
+}
+
+function tickPrice(tick = {}) {
+  return toNum(tick.last_price ?? tick.lastPrice ?? tick.ltp ?? tick.close);
+}
+
+// Ticks are keyed by "NSE:SYMBOL" in kite.js while orders carry the bare
+// tradingsymbol; compare on the bare form.
+function symbolKey(symbol) {
+  return String(symbol || '').split(':').pop().trim().toUpperCase();
+}
+
+function roundPrice(v) {
+  return Number(Number(v).toFixed(4));
+}
+
+/**
+ * Walk the opposite side of the book and return how much of `qty` can be
+ * filled on this tick and at what average price. Without depth the whole
+ * quantity fills at the last traded price.
+ */
+function matchAgainstDepth({ side, qty, limit, ltp, depth }) {
+  const levels = side === 'BUY' ? depth?.sell : depth?.buy;
+  const usable = Array.isArray(levels)
+    ? levels.filter((l) => toNum(l?.price) > 0 && toNum(l?.quantity) > 0)
+    : [];
+  if (!usable.length) {
+    if (!(ltp > 0)) return null;
+    return { qty, price: ltp };
+  }
+  let filled = 0;
+  let notional = 0;
+  for (const level of usable) {
+    const price = Number(level.price);
+    if (limit != null && (side === 'BUY' ? price > limit : price < limit)) break;
+    const take = Math.min(qty - filled, Number(level.quantity));
+    filled += take;
+    notional += take * price;
+    if (filled >= qty) break;
+  }
+  if (!filled) return null;
+  return { qty: filled, price: notional / filled };
+}
+
+/**
+ * Create an in-memory paper broker.
+ * @param {Object} [options]
+ * @param {Object} [options.clock] - Clock with now() used for timestamps
+ * @param {number} [options.capital] - Starting cash for margin checks
+ * @param {number} [options.slippageBps=0] - Adverse slippage applied to market fills without depth
+ * @param {number} [options.misLeverage=5] - Leverage used for MIS margin estimates
+ * @returns {Object} KiteConnect-like broker API plus onTick/onUpdate helpers
+ */
+export function createPaperBroker(options = {}) {
+  const {
+    capital = toNum(process.env.PAPER_CAPITAL) ?? DEFAULT_CAPITAL,
+    slippageBps = toNum(process.env.PAPER_SLIPPAGE_BPS) ?? 0,
+    misLeverage = DEFAULT_MIS_LEVERAGE,
+  } = options;
+  let clock = ensureClock(options.clock);
+  const orders = new Map(); // order_id -> order
+  const gtts = new Map(); // trigger_id -> gtt
+  const positions = new Map(); // `${symbol}:${product}` -> position
+  const lastPrices = new Map(); // tradingsymbol -> ltp
+  const listeners = new Set();
+  let seq = 0;
+
+  const nextId = (prefix) => `${prefix}-${clock.now()}-${++seq}`;
+  const timestamp = () => new Date(clock.now());
+
+  function emit(order) {
+    const update = { ...order };
+    for (const cb of listeners) {
+      try {
+        cb(update);
+      } catch (err) {
+        console.error('[PAPER] order update listener failed', err?.message || err);
+      }
+    }
+  }
+
+  function applyToPosition(order, qty, price) {
+    const key = `${order.tradingsymbol}:${order.product}`;
+    const pos = positions.get(key) || {
+      tradingsymbol: order.tradingsymbol,
+      exchange: order.exchange,
+      product: order.product,
+      quantity: 0,
+      average_price: 0,
+      buy_quantity: 0,
+      buy_value: 0,
+      sell_quantity: 0,
+      sell_value: 0,
+      realised: 0,
+    };
+    const signed = order.transaction_type === 'BUY' ? qty : -qty;
+    if (signed > 0) {
+      pos.buy_quantity += qty;
+      pos.buy_value += qty * price;
+    } else {
+      pos.sell_quantity += qty;
+      pos.sell_value += qty * price;
+    }
+    const prevQty = pos.quantity;
+    const nextQty = prevQty + signed;
+    if (prevQty === 0 || Math.sign(prevQty) === Math.sign(signed)) {
+      const total = Math.abs(prevQty) + qty;
+      pos.average_price =
+        (pos.average_price * Math.abs(prevQty) + price * qty) / total;
+    } else {
+      const closed = Math.min(Math.abs(prevQty), qty);
+      pos.realised += (price - pos.average_price) * closed * Math.sign(prevQty);
+      if (Math.sign(nextQty) !== Math.sign(prevQty) && nextQty !== 0) {
+        pos.average_price = price;
+      } else if (nextQty === 0) {
+        pos.average_price = 0;
+      }
+    }
+    pos.quantity = nextQty;
+    positions.set(key, pos);
+  }
+
+  function fill(order, qty, price) {
+    const prevFilled = order.filled_quantity;
+    order.filled_quantity = prevFilled + qty;
+    order.pending_quantity = order.quantity - order.filled_quantity;
+    order.average_price = roundPrice(
+      (order.average_price * prevFilled + price * qty) / order.filled_quantity
+    );
+    order.exchange_timestamp = timestamp();
+    order.status = order.pending_quantity > 0 ? 'OPEN' : 'COMPLETE';
+    order.status_message = order.pending_quantity > 0 ? 'partially filled' : null;
+    applyToPosition(order, qty, price);
+    emit(order);
+  }
+
+  function tryFill(order, tick) {
+    if (!['OPEN', 'TRIGGER PENDING'].includes(order.status)) return;
+    const ltp = tickPrice(tick) ?? lastPrices.get(symbolKey(order.tradingsymbol));
+    if (!(ltp > 0)) return;
+    const side = order.transaction_type;
+    const isBuy = side === 'BUY';
+    let type = order.order_type;
+
+    if (order.status === 'TRIGGER PENDING') {
+      const trigger = Number(order.trigger_price);
+      const hit = isBuy ? ltp >= trigger : ltp <= trigger;
+      if (!hit) return;
+      order.status = 'OPEN';
+      order.triggered = true;
+      emit(order);
+    }
+    if (type === 'SL-M') type = 'MARKET';
+    if (type === 'SL') type = 'LIMIT';
+
+    const limit = type === 'LIMIT' ? Number(order.price) : null;
+    if (limit != null && (isBuy ? ltp > limit : ltp < limit)) return;
+
+    const match = matchAgainstDepth({
+      side,
+      qty: order.pending_quantity,
+      limit,
+      ltp,
+      depth: tick.depth,
+    });
+    if (!match) return;
+    let price = match.price;
+    if (type === 'MARKET' && !tick.depth && slippageBps) {
+      const adj = (price * slippageBps) / 10_000;
+      price = isBuy ? price + adj : price - adj;
+    }
+    if (limit != null) price = isBuy ? Math.min(price, limit) : Math.max(price, limit);
+    fill(order, match.qty, price);
+  }
+
+  function checkGtt(gtt, ltp) {
+    if (gtt.status !== 'active') return;
+    const [lower, upper] = gtt.condition.trigger_values;
+    let triggered = null;
+    if (gtt.type === 'single') {
+      // Fires when price crosses the trigger from where it was at placement,
+      // up or down
+      const down = gtt.condition.last_price > lower;
+      if (lower != null && (down ? ltp <= lower : ltp >= lower) && gtt.orders[0]) {
+        triggered = { value: lower, leg: gtt.orders[0] };
+      }
+    } else if (ltp <= lower) {
+      triggered = { value: lower };
+    } else if (ltp >= upper) {
+      triggered = { value: upper };
+    }
+    if (!triggered) return;
+    // Legs are matched by price rather than array position so that
+    // short-side brackets (SL above target) trigger the correct leg.
+    const leg =
+      triggered.leg ||
+      gtt.orders.reduce((best, o) =>
+        Math.abs(Number(o.price) - triggered.value) <
+        Math.abs(Number(best.price) - triggered.value)
+          ? o
+          : best
+      );
+    gtt.status = 'triggered';
+    gtt.updated_at = timestamp();
+    const isStopLeg = leg.order_type === 'SL' || leg.order_type === 'SL-M';
+    const child = createOrder('regular', {
+      exchange: gtt.condition.exchange,
+      tradingsymbol: gtt.condition.tradingsymbol,
+      transaction_type: leg.transaction_type,
+      quantity: leg.quantity,
+      product: leg.product,
+      // A triggered stop must exit even if price gapped through it.
+      order_type: isStopLeg ? 'MARKET' : 'LIMIT',
+      price: isStopLeg ? 0 : leg.price,
+      tag: gtt.tag,
+    });
+    child.parent_trigger_id = gtt.id;
+    gtt.orders_placed = [child.order_id];
+    emit(child);
+    tryFill(child, { last_price: ltp });
+  }
+
+  function createOrder(variety, params = {}) {
+    const quantity = Number(params.quantity) || 0;
+    const orderType = String(params.order_type || 'MARKET').toUpperCase();
+    const order = {
+      order_id: nextId('PAPER'),
+      variety,
+      exchange: params.exchange || 'NSE',
+      tradingsymbol: params.tradingsymbol,
+      transaction_type: String(params.transaction_type || 'BUY').toUpperCase(),
+      order_type: orderType,
+      product: params.product || 'MIS',
+      quantity,
+      price: toNum(params.price) ?? 0,
+      trigger_price: toNum(params.trigger_price) ?? 0,
+      filled_quantity: 0,
+      pending_quantity: quantity,
+      cancelled_quantity: 0,
+      average_price: 0,
+      status: orderType === 'SL' || orderType === 'SL-M' ? 'TRIGGER PENDING' : 'OPEN',
+      status_message: null,
+      tag: params.tag,
+      order_timestamp: timestamp(),
+      exchange_timestamp: null,
+      paper: true,
+    };
+    orders.set(order.order_id, order);
+    return order;
+  }
+
+  const broker = {
+    GTT_TYPE_OCO: 'two-leg',
+    GTT_TYPE_SINGLE: 'single',
+
+    /** Register a listener for order updates (same payload shape as Kite postbacks). */
+    onUpdate(cb) {
+      if (typeof cb === 'function') listeners.add(cb);
+      return () => listeners.delete(cb);
+    },
+
+    setClock(clockLike) {
+      clock = ensureClock(clockLike);
+    },
+
+    async placeOrder(variety = 'regular', params = {}) {
+      if (!params.tradingsymbol) throw new Error('tradingsymbol is required');
+      if (!(Number(params.quantity) > 0)) throw new Error('quantity must be positive');
+      const order = createOrder(variety, params);
+      emit(order);
+      const ltp = lastPrices.get(symbolKey(order.tradingsymbol));
+      if (ltp > 0) tryFill(order, { last_price: ltp });
+      return { order_id: order.order_id };
+    },
+
+    async modifyOrder(variety, orderId, params = {}) {
+      const order = orders.get(orderId);
+      if (!order) throw new Error(`Order ${orderId} not found`);
+      if (!['OPEN', 'TRIGGER PENDING'].includes(order.status)) {
+        throw new Error(`Order ${orderId} is ${order.status} and cannot be modified`);
+      }
+      for (const key of ['price', 'trigger_price', 'quantity']) {
+        const v = toNum(params[key]);
+        if (v != null) order[key] = v;
+      }
+      if (params.order_type) order.order_type = String(params.order_type).toUpperCase();
+      // An SL order changed to LIMIT/MARKET no longer waits for its trigger
+      if (order.status === 'TRIGGER PENDING' && !/^SL/.test(order.order_type)) order.status = 'OPEN';
+      order.pending_quantity = Math.max(0, order.quantity - order.filled_quantity);
+      emit(order);
+      const ltp = lastPrices.get(symbolKey(order.tradingsymbol));
+      if (ltp > 0) tryFill(order, { last_price: ltp });
+      return { order_id: orderId };
+    },
+
+    async cancelOrder(variety, orderId) {
+      const order = orders.get(orderId);
+      if (!order) throw new Error(`Order ${orderId} not found`);
+      if (!['OPEN', 'TRIGGER PENDING'].includes(order.status)) {
+        throw new Error(`Order ${orderId} is ${order.status} and cannot be cancelled`);
+      }
+      order.cancelled_quantity = order.pending_quantity;
+      order.pending_quantity = 0;
+      order.status = 'CANCELLED';
+      order.exchange_timestamp = timestamp();
+      emit(order);
+      return { order_id: orderId };
+    },
+
+    async placeGTT(params = {}) {
+      const id = nextId('PAPERGTT');
+      const trigger_values = (params.trigger_values || []).map(Number);
+      const ltp = lastPrices.get(symbolKey(params.tradingsymbol));
+      gtts.set(id, {
+        id,
+        type: params.trigger_type || 'two-leg',
+        status: 'active',
+        tag: params.tag,
+        created_at: timestamp(),
+        updated_at: timestamp(),
+        condition: {
+          exchange: params.exchange || 'NSE',
+          tradingsymbol: params.tradingsymbol,
+          last_price: toNum(params.last_price) ?? (ltp > 0 ? ltp : null),
+          trigger_values: [...trigger_values].sort((a, b) => a - b),
+        },
+        orders: (params.orders || []).map((o) => ({ ...o })),
+      });
+      if (ltp > 0) checkGtt(gtts.get(id), ltp);
+      return { trigger_id: id };
+    },
+
+    async deleteGTT(triggerId) {
+      const gtt = gtts.get(triggerId);
+      if (!gtt) throw new Error(`GTT ${triggerId} not found`);
+      gtt.status = 'deleted';
+      return { trigger_id: triggerId };
+    },
+
+    async getGTTs() {
+      return Array.from(gtts.values()).map((g) => ({ ...g }));
+    },
+
+    async getOrders() {
+      return Array.from(orders.values()).map((o) => ({ ...o }));
+    },
+
+    async getPositions() {
+      const net = Array.from(positions.values()).map((p) => {
+        const last = lastPrices.get(symbolKey(p.tradingsymbol)) ?? p.average_price;
+        const unrealised = (last - p.average_price) * p.quantity;
+        return {
+          ...p,
+          last_price: last,
+          buy_price: p.buy_quantity ? p.buy_value / p.buy_quantity : 0,
+          sell_price: p.sell_quantity ? p.sell_value / p.sell_quantity : 0,
+          unrealised,
+          pnl: p.realised + unrealised,
+        };
+      });
+      return { net, day: net };
+    },
+
+    async getMargins(segment) {
+      let used = 0;
+      let realised = 0;
+      for (const p of positions.values()) {
+        realised += p.realised;
+        const leverage = p.product === 'MIS' ? misLeverage : 1;
+        used += (Math.abs(p.quantity) * p.average_price) / leverage;
+      }
+      const net = capital + realised - used;
+      const equity = {
+        net,
+        available: { cash: net, live_balance: net, opening_balance: capital },
+        utilised: { debits: used },
+      };
+      return segment ? equity : { equity };
+    },
+
+    async orderMargins(list = []) {
+      return list.map((o) => {
+        const price =
+          toNum(o.price) || lastPrices.get(symbolKey(o.tradingsymbol)) || 0;
+        const leverage = (o.product || 'MIS') === 'MIS' ? misLeverage : 1;
+        const total = (price * (Number(o.quantity) || 0)) / leverage;
+        return { tradingsymbol: o.tradingsymbol, total, required: total };
+      });
+    },
+
+    /**
+     * Feed a market tick for a symbol. Resting orders and active GTTs for
+     * that symbol are evaluated against the tick.
+     * @param {string} symbol - Trading symbol the tick belongs to
+     * @param {Object} tick - Kite-style tick (last_price, optional depth)
+     */
+    onTick(symbol, tick = {}) {
+      const ltp = tickPrice(tick);
+      const key = symbolKey(symbol);
+      if (!key || !(ltp > 0)) return;
+      lastPrices.set(key, ltp);
+      for (const order of orders.values()) {
+        if (symbolKey(order.tradingsymbol) === key) tryFill(order, tick);
+      }
+      for (const gtt of gtts.values()) {
+        if (symbolKey(gtt.condition.tradingsymbol) === key) checkGtt(gtt, ltp);
+      }
+    },
+
+    reset() {
+      orders.clear();
+      gtts.clear();
+      positions.clear();
+      lastPrices.clear();
+      seq = 0;
+    },
+  };
+  return broker;
+}
+
+// Shared instance used by the live app when paper trading is enabled.
+export const paperBroker = createPaperBroker();
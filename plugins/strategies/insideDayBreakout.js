@@ -0,0 +1,38 @@
+// insideDayBreakout.js
+// Example strategy plugin. Files in plugins/strategies (or STRATEGY_PLUGIN_DIR)
+// are loaded at startup and on POST /admin/strategies/plugins/reload; each
+// default-exports one registry definition or an array of them. This one
+// ships disabled - enable it with PATCH /admin/strategies/inside-day-breakout.
+
+function detectInsideDayBreakout(candles, ctx = {}, cfg = {}) {
+  const lookback = cfg.lookback ?? 30;
+  if (candles.length < lookback + 2) return null;
+  const mother = candles.slice(-lookback - 1, -1);
+  const high = Math.max(...mother.map((c) => c.high));
+  const low = Math.min(...mother.map((c) => c.low));
+  const range = high - low;
+  const last = candles.at(-1);
+  const atr = ctx.features?.atr ?? ctx.atr;
+  if (!atr || range > atr * (cfg.maxRangeAtr ?? 3)) return null;
+  if (last.close > high) {
+    return { name: 'Inside Day Breakout', direction: 'Long', stopLoss: low, confidence: 0.55 };
+  }
+  if (last.close < low) {
+    return { name: 'Inside Day Breakdown', direction: 'Short', stopLoss: high, confidence: 0.55 };
+  }
+  return null;
+}
+
+export default {
+  id: 'inside-day-breakout',
+  name: 'Inside Day Breakout',
+  kind: 'detector',
+  category: 'breakout',
+  direction: 'both',
+  features: ['atr'],
+  timeframes: ['1m'],
+  params: { lookback: 30, maxRangeAtr: 3 },
+  regimes: ['trending', 'sideways'],
+  enabled: false,
+  detect: detectInsideDayBreakout,
+};
@@ -25,6 +25,30 @@ export function resetPortfolioClock() {
   activeClock = ensureClock();
 }
 
+// Exposure limits used when callers don't pass their own; configService
+// overrides them at runtime.
+const DEFAULT_EXPOSURE = Object.freeze({
+  exposureCap: 0.75,
+  instrumentCap: 0.1,
+  tradeCapPct: 0.1,
+  reservePct: 0,
+  maxMarginPct: 1,
+  minTradeCapital: 0,
+  maxTradeCapital: Infinity,
+  reentryWindowMs: 15 * 60 * 1000,
+  sectorCaps: {},
+});
+let exposureConfig = { ...DEFAULT_EXPOSURE };
+
+export function applyPortfolioConfig(overrides = {}) {
+  exposureConfig = { ...DEFAULT_EXPOSURE, ...overrides };
+  return getPortfolioConfig();
+}
+
+export function getPortfolioConfig() {
+  return { ...exposureConfig, sectorCaps: { ...exposureConfig.sectorCaps } };
+}
+
 // --- helpers ---
 function normSide(v) {
   const s = String(v || '').toLowerCase();
@@ -104,16 +128,20 @@ export async function trackOpenPositions(broker, cache = db) {
   }
 }
 
-function calculateExposure(symbol, sector, { markToMarket = false } = {}) {
+function calculateExposure(
+  symbol,
+  sector,
+  { markToMarket = false, positions = openPositions } = {}
+) {
   let gross = 0;
   let sectorExposure = 0;
-  for (const p of openPositions.values()) {
+  for (const p of positions.values()) {
     const px = markToMarket && p.markPrice ? p.markPrice : p.entryPrice;
     const value = px * p.qty;
     gross += value;
     if (p.sector === sector) sectorExposure += value;
   }
-  const instPos = openPositions.get(symbol);
+  const instPos = positions.get(symbol);
   const instPx = markToMarket && instPos?.markPrice ? instPos.markPrice : instPos?.entryPrice ?? 0;
   const instValue = instPos ? instPx * instPos.qty : 0;
   return { gross, sectorExposure, instValue };
@@ -158,8 +186,9 @@ function enforceExposureLimits({
  * @param {string} opts.sector
  * @param {number} opts.totalCapital
  * @param {Object} [opts.sectorCaps]
- * @param {number} [opts.exposureCap=0.75]
+ * @param {number} [opts.exposureCap] - Defaults to the configured cap (0.75)
  * @param {boolean} [opts.priority=false]
+ * @param {Map} [opts.positions] - Positions to measure against (default: this process's openPositions)
  */
 export function checkExposureLimits({
   symbol,
@@ -167,17 +196,19 @@ export function checkExposureLimits({
   sector = 'GEN',
   totalCapital = 0,
   sectorCaps = {},
-  exposureCap = 0.75,
-  instrumentCap = 0.1,
-  tradeCapPct = 0.1,
-  reservePct = 0,
-  maxMarginPct = 1,
-  minTradeCapital = 0,
-  maxTradeCapital = Infinity,
+  exposureCap = exposureConfig.exposureCap,
+  instrumentCap = exposureConfig.instrumentCap,
+  tradeCapPct = exposureConfig.tradeCapPct,
+  reservePct = exposureConfig.reservePct,
+  maxMarginPct = exposureConfig.maxMarginPct,
+  minTradeCapital = exposureConfig.minTradeCapital,
+  maxTradeCapital = exposureConfig.maxTradeCapital,
   priority = false,
   markToMarket = false,
+  positions = openPositions,
 }) {
   if (priority) return true;
+  sectorCaps = { ...exposureConfig.sectorCaps, ...sectorCaps };
 
   if (totalCapital) {
     if (tradeValue < minTradeCapital) return false;
@@ -185,7 +216,10 @@ export function checkExposureLimits({
     if (tradeValue > totalCapital * tradeCapPct) return false;
   }
 
-  const { gross, sectorExposure, instValue } = calculateExposure(symbol, sector, { markToMarket });
+  const { gross, sectorExposure, instValue } = calculateExposure(symbol, sector, {
+    markToMarket,
+    positions,
+  });
   return enforceExposureLimits({
     tradeValue,
     totalCapital,
@@ -204,10 +238,10 @@ export function checkExposureLimits({
 /**
  * Block re-entry within specified window after exit.
  * @param {string} symbol
- * @param {number} [windowMs=900000]
+ * @param {number} [windowMs] - Defaults to the configured reentryWindowMs (15 min)
  * @returns {boolean} allowed
  */
-export function preventReEntry(symbol, windowMs = 15 * 60 * 1000) {
+export function preventReEntry(symbol, windowMs = exposureConfig.reentryWindowMs) {
   if (openPositions.has(symbol)) return false;
   const last = lastExitTime.get(symbol);
   if (last && nowMs() - last < windowMs) return false;
@@ -297,6 +331,25 @@ export async function recordExit(symbol, opts = {}) {
   }
 }
 
+/**
+ * Drop a position from the in-memory book and start its re-entry window
+ * without persistence, PnL booking or notifications. Used by simulations
+ * that keep their own accounting.
+ * @param {string} symbol
+ */
+export function releasePosition(symbol) {
+  lastExitTime.set(symbol, nowMs());
+  openPositions.delete(symbol);
+}
+
+/**
+ * Clear in-memory positions and re-entry timestamps.
+ */
+export function clearPortfolioState() {
+  openPositions.clear();
+  lastExitTime.clear();
+}
+
 const strategyRank = {
   'trend-following': 3,
   trend: 3,
@@ -309,8 +362,8 @@ const strategyRank = {
  * @param {Object} signal - { symbol, side, strategy }
  * @returns {boolean} allowed
  */
-export function resolveSignalConflicts(signal) {
-  const existing = openPositions.get(signal.symbol);
+export function resolveSignalConflicts(signal, positions = openPositions) {
+  const existing = positions.get(signal.symbol);
   if (!existing) return true;
   if (existing.side === normSide(signal.side)) return true;
   const newPr = strategyRank[signal.strategy?.toLowerCase()] || 0;
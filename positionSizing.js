@@ -8,6 +8,7 @@ import {
 import { adjustStopLoss } from './riskValidator.js';
 import { DEFAULT_MARGIN_PERCENT } from './util.js';
 import { riskDefaults } from './riskConfig.js';
+import { chargesEnabled, chargesPerUnit } from './costModel.js';
 
 // Default risk to reward ratio used for target calculations
 export const RISK_REWARD_RATIO = 1.5;
@@ -39,6 +40,50 @@ export function estimateRequiredMarginPerLot({
   );
 }
 
+// SPAN + exposure margin as a fraction of contract value. Index contracts
+// carry lower exposure margin than single-stock ones.
+export const FNO_MARGIN_PCT = Object.freeze({
+  index: Object.freeze({ span: 0.09, exposure: 0.02 }),
+  stock: Object.freeze({ span: 0.15, exposure: 0.035 }),
+});
+
+/**
+ * SPAN-like margin for one F&O lot. Option buyers pay the full premium;
+ * futures and option writers block SPAN + exposure on the underlying
+ * notional (plus the premium for writers).
+ * @param {Object} opts
+ * @param {'FUT'|'CE'|'PE'} opts.instrumentType
+ * @param {'buy'|'sell'} [opts.side='buy']
+ * @param {number} opts.price - Option premium or futures price
+ * @param {number} [opts.underlyingPrice] - Spot used for option writers' SPAN
+ * @param {number} opts.lotSize
+ * @param {boolean} [opts.isIndex=false]
+ * @param {number} [opts.spanPct] - Overrides the schedule
+ * @param {number} [opts.exposurePct] - Overrides the schedule
+ * @returns {number}
+ */
+export function estimateSpanMargin({
+  instrumentType,
+  side = 'buy',
+  price,
+  underlyingPrice,
+  lotSize = 1,
+  isIndex = false,
+  spanPct,
+  exposurePct,
+}) {
+  if (!(price > 0) || !(lotSize > 0)) return 0;
+  const premium = price * lotSize;
+  if (instrumentType !== 'FUT' && side === 'buy') return premium;
+  const schedule = FNO_MARGIN_PCT[isIndex ? 'index' : 'stock'];
+  const pct = (spanPct ?? schedule.span) + (exposurePct ?? schedule.exposure);
+  if (instrumentType === 'FUT') {
+    return estimateRequiredMarginPerLot({ price, lotSize, marginPercent: pct });
+  }
+  const notional = (underlyingPrice || price) * lotSize;
+  return notional * pct + premium;
+}
+
 // --- Position Sizing Models ---
 
 export function fixedRupeeRiskModel({ riskAmount, slPoints }) {
@@ -126,6 +171,10 @@ export function dollarVolatilitySizing({ capital, atr, price, riskPercent = 0.01
  * @param {number} [opts.costBuffer=1]     Buffer for taxes and slippage.
  * @param {number} [opts.slippage=0]       Expected slippage per unit.
  * @param {number} [opts.spread=0]         Spread cost per unit.
+ * @param {string} [opts.product]          'MIS' or 'CNC'; selects the charge schedule from costModel.js.
+ * @param {'Long'|'Short'} [opts.direction='Long'] Trade side used for per-side charges.
+ * @param {boolean} [opts.includeCharges]  Add round-trip charges at the stop to the risk distance
+ *                                         (needs price; defaults to riskDefaults.frictions.includeCharges).
  * @param {number} [opts.volatilityGuard]  ATR/VIX threshold beyond which position size is scaled down.
  * @param {Object} [opts.marketDepth]      Current market depth { buy, sell }.
  * @param {number} [opts.priceMovement]    Recent price movement for dynamic scaling.
@@ -156,6 +205,9 @@ export function calculatePositionSize({
   costBuffer,
   slippage,
   spread,
+  product,
+  direction = 'Long',
+  includeCharges,
   volatilityGuard,
   marketDepth,
   priceMovement,
@@ -190,15 +242,37 @@ export function calculatePositionSize({
   const slip = Number.isFinite(slippageInput) ? Math.max(slippageInput, 0) : 0;
   const spr = Number.isFinite(spreadInput) ? Math.max(spreadInput, 0) : 0;
   const buffer = Number.isFinite(bufferInput) && bufferInput > 0 ? bufferInput : 1;
-  const effectiveDistance = Math.max((baseDistance + slip + spr) * buffer, 0);
+  let effectiveDistance = Math.max((baseDistance + slip + spr) * buffer, 0);
   if (!noSLNeeded && effectiveDistance <= 0) return 0;
 
+  // Charges depend on qty (brokerage is capped per order), so size once
+  // without them, price the round trip at that qty and size again.
+  let chargesPerShare = 0;
+  if (!noSLNeeded && chargesEnabled(includeCharges) && price > 0 && riskAmount > 0) {
+    const stopPrice = direction === 'Short' ? price + baseDistance : price - baseDistance;
+    for (let i = 0; i < 2; i += 1) {
+      const estQty = Math.max(
+        1,
+        Math.floor(riskAmount / (effectiveDistance + chargesPerShare * buffer))
+      );
+      chargesPerShare = chargesPerUnit({
+        direction,
+        entry: price,
+        exit: stopPrice,
+        qty: estQty,
+        product,
+      });
+    }
+    effectiveDistance = Math.max((baseDistance + slip + spr + chargesPerShare) * buffer, 0);
+  }
+
   const debugInfo = debug && typeof debug === 'object' ? debug : null;
   if (debugInfo) {
     debugInfo.rawDistance = baseDistance;
     debugInfo.slippage = slip;
     debugInfo.spread = spr;
     debugInfo.costBuffer = buffer;
+    debugInfo.chargesPerShare = chargesPerShare;
     debugInfo.effectiveDistance = effectiveDistance;
   }
 
@@ -0,0 +1,254 @@
+// regimeEngine.js
+// Live market regime from NIFTY 50 / NIFTY BANK / INDIA VIX ticks plus
+// advance/decline breadth across the scanned universe. Index ticks are built
+// into one-minute bars; on every aligned minute the engine recomputes
+// EMA50/EMA200 and ADX on NIFTY, feeds detectMarketRegime and reports
+// transitions.
+import { calculateEMA, calculateADX } from './featureEngine.js';
+import { marketContext, detectMarketRegime } from './smartStrategySelector.js';
+import { tradingCalendar } from './tradingCalendar.js';
+import { ensureClock } from './src/backtest/clock.js';
+
+const MINUTE_MS = 60 * 1000;
+
+// Kite instrument tokens for the NSE index feeds
+export const REGIME_INSTRUMENTS = Object.freeze({
+  'NSE:NIFTY 50': { key: 'NIFTY', token: 256265 },
+  'NSE:NIFTY BANK': { key: 'BANKNIFTY', token: 260105 },
+  'NSE:INDIA VIX': { key: 'VIX', token: 264969 },
+});
+
+const DEFAULTS = {
+  maxBars: 400,
+  adxPeriod: 14,
+  breadthStaleMs: 5 * MINUTE_MS,
+};
+
+function tickTime(tick, fallback) {
+  const t = tick.exchange_timestamp ?? tick.last_trade_time ?? tick.timestamp;
+  const ms = t instanceof Date ? t.getTime() : typeof t === 'number' ? t : Date.parse(t);
+  return Number.isFinite(ms) ? ms : fallback;
+}
+
+/** Percent change vs the previous close carried on a full-mode tick. */
+function tickChange(tick) {
+  if (Number.isFinite(tick.change)) return tick.change;
+  const prev = Number(tick.ohlc?.close);
+  const last = Number(tick.last_price);
+  return prev > 0 && Number.isFinite(last) ? ((last - prev) / prev) * 100 : null;
+}
+
+function trendStats(bars, adxPeriod) {
+  if (!bars.length) return null;
+  const closes = bars.map((b) => b.close);
+  return {
+    close: closes[closes.length - 1],
+    ema50: closes.length >= 50 ? calculateEMA(closes, 50) : null,
+    ema200: closes.length >= 200 ? calculateEMA(closes, 200) : null,
+    adx: calculateADX(bars, adxPeriod)?.adx ?? null,
+  };
+}
+
+/**
+ * @param {Object} [options]
+ * @param {Object} [options.clock]
+ * @param {Object} [options.context] - marketContext to update
+ * @param {Function} [options.detect] - detectMarketRegime
+ * @param {Function} [options.emit] - (event, payload) broadcaster, e.g. io.emit
+ * @param {Function} [options.isActive] - skip minutes while this returns false
+ * @param {Object} [options.config]
+ */
+export function createRegimeEngine(options = {}) {
+  const clock = ensureClock(options.clock);
+  const context = options.context || marketContext;
+  const detect = options.detect || detectMarketRegime;
+  const isActive = options.isActive || ((at) => tradingCalendar.isMarketOpen(at));
+  const config = { ...DEFAULTS, ...options.config };
+  let emit = options.emit || (() => {});
+
+  const bars = { NIFTY: [], BANKNIFTY: [] };
+  const current = {}; // key -> open minute bar
+  const breadth = new Map(); // symbol -> { change, at }
+  let vix = null;
+  let timers = [];
+
+  function pushBar(key, bar) {
+    const list = bars[key];
+    if (list.length && list[list.length - 1].minute >= bar.minute) return;
+    list.push(bar);
+    if (list.length > config.maxBars) list.splice(0, list.length - config.maxBars);
+  }
+
+  function closeBarsBefore(minute) {
+    for (const key of Object.keys(current)) {
+      if (current[key].minute < minute) {
+        pushBar(key, current[key]);
+        delete current[key];
+      }
+    }
+  }
+
+  function onTick(symbol, tick = {}) {
+    const price = Number(tick.last_price);
+    if (!Number.isFinite(price)) return;
+    const instrument = REGIME_INSTRUMENTS[symbol];
+    const at = tickTime(tick, clock.now());
+    if (!instrument) {
+      const change = tickChange(tick);
+      if (change !== null) breadth.set(symbol, { change, at });
+      return;
+    }
+    if (instrument.key === 'VIX') {
+      vix = price;
+      return;
+    }
+    const minute = Math.floor(at / MINUTE_MS) * MINUTE_MS;
+    const bar = current[instrument.key];
+    if (!bar || bar.minute !== minute) {
+      if (bar) pushBar(instrument.key, bar);
+      current[instrument.key] = { minute, open: price, high: price, low: price, close: price };
+    } else {
+      bar.high = Math.max(bar.high, price);
+      bar.low = Math.min(bar.low, price);
+      bar.close = price;
+    }
+  }
+
+  /** Prime index bars from historical minute candles (oldest first). */
+  function seed(symbol, candles = []) {
+    const key = REGIME_INSTRUMENTS[symbol]?.key;
+    if (!bars[key]) return 0;
+    for (const c of candles) {
+      const ms = new Date(c.date ?? c.timestamp).getTime();
+      if (!Number.isFinite(ms)) continue;
+      pushBar(key, {
+        minute: Math.floor(ms / MINUTE_MS) * MINUTE_MS,
+        open: c.open,
+        high: c.high,
+        low: c.low,
+        close: c.close,
+      });
+    }
+    return bars[key].length;
+  }
+
+  function advanceDecline(at) {
+    let advances = 0;
+    let declines = 0;
+    for (const { change, at: seen } of breadth.values()) {
+      if (at - seen > config.breadthStaleMs) continue;
+      if (change > 0) advances += 1;
+      else if (change < 0) declines += 1;
+    }
+    return { advances, declines };
+  }
+
+  /**
+   * Close finished bars and re-run regime detection.
+   * @returns {Object|null} snapshot, or null when closed or still warming up
+   */
+  function onMinute(at = clock.now()) {
+    if (!isActive(at)) return null;
+    closeBarsBefore(Math.floor(at / MINUTE_MS) * MINUTE_MS);
+
+    const nifty = trendStats(bars.NIFTY, config.adxPeriod);
+    // Without enough NIFTY bars for ADX the detector would read "choppy" from nulls
+    if (nifty?.adx == null) return null;
+    const bank = trendStats(bars.BANKNIFTY, config.adxPeriod);
+    const { advances, declines } = advanceDecline(at);
+    const ratio = advances + declines ? advances / Math.max(declines, 1) : undefined;
+
+    const previous = context.regime;
+    detect({
+      ema50: nifty?.ema50 ?? undefined,
+      ema200: nifty?.ema200 ?? undefined,
+      adx: nifty?.adx ?? undefined,
+      vix: vix ?? undefined,
+      breadth: ratio,
+    });
+    context.indices = { NIFTY: nifty, BANKNIFTY: bank };
+    context.advanceDecline = { advances, declines };
+
+    const snapshot = {
+      at,
+      regime: context.regime,
+      volatility: context.volatility,
+      vix: context.vix,
+      adx: context.adx,
+      emaSlope: context.emaSlope,
+      breadth: context.breadth,
+      advances,
+      declines,
+      indices: context.indices,
+    };
+    emit('marketRegime', snapshot);
+    if (previous !== context.regime) {
+      console.log(`[REGIME] ${previous} → ${context.regime}`);
+      emit('regimeChange', { from: previous, to: context.regime, ...snapshot });
+    }
+    return snapshot;
+  }
+
+  return {
+    onTick,
+    seed,
+    onMinute,
+    setEmitter(fn) {
+      emit = fn || (() => {});
+    },
+    /** Tokens to subscribe on the shared ticker. */
+    instruments() {
+      return Object.entries(REGIME_INSTRUMENTS).map(([symbol, { token }]) => ({ symbol, token }));
+    },
+    /**
+     * Load recent NIFTY / NIFTY BANK minute candles so the EMAs are warm.
+     * @param {Function} fetchMinuteCandles - (token, from, to) => candles
+     */
+    async warmup(fetchMinuteCandles) {
+      const now = clock.now();
+      const [first] = tradingCalendar.pastTradingDates(now, 1);
+      const from = new Date(first ? Date.parse(`${first}T09:15:00+05:30`) : now - 24 * 60 * MINUTE_MS);
+      for (const [symbol, { key, token }] of Object.entries(REGIME_INSTRUMENTS)) {
+        if (!bars[key]) continue;
+        seed(symbol, (await fetchMinuteCandles(token, from, new Date(now))) || []);
+      }
+    },
+    /** Run onMinute shortly after each minute boundary. */
+    start({ setTimeoutFn = setTimeout, setIntervalFn = setInterval } = {}) {
+      if (timers.length) return;
+      const run = () => {
+        try {
+          onMinute();
+        } catch (err) {
+          console.error('[REGIME] update failed:', err.message);
+        }
+      };
+      const delay = MINUTE_MS - (clock.now() % MINUTE_MS) + 1000;
+      const first = setTimeoutFn(() => {
+        run();
+        const every = setIntervalFn(run, MINUTE_MS);
+        every.unref?.();
+        timers.push(every);
+      }, delay);
+      first.unref?.();
+      timers.push(first);
+    },
+    stop() {
+      for (const t of timers) {
+        clearTimeout(t);
+        clearInterval(t);
+      }
+      timers = [];
+    },
+    state() {
+      return {
+        regime: context.regime,
+        vix,
+        bars: { NIFTY: bars.NIFTY.length, BANKNIFTY: bars.BANKNIFTY.length },
+        breadthSymbols: breadth.size,
+      };
+    },
+  };
+}
+
+export const regimeEngine = createRegimeEngine();
@@ -13,6 +13,11 @@ const numPct = (v) => {
   return undefined;
 };
 
+const bool = (v) => {
+  if (v === undefined || v === '') return undefined;
+  return !['0', 'false', 'no', 'off'].includes(String(v).toLowerCase());
+};
+
 const configuredDefaults = {
   // Core loss/risk caps
   maxDailyLoss: num(process.env.MAX_DAILY_LOSS),
@@ -76,6 +81,10 @@ const nestedDefaults = {
     // used in RR & sizing when not explicitly provided
     costBuffer: num(process.env.COST_BUFFER),
     defaultSlippage: num(process.env.DEFAULT_SLIPPAGE),
+    // statutory charges + brokerage from costModel.js
+    includeCharges: bool(process.env.INCLUDE_CHARGES),
+    product: process.env.DEFAULT_PRODUCT,
+    referenceNotional: num(process.env.CHARGES_REFERENCE_NOTIONAL),
   },
   sizing: {
     defaultRiskPercent: numPct(process.env.RISK_PER_TRADE_PCT),
@@ -112,6 +121,10 @@ export const riskDefaults = Object.freeze({
   frictions: {
     costBuffer: 1,
     defaultSlippage: 0,
+    includeCharges: true,
+    product: 'MIS', // 'MIS' intraday | 'CNC' delivery
+    referenceNotional: 100000, // position size assumed when RR is checked before sizing
+    symbolSlippage: {}, // measured per symbol (executionQuality.js); see setMeasuredSlippage
     ...prune(nestedDefaults.frictions),
   },
   sizing: {
@@ -127,3 +140,23 @@ export const riskDefaults = Object.freeze({
   ...flatDefaults,
 });
 
+const symbolKey = (symbol) => String(symbol || '').split(':').pop().trim().toUpperCase();
+
+/**
+ * Replace the measured entry slippage per symbol (price units per share).
+ * riskValidator uses it as a floor under the signal's own estimate.
+ * @param {Object<string, number>} bySymbol
+ */
+export function setMeasuredSlippage(bySymbol = {}) {
+  const next = {};
+  for (const [symbol, value] of Object.entries(bySymbol)) {
+    if (Number.isFinite(value) && value >= 0) next[symbolKey(symbol)] = value;
+  }
+  riskDefaults.frictions.symbolSlippage = next;
+  return { ...next };
+}
+
+/** Measured slippage for a symbol, or undefined when none has been fed back. */
+export function measuredSlippage(symbol) {
+  return riskDefaults.frictions.symbolSlippage?.[symbolKey(symbol)];
+}
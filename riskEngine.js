@@ -72,6 +72,7 @@ function nowDate() {
 class RiskState {
   constructor(config = {}) {
     this.config = { ...defaultConfig, ...config };
+    this.overrides = {};
     this.duplicateMap = new Map();
     this.correlationMap = new Map();
     this.watchList = new Set();
@@ -132,53 +133,182 @@ export function resetRiskState() {
   riskState.reset();
 }
 
-export function recordTradeResult({
-  pnl = 0,
-  risk = 0,
-  symbol,
-  sector,
-  strategy,
-}) {
-  recordTradeExecution({ symbol, sector });
+// Limit fields copied onto riskState by reset(); runtime overrides update
+// them in place so counters and pauses survive a config change.
+const LIMIT_KEYS = [
+  "maxDailyLoss",
+  "maxDailyLossPct",
+  "maxCumulativeLoss",
+  "maxWeeklyDrawdown",
+  "maxMonthlyDrawdown",
+  "maxLossPerTradePct",
+  "maxDailyRisk",
+  "equityDrawdownLimitPct",
+  "maxTradesPerDay",
+  "maxTradesPerInstrument",
+  "maxTradesPerSector",
+  "maxLossStreak",
+  "maxSignalsPerDay",
+  "signalFloodThreshold",
+  "volatilityThrottleMs",
+];
+
+/**
+ * Apply runtime overrides (configService) on top of riskDefaults without
+ * resetting the day's counters.
+ * @param {Object} overrides
+ * @returns {Object} effective risk config
+ */
+export function applyRiskConfig(overrides = {}) {
+  applyRiskOverrides(riskState, overrides);
+  return getRiskConfig();
+}
+
+/** Same as applyRiskConfig for any state created by createRiskState. */
+export function applyRiskOverrides(state, overrides = {}) {
+  state.overrides = { ...overrides };
+  state.config = { ...defaultConfig, ...riskDefaults, ...state.overrides };
+  for (const key of LIMIT_KEYS) state[key] = state.config[key];
+  return state;
+}
+
+/**
+ * Independent risk state for another trading account; pass it to
+ * isSignalValid via `ctx.riskState` and to recordTradeResult.
+ * @param {Object} [overrides] - Limits layered over riskDefaults
+ */
+export function createRiskState(overrides = {}) {
+  return applyRiskOverrides(new RiskState(riskDefaults), overrides);
+}
+
+export function getRiskConfig() {
+  return { ...riskState.config };
+}
+
+export function recordTradeResult(
+  { pnl = 0, risk = 0, symbol, sector, strategy },
+  state = riskState
+) {
+  recordTradeExecution({ symbol, sector }, state);
   const loss = pnl < 0 ? Math.abs(pnl) : 0;
-  riskState.dailyLoss += loss;
-  riskState.weeklyLoss += loss;
-  riskState.monthlyLoss += loss;
-  riskState.dailyRisk += risk;
-  riskState.equity += pnl;
-  if (riskState.equity > riskState.equityPeak)
-    riskState.equityPeak = riskState.equity;
-  riskState.lastTradeWasLoss = pnl < 0;
-  if (pnl < 0) riskState.consecutiveLosses += 1;
-  else riskState.consecutiveLosses = 0;
-  riskState.lastTradeTime = nowMs();
+  state.dailyLoss += loss;
+  state.weeklyLoss += loss;
+  state.monthlyLoss += loss;
+  state.dailyRisk += risk;
+  state.equity += pnl;
+  if (state.equity > state.equityPeak)
+    state.equityPeak = state.equity;
+  state.lastTradeWasLoss = pnl < 0;
+  if (pnl < 0) state.consecutiveLosses += 1;
+  else state.consecutiveLosses = 0;
+  state.lastTradeTime = nowMs();
   if (pnl < 0 && symbol && strategy) {
-    riskState.strategyFailMap.set(`${symbol}-${strategy}`, nowMs());
+    state.strategyFailMap.set(`${symbol}-${strategy}`, nowMs());
   }
   if (
-    riskState.dailyLoss >= riskState.maxDailyLoss ||
-    (riskState.equityPeak > 0 &&
-      riskState.equity <
-        riskState.equityPeak * (1 - riskState.equityDrawdownLimitPct))
+    state.dailyLoss >= state.maxDailyLoss ||
+    (state.equityPeak > 0 &&
+      state.equity <
+        state.equityPeak * (1 - state.equityDrawdownLimitPct))
   ) {
-    riskState.systemPaused = true;
+    state.systemPaused = true;
   }
 }
 
-export function recordTradeExecution({ symbol, sector }) {
-  riskState.tradeCount += 1;
+export function recordTradeExecution({ symbol, sector }, state = riskState) {
+  state.tradeCount += 1;
   if (symbol) {
-    const c = riskState.tradesPerInstrument.get(symbol) || 0;
-    riskState.tradesPerInstrument.set(symbol, c + 1);
-    riskState.watchList.add(symbol);
+    const c = state.tradesPerInstrument.get(symbol) || 0;
+    state.tradesPerInstrument.set(symbol, c + 1);
+    state.watchList.add(symbol);
   }
   const sec = sector || "GEN";
-  const sc = riskState.tradesPerSector.get(sec) || 0;
-  riskState.tradesPerSector.set(sec, sc + 1);
-  riskState.lastTradeTime = nowMs();
+  const sc = state.tradesPerSector.get(sec) || 0;
+  state.tradesPerSector.set(sec, sc + 1);
+  state.lastTradeTime = nowMs();
+}
+
+/**
+ * First session loss limit `state` has reached (daily, weekly and monthly
+ * loss, equity drawdown, daily risk, trade count, loss streak), in the order
+ * isSignalValid checks them. `ctx` may override each limit.
+ * @returns {{code: string, details: Object}|null}
+ */
+export function sessionLimitBreach(state = riskState, ctx = {}) {
+  const maxLoss = ctx.maxDailyLoss ?? state.maxDailyLoss;
+  if (state.dailyLoss >= maxLoss)
+    return {
+      code: "maxDailyLoss",
+      details: { loss: state.dailyLoss, max: maxLoss },
+    };
+  const maxLossPct =
+    ctx.maxDailyLossPct ?? state.config.maxDailyLossPct ?? 0;
+  if (
+    maxLossPct > 0 &&
+    state.equityPeak > 0 &&
+    state.dailyLoss / state.equityPeak >= maxLossPct
+  )
+    return {
+      code: "maxDailyLossPct",
+      details: { loss: state.dailyLoss, peak: state.equityPeak, maxPct: maxLossPct },
+    };
+  const maxCum =
+    ctx.maxCumulativeLoss ?? state.config.maxCumulativeLoss ?? 0;
+  if (maxCum > 0 && state.dailyLoss >= maxCum)
+    return {
+      code: "maxCumulativeLoss",
+      details: { loss: state.dailyLoss, max: maxCum },
+    };
+  const maxWeekly =
+    ctx.maxWeeklyDrawdown ?? state.config.maxWeeklyDrawdown ?? 0;
+  if (maxWeekly > 0 && state.weeklyLoss >= maxWeekly)
+    return {
+      code: "maxWeeklyDrawdown",
+      details: { loss: state.weeklyLoss, max: maxWeekly },
+    };
+  const maxMonthly =
+    ctx.maxMonthlyDrawdown ?? state.config.maxMonthlyDrawdown ?? 0;
+  if (maxMonthly > 0 && state.monthlyLoss >= maxMonthly)
+    return {
+      code: "maxMonthlyDrawdown",
+      details: { loss: state.monthlyLoss, max: maxMonthly },
+    };
+  const drawdownLimit =
+    ctx.equityDrawdownLimitPct ??
+    state.config.equityDrawdownLimitPct ??
+    0;
+  if (
+    drawdownLimit > 0 &&
+    state.equityPeak > 0 &&
+    state.equity < state.equityPeak * (1 - drawdownLimit)
+  )
+    return {
+      code: "equityDrawdown",
+      details: { equity: state.equity, peak: state.equityPeak, limitPct: drawdownLimit },
+    };
+  const maxRisk = ctx.maxDailyRisk ?? state.maxDailyRisk;
+  if (state.dailyRisk >= maxRisk)
+    return {
+      code: "maxDailyRisk",
+      details: { risk: state.dailyRisk, max: maxRisk },
+    };
+  const maxTrades = ctx.maxTradesPerDay ?? state.maxTradesPerDay;
+  if (state.tradeCount >= maxTrades)
+    return {
+      code: "maxTradesPerDay",
+      details: { trades: state.tradeCount, max: maxTrades },
+    };
+  const maxStreak = ctx.maxLossStreak ?? state.maxLossStreak;
+  if (state.consecutiveLosses >= maxStreak)
+    return {
+      code: "maxLossStreak",
+      details: { losses: state.consecutiveLosses, max: maxStreak },
+    };
+  return null;
 }
 
 export function isSignalValid(signal, ctx = {}) {
+  const state = ctx.riskState || riskState;
   const now = nowMs();
   const clockDate = nowDate();
   const today = clockDate.getDate();
@@ -210,41 +340,41 @@ export function isSignalValid(signal, ctx = {}) {
       ? { ok: false, reason: code, trace: debugTrace }
       : false;
   };
-  if (riskState.lastResetDay !== today) resetRiskState();
-  if (riskState.lastResetWeek !== week) {
-    riskState.weeklyLoss = 0;
-    riskState.lastResetWeek = week;
+  if (state.lastResetDay !== today) state.reset();
+  if (state.lastResetWeek !== week) {
+    state.weeklyLoss = 0;
+    state.lastResetWeek = week;
   }
-  if (riskState.lastResetMonth !== month) {
-    riskState.monthlyLoss = 0;
-    riskState.lastResetMonth = month;
+  if (state.lastResetMonth !== month) {
+    state.monthlyLoss = 0;
+    state.lastResetMonth = month;
   }
 
-  if (riskState.systemPaused) return recordRejection("systemPaused");
+  if (state.systemPaused) return recordRejection("systemPaused");
   const bucketMs = Number.isFinite(ctx.timeBucketMs)
     ? ctx.timeBucketMs
-    : Number.isFinite(riskState.config.timeBucketMs)
-    ? riskState.config.timeBucketMs
+    : Number.isFinite(state.config.timeBucketMs)
+    ? state.config.timeBucketMs
     : 60 * 1000;
   const bucket = Math.floor(now / bucketMs);
-  const count = riskState.timeBuckets.get(bucket) || 0;
+  const count = state.timeBuckets.get(bucket) || 0;
   const maxSimul = Number.isFinite(ctx.maxSimultaneousSignals)
     ? ctx.maxSimultaneousSignals
-    : riskState.config.maxSimultaneousSignals;
+    : state.config.maxSimultaneousSignals;
   if (maxSimul && count >= maxSimul)
     return recordRejection("tooManySimultaneousSignals", {
       max: maxSimul,
     });
-  const maxSignals = ctx.maxSignalsPerDay ?? riskState.maxSignalsPerDay;
-  if (riskState.signalCount + 1 > maxSignals)
+  const maxSignals = ctx.maxSignalsPerDay ?? state.maxSignalsPerDay;
+  if (state.signalCount + 1 > maxSignals)
     return recordRejection("maxSignalsPerDay", {
       max: maxSignals,
-      count: riskState.signalCount,
+      count: state.signalCount,
     });
   const highVolThresh = Number.isFinite(ctx.highVolatilityThresh)
     ? ctx.highVolatilityThresh
-    : Number.isFinite(riskState.config.highVolatilityThresh)
-    ? riskState.config.highVolatilityThresh
+    : Number.isFinite(state.config.highVolatilityThresh)
+    ? state.config.highVolatilityThresh
     : undefined;
   if (
     Number.isFinite(highVolThresh) &&
@@ -253,33 +383,33 @@ export function isSignalValid(signal, ctx = {}) {
   ) {
     const interval = Number.isFinite(ctx.throttleMs)
       ? ctx.throttleMs
-      : Number.isFinite(riskState.volatilityThrottleMs)
-      ? riskState.volatilityThrottleMs
+      : Number.isFinite(state.volatilityThrottleMs)
+      ? state.volatilityThrottleMs
       : 60000;
-    if (now - riskState.lastTradeTime < interval)
+    if (now - state.lastTradeTime < interval)
       return recordRejection("volatilityThrottle", {
         interval,
-        lastTradeTime: riskState.lastTradeTime,
+        lastTradeTime: state.lastTradeTime,
       });
   }
   const floodThreshold = Number.isFinite(ctx.signalFloodThreshold)
     ? ctx.signalFloodThreshold
-    : Number.isFinite(riskState.config.signalFloodThreshold)
-    ? riskState.config.signalFloodThreshold
+    : Number.isFinite(state.config.signalFloodThreshold)
+    ? state.config.signalFloodThreshold
     : undefined;
   if (
     Number.isFinite(floodThreshold) &&
-    riskState.signalCount + 1 > floodThreshold
+    state.signalCount + 1 > floodThreshold
   ) {
     const interval = Number.isFinite(ctx.signalFloodThrottleMs)
       ? ctx.signalFloodThrottleMs
-      : Number.isFinite(riskState.config.signalFloodThrottleMs)
-      ? riskState.config.signalFloodThrottleMs
+      : Number.isFinite(state.config.signalFloodThrottleMs)
+      ? state.config.signalFloodThrottleMs
       : 60000;
-    if (now - riskState.lastTradeTime < interval)
+    if (now - state.lastTradeTime < interval)
       return recordRejection("signalFloodThrottle", {
         interval,
-        lastTradeTime: riskState.lastTradeTime,
+        lastTradeTime: state.lastTradeTime,
       });
   }
 
@@ -312,82 +442,13 @@ export function isSignalValid(signal, ctx = {}) {
       maxMinutes: ctx.maxSignalAgeMinutes,
     });
 
-  const maxLoss = ctx.maxDailyLoss ?? riskState.maxDailyLoss;
-  if (riskState.dailyLoss >= maxLoss)
-    return recordRejection("maxDailyLoss", {
-      loss: riskState.dailyLoss,
-      max: maxLoss,
-    });
-  const maxLossPct =
-    ctx.maxDailyLossPct ?? riskState.config.maxDailyLossPct ?? 0;
-  if (
-    maxLossPct > 0 &&
-    riskState.equityPeak > 0 &&
-    riskState.dailyLoss / riskState.equityPeak >= maxLossPct
-  )
-    return recordRejection("maxDailyLossPct", {
-      loss: riskState.dailyLoss,
-      peak: riskState.equityPeak,
-      maxPct: maxLossPct,
-    });
-  const maxCum =
-    ctx.maxCumulativeLoss ?? riskState.config.maxCumulativeLoss ?? 0;
-  if (maxCum > 0 && riskState.dailyLoss >= maxCum)
-    return recordRejection("maxCumulativeLoss", {
-      loss: riskState.dailyLoss,
-      max: maxCum,
-    });
-  const maxWeekly =
-    ctx.maxWeeklyDrawdown ?? riskState.config.maxWeeklyDrawdown ?? 0;
-  if (maxWeekly > 0 && riskState.weeklyLoss >= maxWeekly)
-    return recordRejection("maxWeeklyDrawdown", {
-      loss: riskState.weeklyLoss,
-      max: maxWeekly,
-    });
-  const maxMonthly =
-    ctx.maxMonthlyDrawdown ?? riskState.config.maxMonthlyDrawdown ?? 0;
-  if (maxMonthly > 0 && riskState.monthlyLoss >= maxMonthly)
-    return recordRejection("maxMonthlyDrawdown", {
-      loss: riskState.monthlyLoss,
-      max: maxMonthly,
-    });
-  const drawdownLimit =
-    ctx.equityDrawdownLimitPct ??
-    riskState.config.equityDrawdownLimitPct ??
-    0;
-  if (
-    drawdownLimit > 0 &&
-    riskState.equityPeak > 0 &&
-    riskState.equity < riskState.equityPeak * (1 - drawdownLimit)
-  )
-    return recordRejection("equityDrawdown", {
-      equity: riskState.equity,
-      peak: riskState.equityPeak,
-      limitPct: drawdownLimit,
-    });
-  const maxRisk = ctx.maxDailyRisk ?? riskState.maxDailyRisk;
-  if (riskState.dailyRisk >= maxRisk)
-    return recordRejection("maxDailyRisk", {
-      risk: riskState.dailyRisk,
-      max: maxRisk,
-    });
-  const maxTrades = ctx.maxTradesPerDay ?? riskState.maxTradesPerDay;
-  if (riskState.tradeCount >= maxTrades)
-    return recordRejection("maxTradesPerDay", {
-      trades: riskState.tradeCount,
-      max: maxTrades,
-    });
-  const maxStreak = ctx.maxLossStreak ?? riskState.maxLossStreak;
-  if (riskState.consecutiveLosses >= maxStreak)
-    return recordRejection("maxLossStreak", {
-      losses: riskState.consecutiveLosses,
-      max: maxStreak,
-    });
-  if (ctx.cooloffAfterLoss && riskState.lastTradeWasLoss)
+  const breach = sessionLimitBreach(state, ctx);
+  if (breach) return recordRejection(breach.code, breach.details);
+  if (ctx.cooloffAfterLoss && state.lastTradeWasLoss)
     return recordRejection("cooloffAfterLoss");
   const maxOpen = Number.isFinite(ctx.maxOpenPositions)
     ? ctx.maxOpenPositions
-    : riskState.config.maxOpenPositions;
+    : state.config.maxOpenPositions;
   if (
     maxOpen &&
     typeof ctx.openPositionsCount === "number" &&
@@ -414,33 +475,36 @@ export function isSignalValid(signal, ctx = {}) {
   }
   if (
     ctx.resolveConflicts &&
-    !resolveSignalConflicts({
-      symbol: signal.stock || signal.symbol,
-      side: dir,
-      strategy:
-        signal.algoSignal?.strategy || signal.pattern || signal.strategy,
-    })
+    !resolveSignalConflicts(
+      {
+        symbol: signal.stock || signal.symbol,
+        side: dir,
+        strategy:
+          signal.algoSignal?.strategy || signal.pattern || signal.strategy,
+      },
+      ctx.openPositionsMap instanceof Map ? ctx.openPositionsMap : undefined
+    )
   )
     return recordRejection("resolveConflictBlocked");
 
   const inst = signal.stock || signal.symbol;
-  if (ctx.blockWatchlist && riskState.watchList.has(inst))
+  if (ctx.blockWatchlist && state.watchList.has(inst))
     return recordRejection("watchlistBlocked");
   const stratKey = `${inst}-${
     signal.algoSignal?.strategy || signal.pattern || signal.strategy
   }`;
   if (
     ctx.strategyFailWindowMs &&
-    riskState.strategyFailMap.has(stratKey) &&
-    now - riskState.strategyFailMap.get(stratKey) < ctx.strategyFailWindowMs
+    state.strategyFailMap.has(stratKey) &&
+    now - state.strategyFailMap.get(stratKey) < ctx.strategyFailWindowMs
   )
     return recordRejection("strategyCooldown", {
-      lastFailure: riskState.strategyFailMap.get(stratKey),
+      lastFailure: state.strategyFailMap.get(stratKey),
       windowMs: ctx.strategyFailWindowMs,
     });
-  const instCount = riskState.tradesPerInstrument.get(inst) || 0;
+  const instCount = state.tradesPerInstrument.get(inst) || 0;
   const maxPerInst =
-    ctx.maxTradesPerInstrument ?? riskState.maxTradesPerInstrument;
+    ctx.maxTradesPerInstrument ?? state.maxTradesPerInstrument;
   if (instCount >= maxPerInst)
     return recordRejection("maxTradesPerInstrument", {
       count: instCount,
@@ -448,8 +512,8 @@ export function isSignalValid(signal, ctx = {}) {
     });
 
   const sec = signal.sector || "GEN";
-  const secCount = riskState.tradesPerSector.get(sec) || 0;
-  const maxPerSec = ctx.maxTradesPerSector ?? riskState.maxTradesPerSector;
+  const secCount = state.tradesPerSector.get(sec) || 0;
+  const maxPerSec = ctx.maxTradesPerSector ?? state.maxTradesPerSector;
   if (secCount >= maxPerSec)
     return recordRejection("maxTradesPerSector", {
       count: secCount,
@@ -613,29 +677,32 @@ export function isSignalValid(signal, ctx = {}) {
         ? signal.costBufferApplied
         : Number.isFinite(signal.costBuffer)
         ? signal.costBuffer
-        : Number.isFinite(riskState.config?.costBuffer)
-        ? riskState.config.costBuffer
+        : Number.isFinite(state.config?.costBuffer)
+        ? state.config.costBuffer
         : Number.isFinite(riskDefaults.costBuffer)
         ? riskDefaults.costBuffer
         : 1),
+    qty: signal.qty,
+    product: signal.product ?? ctx.product,
   });
   if (!rr.valid)
     return recordRejection(rr.reason ?? "rrBelowMinimum", {
       rr: rr.rr,
+      grossRR: rr.grossRR,
       min: rr.minRR,
     });
   const minRR = Number.isFinite(ctx.minRR)
     ? ctx.minRR
-    : Number.isFinite(riskState.config.minRR)
-    ? riskState.config.minRR
+    : Number.isFinite(state.config.minRR)
+    ? state.config.minRR
     : 2;
   if (rr.rr < minRR)
     return recordRejection("rrBelowThreshold", { rr: rr.rr, minRR });
 
   const maxSLATR = Number.isFinite(ctx.maxSLATR)
     ? ctx.maxSLATR
-    : Number.isFinite(riskState.config.maxSLATR)
-    ? riskState.config.maxSLATR
+    : Number.isFinite(state.config.maxSLATR)
+    ? state.config.maxSLATR
     : 2;
   if (
     Number.isFinite(signal.atr) &&
@@ -839,7 +906,7 @@ export function isSignalValid(signal, ctx = {}) {
   const slDist = Math.abs(signal.entry - signal.stopLoss);
   const lossPct = slDist / signal.entry;
   const maxPerTrade =
-    ctx.maxLossPerTradePct ?? riskState.config.maxLossPerTradePct ?? 0;
+    ctx.maxLossPerTradePct ?? state.config.maxLossPerTradePct ?? 0;
   if (maxPerTrade > 0 && lossPct > maxPerTrade)
     return recordRejection("maxLossPerTradePct", {
       lossPct,
@@ -847,8 +914,8 @@ export function isSignalValid(signal, ctx = {}) {
     });
   const maxSpreadSLRatio = Number.isFinite(ctx.maxSpreadSLRatio)
     ? ctx.maxSpreadSLRatio
-    : Number.isFinite(riskState.config.maxSpreadSLRatio)
-    ? riskState.config.maxSpreadSLRatio
+    : Number.isFinite(state.config.maxSpreadSLRatio)
+    ? state.config.maxSpreadSLRatio
     : 0.3;
   if (
     typeof signal.spread === "number" &&
@@ -896,15 +963,15 @@ export function isSignalValid(signal, ctx = {}) {
   }`;
   const dupWindow = Number.isFinite(ctx.duplicateWindowMs)
     ? ctx.duplicateWindowMs
-    : Number.isFinite(riskState.config.duplicateWindowMs)
-    ? riskState.config.duplicateWindowMs
+    : Number.isFinite(state.config.duplicateWindowMs)
+    ? state.config.duplicateWindowMs
     : 5 * 60 * 1000;
   if (
-    riskState.duplicateMap.has(key) &&
-    now - riskState.duplicateMap.get(key) < dupWindow
+    state.duplicateMap.has(key) &&
+    now - state.duplicateMap.get(key) < dupWindow
   )
     return recordRejection("duplicateSignal", { windowMs: dupWindow });
-  riskState.duplicateMap.set(key, now);
+  state.duplicateMap.set(key, now);
 
   if (ctx.marketRegime) {
     if (ctx.marketRegime === "bullish" && signal.direction === "Short")
@@ -916,34 +983,33 @@ export function isSignalValid(signal, ctx = {}) {
   const group = signal.correlationGroup || signal.sector;
   const corrWindow = Number.isFinite(ctx.correlationWindowMs)
     ? ctx.correlationWindowMs
-    : Number.isFinite(riskState.config.correlationWindowMs)
-    ? riskState.config.correlationWindowMs
+    : Number.isFinite(state.config.correlationWindowMs)
+    ? state.config.correlationWindowMs
     : 5 * 60 * 1000;
   if (group) {
     if (
-      riskState.correlationMap.has(group) &&
-      now - riskState.correlationMap.get(group) < corrWindow
+      state.correlationMap.has(group) &&
+      now - state.correlationMap.get(group) < corrWindow
     )
       return recordRejection("correlationThrottle", {
         group,
         windowMs: corrWindow,
       });
-    riskState.correlationMap.set(group, now);
+    state.correlationMap.set(group, now);
   }
 
-  riskState.signalCount += 1;
-  riskState.timeBuckets.set(bucket, count + 1);
-  if (riskState.timeBuckets.size > 10) {
-    for (const [k] of riskState.timeBuckets) {
-      if (k < bucket - 10) riskState.timeBuckets.delete(k);
+  state.signalCount += 1;
+  state.timeBuckets.set(bucket, count + 1);
+  if (state.timeBuckets.size > 10) {
+    for (const [k] of state.timeBuckets) {
+      if (k < bucket - 10) state.timeBuckets.delete(k);
     }
   }
-  if (ctx.addToWatchlist) riskState.watchList.add(inst);
+  if (ctx.addToWatchlist) state.watchList.add(inst);
   return debugTrace ? { ok: true, trace: debugTrace } : true;
 }
 
-export function getRiskStateSnapshot() {
-  const s = riskState;
+export function getRiskStateSnapshot(s = riskState) {
   return {
     dailyLoss: s.dailyLoss,
     weeklyLoss: s.weeklyLoss,
@@ -2,7 +2,9 @@
 // Provides pre-execution risk validation utilities
 import { logSignalRejected } from './auditLogger.js';
 import { toISTDate } from './util.js';
-import { riskDefaults } from './riskConfig.js';
+import { measuredSlippage, riskDefaults } from './riskConfig.js';
+import { chargesEnabled, chargesPerUnit } from './costModel.js';
+import { tradingCalendar } from './tradingCalendar.js';
 
 function resolveStrategyCategory(name = '') {
   const s = String(name).toLowerCase();
@@ -57,19 +59,38 @@ export function validateRR({
   slippage = 0,
   spread = 0,
   costBuffer = 1,
+  qty,
+  product,
+  exchange,
+  includeCharges,
 }) {
   const raw = Math.abs(entry - stopLoss);
-  const risk = Math.max((raw + slippage + spread) * (costBuffer || 1), 1e-6);
+  // Round-trip charges per share, exiting at the stop and at the target.
+  let chargesAtStop = 0;
+  let chargesAtTarget = 0;
+  if (chargesEnabled(includeCharges) && entry > 0) {
+    const direction = target >= entry ? 'Long' : 'Short';
+    const leg = { direction, entry, qty, product, exchange };
+    chargesAtStop = chargesPerUnit({ ...leg, exit: stopLoss });
+    chargesAtTarget = chargesPerUnit({ ...leg, exit: target });
+  }
+  const grossRisk = Math.max((raw + slippage + spread) * (costBuffer || 1), 1e-6);
+  const risk = Math.max((raw + slippage + spread + chargesAtStop) * (costBuffer || 1), 1e-6);
   if (!risk) return { valid: false, rr: 0, minRR: Infinity };
-  const rr = Math.abs((target - entry) / risk);
+  const grossRR = Math.abs((target - entry) / grossRisk);
+  const rr = Math.max(Math.abs(target - entry) - chargesAtTarget, 0) / risk;
   const minRR = getMinRRForStrategy(strategy, winrate);
+  const charges = { perUnitAtStop: chargesAtStop, perUnitAtTarget: chargesAtTarget };
   // extra rule: scalping/fade needs winrate > 0.65
   const s = resolveStrategyCategory(strategy);
   if ((s === 'scalping' || s === 'fade') && winrate <= 0.65) {
-    return { valid: false, rr, minRR, reason: 'winrateTooLowForScalping' };
+    return { valid: false, rr, grossRR, minRR, charges, reason: 'winrateTooLowForScalping' };
+  }
+  if (rr < minRR) {
+    const reason = grossRR >= minRR ? 'rrBelowMinAfterCosts' : 'rrBelowMin';
+    return { valid: false, rr, grossRR, minRR, charges, reason };
   }
-  if (rr < minRR) return { valid: false, rr, minRR, reason: 'rrBelowMin' };
-  return { valid: true, rr, minRR };
+  return { valid: true, rr, grossRR, minRR, charges };
 }
 
 const snapToTick = (v, tickSize) => {
@@ -276,8 +297,11 @@ export function checkTimingFilters({
 }) {
   const local = new Date(now.toLocaleString('en-US', { timeZone: 'Asia/Kolkata' }));
   const total = local.getHours() * 60 + local.getMinutes();
-  const open = 9 * 60 + 15;
-  const close = 15 * 60 + 30;
+  // Session bounds come from the calendar so half days and muhurat sessions count
+  const session = tradingCalendar.currentSession(now.getTime());
+  const toMinutes = (hhmm) => Number(hhmm.slice(0, 2)) * 60 + Number(hhmm.slice(3));
+  const open = session ? toMinutes(session.open) : 9 * 60 + 15;
+  const close = session ? toMinutes(session.close) : 15 * 60 + 30;
   if (minutesBeforeClose && close - total <= minutesBeforeClose) return false;
   if (minutesAfterOpen && total - open < minutesAfterOpen) return false;
   const dateStr = toISTDate(local);
@@ -310,9 +334,15 @@ export function validatePreExecution(signal, market) {
     stopLoss: signal.stopLoss,
     target: signal.target2,
     winrate: market.winrate || 0,
-    slippage: signal.slippage ?? market.slippage ?? fr.defaultSlippage ?? 0,
+    // Slippage measured on past fills of this symbol is a floor
+    slippage: Math.max(
+      signal.slippage ?? market.slippage ?? fr.defaultSlippage ?? 0,
+      measuredSlippage(signal.stock || signal.symbol) ?? 0
+    ),
     spread: signal.spread ?? market.spread ?? 0,
     costBuffer: market.costBuffer ?? fr.costBuffer ?? 1,
+    qty: signal.qty,
+    product: signal.product ?? market.product,
   });
   if (!rrInfo.valid) {
     console.log(
@@ -1,6 +1,12 @@
 // scanner.js
 
-import { computeFeatures, resetIndicatorCache } from "./featureEngine.js";
+import { resetIndicatorCache } from "./featureEngine.js";
+import { candleTime } from "./indicatorStreams.js";
+import {
+  evaluateCandidate,
+  isCurrentEvaluation,
+  strategyContext,
+} from "./candidateEvaluator.js";
 import {
   debounceSignal,
   calculateExpiryMinutes,
@@ -11,7 +17,6 @@ import {
   isAtrStable,
   isAwayFromConsolidation,
   sanitizeCandles,
-  toSpreadPct,
 } from "./util.js";
 
 import {
@@ -19,10 +24,9 @@ import {
   getHistoricalData,
   getTokenForSymbol,
 } from "./kite.js";
-import { evaluateAllStrategies } from "./strategyEngine.js";
-import { evaluateStrategies } from "./strategies.js";
+import { DEFAULT_CONFIG } from "./strategies.js";
 import { RISK_REWARD_RATIO, calculatePositionSize } from "./positionSizing.js";
-import { isSignalValid, riskState } from "./riskEngine.js";
+import { isSignalValid, riskState, createRiskState } from "./riskEngine.js";
 import { riskDefaults } from "./riskConfig.js";
 import {
   openPositions,
@@ -36,13 +40,19 @@ import {
 } from "./smartStrategySelector.js";
 import { signalQualityScore, applyPenaltyConditions } from "./confidence.js";
 import { sendToExecution } from "./orderExecution.js";
+import { fnoTranslator, getFnoConfig } from "./derivatives.js";
+import { tradingCalendar } from "./tradingCalendar.js";
 import { initAccountBalance, getAccountBalance } from "./account.js";
 import { calculateRequiredMargin } from "./util.js";
 import { getAutoTradingConfig } from "./autoTrader.js";
 import { buildSignal } from "./signalBuilder.js";
 import { getSector } from "./sectors.js";
 import { recordSectorSignal } from "./sectorSignals.js";
+import { sectorStrength } from "./sectorStrength.js";
+import { eventCalendar } from "./eventCalendar.js";
+import { timeframeEngine } from "./timeframes.js";
 import { logSignalRejected } from "./auditLogger.js";
+import { createCandidateTrace, stageForRiskRule } from "./candidateTrace.js";
 // 📊 Signal history tracking
 const signalHistory = {};
 let accountBalance = 0;
@@ -59,6 +69,35 @@ const SECTOR_CAPS = {
 };
 
 // 🚦 Risk control state
+// Rejections that come from the primary account's own book (losses, open
+// positions, trade counts, its sizing) rather than from the signal itself
+const ACCOUNT_STATE_RULES = new Set([
+  "systemPaused",
+  "tooManySimultaneousSignals",
+  "maxSignalsPerDay",
+  "volatilityThrottle",
+  "signalFloodThrottle",
+  "maxDailyLoss",
+  "maxDailyLossPct",
+  "maxCumulativeLoss",
+  "maxWeeklyDrawdown",
+  "maxMonthlyDrawdown",
+  "equityDrawdown",
+  "maxDailyRisk",
+  "maxTradesPerDay",
+  "maxLossStreak",
+  "cooloffAfterLoss",
+  "maxOpenPositions",
+  "preventOverlap",
+  "positionConflict",
+  "resolveConflictBlocked",
+  "strategyCooldown",
+  "maxTradesPerInstrument",
+  "maxTradesPerSector",
+  "minTradeValue",
+  "maxTradeValue",
+]);
+
 // ⚙️ Scanner mode toggle
 const MODE = "relaxed"; // Options: "strict" | "relaxed"
 const FILTERS = {
@@ -73,8 +112,152 @@ const FILTERS = {
   maxSpreadPct: MODE === "strict" ? 0.3 : 0.5,
 };
 
+// Runtime FILTERS overrides from configService (admin edits).
+let runtimeFilters = {};
+
+export function applyScannerConfig(overrides = {}) {
+  runtimeFilters = { ...overrides };
+  return effectiveFilters();
+}
+
+// Tuned overrides for FILTERS and the strategy DEFAULT_CONFIG, written by the
+// walk-forward optimizer to the versioned `strategy_configs` collection.
+let activeStrategyConfig = { version: null, filters: {}, strategy: {} };
+
+// Admin edits win over the optimizer's tuned values, which win over FILTERS
+function effectiveFilters() {
+  return { ...FILTERS, ...activeStrategyConfig.filters, ...runtimeFilters };
+}
+
+export function applyStrategyConfig(doc = {}) {
+  activeStrategyConfig = {
+    version: doc?.version ?? null,
+    filters: { ...(doc?.filters || {}) },
+    strategy: { ...(doc?.strategy || {}) },
+  };
+  return getActiveStrategyConfig();
+}
+
+export function getActiveStrategyConfig() {
+  return {
+    version: activeStrategyConfig.version,
+    filters: effectiveFilters(),
+    strategy: { ...DEFAULT_CONFIG, ...activeStrategyConfig.strategy },
+  };
+}
+
+/**
+ * Load the active optimizer config (or a pinned version) and apply it.
+ * Falls back to the built-in FILTERS / DEFAULT_CONFIG when none is stored.
+ * @param {Object} database - Mongo Db handle
+ * @param {Object} [opts]
+ * @param {number} [opts.version] - Load this version instead of the active one
+ */
+export async function loadActiveStrategyConfig(database, opts = {}) {
+  try {
+    const version = Number(opts.version ?? process.env.STRATEGY_CONFIG_VERSION);
+    const query = Number.isFinite(version) && version > 0 ? { version } : { active: true };
+    const doc = await database
+      .collection("strategy_configs")
+      .findOne(query, { sort: { version: -1 } });
+    if (doc) {
+      console.log(`[INIT] Strategy config v${doc.version} loaded`);
+    }
+    return applyStrategyConfig(doc || {});
+  } catch (err) {
+    logError("loadActiveStrategyConfig", err);
+    return getActiveStrategyConfig();
+  }
+}
+
 let lastFeatureSeriesKey = null;
 
+// Event windows are checked at the bar's time, so backtests and replays see
+// the calendar as it was then; undefined falls back to the calendar's clock
+function barTime(candles) {
+  const ts = new Date(candles?.at(-1)?.timestamp ?? NaN).getTime();
+  return Number.isFinite(ts) ? ts : undefined;
+}
+
+/**
+ * Everything candidateEvaluator needs besides the candles, gathered on the
+ * main thread so the evaluation itself can run in a worker.
+ * @param {Object[]} candles - 1m history, oldest first
+ * @param {string} symbol
+ * @param {Object} [opts] - market inputs as passed to analyzeCandles, plus
+ *   `token` and an already computed `events` context
+ */
+export async function buildEvaluationJob(
+  candles,
+  symbol,
+  {
+    token,
+    depth = null,
+    totalBuy = 0,
+    totalSell = 0,
+    spread = 0,
+    liquidity = 0,
+    liveTick = null,
+    events,
+    overrideStrategyConfig = {},
+  } = {}
+) {
+  let tokenStr = token ?? null;
+  if (token === undefined) {
+    const tokenNum = await getTokenForSymbol(symbol);
+    tokenStr = tokenNum !== undefined && tokenNum !== null ? String(tokenNum) : null;
+  }
+  const dailyHistory = tokenStr ? await getHistoricalData(tokenStr) : [];
+  // Locally rolled-up higher-timeframe bars (no Kite historical calls)
+  const timeframes = tokenStr
+    ? timeframeEngine.snapshot(tokenStr, ["5m", "15m", "60m"])
+    : {};
+  const { support, resistance } = await getSupportResistanceLevels(symbol);
+  return {
+    key: tokenStr ?? symbol ?? null,
+    symbol,
+    candles: sanitizeCandles(candles),
+    strategyConfig: {
+      ...DEFAULT_CONFIG,
+      ...activeStrategyConfig.strategy,
+      ...overrideStrategyConfig,
+    },
+    inputs: {
+      depth,
+      liveTick,
+      spread,
+      liquidity,
+      totalBuy,
+      totalSell,
+      dailyHistory,
+      timeframes,
+      benchmarkCloses:
+        marketContext?.benchmarkCloses?.[symbol] ??
+        marketContext?.benchmark?.[symbol] ??
+        marketContext?.benchmarks?.[symbol] ??
+        null,
+      events: events ?? eventCalendar.contextFor(symbol, barTime(candles)),
+      support,
+      resistance,
+      regime: marketContext?.regime,
+      accountBalance,
+      riskPerTradePercentage,
+    },
+  };
+}
+
+function isCurrentJob(job, symbol, candles, overrideStrategyConfig) {
+  if (!job || job.symbol !== symbol || !job.candles?.length) return false;
+  if (Object.keys(overrideStrategyConfig ?? {}).length) return false;
+  const last = candles.at(-1);
+  const jobLast = job.candles.at(-1);
+  return (
+    job.candles.length === candles.length &&
+    candleTime(jobLast) === candleTime(last) &&
+    jobLast.close === last.close
+  );
+}
+
 function logError(context, err) {
   console.error(
     `[${new Date().toISOString()}] ❌ [${context}] ${err?.message || err}`
@@ -91,12 +274,19 @@ export async function analyzeCandles(
   spread = 0,
   liquidity = 0,
   liveTick = null,
-  overrideFilters = {}
+  overrideFilters = {},
+  overrideStrategyConfig = {},
+  { job: preparedJob = null, evaluation = null, replay = false, onAccountSignal = null } = {}
 ) {
+  let trace = null;
+  // Set when only the primary account's limits block the signal; it is then
+  // built in full and handed to onAccountSignal instead of being returned
+  let primaryBlock = null;
   try {
-    const filters = { ...FILTERS, ...overrideFilters };
+    const filters = { ...effectiveFilters(), ...overrideFilters };
 
     if (!Array.isArray(candles) || candles.length === 0) return null;
+    trace = createCandidateTrace(symbol);
 
     const today = new Date().getDate();
     if (riskState.lastResetDay !== today) {
@@ -105,59 +295,100 @@ export async function analyzeCandles(
       riskState.lastResetDay = today;
     }
 
-    const dailyLossLimit = Number.isFinite(riskDefaults.maxDailyLoss)
-      ? riskDefaults.maxDailyLoss
+    const riskLimits = { ...riskDefaults, ...riskState.overrides };
+    const dailyLossLimit = Number.isFinite(riskLimits.maxDailyLoss)
+      ? riskLimits.maxDailyLoss
       : 500;
-    const lossStreakLimit = Number.isFinite(riskDefaults.maxLossStreak)
-      ? riskDefaults.maxLossStreak
+    const lossStreakLimit = Number.isFinite(riskLimits.maxLossStreak)
+      ? riskLimits.maxLossStreak
       : 3;
+    const riskLimitInputs = {
+      dailyLoss: riskState.dailyLoss,
+      dailyLossLimit,
+      consecutiveLosses: riskState.consecutiveLosses,
+      lossStreakLimit,
+    };
     if (
       (dailyLossLimit > 0 && riskState.dailyLoss >= dailyLossLimit) ||
       (lossStreakLimit > 0 && riskState.consecutiveLosses >= lossStreakLimit)
     ) {
       console.log(`[RISK BLOCK] Skipping ${symbol}`);
-      return null;
+      const rule =
+        dailyLossLimit > 0 && riskState.dailyLoss >= dailyLossLimit
+          ? "dailyLossLimit"
+          : "lossStreakLimit";
+      if (!onAccountSignal) {
+        await trace.reject("risk", rule, riskLimitInputs);
+        return null;
+      }
+      primaryBlock = { stage: "risk", rule, inputs: riskLimitInputs };
+    } else {
+      trace.pass("risk", "sessionLimits", riskLimitInputs);
     }
 
     const cleanCandles = sanitizeCandles(candles);
-    if (cleanCandles.length < 5) return null;
-    const benchmarkCloses =
-      marketContext?.benchmarkCloses?.[symbol] ??
-      marketContext?.benchmark?.[symbol] ??
-      marketContext?.benchmarks?.[symbol] ??
-      null;
+    sectorStrength.update(symbol, cleanCandles);
+
+    // RBI policy, budget, results etc.: `block` windows stop here, `tighten`
+    // windows size down further on
+    const eventContext = eventCalendar.contextFor(symbol, barTime(cleanCandles));
+    if (eventContext.blocked) {
+      const [event] = eventContext.blocking;
+      await trace.reject("event", "eventWindow", {
+        type: event.type,
+        date: event.date,
+        phase: event.phase,
+        until: new Date(event.end).toISOString(),
+      });
+      return null;
+    }
+    trace.pass("event", "eventWindow", {
+      active: eventContext.active.map((e) => e.type),
+    });
+    if (cleanCandles.length < 5) {
+      await trace.reject("filter", "minCandles", {
+        candles: candles.length,
+        clean: cleanCandles.length,
+        min: 5,
+      });
+      return null;
+    }
     const seriesKey = symbol ? `${symbol}:primary` : null;
     if (seriesKey && seriesKey !== lastFeatureSeriesKey) {
       resetIndicatorCache();
       lastFeatureSeriesKey = seriesKey;
     }
-    const features = computeFeatures(cleanCandles, {
-      seriesKey,
-      supertrendSettings: { atrLength: 10, multiplier: 3 },
-      only: [
-        "ema9",
-        "ema21",
-        "ema50",
-        "ema200",
-        "rsi",
-        "atr",
-        "macd",
-        "macdHist",
-        "ttmSqueeze",
-        "zScore",
-        "rvol",
-        "vwap",
-      ],
-      benchmarkCloses,
-      rsLookback: 20,
-    });
-    if (!features) return null;
-
     const tokenNum = await getTokenForSymbol(symbol);
     const tokenStr =
       tokenNum !== undefined && tokenNum !== null ? String(tokenNum) : null;
-    const dailyHistory = tokenStr ? await getHistoricalData(tokenStr) : [];
-    const sessionData = cleanCandles;
+    // Reuse the caller's job (already built for the evaluation workers)
+    // unless the candles moved on or the strategy config is overridden
+    const job = isCurrentJob(preparedJob, symbol, cleanCandles, overrideStrategyConfig)
+      ? preparedJob
+      : await buildEvaluationJob(cleanCandles, symbol, {
+          token: tokenStr,
+          depth,
+          totalBuy,
+          totalSell,
+          spread,
+          liquidity,
+          liveTick,
+          events: eventContext,
+          overrideStrategyConfig,
+        });
+    // Features and strategy results come from an evaluation worker when the
+    // caller has a current one; otherwise they are computed here
+    const { features, stratResults, altStrategies } = isCurrentEvaluation(
+      evaluation,
+      job.candles
+    )
+      ? evaluation
+      : evaluateCandidate(job, { seriesKey });
+    if (!features) {
+      await trace.reject("filter", "features", { candles: cleanCandles.length });
+      return null;
+    }
+    const { dailyHistory, support, resistance } = job.inputs;
 
     const {
       ema9,
@@ -176,25 +407,7 @@ export async function analyzeCandles(
       volatilityClass,
     } = features;
     const last = cleanCandles.at(-1);
-    const lastVol = (last && (last.volume ?? last.v ?? last.qty)) ?? 0;
-    const effectiveLiquidity = liquidity || avgVolume || lastVol || 0;
-    const spreadPct = toSpreadPct(spread, last?.close);
-    const context = {
-      symbol,
-      candles: cleanCandles,
-      features,
-      depth,
-      tick: liveTick,
-      spread,
-      spreadPct,
-      liquidity: effectiveLiquidity,
-      totalBuy,
-      totalSell,
-      dailyHistory,
-      sessionCandles: sessionData,
-      benchmarkCloses,
-      rsLookback: 20,
-    };
+    const { liquidity: effectiveLiquidity } = strategyContext(job, features);
     let dailyRangePct = 0;
     if (Array.isArray(dailyHistory) && dailyHistory.length) {
       const d = dailyHistory[dailyHistory.length - 1];
@@ -223,7 +436,10 @@ export async function analyzeCandles(
       Number.isFinite(expiryMinutesRaw) && expiryMinutesRaw > 0
         ? expiryMinutesRaw
         : 5;
-    const expiresAtDate = new Date(Date.now() + expiryMinutes * 60 * 1000);
+    // A signal never outlives the session it was generated in (half days, muhurat)
+    const expiresAtDate = new Date(
+      tradingCalendar.clampToSessionEnd(Date.now() + expiryMinutes * 60 * 1000)
+    );
     const expiresAt = expiresAtDate.toISOString();
 
     const isUptrend = ema9 > ema21 && ema21 > ema50;
@@ -242,40 +458,27 @@ export async function analyzeCandles(
       const ultraLowAtr = atrPct < 0.1;
       if (inNoMoRSI && ultraLowAtr) {
         console.log(`[SKIP] ${symbol} - No momentum (RSI 47–53 & ATR<0.10%)`);
+        await trace.reject("filter", "noMomentum", { rsi, atrPct });
         return null;
       }
     }
+    trace.pass("filter", "momentum", { rsi, atrPct });
 
-    const { support, resistance } = await getSupportResistanceLevels(symbol);
     const upperCircuit = liveTick?.upper_circuit_limit;
     const lowerCircuit = liveTick?.lower_circuit_limit;
 
-    const stratResults = evaluateAllStrategies({
-      ...context,
-      expiresAt,
-      support,
-      resistance,
-      atr: atrValue,
-      accountBalance,
-      riskPerTradePercentage,
-    });
-    const altStrategies = evaluateStrategies(
-      cleanCandles,
-      {
-        atr: atrValue,
-        rvol,
-        avgVolume,
-        regime: marketContext?.regime,
-        spreadPct,
-        features,
-        benchmarkCloses,
-        rsLookback: 20,
-      },
-      { topN: 1, atr: atrValue }
-    );
     const filtered = filterStrategiesByRegime(stratResults, marketContext);
     const basePick = (filtered.length ? filtered : stratResults)[0];
-    if (!basePick) return null;
+    const strategyInputs = {
+      evaluated: stratResults.length,
+      regimeFiltered: filtered.length,
+      regime: marketContext?.regime ?? null,
+      alternative: altStrategies?.[0]?.name ?? null,
+    };
+    if (!basePick) {
+      await trace.reject("strategy", "noStrategy", strategyInputs);
+      return null;
+    }
     const base = { ...basePick };
 
     const primaryStrategy = basePick?.strategy || "unknown";
@@ -289,9 +492,19 @@ export async function analyzeCandles(
       displayStrategy && displayStrategy !== primaryStrategy
         ? displayStrategy
         : base.strategyCategory || primaryStrategy;
+    trace.pass("strategy", "strategySelected", {
+      ...strategyInputs,
+      strategy: displayStrategy,
+    });
+    trace.annotate({ strategy: displayStrategy, direction: base.direction });
 
     // Debounce logic now that strategy name is known
     const conflictWindow = 3 * 60 * 1000;
+    const debounceInputs = {
+      direction: base.direction,
+      strategy: primaryStrategy,
+      windowMs: conflictWindow,
+    };
     if (
       !debounceSignal(
         signalHistory,
@@ -300,8 +513,11 @@ export async function analyzeCandles(
         primaryStrategy,
         conflictWindow
       )
-    )
+    ) {
+      await trace.reject("filter", "debounce", debounceInputs);
       return null;
+    }
+    trace.pass("filter", "debounce", debounceInputs);
     // Step 5: Risk filter on raw strategy output
     // Preliminary signal for risk validation (no sizing or meta info)
     const preliminary = {
@@ -356,6 +572,10 @@ export async function analyzeCandles(
         entry: base.entry,
         sl: base.stopLoss,
       });
+      await trace.reject("validator", "invalidBaseRisk", {
+        entry: base.entry,
+        stopLoss: base.stopLoss,
+      });
       return null;
     }
 
@@ -484,6 +704,10 @@ export async function analyzeCandles(
     if (riskReward > 2) qty = Math.floor(qty * 1.1);
     else if (riskReward < 1.2) qty = Math.floor(qty * 0.9);
     qty = Math.max(1, qty || 0);
+    if (eventContext.tightened) {
+      qty = Math.max(1, Math.floor(qty * eventContext.sizeFactor));
+      sizingDebug.eventSizeFactor = eventContext.sizeFactor;
+    }
     sizingDebug.signalQty = qty;
     const tradeValue =
       Number.isFinite(base.entry) && qty ? base.entry * qty : undefined;
@@ -514,11 +738,11 @@ export async function analyzeCandles(
     const priceSeries = cleanCandles
       .map((c) => (Number.isFinite(c?.close) ? c.close : null))
       .filter((v) => Number.isFinite(v));
-    const maxOpenPositions = Number.isFinite(riskDefaults.maxOpenPositions)
-      ? riskDefaults.maxOpenPositions
+    const maxOpenPositions = Number.isFinite(riskLimits.maxOpenPositions)
+      ? riskLimits.maxOpenPositions
       : MAX_OPEN_TRADES;
     const maxSpreadSlRatio =
-      riskDefaults.maxSpreadSLRatio ?? riskDefaults.maxSpreadSlRatio ?? 0.3;
+      riskLimits.maxSpreadSLRatio ?? riskLimits.maxSpreadSlRatio ?? 0.3;
 
     const riskCtx = {
       // Provide win-rate so RR validator can adjust for scalping/fade setups
@@ -538,20 +762,20 @@ export async function analyzeCandles(
       rsi,
       adx,
       requireMomentum: true,
-      maxATR: FILTERS.maxATR,
-      minVolatility: FILTERS.atrThreshold,
-      maxVolatility: FILTERS.maxATR,
+      maxATR: filters.maxATR,
+      minVolatility: filters.atrThreshold,
+      maxVolatility: filters.maxATR,
       dailyRangePct,
-      rangeSpikeThreshold: FILTERS.rangeSpike,
+      rangeSpikeThreshold: filters.rangeSpike,
       wickPct,
-      consolidationVolumeRatio: FILTERS.consolidationRatio,
+      consolidationVolumeRatio: filters.consolidationRatio,
       slippage,
-      maxSlippage: FILTERS.maxSlippage,
-      maxSpread: FILTERS.maxSpread,
-      maxSpreadPct: FILTERS.maxSpreadPct,
+      maxSlippage: filters.maxSlippage,
+      maxSpread: filters.maxSpread,
+      maxSpreadPct: filters.maxSpreadPct,
       maxSpreadSLRatio: maxSpreadSlRatio,
       minRR: RISK_REWARD_RATIO,
-      minLiquidity: effectiveLiquidity ? FILTERS.minLiquidity : 0,
+      minLiquidity: effectiveLiquidity ? filters.minLiquidity : 0,
       minVolumeRatio: 0.4,
       minVwapParticipation: 0.9,
       maxIndexVolatility: 20,
@@ -588,6 +812,21 @@ export async function analyzeCandles(
         typeof riskVerdict === "object"
           ? riskVerdict.reason
           : "riskValidationFail";
+      // Other accounts gate on their own books, so a signal stopped only by
+      // the primary's state is re-checked against an empty one for them
+      const signalOk =
+        Boolean(onAccountSignal) &&
+        ACCOUNT_STATE_RULES.has(reason) &&
+        isSignalValid(preliminary, {
+          ...riskCtx,
+          riskState: createRiskState(),
+          openPositionsCount: 0,
+          openPositionsMap: new Map(),
+          openSymbols: [],
+          hasPositionForSymbol: false,
+          tradeValue: undefined,
+          debugTrace: [],
+        })?.ok === true;
       const debugTrace =
         typeof riskVerdict === "object" && Array.isArray(riskVerdict.trace)
           ? riskVerdict.trace
@@ -598,20 +837,46 @@ export async function analyzeCandles(
         const reasonSummary = debugTrace.map((entry) => entry.code).join(", ");
         console.log(`[RISK] ${symbol} blocked: ${reasonSummary}`);
       }
-      try {
-        const rejectionCtx = debugTrace?.length
-          ? { ...riskCtx, debugTrace: [...debugTrace] }
-          : riskCtx;
-        await logSignalRejected(
-          `${symbol}-${Date.now()}`,
-          reason,
-          rejectionCtx,
-          preliminary
-        );
-      } catch (e) {
-        logError("logSignalRejected", e);
+      // Replayed bars stay out of the live audit log
+      if (!replay) {
+        try {
+          const rejectionCtx = debugTrace?.length
+            ? { ...riskCtx, debugTrace: [...debugTrace] }
+            : riskCtx;
+          await logSignalRejected(
+            `${symbol}-${Date.now()}`,
+            reason,
+            rejectionCtx,
+            preliminary
+          );
+        } catch (e) {
+          logError("logSignalRejected", e);
+        }
       }
-      return null;
+      const failed = debugTrace?.at(-1);
+      const rejection = {
+        ...(failed?.details || {}),
+        entry: preliminary.entry,
+        stopLoss: preliminary.stopLoss,
+        target: preliminary.target,
+        qty,
+        tradeValue,
+        openPositions: openPositions.size,
+        maxOpenPositions,
+      };
+      if (!signalOk) {
+        await trace.reject(stageForRiskRule(reason), reason, rejection);
+        return null;
+      }
+      primaryBlock = { stage: stageForRiskRule(reason), rule: reason, inputs: rejection };
+    } else {
+      trace.pass("risk", "isSignalValid", {
+        entry: preliminary.entry,
+        stopLoss: preliminary.stopLoss,
+        target: preliminary.target,
+        qty,
+        riskReward,
+      });
     }
 
     // Step 6: Position sizing already computed above; package for builders
@@ -715,13 +980,32 @@ export async function analyzeCandles(
     signal.confidence = penaltyAdjusted;
     signal.confidenceScore = penaltyAdjusted;
     signal.strategy = displayStrategy;
+    if (replay) signal.replay = true;
 
     const sector = getSector(symbol);
     recordSectorSignal(sector, signal.direction);
+    signal.sector = sector;
+    signal.sectorScore = sectorStrength.scoreFor(sector, signal.direction);
 
+    if (primaryBlock) {
+      await trace.reject(primaryBlock.stage, primaryBlock.rule, primaryBlock.inputs);
+      await onAccountSignal(signal);
+      return null;
+    }
+    await trace.accept({
+      signalId: signal.signalId ?? signal.algoSignal?.signalId,
+      strategy: displayStrategy,
+      direction: signal.direction,
+      entry: signal.entry,
+      stopLoss: signal.stopLoss,
+      target: signal.target2 ?? signal.target,
+      qty: signal.qty,
+      confidence: signal.confidence,
+    });
     return signal;
   } catch (err) {
     logError(`analyzeCandles for ${symbol}`, err);
+    await trace?.reject("error", "exception", { message: err?.message });
     return null;
   }
 }
@@ -757,6 +1041,7 @@ export async function rankAndExecute(signals = []) {
   const { refreshAccountBalance } = await import("./account.js");
   await refreshAccountBalance();
   accountBalance = getAccountBalance();
+  const activeFilters = effectiveFilters();
   // final pre-exec gate (uses robust spread% logic)
   const ok = validatePreExecution(top, {
     avgAtr: top.atr,
@@ -764,8 +1049,8 @@ export async function rankAndExecute(signals = []) {
     timeSinceSignal: 0,
     volume: top.liquidity ?? 0,
     currentPrice: top.entry,
-    maxSpread: FILTERS.maxSpread,
-    maxSpreadPct: FILTERS.maxSpreadPct,
+    maxSpread: activeFilters.maxSpread,
+    maxSpreadPct: activeFilters.maxSpreadPct,
     winrate:
       marketContext?.strategyWinrates?.[top.strategy] ??
       marketContext?.winrate ??
@@ -784,11 +1069,29 @@ export async function rankAndExecute(signals = []) {
     result.reason = "validation";
     return result;
   }
-  const requiredMargin = calculateRequiredMargin({
-    price: top.entry,
-    qty: top.qty,
-  });
-  const tradeValue = top.entry * top.qty;
+  // Express the spot signal as an option/futures order when F&O mode covers it
+  let order = top;
+  if (getFnoConfig().mode !== "off") {
+    const translated = await fnoTranslator.translate(top, {
+      capital: accountBalance,
+    });
+    if (translated.ok) {
+      order = translated.signal;
+    } else if (translated.reason !== "notEligible") {
+      console.log(
+        `[FNO] Could not translate ${top.stock || top.symbol}: ${translated.reason}`
+      );
+      result.reason = `fno:${translated.reason}`;
+      return result;
+    }
+  }
+  const requiredMargin =
+    order.margin ??
+    calculateRequiredMargin({
+      price: order.entry,
+      qty: order.qty,
+    });
+  const tradeValue = order.entry * order.qty;
   const sector = getSector(top.stock || top.symbol);
   const maxOpen =
     autoConfig.maxOpenTrades && autoConfig.maxOpenTrades > 0
@@ -813,13 +1116,13 @@ export async function rankAndExecute(signals = []) {
     return result;
   }
   if (accountBalance >= requiredMargin) {
-    const execution = await sendToExecution(top);
+    const execution = await sendToExecution(order);
     if (execution) {
       const label = top.pattern || top.strategy || top.strategyName || "signal";
       console.log(
-        `[AUTO-EXEC] Submitted ${top.stock || top.symbol} via ${label}`
+        `[AUTO-EXEC] Submitted ${order.stock || order.symbol} via ${label}`
       );
-      result.top = top;
+      result.top = order;
       result.orders = execution;
     } else {
       result.reason = "execution-failed";
@@ -4,12 +4,18 @@ import process from 'process';
 import { execSync } from 'child_process';
 import dayjs from 'dayjs';
 import { createBacktestClock } from '../src/backtest/clock.js';
+import { tradingCalendar } from '../tradingCalendar.js';
+import { corporateActions } from '../corporateActions.js';
+import { eventCalendar } from '../eventCalendar.js';
 import {
   computeDynamicExitPlan,
   evaluateExit,
   evaluateOnCandles,
+  scaleOutFromEnv,
+  takeScaleOut,
   updateDynamicExitPlan,
 } from '../src/backtest/engine.js';
+import { applyCosts, bookExitLeg, computeMetrics } from '../src/backtest/accounting.js';
 
 function parseArgs(argv = []) {
   const args = {};
@@ -24,6 +30,16 @@ function parseArgs(argv = []) {
   return args;
 }
 
+// Same scale-out settings as live orders; --scaleOut / --scaleOutAfter
+// override SCALE_OUT_PCT / SCALE_OUT_AFTER.
+function parseScaleOut(args = {}, env = process.env) {
+  return scaleOutFromEnv({
+    ...env,
+    ...(args.scaleOut != null ? { SCALE_OUT_PCT: args.scaleOut } : {}),
+    ...(args.scaleOutAfter ? { SCALE_OUT_AFTER: args.scaleOutAfter } : {}),
+  });
+}
+
 function normalizeCandle(c) {
   const ts = c.timestamp || c.date || c.time;
   return {
@@ -36,46 +52,6 @@ function normalizeCandle(c) {
   };
 }
 
-function applyCosts({ side, price, qty, slippageBps = 5, brokeragePerOrder = 20 }) {
-  const px = Number(price);
-  const slip = px * (slippageBps / 10_000);
-  const traded = side === 'buy' ? px + slip : px - slip;
-  const fees = brokeragePerOrder;
-  return { tradedPrice: traded, fees, notional: traded * qty };
-}
-
-function pnlForTrade(trade) {
-  if (trade.side === 'Long') {
-    return (trade.exitPrice - trade.entryPrice) * trade.qty - trade.totalFees;
-  }
-  return (trade.entryPrice - trade.exitPrice) * trade.qty - trade.totalFees;
-}
-
-function computeMetrics(trades = []) {
-  let equity = 0;
-  let peak = 0;
-  let maxDrawdown = 0;
-  let wins = 0;
-
-  for (const t of trades) {
-    equity += t.pnl;
-    if (equity > peak) peak = equity;
-    const dd = peak - equity;
-    if (dd > maxDrawdown) maxDrawdown = dd;
-    if (t.pnl > 0) wins += 1;
-  }
-
-  return {
-    trades: trades.length,
-    wins,
-    losses: trades.length - wins,
-    winRate: trades.length ? wins / trades.length : 0,
-    netPnl: equity,
-    maxDrawdown,
-    avgPnl: trades.length ? equity / trades.length : 0,
-  };
-}
-
 async function loadCandles(db, { token, symbol }) {
   const hist = (await db.collection('historical_session_data').findOne({})) || {};
   const live = (await db.collection('session_data').findOne({})) || {};
@@ -95,18 +71,188 @@ async function loadCandles(db, { token, symbol }) {
     rows = fromCandles;
   }
 
-  return rows.map(normalizeCandle).filter((c) => Number.isFinite(c.close));
+  // Bars stamped on exchange holidays are bad data (or a muhurat-only day the
+  // strategy should not treat as a regular session); drop them up front.
+  // Stored prices are raw, so back-adjust across corporate actions.
+  const candles = rows
+    .map(normalizeCandle)
+    .filter((c) => Number.isFinite(c.close) && tradingCalendar.isTradingDay(c.timestamp.getTime()));
+  return corporateActions.adjust(symbol || token, candles);
+}
+
+function buildConfigSnapshot(clock, seed) {
+  const gitCommit = execSync('git rev-parse HEAD').toString().trim();
+  const envSnapshot = {
+    DB_NAME: process.env.DB_NAME,
+    RISK_DEBUG: process.env.RISK_DEBUG,
+    MAX_OPEN_TRADES: process.env.MAX_OPEN_TRADES,
+    NODE_ENV: process.env.NODE_ENV,
+  };
+  return {
+    env: envSnapshot,
+    gitCommit,
+    seed,
+    generatedAt: dayjs(clock.now()).toISOString(),
+  };
+}
+
+async function saveRun(db, output) {
+  await db.collection('bt_runs').insertOne(output);
+  const outDir = path.join(process.cwd(), 'bt_output');
+  fs.mkdirSync(outDir, { recursive: true });
+  const outFile = path.join(outDir, `${output.runId}.json`);
+  fs.writeFileSync(outFile, JSON.stringify(output, null, 2));
+  console.log(`Backtest completed: ${outFile}`);
+}
+
+async function resolveUniverse(db, args) {
+  let symbols = args.symbols ? args.symbols.split(',') : [];
+  if (!symbols.length) {
+    const doc = await db.collection('stock_symbols').findOne({});
+    symbols = doc?.symbols || [];
+  }
+  const { ensureLoad, getTokenForSymbol } = await import('../mapping.js');
+  const { getSector, loadSectorMap } = await import('../sectors.js');
+  await ensureLoad(db).catch(() => {});
+  await loadSectorMap({ database: db }).catch(() => {});
+  return symbols.map((raw) => {
+    const symbol = raw.trim().includes(':') ? raw.trim() : `NSE:${raw.trim()}`;
+    return {
+      symbol,
+      token: getTokenForSymbol(symbol) ?? null,
+      sector: getSector(symbol.split(':').pop()),
+    };
+  });
+}
+
+async function loadUniverse(db, args) {
+  const start = args.start ? new Date(args.start) : null;
+  const end = args.end ? new Date(args.end) : null;
+  const universe = [];
+  for (const entry of await resolveUniverse(db, args)) {
+    let candles = await loadCandles(db, entry);
+    if (start) candles = candles.filter((c) => c.timestamp >= start);
+    if (end) candles = candles.filter((c) => c.timestamp <= end);
+    if (candles.length < 60) {
+      console.warn(`Skipping ${entry.symbol}: not enough candles`);
+      continue;
+    }
+    universe.push({ ...entry, candles });
+  }
+  if (!universe.length) throw new Error('No symbols with enough candles');
+  return universe;
+}
+
+async function runPortfolio(db, args) {
+  const seed = Number(args.seed || 42);
+  const universe = await loadUniverse(db, args);
+  const { runPortfolioBacktest } = await import('../src/backtest/portfolio.js');
+  const clock = createBacktestClock(0);
+  const result = await runPortfolioBacktest({
+    universe,
+    clock,
+    capital: Number(args.capital || 100000),
+    riskPerTrade: Number(args.risk || 0.01),
+    maxOpenPositions: Number(args.maxOpen || process.env.MAX_OPEN_TRADES || 0),
+    costs: { product: args.product || 'MIS' },
+    scaleOut: parseScaleOut(args),
+  });
+  await saveRun(db, {
+    runId: `bt_portfolio_${Date.now()}`,
+    seed,
+    ...result,
+    configSnapshot: buildConfigSnapshot(clock, seed),
+  });
+}
+
+function parseSpace(raw) {
+  if (!raw) throw new Error('--space is required for --mode optimize');
+  const text = fs.existsSync(raw) ? fs.readFileSync(raw, 'utf8') : raw;
+  return JSON.parse(text);
+}
+
+async function runOptimize(db, args) {
+  const seed = Number(args.seed || 42);
+  const universe = await loadUniverse(db, args);
+  const { runWalkForward, saveStrategyConfig } = await import('../src/backtest/optimizer.js');
+  const clock = createBacktestClock(0);
+  const result = await runWalkForward({
+    universe,
+    space: parseSpace(args.space),
+    search: args.search || 'grid',
+    samples: Number(args.samples || 20),
+    seed,
+    inSampleDays: Number(args.is || 20),
+    outSampleDays: Number(args.oos || 5),
+    stepDays: args.step ? Number(args.step) : undefined,
+    objective: args.objective || 'sharpe',
+    minTrades: Number(args.minTrades || 1),
+    backtest: {
+      clock,
+      capital: Number(args.capital || 100000),
+      riskPerTrade: Number(args.risk || 0.01),
+      maxOpenPositions: Number(args.maxOpen || process.env.MAX_OPEN_TRADES || 0),
+      costs: { product: args.product || 'MIS' },
+      scaleOut: parseScaleOut(args),
+    },
+    onProgress: ({ window, windows, set, sets }) =>
+      console.log(`window ${window + 1}/${windows} set ${set + 1}/${sets}`),
+  });
+  const runId = `bt_optimize_${Date.now()}`;
+  for (const r of result.results) {
+    const i = r.inSample;
+    const o = r.outSample;
+    console.log(
+      `#${r.id} picked=${r.windowsSelected}/${result.windows.length} IS sharpe=${i.sharpe.toFixed(2)} ` +
+        `OOS sharpe=${o.sharpe.toFixed(2)} winRate=${(o.winRate * 100).toFixed(1)}% ` +
+        `maxDD=${(o.maxDrawdownPct * 100).toFixed(2)}% trades=${o.trades} ${JSON.stringify(r.params)}`
+    );
+  }
+  const wf = result.walkForward;
+  console.log(
+    `Walk-forward OOS sharpe=${wf.sharpe.toFixed(2)} winRate=${(wf.winRate * 100).toFixed(1)}% ` +
+      `maxDD=${(wf.maxDrawdownPct * 100).toFixed(2)}% trades=${wf.trades}`
+  );
+  let saved = null;
+  if (result.best) {
+    saved = await saveStrategyConfig(
+      db,
+      result.best,
+      { runId, symbols: universe.map((u) => u.symbol), objective: result.objective },
+      { activate: args.activate === 'true' }
+    );
+    console.log(`Saved strategy config v${saved.version}${saved.active ? ' (active)' : ''}`);
+  } else {
+    console.warn('No parameter set met --minTrades in sample; nothing saved');
+  }
+  await saveRun(db, {
+    runId,
+    seed,
+    ...result,
+    configVersion: saved?.version ?? null,
+    configSnapshot: buildConfigSnapshot(clock, seed),
+  });
 }
 
 async function main() {
   const args = parseArgs(process.argv.slice(2));
+  // Scanner candidate traces are for the live dashboard, not backtests.
+  const { setCandidateTracing } = await import('../candidateTrace.js');
+  setCandidateTracing(false);
+  const { default: db } = await import('../db.js');
+  await tradingCalendar.load({ database: db });
+  await corporateActions.load({ database: db });
+  // Event windows block or tighten entries as they do live
+  await eventCalendar.load({ database: db });
+  if (args.mode === 'portfolio') return runPortfolio(db, args);
+  if (args.mode === 'optimize') return runOptimize(db, args);
   const symbol = args.symbol || 'NSE:ADANIENT';
   const token = args.token || null;
   const seed = Number(args.seed || 42);
+  const product = args.product || 'MIS';
   const start = args.start ? new Date(args.start) : null;
   const end = args.end ? new Date(args.end) : null;
 
-  const { default: db } = await import('../db.js');
   let candles = await loadCandles(db, { token, symbol });
   if (start) candles = candles.filter((c) => c.timestamp >= start);
   if (end) candles = candles.filter((c) => c.timestamp <= end);
@@ -116,6 +262,7 @@ async function main() {
   const trades = [];
   let openTrade = null;
   const lookback = 60;
+  const scaleOut = parseScaleOut(args);
 
   for (let i = lookback; i < candles.length; i += 1) {
     const candle = candles[i];
@@ -124,14 +271,18 @@ async function main() {
     if (openTrade) {
       updateDynamicExitPlan(openTrade.plan, candle);
       const exitHit = evaluateExit(openTrade.plan, candle);
-      if (exitHit) {
-        const sellSide = openTrade.side === 'Long' ? 'sell' : 'buy';
-        const exec = applyCosts({ side: sellSide, price: exitHit.exit, qty: openTrade.qty });
-        openTrade.exitPrice = exec.tradedPrice;
-        openTrade.exitAt = candle.timestamp;
-        openTrade.exitReason = exitHit.reason;
-        openTrade.totalFees += exec.fees;
-        openTrade.pnl = pnlForTrade(openTrade);
+      if (exitHit?.partial) {
+        bookExitLeg(openTrade, {
+          price: exitHit.exit,
+          qty: openTrade.plan.scaleOut.qty,
+          reason: exitHit.reason,
+          at: candle.timestamp,
+          costs: { product },
+        });
+        takeScaleOut(openTrade.plan, exitHit.exit);
+      } else if (exitHit) {
+        bookExitLeg(openTrade, { price: exitHit.exit, reason: exitHit.reason, at: candle.timestamp, costs: { product } });
+        delete openTrade.plan;
         trades.push(openTrade);
         openTrade = null;
       }
@@ -141,11 +292,11 @@ async function main() {
       const history = candles.slice(i - lookback, i + 1);
       const signal = await evaluateOnCandles({ candles: history, symbol });
       if (signal?.entry && signal?.stopLoss) {
-        const plan = computeDynamicExitPlan(signal, { atr: signal.atr, targetRR: 2 });
+        const qty = Number(args.qty || 1);
+        const plan = computeDynamicExitPlan(signal, { atr: signal.atr, targetRR: 2, qty, scaleOut });
         if (plan) {
-          const qty = Number(args.qty || 1);
           const buySide = signal.direction === 'Long' ? 'buy' : 'sell';
-          const exec = applyCosts({ side: buySide, price: signal.entry, qty });
+          const exec = applyCosts({ side: buySide, price: signal.entry, qty, product });
           openTrade = {
             symbol,
             side: signal.direction,
@@ -163,16 +314,10 @@ async function main() {
 
   const metrics = computeMetrics(trades);
   const runId = `bt_${Date.now()}`;
-  const gitCommit = execSync('git rev-parse HEAD').toString().trim();
-  const envSnapshot = {
-    DB_NAME: process.env.DB_NAME,
-    RISK_DEBUG: process.env.RISK_DEBUG,
-    MAX_OPEN_TRADES: process.env.MAX_OPEN_TRADES,
-    NODE_ENV: process.env.NODE_ENV,
-  };
 
   const output = {
     runId,
+    mode: 'single',
     symbol,
     token,
     seed,
@@ -180,20 +325,10 @@ async function main() {
     endedAt: candles[candles.length - 1]?.timestamp,
     metrics,
     trades,
-    configSnapshot: {
-      env: envSnapshot,
-      gitCommit,
-      seed,
-      generatedAt: dayjs(clock.now()).toISOString(),
-    },
+    configSnapshot: buildConfigSnapshot(clock, seed),
   };
 
-  await db.collection('bt_runs').insertOne(output);
-  const outDir = path.join(process.cwd(), 'bt_output');
-  fs.mkdirSync(outDir, { recursive: true });
-  const outFile = path.join(outDir, `${runId}.json`);
-  fs.writeFileSync(outFile, JSON.stringify(output, null, 2));
-  console.log(`Backtest completed: ${outFile}`);
+  await saveRun(db, output);
 }
 
 if (import.meta.url === `file://${process.argv[1]}`) {
@@ -203,4 +338,4 @@ if (import.meta.url === `file://${process.argv[1]}`) {
   });
 }
 
-export { applyCosts, computeMetrics, parseArgs, pnlForTrade };
+export { parseArgs, parseScaleOut };
@@ -0,0 +1,192 @@
+// sectorStrength.js
+// Per-sector relative strength and breadth from the intraday candles the
+// scanner already sees. Each symbol contributes its move since the session
+// open and whether it trades above its 50-bar average; sectors are compared
+// against the whole tracked universe. Rank changes between snapshots are
+// reported as rotation events.
+import { getSector as defaultGetSector } from './sectors.js';
+import { istDate } from './tradingCalendar.js';
+import { ensureClock } from './src/backtest/clock.js';
+
+const DEFAULTS = {
+  minMembers: 2, // sectors with fewer live symbols score neutral
+  smaPeriod: 50,
+  rsScalePct: 1, // relative strength (in %) that maps to a full score swing
+  leaders: 3, // top-N sectors that count as "leading" for rotation events
+  staleMs: 15 * 60 * 1000,
+};
+
+const clamp01 = (v) => Math.max(0, Math.min(1, v));
+
+function ts(candle) {
+  const t = candle?.timestamp ?? candle?.date ?? candle?.time;
+  return t instanceof Date ? t.getTime() : typeof t === 'number' ? t : Date.parse(t);
+}
+
+/**
+ * Summary stats for one symbol's candles (oldest first).
+ * @returns {{changePct:number, aboveSma:boolean|null, close:number}|null}
+ */
+export function symbolStats(candles = [], { smaPeriod = DEFAULTS.smaPeriod } = {}) {
+  if (!Array.isArray(candles) || !candles.length) return null;
+  const last = candles[candles.length - 1];
+  const close = Number(last.close);
+  if (!Number.isFinite(close)) return null;
+
+  // Move since the first bar of the last candle's session day
+  const lastTs = ts(last);
+  const day = Number.isFinite(lastTs) ? istDate(lastTs) : null;
+  let first = candles[0];
+  if (day) {
+    first = candles.find((c) => Number.isFinite(ts(c)) && istDate(ts(c)) === day) || first;
+  }
+  const open = Number(first.open ?? first.close);
+  const changePct = open > 0 ? ((close - open) / open) * 100 : 0;
+
+  let aboveSma = null;
+  const window = candles.slice(-smaPeriod);
+  if (window.length >= Math.min(smaPeriod, 20)) {
+    const sma = window.reduce((s, c) => s + Number(c.close), 0) / window.length;
+    aboveSma = close > sma;
+  }
+  return { changePct, aboveSma, close };
+}
+
+/**
+ * @param {Object} [options]
+ * @param {Function} [options.getSector]
+ * @param {Object} [options.clock]
+ * @param {Object} [options.config] - overrides for DEFAULTS
+ */
+export function createSectorStrengthEngine(options = {}) {
+  const clock = ensureClock(options.clock);
+  const getSector = options.getSector || defaultGetSector;
+  const config = { ...DEFAULTS, ...options.config };
+  const latest = new Map(); // symbol -> { sector, changePct, aboveSma, updatedAt }
+  let lastRanks = new Map();
+  let lastSnapshot = null;
+
+  function update(symbol, candles) {
+    const stats = symbolStats(candles, config);
+    if (!symbol || !stats) return null;
+    const entry = { symbol, sector: getSector(symbol), ...stats, updatedAt: clock.now() };
+    latest.set(symbol, entry);
+    return entry;
+  }
+
+  function fresh() {
+    const cutoff = clock.now() - config.staleMs;
+    return [...latest.values()].filter((e) => e.updatedAt >= cutoff);
+  }
+
+  /**
+   * Per-sector breadth and relative strength, strongest first.
+   * @returns {{market:Object, sectors:Object[]}}
+   */
+  function snapshot() {
+    const rows = fresh();
+    const marketChange = rows.length ? rows.reduce((s, e) => s + e.changePct, 0) / rows.length : 0;
+    const bySector = new Map();
+    for (const e of rows) {
+      if (e.sector === 'GEN') continue;
+      const list = bySector.get(e.sector) || [];
+      list.push(e);
+      bySector.set(e.sector, list);
+    }
+    const sectors = [];
+    for (const [sector, list] of bySector) {
+      const advance = list.filter((e) => e.changePct > 0).length;
+      const decline = list.filter((e) => e.changePct < 0).length;
+      const withSma = list.filter((e) => e.aboveSma !== null);
+      const above50 = withSma.length
+        ? (withSma.filter((e) => e.aboveSma).length / withSma.length) * 100
+        : 50;
+      const changePct = list.reduce((s, e) => s + e.changePct, 0) / list.length;
+      const relativeStrength = changePct - marketChange;
+      const breadth = advance + decline ? advance / (advance + decline) : 0.5;
+      const score =
+        list.length < config.minMembers
+          ? 0.5
+          : clamp01(0.5 + relativeStrength / (2 * config.rsScalePct)) * 0.5 + breadth * 0.5;
+      sectors.push({
+        sector,
+        members: list.length,
+        advance,
+        decline,
+        above50,
+        changePct,
+        relativeStrength,
+        score,
+      });
+    }
+    sectors.sort((a, b) => b.relativeStrength - a.relativeStrength);
+    sectors.forEach((s, i) => {
+      s.rank = i + 1;
+    });
+    lastSnapshot = {
+      at: clock.now(),
+      market: { members: rows.length, changePct: marketChange },
+      sectors,
+    };
+    return lastSnapshot;
+  }
+
+  return {
+    update,
+    snapshot,
+    /**
+     * 0..1 support for a trade in this sector: strong, broad sectors favour
+     * longs, weak ones favour shorts. Uses the last snapshot.
+     */
+    scoreFor(sector, direction = 'Long') {
+      const row = (lastSnapshot || snapshot()).sectors.find((s) => s.sector === sector);
+      if (!row) return 0.5;
+      return direction === 'Short' ? 1 - row.score : row.score;
+    },
+    /** Shape expected by smartStrategySelector.trackSectorBreadth. */
+    breadth(snap = lastSnapshot || snapshot()) {
+      const out = {};
+      for (const s of snap.sectors) {
+        out[s.sector] = { advance: s.advance, decline: s.decline, above50: s.above50 };
+      }
+      return out;
+    },
+    /**
+     * Take a fresh snapshot and report sectors entering or leaving the
+     * leading group since the previous call.
+     * @returns {{snapshot:Object, rotations:Object[]}}
+     */
+    rotate() {
+      const snap = snapshot();
+      const ranks = new Map(snap.sectors.map((s) => [s.sector, s.rank]));
+      const rotations = [];
+      if (lastRanks.size) {
+        for (const s of snap.sectors) {
+          const prev = lastRanks.get(s.sector);
+          if (prev === undefined || s.members < config.minMembers) continue;
+          const wasLeader = prev <= config.leaders;
+          const isLeader = s.rank <= config.leaders;
+          if (wasLeader !== isLeader) {
+            rotations.push({
+              sector: s.sector,
+              direction: isLeader ? 'in' : 'out',
+              fromRank: prev,
+              toRank: s.rank,
+              relativeStrength: s.relativeStrength,
+              at: snap.at,
+            });
+          }
+        }
+      }
+      lastRanks = ranks;
+      return { snapshot: snap, rotations };
+    },
+    reset() {
+      latest.clear();
+      lastRanks = new Map();
+      lastSnapshot = null;
+    },
+  };
+}
+
+export const sectorStrength = createSectorStrengthEngine();
@@ -1,9 +1,197 @@
-export const sectorMap = {
-  AAA: 'IT',
-  BBB: 'FIN',
-  CCC: 'CONS',
+// sectors.js
+// Sector / industry taxonomy for the tradable universe. Rows come from an
+// NSE index-constituent style CSV (Company Name, Industry, Symbol, Series,
+// plus an optional Indices column) stored in the `sector_map` collection.
+// Symbols missing from the taxonomy fall back to 'GEN'.
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { parseCsv } from './util.js';
+
+export const SECTOR_COLLECTION = 'sector_map';
+export const DEFAULT_SECTOR_FILE = path.join(
+  path.dirname(fileURLToPath(import.meta.url)),
+  'data',
+  'nse-sectors.csv'
+);
+
+// NSE "Industry" (macro-economic sector) -> short code used by caps and scores
+export const INDUSTRY_SECTORS = {
+  'Automobile and Auto Components': 'AUTO',
+  'Capital Goods': 'CAPGOODS',
+  Chemicals: 'CHEM',
+  Construction: 'INFRA',
+  'Construction Materials': 'CEMENT',
+  'Consumer Durables': 'CONSDUR',
+  'Consumer Services': 'CONS',
+  Diversified: 'DIV',
+  'Fast Moving Consumer Goods': 'FMCG',
+  'Financial Services': 'FIN',
+  Healthcare: 'PHARMA',
+  'Information Technology': 'IT',
+  'Media Entertainment & Publication': 'MEDIA',
+  'Metals & Mining': 'METAL',
+  'Oil Gas & Consumable Fuels': 'ENERGY',
+  Power: 'POWER',
+  Realty: 'REALTY',
+  Services: 'SERVICES',
+  Telecommunication: 'TELECOM',
+  Textiles: 'TEXTILE',
 };
 
+// symbol -> sector code; kept as a plain object for existing callers
+export const sectorMap = {};
+const details = new Map(); // symbol -> { symbol, company, industry, sector, indices }
+
+function bareSymbol(symbol = '') {
+  return String(symbol).split(':').pop().trim().toUpperCase();
+}
+
+export function sectorForIndustry(industry = '') {
+  const name = String(industry).trim();
+  if (!name) return 'GEN';
+  return (
+    INDUSTRY_SECTORS[name] ||
+    name
+      .toUpperCase()
+      .replace(/[^A-Z0-9]+/g, '_')
+      .replace(/^_|_$/g, '')
+  );
+}
+
+/**
+ * Parse an NSE constituent/classification CSV. Column order does not matter;
+ * `Symbol` and `Industry` are required, `Indices` is `;`-separated.
+ * @returns {{rows:Object[], errors:string[]}}
+ */
+export function parseClassificationCsv(text = '') {
+  const { header, rows: records } = parseCsv(text);
+  if (!header.length) return { rows: [], errors: ['empty file'] };
+  if (!header.includes('symbol') || !header.includes('industry')) {
+    return { rows: [], errors: ['header needs Symbol and Industry columns'] };
+  }
+  const errors = [];
+  const rows = [];
+  records.forEach((rec, i) => {
+    const symbol = bareSymbol(rec.symbol);
+    const industry = rec.industry || '';
+    if (!symbol || !industry) {
+      errors.push(`line ${i + 2}: missing symbol or industry`);
+      return;
+    }
+    if (rec.series && rec.series !== 'EQ') return;
+    rows.push({
+      symbol,
+      company: rec['company name'] || symbol,
+      industry,
+      sector: sectorForIndustry(industry),
+      indices: rec.indices
+        ? rec.indices.split(';').map((s) => s.trim()).filter(Boolean)
+        : [],
+    });
+  });
+  return { rows, errors };
+}
+
+/** Replace the in-memory taxonomy. */
+export function setSectorTaxonomy(rows = []) {
+  details.clear();
+  for (const key of Object.keys(sectorMap)) delete sectorMap[key];
+  for (const row of rows) {
+    const symbol = bareSymbol(row.symbol);
+    if (!symbol) continue;
+    const sector = row.sector || sectorForIndustry(row.industry);
+    details.set(symbol, {
+      symbol,
+      company: row.company || symbol,
+      industry: row.industry || '',
+      sector,
+      indices: row.indices || [],
+    });
+    sectorMap[symbol] = sector;
+  }
+  return details.size;
+}
+
 export function getSector(symbol = '') {
-  return sectorMap[symbol] || 'GEN';
+  return sectorMap[bareSymbol(symbol)] || 'GEN';
+}
+
+export function getSectorInfo(symbol = '') {
+  return details.get(bareSymbol(symbol)) || null;
+}
+
+/** Symbols in a sector code, or constituents of an index such as 'NIFTY BANK'. */
+export function sectorMembers(sectorOrIndex) {
+  const out = [];
+  for (const info of details.values()) {
+    if (info.sector === sectorOrIndex || info.indices.includes(sectorOrIndex)) out.push(info.symbol);
+  }
+  return out;
+}
+
+export function listSectors() {
+  const bySector = {};
+  for (const info of details.values()) {
+    const entry = (bySector[info.sector] ||= { sector: info.sector, industry: info.industry, symbols: [] });
+    entry.symbols.push(info.symbol);
+  }
+  return Object.values(bySector).sort((a, b) => a.sector.localeCompare(b.sector));
+}
+
+/**
+ * Parse a classification file (or CSV text) and upsert it into Mongo, then
+ * reload the in-memory map. Symbols absent from the file are left alone.
+ * @param {Object} opts
+ * @param {Object} opts.database
+ * @param {string} [opts.csv] - CSV contents; read from `file` when omitted
+ * @param {string} [opts.file]
+ * @returns {Promise<{ok:boolean, upserted?:number, total?:number, errors:string[]}>}
+ */
+export async function refreshSectorMap({
+  database,
+  csv,
+  file = process.env.SECTOR_MAP_FILE || DEFAULT_SECTOR_FILE,
+} = {}) {
+  let text = csv;
+  if (text == null) {
+    try {
+      text = await fs.readFile(file, 'utf8');
+    } catch (err) {
+      return { ok: false, errors: [`could not read ${file}: ${err.message}`] };
+    }
+  }
+  const { rows, errors } = parseClassificationCsv(text);
+  if (!rows.length) return { ok: false, errors };
+  const updatedAt = new Date();
+  await database.collection(SECTOR_COLLECTION).bulkWrite(
+    rows.map((row) => ({
+      updateOne: {
+        filter: { symbol: row.symbol },
+        update: { $set: { ...row, updatedAt } },
+        upsert: true,
+      },
+    })),
+    { ordered: false }
+  );
+  const total = await loadSectorMap({ database, seed: false });
+  return { ok: true, upserted: rows.length, total, errors };
+}
+
+/**
+ * Load the taxonomy from Mongo, seeding it from the default file the first
+ * time the collection is empty.
+ * @returns {Promise<number>} symbols mapped
+ */
+export async function loadSectorMap({ database, seed = true } = {}) {
+  const rows = await database
+    .collection(SECTOR_COLLECTION)
+    .find({}, { projection: { _id: 0 } })
+    .toArray();
+  if (!rows.length && seed) {
+    const res = await refreshSectorMap({ database });
+    if (!res.ok) console.warn(`[sectors] seed failed: ${res.errors.join('; ')}`);
+    return res.total || 0;
+  }
+  return setSectorTaxonomy(rows);
 }
@@ -157,9 +157,13 @@ function indexCorrelationScore(signal) {
   return 0.5;
 }
 
-function sectorConfirmationScore(signal) {
-  if (typeof signal.sectorScore === 'number') return signal.sectorScore;
-  return 0.5;
+function sectorConfirmationScore(signal, ctx = marketContext) {
+  let score = typeof signal.sectorScore === 'number' ? signal.sectorScore : 0.5;
+  // Longs in sectors flagged weak by trackSectorBreadth lose their sector support
+  if (signal.sector && ctx.weakSectors?.[signal.sector] && signal.direction !== 'Short') {
+    score = Math.min(score, 0.25);
+  }
+  return score;
 }
 
 function gapQualityScore(signal) {
@@ -0,0 +1,398 @@
+// smartOrderRouter.js
+// Execution algorithms for entry orders. placeOrder (orderExecution.js) hands
+// the entry to execute(), which works it as one or more child LIMIT orders:
+//   limit   - one order at the signal entry, left working (or cancelled with
+//             cancelOnTimeout) after timeoutMs
+//   chase   - a marketable limit at the touch, taken from the depth of the
+//             full tick and re-priced as the book moves, but never past
+//             arrival ± maxSlippagePct; cancelled after timeoutMs
+//   twap    - the qty in twapSlices equal slices over twapDurationMs, each
+//             chased within its window; unfilled qty rolls into the next slice
+//   iceberg - children of icebergDisplayQty at the signal entry, the next one
+//             sent when the previous fills; cancelled after timeoutMs
+// Each execution's fill quality (arrival price vs average fill) is stored in
+// `execution_reports`.
+import db from './db.js';
+import { ensureClock } from './src/backtest/clock.js';
+import { symbolKey } from './util.js';
+
+export const EXECUTION_COLLECTION = 'execution_reports';
+export const EXECUTION_ALGOS = ['limit', 'chase', 'twap', 'iceberg'];
+
+export const DEFAULT_EXECUTION_CONFIG = Object.freeze({
+  algo: process.env.EXECUTION_ALGO || 'limit',
+  timeoutMs: 20_000,
+  cancelOnTimeout: false, // limit only; the other algorithms always cancel what is left
+  maxSlippagePct: 0.3,
+  chaseIntervalMs: 1000,
+  tickSize: 0.05,
+  twapSlices: 5,
+  twapDurationMs: 60_000,
+  icebergDisplayQty: 0, // 0: a fifth of the qty
+  sliceAboveQty: 0, // larger entries use sliceAlgo unless the signal names one; 0 disables
+  sliceAlgo: 'iceberg',
+  pollMs: 500,
+});
+// reconcile() leaves a routed entry alone this long past its last deadline
+const ROUTING_GRACE_MS = 60_000;
+
+const toNum = (v) => (Number.isFinite(Number(v)) && v !== null && v !== '' ? Number(v) : null);
+const round2 = (n) => Math.round(n * 100) / 100;
+const orderDone = (o) => o?.status === 'COMPLETE';
+const orderDead = (o) => /^(CANCELLED|REJECTED)/.test(o?.status || '');
+
+// Round to the tick size without crossing `price` in the costly direction
+function toTick(price, tick, buy) {
+  if (!(tick > 0)) return round2(price);
+  const steps = price / tick;
+  return Number(((buy ? Math.floor(steps + 1e-9) : Math.ceil(steps - 1e-9)) * tick).toFixed(4));
+}
+
+/**
+ * Arrival vs average fill for a set of child orders. Positive slippage is
+ * a cost: paid above arrival on a buy, sold below it on a sell.
+ */
+export function fillQuality({ side, qty, arrivalPrice, entryPrice = null, children = [] }) {
+  const dir = String(side).toUpperCase() === 'BUY' ? 1 : -1;
+  const filledQty = children.reduce((n, c) => n + (c.filledQty || 0), 0);
+  const notional = children.reduce((n, c) => n + (c.filledQty || 0) * (c.avgPrice || 0), 0);
+  const avgPrice = filledQty ? round2(notional / filledQty) : null;
+  const bps = (ref) => (avgPrice != null && ref > 0 ? round2((((avgPrice - ref) * dir) / ref) * 10_000) : null);
+  return {
+    filledQty,
+    fillRate: qty > 0 ? round2(filledQty / qty) : 0,
+    avgPrice,
+    slippage: avgPrice != null && arrivalPrice > 0 ? round2((avgPrice - arrivalPrice) * dir) : null,
+    slippageBps: bps(arrivalPrice),
+    vsEntryBps: bps(entryPrice),
+  };
+}
+
+/**
+ * @param {Object} [options]
+ * @param {Object} [options.broker] - { place(params), modify(id, params), cancel(id), orders() }
+ * @param {Object} [options.database=db]
+ * @param {Object} [options.config] - overrides for DEFAULT_EXECUTION_CONFIG
+ * @param {Object} [options.clock]
+ * @param {Function} [options.sleep] - (ms) => Promise; tests advance a fake clock here
+ */
+export function createOrderRouter(options = {}) {
+  const database = options.database || db;
+  const clock = ensureClock(options.clock);
+  const sleep = options.sleep || ((ms) => new Promise((r) => setTimeout(r, ms)));
+  let broker = options.broker || null;
+  let config = { ...DEFAULT_EXECUTION_CONFIG, ...(options.config || {}) };
+  const quotes = new Map(); // symbol -> last full tick
+  const working = new Map(); // child order id -> report left with a working order
+  const inflight = new Map(); // child order id -> child being worked
+  let book = null; // { at, orders } shared order-book read
+
+  const col = () => database.collection(EXECUTION_COLLECTION);
+
+  function quote(symbol) {
+    const tick = quotes.get(symbolKey(symbol));
+    if (!tick) return null;
+    const level = (side) => toNum(tick.depth?.[side]?.[0]?.price);
+    const bid = level('buy');
+    const ask = level('sell');
+    return { ltp: toNum(tick.last_price), bid: bid > 0 ? bid : null, ask: ask > 0 ? ask : null };
+  }
+
+  // Mid of the touch when both sides are quoted, else the last trade
+  function arrivalPrice(order) {
+    const q = quote(order.tradingsymbol);
+    if (q?.bid && q?.ask) return round2((q.bid + q.ask) / 2);
+    return q?.ltp ?? toNum(order.price);
+  }
+
+  // Marketable limit: the far touch (or LTP), capped at arrival ± maxSlippagePct
+  function chasePrice(order, p, arrival) {
+    const buy = order.transaction_type === 'BUY';
+    const q = quote(order.tradingsymbol);
+    const touch = (buy ? q?.ask : q?.bid) ?? q?.ltp ?? arrival;
+    const cap = arrival * (1 + ((buy ? 1 : -1) * p.maxSlippagePct) / 100);
+    return toTick(buy ? Math.min(touch, cap) : Math.max(touch, cap), p.tickSize, buy);
+  }
+
+  // Every child being worked shares one order-book read per `maxAgeMs`;
+  // order updates (handleOrderUpdate) reach them in between.
+  function orderBook(maxAgeMs) {
+    if (!book || clock.now() - book.at >= maxAgeMs) {
+      book = {
+        at: clock.now(),
+        orders: broker.orders().catch((err) => {
+          console.error('[router] order book read failed', err?.message || err);
+          return [];
+        }),
+      };
+    }
+    return book.orders;
+  }
+
+  async function findOrder(orderId, maxAgeMs = 0) {
+    const orders = (await orderBook(maxAgeMs)) || [];
+    return orders.find((o) => String(o.order_id) === String(orderId)) || null;
+  }
+
+  // A read taken before an update arrived never moves a child back
+  function syncChild(child, o) {
+    if (!o || orderDone(child) || orderDead(child)) return child;
+    if ((Number(o.filled_quantity) || 0) < child.filledQty) return child;
+    child.status = o.status;
+    child.filledQty = Number(o.filled_quantity) || 0;
+    child.avgPrice = toNum(o.average_price) || null;
+    return child;
+  }
+
+  // Work one child order until it fills, dies or `deadline` passes. With
+  // `chase` its price follows the touch every chaseIntervalMs.
+  async function work(run, qty, deadline, { chase = false, keep = false } = {}) {
+    const { order, p } = run;
+    const price = chase || toNum(order.price) == null ? chasePrice(order, p, run.arrivalPrice) : toNum(order.price);
+    const child = { orderId: null, qty, price, filledQty: 0, avgPrice: null, status: 'NOT_PLACED', reprices: 0, placedAt: clock.now() };
+    run.children.push(child);
+    const placed = await broker.place({ ...order, quantity: qty, order_type: 'LIMIT', price }).catch(() => null);
+    if (!placed?.order_id) return child;
+    child.orderId = placed.order_id;
+    child.status = 'OPEN';
+    inflight.set(String(child.orderId), child);
+    try {
+      return await watch(run, child, deadline, { chase, keep });
+    } finally {
+      inflight.delete(String(child.orderId));
+    }
+  }
+
+  async function watch(run, child, deadline, { chase, keep }) {
+    const { order, p } = run;
+    let repricedAt = clock.now();
+    for (;;) {
+      if (!orderDone(child) && !orderDead(child)) syncChild(child, await findOrder(child.orderId, p.pollMs));
+      if (orderDone(child) || orderDead(child)) return child;
+      if (clock.now() >= deadline) break;
+      await sleep(Math.max(1, Math.min(p.pollMs, deadline - clock.now())));
+      if (chase && clock.now() - repricedAt >= p.chaseIntervalMs) {
+        repricedAt = clock.now();
+        const next = chasePrice(order, p, run.arrivalPrice);
+        if (next !== child.price && (await broker.modify(child.orderId, { price: next }).catch(() => null))) {
+          child.price = next;
+          child.reprices += 1;
+        }
+      }
+    }
+    if (keep) return child;
+    await broker.cancel(child.orderId).catch(() => null);
+    return syncChild(child, await findOrder(child.orderId));
+  }
+
+  const filledOf = (run) => run.children.reduce((n, c) => n + c.filledQty, 0);
+  const rejected = (child) => child.status === 'NOT_PLACED' || (/^REJECTED/.test(child.status) && !child.filledQty);
+
+  async function runTwap(run) {
+    const total = run.order.quantity;
+    const slices = Math.max(1, Math.min(run.p.twapSlices, total));
+    const window = run.p.twapDurationMs / slices;
+    for (let i = 0; i < slices; i++) {
+      const start = run.startedAt + window * i;
+      if (clock.now() < start) await sleep(start - clock.now());
+      const qty = Math.round((total * (i + 1)) / slices) - filledOf(run);
+      if (qty <= 0) continue;
+      const child = await work(run, qty, start + window, { chase: true });
+      if (rejected(child)) break;
+    }
+  }
+
+  async function runIceberg(run) {
+    const total = run.order.quantity;
+    const display = run.p.icebergDisplayQty > 0 ? run.p.icebergDisplayQty : Math.ceil(total / 5);
+    const deadline = run.startedAt + run.p.timeoutMs;
+    while (filledOf(run) < total && clock.now() < deadline) {
+      const child = await work(run, Math.min(display, total - filledOf(run)), deadline);
+      if (!orderDone(child)) break;
+    }
+  }
+
+  function report(run) {
+    const { order, p } = run;
+    const quality = fillQuality({
+      side: order.transaction_type,
+      qty: order.quantity,
+      arrivalPrice: run.arrivalPrice,
+      entryPrice: toNum(order.price),
+      children: run.children,
+    });
+    const open = run.children.some((c) => c.status === 'OPEN' || c.status === 'TRIGGER PENDING');
+    let status = 'UNFILLED';
+    if (quality.filledQty >= order.quantity) status = 'FILLED';
+    else if (open) status = 'OPEN';
+    else if (quality.filledQty > 0) status = 'PARTIAL';
+    else if (run.children.every(rejected)) status = 'REJECTED';
+    return {
+      _id: run.id,
+      tradeId: run.tradeId ?? null,
+      symbol: order.tradingsymbol,
+      exchange: order.exchange,
+      side: order.transaction_type,
+      algo: p.algo,
+      qty: order.quantity,
+      status,
+      arrivalPrice: run.arrivalPrice,
+      entryPrice: toNum(order.price),
+      ...quality,
+      children: run.children.map((c) => ({ ...c })),
+      strategy: order.meta?.strategy ?? null,
+      signalId: order.meta?.signalId ?? null,
+      startedAt: new Date(run.startedAt),
+      finishedAt: new Date(clock.now()),
+      durationMs: clock.now() - run.startedAt,
+    };
+  }
+
+  async function save(doc) {
+    try {
+      await col().updateOne({ _id: doc._id }, { $set: doc }, { upsert: true });
+    } catch (err) {
+      console.error('[router] could not store execution report', err?.message || err);
+    }
+  }
+
+  let seq = 0;
+
+  return {
+    setBroker(next) {
+      broker = next;
+    },
+
+    /** configService applier for the `execution` section; returns the effective config. */
+    configure(values = {}) {
+      config = { ...DEFAULT_EXECUTION_CONFIG, ...values };
+      return { ...config };
+    },
+
+    config() {
+      return { ...config };
+    },
+
+    /** Keep the last full tick per symbol (kite.js onTick) for depth and arrival prices. */
+    onTick(symbol, tick = {}) {
+      if (toNum(tick.last_price) > 0) quotes.set(symbolKey(symbol), tick);
+    },
+
+    quote,
+
+    /**
+     * Execution params for an entry: the config, the large-qty slicing rule
+     * and the signal's own `execution` (an algo name or { algo, ...params }).
+     * @returns {{ok:boolean, params?:Object, errors?:string[]}}
+     */
+    resolve(execution, qty) {
+      const own = typeof execution === 'string' ? { algo: execution } : execution || {};
+      let algo = own.algo || config.algo;
+      if (!own.algo && config.sliceAboveQty > 0 && qty > config.sliceAboveQty) algo = config.sliceAlgo;
+      const params = { ...config, ...own, algo };
+      const errors = [];
+      if (!EXECUTION_ALGOS.includes(algo)) errors.push(`unknown execution algo "${algo}"`);
+      for (const key of ['timeoutMs', 'maxSlippagePct', 'twapSlices', 'twapDurationMs', 'pollMs']) {
+        if (!(toNum(params[key]) > 0)) errors.push(`${key} must be positive`);
+      }
+      return errors.length ? { ok: false, errors } : { ok: true, params };
+    },
+
+    /**
+     * Work an entry with the chosen algorithm and store its fill quality.
+     * @param {Object} order - Kite order params (price is the signal entry)
+     * @param {Object} params - from resolve()
+     * @param {Object} [opts]
+     * @param {string} [opts.tradeId]
+     * @param {Function} [opts.onChild] - (child, run) after each child order is placed
+     * @returns {Promise<Object>} the execution report: status FILLED, PARTIAL,
+     *   OPEN (a limit left working), UNFILLED or REJECTED, plus fill quality
+     */
+    async execute(order, params = {}, { tradeId, onChild } = {}) {
+      if (!broker) throw new Error('no broker configured');
+      const p = { ...config, ...params };
+      const startedAt = clock.now();
+      const run = {
+        id: `EXE-${startedAt}-${++seq}`,
+        tradeId,
+        order: { ...order, quantity: Number(order.quantity) },
+        p,
+        onChild,
+        startedAt,
+        arrivalPrice: arrivalPrice(order),
+        children: [],
+      };
+      const span = p.algo === 'twap' ? p.twapDurationMs : p.timeoutMs;
+      run.until = startedAt + span + ROUTING_GRACE_MS;
+      if (p.algo === 'twap') await runTwap(run);
+      else if (p.algo === 'iceberg') await runIceberg(run);
+      else await work(run, run.order.quantity, startedAt + p.timeoutMs, { chase: p.algo === 'chase', keep: !p.cancelOnTimeout && p.algo === 'limit' });
+      const doc = report(run);
+      if (doc.status === 'OPEN') for (const c of run.children) if (c.orderId) working.set(String(c.orderId), run);
+      await save(doc);
+      return doc;
+    },
+
+    /**
+     * Order updates: children being worked pick them up without waiting for
+     * the next order-book read; children left working get their report
+     * refreshed on fill or cancel.
+     */
+    async handleOrderUpdate(update = {}) {
+      const live = inflight.get(String(update.order_id));
+      if (live) {
+        syncChild(live, update);
+        return null;
+      }
+      const run = working.get(String(update.order_id));
+      if (!run || !(orderDone(update) || orderDead(update))) return null;
+      const child = run.children.find((c) => String(c.orderId) === String(update.order_id));
+      syncChild(child, update);
+      working.delete(String(update.order_id));
+      const doc = report(run);
+      await save(doc);
+      return doc;
+    },
+
+    /**
+     * Stored execution reports, newest first, with average slippage per algo.
+     * @param {Object} [filter] - symbol, algo, strategy, limit
+     */
+    async reports({ symbol, algo, strategy, limit = 100 } = {}) {
+      const query = {};
+      if (symbol) query.symbol = symbolKey(symbol);
+      if (algo) query.algo = algo;
+      if (strategy) query.strategy = strategy;
+      const rows = await col().find(query).sort({ startedAt: -1 }).limit(Number(limit) || 100).toArray();
+      const byAlgo = {};
+      for (const r of rows) {
+        const s = (byAlgo[r.algo] ||= { count: 0, filledQty: 0, qty: 0, slippageBpsSum: 0, priced: 0 });
+        s.count += 1;
+        s.qty += r.qty || 0;
+        s.filledQty += r.filledQty || 0;
+        if (r.slippageBps != null) {
+          s.slippageBpsSum += r.slippageBps;
+          s.priced += 1;
+        }
+      }
+      const summary = Object.fromEntries(
+        Object.entries(byAlgo).map(([name, s]) => [
+          name,
+          {
+            count: s.count,
+            fillRate: s.qty ? round2(s.filledQty / s.qty) : 0,
+            avgSlippageBps: s.priced ? round2(s.slippageBpsSum / s.priced) : null,
+          },
+        ])
+      );
+      return { reports: rows, summary };
+    },
+  };
+}
+
+export const orderRouter = createOrderRouter();
+
+/** configService applier for the `execution` section. */
+export function applyExecutionConfig(values = {}) {
+  return orderRouter.configure(values);
+}
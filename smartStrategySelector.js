@@ -1,5 +1,6 @@
 // smartStrategySelector.js
 // Provides market regime detection and strategy filtering utilities
+import { strategyRegistry } from './strategyRegistry.js';
 
 export const marketContext = {
   regime: 'sideways',
@@ -113,6 +114,9 @@ export function resolveStrategyConflicts(signals = [], regime = marketContext.re
 export function filterStrategiesByRegime(strategies = [], ctx = marketContext) {
   const reg = ctx.regime;
   return strategies.filter((s) => {
+    // Registry entries that declare their regimes bypass the category rules
+    const declared = s.strategyId ? strategyRegistry.get(s.strategyId)?.regimes : null;
+    if (Array.isArray(declared) && reg) return declared.includes(reg);
     const cat = (s.category || '').toLowerCase();
     if (reg === 'trending') {
       if (ctx.volatility === 'high') return false;
@@ -0,0 +1,93 @@
+// Trade accounting shared by the single-symbol (scripts/bt_run.js) and
+// portfolio backtests: fills with costs, exit legs and summary metrics.
+import { computeLegCharges } from '../../costModel.js';
+
+/**
+ * Fill price after slippage plus the side's charges from costModel.js.
+ * `charges: false` falls back to a flat per-order brokerage only.
+ */
+export function applyCosts({
+  side,
+  price,
+  qty,
+  slippageBps = 5,
+  brokeragePerOrder,
+  product = 'MIS',
+  exchange = 'NSE',
+  charges = true,
+}) {
+  const px = Number(price);
+  const slip = px * (slippageBps / 10_000);
+  const traded = side === 'buy' ? px + slip : px - slip;
+  if (!charges) {
+    const fees = brokeragePerOrder ?? 20;
+    return { tradedPrice: traded, fees, notional: traded * qty, charges: null };
+  }
+  const leg = computeLegCharges({ side, price: traded, qty, product, exchange, brokeragePerOrder });
+  return { tradedPrice: traded, fees: leg.total, notional: traded * qty, charges: leg };
+}
+
+export function pnlForTrade(trade) {
+  if (trade.side === 'Long') {
+    return (trade.exitPrice - trade.entryPrice) * trade.qty - trade.totalFees;
+  }
+  return (trade.entryPrice - trade.exitPrice) * trade.qty - trade.totalFees;
+}
+
+/**
+ * Book one exit leg of an open backtest trade, costs included. Scale-out
+ * trades book T1 first and the remainder later. Once nothing is left open
+ * the trade's exitPrice is the qty-weighted exit and its pnl covers every leg.
+ * @returns {Object} { reason, qty, exitPrice, fees, pnl, at }
+ */
+export function bookExitLeg(trade, { price, qty, reason, at, costs = {} }) {
+  const open = trade.openQty ?? trade.qty;
+  const legQty = Math.min(open, qty ?? open);
+  const side = trade.side === 'Long' ? 'sell' : 'buy';
+  const exec = applyCosts({ ...costs, side, price, qty: legQty });
+  const dir = trade.side === 'Long' ? 1 : -1;
+  const leg = {
+    reason,
+    qty: legQty,
+    exitPrice: exec.tradedPrice,
+    fees: exec.fees,
+    pnl: dir * (exec.tradedPrice - trade.entryPrice) * legQty - exec.fees,
+    at: new Date(at),
+  };
+  trade.legs = [...(trade.legs || []), leg];
+  trade.openQty = open - legQty;
+  trade.totalFees += exec.fees;
+  if (trade.openQty <= 0) {
+    const booked = trade.legs.reduce((n, l) => n + l.qty, 0);
+    trade.exitPrice = trade.legs.reduce((n, l) => n + l.exitPrice * l.qty, 0) / booked;
+    trade.exitAt = leg.at;
+    trade.exitReason = reason;
+    trade.pnl = pnlForTrade(trade);
+  }
+  return leg;
+}
+
+export function computeMetrics(trades = []) {
+  let equity = 0;
+  let peak = 0;
+  let maxDrawdown = 0;
+  let wins = 0;
+
+  for (const t of trades) {
+    equity += t.pnl;
+    if (equity > peak) peak = equity;
+    const dd = peak - equity;
+    if (dd > maxDrawdown) maxDrawdown = dd;
+    if (t.pnl > 0) wins += 1;
+  }
+
+  return {
+    trades: trades.length,
+    wins,
+    losses: trades.length - wins,
+    winRate: trades.length ? wins / trades.length : 0,
+    netPnl: equity,
+    maxDrawdown,
+    avgPnl: trades.length ? equity / trades.length : 0,
+  };
+}
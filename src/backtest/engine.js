@@ -3,6 +3,7 @@ export async function evaluateOnCandles({
   symbol,
   market = {},
   filters = {},
+  config = {},
 }) {
   if (!Array.isArray(candles) || candles.length === 0 || !symbol) return null;
   const last = candles[candles.length - 1] || {};
@@ -24,10 +25,37 @@ export async function evaluateOnCandles({
     market.spread ?? 0.3,
     market.liquidity ?? 5000,
     liveTick,
-    filters
+    filters,
+    config
   );
 }
 
+/**
+ * Live scale-out settings: SCALE_OUT_PCT (fraction or percent of the
+ * position booked at T1; unset or 0 disables) and SCALE_OUT_AFTER
+ * ('breakeven' | 'trail').
+ */
+export function scaleOutFromEnv(env = process.env) {
+  let pct = Number(env.SCALE_OUT_PCT);
+  if (pct > 1 && pct <= 100) pct /= 100;
+  if (!(pct > 0 && pct < 1)) return null;
+  return { pct, after: env.SCALE_OUT_AFTER === 'trail' ? 'trail' : 'breakeven' };
+}
+
+/** Quantity booked at T1, or 0 when `qty` cannot be split into two legs. */
+export function scaleOutQty(qty, pct) {
+  const total = Math.floor(Number(qty));
+  const part = Math.floor(total * Number(pct));
+  return part > 0 && part < total ? part : 0;
+}
+
+// Exit plans are shared with live trading (orderExecution.js →
+// orderStateMachine.js) so a backtest books the same legs at the same
+// levels. `opts.target` overrides the RR target. `opts.scaleOut`
+// ({ pct, target1?, rr?, after: 'breakeven' | 'trail' }) books `pct` of the
+// position at T1 (signal.target1, else entry ± risk * rr); the stop stays
+// fixed until then and the remainder runs to the target or the stop set by
+// takeScaleOut(). With `opts.qty` the T1 quantity is fixed up front.
 export function computeDynamicExitPlan(signal = {}, opts = {}) {
   const direction = signal.direction || 'Long';
   const entry = Number(signal.entry);
@@ -40,10 +68,11 @@ export function computeDynamicExitPlan(signal = {}, opts = {}) {
     return null;
   }
 
+  const sign = direction === 'Long' ? 1 : -1;
   const risk = Math.max(0.01, Math.abs(entry - stopLoss));
-  const target = direction === 'Long'
-    ? entry + risk * rr
-    : entry - risk * rr;
+  const target = opts.target != null && Number.isFinite(Number(opts.target))
+    ? Number(opts.target)
+    : entry + sign * risk * rr;
 
   return {
     direction,
@@ -54,11 +83,48 @@ export function computeDynamicExitPlan(signal = {}, opts = {}) {
     risk,
     atr,
     trailDistance: atr * trailAtr,
+    scaleOut: buildScaleOut({ signal, opts, entry, risk, sign, target }),
   };
 }
 
+function buildScaleOut({ signal, opts, entry, risk, sign, target }) {
+  const cfg = opts.scaleOut;
+  const pct = Number(cfg?.pct);
+  if (!(pct > 0 && pct < 1)) return null;
+  const rr = Number.isFinite(cfg.rr) ? cfg.rr : 1;
+  const target1 = Number(cfg.target1 ?? signal.target1 ?? entry + sign * risk * rr);
+  // T1 has to sit strictly between the entry and the final target
+  if (!Number.isFinite(target1) || (target1 - entry) * sign <= 0 || (target - target1) * sign <= 0) {
+    return null;
+  }
+  const qty = opts.qty != null ? scaleOutQty(opts.qty, pct) : null;
+  if (qty === 0) return null;
+  return { pct, qty, target1, after: cfg.after === 'trail' ? 'trail' : 'breakeven', done: false };
+}
+
+/**
+ * Book the T1 leg of a scale-out plan: mark it done and move the stop on the
+ * remainder to breakeven, or to an ATR trail from the T1 fill that never
+ * sits behind breakeven. Returns the new stop.
+ */
+export function takeScaleOut(plan, price = plan?.scaleOut?.target1) {
+  if (!plan?.scaleOut) return null;
+  const long = plan.direction === 'Long';
+  let stop = plan.entry;
+  const fill = Number(price);
+  if (plan.scaleOut.after === 'trail' && Number.isFinite(fill)) {
+    stop = long ? Math.max(plan.entry, fill - plan.trailDistance) : Math.min(plan.entry, fill + plan.trailDistance);
+  }
+  plan.scaleOut.done = true;
+  plan.activeStop = long ? Math.max(plan.activeStop, stop) : Math.min(plan.activeStop, stop);
+  return plan.activeStop;
+}
+
 export function updateDynamicExitPlan(plan, candle = {}) {
   if (!plan) return null;
+  // Scale-out plans hold the stop until T1 and only trail in 'trail' mode
+  const scale = plan.scaleOut;
+  if (scale && (!scale.done || scale.after !== 'trail')) return plan;
   if (plan.direction === 'Long') {
     const candidate = Number(candle.high) - plan.trailDistance;
     if (Number.isFinite(candidate) && candidate > plan.activeStop) {
@@ -73,24 +139,32 @@ export function updateDynamicExitPlan(plan, candle = {}) {
   return plan;
 }
 
+// While T1 is pending a target hit is the partial T1 exit
+// ({ reason: 'target1', partial: true }); the caller books it and calls
+// takeScaleOut(), and the remainder is evaluated from the next candle.
 export function evaluateExit(plan, candle = {}) {
   if (!plan) return null;
   const low = Number(candle.low);
   const high = Number(candle.high);
+  const pending = !!plan.scaleOut && !plan.scaleOut.done;
+  const target = pending ? plan.scaleOut.target1 : plan.target;
+  const hit = pending
+    ? { reason: 'target1', exit: target, partial: true }
+    : { reason: 'target', exit: target };
 
   if (plan.direction === 'Long') {
     if (Number.isFinite(low) && low <= plan.activeStop) {
       return { reason: 'stop', exit: plan.activeStop };
     }
-    if (Number.isFinite(high) && high >= plan.target) {
-      return { reason: 'target', exit: plan.target };
+    if (Number.isFinite(high) && high >= target) {
+      return hit;
     }
   } else {
     if (Number.isFinite(high) && high >= plan.activeStop) {
       return { reason: 'stop', exit: plan.activeStop };
     }
-    if (Number.isFinite(low) && low <= plan.target) {
-      return { reason: 'target', exit: plan.target };
+    if (Number.isFinite(low) && low <= target) {
+      return hit;
     }
   }
 
@@ -0,0 +1,369 @@
+import { evaluateOnCandles } from './engine.js';
+import { runPortfolioBacktest } from './portfolio.js';
+
+const IST_OFFSET_MS = 330 * 60 * 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const TRADING_DAYS = 252;
+
+function istDay(ms) {
+  return new Date(ms + IST_OFFSET_MS).toISOString().slice(0, 10);
+}
+
+function istDayStart(day) {
+  return Date.parse(`${day}T00:00:00Z`) - IST_OFFSET_MS;
+}
+
+// mulberry32: small deterministic PRNG so random searches are reproducible.
+function createRng(seed = 42) {
+  let a = Number(seed) >>> 0;
+  return () => {
+    a = (a + 0x6d2b79f5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// "filters.atrThreshold" -> { filters: { atrThreshold } }; bare keys are
+// strategy DEFAULT_CONFIG keys.
+function toParamSet(assignment) {
+  const set = { filters: {}, strategy: {} };
+  for (const [key, value] of Object.entries(assignment)) {
+    const [scope, name] = key.includes('.') ? key.split('.', 2) : ['strategy', key];
+    if (scope !== 'filters' && scope !== 'strategy') {
+      throw new Error(`Unknown parameter scope "${scope}" in ${key}`);
+    }
+    set[scope][name] = value;
+  }
+  return set;
+}
+
+function rangeValues(spec) {
+  if (Array.isArray(spec)) return spec;
+  const { min, max, step } = spec || {};
+  if (!Number.isFinite(min) || !Number.isFinite(max) || !(step > 0)) {
+    throw new Error('Range parameters need numeric min, max and step');
+  }
+  const values = [];
+  for (let v = min; v <= max + step / 1e6; v += step) {
+    values.push(Number(v.toFixed(10)));
+  }
+  return values;
+}
+
+/**
+ * Expand a parameter space into every combination.
+ * Keys are "filters.<name>" for scanner FILTERS or "strategy.<name>" (or a
+ * bare name) for strategy DEFAULT_CONFIG. Values are arrays or
+ * {min, max, step} ranges.
+ * @param {Object} space
+ * @returns {Array<{filters:Object, strategy:Object}>}
+ */
+export function expandGrid(space = {}) {
+  let combos = [{}];
+  for (const [key, spec] of Object.entries(space)) {
+    const values = rangeValues(spec);
+    combos = combos.flatMap((c) => values.map((v) => ({ ...c, [key]: v })));
+  }
+  return combos.map(toParamSet);
+}
+
+/**
+ * Draw `samples` distinct parameter sets from the space with a seeded RNG.
+ * Ranges are sampled on their step grid so results stay comparable with a
+ * grid search over the same space.
+ * @param {Object} space
+ * @param {Object} [opts]
+ * @param {number} [opts.samples=20]
+ * @param {number} [opts.seed=42]
+ * @returns {Array<{filters:Object, strategy:Object}>}
+ */
+export function sampleRandom(space = {}, { samples = 20, seed = 42 } = {}) {
+  const rng = createRng(seed);
+  const entries = Object.entries(space).map(([key, spec]) => [key, rangeValues(spec)]);
+  const total = entries.reduce((n, [, values]) => n * values.length, 1);
+  const target = Math.min(samples, total);
+  const seen = new Set();
+  const out = [];
+  while (out.length < target) {
+    const assignment = {};
+    for (const [key, values] of entries) {
+      assignment[key] = values[Math.floor(rng() * values.length)];
+    }
+    const id = JSON.stringify(assignment);
+    if (seen.has(id)) continue;
+    seen.add(id);
+    out.push(toParamSet(assignment));
+  }
+  return out;
+}
+
+/**
+ * Split the trading days in a timeline into rolling in-sample /
+ * out-of-sample windows. Bounds are IST session-day starts in ms;
+ * `to` is exclusive.
+ * @param {number[]} timestamps - Candle timestamps (ms)
+ * @param {Object} opts
+ * @param {number} opts.inSampleDays
+ * @param {number} opts.outSampleDays
+ * @param {number} [opts.stepDays=outSampleDays]
+ * @returns {Array<{inSample:{from:number,to:number}, outSample:{from:number,to:number}}>}
+ */
+export function buildWalkForwardWindows(timestamps = [], opts = {}) {
+  const inSampleDays = Number(opts.inSampleDays);
+  const outSampleDays = Number(opts.outSampleDays);
+  const stepDays = Number(opts.stepDays || outSampleDays);
+  if (!(inSampleDays > 0) || !(outSampleDays > 0) || !(stepDays > 0)) {
+    throw new Error('inSampleDays, outSampleDays and stepDays must be positive');
+  }
+  const days = [...new Set(timestamps.map(istDay))].sort();
+  const bound = (i) => (i < days.length ? istDayStart(days[i]) : istDayStart(days.at(-1)) + DAY_MS);
+  const windows = [];
+  for (let i = 0; i + inSampleDays + outSampleDays <= days.length; i += stepDays) {
+    const oosStart = i + inSampleDays;
+    windows.push({
+      inSample: { from: bound(i), to: bound(oosStart) },
+      outSample: { from: bound(oosStart), to: bound(oosStart + outSampleDays) },
+    });
+  }
+  return windows;
+}
+
+/**
+ * Restrict each symbol to [from, to) plus `lookback` warm-up candles.
+ */
+export function sliceUniverse(universe = [], { from, to, lookback = 60 }) {
+  return universe
+    .map((u) => {
+      const candles = u.candles || [];
+      const ms = (c) => new Date(c.timestamp).getTime();
+      let start = candles.findIndex((c) => ms(c) >= from);
+      if (start === -1) return null;
+      let end = candles.findIndex((c) => ms(c) >= to);
+      if (end === -1) end = candles.length;
+      if (end <= start) return null;
+      start = Math.max(0, start - lookback);
+      return { ...u, candles: candles.slice(start, end) };
+    })
+    .filter(Boolean);
+}
+
+/**
+ * Daily returns from a portfolio equity curve's end-of-day marks.
+ */
+export function dailyReturns(result) {
+  const eod = (result?.equityCurve || []).filter((p) => p.kind === 'eod');
+  const returns = [];
+  let prev = result?.capital;
+  for (const point of eod) {
+    if (prev > 0) returns.push(point.equity / prev - 1);
+    prev = point.equity;
+  }
+  return returns;
+}
+
+/**
+ * Annualised Sharpe ratio of daily returns (risk-free rate of zero).
+ */
+export function sharpeRatio(returns = []) {
+  if (returns.length < 2) return 0;
+  const mean = returns.reduce((a, b) => a + b, 0) / returns.length;
+  const variance =
+    returns.reduce((a, r) => a + (r - mean) ** 2, 0) / (returns.length - 1);
+  const sd = Math.sqrt(variance);
+  return sd > 0 ? (mean / sd) * Math.sqrt(TRADING_DAYS) : 0;
+}
+
+function maxDrawdownPct(returns = []) {
+  let equity = 1;
+  let peak = 1;
+  let maxDd = 0;
+  for (const r of returns) {
+    equity *= 1 + r;
+    peak = Math.max(peak, equity);
+    maxDd = Math.max(maxDd, (peak - equity) / peak);
+  }
+  return maxDd;
+}
+
+/**
+ * Score one or more backtest results as a single return stream.
+ * @param {Object[]} results - runPortfolioBacktest outputs
+ * @returns {{sharpe:number, winRate:number, maxDrawdownPct:number, trades:number, netPnl:number}}
+ */
+export function scoreResults(results = []) {
+  const returns = results.flatMap(dailyReturns);
+  const trades = results.flatMap((r) => r?.trades || []);
+  const wins = trades.filter((t) => t.pnl > 0).length;
+  return {
+    sharpe: sharpeRatio(returns),
+    winRate: trades.length ? wins / trades.length : 0,
+    maxDrawdownPct: maxDrawdownPct(returns),
+    trades: trades.length,
+    netPnl: trades.reduce((sum, t) => sum + (t.pnl || 0), 0),
+    days: returns.length,
+  };
+}
+
+function defaultEvaluateFactory(params) {
+  return (args) =>
+    evaluateOnCandles({ ...args, filters: params.filters, config: params.strategy });
+}
+
+function rank(a, b, objective) {
+  return (b[objective] ?? 0) - (a[objective] ?? 0) || b.sharpe - a.sharpe;
+}
+
+/**
+ * Walk-forward optimisation of scanner FILTERS and strategy DEFAULT_CONFIG.
+ *
+ * Every parameter set is backtested on each in-sample and out-of-sample
+ * window. Per window the in-sample leader is recorded (the classic
+ * walk-forward pick) and its out-of-sample result is kept; those are
+ * stitched into `walkForward`, the score of the selection process itself.
+ * The winner is chosen from in-sample data only: the set picked in the most
+ * windows, ties broken by its in-sample objective, with at least `minTrades`
+ * in sample. Out-of-sample scores are reported, never used for the choice.
+ *
+ * @param {Object} options
+ * @param {Array} options.universe - As for runPortfolioBacktest
+ * @param {Object} options.space - Parameter space (see expandGrid)
+ * @param {'grid'|'random'} [options.search='grid']
+ * @param {number} [options.samples=20] - Random search draws
+ * @param {number} [options.seed=42]
+ * @param {number} options.inSampleDays
+ * @param {number} options.outSampleDays
+ * @param {number} [options.stepDays]
+ * @param {'sharpe'|'winRate'|'netPnl'} [options.objective='sharpe']
+ * @param {number} [options.minTrades=1]
+ * @param {Object} [options.backtest] - Extra runPortfolioBacktest options
+ * @param {Function} [options.evaluateFactory] - params => evaluate fn
+ * @param {Function} [options.runBacktest=runPortfolioBacktest]
+ * @param {Function} [options.onProgress]
+ * @returns {Promise<Object>} { windows, results, best, walkForward }
+ */
+export async function runWalkForward(options = {}) {
+  const {
+    universe = [],
+    space = {},
+    search = 'grid',
+    samples = 20,
+    seed = 42,
+    objective = 'sharpe',
+    minTrades = 1,
+    backtest = {},
+    evaluateFactory = defaultEvaluateFactory,
+    runBacktest = runPortfolioBacktest,
+    onProgress,
+  } = options;
+  const lookback = backtest.lookback ?? 60;
+
+  const paramSets =
+    search === 'random' ? sampleRandom(space, { samples, seed }) : expandGrid(space);
+  if (!paramSets.length) throw new Error('Parameter space is empty');
+
+  const timestamps = universe.flatMap((u) =>
+    (u.candles || []).map((c) => new Date(c.timestamp).getTime())
+  );
+  const windows = buildWalkForwardWindows(timestamps, options);
+  if (!windows.length) throw new Error('Not enough trading days for one walk-forward window');
+
+  const runSlice = async (params, { from, to }) => {
+    const slice = sliceUniverse(universe, { from, to, lookback });
+    if (!slice.length) return null;
+    return runBacktest({
+      ...backtest,
+      universe: slice,
+      tradeFrom: from,
+      evaluate: evaluateFactory(params),
+    });
+  };
+
+  const perSet = paramSets.map((params, id) => ({ id, params, inSample: [], outSample: [] }));
+  const windowReports = [];
+  const selectedOutSample = [];
+  for (const [w, window] of windows.entries()) {
+    const scored = [];
+    const oosById = new Map();
+    for (const entry of perSet) {
+      const is = await runSlice(entry.params, window.inSample);
+      const oos = await runSlice(entry.params, window.outSample);
+      if (is) entry.inSample.push(is);
+      if (oos) {
+        entry.outSample.push(oos);
+        oosById.set(entry.id, oos);
+      }
+      scored.push({
+        id: entry.id,
+        inSample: scoreResults(is ? [is] : []),
+        outSample: scoreResults(oos ? [oos] : []),
+      });
+      onProgress?.({ window: w, windows: windows.length, set: entry.id, sets: perSet.length });
+    }
+    const leader = [...scored].sort((a, b) => rank(a.inSample, b.inSample, objective))[0];
+    if (oosById.has(leader.id)) selectedOutSample.push(oosById.get(leader.id));
+    windowReports.push({
+      inSample: { from: new Date(window.inSample.from), to: new Date(window.inSample.to) },
+      outSample: { from: new Date(window.outSample.from), to: new Date(window.outSample.to) },
+      selected: leader.id,
+      selectedOutSample: leader.outSample,
+      scores: scored,
+    });
+  }
+
+  const results = perSet
+    .map((entry) => ({
+      id: entry.id,
+      params: entry.params,
+      inSample: scoreResults(entry.inSample),
+      outSample: scoreResults(entry.outSample),
+      windowsSelected: windowReports.filter((w) => w.selected === entry.id).length,
+    }))
+    .sort(
+      (a, b) =>
+        b.windowsSelected - a.windowsSelected || rank(a.inSample, b.inSample, objective)
+    );
+  const best = results.find((r) => r.inSample.trades >= minTrades) || null;
+
+  return {
+    mode: 'optimize',
+    search,
+    objective,
+    seed,
+    paramSets: paramSets.length,
+    windows: windowReports,
+    results,
+    best,
+    walkForward: scoreResults(selectedOutSample),
+  };
+}
+
+/**
+ * Persist an optimizer winner as the next version in `strategy_configs`.
+ * When `activate` is set the previous active version is retired so the
+ * scanner picks this one up on its next loadActiveStrategyConfig().
+ * @param {Object} database - Mongo Db handle
+ * @param {Object} winner - A `results` entry from runWalkForward
+ * @param {Object} [meta] - Extra fields stored alongside (runId, symbols, ...)
+ * @param {Object} [opts]
+ * @param {boolean} [opts.activate=true]
+ * @returns {Promise<Object>} stored document
+ */
+export async function saveStrategyConfig(database, winner, meta = {}, { activate = true } = {}) {
+  if (!winner?.params) throw new Error('No winning parameter set to save');
+  const col = database.collection('strategy_configs');
+  const [latest] = await col.find({}).sort({ version: -1 }).limit(1).toArray();
+  const doc = {
+    version: (latest?.version || 0) + 1,
+    active: Boolean(activate),
+    filters: winner.params.filters || {},
+    strategy: winner.params.strategy || {},
+    metrics: { inSample: winner.inSample, outSample: winner.outSample },
+    ...meta,
+    createdAt: new Date(),
+  };
+  if (activate) await col.updateMany({ active: true }, { $set: { active: false } });
+  await col.insertOne(doc);
+  return doc;
+}
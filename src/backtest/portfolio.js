@@ -0,0 +1,334 @@
+import { createBacktestClock } from './clock.js';
+import {
+  computeDynamicExitPlan,
+  evaluateExit,
+  evaluateOnCandles,
+  takeScaleOut,
+  updateDynamicExitPlan,
+} from './engine.js';
+import {
+  openPositions,
+  checkExposureLimits,
+  preventReEntry,
+  releasePosition,
+  clearPortfolioState,
+  setPortfolioClock,
+  resetPortfolioClock,
+} from '../../portfolioContext.js';
+import {
+  riskState,
+  resetRiskState,
+  recordTradeResult,
+  sessionLimitBreach,
+  setRiskClock,
+  resetRiskClock,
+} from '../../riskEngine.js';
+import { calculatePositionSize } from '../../positionSizing.js';
+import { applyCosts, bookExitLeg, computeMetrics } from './accounting.js';
+
+const IST_OFFSET_MS = 330 * 60 * 1000;
+
+function istDay(ms) {
+  return new Date(ms + IST_OFFSET_MS).toISOString().slice(0, 10);
+}
+
+function strategyOf(signal = {}) {
+  return (
+    signal.pattern ||
+    signal.strategy ||
+    signal.algoSignal?.strategy ||
+    'unknown'
+  );
+}
+
+function groupMetrics(trades, keyFn) {
+  const groups = {};
+  for (const t of trades) {
+    const key = keyFn(t);
+    (groups[key] ||= []).push(t);
+  }
+  return Object.fromEntries(
+    Object.entries(groups).map(([k, list]) => [k, computeMetrics(list)])
+  );
+}
+
+// Session loss limits as enforced by riskEngine.isSignalValid.
+function riskLimitBreach() {
+  return sessionLimitBreach(riskState)?.code ?? (riskState.systemPaused ? 'systemPaused' : null);
+}
+
+/**
+ * Walk every symbol in the universe on one shared clock and trade them as a
+ * single portfolio, applying the same portfolio gates, sizing and risk
+ * limits as the live pipeline.
+ *
+ * @param {Object} options
+ * @param {Array<{symbol:string, token?:string|number, sector?:string, candles:Array}>} options.universe
+ * @param {number} [options.capital=100000]
+ * @param {number} [options.riskPerTrade=0.01] - Fraction of equity risked per trade
+ * @param {number} [options.lookback=60] - Candles passed to the evaluator
+ * @param {number} [options.targetRR=2]
+ * @param {number} [options.maxOpenPositions=0] - 0 disables the cap
+ * @param {number} [options.reentryWindowMs=900000]
+ * @param {Object} [options.exposure] - Extra checkExposureLimits options
+ * @param {Object} [options.risk] - Overrides for maxDailyLoss / maxLossStreak
+ * @param {Object} [options.costs] - Passed through to applyCosts
+ * @param {Object} [options.scaleOut] - { pct, after } scale-out plan (see computeDynamicExitPlan)
+ * @param {Function} [options.evaluate] - ({candles, symbol}) => signal; defaults to the scanner
+ * @param {number|Date} [options.tradeFrom] - Candles before this only serve as lookback warm-up
+ * @returns {Promise<Object>} portfolio run summary
+ */
+export async function runPortfolioBacktest(options = {}) {
+  const {
+    universe = [],
+    capital = 100000,
+    riskPerTrade = 0.01,
+    lookback = 60,
+    targetRR = 2,
+    maxOpenPositions = 0,
+    reentryWindowMs = 15 * 60 * 1000,
+    exposure = {},
+    risk = {},
+    costs = {},
+    scaleOut = null,
+    evaluate = evaluateOnCandles,
+  } = options;
+  const tradeFrom = options.tradeFrom != null ? new Date(options.tradeFrom).getTime() : null;
+
+  const series = universe
+    .filter((u) => u?.symbol && Array.isArray(u.candles) && u.candles.length)
+    .map((u) => ({
+      ...u,
+      sector: u.sector || 'GEN',
+      candles: u.candles,
+      indexByTs: new Map(u.candles.map((c, i) => [new Date(c.timestamp).getTime(), i])),
+    }));
+  const timeline = [
+    ...new Set(series.flatMap((s) => [...s.indexByTs.keys()])),
+  ]
+    .filter((ts) => tradeFrom == null || ts >= tradeFrom)
+    .sort((a, b) => a - b);
+  if (!timeline.length) throw new Error('No candles in universe');
+
+  const clock = options.clock || createBacktestClock(timeline[0]);
+  setPortfolioClock(clock);
+  setRiskClock(clock);
+  clearPortfolioState();
+
+  // Live riskState tracks equity as session PnL from zero; seed it with the
+  // portfolio equity so the drawdown guard is measured against capital.
+  const primeRiskState = (equity) => {
+    resetRiskState();
+    riskState.equity = equity;
+    riskState.equityPeak = equity;
+    if (Number.isFinite(risk.maxDailyLoss)) riskState.maxDailyLoss = risk.maxDailyLoss;
+    if (Number.isFinite(risk.maxLossStreak)) riskState.maxLossStreak = risk.maxLossStreak;
+  };
+
+  const openTrades = new Map(); // symbol -> trade
+  const lastClose = new Map();
+  const trades = [];
+  const equityCurve = [];
+  const rejections = {};
+  let realized = 0;
+  let maxConcurrentPositions = 0;
+  let currentDay = null;
+
+  const reject = (reason) => {
+    rejections[reason] = (rejections[reason] || 0) + 1;
+  };
+  const markToMarket = () => {
+    let unrealized = 0;
+    for (const t of openTrades.values()) {
+      const px = lastClose.get(t.symbol) ?? t.entryPrice;
+      unrealized += (t.side === 'Long' ? px - t.entryPrice : t.entryPrice - px) * (t.openQty ?? t.qty);
+    }
+    return unrealized;
+  };
+  const pushEquity = (ts, kind) => {
+    const unrealized = markToMarket();
+    equityCurve.push({
+      ts: new Date(ts),
+      kind,
+      equity: capital + realized + unrealized,
+      realized,
+      unrealized,
+      openPositions: openTrades.size,
+    });
+  };
+
+  // T1 of a scale-out: realize the leg and shrink the position
+  const scaleOutTrade = (trade, { price, ts }) => {
+    const leg = bookExitLeg(trade, { price, qty: trade.plan.scaleOut.qty, reason: 'target1', at: ts, costs });
+    takeScaleOut(trade.plan, price);
+    realized += leg.pnl;
+    const pos = openPositions.get(trade.symbol);
+    if (pos) openPositions.set(trade.symbol, { ...pos, qty: trade.openQty });
+    pushEquity(ts, 'partial');
+  };
+
+  const closeTrade = (trade, { price, reason, ts }) => {
+    const earlier = (trade.legs || []).reduce((n, l) => n + l.pnl, 0);
+    bookExitLeg(trade, { price, reason, at: ts, costs });
+    delete trade.plan;
+    realized += trade.pnl - earlier;
+    openTrades.delete(trade.symbol);
+    releasePosition(trade.symbol);
+    recordTradeResult({
+      pnl: trade.pnl,
+      risk: trade.riskAmount,
+      symbol: trade.symbol,
+      sector: trade.sector,
+      strategy: trade.strategy,
+    });
+    trades.push(trade);
+    pushEquity(ts, 'exit');
+  };
+
+  try {
+    for (const ts of timeline) {
+      clock.set(ts);
+      const day = istDay(ts);
+      if (day !== currentDay) {
+        if (currentDay) pushEquity(ts - 1, 'eod');
+        currentDay = day;
+        // Mirror the daily reset isSignalValid performs on a new session.
+        primeRiskState(capital + realized);
+      }
+
+      for (const s of series) {
+        const idx = s.indexByTs.get(ts);
+        if (idx == null) continue;
+        const candle = s.candles[idx];
+        lastClose.set(s.symbol, Number(candle.close));
+        const trade = openTrades.get(s.symbol);
+        if (!trade || trade.entryIndex >= idx) continue;
+        updateDynamicExitPlan(trade.plan, candle);
+        const hit = evaluateExit(trade.plan, candle);
+        if (hit?.partial) scaleOutTrade(trade, { price: hit.exit, ts });
+        else if (hit) closeTrade(trade, { price: hit.exit, reason: hit.reason, ts });
+      }
+
+      for (const s of series) {
+        const idx = s.indexByTs.get(ts);
+        if (idx == null || idx < lookback || openTrades.has(s.symbol)) continue;
+        const breach = riskLimitBreach();
+        if (breach) {
+          reject(breach);
+          continue;
+        }
+        const history = s.candles.slice(idx - lookback, idx + 1);
+        const signal = await evaluate({ candles: history, symbol: s.symbol });
+        if (!signal?.entry || !signal?.stopLoss) continue;
+
+        if (!preventReEntry(s.symbol, reentryWindowMs)) {
+          reject('reEntry');
+          continue;
+        }
+        if (maxOpenPositions > 0 && openTrades.size >= maxOpenPositions) {
+          reject('maxOpenPositions');
+          continue;
+        }
+        const equity = capital + realized;
+        const entry = Number(signal.entry);
+        const slPoints = Math.abs(entry - Number(signal.stopLoss));
+        const side = signal.direction === 'Short' ? 'Short' : 'Long';
+        const qty = calculatePositionSize({
+          capital: equity,
+          risk: riskPerTrade,
+          slPoints,
+          price: entry,
+          lotSize: signal.lotSize || 1,
+          direction: side,
+          product: costs.product,
+          includeCharges: costs.charges !== false,
+        });
+        if (!(qty > 0)) {
+          reject('sizing');
+          continue;
+        }
+        const sector = signal.sector || s.sector;
+        const exposureOk = checkExposureLimits({
+          symbol: s.symbol,
+          tradeValue: entry * qty,
+          sector,
+          totalCapital: equity,
+          ...exposure,
+        });
+        if (!exposureOk) {
+          reject('exposure');
+          continue;
+        }
+        const plan = computeDynamicExitPlan(signal, { atr: signal.atr, targetRR, qty, scaleOut });
+        if (!plan) continue;
+
+        const exec = applyCosts({
+          side: side === 'Long' ? 'buy' : 'sell',
+          price: entry,
+          qty,
+          ...costs,
+        });
+        const strategy = strategyOf(signal);
+        const trade = {
+          symbol: s.symbol,
+          token: s.token ?? null,
+          sector,
+          strategy,
+          side,
+          qty,
+          entryIndex: idx,
+          entryAt: new Date(ts),
+          entryPrice: exec.tradedPrice,
+          totalFees: exec.fees,
+          riskAmount: slPoints * qty,
+          plan,
+        };
+        openTrades.set(s.symbol, trade);
+        openPositions.set(s.symbol, {
+          symbol: s.symbol,
+          side: side === 'Long' ? 'buy' : 'sell',
+          qty,
+          entryPrice: exec.tradedPrice,
+          sector,
+          strategy,
+        });
+        maxConcurrentPositions = Math.max(maxConcurrentPositions, openTrades.size);
+      }
+    }
+
+    const endTs = timeline.at(-1);
+    for (const trade of [...openTrades.values()]) {
+      closeTrade(trade, {
+        price: lastClose.get(trade.symbol) ?? trade.entryPrice,
+        reason: 'end',
+        ts: endTs,
+      });
+    }
+    pushEquity(endTs, 'eod');
+  } finally {
+    clearPortfolioState();
+    resetRiskState();
+    resetPortfolioClock();
+    resetRiskClock();
+  }
+
+  const metrics = computeMetrics(trades);
+  return {
+    mode: 'portfolio',
+    symbols: series.map((s) => s.symbol),
+    startedAt: new Date(timeline[0]),
+    endedAt: new Date(timeline.at(-1)),
+    capital,
+    metrics: {
+      ...metrics,
+      finalEquity: capital + realized,
+      returnPct: capital ? realized / capital : 0,
+      maxConcurrentPositions,
+    },
+    equityCurve,
+    bySymbol: groupMetrics(trades, (t) => t.symbol),
+    byStrategy: groupMetrics(trades, (t) => t.strategy),
+    rejections,
+    trades,
+  };
+}
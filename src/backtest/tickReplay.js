@@ -0,0 +1,316 @@
+import fs from 'fs';
+import readline from 'readline';
+import { createBacktestClock } from './clock.js';
+
+const DEFAULT_MAX_IDLE_MS = 5000;
+const DEFAULT_TIMER_CATCHUP = 5;
+
+function toMs(value) {
+  if (value == null || value === '') return undefined;
+  if (value instanceof Date) return value.getTime();
+  if (typeof value === 'number') return Number.isFinite(value) ? value : undefined;
+  const asNum = Number(value);
+  if (Number.isFinite(asNum)) return asNum;
+  const parsed = Date.parse(value);
+  return Number.isFinite(parsed) ? parsed : undefined;
+}
+
+/**
+ * Normalize a stored tick (tick_data doc or JSONL row) into a replay event.
+ * The tick keeps its Kite shape; `timestamp` is filled from the exchange
+ * time so the aligner buckets it by replay time rather than wall time.
+ * @param {Object} raw
+ * @returns {{ts:number, tick:Object}|null}
+ */
+export function normalizeReplayTick(raw = {}) {
+  if (!raw || typeof raw !== 'object') return null;
+  const { _id, token, ...rest } = raw;
+  const instrumentToken = Number(rest.instrument_token ?? token);
+  if (!Number.isFinite(instrumentToken)) return null;
+  const ts = toMs(
+    rest.exchange_timestamp ?? rest.timestamp ?? rest.last_trade_time ?? rest.ts
+  );
+  if (ts == null) return null;
+  return {
+    ts,
+    tick: {
+      ...rest,
+      instrument_token: instrumentToken,
+      timestamp: new Date(ts),
+    },
+  };
+}
+
+function sortEvents(events) {
+  return events
+    .filter(Boolean)
+    .map((e, i) => ({ ...e, i }))
+    .sort((a, b) => a.ts - b.ts || a.i - b.i)
+    .map(({ i, ...e }) => e);
+}
+
+/**
+ * Load ticks from a JSONL file (one Kite tick per line).
+ * @param {string} filePath
+ * @param {Object} [opts]
+ * @param {number|string|Date} [opts.from]
+ * @param {number|string|Date} [opts.to]
+ * @param {Array<number|string>} [opts.tokens]
+ * @returns {Promise<Array<{ts:number, tick:Object}>>}
+ */
+export async function loadTicksFromJsonl(filePath, opts = {}) {
+  const from = toMs(opts.from);
+  const to = toMs(opts.to);
+  const tokens = opts.tokens?.length ? new Set(opts.tokens.map(Number)) : null;
+  const events = [];
+  const rl = readline.createInterface({
+    input: fs.createReadStream(filePath),
+    crlfDelay: Infinity,
+  });
+  for await (const line of rl) {
+    const trimmed = line.trim();
+    if (!trimmed) continue;
+    let row;
+    try {
+      row = JSON.parse(trimmed);
+    } catch {
+      continue;
+    }
+    const ev = normalizeReplayTick(row);
+    if (!ev) continue;
+    if (from != null && ev.ts < from) continue;
+    if (to != null && ev.ts > to) continue;
+    if (tokens && !tokens.has(ev.tick.instrument_token)) continue;
+    events.push(ev);
+  }
+  return sortEvents(events);
+}
+
+/**
+ * Load ticks flushed to the `tick_data` collection. Read-only: unlike the
+ * live restore path the documents are left in place.
+ * @param {Object} database - Mongo Db handle
+ * @param {Object} [opts]
+ * @returns {Promise<Array<{ts:number, tick:Object}>>}
+ */
+export async function loadTicksFromCollection(database, opts = {}) {
+  const from = toMs(opts.from);
+  const to = toMs(opts.to);
+  const query = {};
+  if (opts.tokens?.length) query.token = { $in: opts.tokens.map(Number) };
+  if (from != null || to != null) {
+    const range = {};
+    if (from != null) range.$gte = new Date(from);
+    if (to != null) range.$lte = new Date(to);
+    query.$or = [
+      { exchange_timestamp: range },
+      { timestamp: range },
+      { last_trade_time: range },
+    ];
+  }
+  const docs = await database
+    .collection(opts.collection || 'tick_data')
+    .find(query)
+    .toArray();
+  return sortEvents(docs.map(normalizeReplayTick));
+}
+
+/**
+ * Create a replay controller that emits recorded ticks in timestamp order
+ * and advances a backtest clock as it goes.
+ *
+ * Ticks sharing a timestamp are delivered as one batch, like a ticker
+ * "ticks" event. Periodic `timers` run on simulated time (e.g. the candle
+ * processors that the live feed runs on setInterval) and are awaited
+ * before the next batch so downstream state is deterministic.
+ *
+ * @param {Object} options
+ * @param {Array<{ts:number, tick:Object}>} options.events - Sorted events
+ * @param {(ticks:Object[], ts:number) => any} options.onTicks
+ * @param {Array<{everyMs:number, run:(ts:number)=>any}>} [options.timers]
+ * @param {Object} [options.clock] - Clock with set()/now(); created if omitted
+ * @param {number} [options.speed=1] - 1 = real time, 10 = 10x, 0 = as fast as possible
+ * @param {number} [options.maxIdleMs=5000] - Cap on wall-clock wait between batches
+ * @param {Function} [options.onEnd]
+ * @returns {Object} controller with start/pause/resume/seek/setSpeed/stop/status
+ */
+export function createTickReplay(options = {}) {
+  const {
+    events = [],
+    onTicks,
+    timers = [],
+    maxIdleMs = DEFAULT_MAX_IDLE_MS,
+    timerCatchup = DEFAULT_TIMER_CATCHUP,
+    onEnd,
+  } = options;
+  if (typeof onTicks !== 'function') throw new Error('onTicks is required');
+  const clock = options.clock || createBacktestClock(events[0]?.ts ?? 0);
+  let speed = Number.isFinite(options.speed) ? Math.max(0, options.speed) : 1;
+  let cursor = 0;
+  let state = 'idle';
+  let lastTs = null;
+  let emitted = 0;
+  let wake = null;
+  let resumeGate = null;
+  let running = null;
+
+  const schedule = timers
+    .filter((t) => t && t.everyMs > 0 && typeof t.run === 'function')
+    .map((t) => ({ ...t, nextDue: null }));
+
+  function alignTimers(fromTs) {
+    for (const t of schedule) {
+      t.nextDue = Math.floor(fromTs / t.everyMs) * t.everyMs + t.everyMs;
+    }
+  }
+
+  function interrupt() {
+    if (wake) wake();
+  }
+
+  function sleep(ms) {
+    return new Promise((resolve) => {
+      const timer = setTimeout(() => {
+        wake = null;
+        resolve();
+      }, ms);
+      wake = () => {
+        clearTimeout(timer);
+        wake = null;
+        resolve();
+      };
+    });
+  }
+
+  async function fireTimers(uptoTs) {
+    for (;;) {
+      let due = null;
+      for (const t of schedule) {
+        if (t.nextDue <= uptoTs && (!due || t.nextDue < due.nextDue)) due = t;
+      }
+      if (!due) return;
+      // Skip long idle stretches (overnight, lunch gaps in data) instead of
+      // running thousands of empty cycles.
+      const behind = Math.floor((uptoTs - due.nextDue) / due.everyMs);
+      if (behind > timerCatchup) due.nextDue += (behind - timerCatchup) * due.everyMs;
+      clock.set(due.nextDue);
+      const at = due.nextDue;
+      due.nextDue += due.everyMs;
+      await due.run(at);
+    }
+  }
+
+  async function loop() {
+    if (lastTs == null && events.length) alignTimers(events[cursor]?.ts ?? events[0].ts);
+    while (cursor < events.length && state !== 'stopped') {
+      if (state === 'paused') {
+        await new Promise((resolve) => {
+          resumeGate = resolve;
+        });
+        continue;
+      }
+      const ts = events[cursor].ts;
+      if (speed > 0 && lastTs != null && ts > lastTs) {
+        const waitMs = Math.min((ts - lastTs) / speed, maxIdleMs);
+        if (waitMs > 0) {
+          const before = cursor;
+          await sleep(waitMs);
+          if (state !== 'running' || cursor !== before) continue;
+        }
+      }
+      await fireTimers(ts);
+      if (state === 'stopped') break;
+      const batch = [];
+      while (cursor < events.length && events[cursor].ts === ts) {
+        batch.push(events[cursor].tick);
+        cursor += 1;
+      }
+      clock.set(ts);
+      lastTs = ts;
+      emitted += batch.length;
+      await onTicks(batch, ts);
+    }
+    const finished = cursor >= events.length && state !== 'stopped';
+    if (finished && lastTs != null) {
+      // Let the periodic processors run once more past the final tick so
+      // the last open candle is finalized and evaluated.
+      const tail = Math.max(0, ...schedule.map((t) => t.everyMs));
+      await fireTimers(lastTs + tail);
+    }
+    state = finished ? 'finished' : 'stopped';
+    if (onEnd) await onEnd(status());
+    return status();
+  }
+
+  function status() {
+    return {
+      state,
+      speed,
+      cursor,
+      total: events.length,
+      emitted,
+      simTime: lastTs,
+      from: events[0]?.ts ?? null,
+      to: events.at(-1)?.ts ?? null,
+    };
+  }
+
+  return {
+    clock,
+    start() {
+      if (running) return running;
+      state = 'running';
+      running = loop();
+      return running;
+    },
+    pause() {
+      if (state === 'running') {
+        state = 'paused';
+        interrupt();
+      }
+      return status();
+    },
+    resume() {
+      if (state === 'paused') {
+        state = 'running';
+        const gate = resumeGate;
+        resumeGate = null;
+        gate?.();
+      }
+      return status();
+    },
+    /**
+     * Jump to the first tick at or after `target` (ms or date string).
+     * Timers are re-aligned so skipped intervals do not fire.
+     */
+    seek(target) {
+      const ms = toMs(target);
+      if (ms == null) return status();
+      let idx = events.findIndex((e) => e.ts >= ms);
+      if (idx === -1) idx = events.length;
+      cursor = idx;
+      lastTs = null;
+      alignTimers(ms);
+      clock.set(ms);
+      interrupt();
+      return status();
+    },
+    setSpeed(next) {
+      const n = Number(next);
+      if (Number.isFinite(n) && n >= 0) {
+        speed = n;
+        interrupt();
+      }
+      return status();
+    },
+    stop() {
+      state = 'stopped';
+      interrupt();
+      const gate = resumeGate;
+      resumeGate = null;
+      gate?.();
+      return running || Promise.resolve(status());
+    },
+    status,
+  };
+}
@@ -1,6 +1,12 @@
 // src/routes/admin.routes.js
 import { Router } from "express";
+import { requireRole, requireConfirmation } from "../../auth.js";
 import { resetAllCollections } from "../controllers/admin.controller.js";
 const router = Router();
-router.delete("/reset", resetAllCollections);
+router.delete(
+  "/reset",
+  requireRole("admin"),
+  requireConfirmation("reset"),
+  resetAllCollections
+);
 export default router;
@@ -1,10 +1,11 @@
 // src/routes/market.routes.js
 import { Router } from "express";
+import { requireRole } from "../../auth.js";
 import {
   setIntervalController,
   fetchIntradayData,
 } from "../controllers/market.controller.js";
 const router = Router();
-router.post("/set-interval", setIntervalController);
-router.post("/fetch-intraday-data", fetchIntradayData);
+router.post("/set-interval", requireRole("trader"), setIntervalController);
+router.post("/fetch-intraday-data", requireRole("trader"), fetchIntradayData);
 export default router;
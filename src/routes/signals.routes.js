@@ -1,10 +1,11 @@
 // src/routes/signals.routes.js
 import { Router } from "express";
+import { requireRole } from "../../auth.js";
 import {
   listSignals,
   getSignalsHistory,
 } from "../controllers/signals.controller.js";
 const router = Router();
-router.get("/signals", listSignals);
-router.get("/signal-history", getSignalsHistory);
+router.get("/signals", requireRole("viewer"), listSignals);
+router.get("/signal-history", requireRole("viewer"), getSignalsHistory);
 export default router;
@@ -1,12 +1,18 @@
 // src/routes/symbols.routes.js
 import { Router } from "express";
+import { requireRole, requireConfirmation } from "../../auth.js";
 import {
   addStockSymbol,
   getStockSymbols,
   deleteStockSymbol,
 } from "../controllers/symbols.controller.js";
 const router = Router();
-router.post("/addStockSymbol", addStockSymbol);
-router.get("/stockSymbols", getStockSymbols);
-router.delete("/stockSymbols/:symbol", deleteStockSymbol);
+router.post("/addStockSymbol", requireRole("trader"), addStockSymbol);
+router.get("/stockSymbols", requireRole("viewer"), getStockSymbols);
+router.delete(
+  "/stockSymbols/:symbol",
+  requireRole("admin"),
+  requireConfirmation((req) => `deleteSymbol:${req.params.symbol}`),
+  deleteStockSymbol
+);
 export default router;
@@ -1,11 +1,14 @@
 // src/sockets/io.js
 import { Server } from "socket.io";
 import { corsOptions } from "../config/cors.js";
+import { socketAuth } from "../../auth.js";
 
 let io;
 
 export function initIO(server) {
   io = new Server(server, { cors: corsOptions });
+  // Handshake must carry auth.token (API key or JWT); see auth.js
+  io.use(socketAuth);
   io.on("connection", (socket) => {
     console.log("✅ Client connected:", socket.id);
     socket.emit("serverMessage", "Connected to backend.");
@@ -13,6 +13,7 @@ import {
 import { confirmRetest, detectAllPatterns, sanitizeCandles } from "./util.js";
 import { validateATRStopLoss, adjustStopLoss } from "./riskValidator.js";
 import { riskDefaults } from "./riskConfig.js";
+import { strategyRegistry, strategyIdFromName } from "./strategyRegistry.js";
 
 // Indicator helpers imported above return only the latest scalar value.
 // Any indicator series needed by strategies should be generated locally
@@ -612,7 +613,7 @@ function detectMultiTimeFrameAlignment(candles) {
   return null;
 }
 
-function detectEarningsGapReversal(candles) {
+function detectEarningsGapReversal(candles, ctx = {}) {
   if (candles.length < 5) return null;
   const last = candles.at(-1);
   const prev = candles.at(-2);
@@ -621,7 +622,16 @@ function detectEarningsGapReversal(candles) {
     last.close < last.open &&
     last.high - last.low > prev.high - prev.low
   ) {
-    return { name: "Earnings Gap Reversal", confidence: 0.55 };
+    // Results announced today or after yesterday's close confirm the gap's cause
+    const earnings = ctx.events?.symbolEvents?.find(
+      (e) => e.type === "earnings" && e.daysSince >= 0 && e.daysSince <= 1
+    );
+    if (!earnings) return { name: "Earnings Gap Reversal", confidence: 0.55 };
+    return {
+      name: "Earnings Gap Reversal",
+      confidence: 0.65,
+      meta: { event: { type: earnings.type, date: earnings.date } },
+    };
   }
   return null;
 }
@@ -1542,7 +1552,7 @@ function detectInstitutionalFootprintBreakout(candles) {
   return null;
 }
 
-function detectEventVolatilityTrap(candles) {
+function detectEventVolatilityTrap(candles, ctx = {}) {
   if (candles.length < 3) return null;
   const last = candles.at(-1);
   const prev = candles.at(-2);
@@ -1550,7 +1560,14 @@ function detectEventVolatilityTrap(candles) {
     last.high - last.low > (prev.high - prev.low) * 1.5 &&
     last.close < prev.close
   ) {
-    return { name: "Event Volatility Trap + Spike Fade", confidence: 0.55 };
+    // A spike inside a scheduled event window is the setup this fades
+    const event = ctx.events?.active?.[0];
+    if (!event) return { name: "Event Volatility Trap + Spike Fade", confidence: 0.55 };
+    return {
+      name: "Event Volatility Trap + Spike Fade",
+      confidence: 0.65,
+      meta: { event: { type: event.type, date: event.date, phase: event.phase } },
+    };
   }
   return null;
 }
@@ -1784,6 +1801,71 @@ export const DETECTORS = [
   detectBearTrapAfterGapDown,
 ];
 
+// Features computed once per evaluateStrategies call and shared by detectors
+const DETECTOR_FEATURES = [
+  "ema9",
+  "ema21",
+  "ema50",
+  "ema200",
+  "rsi",
+  "atr",
+  "macd",
+  "ttmSqueeze",
+  "macdHist",
+  "zScore",
+  "rvol",
+  "vwap",
+];
+
+// Registry metadata that cannot be inferred from the detector name
+const DETECTOR_OVERRIDES = {
+  detectEmaCrossover: { category: "trend" },
+  detectSupertrendRsi: { category: "trend", features: ["rsi", "atr"] },
+  detectRelativeStrength: { category: "momentum", features: ["rsScore"] },
+  detectTrendExhaustion: { category: "mean-reversion", features: ["rsi"] },
+  detectParabolicExhaustion: { category: "mean-reversion", features: ["rsi"] },
+  detectRangeCompressionRsiFlush: { features: ["rsi"] },
+  detectMarketSentimentReversal: { category: "mean-reversion", features: ["rsi"] },
+  detectBreakoutAboveResistance: { features: ["atr"] },
+  detectBreakdownBelowSupport: { features: ["atr"] },
+  detectTtmSqueezeBreakout: { features: ["ttmSqueeze", "macdHist"] },
+  detectEarningsGapReversal: { category: "news-event" },
+  detectNewsVolatilityTrap: { category: "news-event" },
+  detectEventVolatilityTrap: { category: "news-event" },
+  detectDeltaDivergence: { features: ["orderFlowDelta"] },
+};
+
+function detectorCategory(name) {
+  const s = name.replace(/^detect/, "").toLowerCase();
+  if (/reversal|bounce|pullback|snapback|trap|fill|divergence|exhaustion/.test(s))
+    return "mean-reversion";
+  return resolveCategory("", s);
+}
+
+function detectorDirection(name) {
+  const s = name.toLowerCase();
+  if (s.includes("bulltrap")) return "Short";
+  if (s.includes("beartrap")) return "Long";
+  if (/bear|short|breakdown|gapdown|top$/.test(s)) return "Short";
+  if (/bull|long|gapup|bottom|demand|hammer|runaway/.test(s)) return "Long";
+  return "both";
+}
+
+for (const fn of DETECTORS) {
+  const res = strategyRegistry.register({
+    id: strategyIdFromName(fn.name),
+    name: fn.name,
+    kind: "detector",
+    category: detectorCategory(fn.name),
+    direction: detectorDirection(fn.name),
+    features: DETECTOR_FEATURES,
+    timeframes: ["1m"],
+    detect: fn,
+    ...DETECTOR_OVERRIDES[fn.name],
+  });
+  if (!res.ok) console.error(`[strategies] ${fn.name} not registered:`, res.errors.join("; "));
+}
+
 function computeTrendAlignment(direction, features = {}) {
   const { ema9, ema21, ema50, ema200 } = features;
   if ([ema9, ema21, ema50, ema200].every((n) => typeof n === "number")) {
@@ -1965,6 +2047,7 @@ function normalizeResult(
   return {
     name: raw.name,
     type: raw.type || "Event",
+    strategyId: raw.strategyId,
     direction: dir,
     entry,
     stopLoss,
@@ -2028,20 +2111,7 @@ export function evaluateStrategies(
     computeFeatures(clean, {
       seriesKey: seriesKeyFor(context, "strategy"),
       supertrendSettings: { atrLength: 10, multiplier: 3 },
-      only: [
-        "ema9",
-        "ema21",
-        "ema50",
-        "ema200",
-        "rsi",
-        "atr",
-        "macd",
-        "ttmSqueeze",
-        "macdHist",
-        "zScore",
-        "rvol",
-        "vwap",
-      ],
+      only: DETECTOR_FEATURES,
       benchmarkCloses: context.benchmarkCloses,
       rsLookback: context.rsLookback ?? 20,
       vwapMode: cfg?.vwapMode || "rolling",
@@ -2058,6 +2128,8 @@ export function evaluateStrategies(
       : getATR(clean, 14) || 0;
   const features = { ...computedFeatures, atr };
   const ctx = { ...context, atr };
+  // context.regime is the market regime; ctx.regime is rebinned to ATR volatility below
+  const marketRegime = context.marketRegime ?? context.regime;
   if (preRange) ctx.preMarketRange = preRange;
   if (openRange) ctx.openRange = openRange;
   if (typeof features.zScore === "number") {
@@ -2069,7 +2141,12 @@ export function evaluateStrategies(
         ? "high"
         : "normal";
   }
-  let results = DETECTORS.map((fn) => fn(clean, { ...ctx, features }, cfg))
+  const detectors = strategyRegistry.active("detector", {
+    symbol: ctx.symbol,
+    regime: marketRegime,
+  });
+  let results = detectors
+    .map((def) => strategyRegistry.run(def, clean, { ...ctx, features }, cfg))
     .filter(Boolean)
     .map((r) =>
       normalizeResult(
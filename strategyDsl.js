@@ -0,0 +1,925 @@
+// strategyDsl.js
+// Declarative setups for analysts: a JSON (or YAML) rule over the fields
+// computeFeatures produces is compiled into a detector and installed in the
+// strategy registry, so it runs inside evaluateStrategies like the hand
+// written ones. Rules live in `strategy_rules`; a new rule is disabled until
+// it is enabled through PATCH /admin/strategies/:id, and can be dry-run on
+// stored candles first.
+//
+//   {
+//     "id": "ema-cross-rsi",
+//     "direction": "Long",
+//     "when": ["ema9 crosses_above ema21", "rsi > params.minRsi", { "any": ["rvol >= 1.5", "close > vwap"] }],
+//     "stopLoss": "lowest(low, 5) - 0.25 * atr",
+//     "targets": ["entry + 2 * risk", "entry + 3 * risk"],
+//     "params": { "minRsi": 55 }
+//   }
+//
+// Expressions: numbers, 'strings', candle fields (open high low close volume),
+// features (ema9, rsi, atr, supertrend.level, ...), params.<name>, + - * / and
+// parentheses, `x[n]` for the value n bars ago, and highest/lowest/avg/sum(x, n),
+// change(x, n), abs(x), min(a, b), max(a, b). Conditions compare two
+// expressions with > >= < <= == != crosses_above crosses_below and combine as
+// arrays (all), { all }, { any }, { not } and { within: n, when } (true on any
+// of the last n bars). Lookbacks must be literal integers.
+import { computeFeatures } from './featureEngine.js';
+import { strategyRegistry, STRATEGY_CATEGORIES, MARKET_REGIMES } from './strategyRegistry.js';
+import { tradingCalendar, istDate } from './tradingCalendar.js';
+import { corporateActions } from './corporateActions.js';
+import { evaluateExit } from './src/backtest/engine.js';
+
+export const STRATEGY_RULE_COLLECTION = 'strategy_rules';
+export const MAX_LOOKBACK = 200;
+
+const CANDLE_FIELDS = ['open', 'high', 'low', 'close', 'volume'];
+// Bars fed to computeFeatures per evaluated bar, live and in dry runs
+export const FEATURE_WINDOW = 300;
+// Dry-run bounds: bars loaded per request and default holding period
+export const MAX_DRY_RUN_BARS = 3000;
+const DEFAULT_MAX_HOLD_BARS = 60;
+
+// Feature name -> computeFeatures `only` key (null: always computed)
+export const RULE_FEATURES = Object.freeze({
+  ema9: 'ema9',
+  ema21: 'ema21',
+  ema50: 'ema50',
+  ema200: 'ema200',
+  sma50: null,
+  macd: 'macd',
+  macdHist: 'macdHist',
+  adx: null,
+  plusDI: null,
+  minusDI: null,
+  rsi: 'rsi',
+  stochastic: null,
+  cci: null,
+  roc: null,
+  williamsR: null,
+  bollinger: 'bollinger',
+  bollingerPB: null,
+  keltner: 'keltner',
+  donchian: 'donchian',
+  atr: 'atr',
+  atr14: 'atr',
+  supertrend: 'supertrend',
+  vwap: 'vwap',
+  anchoredVwap: null,
+  obv: null,
+  cmf: null,
+  mfi: null,
+  ttmSqueeze: 'ttmSqueeze',
+  zScore: 'zScore',
+  emaSlope: null,
+  trendStrength: null,
+  avgVolume: null,
+  rvol: null,
+  psar: null,
+  stdDev: null,
+});
+
+const FUNCTIONS = {
+  highest: { args: 2, window: true },
+  lowest: { args: 2, window: true },
+  avg: { args: 2, window: true },
+  sum: { args: 2, window: true },
+  change: { args: 2, window: true },
+  abs: { args: 1 },
+  min: { args: 2 },
+  max: { args: 2 },
+};
+
+const COMPARATORS = ['>=', '<=', '==', '!=', '>', '<', 'crosses_above', 'crosses_below'];
+
+class RuleError extends Error {}
+
+// ---------------------------------------------------------------------------
+// Expressions
+
+function tokenize(src) {
+  const tokens = [];
+  const re = /\s*(?:(\d+(?:\.\d+)?)|([A-Za-z_][A-Za-z0-9_]*)|('[^']*'|"[^"]*")|(>=|<=|==|!=|[-+*/()[\],.<>]))/y;
+  let pos = 0;
+  const text = String(src);
+  while (pos < text.length) {
+    if (/^\s*$/.test(text.slice(pos))) break;
+    re.lastIndex = pos;
+    const m = re.exec(text);
+    if (!m) throw new RuleError(`unexpected "${text.slice(pos).trim()[0]}" at ${pos}`);
+    if (m[1] !== undefined) tokens.push({ type: 'num', value: Number(m[1]) });
+    else if (m[2] !== undefined) tokens.push({ type: 'id', value: m[2] });
+    else if (m[3] !== undefined) tokens.push({ type: 'str', value: m[3].slice(1, -1) });
+    else tokens.push({ type: 'op', value: m[4] });
+    pos = re.lastIndex;
+  }
+  return tokens;
+}
+
+const num = (v) => (typeof v === 'number' && Number.isFinite(v) ? v : null);
+const arith = {
+  '+': (a, b) => a + b,
+  '-': (a, b) => a - b,
+  '*': (a, b) => a * b,
+  '/': (a, b) => (b === 0 ? null : a / b),
+};
+
+function windowFn(name, inner, n) {
+  return (s, off) => {
+    if (name === 'change') {
+      const a = num(inner(s, off));
+      const b = num(inner(s, off + n));
+      return a === null || b === null ? null : a - b;
+    }
+    const values = [];
+    for (let k = 0; k < n; k++) {
+      const v = num(inner(s, off + k));
+      if (v === null) return null;
+      values.push(v);
+    }
+    if (name === 'highest') return Math.max(...values);
+    if (name === 'lowest') return Math.min(...values);
+    const total = values.reduce((a, b) => a + b, 0);
+    return name === 'sum' ? total : total / n;
+  };
+}
+
+/**
+ * Recursive-descent parser producing `(series, offset) => value` closures.
+ * `info` collects the features and params referenced and the deepest
+ * lookback so the rule knows how much history it needs.
+ */
+function parseTokens(tokens, info, scope) {
+  let i = 0;
+  const peek = () => tokens[i];
+  const isOp = (v) => tokens[i]?.type === 'op' && tokens[i].value === v;
+  const expectOp = (v) => {
+    if (!isOp(v)) throw new RuleError(`expected "${v}"`);
+    i += 1;
+  };
+  const literalInt = (what) => {
+    const t = tokens[i];
+    if (t?.type !== 'num' || !Number.isInteger(t.value)) throw new RuleError(`${what} must be a literal integer`);
+    if (t.value < 0 || t.value > MAX_LOOKBACK) throw new RuleError(`${what} must be 0-${MAX_LOOKBACK}`);
+    i += 1;
+    return t.value;
+  };
+
+  function expr() {
+    let node = term();
+    while (isOp('+') || isOp('-')) {
+      const fn = arith[tokens[i++].value];
+      const left = node;
+      const right = term();
+      node = {
+        depth: Math.max(left.depth, right.depth),
+        fn: (s, off) => {
+          const a = num(left.fn(s, off));
+          const b = num(right.fn(s, off));
+          return a === null || b === null ? null : fn(a, b);
+        },
+      };
+    }
+    return node;
+  }
+
+  function term() {
+    let node = unary();
+    while (isOp('*') || isOp('/')) {
+      const fn = arith[tokens[i++].value];
+      const left = node;
+      const right = unary();
+      node = {
+        depth: Math.max(left.depth, right.depth),
+        fn: (s, off) => {
+          const a = num(left.fn(s, off));
+          const b = num(right.fn(s, off));
+          return a === null || b === null ? null : fn(a, b);
+        },
+      };
+    }
+    return node;
+  }
+
+  function unary() {
+    if (isOp('-')) {
+      i += 1;
+      const inner = unary();
+      return {
+        depth: inner.depth,
+        fn: (s, off) => {
+          const v = num(inner.fn(s, off));
+          return v === null ? null : -v;
+        },
+      };
+    }
+    return postfix();
+  }
+
+  function postfix() {
+    let node = primary();
+    for (;;) {
+      if (isOp('.')) {
+        i += 1;
+        const t = tokens[i++];
+        if (t?.type !== 'id') throw new RuleError('expected a field name after "."');
+        const inner = node;
+        node = { depth: inner.depth, fn: (s, off) => inner.fn(s, off)?.[t.value] ?? null };
+      } else if (isOp('[')) {
+        i += 1;
+        const k = literalInt('lookback');
+        expectOp(']');
+        const inner = node;
+        node = { depth: inner.depth + k, fn: (s, off) => inner.fn(s, off + k) };
+      } else {
+        return node;
+      }
+    }
+  }
+
+  function primary() {
+    const t = tokens[i++];
+    if (!t) throw new RuleError('unexpected end of expression');
+    if (t.type === 'num' || t.type === 'str') return { depth: 0, fn: () => t.value };
+    if (t.type === 'op' && t.value === '(') {
+      const inner = expr();
+      expectOp(')');
+      return inner;
+    }
+    if (t.type !== 'id') throw new RuleError(`unexpected "${t.value}"`);
+    const name = t.value;
+
+    if (isOp('(')) {
+      const spec = FUNCTIONS[name];
+      if (!spec) throw new RuleError(`unknown function ${name}()`);
+      i += 1;
+      const first = expr();
+      if (spec.window) {
+        expectOp(',');
+        const n = literalInt(`${name}() length`);
+        if (n < 1) throw new RuleError(`${name}() length must be at least 1`);
+        expectOp(')');
+        const extra = name === 'change' ? n : n - 1;
+        return { depth: first.depth + extra, fn: windowFn(name, first.fn, n) };
+      }
+      const args = [first];
+      while (isOp(',')) {
+        i += 1;
+        args.push(expr());
+      }
+      expectOp(')');
+      if (args.length !== spec.args) throw new RuleError(`${name}() takes ${spec.args} argument(s)`);
+      const depth = Math.max(...args.map((a) => a.depth));
+      return {
+        depth,
+        fn: (s, off) => {
+          const v = args.map((a) => num(a.fn(s, off)));
+          if (v.includes(null)) return null;
+          return name === 'abs' ? Math.abs(v[0]) : Math[name](v[0], v[1]);
+        },
+      };
+    }
+
+    if (name === 'params') {
+      expectOp('.');
+      const key = tokens[i++];
+      if (key?.type !== 'id') throw new RuleError('expected a name after "params."');
+      if (!Object.hasOwn(info.declaredParams, key.value)) {
+        throw new RuleError(`params.${key.value} is not declared in params`);
+      }
+      return { depth: 0, fn: (s) => s.params[key.value] ?? null };
+    }
+    if (CANDLE_FIELDS.includes(name)) return { depth: 0, fn: (s, off) => s.candle(off)?.[name] ?? null };
+    if (Object.hasOwn(RULE_FEATURES, name)) {
+      info.features.add(name);
+      return { depth: 0, fn: (s, off) => s.features(off)?.[name] ?? null };
+    }
+    if (scope.includes(name)) return { depth: 0, fn: (s) => s.vars[name] ?? null };
+    throw new RuleError(`unknown field "${name}"`);
+  }
+
+  return { expr, done: () => i >= tokens.length, peek };
+}
+
+function compileExpression(src, info, scope = []) {
+  if (typeof src === 'number') return { depth: 0, fn: () => src };
+  if (typeof src !== 'string' || !src.trim()) throw new RuleError('expected an expression string');
+  const parser = parseTokens(tokenize(src), info, scope);
+  const node = parser.expr();
+  if (!parser.done()) throw new RuleError(`unexpected "${parser.peek().value}"`);
+  return node;
+}
+
+function splitComparison(src) {
+  const tokens = tokenize(src);
+  let depth = 0;
+  const hits = [];
+  tokens.forEach((t, idx) => {
+    if (t.type === 'op' && (t.value === '(' || t.value === '[')) depth += 1;
+    else if (t.type === 'op' && (t.value === ')' || t.value === ']')) depth -= 1;
+    else if (depth === 0 && COMPARATORS.includes(t.value) && (t.type === 'op' || t.type === 'id')) hits.push(idx);
+  });
+  if (hits.length !== 1) throw new RuleError('a condition needs exactly one comparison');
+  return { tokens, at: hits[0] };
+}
+
+function compileComparison(src, info) {
+  const { tokens, at } = splitComparison(src);
+  const side = (list) => {
+    if (!list.length) throw new RuleError('comparison is missing an operand');
+    const parser = parseTokens(list, info, []);
+    const node = parser.expr();
+    if (!parser.done()) throw new RuleError(`unexpected "${parser.peek().value}"`);
+    return node;
+  };
+  const left = side(tokens.slice(0, at));
+  const right = side(tokens.slice(at + 1));
+  const op = tokens[at].value;
+  const cmp = (a, b) => {
+    if (op === '==') return a === b;
+    if (op === '!=') return a !== b;
+    if (num(a) === null || num(b) === null) return false;
+    if (op === '>' || op === 'crosses_above') return a > b;
+    if (op === '<' || op === 'crosses_below') return a < b;
+    return op === '>=' ? a >= b : a <= b;
+  };
+  if (op === 'crosses_above' || op === 'crosses_below') {
+    const back = op === 'crosses_above' ? (a, b) => num(a) !== null && num(b) !== null && a <= b
+      : (a, b) => num(a) !== null && num(b) !== null && a >= b;
+    return {
+      depth: Math.max(left.depth, right.depth) + 1,
+      fn: (s, off) =>
+        cmp(left.fn(s, off), right.fn(s, off)) && back(left.fn(s, off + 1), right.fn(s, off + 1)),
+    };
+  }
+  return { depth: Math.max(left.depth, right.depth), fn: (s, off) => cmp(left.fn(s, off), right.fn(s, off)) };
+}
+
+function combine(mode, list, info, path) {
+  if (!Array.isArray(list) || !list.length) throw new RuleError(`${mode} needs a non-empty array`);
+  const parts = list.map((c, idx) => compileCondition(c, info, `${path}[${idx}]`));
+  const depth = Math.max(...parts.map((p) => p.depth));
+  return mode === 'all'
+    ? { depth, fn: (s, off) => parts.every((p) => p.fn(s, off)) }
+    : { depth, fn: (s, off) => parts.some((p) => p.fn(s, off)) };
+}
+
+function compileCondition(node, info, path) {
+  try {
+    if (typeof node === 'string') return compileComparison(node, info);
+    if (Array.isArray(node)) return combine('all', node, info, path);
+    if (!node || typeof node !== 'object') throw new RuleError('expected a condition string, array or object');
+    const keys = Object.keys(node);
+    if (keys.length === 1 && (keys[0] === 'all' || keys[0] === 'any')) {
+      return combine(keys[0], node[keys[0]], info, `${path}.${keys[0]}`);
+    }
+    if (keys.length === 1 && keys[0] === 'not') {
+      const inner = compileCondition(node.not, info, `${path}.not`);
+      return { depth: inner.depth, fn: (s, off) => !inner.fn(s, off) };
+    }
+    if (keys.length === 2 && keys.includes('within') && keys.includes('when')) {
+      const n = node.within;
+      if (!Number.isInteger(n) || n < 1 || n > MAX_LOOKBACK) throw new RuleError(`within must be 1-${MAX_LOOKBACK}`);
+      const inner = compileCondition(node.when, info, `${path}.when`);
+      return {
+        depth: inner.depth + n - 1,
+        fn: (s, off) => {
+          for (let k = 0; k < n; k++) if (inner.fn(s, off + k)) return true;
+          return false;
+        },
+      };
+    }
+    throw new RuleError('expected one of all, any, not or within + when');
+  } catch (err) {
+    if (err instanceof RuleError && !err.located) {
+      err.message = `${path}: ${err.message}`;
+      err.located = true;
+    }
+    throw err;
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Series access
+
+/**
+ * Bars and lazily computed features addressed by offset from `end`.
+ * `cache` (index -> features) may be shared across calls, e.g. by dryRunRule.
+ */
+function createSeries(candles, end, { only, featureOptions, window, cache = new Map() }) {
+  return {
+    candle: (off) => (end - off >= 0 ? candles[end - off] : null),
+    features(off) {
+      const idx = end - off;
+      if (idx < 0) return null;
+      if (!cache.has(idx)) {
+        const from = window ? Math.max(0, idx + 1 - window) : 0;
+        cache.set(idx, computeFeatures(candles.slice(from, idx + 1), { ...featureOptions, only }) || {});
+      }
+      return cache.get(idx);
+    },
+    params: {},
+    vars: {},
+  };
+}
+
+// ---------------------------------------------------------------------------
+// Rules
+
+function locate(errors, path, fn) {
+  try {
+    return fn();
+  } catch (err) {
+    if (!(err instanceof RuleError)) throw err;
+    errors.push(err.located ? err.message : `${path}: ${err.message}`);
+    return null;
+  }
+}
+
+/**
+ * Validate and compile a rule.
+ * @returns {{ok:true, compiled:Object} | {ok:false, errors:string[]}}
+ */
+export function compileRule(rule = {}) {
+  const errors = [];
+  if (!rule || typeof rule !== 'object' || Array.isArray(rule)) return { ok: false, errors: ['rule must be an object'] };
+  if (!/^[a-z0-9][a-z0-9-]*$/.test(rule.id || '')) errors.push('id must be kebab-case');
+  if (!['Long', 'Short'].includes(rule.direction)) errors.push('direction must be Long or Short');
+  if (rule.category != null && !STRATEGY_CATEGORIES.includes(rule.category)) {
+    errors.push(`category must be one of ${STRATEGY_CATEGORIES.join(', ')}`);
+  }
+  if (rule.regimes != null && (!Array.isArray(rule.regimes) || rule.regimes.some((r) => !MARKET_REGIMES.includes(r)))) {
+    errors.push(`regimes must be a subset of ${MARKET_REGIMES.join(', ')}`);
+  }
+  if (rule.confidence != null && !(rule.confidence > 0 && rule.confidence <= 1)) {
+    errors.push('confidence must be in (0, 1]');
+  }
+  if (rule.params != null && (typeof rule.params !== 'object' || Array.isArray(rule.params))) {
+    errors.push('params must be an object');
+  }
+  const info = { features: new Set(), declaredParams: rule.params && typeof rule.params === 'object' ? rule.params : {} };
+
+  if (rule.when == null) errors.push('when is required');
+  if (rule.stopLoss == null) errors.push('stopLoss is required');
+  const when = rule.when == null ? null : locate(errors, 'when', () => compileCondition(rule.when, info, 'when'));
+  const entry = locate(errors, 'entry', () => compileExpression(rule.entry ?? 'close', info));
+  const stopLoss =
+    rule.stopLoss == null ? null : locate(errors, 'stopLoss', () => compileExpression(rule.stopLoss, info, ['entry']));
+  const targetSrc = rule.targets ?? (rule.target != null ? [rule.target] : []);
+  if (!Array.isArray(targetSrc)) errors.push('targets must be an array');
+  const targets = (Array.isArray(targetSrc) ? targetSrc : []).map((t, idx) =>
+    locate(errors, `targets[${idx}]`, () => compileExpression(t, info, ['entry', 'risk']))
+  );
+  if (errors.length) return { ok: false, errors };
+
+  const depth = Math.max(when.depth, entry.depth, stopLoss.depth, ...targets.map((t) => t.depth));
+  const features = [...info.features];
+  const only = [...new Set(features.map((f) => RULE_FEATURES[f]).filter(Boolean))];
+  return {
+    ok: true,
+    compiled: {
+      rule,
+      features,
+      only,
+      depth,
+      minCandles: Math.max(rule.minCandles ?? 0, depth + 20),
+      when: when.fn,
+      entry: entry.fn,
+      stopLoss: stopLoss.fn,
+      targets: targets.map((t) => t.fn),
+    },
+  };
+}
+
+/**
+ * Evaluate a compiled rule on the bar at `end`.
+ * @returns {Object|null} detector result (name, direction, entry, stopLoss, targets, confidence)
+ */
+function evaluateAt(compiled, candles, end, { params = {}, featureOptions = {}, window, cache } = {}) {
+  if (end + 1 < compiled.minCandles) return null;
+  const { rule } = compiled;
+  const s = createSeries(candles, end, { only: compiled.only, featureOptions, window, cache });
+  s.params = { ...rule.params, ...params };
+  if (!compiled.when(s, 0)) return null;
+  const entry = num(compiled.entry(s, 0));
+  if (entry === null) return null;
+  s.vars.entry = entry;
+  const stopLoss = num(compiled.stopLoss(s, 0));
+  if (stopLoss === null) return null;
+  const long = rule.direction === 'Long';
+  if (long ? stopLoss >= entry : stopLoss <= entry) return null;
+  s.vars.risk = Math.abs(entry - stopLoss);
+  const out = {
+    name: rule.name || rule.id,
+    type: rule.type || rule.name || rule.id,
+    direction: rule.direction,
+    entry,
+    stopLoss,
+    confidence: rule.confidence ?? 0.6,
+    meta: { rule: rule.id },
+  };
+  if (compiled.targets.length) {
+    const targets = {};
+    compiled.targets.forEach((fn, idx) => {
+      const v = num(fn(s, 0));
+      if (v !== null && (long ? v > entry : v < entry)) targets[`T${idx + 1}`] = v;
+    });
+    if (!Object.keys(targets).length) return null;
+    out.targets = targets;
+  }
+  return out;
+}
+
+/**
+ * Strategy-registry definition for a compiled rule. The detector reads
+ * `params.*` from the registry-merged config, so param overrides set via
+ * PATCH /admin/strategies/:id apply without editing the rule.
+ */
+export function ruleDefinition(compiled) {
+  const { rule } = compiled;
+  const paramKeys = Object.keys(rule.params || {});
+  return {
+    id: rule.id,
+    name: rule.name || rule.id,
+    description: rule.description || '',
+    kind: 'detector',
+    category: rule.category || 'breakout',
+    direction: rule.direction,
+    features: compiled.features,
+    timeframes: ['1m'],
+    params: { ...rule.params },
+    regimes: rule.regimes ?? null,
+    enabled: rule.enabled === true,
+    source: 'rule',
+    detect(candles, ctx = {}, cfg = {}) {
+      const params = Object.fromEntries(paramKeys.map((k) => [k, cfg[k]]));
+      // Lookbacks (`features[1]`, crosses) share one feature pass per bar
+      return evaluateAt(compiled, candles, candles.length - 1, {
+        params,
+        featureOptions: { vwapMode: cfg.vwapMode || 'rolling', vwapWindow: cfg.vwapWindow ?? 20 },
+        window: FEATURE_WINDOW,
+        cache: new Map(),
+      });
+    },
+  };
+}
+
+// ---------------------------------------------------------------------------
+// YAML (block maps, block lists, scalars and flow lists - enough for rules)
+
+function yamlScalar(raw, lineNo) {
+  let text = raw.trim();
+  if (!/^['"]/.test(text)) text = text.replace(/\s+#.*$/, '');
+  if (text.startsWith('"')) {
+    try {
+      return JSON.parse(text);
+    } catch {
+      throw new RuleError(`yaml line ${lineNo}: bad double-quoted string`);
+    }
+  }
+  if (text.startsWith("'")) {
+    if (!text.endsWith("'") || text.length < 2) throw new RuleError(`yaml line ${lineNo}: unterminated string`);
+    return text.slice(1, -1).replace(/''/g, "'");
+  }
+  if (text.startsWith('[')) {
+    if (!text.endsWith(']')) throw new RuleError(`yaml line ${lineNo}: unterminated flow list`);
+    const body = text.slice(1, -1).trim();
+    if (!body) return [];
+    const items = [];
+    let depth = 0;
+    let quote = null;
+    let start = 0;
+    for (let i = 0; i < body.length; i++) {
+      const ch = body[i];
+      if (quote) {
+        if (ch === quote) quote = null;
+      } else if (ch === '"' || ch === "'") quote = ch;
+      else if (ch === '(' || ch === '[') depth += 1;
+      else if (ch === ')' || ch === ']') depth -= 1;
+      else if (ch === ',' && depth === 0) {
+        items.push(body.slice(start, i));
+        start = i + 1;
+      }
+    }
+    items.push(body.slice(start));
+    return items.map((item) => yamlScalar(item, lineNo));
+  }
+  if (text === '' || text === '~' || text === 'null') return null;
+  if (text === 'true') return true;
+  if (text === 'false') return false;
+  if (/^-?\d+(\.\d+)?$/.test(text)) return Number(text);
+  return text;
+}
+
+const YAML_KEY = /^([A-Za-z_][\w-]*):(?:\s+(.*))?$/;
+
+/** Parse the YAML subset used for rules; throws with the line number. */
+export function parseRuleYaml(text = '') {
+  const lines = [];
+  String(text)
+    .split(/\r?\n/)
+    .forEach((line, idx) => {
+      if (/^\s*(#.*)?$/.test(line) || line.trim() === '---') return;
+      if (/^\s*\t/.test(line)) throw new RuleError(`yaml line ${idx + 1}: tabs are not allowed`);
+      lines.push({ indent: line.length - line.trimStart().length, text: line.trim(), lineNo: idx + 1 });
+    });
+
+  const isItem = (l) => l && (l.text === '-' || l.text.startsWith('- '));
+
+  function block(i, indent) {
+    return isItem(lines[i]) ? list(i, indent) : map(i, indent);
+  }
+
+  function list(i, indent) {
+    const out = [];
+    while (i < lines.length && lines[i].indent === indent && isItem(lines[i])) {
+      const line = lines[i];
+      const rest = line.text.slice(1).trim();
+      if (!rest) {
+        if (!lines[i + 1] || lines[i + 1].indent <= indent) {
+          out.push(null);
+          i += 1;
+        } else {
+          const [v, next] = block(i + 1, lines[i + 1].indent);
+          out.push(v);
+          i = next;
+        }
+      } else if (YAML_KEY.test(rest)) {
+        // "- key: value" starts a map whose keys line up with `key`
+        const inner = indent + line.text.indexOf(rest);
+        lines[i] = { ...line, indent: inner, text: rest };
+        const [v, next] = map(i, inner);
+        out.push(v);
+        i = next;
+      } else {
+        out.push(yamlScalar(rest, line.lineNo));
+        i += 1;
+      }
+    }
+    return [out, i];
+  }
+
+  function map(i, indent) {
+    const out = {};
+    while (i < lines.length && lines[i].indent === indent && !isItem(lines[i])) {
+      const line = lines[i];
+      const m = YAML_KEY.exec(line.text);
+      if (!m) throw new RuleError(`yaml line ${line.lineNo}: expected "key: value"`);
+      const [, key, value] = m;
+      i += 1;
+      if (value !== undefined && value.trim() !== '' && !value.trim().startsWith('#')) {
+        out[key] = yamlScalar(value, line.lineNo);
+      } else if (lines[i] && (lines[i].indent > indent || (lines[i].indent === indent && isItem(lines[i])))) {
+        const [v, next] = block(i, lines[i].indent);
+        out[key] = v;
+        i = next;
+      } else {
+        out[key] = null;
+      }
+    }
+    if (lines[i] && lines[i].indent > indent) {
+      throw new RuleError(`yaml line ${lines[i].lineNo}: unexpected indentation`);
+    }
+    return [out, i];
+  }
+
+  if (!lines.length) return null;
+  const [value, next] = block(0, lines[0].indent);
+  if (next < lines.length) throw new RuleError(`yaml line ${lines[next].lineNo}: unexpected indentation`);
+  return value;
+}
+
+/**
+ * Accept a rule object, JSON text or YAML text.
+ * @returns {{ok:true, rule:Object} | {ok:false, errors:string[]}}
+ */
+export function parseRule(input) {
+  if (input && typeof input === 'object') return { ok: true, rule: input };
+  if (typeof input !== 'string' || !input.trim()) return { ok: false, errors: ['rule is required'] };
+  const text = input.trim();
+  try {
+    return { ok: true, rule: text.startsWith('{') ? JSON.parse(text) : parseRuleYaml(text) };
+  } catch (err) {
+    if (err instanceof RuleError || err instanceof SyntaxError) return { ok: false, errors: [err.message] };
+    throw err;
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Dry run
+
+/**
+ * Backtest a rule bar by bar: one position at a time, entered at the signal
+ * bar's close, exited on stop (checked first) or T1, after `maxHoldBars`, or
+ * at the last bar of the IST trading day. Results are in R multiples.
+ * Runs in chunks of `chunkBars`, yielding to the event loop in between so a
+ * long run does not stall the feed.
+ * @param {Object} rule
+ * @param {Object[]} candles - 1m bars, oldest first
+ * @param {Object} [opts]
+ * @param {number} [opts.maxHoldBars=60] - missing, null or non-positive use the default
+ * @param {number} [opts.featureWindow=FEATURE_WINDOW] - bars fed to computeFeatures per step
+ * @param {number} [opts.chunkBars=250]
+ * @returns {Promise<Object>}
+ */
+export async function dryRunRule(
+  rule,
+  candles = [],
+  { maxHoldBars, featureWindow = FEATURE_WINDOW, chunkBars = 250 } = {}
+) {
+  const res = compileRule(rule);
+  if (!res.ok) return res;
+  const { compiled } = res;
+  const holdBars = Number(maxHoldBars) > 0 ? Math.floor(maxHoldBars) : DEFAULT_MAX_HOLD_BARS;
+  const cache = new Map();
+  const featureOptions = { vwapMode: 'rolling', vwapWindow: 20 };
+  const trades = [];
+  let open = null;
+
+  const close = (i, exit, reason) => {
+    const { plan, entryIndex } = open;
+    const sign = plan.direction === 'Long' ? 1 : -1;
+    trades.push({
+      direction: plan.direction,
+      entryTime: candles[entryIndex].timestamp,
+      exitTime: candles[i].timestamp,
+      entry: plan.entry,
+      stopLoss: plan.activeStop,
+      target: plan.target,
+      exit,
+      reason,
+      bars: i - entryIndex,
+      r: ((exit - plan.entry) * sign) / plan.risk,
+    });
+    open = null;
+  };
+
+  for (let i = 0; i < candles.length; i++) {
+    if (i > 0 && i % chunkBars === 0) await new Promise((resolve) => setImmediate(resolve));
+    const bar = candles[i];
+    if (open) {
+      const hit = evaluateExit(open.plan, bar);
+      const lastOfDay =
+        i === candles.length - 1 || istDate(candles[i + 1].timestamp) !== istDate(bar.timestamp);
+      if (hit) close(i, hit.exit, hit.reason);
+      else if (lastOfDay) close(i, bar.close, 'eod');
+      else if (i - open.entryIndex >= holdBars) close(i, bar.close, 'time');
+      continue;
+    }
+    const signal = evaluateAt(compiled, candles, i, { featureOptions, window: featureWindow, cache });
+    // Later bars only look back `depth` bars from themselves
+    if (cache.size > compiled.depth + 64) {
+      for (const k of cache.keys()) if (k < i - compiled.depth) cache.delete(k);
+    }
+    if (!signal || i === candles.length - 1) continue;
+    const target = signal.targets?.T1 ?? null;
+    open = {
+      entryIndex: i,
+      plan: {
+        direction: signal.direction,
+        entry: signal.entry,
+        activeStop: signal.stopLoss,
+        target: target ?? (signal.direction === 'Long' ? Infinity : -Infinity),
+        risk: Math.abs(signal.entry - signal.stopLoss),
+      },
+    };
+  }
+
+  let equity = 0;
+  let peak = 0;
+  let maxDrawdownR = 0;
+  let grossWin = 0;
+  let grossLoss = 0;
+  for (const t of trades) {
+    equity += t.r;
+    peak = Math.max(peak, equity);
+    maxDrawdownR = Math.max(maxDrawdownR, peak - equity);
+    if (t.r > 0) grossWin += t.r;
+    else grossLoss -= t.r;
+  }
+  const wins = trades.filter((t) => t.r > 0).length;
+  return {
+    ok: true,
+    rule: rule.id,
+    bars: candles.length,
+    from: candles[0]?.timestamp ?? null,
+    to: candles.at(-1)?.timestamp ?? null,
+    metrics: {
+      trades: trades.length,
+      wins,
+      winRate: trades.length ? wins / trades.length : null,
+      totalR: equity,
+      avgR: trades.length ? equity / trades.length : null,
+      profitFactor: grossLoss ? grossWin / grossLoss : null, // null when nothing lost
+      maxDrawdownR,
+    },
+    trades,
+  };
+}
+
+/**
+ * Stored 1m candles for a dry run: `historical_session_data` plus today's
+ * aligned bars from `session_data`, holidays dropped and corporate-action
+ * adjusted. `limit` is clamped to MAX_DRY_RUN_BARS.
+ */
+export async function loadRuleCandles({ database, token, from, to, limit = MAX_DRY_RUN_BARS }) {
+  const bars = Math.min(Math.max(Math.floor(Number(limit)) || MAX_DRY_RUN_BARS, 1), MAX_DRY_RUN_BARS);
+  const tokenNum = Number(token);
+  const doc = await database
+    .collection('historical_session_data')
+    .findOne({ token: tokenNum }, { projection: { _id: 0, candles: 1, data: 1 } });
+  const live = await database
+    .collection('session_data')
+    .find({ token: tokenNum }, { projection: { _id: 0 } })
+    .toArray();
+  const byMinute = new Map();
+  for (const c of [...(doc?.candles || doc?.data || []), ...live]) {
+    const ts = new Date(c.timestamp ?? c.date ?? c.ts);
+    const close = Number(c.close);
+    if (!Number.isFinite(ts.getTime()) || !Number.isFinite(close)) continue;
+    if (!tradingCalendar.isTradingDay(ts.getTime())) continue;
+    byMinute.set(Math.floor(ts.getTime() / 60000), {
+      open: Number(c.open ?? close),
+      high: Number(c.high ?? close),
+      low: Number(c.low ?? close),
+      close,
+      volume: Number(c.volume) || 0,
+      timestamp: ts,
+    });
+  }
+  let candles = [...byMinute.values()].sort((a, b) => a.timestamp - b.timestamp);
+  if (from) candles = candles.filter((c) => c.timestamp >= new Date(from));
+  if (to) candles = candles.filter((c) => c.timestamp <= new Date(to));
+  return corporateActions.adjust(String(tokenNum), candles.slice(-bars));
+}
+
+// ---------------------------------------------------------------------------
+// Rule book
+
+/**
+ * @param {Object} [options]
+ * @param {Object} [options.registry] - strategy registry to install rules into
+ */
+export function createRuleBook({ registry = strategyRegistry } = {}) {
+  const rules = new Map(); // id -> { rule, errors }
+
+  function install(rule) {
+    const res = compileRule(rule);
+    if (!res.ok) return res;
+    const existing = registry.get(rule.id);
+    if (existing && existing.source !== 'rule') {
+      return { ok: false, errors: [`id ${rule.id} is already used by ${existing.source}`] };
+    }
+    const reg = registry.register(ruleDefinition(res.compiled), { replace: true });
+    return reg.ok ? { ok: true } : reg;
+  }
+
+  return {
+    compile: compileRule,
+    /** Compile and install every stored rule; invalid ones are kept with their errors. */
+    async load({ database }) {
+      const rows = await database
+        .collection(STRATEGY_RULE_COLLECTION)
+        .find({}, { projection: { _id: 0 } })
+        .toArray();
+      for (const [id, entry] of rules) if (!entry.errors.length) registry.unregister(id);
+      rules.clear();
+      for (const row of rows) {
+        const res = install(row.rule || {});
+        rules.set(row.id, { rule: row.rule, errors: res.ok ? [] : res.errors });
+        if (!res.ok) console.error(`[strategyDsl] rule ${row.id} not installed:`, res.errors.join('; '));
+      }
+      return rows.length;
+    },
+    /**
+     * Validate, store and install (or replace) a rule.
+     * @returns {Promise<{ok:boolean, rule?:Object, errors?:string[]}>}
+     */
+    async save({ database, rule }) {
+      const res = install(rule);
+      if (!res.ok) return res;
+      if (database) {
+        await database
+          .collection(STRATEGY_RULE_COLLECTION)
+          .updateOne({ id: rule.id }, { $set: { id: rule.id, rule, updatedAt: new Date() } }, { upsert: true });
+      }
+      rules.set(rule.id, { rule, errors: [] });
+      return { ok: true, rule };
+    },
+    async remove({ database, id }) {
+      if (!rules.has(id)) return { ok: false, reason: 'not found' };
+      if (database) await database.collection(STRATEGY_RULE_COLLECTION).deleteOne({ id });
+      rules.delete(id);
+      registry.unregister(id);
+      return { ok: true };
+    },
+    list() {
+      return [...rules.entries()].map(([id, { rule, errors }]) => ({
+        id,
+        rule,
+        errors,
+        enabled: registry.isEnabled(id),
+      }));
+    },
+  };
+}
+
+export const ruleBook = createRuleBook();
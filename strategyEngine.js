@@ -1,5 +1,11 @@
 import { calculateEMA, getATR, computeFeatures } from './featureEngine.js';
-import { detectAllPatterns, sanitizeCandles, toSpreadPct, confirmRetest } from './util.js';
+import {
+  detectAllPatterns,
+  sanitizeCandles,
+  toSpreadPct,
+  confirmRetest,
+  patternConfluenceAcrossTimeframes,
+} from './util.js';
 import { detectGapUpOrDown, evaluateStrategies } from './strategies.js';
 import {
   RISK_REWARD_RATIO,
@@ -7,6 +13,7 @@ import {
   calculateTradeParameters,
 } from './positionSizing.js';
 import { riskDefaults } from './riskConfig.js';
+import { strategyRegistry } from './strategyRegistry.js';
 
 const DEFAULT_SUPERTREND_SETTINGS = { atrLength: 10, multiplier: 3 };
 const MAX_SPREAD_PCT = 0.5; // reject signals when quoted spread > 0.5% of price
@@ -533,6 +540,16 @@ export function patternBasedStrategy(context = {}) {
         ? 0.55
         : 0.4;
   if (retested) confidence = Math.min(confidence + 0.05, 0.85);
+  // Same pattern on the locally built 5m bars
+  const htf = context.timeframes?.['5m'];
+  const confluence =
+    Array.isArray(htf) &&
+    patternConfluenceAcrossTimeframes(cleanCandles, best.type, {
+      vwapMode,
+      vwapWindow,
+      higherCandles: htf,
+    });
+  if (confluence) confidence = Math.min(confidence + 0.05, 0.85);
 
   return {
     stock: symbol,
@@ -619,6 +636,65 @@ export function strategyGapUpDown(context = {}) {
   };
 }
 
+// Full-trade strategies run by evaluateAllStrategies, in evaluation order
+const CLASSIC_STRATEGIES = [
+  {
+    id: 'pattern-based',
+    name: 'Pattern Based',
+    detect: patternBasedStrategy,
+    category: 'breakout',
+    direction: 'both',
+    features: ['ema9', 'ema21', 'ema50', 'rsi', 'atr', 'vwap', 'rvol'],
+    timeframes: ['1m', '5m'],
+  },
+  {
+    id: 'gap-up-down',
+    name: 'Gap Up/Down',
+    detect: strategyGapUpDown,
+    category: 'news-event',
+    direction: 'both',
+    features: ['atr'],
+    timeframes: ['1m', '1d'],
+  },
+  {
+    id: 'supertrend',
+    name: 'Supertrend',
+    detect: strategySupertrend,
+    category: 'trend',
+    direction: 'both',
+    features: ['supertrend', 'atr'],
+  },
+  {
+    id: 'ema-reversal',
+    name: 'EMA Reversal',
+    detect: strategyEMAReversal,
+    category: 'mean-reversion',
+    direction: 'both',
+    features: ['ema9', 'ema21', 'atr'],
+  },
+  {
+    id: 'triple-top',
+    name: 'Triple Top',
+    detect: strategyTripleTop,
+    category: 'breakout',
+    direction: 'Short',
+    features: ['atr'],
+  },
+  {
+    id: 'vwap-reversal',
+    name: 'VWAP Reversal',
+    detect: strategyVWAPReversal,
+    category: 'mean-reversion',
+    direction: 'both',
+    features: ['vwap', 'atr'],
+  },
+];
+
+for (const def of CLASSIC_STRATEGIES) {
+  const res = strategyRegistry.register({ kind: 'strategy', ...def });
+  if (!res.ok) console.error(`[strategyEngine] ${def.id} not registered:`, res.errors.join('; '));
+}
+
 export function evaluateAllStrategies(context = {}) {
   const base = { ...context };
   if (Array.isArray(base.candles)) {
@@ -640,15 +716,10 @@ export function evaluateAllStrategies(context = {}) {
   if (Array.isArray(base.sessionCandles)) {
     base.sessionCandles = sanitizeCandles(base.sessionCandles);
   }
-  const strategies = [
-    patternBasedStrategy,
-    strategyGapUpDown,
-    strategySupertrend,
-    strategyEMAReversal,
-    strategyTripleTop,
-    strategyVWAPReversal,
-  ];
-  const classic = strategies.map((fn) => fn(base)).filter(Boolean);
+  const classic = strategyRegistry
+    .active('strategy', { symbol: base.symbol, regime: base.marketRegime ?? base.regime })
+    .map((def) => strategyRegistry.run(def, base))
+    .filter(Boolean);
 
   const smartSignals = Array.isArray(base.candles)
     ? evaluateStrategies(base.candles, base, { topN: 2 })
@@ -685,6 +756,7 @@ export function evaluateAllStrategies(context = {}) {
     return {
       stock: base.symbol,
       strategy: s.name,
+      strategyId: s.strategyId,
       pattern: s.type,
       direction: s.direction,
       entry: s.entry,
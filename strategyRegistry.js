@@ -0,0 +1,343 @@
+// strategyRegistry.js
+// Single list of every strategy the scanner can run: the pattern detectors
+// from strategies.js (`kind: 'detector'`), the full-trade strategies from
+// strategyEngine.js (`kind: 'strategy'`) and anything dropped into the
+// plugins directory. Each entry declares its metadata; enablement (global
+// or per symbol) and param overrides live in `strategy_settings` so they
+// change without a redeploy.
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath, pathToFileURL } from 'url';
+import { ensureClock } from './src/backtest/clock.js';
+import { symbolKey } from './util.js';
+
+export const STRATEGY_SETTINGS_COLLECTION = 'strategy_settings';
+export const DEFAULT_PLUGIN_DIR = path.join(
+  path.dirname(fileURLToPath(import.meta.url)),
+  'plugins',
+  'strategies'
+);
+
+export const STRATEGY_KINDS = ['detector', 'strategy'];
+export const STRATEGY_CATEGORIES = ['trend', 'momentum', 'breakout', 'mean-reversion', 'scalping', 'news-event'];
+export const STRATEGY_DIRECTIONS = ['Long', 'Short', 'both'];
+export const MARKET_REGIMES = ['trending', 'sideways', 'choppy'];
+
+const ID_RE = /^[a-z0-9][a-z0-9-]*$/;
+
+/** detectEmaCrossover -> 'ema-crossover', strategyVWAPReversal -> 'vwap-reversal' */
+export function strategyIdFromName(name = '') {
+  return String(name)
+    .replace(/^(detect|strategy)/, '')
+    .replace(/([a-z0-9])([A-Z])/g, '$1-$2')
+    .replace(/([A-Z]+)([A-Z][a-z])/g, '$1-$2')
+    .replace(/[^A-Za-z0-9]+/g, '-')
+    .replace(/^-|-$/g, '')
+    .toLowerCase();
+}
+
+/** @returns {string[]} errors */
+export function validateStrategy(def = {}) {
+  const errors = [];
+  if (!ID_RE.test(def.id || '')) errors.push('id must be kebab-case');
+  if (typeof def.detect !== 'function') errors.push('detect must be a function');
+  if (!STRATEGY_KINDS.includes(def.kind)) errors.push(`kind must be one of ${STRATEGY_KINDS.join(', ')}`);
+  if (!STRATEGY_CATEGORIES.includes(def.category)) {
+    errors.push(`category must be one of ${STRATEGY_CATEGORIES.join(', ')}`);
+  }
+  if (!STRATEGY_DIRECTIONS.includes(def.direction)) errors.push('direction must be Long, Short or both');
+  if (def.regimes != null && (!Array.isArray(def.regimes) || def.regimes.some((r) => !MARKET_REGIMES.includes(r)))) {
+    errors.push(`regimes must be a subset of ${MARKET_REGIMES.join(', ')}`);
+  }
+  for (const key of ['features', 'timeframes']) {
+    if (def[key] != null && !Array.isArray(def[key])) errors.push(`${key} must be an array`);
+  }
+  if (def.params != null && (typeof def.params !== 'object' || Array.isArray(def.params))) {
+    errors.push('params must be an object');
+  }
+  return errors;
+}
+
+/**
+ * @param {Object} [options]
+ * @param {Object} [options.clock]
+ */
+export function createStrategyRegistry(options = {}) {
+  const clock = ensureClock(options.clock);
+  const defs = new Map(); // id -> definition
+  const settings = new Map(); // id -> { enabled, symbols, params }
+  const stats = new Map(); // id -> { evaluated, fired, errors, lastFiredAt, names }
+
+  function statFor(id) {
+    if (!stats.has(id)) stats.set(id, { evaluated: 0, fired: 0, errors: 0, lastFiredAt: null, names: new Set() });
+    return stats.get(id);
+  }
+
+  /**
+   * @param {Object} def
+   * @param {string} def.id
+   * @param {'detector'|'strategy'} def.kind
+   * @param {Function} def.detect - detector: (candles, ctx, cfg); strategy: (context)
+   * @param {string} def.category
+   * @param {'Long'|'Short'|'both'} def.direction
+   * @param {string[]} [def.features] - featureEngine outputs it reads
+   * @param {string[]} [def.timeframes] - candle timeframes it reads ('1m', '5m', ...)
+   * @param {Object} [def.params] - defaults merged over the detector config
+   * @param {string[]|null} [def.regimes] - compatible market regimes; null = by category
+   * @param {boolean} [def.enabled=true] - default when no setting is stored
+   * @returns {{ok:boolean, errors?:string[]}}
+   */
+  function register(def = {}, { replace = false } = {}) {
+    const entry = {
+      name: def.id,
+      description: '',
+      features: [],
+      timeframes: ['1m'],
+      params: {},
+      regimes: null,
+      enabled: true,
+      source: 'builtin',
+      ...def,
+    };
+    const errors = validateStrategy(entry);
+    if (defs.has(entry.id) && !replace) errors.push(`duplicate id ${entry.id}`);
+    if (errors.length) return { ok: false, errors };
+    defs.set(entry.id, entry);
+    return { ok: true };
+  }
+
+  function settingFor(id) {
+    return settings.get(id) || { enabled: null, symbols: {}, params: {} };
+  }
+
+  function isEnabled(id, symbol) {
+    const def = defs.get(id);
+    if (!def) return false;
+    const s = settingFor(id);
+    const sym = symbol ? symbolKey(symbol) : null;
+    if (sym && typeof s.symbols[sym] === 'boolean') return s.symbols[sym];
+    if (typeof s.enabled === 'boolean') return s.enabled;
+    return def.enabled !== false;
+  }
+
+  function paramsFor(id) {
+    return { ...(defs.get(id)?.params || {}), ...settingFor(id).params };
+  }
+
+  /**
+   * Enabled entries of one kind, in registration order.
+   * @param {string} kind
+   * @param {Object} [opts]
+   * @param {string} [opts.symbol] - apply per-symbol overrides
+   * @param {string} [opts.regime] - drop entries that declare other regimes;
+   *   values outside MARKET_REGIMES (e.g. "neutral" before warmup) are ignored
+   */
+  function active(kind, { symbol, regime } = {}) {
+    const known = MARKET_REGIMES.includes(regime);
+    const out = [];
+    for (const def of defs.values()) {
+      if (def.kind !== kind || !isEnabled(def.id, symbol)) continue;
+      if (known && Array.isArray(def.regimes) && !def.regimes.includes(regime)) continue;
+      out.push(def);
+    }
+    return out;
+  }
+
+  /**
+   * Run one entry, counting evaluations, hits and thrown errors. Detectors
+   * get their declared params merged over `cfg`; hits are tagged with
+   * `strategyId`.
+   */
+  function run(def, ...args) {
+    const stat = statFor(def.id);
+    stat.evaluated += 1;
+    try {
+      let result;
+      if (def.kind === 'detector') {
+        const [candles, ctx, cfg] = args;
+        result = def.detect(candles, ctx, { ...cfg, ...paramsFor(def.id) });
+      } else {
+        const [context] = args;
+        result = def.detect({ ...context, strategyParams: paramsFor(def.id) });
+      }
+      if (result) {
+        stat.fired += 1;
+        stat.lastFiredAt = clock.now();
+        const name = result.name || result.strategy;
+        if (name && stat.names.size < 20) stat.names.add(name);
+      }
+      return result ? { ...result, strategyId: def.id } : null;
+    } catch (err) {
+      stat.errors += 1;
+      if (stat.errors === 1 || stat.errors % 100 === 0) {
+        console.error(`[strategyRegistry] ${def.id} failed (${stat.errors}x):`, err.message);
+      }
+      return null;
+    }
+  }
+
+  function describe(def, symbol) {
+    const s = settingFor(def.id);
+    const stat = statFor(def.id);
+    const { detect, ...meta } = def;
+    return {
+      ...meta,
+      params: paramsFor(def.id),
+      defaultEnabled: def.enabled !== false,
+      enabled: isEnabled(def.id, symbol),
+      symbolOverrides: { ...s.symbols },
+      stats: {
+        evaluated: stat.evaluated,
+        fired: stat.fired,
+        errors: stat.errors,
+        lastFiredAt: stat.lastFiredAt ? new Date(stat.lastFiredAt).toISOString() : null,
+        signalNames: [...stat.names],
+      },
+    };
+  }
+
+  function applySetting(doc = {}) {
+    if (!doc.id) return;
+    settings.set(doc.id, {
+      enabled: typeof doc.enabled === 'boolean' ? doc.enabled : null,
+      symbols: { ...(doc.symbols || {}) },
+      params: { ...(doc.params || {}) },
+    });
+  }
+
+  return {
+    register,
+    get: (id) => defs.get(id) || null,
+    /** Drop a plugin or rule entry; built-ins cannot be removed. */
+    unregister(id) {
+      const def = defs.get(id);
+      if (!def || def.source === 'builtin') return false;
+      defs.delete(id);
+      stats.delete(id);
+      return true;
+    },
+    has: (id) => defs.has(id),
+    active,
+    run,
+    isEnabled,
+    paramsFor,
+    /** Metadata, effective enablement and runtime counters. */
+    list({ kind, symbol } = {}) {
+      return [...defs.values()].filter((d) => !kind || d.kind === kind).map((d) => describe(d, symbol));
+    },
+    /** Load stored enablement / params. */
+    async load({ database }) {
+      const rows = await database
+        .collection(STRATEGY_SETTINGS_COLLECTION)
+        .find({}, { projection: { _id: 0 } })
+        .toArray();
+      settings.clear();
+      rows.forEach(applySetting);
+      return rows.length;
+    },
+    /**
+     * Enable/disable a strategy globally or for one symbol (`enabled: null`
+     * clears the override) and/or replace its param overrides.
+     * @returns {Promise<{ok:boolean, strategy?:Object, errors?:string[]}>}
+     */
+    async configure(id, { enabled, symbol, params } = {}, { database } = {}) {
+      if (!defs.has(id)) return { ok: false, errors: [`unknown strategy ${id}`] };
+      const errors = [];
+      if (enabled !== undefined && enabled !== null && typeof enabled !== 'boolean') {
+        errors.push('enabled must be true, false or null');
+      }
+      if (params !== undefined && (typeof params !== 'object' || params === null || Array.isArray(params))) {
+        errors.push('params must be an object');
+      }
+      if (enabled === undefined && params === undefined) errors.push('nothing to change');
+      if (errors.length) return { ok: false, errors };
+
+      const current = settingFor(id);
+      const next = { enabled: current.enabled, symbols: { ...current.symbols }, params: { ...current.params } };
+      if (enabled !== undefined) {
+        if (symbol) {
+          const sym = symbolKey(symbol);
+          if (enabled === null) delete next.symbols[sym];
+          else next.symbols[sym] = enabled;
+        } else {
+          next.enabled = enabled;
+        }
+      }
+      if (params !== undefined) next.params = { ...params };
+      if (database) {
+        await database
+          .collection(STRATEGY_SETTINGS_COLLECTION)
+          .updateOne({ id }, { $set: { id, ...next, updatedAt: new Date(clock.now()) } }, { upsert: true });
+      }
+      settings.set(id, next);
+      return { ok: true, strategy: describe(defs.get(id), symbol) };
+    },
+    /**
+     * Import every .js/.mjs file in `dir`. A plugin default-exports one
+     * definition or an array of them (`kind` defaults to 'detector').
+     * Re-loading replaces plugin entries with the same id.
+     * @returns {Promise<{loaded:string[], errors:string[]}>}
+     */
+    async loadPlugins(dir = process.env.STRATEGY_PLUGIN_DIR || DEFAULT_PLUGIN_DIR) {
+      const loaded = [];
+      const errors = [];
+      let files;
+      try {
+        files = (await fs.readdir(dir)).filter((f) => /\.m?js$/.test(f)).sort();
+      } catch (err) {
+        if (err.code !== 'ENOENT') errors.push(`could not read ${dir}: ${err.message}`);
+        return { loaded, errors };
+      }
+      for (const file of files) {
+        const full = path.join(dir, file);
+        let mod;
+        try {
+          const { mtimeMs } = await fs.stat(full);
+          mod = await import(`${pathToFileURL(full).href}?v=${mtimeMs}`);
+        } catch (err) {
+          errors.push(`${file}: ${err.message}`);
+          continue;
+        }
+        const exported = mod.default ?? mod.strategies;
+        const list = Array.isArray(exported) ? exported : exported ? [exported] : [];
+        if (!list.length) errors.push(`${file}: no default export`);
+        for (const def of list) {
+          const existing = defs.get(def?.id);
+          if (existing && !String(existing.source).startsWith('plugin:')) {
+            errors.push(`${file}: id ${def.id} is already a builtin`);
+            continue;
+          }
+          const res = register({ kind: 'detector', ...def, source: `plugin:${file}` }, { replace: true });
+          if (res.ok) loaded.push(def.id);
+          else errors.push(`${file}: ${res.errors.join('; ')}`);
+        }
+      }
+      return { loaded, errors };
+    },
+    resetStats() {
+      stats.clear();
+    },
+    /**
+     * Counters since the last drain, then reset - evaluation workers send
+     * these to the main thread, which folds them in with mergeStats().
+     * @returns {Object[]} { id, evaluated, fired, errors, lastFiredAt, names }
+     */
+    drainStats() {
+      const rows = [...stats].map(([id, s]) => ({ id, ...s, names: [...s.names] }));
+      stats.clear();
+      return rows;
+    },
+    mergeStats(rows = []) {
+      for (const row of rows) {
+        const stat = statFor(row.id);
+        stat.evaluated += row.evaluated || 0;
+        stat.fired += row.fired || 0;
+        stat.errors += row.errors || 0;
+        if (row.lastFiredAt && row.lastFiredAt > (stat.lastFiredAt || 0)) stat.lastFiredAt = row.lastFiredAt;
+        for (const name of row.names || []) if (stat.names.size < 20) stat.names.add(name);
+      }
+    },
+  };
+}
+
+export const strategyRegistry = createStrategyRegistry();
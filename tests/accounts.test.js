@@ -0,0 +1,212 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+process.env.NODE_ENV = 'test';
+
+test.mock.module('../db.js', {
+  defaultExport: { collection: () => ({ insertOne: async () => {} }) },
+  namedExports: { connectDB: async () => ({}) },
+});
+test.mock.module('../telegram.js', {
+  namedExports: { sendNotification: () => {} },
+});
+test.mock.module('../account.js', {
+  namedExports: {
+    applyRealizedPnL: () => {},
+    extractNetBalance: (m) => m?.net ?? 0,
+  },
+});
+
+const { createAccountManager, normalizeAccount } = await import('../accounts.js');
+const { createPaperBroker } = await import('../paperBroker.js');
+const { riskState, resetRiskState } = await import('../riskEngine.js');
+const { calculatePositionSize } = await import('../positionSizing.js');
+
+const sizeFor = (capital, slPoints) =>
+  calculatePositionSize({ capital, risk: capital * 0.01, slPoints, price: 100 });
+
+function memoryDb() {
+  const store = new Map();
+  const col = (name) => {
+    if (!store.has(name)) store.set(name, []);
+    return store.get(name);
+  };
+  const matches = (doc, q) => Object.entries(q).every(([k, v]) => doc[k] === v);
+  return {
+    store,
+    collection: (name) => ({
+      find: (q = {}) => ({
+        toArray: async () => col(name).filter((d) => matches(d, q)).map((d) => ({ ...d })),
+      }),
+      findOne: async (q) => col(name).find((d) => matches(d, q)) || null,
+      updateOne: async (q, { $set }) => {
+        const docs = col(name);
+        const existing = docs.find((d) => matches(d, q));
+        if (existing) Object.assign(existing, $set);
+        else docs.push({ ...q, ...$set });
+      },
+      deleteOne: async (q) => {
+        const docs = col(name);
+        const i = docs.findIndex((d) => matches(d, q));
+        if (i >= 0) docs.splice(i, 1);
+      },
+    }),
+  };
+}
+
+const signal = (overrides = {}) => ({
+  stock: 'NSE:TCS',
+  pattern: 'breakout',
+  direction: 'Long',
+  entry: 100,
+  stopLoss: 98,
+  target2: 106,
+  sector: 'IT',
+  confidence: 0.8,
+  ...overrides,
+});
+
+async function setup() {
+  const database = memoryDb();
+  const brokers = {};
+  const manager = createAccountManager({
+    database,
+    createBroker: (acc) => (brokers[acc.accountId] = createPaperBroker({ capital: acc.capital })),
+  });
+  const base = {
+    mode: 'paper',
+    autoTrader: { enabled: true },
+    portfolio: { exposureCap: 1, instrumentCap: 1, tradeCapPct: 1, sectorCaps: { IT: 1 } },
+  };
+  await manager.upsert({ ...base, accountId: 'alpha', capital: 100000, symbols: ['TCS', 'INFY'] });
+  await manager.upsert({ ...base, accountId: 'beta', capital: 500000, symbols: ['INFY'] });
+  await manager.upsert({
+    ...base,
+    accountId: 'gamma',
+    capital: 100000,
+    symbols: ['TCS'],
+    risk: { maxTradesPerDay: 0 },
+  });
+  return { database, brokers, manager };
+}
+
+test('account documents are validated', () => {
+  assert.equal(normalizeAccount({ accountId: 'primary', mode: 'paper' }).ok, false);
+  assert.ok(normalizeAccount({ accountId: 'desk1' }).errors.includes('kiteApiKey is required for live accounts'));
+  const bad = normalizeAccount({ accountId: 'desk1', mode: 'paper', risk: { bogus: 1 } });
+  assert.deepEqual(bad.errors, ['unknown key "risk.bogus"']);
+  const ok = normalizeAccount({ accountId: 'desk1', mode: 'paper', symbols: ['tcs', 'NSE:TCS'] });
+  assert.deepEqual(ok.account.symbols, ['NSE:TCS']);
+});
+
+test('one signal is sized and gated per account against its own watchlist and limits', async () => {
+  resetRiskState();
+  const { manager, brokers, database } = await setup();
+  assert.deepEqual(manager.universe().sort(), ['NSE:INFY', 'NSE:TCS']);
+
+  const results = await manager.dispatch(signal());
+  const byId = Object.fromEntries(results.map((r) => [r.accountId, r]));
+  assert.equal(byId.alpha.status, 'placed');
+  assert.equal(byId.alpha.qty, sizeFor(100000, 2));
+  assert.deepEqual(byId.beta, { accountId: 'beta', status: 'skipped', reason: 'notInWatchlist' });
+  assert.equal(byId.gamma.reason, 'maxTradesPerDay');
+
+  assert.equal((await brokers.alpha.getOrders()).length, 1);
+  assert.equal((await brokers.gamma.getOrders()).length, 0);
+  assert.equal(database.store.get('open_trades')[0].accountId, 'alpha');
+  assert.equal(manager.get('alpha').risk.tradeCount, 1);
+  assert.equal(riskState.tradeCount, 0, 'primary risk state untouched');
+
+  const wide = await manager.evaluate('beta', signal({ stock: 'NSE:INFY', stopLoss: 97, target2: 109 }));
+  assert.equal(wide.status, 'placed');
+  assert.equal(wide.qty, sizeFor(500000, 3));
+  assert.ok(wide.qty > byId.alpha.qty);
+});
+
+test('fills are tracked per account and protected with an OCO GTT', async () => {
+  resetRiskState();
+  const { manager, brokers } = await setup();
+  await manager.dispatch(signal());
+  assert.equal((await manager.dispatch(signal({ pattern: 'other' })))[0].reason, 'entryPending');
+
+  manager.onTick('TCS', { last_price: 99.5 });
+  await manager.syncPositions();
+  const alpha = manager.get('alpha');
+  assert.equal(alpha.openPositions.length, 1);
+  assert.equal(alpha.openPositions[0].qty, sizeFor(100000, 2));
+  assert.equal(alpha.pendingEntries, 0);
+  const [gtt] = await brokers.alpha.getGTTs();
+  assert.deepEqual(gtt.condition.trigger_values, [98, 106]);
+  assert.equal(manager.get('gamma').openPositions.length, 0);
+
+  const again = await manager.evaluate('alpha', signal({ pattern: 'other' }));
+  assert.equal(again.status, 'skipped');
+});
+
+test('a paper fill is protected on the order update, even inside placeOrder', async () => {
+  resetRiskState();
+  const { manager, brokers, database } = await setup();
+  manager.onTick('TCS', { last_price: 99.5 });
+  const [placed] = await manager.dispatch(signal());
+  assert.equal(placed.status, 'placed');
+  await new Promise((r) => setImmediate(r));
+  const [gtt] = await brokers.alpha.getGTTs();
+  assert.deepEqual(gtt.condition.trigger_values, [98, 106]);
+  assert.equal(manager.get('alpha').pendingEntries, 0);
+  assert.equal(manager.get('alpha').openPositions.length, 1);
+  assert.equal(database.store.get('open_trades')[0].status, 'OPEN');
+});
+
+test('entries waiting for a fill keep their stop and target across a restart', async () => {
+  resetRiskState();
+  const { manager, database } = await setup();
+  const [placed] = await manager.dispatch(signal());
+  assert.equal(database.store.get('open_trades')[0].status, 'PENDING_ENTRY');
+
+  const brokers = {};
+  const reloaded = createAccountManager({
+    database,
+    createBroker: (acc) => (brokers[acc.accountId] = createPaperBroker({ capital: acc.capital })),
+  });
+  await reloaded.load();
+  assert.equal(reloaded.get('alpha').pendingEntries, 1);
+  // The fill happened while the process was down
+  await brokers.alpha.placeOrder('regular', {
+    tradingsymbol: 'TCS',
+    exchange: 'NSE',
+    transaction_type: 'BUY',
+    order_type: 'MARKET',
+    product: 'MIS',
+    quantity: placed.qty,
+  });
+  reloaded.onTick('TCS', { last_price: 100 });
+  await reloaded.syncPositions();
+  const [gtt] = await brokers.alpha.getGTTs();
+  assert.deepEqual(gtt.condition.trigger_values, [98, 106]);
+  assert.equal(gtt.orders[0].quantity, placed.qty);
+  assert.equal(database.store.get('open_trades')[0].status, 'OPEN');
+});
+
+test('watchlists and risk settings can change without losing counters', async () => {
+  resetRiskState();
+  const { manager, database } = await setup();
+  await manager.dispatch(signal());
+  assert.deepEqual(await manager.updateSymbols('alpha', { remove: ['TCS'] }), ['NSE:INFY']);
+  assert.equal(await manager.updateSymbols('nope', { add: ['TCS'] }), null);
+  await manager.upsert({
+    accountId: 'alpha',
+    mode: 'paper',
+    capital: 100000,
+    symbols: ['INFY'],
+    risk: { maxTradesPerDay: 1 },
+    autoTrader: { enabled: true },
+  });
+  assert.equal(manager.get('alpha').risk.tradeCount, 1);
+  const next = await manager.evaluate('alpha', signal({ stock: 'NSE:INFY', sector: 'FIN' }));
+  assert.equal(next.reason, 'maxTradesPerDay');
+
+  const reloaded = createAccountManager({ database, createBroker: () => createPaperBroker() });
+  const ids = (await reloaded.load()).map((a) => a.accountId).sort();
+  assert.deepEqual(ids, ['alpha', 'beta', 'gamma']);
+  assert.equal(await manager.remove('gamma'), true);
+  assert.equal(manager.get('gamma'), null);
+});
@@ -13,6 +13,7 @@ const auditMock = test.mock.module('../auditLogger.js', {
   }
 });
 
+let levelReads = 0;
 const kiteMock = test.mock.module('../kite.js', {
   namedExports: {
     getHigherTimeframeData: async () => ({
@@ -25,7 +26,10 @@ const kiteMock = test.mock.module('../kite.js', {
     initSession: async () => 'token',
     kc: { getLTP: async (symbols) => ({ [symbols[0]]: { last_price: 100, instrument_token: 123 } }) },
     tickBuffer: {},
-    getSupportResistanceLevels: async () => ({ support: 90, resistance: 110 }),
+    getSupportResistanceLevels: async () => {
+      levelReads += 1;
+      return { support: 90, resistance: 110 };
+    },
     getMA: () => null,
     onOrderUpdate: () => {},
     orderEvents: { on: () => {} }
@@ -52,7 +56,14 @@ const featureMock = test.mock.module('../featureEngine.js', {
       rvol: 1.2,
       vwap: 100
     }),
-    resetIndicatorCache: () => {}
+    resetIndicatorCache: () => {},
+    // Imported by strategies.js; not reached by these candles
+    calculateADX: () => null,
+    calculateBollingerBands: () => null,
+    calculateSMA: () => null,
+    calculateStdDev: () => null,
+    calculateWMA: () => null,
+    calculateZScore: () => null
   }
 });
 
@@ -85,13 +96,18 @@ const utilMock = test.mock.module('../util.js', {
     DEFAULT_MARGIN_PERCENT: 0.2,
     calculateRequiredMargin: () => 100,
     sanitizeCandles: (candles) => candles,
-    toSpreadPct: () => 0
+    toSpreadPct: () => 0,
+    symbolKey: (s) => String(s || '').split(':').pop().trim().toUpperCase(),
+    parseCsv: () => []
   }
 });
 
+// Swapped per test; the primary account's book is the default riskState
+let validate = () => true;
 const riskMock = test.mock.module('../riskEngine.js', {
   namedExports: {
-    isSignalValid: () => true,
+    isSignalValid: (signal, ctx) => validate(signal, ctx),
+    createRiskState: () => ({ fresh: true }),
     riskState: {
       dailyLoss: 0,
       consecutiveLosses: 0,
@@ -108,18 +124,77 @@ const dbMock = test.mock.module('../db.js', {
   }
 });
 
-const { analyzeCandles } = await import('../scanner.js');
+const { analyzeCandles, buildEvaluationJob, applyScannerConfig, applyStrategyConfig, getActiveStrategyConfig } = await import(
+  '../scanner.js'
+);
 
-test('analyzeCandles returns a signal for valid data', async () => {
-  const candles = [
-    { open: 100, high: 102, low: 98, close: 101, volume: 100 },
-    { open: 101, high: 103, low: 99, close: 102, volume: 110 },
-    { open: 102, high: 104, low: 100, close: 103, volume: 120 },
-    { open: 103, high: 105, low: 101, close: 104, volume: 130 },
-    { open: 104, high: 106, low: 103.8, close: 106, volume: 150 },
-    { open: 106, high: 107, low: 105, close: 107, volume: 170 }
-  ];
+const candles = [
+  { open: 100, high: 102, low: 98, close: 101, volume: 100 },
+  { open: 101, high: 103, low: 99, close: 102, volume: 110 },
+  { open: 102, high: 104, low: 100, close: 103, volume: 120 },
+  { open: 103, high: 105, low: 101, close: 104, volume: 130 },
+  { open: 104, high: 106, low: 103.8, close: 106, volume: 150 },
+  { open: 106, high: 107, low: 105, close: 107, volume: 170 }
+];
+
+test('admin filter overrides win over the optimizer config', () => {
+  applyStrategyConfig({ version: 2, filters: { maxATR: 4, atrThreshold: 0.5 } });
+  applyScannerConfig({ maxATR: 6 });
+  const { filters } = getActiveStrategyConfig();
+  assert.equal(filters.maxATR, 6);
+  assert.equal(filters.atrThreshold, 0.5);
+  applyScannerConfig({});
+  assert.equal(getActiveStrategyConfig().filters.maxATR, 4);
+  applyStrategyConfig({});
+});
 
+test('signals blocked only by the primary account still reach other accounts', async () => {
+  // Primary book is full; an empty book accepts the same signal
+  validate = (signal, ctx) =>
+    ctx.riskState?.fresh ? { ok: true } : { ok: false, reason: 'maxOpenPositions' };
+  const forwarded = [];
+  const args = [candles, 'TEST', null, 0, 0, 0, 0.2, 5000, null, {}, {}];
+  const primary = await analyzeCandles(...args, {
+    onAccountSignal: async (s) => forwarded.push(s),
+  });
+  assert.equal(primary, null);
+  assert.equal(forwarded.length, 1);
+  assert.equal(typeof forwarded[0].pattern, 'string');
+
+  // Signal-level failures are not forwarded
+  validate = () => ({ ok: false, reason: 'minConfidence' });
+  assert.equal(
+    await analyzeCandles(...args, { onAccountSignal: async (s) => forwarded.push(s) }),
+    null
+  );
+  assert.equal(forwarded.length, 1);
+  validate = () => true;
+});
+
+test('event windows are checked at the last bar time, not the wall clock', async () => {
+  const { eventCalendar } = await import('../eventCalendar.js');
+  eventCalendar.setEvents([{ date: '2024-06-07', type: 'rbi_policy' }]); // 10:00 IST, blocks 09:30-11:00
+  const at = (start) =>
+    candles.map((c, i) => ({ ...c, timestamp: new Date(Date.parse(`${start}+05:30`) + i * 60_000) }));
+  const args = [null, 0, 0, 0, 0.2, 5000, null];
+  assert.equal(await analyzeCandles(at('2024-06-07T09:40:00'), 'TEST', ...args), null);
+  assert.ok(await analyzeCandles(at('2024-06-07T13:00:00'), 'TEST', ...args));
+  eventCalendar.setEvents([]);
+});
+
+test('a job built by the caller is reused unless the candles moved on', async () => {
+  const job = await buildEvaluationJob(candles, 'TEST', { token: '123' });
+  const args = [null, 0, 0, 0, 0.2, 5000, null, {}, {}];
+  levelReads = 0;
+  assert.ok(await analyzeCandles(candles, 'TEST', ...args, { job }));
+  assert.equal(levelReads, 0);
+
+  const moved = [...candles.slice(0, -1), { ...candles.at(-1), close: 107.5 }];
+  assert.ok(await analyzeCandles(moved, 'TEST', ...args, { job }));
+  assert.equal(levelReads, 1, 'a stale job is rebuilt');
+});
+
+test('analyzeCandles returns a signal for valid data', async () => {
   const signal = await analyzeCandles(
     candles,
     'TEST',
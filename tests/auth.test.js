@@ -0,0 +1,98 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import express from 'express';
+
+const {
+  configureAuth,
+  authenticate,
+  signJwt,
+  verifyJwt,
+  requireRole,
+  requireConfirmation,
+  issueConfirmation,
+  consumeConfirmation,
+  socketAuth,
+} = await import('../auth.js');
+
+configureAuth({
+  apiKeys: 'view-key:viewer:dash,trade-key:trader:desk,admin-key:admin:ops',
+  jwtSecret: 'test-secret',
+});
+
+test('API keys and JWTs resolve to roles; bad or expired tokens do not', () => {
+  assert.deepEqual(authenticate('trade-key'), { id: 'desk', role: 'trader', via: 'apiKey' });
+  assert.equal(authenticate('nope'), null);
+  assert.equal(authenticate(undefined), null);
+
+  const now = Date.UTC(2024, 0, 1);
+  const token = signJwt({ sub: 'asha', role: 'viewer' }, { expiresInSec: 60, now });
+  assert.equal(verifyJwt(token, { now }).sub, 'asha');
+  assert.equal(verifyJwt(token, { now: now + 61_000 }), null);
+  assert.equal(verifyJwt(token, { now, secret: 'other' }), null);
+  const [h, , s] = token.split('.');
+  const forged = Buffer.from(JSON.stringify({ sub: 'asha', role: 'admin' })).toString('base64url');
+  assert.equal(verifyJwt(`${h}.${forged}.${s}`, { now }), null);
+
+  const live = signJwt({ sub: 'ravi', role: 'admin' });
+  assert.deepEqual(authenticate(live), { id: 'ravi', role: 'admin', via: 'jwt' });
+});
+
+test('confirmation tokens are single-use and bound to user and action', () => {
+  const ops = { id: 'ops', role: 'admin' };
+  const { token } = issueConfirmation(ops, 'reset');
+  assert.equal(consumeConfirmation(token, { id: 'other' }, 'reset'), false);
+  assert.equal(consumeConfirmation(token, ops, 'reset'), false, 'consumed by the failed attempt');
+
+  const t2 = issueConfirmation(ops, 'deleteSymbol:TCS').token;
+  assert.equal(consumeConfirmation(t2, ops, 'deleteSymbol:INFY'), false);
+  const t3 = issueConfirmation(ops, 'reset', { now: 0 }).token;
+  assert.equal(consumeConfirmation(t3, ops, 'reset'), false, 'expired');
+  const t4 = issueConfirmation(ops, 'reset').token;
+  assert.equal(consumeConfirmation(t4, ops, 'reset'), true);
+});
+
+test('routes enforce roles and confirmation', async () => {
+  const app = express();
+  app.get('/signals', requireRole('viewer'), (req, res) => res.json({ user: req.user.id }));
+  app.post('/set-interval', requireRole('trader'), (req, res) => res.json({ ok: true }));
+  app.delete('/reset', requireRole('admin'), requireConfirmation('reset'), (req, res) =>
+    res.json({ ok: true })
+  );
+  const server = app.listen(0);
+  const base = `http://localhost:${server.address().port}`;
+  const call = (method, path, headers = {}) => fetch(`${base}${path}`, { method, headers });
+  try {
+    assert.equal((await call('GET', '/signals')).status, 401);
+    const ok = await call('GET', '/signals', { 'x-api-key': 'view-key' });
+    assert.deepEqual(await ok.json(), { user: 'dash' });
+    assert.equal((await call('POST', '/set-interval', { 'x-api-key': 'view-key' })).status, 403);
+    assert.equal(
+      (await call('POST', '/set-interval', { authorization: 'Bearer trade-key' })).status,
+      200
+    );
+
+    const adminHeaders = { 'x-api-key': 'admin-key' };
+    assert.equal((await call('DELETE', '/reset', adminHeaders)).status, 428);
+    const { token } = issueConfirmation({ id: 'ops' }, 'reset');
+    const confirmed = { ...adminHeaders, 'x-confirm-token': token };
+    assert.equal((await call('DELETE', '/reset', confirmed)).status, 200);
+    assert.equal((await call('DELETE', '/reset', confirmed)).status, 428, 'token reused');
+  } finally {
+    server.close();
+  }
+});
+
+test('socket handshake requires a credential', () => {
+  const accept = { handshake: { auth: { token: 'view-key' } }, data: {} };
+  let err = 'unset';
+  socketAuth(accept, (e) => (err = e));
+  assert.equal(err, undefined);
+  assert.equal(accept.data.user.role, 'viewer');
+
+  const header = { handshake: { headers: { authorization: 'Bearer admin-key' } }, data: {} };
+  socketAuth(header, (e) => (err = e));
+  assert.equal(header.data.user.id, 'ops');
+
+  socketAuth({ handshake: { auth: {} }, data: {} }, (e) => (err = e));
+  assert.equal(err?.message, 'unauthorized');
+});
@@ -0,0 +1,141 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+process.env.NODE_ENV = 'test';
+
+const inserted = [];
+const updates = [];
+let lastQuery = null;
+test.mock.module('../db.js', {
+  defaultExport: {
+    collection: () => ({
+      insertOne: async (doc) => inserted.push(doc),
+      updateOne: async (filter, update) => updates.push({ filter, update }),
+      find: (q) => {
+        lastQuery = q;
+        const chain = {
+          sort: () => chain,
+          limit: () => chain,
+          toArray: async () => inserted.filter((d) => !q.symbol || d.symbol === q.symbol),
+        };
+        return chain;
+      },
+    }),
+  },
+  namedExports: { connectDB: async () => ({}) },
+});
+
+const {
+  createCandidateTrace,
+  attachCandidateSocket,
+  setCandidateTracing,
+  setCandidateTraceClock,
+  resetCandidateTraceClock,
+  stageForRiskRule,
+  queryCandidates,
+  recordGateSteps,
+} = await import('../candidateTrace.js');
+const { createBacktestClock } = await import('../src/backtest/clock.js');
+
+const T0 = Date.UTC(2024, 0, 2, 4, 0);
+
+test('rejected candidate persists every step and emits candidateRejected', async () => {
+  inserted.length = 0;
+  const events = [];
+  attachCandidateSocket({ emit: (name, payload) => events.push({ name, payload }) });
+  setCandidateTraceClock(createBacktestClock(T0));
+  try {
+    const trace = createCandidateTrace('NSE:TCS');
+    trace.pass('risk', 'sessionLimits', { dailyLoss: 0, dailyLossLimit: 500 });
+    trace.pass('strategy', 'strategySelected', { strategy: 'Breakout', ratio: Infinity });
+    trace.annotate({ strategy: 'Breakout', direction: 'Long' });
+    await trace.reject('portfolio', 'maxOpenPositions', { open: 5, max: 5, fn: () => {} });
+    await trace.accept({}); // already closed: no second write
+
+    assert.equal(inserted.length, 1);
+    const doc = inserted[0];
+    assert.equal(doc.status, 'rejected');
+    assert.equal(doc.evaluatedAt.getTime(), T0);
+    assert.deepEqual(doc.steps.map((s) => [s.rule, s.passed]), [
+      ['sessionLimits', true],
+      ['strategySelected', true],
+      ['maxOpenPositions', false],
+    ]);
+    assert.equal(doc.steps[1].inputs.ratio, 'Infinity');
+    assert.deepEqual(doc.rejectedBy, { stage: 'portfolio', rule: 'maxOpenPositions', inputs: { open: 5, max: 5 } });
+
+    assert.equal(events.length, 1);
+    assert.equal(events[0].name, 'candidateRejected');
+    assert.equal(events[0].payload.rule, 'maxOpenPositions');
+    assert.equal(events[0].payload.strategy, 'Breakout');
+  } finally {
+    attachCandidateSocket(null);
+    resetCandidateTraceClock();
+  }
+});
+
+test('accepted candidates are stored without a socket event; tracing can be disabled', async () => {
+  inserted.length = 0;
+  const events = [];
+  attachCandidateSocket({ emit: (name) => events.push(name) });
+  try {
+    const ok = createCandidateTrace('NSE:INFY');
+    ok.pass('risk', 'isSignalValid', { rr: 2 });
+    await ok.accept({ strategy: 'Pullback', entry: 100 });
+    assert.equal(inserted.at(-1).status, 'accepted');
+    assert.equal(inserted.at(-1).signal.entry, 100);
+    assert.equal(events.length, 0);
+
+    setCandidateTracing(false);
+    await createCandidateTrace('NSE:INFY').reject('filter', 'debounce', {});
+    assert.equal(inserted.length, 1);
+    assert.equal(events.length, 0);
+  } finally {
+    setCandidateTracing(true);
+    attachCandidateSocket(null);
+  }
+});
+
+test('risk rule codes map to portfolio / validator / risk stages', () => {
+  assert.equal(stageForRiskRule('maxOpenPositions'), 'portfolio');
+  assert.equal(stageForRiskRule('rrBelowMinAfterCosts'), 'validator');
+  assert.equal(stageForRiskRule('maxDailyLoss'), 'risk');
+});
+
+test('queryCandidates normalizes symbol and builds the time range', async () => {
+  await queryCandidates({ symbol: 'tcs', from: '2024-01-02T00:00:00Z', to: '', rule: 'debounce' });
+  assert.equal(lastQuery.symbol, 'NSE:TCS');
+  assert.equal(lastQuery.evaluatedAt.$gte.toISOString(), '2024-01-02T00:00:00.000Z');
+  assert.equal(lastQuery.evaluatedAt.$lte, undefined);
+  assert.equal(lastQuery['rejectedBy.rule'], 'debounce');
+});
+
+test('recordGateSteps appends portfolio verdicts and rejects on a failed gate', async () => {
+  updates.length = 0;
+  const events = [];
+  attachCandidateSocket({ emit: (name, payload) => events.push({ name, payload }) });
+  try {
+    const signal = { stock: 'NSE:TCS', strategy: 'Breakout', direction: 'Long', algoSignal: { signalId: 'sig-1' } };
+    await recordGateSteps(signal, [
+      { stage: 'risk', rule: 'checkRisk', passed: true, inputs: { dailyLoss: 0 } },
+      { stage: 'portfolio', rule: 'preventReEntry', passed: true, inputs: { symbol: 'NSE:TCS' } },
+      { stage: 'portfolio', rule: 'exposureLimits', passed: false, inputs: { tradeValue: 1e6 } },
+    ]);
+    assert.equal(updates.length, 1);
+    const { filter, update } = updates[0];
+    assert.deepEqual(filter, { 'signal.signalId': 'sig-1', status: 'accepted' });
+    assert.deepEqual(update.$push.steps.$each.map((s) => [s.rule, s.passed]), [
+      ['checkRisk', true],
+      ['preventReEntry', true],
+      ['exposureLimits', false],
+    ]);
+    assert.equal(update.$set.status, 'rejected');
+    assert.equal(update.$set.rejectedBy.rule, 'exposureLimits');
+    assert.equal(events[0].payload.rule, 'exposureLimits');
+
+    await recordGateSteps(signal, [{ stage: 'portfolio', rule: 'signalConflict', passed: true }]);
+    assert.equal(updates[1].update.$set, undefined);
+    assert.equal(events.length, 1);
+  } finally {
+    attachCandidateSocket(null);
+  }
+});
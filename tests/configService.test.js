@@ -0,0 +1,161 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+process.env.NODE_ENV = 'test';
+
+test.mock.module('../db.js', {
+  defaultExport: { collection: () => ({ insertOne: async () => {} }) },
+  namedExports: { connectDB: async () => ({}) },
+});
+test.mock.module('../telegram.js', {
+  namedExports: { sendNotification: () => {} },
+});
+test.mock.module('../account.js', {
+  namedExports: { applyRealizedPnL: () => {} },
+});
+
+const { createConfigService, validateConfig, diffConfig } = await import(
+  '../configService.js'
+);
+const { applyRiskConfig, riskState, recordTradeResult, resetRiskState } = await import(
+  '../riskEngine.js'
+);
+const { applyPortfolioConfig, checkExposureLimits, clearPortfolioState } = await import(
+  '../portfolioContext.js'
+);
+
+function memoryDb() {
+  const docs = [];
+  const byVersion = (a, b) => b.version - a.version;
+  return {
+    docs,
+    collection: () => ({
+      find: () => ({
+        sort: () => ({
+          limit: (n) => ({ toArray: async () => [...docs].sort(byVersion).slice(0, n) }),
+        }),
+      }),
+      findOne: async (q) => docs.find((d) => d.version === q.version) || null,
+      insertOne: async (doc) => {
+        if (docs.some((d) => d.version === doc.version)) throw new Error('duplicate version');
+        docs.push(structuredClone(doc));
+      },
+    }),
+  };
+}
+
+function recordingAppliers() {
+  const applied = {};
+  const appliers = Object.fromEntries(
+    ['risk', 'scanner', 'portfolio', 'autoTrader'].map((s) => [
+      s,
+      async (values) => {
+        applied[s] = values;
+        return values;
+      },
+    ])
+  );
+  return { applied, appliers };
+}
+
+test('schema rejects unknown keys and out-of-range values', () => {
+  assert.deepEqual(validateConfig({ risk: { maxDailyLoss: 5000 } }), []);
+  const errors = validateConfig({
+    risk: { maxDailyLoss: -1, maxLossStreak: 2.5, bogus: 1 },
+    portfolio: { sectorCaps: { IT: 2 } },
+    autoTrader: { enabled: 'yes' },
+    other: {},
+  });
+  assert.equal(errors.length, 6);
+  assert.ok(errors.includes('risk.maxDailyLoss must be >= 0'));
+  assert.ok(errors.includes('unknown key "risk.bogus"'));
+  assert.ok(errors.includes('unknown section "other"'));
+  assert.deepEqual(validateConfig({ risk: { maxDailyLoss: null } }, { allowClear: true }), []);
+});
+
+test('updates are versioned, diffed, audited and applied', async () => {
+  const audits = [];
+  const database = memoryDb();
+  const { applied, appliers } = recordingAppliers();
+  const audit = async (entry) => audits.push(entry);
+  const svc = createConfigService({ database, appliers, audit });
+  await svc.load();
+  assert.equal(svc.get().version, 0);
+
+  const bad = await svc.update({ risk: { maxDailyLoss: 'lots' } });
+  assert.equal(bad.ok, false);
+  assert.equal(database.docs.length, 0);
+
+  const v1 = await svc.update(
+    { risk: { maxDailyLoss: 8000 }, scanner: { maxATR: 4 } },
+    { changedBy: 'ops', reason: 'volatile open' }
+  );
+  assert.equal(v1.version, 1);
+  assert.deepEqual(v1.diff, [
+    { path: 'risk.maxDailyLoss', from: undefined, to: 8000 },
+    { path: 'scanner.maxATR', from: undefined, to: 4 },
+  ]);
+  assert.deepEqual(applied.risk, { maxDailyLoss: 8000 });
+  assert.equal(audits.length, 1);
+  assert.equal(audits[0].changedBy, 'ops');
+
+  const v2 = await svc.update({ risk: { maxDailyLoss: null, maxLossStreak: 2 } });
+  assert.equal(v2.version, 2);
+  assert.deepEqual(v2.config.risk, { maxLossStreak: 2 });
+  assert.deepEqual(applied.scanner, { maxATR: 4 });
+
+  const same = await svc.update({ risk: { maxLossStreak: 2 } });
+  assert.equal(same.changed, false);
+  assert.equal(database.docs.length, 2);
+
+  const diff = await svc.diff(1, 2);
+  assert.deepEqual(
+    diff.diff.map((d) => d.path),
+    ['risk.maxDailyLoss', 'risk.maxLossStreak']
+  );
+});
+
+test('rollback restores an earlier version as a new one; refresh picks up other writers', async () => {
+  const database = memoryDb();
+  const { applied, appliers } = recordingAppliers();
+  const svc = createConfigService({ database, appliers, audit: async () => {} });
+  await svc.update({ portfolio: { exposureCap: 0.5 } });
+  await svc.update({ portfolio: { exposureCap: 0.9 } });
+
+  const rolled = await svc.rollback(1, { changedBy: 'ops' });
+  assert.equal(rolled.version, 3);
+  assert.equal(database.docs.at(-1).rollbackOf, 1);
+  assert.deepEqual(applied.portfolio, { exposureCap: 0.5 });
+  assert.equal((await svc.rollback(42)).ok, false);
+
+  const other = createConfigService({ database, appliers: {}, audit: async () => {} });
+  await other.load();
+  await other.update({ autoTrader: { enabled: false } });
+  assert.equal(await svc.refresh(), true);
+  assert.deepEqual(applied.autoTrader, { enabled: false });
+  assert.equal(await svc.refresh(), false);
+  assert.deepEqual(diffConfig({ a: { x: 1 } }, { a: { x: 1 } }), []);
+});
+
+test('risk overrides change live limits without resetting counters', () => {
+  resetRiskState();
+  recordTradeResult({ pnl: -300, symbol: 'NSE:AAA' });
+  applyRiskConfig({ maxDailyLoss: 250, maxLossStreak: 5 });
+  assert.equal(riskState.maxDailyLoss, 250);
+  assert.equal(riskState.maxLossStreak, 5);
+  assert.equal(riskState.dailyLoss, 300);
+  assert.equal(riskState.consecutiveLosses, 1);
+  applyRiskConfig({});
+  assert.notEqual(riskState.maxDailyLoss, 250);
+  resetRiskState();
+});
+
+test('portfolio overrides become the exposure defaults', () => {
+  clearPortfolioState();
+  const base = { symbol: 'NSE:AAA', tradeValue: 15000, sector: 'IT', totalCapital: 100000 };
+  assert.equal(checkExposureLimits(base), false, '15% trade over the 10% default cap');
+  applyPortfolioConfig({ tradeCapPct: 0.2, instrumentCap: 0.2, sectorCaps: { IT: 0.1 } });
+  assert.equal(checkExposureLimits(base), false, 'configured IT sector cap');
+  assert.equal(checkExposureLimits({ ...base, sector: 'BANK' }), true);
+  assert.equal(checkExposureLimits({ ...base, sectorCaps: { IT: 0.3 } }), true);
+  applyPortfolioConfig({});
+});
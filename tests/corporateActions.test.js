@@ -0,0 +1,118 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+process.env.NODE_ENV = 'test';
+
+// Daily history for token 408065 (INFY) in the single-document layout
+const stored = {
+  '408065': [
+    { date: '2024-05-29T00:00:00+05:30', open: 1500, high: 1520, low: 1490, close: 1500, volume: 1000 },
+    { date: '2024-05-30T00:00:00+05:30', open: 1500, high: 1510, low: 1480, close: 1490, volume: 1200 },
+    { date: '2024-05-31T00:00:00+05:30', open: 300, high: 305, low: 296, close: 302, volume: 6000 },
+  ],
+};
+test.mock.module('../db.js', {
+  defaultExport: {
+    collection: () => ({
+      findOne: async (_q, { projection } = {}) =>
+        projection && Object.keys(projection).some((k) => stored[k]) ? stored : null,
+    }),
+  },
+  namedExports: { connectDB: async () => ({}) },
+});
+
+const {
+  adjustCandles,
+  priceFactor,
+  validateAction,
+  createCorporateActionLedger,
+} = await import('../corporateActions.js');
+const { default: initHistoricalStore } = await import('../data/historicalStore.js');
+
+const bar = (date, close, volume = 100) => ({
+  date: new Date(`${date}T09:15:00+05:30`),
+  open: close,
+  high: close,
+  low: close,
+  close,
+  volume,
+});
+
+test('price factors per action type', () => {
+  assert.equal(priceFactor({ type: 'split', ratio: '1:5' }), 0.2);
+  assert.equal(priceFactor({ type: 'bonus', ratio: '1:1' }), 0.5);
+  assert.equal(priceFactor({ type: 'dividend', amount: 20 }, 1000), 0.98);
+  // 1 for 4 at 500 with the stock at 1000: TERP 900
+  assert.equal(priceFactor({ type: 'rights', ratio: '1:4', price: 500 }, 1000), 0.9);
+  assert.equal(priceFactor({ type: 'split', ratio: '1:5', factor: 0.25 }), 0.25);
+  assert.deepEqual(validateAction({ symbol: 'INFY', exDate: '2024-05-31', type: 'bonus' }), [
+    'bonus needs ratio "a:b"',
+  ]);
+  assert.match(validateAction({ symbol: 'INFY', exDate: '2024-05-31', type: 'merger' })[0], /type must be/);
+});
+
+test('back-adjustment removes the ex-date gap and can be undone', () => {
+  const raw = [bar('2024-05-29', 1000, 10), bar('2024-05-30', 1010, 10), bar('2024-05-31', 203, 50)];
+  const split = { symbol: 'INFY', exDate: '2024-05-31', type: 'split', ratio: '1:5' };
+  const adjusted = adjustCandles(raw, [split]);
+  assert.equal(adjusted[1].close, 202);
+  assert.equal(adjusted[1].volume, 50);
+  assert.equal(adjusted[1].adjFactor, 0.2);
+  assert.equal(adjusted[2], raw[2]); // bars on/after the ex-date are untouched
+  assert.equal(raw[1].close, 1010); // input is not mutated
+
+  // Dividend factors use the raw close even on an already adjusted series
+  const dividend = { symbol: 'INFY', exDate: '2024-05-30', type: 'dividend', amount: 100 };
+  const both = adjustCandles(adjusted, [dividend]);
+  assert.ok(Math.abs(both[0].close - 1000 * 0.2 * 0.9) < 1e-9);
+  assert.equal(both[1].close, 202);
+
+  const undone = adjustCandles(both, [split], { invert: true });
+  assert.ok(Math.abs(undone[0].close - 900) < 1e-9);
+  assert.ok(Math.abs(undone[1].close - 1010) < 1e-9);
+  assert.equal(undone[1].adjFactor, undefined);
+});
+
+test('ledger records actions and historicalStore serves both views', async () => {
+  const writes = [];
+  let rows = [];
+  const database = {
+    collection: () => ({
+      updateOne: async (filter, { $set }) => {
+        writes.push(filter);
+        rows = [...rows.filter((r) => r.exDate !== filter.exDate || r.type !== filter.type), $set];
+      },
+      find: () => ({ toArray: async () => rows }),
+    }),
+  };
+  const ledger = createCorporateActionLedger({ resolveSymbol: (t) => (t === '408065' ? 'NSE:INFY' : null) });
+  const changes = [];
+  ledger.onChange((c) => changes.push(c));
+
+  let loads = 0;
+  const store = initHistoricalStore({
+    adjust: (token, candles) => ledger.adjust(token, candles),
+    metrics: { onLoadMs: () => loads++ },
+  });
+  const before = await store.getDailyCandles(408065);
+  assert.equal(before[1].close, 1490);
+
+  const bad = await ledger.record({ database, action: { symbol: 'INFY', type: 'split' } });
+  assert.equal(bad.ok, false);
+  const res = await ledger.record({
+    database,
+    action: { symbol: 'NSE:INFY', exDate: '2024-05-31', type: 'split', ratio: '1:5' },
+  });
+  assert.equal(res.ok, true);
+  assert.deepEqual(writes, [{ symbol: 'INFY', exDate: '2024-05-31', type: 'split' }]);
+  assert.deepEqual(changes.map((c) => c.kind), ['record']);
+  assert.equal(ledger.actionsFor('408065').length, 1);
+
+  await store.reapplyAdjustments(408065);
+  const adjusted = await store.getDailyCandles(408065);
+  const raw = await store.getDailyCandles(408065, { adjusted: false });
+  assert.equal(loads, 1); // recomputed from cache, not reloaded
+  assert.equal(adjusted[1].close, 298);
+  assert.equal(adjusted[1].volume, 6000);
+  assert.equal(adjusted[2].close, 302);
+  assert.equal(raw[1].close, 1490);
+});
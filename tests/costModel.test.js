@@ -0,0 +1,56 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  computeLegCharges,
+  computeRoundTripCharges,
+  chargesPerUnit,
+} from '../costModel.js';
+import { applyCosts } from '../src/backtest/accounting.js';
+
+const close = (a, b) => assert.ok(Math.abs(a - b) < 1e-6, `${a} != ${b}`);
+
+test('intraday legs: capped brokerage, sell-side STT, buy-side stamp duty', () => {
+  const buy = computeLegCharges({ side: 'buy', price: 1000, qty: 100, product: 'MIS' });
+  close(buy.brokerage, 20);
+  close(buy.stt, 0);
+  close(buy.exchangeTxn, 2.97);
+  close(buy.sebi, 0.1);
+  close(buy.stampDuty, 3);
+  close(buy.gst, 0.18 * 23.07);
+  close(buy.total, 30.2226);
+
+  const sell = computeLegCharges({ side: 'sell', price: 1000, qty: 100, product: 'MIS' });
+  close(sell.stt, 25);
+  close(sell.stampDuty, 0);
+  close(sell.total, 52.2226);
+
+  const small = computeLegCharges({ side: 'buy', price: 100, qty: 10 });
+  close(small.brokerage, 0.3, 'brokerage is 0.03% below the cap');
+});
+
+test('delivery legs: no brokerage, STT both sides, DP charge on sell', () => {
+  const trip = computeRoundTripCharges({ entry: 1000, exit: 1000, qty: 100, product: 'CNC' });
+  close(trip.entry.brokerage, 0);
+  close(trip.entry.stt, 100);
+  close(trip.entry.stampDuty, 15);
+  close(trip.entry.total, 118.6226);
+  close(trip.exit.dp, 13.5);
+  close(trip.exit.total, 119.5526);
+  close(trip.perUnit, (118.6226 + 119.5526) / 100);
+});
+
+test('short intraday trades pay STT on the entry leg', () => {
+  const trip = computeRoundTripCharges({ direction: 'Short', entry: 1000, exit: 990, qty: 100 });
+  assert.equal(trip.entry.side, 'sell');
+  close(trip.entry.stt, 25);
+  close(trip.exit.stampDuty, 2.97);
+  assert.ok(chargesPerUnit({ entry: 1000, exit: 990 }) > 0, 'qty estimated when omitted');
+});
+
+test('backtest applyCosts adds per-side charges to fees', () => {
+  const exec = applyCosts({ side: 'sell', price: 1000, qty: 100, slippageBps: 0 });
+  close(exec.fees, 52.2226);
+  assert.equal(exec.charges.stt, 25);
+  const flat = applyCosts({ side: 'buy', price: 1000, qty: 100, slippageBps: 0, charges: false });
+  assert.equal(flat.fees, 20);
+});
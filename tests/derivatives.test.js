@@ -0,0 +1,171 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+process.env.NODE_ENV = 'test';
+
+test.mock.module('../db.js', {
+  defaultExport: { collection: () => ({}) },
+  namedExports: { connectDB: async () => ({}) },
+});
+
+const {
+  createFnoTranslator,
+  blackScholes,
+  pickExpiry,
+  selectStrike,
+  estimatePremiumLevels,
+  underlyingName,
+} = await import('../derivatives.js');
+const { estimateSpanMargin } = await import('../positionSizing.js');
+const { createBacktestClock } = await import('../src/backtest/clock.js');
+
+// Monday 2024-01-22 10:00 IST
+const NOW = Date.parse('2024-01-22T10:00:00+05:30');
+
+function chain() {
+  const docs = [];
+  let token = 1;
+  for (const expiry of ['2024-01-25', '2024-02-01']) {
+    const tag = expiry === '2024-01-25' ? '24125' : '24201';
+    for (let strike = 21300; strike <= 21700; strike += 100) {
+      for (const type of ['CE', 'PE']) {
+        docs.push({
+          instrument_token: token++,
+          tradingsymbol: `NIFTY${tag}${strike}${type}`,
+          name: 'NIFTY',
+          exchange: 'NFO',
+          expiry: new Date(`${expiry}T00:00:00Z`),
+          strike,
+          lot_size: 50,
+          tick_size: 0.05,
+          instrument_type: type,
+        });
+      }
+    }
+    docs.push({
+      instrument_token: token++,
+      tradingsymbol: `NIFTY${tag}FUT`,
+      name: 'NIFTY',
+      exchange: 'NFO',
+      expiry,
+      strike: 0,
+      lot_size: 50,
+      tick_size: 0.05,
+      instrument_type: 'FUT',
+    });
+  }
+  return docs;
+}
+
+function memoryDb(docs) {
+  const queries = [];
+  return {
+    queries,
+    collection: () => ({
+      find: (q) => {
+        queries.push(q);
+        const rows = docs.filter(
+          (d) => d.exchange === q.exchange && d.name === q.name && q.instrument_type.$in.includes(d.instrument_type)
+        );
+        return { project: () => ({ toArray: async () => rows }) };
+      },
+    }),
+  };
+}
+
+const niftySignal = (overrides = {}) => ({
+  stock: 'NSE:NIFTY 50',
+  direction: 'Long',
+  entry: 21500,
+  stopLoss: 21450,
+  target2: 21600,
+  qty: 100,
+  pattern: 'breakout',
+  ...overrides,
+});
+
+test('pricing helpers', () => {
+  const call = blackScholes({ spot: 100, strike: 100, years: 1, iv: 0.2, rate: 0, type: 'CE' });
+  assert.ok(Math.abs(call.price - 7.966) < 0.01);
+  assert.ok(Math.abs(call.delta - 0.54) < 0.001);
+  const put = blackScholes({ spot: 100, strike: 100, years: 1, iv: 0.2, rate: 0, type: 'PE' });
+  assert.ok(Math.abs(put.price - call.price) < 1e-6, 'put-call parity at zero rates');
+
+  assert.equal(underlyingName('NSE:NIFTY BANK'), 'BANKNIFTY');
+  assert.equal(underlyingName('NSE:TCS'), 'TCS');
+  const docs = chain();
+  assert.equal(pickExpiry(docs, { now: NOW }), '2024-01-25');
+  assert.equal(pickExpiry(docs, { now: NOW, minDaysToExpiry: 4 }), '2024-02-01');
+  assert.equal(pickExpiry(docs, { now: Date.parse('2024-01-25T16:00:00+05:30') }), '2024-02-01');
+
+  const weekly = docs.filter((d) => d.tradingsymbol.startsWith('NIFTY24125'));
+  const ctx = { spot: 21480, years: 3.2 / 365, iv: 0.15 };
+  assert.equal(selectStrike(weekly, { ...ctx, type: 'CE' }).contract.strike, 21500);
+  assert.equal(selectStrike(weekly, { ...ctx, type: 'CE', targetDelta: 0.25 }).contract.strike, 21700);
+  assert.equal(selectStrike(weekly, { ...ctx, type: 'PE', mode: 'moneyness', moneyness: 1 }).contract.strike, 21400);
+
+  const levels = estimatePremiumLevels({ premium: 120, delta: 0.5, entry: 21500, stopLoss: 21450, target: 21600 });
+  assert.deepEqual(levels, { stopLoss: 95, target: 170, riskPerUnit: 25 });
+
+  assert.equal(estimateSpanMargin({ instrumentType: 'CE', price: 120, lotSize: 50 }), 6000);
+  assert.equal(
+    estimateSpanMargin({ instrumentType: 'FUT', price: 21500, lotSize: 50, isIndex: true }),
+    21500 * 50 * 0.11
+  );
+});
+
+test('index signal becomes a sized option order', async () => {
+  const database = memoryDb(chain());
+  const fno = createFnoTranslator({
+    database,
+    clock: createBacktestClock(NOW),
+    getQuote: async (sym) => (sym === 'NFO:NIFTY2412521500CE' ? 120 : null),
+    config: { mode: 'options' },
+  });
+
+  const res = await fno.translate(niftySignal(), { capital: 500000 });
+  assert.equal(res.ok, true);
+  const order = res.signal;
+  assert.equal(order.stock, 'NFO:NIFTY2412521500CE');
+  assert.equal(order.exchange, 'NFO');
+  assert.equal(order.tradingsymbol, 'NIFTY2412521500CE');
+  assert.equal(order.direction, 'Long');
+  assert.equal(order.entry, 120);
+  assert.equal(order.derivative.premiumSource, 'quote');
+  assert.ok(order.stopLoss < 120 && order.target2 > 120);
+  // Same ₹5000 risk as the spot signal (100 × 50 points), spent on premium risk per lot
+  assert.equal(order.lots, Math.floor(5000 / ((120 - order.stopLoss) * 50)));
+  assert.equal(order.qty, order.lots * 50);
+  assert.equal(order.margin, order.lots * 120 * 50);
+
+  const short = await fno.translate(niftySignal({ direction: 'Short', stopLoss: 21550, target2: 21400 }), {
+    capital: 500000,
+  });
+  assert.equal(short.signal.derivative.instrumentType, 'PE');
+  assert.equal(short.signal.derivative.premiumSource, 'model');
+  assert.equal(short.signal.direction, 'Long', 'puts are bought');
+
+  assert.equal((await fno.translate(niftySignal({ stock: 'NSE:TCS' }))).reason, 'notEligible');
+  assert.equal((await fno.translate(niftySignal(), { capital: 1000 })).reason, 'margin');
+  assert.equal(database.queries.length, 1, 'chain cached for the day');
+});
+
+test('futures mode keeps direction and shifts levels by the basis', async () => {
+  const fno = createFnoTranslator({
+    database: memoryDb(chain()),
+    clock: createBacktestClock(NOW),
+    getQuote: async () => 21530,
+    config: { mode: 'futures' },
+  });
+  const res = await fno.translate(niftySignal({ direction: 'Short', stopLoss: 21550, target2: 21400, qty: 200 }), {
+    capital: 1000000,
+  });
+  assert.equal(res.ok, true);
+  const order = res.signal;
+  assert.equal(order.tradingsymbol, 'NIFTY24125FUT');
+  assert.equal(order.direction, 'Short');
+  assert.equal(order.entry, 21530);
+  assert.equal(order.stopLoss, 21580);
+  assert.equal(order.target2, 21430);
+  assert.equal(order.lots, 4, '₹10000 risk / (50 points × 50)');
+  assert.equal(order.margin, 4 * 21530 * 50 * 0.11);
+});
@@ -0,0 +1,160 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { EventEmitter } from 'node:events';
+process.env.NODE_ENV = 'test';
+
+test.mock.module('../db.js', {
+  defaultExport: { collection: () => ({}) },
+  namedExports: { connectDB: async () => ({}) },
+});
+
+const { createEvaluationPool, shardFor, defaultPoolSize } = await import('../evaluationPool.js');
+const { evaluateCandidate, isCurrentEvaluation } = await import('../candidateEvaluator.js');
+const { createFeatureStreamStore } = await import('../indicatorStreams.js');
+const { createStrategyRegistry } = await import('../strategyRegistry.js');
+const { DEFAULT_CONFIG } = await import('../strategies.js');
+
+// Stands in for evaluationWorker.js: answers jobs when the test says so
+function fakeWorkers() {
+  const workers = [];
+  const createWorker = () => {
+    const worker = new EventEmitter();
+    worker.posted = [];
+    worker.postMessage = (msg) => {
+      worker.posted.push(msg);
+      if (msg.type === 'close' && !worker.hangs) worker.emit('exit', 0);
+    };
+    worker.reply = (extra = {}) => {
+      const msg = worker.posted.find((m) => m.type === 'evaluate' && !m.done);
+      msg.done = true;
+      const { lastTime = 1, lastClose = 1, evalMs = 5 } = msg.job;
+      worker.emit('message', { type: 'result', id: msg.id, result: { key: msg.job.key, lastTime, lastClose, evalMs }, ...extra });
+    };
+    worker.terminate = async () => {
+      worker.terminated = true;
+      worker.emit('exit', 1);
+    };
+    workers.push(worker);
+    return worker;
+  };
+  return { workers, createWorker };
+}
+
+const quiet = { error() {}, warn() {} };
+const pending = (worker) => worker.posted.filter((m) => m.type === 'evaluate' && !m.done).length;
+
+test('jobs shard by token, queue behind maxInFlight and fall back under backpressure', async () => {
+  assert.equal(defaultPoolSize({ EVAL_WORKERS: '0' }), 0);
+  assert.equal(defaultPoolSize({ EVAL_WORKERS: '3' }), 3);
+  assert.equal(shardFor('256265', 4), shardFor(256265, 4));
+
+  const { workers, createWorker } = fakeWorkers();
+  const merged = [];
+  const pool = createEvaluationPool({ size: 2, maxInFlight: 1, maxQueued: 1, createWorker, logger: quiet });
+  assert.equal(await pool.evaluate({ key: 'a' }), null, 'not started');
+  pool.start({ onStats: (rows) => merged.push(...rows) });
+  assert.equal(pool.enabled, true);
+  assert.equal(pool.capacity(), 4);
+
+  const key = 'a';
+  const worker = workers[shardFor(key, 2)];
+  const cycle = pool.startCycle();
+  const first = pool.evaluate({ key, evalMs: 4 });
+  const second = pool.evaluate({ key, evalMs: 6 });
+  assert.equal(await pool.evaluate({ key }), null, 'queue full');
+  assert.equal(pending(worker), 1, 'second job waits for the first');
+  assert.equal(pool.capacity(), 2);
+
+  worker.reply({ stats: [{ id: 'orb', evaluated: 1, fired: 0, errors: 0, names: [] }] });
+  assert.equal((await first).evalMs, 4);
+  assert.equal(pending(worker), 1, 'queued job dispatched');
+  worker.reply();
+  assert.equal((await second).key, key);
+  assert.deepEqual(merged.map((r) => r.id), ['orb']);
+
+  const summary = cycle.end({ symbols: 3 });
+  assert.equal(summary.symbols, 3);
+  assert.equal(summary.jobs, 3);
+  assert.equal(summary.completed, 2);
+  assert.deepEqual(summary.fallbacks, { timeout: 0, error: 0, crash: 0, backpressure: 1 });
+  assert.equal(summary.evalMs.max, 6);
+  assert.equal(pool.stats().cycles.length, 1);
+
+  pool.reload();
+  pool.reset(key);
+  assert.deepEqual(worker.posted.slice(-2), [{ type: 'reload' }, { type: 'reset', key }]);
+  await pool.close();
+  assert.equal(pool.enabled, false);
+});
+
+test('timeouts, job errors and crashed workers resolve null and workers restart', async () => {
+  const { workers, createWorker } = fakeWorkers();
+  const pool = createEvaluationPool({ size: 1, timeoutMs: 20, createWorker, logger: quiet });
+  pool.start();
+  const [worker] = workers;
+
+  assert.equal(await pool.evaluate({ key: 'slow' }), null);
+  const failing = pool.evaluate({ key: 'bad' });
+  const { id } = worker.posted.at(-1);
+  worker.emit('message', { type: 'error', id, error: 'boom' });
+  assert.equal(await failing, null);
+
+  const lost = pool.evaluate({ key: 'x' });
+  worker.emit('exit', 1);
+  assert.equal(await lost, null);
+  assert.equal(workers.length, 2, 'respawned');
+  const after = pool.evaluate({ key: 'x' });
+  workers[1].reply();
+  assert.equal((await after).key, 'x');
+
+  const { totals, restarts } = pool.stats();
+  assert.deepEqual(totals, { jobs: 4, completed: 1, timeout: 1, error: 1, crash: 1, backpressure: 0 });
+  assert.equal(restarts, 1);
+  await pool.close();
+});
+
+test('close lets workers close their db connection and terminates the ones that hang', async () => {
+  const { workers, createWorker } = fakeWorkers();
+  const pool = createEvaluationPool({ size: 2, closeTimeoutMs: 20, createWorker, logger: quiet });
+  pool.start();
+  workers[1].hangs = true;
+  await pool.close();
+  assert.ok(workers.every((w) => w.posted.some((m) => m.type === 'close')));
+  assert.deepEqual(workers.map((w) => Boolean(w.terminated)), [false, true]);
+  assert.equal(workers.length, 2, 'not restarted');
+});
+
+test('evaluations survive structured cloning and registry counters merge', () => {
+  const t0 = Date.parse('2024-06-03T09:15:00+05:30');
+  const candles = Array.from({ length: 120 }, (_, i) => {
+    const close = 100 + Math.sin(i / 5) * 2 + i * 0.02;
+    return { timestamp: new Date(t0 + i * 60000), open: close - 0.1, high: close + 0.3, low: close - 0.3, close, volume: 1000 + i };
+  });
+  const job = {
+    key: '256265',
+    symbol: 'NIFTY',
+    candles,
+    strategyConfig: { ...DEFAULT_CONFIG },
+    inputs: { support: 95, resistance: 105, accountBalance: 100000 },
+  };
+  const local = evaluateCandidate(job, { streams: createFeatureStreamStore() });
+  const remote = evaluateCandidate(structuredClone(job), { streams: createFeatureStreamStore() });
+  const cloned = structuredClone(remote);
+  assert.deepEqual(cloned.features, local.features);
+  assert.equal(cloned.stratResults.length, local.stratResults.length);
+  assert.ok(isCurrentEvaluation(cloned, candles));
+  assert.ok(!isCurrentEvaluation(cloned, candles.slice(0, -1)));
+
+  const worker = createStrategyRegistry({ clock: { now: () => 2000 } });
+  const main = createStrategyRegistry();
+  worker.register({ id: 'orb', kind: 'detector', category: 'breakout', direction: 'both', detect: () => ({ name: 'ORB' }) });
+  worker.run(worker.get('orb'), candles, {}, {});
+  worker.run(worker.get('orb'), candles, {}, {});
+  const rows = structuredClone(worker.drainStats());
+  assert.deepEqual(worker.drainStats(), [], 'drained');
+  main.mergeStats([{ id: 'orb', evaluated: 1, fired: 0, errors: 1, lastFiredAt: 1000, names: [] }]);
+  main.mergeStats(rows);
+  assert.deepEqual(main.drainStats(), [
+    { id: 'orb', evaluated: 3, fired: 2, errors: 1, lastFiredAt: 2000, names: ['ORB'] },
+  ]);
+});
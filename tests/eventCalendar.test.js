@@ -0,0 +1,100 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+process.env.NODE_ENV = 'test';
+
+test.mock.module('../db.js', {
+  defaultExport: { collection: () => ({}) },
+  namedExports: { connectDB: async () => ({}) },
+});
+
+const { createEventCalendar, parseEventsCsv, validateEvent } = await import('../eventCalendar.js');
+const { validateConfig } = await import('../configService.js');
+const { DETECTORS } = await import('../strategies.js');
+
+const ist = (s) => Date.parse(`${s}+05:30`);
+const CSV = [
+  'date,type,symbol,time,description',
+  '2024-06-07,rbi_policy,,,MPC decision',
+  '2024-06-06,fno_expiry,,,Weekly expiry',
+  '2024-06-06,earnings,NSE:TCS,16:00,Q1 results',
+  '2024-06-07,earnings,,,missing symbol',
+  '07-06-2024,budget,,,bad date',
+].join('\n');
+
+test('CSV import and validation', () => {
+  const { rows, errors } = parseEventsCsv(CSV);
+  assert.equal(rows.length, 3);
+  assert.equal(errors.length, 2);
+  assert.match(errors[0], /earnings events need a symbol/);
+  assert.deepEqual(rows[2], {
+    date: '2024-06-06',
+    type: 'earnings',
+    symbol: 'TCS',
+    time: '16:00',
+    description: 'Q1 results',
+  });
+  assert.equal(rows[0].time, '10:00', 'default RBI announcement time');
+  assert.deepEqual(validateEvent({ date: '2024-06-07', type: 'rbi_policy', time: '25:00' }), [
+    'time must be HH:MM (IST)',
+  ]);
+  assert.deepEqual(parseEventsCsv('symbol\nTCS').errors, ['header needs date and type columns']);
+});
+
+test('windows block, tighten and expose per-symbol context', () => {
+  const cal = createEventCalendar({ events: parseEventsCsv(CSV).rows });
+
+  // RBI at 10:00 blocks 09:30–11:00 for every symbol
+  const rbi = cal.contextFor('NSE:INFY', ist('2024-06-07T09:45:00'));
+  assert.equal(rbi.blocked, true);
+  assert.equal(rbi.blocking[0].phase, 'before');
+  assert.equal(cal.contextFor('INFY', ist('2024-06-07T11:05:00')).blocked, false);
+  const [policy] = cal.marketEvents(ist('2024-06-07T10:30:00'));
+  assert.equal(policy.active, true);
+
+  // Expiry afternoon tightens; TCS also carries its results window
+  const tcs = cal.contextFor('NSE:TCS', ist('2024-06-06T14:30:00'));
+  assert.equal(tcs.blocked, false);
+  assert.equal(tcs.tightened, true);
+  assert.equal(tcs.sizeFactor, 0.5);
+  assert.deepEqual(tcs.active.map((e) => e.type).sort(), ['earnings', 'fno_expiry']);
+  assert.equal(tcs.isEventDay, true);
+
+  // Next morning TCS is still inside the post-results window
+  const after = cal.contextFor('TCS', ist('2024-06-07T10:30:00'));
+  assert.equal(after.symbolEvents[0].daysSince, 1);
+  assert.equal(after.blocked, true, 'RBI window still applies to TCS');
+
+  // Windows are configurable per type
+  cal.configure({ windows: { rbi_policy: { action: 'tighten' } }, sizeFactor: 0.25 });
+  const relaxed = cal.contextFor('INFY', ist('2024-06-07T09:45:00'));
+  assert.equal(relaxed.blocked, false);
+  assert.equal(relaxed.sizeFactor, 0.25);
+  assert.deepEqual(cal.list({ symbol: 'INFY' }).map((e) => e.type), ['fno_expiry', 'rbi_policy']);
+});
+
+test('events config section and detectors reading the context', () => {
+  assert.deepEqual(validateConfig({ events: { earnings: { before: 60, action: 'block' }, sizeFactor: 0.3 } }), []);
+  assert.equal(validateConfig({ events: { earnings: { action: 'skip' } } }).length, 1);
+  assert.equal(validateConfig({ events: { earnings: { lead: 5 } } }).length, 1);
+
+  const gapReversal = DETECTORS.find((fn) => fn.name === 'detectEarningsGapReversal');
+  const candles = [100, 100, 100, 100].map((c) => ({ open: c, high: c + 1, low: c - 1, close: c }));
+  candles.push({ open: 108, high: 110, low: 103, close: 104 });
+  assert.equal(gapReversal(candles, {}).confidence, 0.55);
+  const withResults = gapReversal(candles, {
+    events: { symbolEvents: [{ type: 'earnings', date: '2024-06-06', daysSince: 1 }] },
+  });
+  assert.equal(withResults.confidence, 0.65);
+  assert.deepEqual(withResults.meta.event, { type: 'earnings', date: '2024-06-06' });
+
+  const trap = DETECTORS.find((fn) => fn.name === 'detectEventVolatilityTrap');
+  const spike = [
+    { open: 100, high: 101, low: 99, close: 100 },
+    { open: 100, high: 101, low: 99, close: 100 },
+    { open: 100, high: 103, low: 96, close: 97 },
+  ];
+  assert.equal(
+    trap(spike, { events: { active: [{ type: 'rbi_policy', date: '2024-06-07', phase: 'after' }] } }).meta.event.type,
+    'rbi_policy'
+  );
+});
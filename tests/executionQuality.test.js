@@ -0,0 +1,252 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+process.env.NODE_ENV = 'test';
+
+test.mock.module('../db.js', {
+  defaultExport: { collection: () => ({ insertOne: async () => ({}) }) },
+  namedExports: { connectDB: async () => ({}) },
+});
+
+const { createExecutionQuality, joinExecutions, missedTradeCost, timeOfDayBucket, MAX_TCA_DAYS } = await import(
+  '../executionQuality.js'
+);
+const { measuredSlippage, riskDefaults, setMeasuredSlippage } = await import('../riskConfig.js');
+const { validatePreExecution } = await import('../riskValidator.js');
+
+// Collections keyed by name; find() honours a single {field: {$gte, $lt}} range
+function memoryDatabase(collections, queries = []) {
+  return {
+    collection: (name) => ({
+      find: (query = {}, options = {}) => ({
+        toArray: async () => {
+          const [[field, range] = []] = Object.entries(query);
+          queries.push({ name, range, projection: options.projection });
+          return (collections[name] || []).filter(
+            (d) => !field || (new Date(d[field]) >= range.$gte && new Date(d[field]) < range.$lt)
+          );
+        },
+      }),
+    }),
+  };
+}
+
+// Wed 2024-01-10, 09:30 IST
+const T0 = Date.UTC(2024, 0, 10, 4, 0);
+const at = (minutes) => new Date(T0 + minutes * 60_000);
+
+const signal = (signalId, spec = {}) => ({
+  signalId,
+  stock: 'INFY',
+  strategy: 'orb',
+  direction: 'Long',
+  entry: 100,
+  stopLoss: 98,
+  target2: 104,
+  qty: 10,
+  liveVWAP: 99.5,
+  liveTickData: { last_price: 100.1 },
+  instrument_token: 408065,
+  generatedAt: at(0),
+  ...spec,
+});
+const update = (order_id, tag, filled, average_price, minutes, side = 'BUY') => ({
+  order_id,
+  tag,
+  transaction_type: side,
+  status: filled ? 'COMPLETE' : 'OPEN',
+  filled_quantity: filled,
+  average_price,
+  timestamp: at(minutes),
+});
+
+function fixture() {
+  return {
+    signals: [
+      signal('S1'),
+      signal('S2', { direction: 'Short', entry: 200, stopLoss: 204, target2: 190, liveVWAP: 201, liveTickData: { last_price: 199.8 }, strategy: 'vwap', stock: 'TCS', generatedAt: at(45) }),
+      signal('S3', { generatedAt: at(5) }),
+      signal('S4', { generatedAt: at(10) }),
+    ],
+    executed_signals: [
+      { signalId: 'S1', timestamp: at(0) },
+      { signalId: 'S2', timestamp: at(45) },
+      { signalId: 'S3', timestamp: at(5) },
+    ],
+    execution_reports: [
+      { _id: 'EXE-1', signalId: 'S1', algo: 'limit', qty: 10, arrivalPrice: 100.2, startedAt: at(0), children: [{ orderId: 'O1' }] },
+    ],
+    order_updates: [
+      update('O1', 'S1_orb_0.8', 0, 0, 0),
+      update('O1', 'S1_orb_0.8', 10, 100.3, 1),
+      update('O1X', 'S1_orb_0.8', 10, 103, 30, 'SELL'),
+      // Short entry filled at 199.9 under a 200 entry: 0.1 of slippage
+      update('O2', 'S2_vwap_0.7', 4, 199.9, 45.5, 'SELL'),
+      update('O3', 'S3_orb_0.8', 0, 0, 5),
+    ],
+    trade_logs: [{ signalId: 'S1', pnl: 27, timestamp: at(30) }],
+  };
+}
+
+test('signals are joined with their orders into per-signal slippage, fill and missed-trade rows', () => {
+  assert.equal(timeOfDayBucket(at(0)), '09:30');
+  assert.equal(timeOfDayBucket(at(29)), '09:30');
+  assert.equal(timeOfDayBucket(at(45)), '10:00');
+
+  const data = fixture();
+  const rows = joinExecutions({
+    signals: data.signals,
+    executed: data.executed_signals,
+    reports: data.execution_reports,
+    updates: data.order_updates,
+    trades: data.trade_logs,
+  });
+  const [s1, s2, s3, s4] = rows;
+  assert.deepEqual(
+    rows.map((r) => [r.signalId, r.status, r.filledQty, r.fillRate]),
+    [
+      ['S1', 'filled', 10, 1],
+      ['S2', 'partial', 4, 0.4],
+      ['S3', 'missed', 0, 0],
+      ['S4', 'skipped', 0, null],
+    ]
+  );
+  assert.equal(s1.avgFill, 100.3, 'the exit order is not part of the entry');
+  assert.deepEqual(s1.slippage, { entry: { abs: 0.3, bps: 30 }, arrival: { abs: 0.1, bps: 9.98 }, vwap: { abs: 0.8, bps: 80.4 } });
+  assert.equal(s1.timeToFillMs, 60_000);
+  assert.equal(s1.realizedPnl, 27);
+  assert.deepEqual(s2.slippage.entry, { abs: 0.1, bps: 5 }, 'a short filled under its entry');
+  assert.deepEqual(s2.slippage.arrival, { abs: -0.1, bps: -5.01 }, 'but above the arrival LTP');
+  assert.equal(s2.missedQty, 6);
+  assert.equal(s3.missedQty, 10);
+  assert.equal(s4.missedQty, 0);
+
+  // Long from 100: target 104 reached before the 98 stop
+  const candles = [
+    { low: 99.5, high: 101, close: 100.8 },
+    { low: 100.5, high: 104.2, close: 104 },
+  ];
+  assert.equal(missedTradeCost(s3, candles), 40);
+  assert.equal(missedTradeCost({ ...s3, stopLoss: 99.5 }, candles), -5, 'the stop wins a candle that touches both');
+  assert.equal(missedTradeCost({ ...s3, stopLoss: null, target: null }, candles), 40, 'marked to the last close');
+  assert.equal(missedTradeCost(s4, candles), null);
+});
+
+test('the report prices missed trades from later candles and rolls up by strategy, symbol and time of day', async () => {
+  const asked = [];
+  const tca = createExecutionQuality({
+    database: memoryDatabase(fixture()),
+    clock: { now: () => T0 + 6 * 3_600_000 },
+    loadCandles: async (req) => {
+      asked.push([req.symbol, req.from.getTime() - T0]);
+      const from = req.from.getTime();
+      // One earlier candle that must be ignored, then a run to 101
+      return [
+        { timestamp: new Date(from - 60_000), low: 90, high: 110, close: 100 },
+        { timestamp: new Date(from), low: 100, high: 101, close: 101 },
+      ].concat(req.symbol === 'TCS' ? [{ timestamp: new Date(from + 60_000), low: 189, high: 199, close: 189.5 }] : []);
+    },
+  });
+
+  const report = await tca.report({ days: 1, rows: true });
+  assert.deepEqual(asked, [['TCS', 45 * 60_000], ['INFY', 5 * 60_000]]);
+  assert.deepEqual(
+    report.rows.map((r) => [r.signalId, r.missedCost]),
+    [['S1', null], ['S2', 60], ['S3', 10], ['S4', null]]
+  );
+  assert.deepEqual(report.totals, {
+    signals: 4,
+    executed: 3,
+    filled: 2,
+    missed: 1,
+    fillRate: 0.47,
+    slippageBps: { entry: 22.86, arrival: 5.7, vwap: 73.07 },
+    slippageCost: 3.4,
+    avgTimeToFillMs: 45_000,
+    missedCost: 70,
+    missedPriced: 2,
+    realizedPnl: 27,
+  });
+  assert.deepEqual(
+    report.groups.strategy.map((g) => [g.key, g.executed, g.filled, g.missedCost]),
+    [['orb', 2, 1, 10], ['vwap', 1, 1, 60]]
+  );
+  assert.deepEqual(report.groups.timeOfDay.map((g) => g.key), ['09:30', '10:00']);
+
+  const narrow = await tca.report({ from: at(30), to: at(60), groupBy: ['symbol'] });
+  assert.equal(narrow.totals.signals, 1);
+  assert.deepEqual(Object.keys(narrow.groups), ['symbol']);
+  assert.equal(narrow.rows, undefined);
+});
+
+test('measured slippage per symbol is fed to the risk frictions as a floor', async () => {
+  const fills = [];
+  for (let i = 0; i < 5; i++) {
+    fills.push({ id: `F${i}`, price: i === 4 ? 99.9 : 100.4 });
+  }
+  const data = {
+    signals: fills.map((f, i) => signal(f.id, { generatedAt: at(i) })),
+    executed_signals: fills.map((f, i) => ({ signalId: f.id, timestamp: at(i) })),
+    order_updates: fills.map((f, i) => update(`O${f.id}`, `${f.id}_orb_0.8`, 10, f.price, i)),
+  };
+  const tca = createExecutionQuality({
+    database: memoryDatabase(data),
+    clock: { now: () => T0 + 3_600_000 },
+    applySlippage: (bySymbol) => bySymbol,
+  });
+  assert.deepEqual(await tca.applySlippage({ days: 1 }), { applied: { INFY: 0.3 }, symbols: 1 });
+  assert.deepEqual(await tca.applySlippage({ days: 1, minFills: 6 }), { applied: {}, symbols: 0 });
+
+  try {
+    assert.deepEqual(setMeasuredSlippage({ 'nse:infy': 0.3, TCS: -1, SBIN: 'x' }), { INFY: 0.3 });
+    assert.equal(measuredSlippage('INFY'), 0.3);
+    assert.equal(riskDefaults.frictions.symbolSlippage.INFY, 0.3);
+
+    const trade = { stock: 'INFY', direction: 'Long', entry: 100, stopLoss: 99, target2: 102, qty: 10, slippage: 0.05 };
+    const withFloor = validatePreExecution(trade, { minRR: 1.5, minExpectancy: 0 });
+    setMeasuredSlippage({});
+    const without = validatePreExecution(trade, { minRR: 1.5, minExpectancy: 0 });
+    assert.equal(without, true);
+    assert.equal(withFloor, false, 'the measured 0.3 eats into the reward');
+  } finally {
+    setMeasuredSlippage({});
+  }
+});
+
+test('reads are capped, projected and priced with one candle load per symbol and day', async () => {
+  const queries = [];
+  const data = {
+    signals: [
+      signal('A_1', { generatedAt: at(0) }),
+      signal('A_2', { generatedAt: at(20) }),
+      signal('A_3', { generatedAt: at(60 * 24), expiresAt: at(60 * 24 + 30) }),
+    ],
+    executed_signals: ['A_1', 'A_2', 'A_3'].map((signalId, i) => ({ signalId, timestamp: at(i) })),
+    // Ids with underscores still match their own tag only
+    order_updates: [update('OA1', 'A_1_orb_0.8', 4, 100.2, 1), update('OA2', 'A_2_orb_0.8', 0, 0, 20)],
+  };
+  const loads = [];
+  const tca = createExecutionQuality({
+    database: memoryDatabase(data, queries),
+    clock: { now: () => T0 + 2 * 86_400_000 },
+    loadCandles: async (req) => {
+      loads.push([req.from.getTime() - T0, req.to.getTime() - T0]);
+      return [{ timestamp: at(25), low: 100, high: 101, close: 101 }, { timestamp: at(60 * 24 + 10), low: 99, high: 100, close: 99 }];
+    },
+  });
+
+  const report = await tca.report({ days: 1000, rows: true });
+  assert.equal(report.to.getTime() - report.from.getTime(), MAX_TCA_DAYS * 86_400_000);
+  assert.ok(queries.every((q) => q.range.$gte.getTime() === report.from.getTime()));
+  assert.deepEqual(queries.find((q) => q.name === 'order_updates').projection.tag, 1);
+  assert.equal(queries.find((q) => q.name === 'signals').projection._id, 0);
+  assert.deepEqual(
+    report.rows.map((r) => [r.signalId, r.filledQty, r.missedCost]),
+    [['A_1', 4, 6], ['A_2', 0, 10], ['A_3', 0, -10]]
+  );
+  assert.equal(loads.length, 2, 'A_1 and A_2 share one load');
+  assert.equal(loads[0][0], 0);
+
+  queries.length = 0;
+  await tca.applySlippage({ days: 1 });
+  assert.ok(!queries.some((q) => q.name === 'trade_logs'), 'slippage runs skip the P&L logs');
+});
@@ -0,0 +1,152 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  computeFeatures,
+  calculateEMA,
+  calculateRSI,
+  getATR,
+  calculateSupertrend,
+} from '../featureEngine.js';
+import {
+  STREAMED_FEATURES,
+  createFeatureStream,
+  createFeatureStreamStore,
+  createIndicatorStream,
+  emaSpec,
+  rsiSpec,
+  atrSpec,
+  supertrendSpec,
+} from '../indicatorStreams.js';
+
+// Seeded random walk over two sessions, with some zero-volume bars
+const t0 = Date.parse('2024-06-03T09:15:00+05:30');
+let seed = 11;
+const rand = () => (seed = (seed * 16807) % 2147483647) / 2147483647;
+let price = 100;
+const candles = Array.from({ length: 280 }, (_, i) => {
+  const day = i < 180 ? 0 : 1;
+  const minute = day ? i - 180 : i;
+  const open = price;
+  price += (rand() - 0.5) * 2;
+  return {
+    timestamp: new Date(t0 + day * 86400000 + minute * 60000),
+    open,
+    high: Math.max(open, price) + rand(),
+    low: Math.min(open, price) - rand(),
+    close: price,
+    volume: i % 13 === 0 ? 0 : Math.round(rand() * 1000),
+  };
+});
+
+test('streamed indicators equal the batch functions on every bar', () => {
+  const ema = createIndicatorStream(emaSpec(21));
+  const rsi = createIndicatorStream(rsiSpec(14));
+  const atr = createIndicatorStream(atrSpec(14));
+  const supertrend = createIndicatorStream(supertrendSpec(10, 3));
+  const stream = createFeatureStream();
+  for (let i = 0; i < candles.length; i++) {
+    const seen = candles.slice(0, i + 1);
+    const closes = seen.map((c) => c.close);
+    assert.equal(ema.update(candles[i].close), calculateEMA(closes, 21));
+    assert.equal(rsi.update(candles[i].close), calculateRSI(closes, 14));
+    assert.equal(atr.update(candles[i]), getATR(seen, 14));
+    assert.deepEqual(supertrend.update(candles[i]), calculateSupertrend(seen, 10, 3));
+
+    const streamed = stream.update(candles[i]).features();
+    const batch = computeFeatures(seen, { only: 'ALL' });
+    for (const name of [...STREAMED_FEATURES, 'plusDI', 'minusDI']) {
+      assert.deepEqual(streamed[name], batch[name], `${name} at bar ${i}`);
+    }
+    const rolling = computeFeatures(seen, { only: ['vwap'], vwapMode: 'rolling', vwapWindow: 10 });
+    assert.equal(streamed.vwapRolling, rolling.vwap, `vwapRolling at bar ${i}`);
+  }
+});
+
+test('snapshots round-trip through JSON and resume exactly', () => {
+  const whole = createFeatureStream();
+  const first = createFeatureStream({ supertrendSettings: { atrLength: 7, multiplier: 2 } });
+  const other = createFeatureStream({ supertrendSettings: { atrLength: 7, multiplier: 2 } });
+  candles.slice(0, 150).forEach((c) => {
+    whole.update(c);
+    first.update(c);
+  });
+  const snapshot = JSON.parse(JSON.stringify(first.snapshot()));
+  const resumed = createFeatureStream({}, snapshot);
+  assert.deepEqual(resumed.settings, { atrLength: 7, multiplier: 2, vwapWindow: 10 });
+  candles.slice(150).forEach((c) => {
+    resumed.update(c);
+    first.update(c);
+  });
+  candles.forEach((c) => other.update(c));
+  assert.deepEqual(resumed.features(), first.features());
+  assert.deepEqual(resumed.features(), other.features());
+  assert.equal(resumed.count, candles.length);
+  assert.notDeepEqual(resumed.features().supertrend, whole.features().supertrend);
+});
+
+test('the per-token store appends new bars and rebuilds when history diverges', () => {
+  const store = createFeatureStreamStore({ maxStreams: 2 });
+  const window = (end) => candles.slice(0, end);
+
+  let stream = store.sync('256265', window(120));
+  assert.deepEqual(store.stats(), { streams: 1, appended: 0, rebuilt: 1, reseeded: 0 });
+  for (let end = 121; end <= 130; end++) stream = store.sync('256265', window(end));
+  assert.deepEqual(store.stats(), { streams: 1, appended: 10, rebuilt: 1, reseeded: 0 });
+  assert.equal(store.sync('256265', window(130)), stream, 'already current');
+  assert.equal(stream.count, 130);
+
+  // computeFeatures takes the streamed values only when the stream is current
+  const features = computeFeatures(window(130), { stream, only: ['ema200', 'rsi'] });
+  assert.equal(features.ema200, stream.features().ema200);
+  const stale = computeFeatures(window(131), { stream, only: ['rsi'] });
+  assert.equal(stale.rsi, computeFeatures(window(131), { only: ['rsi'] }).rsi);
+
+  // A revised last bar (or adjusted prices) rebuilds from the given window
+  const revised = window(131);
+  revised[revised.length - 2] = { ...revised.at(-2), close: revised.at(-2).close + 1 };
+  assert.equal(store.sync('256265', revised).count, 131);
+  assert.equal(store.stats().rebuilt, 2);
+
+  const snapshots = store.snapshot();
+  const restored = createFeatureStreamStore();
+  assert.equal(restored.restore(snapshots), 1);
+  assert.deepEqual(restored.get('256265').features(), store.get('256265').features());
+  const other = createFeatureStreamStore({ streamOptions: { vwapWindow: 20 } });
+  assert.equal(other.restore(snapshots), 0, 'different settings rebuild instead');
+
+  store.sync('1', window(50));
+  store.sync('2', window(50));
+  assert.equal(store.get('256265'), null, 'least recently synced is dropped');
+  store.reset();
+  assert.equal(store.stats().streams, 0);
+});
+
+test('a trimmed (sliding) history reseeds the stream so it matches the batch window', () => {
+  const store = createFeatureStreamStore();
+  const cap = 200;
+  const trimmed = (end) => candles.slice(Math.max(0, end - cap), end);
+  let stream;
+  for (let end = cap - 5; end <= candles.length; end++) {
+    stream = store.sync('256265', trimmed(end));
+    const batch = computeFeatures(trimmed(end), { only: 'ALL' });
+    const viaStream = computeFeatures(trimmed(end), { stream, only: 'ALL' });
+    for (const name of STREAMED_FEATURES) {
+      assert.deepEqual(stream.features()[name], batch[name], `${name} at bar ${end}`);
+      assert.deepEqual(viaStream[name], batch[name], `${name} via computeFeatures at bar ${end}`);
+    }
+  }
+  assert.equal(stream.count, cap);
+  const { appended, reseeded } = store.stats();
+  assert.equal(appended, 5, 'bars are appended while the history grows');
+  assert.equal(reseeded, candles.length - cap, 'and reseeded once it slides');
+
+  // A stream over a longer history is not used for a trimmed window
+  const longer = createFeatureStream();
+  candles.forEach((c) => longer.update(c));
+  const window = trimmed(candles.length);
+  assert.deepEqual(
+    computeFeatures(window, { stream: longer, only: ['ema200'] }).ema200,
+    computeFeatures(window, { only: ['ema200'] }).ema200
+  );
+});
@@ -0,0 +1,216 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+process.env.NODE_ENV = 'test';
+
+test.mock.module('../db.js', {
+  defaultExport: { collection: () => ({}) },
+  namedExports: { connectDB: async () => ({}) },
+});
+test.mock.module('../telegram.js', {
+  namedExports: { sendNotification: () => {} },
+});
+test.mock.module('../account.js', {
+  namedExports: { applyRealizedPnL: () => {} },
+});
+
+const { createLiveExitService } = await import('../liveExitService.js');
+const { createOrderStateMachine } = await import('../orderStateMachine.js');
+const { createPaperBroker } = await import('../paperBroker.js');
+const { createTradingCalendar } = await import('../tradingCalendar.js');
+const { createBacktestClock } = await import('../src/backtest/clock.js');
+const { detectReversalExit } = await import('../exitManager.js');
+
+function memoryDatabase() {
+  const docs = new Map();
+  return {
+    docs,
+    collection: () => ({
+      updateOne: async ({ _id }, { $set }) => docs.set(_id, structuredClone({ ...docs.get(_id), ...$set, _id })),
+    }),
+  };
+}
+
+// Wed 2024-01-10, 09:30 IST
+const OPEN = Date.UTC(2024, 0, 10, 4, 0);
+
+// Paper broker -> state machine -> exit service, all on one fake clock
+function setup(config = {}, { at = OPEN } = {}) {
+  const clock = createBacktestClock(at);
+  const database = memoryDatabase();
+  const paper = createPaperBroker({ capital: 1_000_000 });
+  const pending = [];
+  const machine = createOrderStateMachine({
+    database,
+    clock,
+    alert: () => {},
+    broker: {
+      place: ({ meta, ...params }) => paper.placeOrder('regular', params),
+      modify: (orderId, params) => paper.modifyOrder('regular', orderId, params),
+      cancel: (orderId) => paper.cancelOrder('regular', orderId),
+      orders: () => paper.getOrders(),
+      positions: () => paper.getPositions(),
+    },
+  });
+  paper.onUpdate((u) => pending.push(machine.handleOrderUpdate(u)));
+  const settle = async () => {
+    while (pending.length) await pending.shift();
+  };
+  const audited = [];
+  const subscribed = [];
+  const unsubscribed = [];
+  const exits = createLiveExitService({
+    orders: machine,
+    calendar: createTradingCalendar({ clock }),
+    audit: async (entry) => audited.push(entry),
+    subscribe: async (symbol) => subscribed.push(symbol),
+    unsubscribe: async (symbol) => unsubscribed.push(symbol),
+    clock,
+    config: { stopUpdateMs: 5000, ...config },
+  });
+  // Market data reaches the broker first, then the exit service, as in kite.js
+  const tick = async (symbol, price) => {
+    paper.onTick(symbol, { last_price: price });
+    await settle();
+    await exits.onTick(`NSE:${symbol}`, { last_price: price });
+    await settle();
+  };
+  const openTrade = async (spec) => {
+    const { trade } = await machine.open({ symbol: 'INFY', side: 'BUY', qty: 10, entry: 100, stopLoss: 95, ...spec });
+    const entry = await paper.placeOrder('regular', {
+      tradingsymbol: trade.tradingsymbol,
+      transaction_type: trade.side,
+      quantity: trade.qty,
+      product: trade.product,
+      order_type: 'LIMIT',
+      price: 100,
+    });
+    await machine.update(trade._id, { entryId: entry.order_id });
+    paper.onTick(trade.tradingsymbol, { last_price: 100 });
+    await settle();
+    return machine.get(trade._id);
+  };
+  return { clock, database, paper, machine, exits, tick, settle, openTrade, audited, subscribed, unsubscribed };
+}
+
+const stopOrder = async (paper, trade) => (await paper.getOrders()).find((o) => o.order_id === trade.slId);
+
+test('stops trail on ticks, throttled, and the trailed stop closes the trade', async () => {
+  const { clock, database, paper, machine, exits, tick, openTrade, audited, subscribed } = setup({ trailPct: 1 });
+  const trade = await openTrade({ target: 120 });
+  assert.equal(trade.state, 'PROTECTED');
+  await exits.sweep();
+  assert.deepEqual(subscribed, ['NSE:INFY']);
+
+  // Without an exit plan the 1% trail waits until it clears the entry
+  await tick('INFY', 100.8);
+  assert.equal(machine.get(trade._id).stopLoss, 95, 'stop not tightened below breakeven');
+  await tick('INFY', 105);
+  assert.equal(machine.get(trade._id).stopLoss, 103.95, '1% under the high, rounded down to the tick');
+  assert.equal((await stopOrder(paper, trade)).trigger_price, 103.95);
+  assert.deepEqual(audited.map((a) => [a.action, a.from, a.to]), [['stop-moved', 95, 103.95]]);
+
+  await tick('INFY', 107);
+  assert.equal(machine.get(trade._id).stopLoss, 103.95, 'no modify inside stopUpdateMs');
+  clock.tick(6000);
+  await tick('INFY', 107.05);
+  assert.equal(machine.get(trade._id).stopLoss, 105.95);
+  await tick('INFY', 106.5);
+  assert.equal(machine.get(trade._id).stopLoss, 105.95, 'never loosens');
+
+  // SL-limit at the trigger: triggers below it, fills once back at the limit
+  await tick('INFY', 105.9);
+  await tick('INFY', 105.95);
+  assert.equal(machine.get(trade._id), null);
+  const closed = database.docs.get(trade._id);
+  assert.equal(closed.exitReason, 'stop-loss');
+  assert.equal(closed.legs.at(-1).price, 105.95);
+  assert.equal(exits.stats().actions.length, 2);
+});
+
+test('a symbol is dropped from the feed when its last open trade closes', async () => {
+  const { machine, exits, tick, openTrade, subscribed, unsubscribed } = setup();
+  const first = await openTrade({ target: 120 });
+  await tick('INFY', 101);
+  const second = await openTrade({ target: 120 });
+  assert.equal(second.state, 'PROTECTED');
+  await exits.sweep();
+  assert.deepEqual(subscribed, ['NSE:INFY']);
+
+  await machine.exit(first._id, { reason: 'manual' });
+  await tick('INFY', 101);
+  assert.equal(machine.get(first._id), null);
+  await exits.sweep();
+  assert.deepEqual(unsubscribed, [], 'still held by the other trade');
+
+  await machine.exit(second._id, { reason: 'manual' });
+  await tick('INFY', 101);
+  await exits.sweep();
+  assert.deepEqual(unsubscribed, ['NSE:INFY']);
+  assert.deepEqual(exits.stats().subscribed, []);
+
+  // A new trade in the symbol subscribes it again
+  await openTrade({ target: 120 });
+  await exits.sweep();
+  assert.deepEqual(subscribed, ['NSE:INFY', 'NSE:INFY']);
+});
+
+test('trades with an exit plan trail by its ATR distance from the first tick', async () => {
+  const { machine, tick, openTrade } = setup();
+  const trade = await openTrade({ exitPlan: { trailDistance: 2, scaleOut: null } });
+  await tick('INFY', 101);
+  assert.equal(machine.get(trade._id).stopLoss, 99);
+});
+
+test('MIS trades are squared off before the close; CNC trades are left alone', async () => {
+  // 15:10 IST
+  const { clock, database, paper, machine, exits, tick, settle, openTrade, audited } = setup({ trailing: false }, { at: Date.UTC(2024, 0, 10, 9, 40) });
+  const mis = await openTrade({});
+  const cnc = await openTrade({ symbol: 'TCS', product: 'CNC' });
+  await tick('INFY', 101);
+  assert.equal(machine.get(mis._id).state, 'PROTECTED', 'outside the square-off window');
+
+  clock.tick(6 * 60_000); // 15:16
+  await Promise.all([exits.sweep(), exits.sweep()]);
+  assert.equal((await stopOrder(paper, mis)).order_type, 'MARKET', 'the stop-loss order becomes the exit');
+  await settle();
+  const closed = database.docs.get(mis._id);
+  assert.equal(closed.state, 'CLOSED');
+  assert.equal(closed.exitReason, 'square-off');
+  assert.equal(closed.legs.at(-1).price, 101);
+  assert.equal(machine.get(cnc._id).state, 'PROTECTED');
+  assert.deepEqual(audited.map((a) => [a.action, a.tradeId, a.reason, a.qty, a.ok]), [['exit', mis._id, 'square-off', 10, true]]);
+});
+
+test('reversal and max-hold rules exit open trades', async () => {
+  assert.equal(detectReversalExit({ side: 'Long', history: [103, 102, 101] }), true);
+  assert.equal(detectReversalExit({ side: 'Long', history: [103, 102, 101] }, { minMovePct: 5 }), false);
+  assert.equal(detectReversalExit({ side: 'Short', history: [101, 102, 103, 104] }, { bars: 4 }), true);
+
+  const { clock, database, machine, exits, tick, openTrade } = setup({
+    trailing: false,
+    squareOffMinutes: 0,
+    reversalBars: 3,
+    reversalBarMs: 60_000,
+    reversalMinMovePct: 0.5,
+    maxHoldMinutes: 30,
+  });
+  const trade = await openTrade({});
+  for (const price of [104, 103.5, 103]) {
+    await tick('INFY', price);
+    clock.tick(60_000);
+  }
+  await tick('INFY', 102.9);
+  const closed = database.docs.get(trade._id);
+  assert.equal(closed.exitReason, 'reversal');
+  assert.equal(closed.legs.at(-1).price, 102.9);
+
+  const held = await openTrade({});
+  clock.tick(29 * 60_000);
+  await exits.sweep();
+  assert.equal(machine.get(held._id).exitRequest, null);
+  clock.tick(60_000);
+  await tick('INFY', 101);
+  assert.equal(database.docs.get(held._id).exitReason, 'max-hold');
+  await exits.sweep();
+  assert.deepEqual(exits.stats().trades, [], 'closed trades are dropped on the next sweep');
+});
@@ -33,6 +33,7 @@ const utilMock = test.mock.module('../util.js', {
     DEFAULT_MARGIN_PERCENT: 0.2,
     calculateRequiredMargin: () => 100,
     sanitizeCandles: (candles) => candles,
+    symbolKey: (s) => String(s || '').split(':').pop().trim().toUpperCase(),
   }
 });
 const dbMock = test.mock.module('../db.js', { defaultExport: {}, namedExports: { connectDB: async () => ({}) } });
@@ -0,0 +1,179 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+process.env.NODE_ENV = 'test';
+
+test.mock.module('../db.js', {
+  defaultExport: {
+    collection: () => ({
+      deleteMany: async () => {},
+      deleteOne: async () => {},
+      insertMany: async () => {},
+      updateOne: async () => {},
+      find: () => ({ toArray: async () => [] }),
+    }),
+  },
+  namedExports: { connectDB: async () => ({}) },
+});
+test.mock.module('../telegram.js', {
+  namedExports: { sendNotification: () => {} },
+});
+test.mock.module('../account.js', {
+  namedExports: { applyRealizedPnL: () => {} },
+});
+
+const {
+  expandGrid,
+  sampleRandom,
+  buildWalkForwardWindows,
+  runWalkForward,
+  saveStrategyConfig,
+} = await import('../src/backtest/optimizer.js');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const T0 = Date.UTC(2024, 0, 1, 4, 0); // 09:30 IST
+
+// Six sessions of 20 one-minute candles; price steps up after candle 10 by
+// a different amount each day so daily returns vary.
+function sessions(days = 6) {
+  const candles = [];
+  for (let d = 0; d < days; d += 1) {
+    const level = 100 + 0.3 * (d + 1);
+    for (let i = 0; i < 20; i += 1) {
+      const px = i < 10 ? 100 : level;
+      candles.push({
+        timestamp: new Date(T0 + d * DAY_MS + i * 60_000),
+        open: px,
+        high: px + 0.1,
+        low: px - 0.1,
+        close: px,
+        volume: 1000,
+      });
+    }
+  }
+  return candles;
+}
+
+function biasEvaluator(params) {
+  const long = params.strategy.bias === 'Long';
+  return async ({ candles }) => {
+    const minute = new Date(candles.at(-1).timestamp).getUTCMinutes();
+    if (minute !== 8) return null;
+    return long
+      ? { entry: 100, stopLoss: 99, atr: 0.5, direction: 'Long' }
+      : { entry: 100, stopLoss: 101, atr: 0.5, direction: 'Short' };
+  };
+}
+
+test('grid expands scoped keys and ranges; random search is seeded', () => {
+  const grid = expandGrid({
+    'filters.atrThreshold': { min: 0.2, max: 0.4, step: 0.1 },
+    rvolMin: [1, 1.5],
+  });
+  assert.equal(grid.length, 6);
+  assert.deepEqual(grid[0], { filters: { atrThreshold: 0.2 }, strategy: { rvolMin: 1 } });
+  assert.throws(() => expandGrid({ 'risk.x': [1] }), /Unknown parameter scope/);
+
+  const space = { 'strategy.rsiOB': [65, 70, 75], 'filters.maxATR': [3, 4, 5] };
+  const a = sampleRandom(space, { samples: 4, seed: 7 });
+  assert.deepEqual(a, sampleRandom(space, { samples: 4, seed: 7 }));
+  assert.equal(new Set(a.map((p) => JSON.stringify(p))).size, 4);
+  assert.equal(sampleRandom(space, { samples: 50 }).length, 9);
+});
+
+test('walk-forward windows roll over IST trading days', () => {
+  const ts = sessions(6).map((c) => c.timestamp.getTime());
+  const windows = buildWalkForwardWindows(ts, { inSampleDays: 3, outSampleDays: 1 });
+  assert.equal(windows.length, 3);
+  assert.equal(windows[0].inSample.to, windows[0].outSample.from);
+  assert.equal(windows[1].inSample.from - windows[0].inSample.from, DAY_MS);
+  const stepped = buildWalkForwardWindows(ts, { inSampleDays: 2, outSampleDays: 2, stepDays: 2 });
+  assert.equal(stepped.length, 2);
+});
+
+test('optimizer scores each set out of sample and picks the in-sample winner', async () => {
+  const universe = [{ symbol: 'NSE:AAA', sector: 'IT', candles: sessions(6) }];
+  const result = await runWalkForward({
+    universe,
+    space: { 'strategy.bias': ['Short', 'Long'] },
+    inSampleDays: 2,
+    outSampleDays: 1,
+    evaluateFactory: biasEvaluator,
+    backtest: {
+      lookback: 5,
+      riskPerTrade: 0.0005,
+      costs: { slippageBps: 0, brokeragePerOrder: 0 },
+    },
+  });
+  assert.equal(result.windows.length, 4);
+  assert.equal(result.best.params.strategy.bias, 'Long');
+  assert.ok(result.windows.every((w) => w.selected === result.best.id));
+  const long = result.best.outSample;
+  const short = result.results.find((r) => r.params.strategy.bias === 'Short').outSample;
+  assert.equal(long.trades, 4, 'one OOS trade per window');
+  assert.equal(long.winRate, 1);
+  assert.equal(long.maxDrawdownPct, 0);
+  assert.ok(long.sharpe > 0);
+  assert.ok(short.sharpe < long.sharpe);
+  assert.ok(short.netPnl < 0);
+  assert.ok(short.maxDrawdownPct > 0);
+});
+
+test('the winner is picked in sample; out-of-sample scores are only reported', async () => {
+  const universe = [{ symbol: 'NSE:AAA', sector: 'IT', candles: sessions(6) }];
+  const options = { inSampleDays: 2, outSampleDays: 1, stepDays: 3 };
+  const ts = universe[0].candles.map((c) => c.timestamp.getTime());
+  const inSampleStarts = new Set(buildWalkForwardWindows(ts, options).map((w) => w.inSample.from));
+  // 'Long' leads every in-sample window; 'Short' only shines out of sample
+  const result = await runWalkForward({
+    universe,
+    ...options,
+    space: { 'strategy.bias': ['Short', 'Long'] },
+    objective: 'netPnl',
+    evaluateFactory: (params) => Object.assign(async () => null, { bias: params.strategy.bias }),
+    runBacktest: async ({ tradeFrom, evaluate }) => {
+      const inSample = inSampleStarts.has(tradeFrom);
+      const pnl = evaluate.bias === 'Long' ? (inSample ? 10 : 1) : inSample ? -5 : 50;
+      return { capital: 1000, equityCurve: [], trades: [{ pnl }] };
+    },
+  });
+  assert.equal(result.windows.length, 2);
+  assert.equal(result.best.params.strategy.bias, 'Long');
+  assert.equal(result.best.windowsSelected, 2);
+  assert.equal(result.walkForward.netPnl, 2, 'OOS of the per-window picks');
+  const short = result.results.find((r) => r.params.strategy.bias === 'Short');
+  assert.ok(short.outSample.netPnl > result.best.outSample.netPnl);
+});
+
+test('winning config is stored as the next active version', async () => {
+  const docs = [{ version: 3, active: true }];
+  const database = {
+    collection: () => ({
+      find: () => ({
+        sort: () => ({
+          limit: () => ({
+            toArray: async () => [...docs].sort((a, b) => b.version - a.version).slice(0, 1),
+          }),
+        }),
+      }),
+      updateMany: async (query, update) => {
+        docs.filter((d) => d.active === query.active).forEach((d) => Object.assign(d, update.$set));
+      },
+      insertOne: async (doc) => docs.push(doc),
+    }),
+  };
+  const winner = {
+    params: { filters: { atrThreshold: 0.5 }, strategy: { rvolMin: 1.2 } },
+    inSample: { sharpe: 1 },
+    outSample: { sharpe: 0.8 },
+  };
+  const saved = await saveStrategyConfig(database, winner, { runId: 'r1' });
+  assert.equal(saved.version, 4);
+  assert.equal(saved.active, true);
+  assert.deepEqual(saved.filters, { atrThreshold: 0.5 });
+  assert.equal(docs[0].active, false);
+
+  const staged = await saveStrategyConfig(database, winner, {}, { activate: false });
+  assert.equal(staged.version, 5);
+  assert.equal(staged.active, false);
+  assert.equal(saved.active, true);
+});
@@ -0,0 +1,328 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+process.env.NODE_ENV = 'test';
+
+test.mock.module('../db.js', {
+  defaultExport: { collection: () => ({}) },
+  namedExports: { connectDB: async () => ({}) },
+});
+
+const { createOrderStateMachine, canTransition, orderTag } = await import('../orderStateMachine.js');
+const { createPaperBroker } = await import('../paperBroker.js');
+const { computeDynamicExitPlan } = await import('../src/backtest/engine.js');
+
+function memoryDatabase() {
+  const docs = new Map();
+  return {
+    docs,
+    collection: () => ({
+      updateOne: async ({ _id }, { $set }) => docs.set(_id, structuredClone({ ...docs.get(_id), ...$set, _id })),
+      findOne: async ({ _id }) => structuredClone(docs.get(_id) ?? null),
+      find: ({ state }) => ({
+        toArray: async () => [...docs.values()].filter((d) => d.state !== state.$ne).map((d) => structuredClone(d)),
+      }),
+    }),
+  };
+}
+
+// A paper broker behind the state machine, with its order updates fed back
+// the way kite.js forwards postbacks.
+function setup(database = memoryDatabase(), paper = createPaperBroker({ capital: 1_000_000 })) {
+  const alerts = [];
+  const pending = [];
+  const ops = {
+    place: ({ meta, ...params }) => paper.placeOrder('regular', params),
+    modify: (orderId, params) => paper.modifyOrder('regular', orderId, params),
+    cancel: (orderId) => paper.cancelOrder('regular', orderId),
+    orders: () => paper.getOrders(),
+    positions: () => paper.getPositions(),
+  };
+  const machine = createOrderStateMachine({ database, broker: ops, alert: (type, d) => alerts.push({ type, ...d }) });
+  paper.onUpdate((u) => pending.push(machine.handleOrderUpdate(u)));
+  const settle = async () => {
+    while (pending.length) await pending.shift();
+  };
+  return { machine, paper, database, alerts, ops, settle };
+}
+
+const spec = { symbol: 'INFY', side: 'BUY', qty: 10, entry: 100, stopLoss: 95, target: 110 };
+const states = (trade) => trade.history.map((h) => h.to);
+
+test('a trade moves from entry to protected to closed on order updates', async () => {
+  assert.ok(canTransition('PROTECTED', 'FILLED'));
+  assert.ok(!canTransition('CLOSED', 'FILLED'));
+  const { machine, paper, database, settle } = setup();
+  assert.deepEqual((await machine.open({ symbol: 'INFY' })).errors, ['qty must be positive', 'stopLoss is required']);
+
+  const { trade } = await machine.open(spec);
+  assert.equal(database.docs.get(trade._id).state, 'PENDING_ENTRY', 'written before the entry is sent');
+  const entry = await paper.placeOrder('regular', { tradingsymbol: 'INFY', transaction_type: 'BUY', quantity: 10, order_type: 'LIMIT', price: 100 });
+  await machine.update(trade._id, { entryId: entry.order_id });
+  assert.equal((await machine.transition(trade._id, 'PROTECTED')).ok, false);
+
+  paper.onTick('INFY', { last_price: 99.5 });
+  await settle();
+  const live = machine.get(trade._id);
+  assert.equal(live.state, 'PROTECTED');
+  assert.equal(live.entryPrice, 99.5);
+  const legs = (await paper.getOrders()).filter((o) => o.transaction_type === 'SELL');
+  assert.deepEqual(legs.map((o) => [o.order_type, o.status]), [['SL', 'TRIGGER PENDING'], ['LIMIT', 'OPEN']]);
+  assert.deepEqual([live.slId, live.targetId], legs.map((o) => o.order_id));
+  assert.equal((await machine.protect(trade._id)).ok, true, 'protect is idempotent');
+  assert.equal((await paper.getOrders()).length, 3);
+
+  paper.onTick('INFY', { last_price: 110.2 });
+  await settle();
+  assert.equal(machine.get(trade._id), null);
+  const closed = database.docs.get(trade._id);
+  assert.deepEqual(states(closed), ['PENDING_ENTRY', 'FILLED', 'PROTECTED', 'EXITING', 'CLOSED']);
+  assert.equal(closed.exitReason, 'target');
+  assert.equal((await paper.getOrders()).find((o) => o.order_id === live.slId).status, 'CANCELLED');
+
+  const rejected = await machine.open(spec);
+  await machine.update(rejected.trade._id, { entryId: 'X1' });
+  await machine.handleOrderUpdate({ order_id: 'X1', status: 'REJECTED', filled_quantity: 0 });
+  assert.equal(database.docs.get(rejected.trade._id).exitReason, 'entry rejected');
+});
+
+test('an entry filled before its order id is saved is matched by tag', async () => {
+  const { machine, paper, settle } = setup();
+  const meta = { signalId: 'S1', strategy: 'breakout', confidence: 0.8 };
+  paper.onTick('INFY', { last_price: 100 });
+  const { trade } = await machine.open({ ...spec, meta });
+  // The paper broker fills a marketable order inside placeOrder
+  const entry = await paper.placeOrder('regular', {
+    tradingsymbol: 'INFY', transaction_type: 'BUY', quantity: 10, order_type: 'MARKET', tag: orderTag(meta),
+  });
+  await settle();
+  await machine.update(trade._id, { entryId: entry.order_id });
+  const live = machine.get(trade._id);
+  assert.equal(live.state, 'PROTECTED');
+  assert.equal(live.entryId, entry.order_id);
+  const legs = (await paper.getOrders()).filter((o) => o.transaction_type === 'SELL');
+  assert.deepEqual(legs.map((o) => o.order_type), ['SL', 'LIMIT']);
+
+  const other = (await machine.open({ ...spec, meta: { ...meta, signalId: 'S2' } })).trade;
+  await paper.placeOrder('regular', {
+    tradingsymbol: 'INFY', transaction_type: 'BUY', quantity: 10, order_type: 'MARKET', tag: orderTag(meta),
+  });
+  await settle();
+  assert.equal(machine.get(other._id).state, 'PENDING_ENTRY', 'another signal\'s tag is not adopted');
+});
+
+test('after a restart reconcile finishes fills and repairs missing stop-losses', async () => {
+  const database = memoryDatabase();
+  const paper = createPaperBroker({ capital: 1_000_000 });
+  const before = setup(database, paper).machine;
+  paper.onTick('INFY', { last_price: 100 });
+  paper.onTick('TCS', { last_price: 50 });
+
+  // Entry filled, process died before the stop-loss went out
+  const naked = (await before.open(spec)).trade;
+  const e1 = await paper.placeOrder('regular', { tradingsymbol: 'INFY', transaction_type: 'BUY', quantity: 10, order_type: 'MARKET' });
+  await before.update(naked._id, { entryId: e1.order_id });
+  await before.fill(naked._id, { qty: 10, price: 100 });
+  // Entry filled while the process was down
+  const offline = (await before.open({ ...spec, symbol: 'TCS', entry: 50, stopLoss: 48, target: null })).trade;
+  const e2 = await paper.placeOrder('regular', { tradingsymbol: 'TCS', transaction_type: 'BUY', quantity: 10, order_type: 'MARKET' });
+  await before.update(offline._id, { entryId: e2.order_id });
+  // Stop-loss sent just before the crash, its id never saved
+  const adopted = (await before.open({ ...spec, qty: 5 })).trade;
+  const e3 = await paper.placeOrder('regular', { tradingsymbol: 'INFY', transaction_type: 'BUY', quantity: 5, order_type: 'MARKET' });
+  await before.update(adopted._id, { entryId: e3.order_id });
+  await before.fill(adopted._id, { qty: 5, price: 100 });
+  const orphan = await paper.placeOrder('regular', { tradingsymbol: 'INFY', transaction_type: 'SELL', quantity: 5, order_type: 'SL', price: 95, trigger_price: 95 });
+
+  const { machine, alerts } = setup(database, paper);
+  const report = await machine.reconcile();
+  assert.equal(report.ok, true);
+  assert.equal(report.checked, 3);
+  assert.deepEqual(report.repaired.sort(), [naked._id, offline._id, adopted._id].sort());
+  assert.deepEqual(report.closed, []);
+  assert.equal(machine.get(adopted._id).slId, orphan.order_id, 'existing stop-loss adopted');
+  assert.deepEqual(states(machine.get(offline._id)), ['PENDING_ENTRY', 'FILLED', 'PROTECTED']);
+  assert.equal(machine.get(offline._id).targetId, null);
+  const stops = (await paper.getOrders()).filter((o) => o.order_type === 'SL');
+  assert.equal(stops.length, 3, 'one stop-loss per trade');
+  assert.deepEqual(alerts.map((a) => a.type), ['protection-repaired', 'protection-repaired', 'protection-repaired']);
+  assert.deepEqual(machine.stats().byState, { PENDING_ENTRY: 0, FILLED: 0, PROTECTED: 3, EXITING: 0 });
+
+  const again = await machine.reconcile();
+  assert.deepEqual([again.repaired, again.closed, again.alerts], [[], [], []]);
+});
+
+test('reconcile re-places lost legs, closes flat trades and alerts on untracked positions', async () => {
+  const { machine, paper, alerts, ops, settle } = setup();
+  const { trade } = await machine.open(spec);
+  const entry = await paper.placeOrder('regular', { tradingsymbol: 'INFY', transaction_type: 'BUY', quantity: 10, order_type: 'LIMIT', price: 100 });
+  await machine.update(trade._id, { entryId: entry.order_id });
+  paper.onTick('INFY', { last_price: 100 });
+  await settle();
+  const { slId } = machine.get(trade._id);
+
+  // Someone cancels the stop-loss at the broker
+  await paper.cancelOrder('regular', slId);
+  await settle();
+  const replaced = machine.get(trade._id);
+  assert.equal(replaced.state, 'PROTECTED');
+  assert.notEqual(replaced.slId, slId);
+  assert.equal(alerts.at(-1).type, 'protective-leg-lost');
+
+  // A position the machine does not know about is alerted once, not touched
+  await paper.placeOrder('regular', { tradingsymbol: 'SBIN', transaction_type: 'BUY', quantity: 3, order_type: 'LIMIT', price: 600 });
+  paper.onTick('SBIN', { last_price: 600 });
+  await settle();
+  await machine.reconcile();
+  await machine.reconcile();
+  assert.deepEqual(
+    alerts.filter((a) => a.type === 'position-mismatch').map((a) => [a.symbol, a.message]),
+    [['SBIN:MIS', 'broker net 3, tracked 0']]
+  );
+
+  // The position was squared off elsewhere: close the trade, cancel its legs
+  await paper.placeOrder('regular', { tradingsymbol: 'INFY', transaction_type: 'SELL', quantity: 10, order_type: 'MARKET' });
+  await settle();
+  const report = await machine.reconcile();
+  assert.deepEqual(report.closed, [trade._id]);
+  assert.ok(report.alerts.some((a) => a.type === 'position-flat'));
+  const live = (await paper.getOrders()).filter((o) => ['OPEN', 'TRIGGER PENDING'].includes(o.status));
+  assert.deepEqual(live, []);
+
+  // A failed broker read changes nothing
+  const failing = createOrderStateMachine({
+    database: memoryDatabase(),
+    broker: { ...ops, orders: async () => { throw new Error('session expired'); } },
+    alert: () => {},
+  });
+  const failed = await failing.reconcile();
+  assert.deepEqual([failed.ok, failed.reason, failed.checked], [false, 'session expired', 0]);
+  assert.equal(failing.stats().lastReconcile.ok, false);
+});
+
+test('a scale-out books T1, moves the stop-loss to breakeven and closes at T2', async () => {
+  const { machine, paper, alerts, ops, settle } = setup();
+  const legs = [];
+  machine.onLeg(({ trade, leg }) => legs.push([trade._id, leg.leg, leg.qty, leg.price, leg.pnl]));
+  const exitPlan = computeDynamicExitPlan(
+    { direction: 'Long', entry: 100, stopLoss: 95 },
+    { target: 110, scaleOut: { pct: 0.5, target1: 105, after: 'breakeven' } }
+  );
+  const enter = async (qty) => {
+    const { trade } = await machine.open({ ...spec, qty, exitPlan });
+    const entry = await paper.placeOrder('regular', { tradingsymbol: 'INFY', transaction_type: 'BUY', quantity: qty, order_type: 'LIMIT', price: 100 });
+    await machine.update(trade._id, { entryId: entry.order_id });
+    return trade;
+  };
+  const exits = async (trade) =>
+    (await paper.getOrders())
+      .filter((o) => o.transaction_type === 'SELL' && [trade.slId, trade.target1Id, trade.targetId].includes(o.order_id))
+      .map((o) => [o.order_type, o.quantity, o.order_type === 'SL' ? o.trigger_price : o.price, o.status]);
+
+  const trade = await enter(10);
+  paper.onTick('INFY', { last_price: 100 });
+  await settle();
+  assert.deepEqual(await exits(machine.get(trade._id)), [
+    ['SL', 10, 95, 'TRIGGER PENDING'],
+    ['LIMIT', 5, 105, 'OPEN'],
+    ['LIMIT', 5, 110, 'OPEN'],
+  ]);
+
+  paper.onTick('INFY', { last_price: 105.5 });
+  await settle();
+  const scaled = machine.get(trade._id);
+  assert.equal(scaled.state, 'PROTECTED');
+  assert.equal(scaled.stopLoss, 100, 'breakeven');
+  const sl = (await paper.getOrders()).find((o) => o.order_id === scaled.slId);
+  assert.deepEqual([sl.quantity, sl.trigger_price, sl.status], [5, 100, 'TRIGGER PENDING'], 'modified in place');
+  assert.deepEqual(legs, [[trade._id, 'target1', 5, 105.5, 27.5]]);
+
+  paper.onTick('INFY', { last_price: 110.5 });
+  await settle();
+  assert.equal(machine.get(trade._id), null);
+  assert.deepEqual(legs[1], [trade._id, 'target', 5, 110.5, 52.5]);
+  assert.equal((await paper.getOrders()).find((o) => o.order_id === scaled.slId).status, 'CANCELLED');
+
+  // Odd lots split down; a broker that refuses the modify gets a new stop-loss
+  machine.setBroker({ ...ops, modify: async () => { throw new Error('modify rejected'); } });
+  paper.onTick('INFY', { last_price: 101 });
+  const second = await enter(3);
+  paper.onTick('INFY', { last_price: 100 });
+  await settle();
+  const firstSl = machine.get(second._id).slId;
+  paper.onTick('INFY', { last_price: 105 });
+  await settle();
+  const replaced = machine.get(second._id);
+  assert.equal(alerts.at(-1).type, 'stop-modify-failed');
+  assert.notEqual(replaced.slId, firstSl);
+  assert.equal((await paper.getOrders()).find((o) => o.order_id === firstSl).status, 'CANCELLED');
+  assert.deepEqual((await exits(replaced)).find((o) => o[0] === 'SL'), ['SL', 2, 100, 'TRIGGER PENDING']);
+  assert.deepEqual(states(replaced).slice(-3), ['PROTECTED', 'FILLED', 'PROTECTED']);
+});
+
+test('a final target that fills before T1 books each leg at its own qty', async () => {
+  const { machine, paper, database, settle } = setup();
+  const legs = [];
+  machine.onLeg(({ leg }) => legs.push([leg.leg, leg.qty, leg.price, leg.pnl]));
+  const exitPlan = computeDynamicExitPlan(
+    { direction: 'Long', entry: 100, stopLoss: 95 },
+    { target: 110, scaleOut: { pct: 0.5, target1: 105, after: 'breakeven' } }
+  );
+  const { trade } = await machine.open({ ...spec, exitPlan });
+  const entry = await paper.placeOrder('regular', { tradingsymbol: 'INFY', transaction_type: 'BUY', quantity: 10, order_type: 'LIMIT', price: 100 });
+  await machine.update(trade._id, { entryId: entry.order_id });
+  paper.onTick('INFY', { last_price: 100 });
+  await settle();
+  const { slId, target1Id, targetId } = machine.get(trade._id);
+
+  // A gap through both targets; the T2 postback arrives first
+  await machine.handleOrderUpdate({ order_id: targetId, status: 'COMPLETE', filled_quantity: 5, average_price: 112 });
+  const waiting = machine.get(trade._id);
+  assert.equal(waiting.state, 'EXITING');
+  assert.deepEqual(legs, [['target', 5, 112, 60]]);
+  const orders = await paper.getOrders();
+  assert.equal(orders.find((o) => o.order_id === slId).status, 'CANCELLED');
+  assert.equal(orders.find((o) => o.order_id === target1Id).status, 'OPEN', 'T1 is left to fill');
+
+  await machine.handleOrderUpdate({ order_id: target1Id, status: 'COMPLETE', filled_quantity: 5, average_price: 112 });
+  assert.equal(machine.get(trade._id), null);
+  assert.deepEqual(legs, [['target', 5, 112, 60], ['target1', 5, 112, 60]]);
+  const closed = database.docs.get(trade._id);
+  assert.equal(closed.state, 'CLOSED');
+  assert.equal(closed.legs.reduce((n, l) => n + l.qty, 0), 10);
+});
+
+test('a stop-loss that cannot be cancelled after T1 is left for reconcile, not doubled', async () => {
+  const { machine, paper, alerts, ops, settle } = setup();
+  const exitPlan = computeDynamicExitPlan(
+    { direction: 'Long', entry: 100, stopLoss: 95 },
+    { target: 110, scaleOut: { pct: 0.5, target1: 105, after: 'breakeven' } }
+  );
+  const { trade } = await machine.open({ ...spec, exitPlan });
+  const entry = await paper.placeOrder('regular', { tradingsymbol: 'INFY', transaction_type: 'BUY', quantity: 10, order_type: 'LIMIT', price: 100 });
+  await machine.update(trade._id, { entryId: entry.order_id });
+  paper.onTick('INFY', { last_price: 100 });
+  await settle();
+  const firstSl = machine.get(trade._id).slId;
+
+  const refuse = async () => { throw new Error('rejected'); };
+  machine.setBroker({ ...ops, modify: refuse, cancel: refuse });
+  paper.onTick('INFY', { last_price: 105.5 });
+  await settle();
+  const stuck = machine.get(trade._id);
+  assert.deepEqual(alerts.slice(-2).map((a) => a.type), ['stop-modify-failed', 'stop-replace-failed']);
+  assert.equal(stuck.state, 'PROTECTED');
+  assert.equal(stuck.slId, firstSl);
+  assert.equal(stuck.stopPending, true);
+  const stops = (await paper.getOrders()).filter((o) => o.order_type === 'SL' && o.status === 'TRIGGER PENDING');
+  assert.deepEqual(stops.map((o) => [o.order_id, o.quantity, o.trigger_price]), [[firstSl, 10, 95]], 'no second stop-loss');
+
+  // Once the broker cancels again, reconcile replaces it for the open qty
+  machine.setBroker({ ...ops, modify: refuse });
+  const report = await machine.reconcile();
+  const fixed = machine.get(trade._id);
+  assert.ok(report.repaired.includes(trade._id));
+  assert.equal(fixed.stopPending, false);
+  assert.notEqual(fixed.slId, firstSl);
+  const live = (await paper.getOrders()).filter((o) => o.order_type === 'SL' && o.status === 'TRIGGER PENDING');
+  assert.deepEqual(live.map((o) => [o.order_id, o.quantity, o.trigger_price]), [[fixed.slId, 5, 100]]);
+});
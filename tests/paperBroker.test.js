@@ -0,0 +1,192 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { createPaperBroker, isPaperTrading } from '../paperBroker.js';
+import { createBacktestClock } from '../src/backtest/clock.js';
+
+function setup(opts = {}) {
+  const clock = createBacktestClock(Date.UTC(2024, 0, 2, 4, 0));
+  const broker = createPaperBroker({ clock, capital: 100000, ...opts });
+  const updates = [];
+  broker.onUpdate((u) => updates.push(u));
+  return { broker, updates, clock };
+}
+
+test('limit buy rests until price trades through and then fills', async () => {
+  const { broker, updates } = setup();
+  broker.onTick('NSE:ABC', { last_price: 102 });
+  const { order_id } = await broker.placeOrder('regular', {
+    tradingsymbol: 'ABC',
+    transaction_type: 'BUY',
+    order_type: 'LIMIT',
+    quantity: 10,
+    price: 100,
+  });
+  assert.equal((await broker.getOrders())[0].status, 'OPEN');
+  broker.onTick('NSE:ABC', { last_price: 99.5 });
+  const [ord] = await broker.getOrders();
+  assert.equal(ord.order_id, order_id);
+  assert.equal(ord.status, 'COMPLETE');
+  assert.equal(ord.filled_quantity, 10);
+  assert.equal(ord.average_price, 99.5);
+  assert.equal(updates.at(-1).status, 'COMPLETE');
+  const { net } = await broker.getPositions();
+  assert.equal(net[0].quantity, 10);
+});
+
+test('market order partially fills against depth across ticks', async () => {
+  const { broker, updates } = setup();
+  await broker.placeOrder('regular', {
+    tradingsymbol: 'XYZ',
+    transaction_type: 'BUY',
+    order_type: 'MARKET',
+    quantity: 100,
+  });
+  broker.onTick('XYZ', {
+    last_price: 50,
+    depth: { sell: [{ price: 50, quantity: 40 }, { price: 50.5, quantity: 20 }] },
+  });
+  let [ord] = await broker.getOrders();
+  assert.equal(ord.status, 'OPEN');
+  assert.equal(ord.filled_quantity, 60);
+  assert.equal(ord.pending_quantity, 40);
+  broker.onTick('XYZ', { last_price: 51, depth: { sell: [{ price: 51, quantity: 500 }] } });
+  [ord] = await broker.getOrders();
+  assert.equal(ord.status, 'COMPLETE');
+  assert.equal(ord.filled_quantity, 100);
+  const expectedAvg = (40 * 50 + 20 * 50.5 + 40 * 51) / 100;
+  assert.ok(Math.abs(ord.average_price - expectedAvg) < 1e-6);
+  assert.ok(updates.some((u) => u.status === 'OPEN' && u.filled_quantity === 60));
+});
+
+test('stop-loss order waits for trigger and cancel stops further fills', async () => {
+  const { broker } = setup();
+  broker.onTick('ABC', { last_price: 100 });
+  const sl = await broker.placeOrder('regular', {
+    tradingsymbol: 'ABC',
+    transaction_type: 'SELL',
+    order_type: 'SL-M',
+    quantity: 5,
+    trigger_price: 95,
+  });
+  broker.onTick('ABC', { last_price: 97 });
+  assert.equal((await broker.getOrders())[0].status, 'TRIGGER PENDING');
+  // Raising the trigger above the last price triggers immediately.
+  await broker.modifyOrder('regular', sl.order_id, { trigger_price: 98 });
+  const [ord] = await broker.getOrders();
+  assert.equal(ord.status, 'COMPLETE');
+  assert.equal(ord.average_price, 97);
+
+  const lmt = await broker.placeOrder('regular', {
+    tradingsymbol: 'ABC',
+    transaction_type: 'BUY',
+    order_type: 'LIMIT',
+    quantity: 5,
+    price: 90,
+  });
+  await broker.cancelOrder('regular', lmt.order_id);
+  broker.onTick('ABC', { last_price: 89 });
+  const cancelled = (await broker.getOrders()).find((o) => o.order_id === lmt.order_id);
+  assert.equal(cancelled.status, 'CANCELLED');
+  assert.equal(cancelled.filled_quantity, 0);
+});
+
+test('single GTT fires when price crosses the trigger from its placement side', async () => {
+  const { broker } = setup();
+  broker.onTick('ABC', { last_price: 100 });
+  const single = (trigger, type) => ({
+    trigger_type: broker.GTT_TYPE_SINGLE,
+    tradingsymbol: 'ABC',
+    exchange: 'NSE',
+    trigger_values: [trigger],
+    last_price: 100,
+    orders: [{ transaction_type: type, order_type: 'LIMIT', quantity: 5, price: trigger, product: 'CNC' }],
+  });
+  // A downside stop below the price and a breakout above it
+  const { trigger_id: stopId } = await broker.placeGTT(single(95, 'SELL'));
+  const { trigger_id: breakoutId } = await broker.placeGTT(single(105, 'BUY'));
+  const status = async () =>
+    Object.fromEntries((await broker.getGTTs()).map((g) => [g.id, g.status]));
+  assert.deepEqual(await status(), { [stopId]: 'active', [breakoutId]: 'active' });
+
+  broker.onTick('ABC', { last_price: 97 });
+  assert.deepEqual(await status(), { [stopId]: 'active', [breakoutId]: 'active' });
+  broker.onTick('ABC', { last_price: 94.8 });
+  assert.deepEqual(await status(), { [stopId]: 'triggered', [breakoutId]: 'active' });
+  const stop = (await broker.getGTTs()).find((g) => g.id === stopId);
+  const child = (await broker.getOrders()).find((o) => o.order_id === stop.orders_placed[0]);
+  assert.deepEqual([child.transaction_type, child.price], ['SELL', 95]);
+
+  broker.onTick('ABC', { last_price: 105.2 });
+  assert.deepEqual(await status(), { [stopId]: 'triggered', [breakoutId]: 'triggered' });
+});
+
+test('OCO GTT triggers the matching leg and deactivates the other', async () => {
+  const { broker } = setup();
+  broker.onTick('ABC', { last_price: 100 });
+  await broker.placeOrder('regular', {
+    tradingsymbol: 'ABC',
+    transaction_type: 'SELL',
+    order_type: 'MARKET',
+    quantity: 10,
+  });
+  // Short bracket: SL above, target below entry.
+  const { trigger_id } = await broker.placeGTT({
+    trigger_type: broker.GTT_TYPE_OCO,
+    tradingsymbol: 'ABC',
+    exchange: 'NSE',
+    trigger_values: [105, 95],
+    orders: [
+      { transaction_type: 'BUY', order_type: 'SL', quantity: 10, price: 105, product: 'MIS' },
+      { transaction_type: 'BUY', order_type: 'LIMIT', quantity: 10, price: 95, product: 'MIS' },
+    ],
+  });
+  broker.onTick('ABC', { last_price: 94.9 });
+  const [gtt] = await broker.getGTTs();
+  assert.equal(gtt.id, trigger_id);
+  assert.equal(gtt.status, 'triggered');
+  const child = (await broker.getOrders()).find((o) => o.order_id === gtt.orders_placed[0]);
+  assert.equal(child.transaction_type, 'BUY');
+  assert.equal(child.price, 95);
+  assert.equal(child.status, 'COMPLETE');
+  assert.equal(child.average_price, 94.9);
+  broker.onTick('ABC', { last_price: 106 });
+  assert.equal((await broker.getOrders()).length, 2, 'other leg must not fire');
+  const { net } = await broker.getPositions();
+  assert.equal(net[0].quantity, 0);
+  assert.ok(Math.abs(net[0].realised - 51) < 1e-6);
+});
+
+test('margin snapshot reflects capital and open exposure', async () => {
+  const { broker } = setup();
+  broker.onTick('ABC', { last_price: 200 });
+  await broker.placeOrder('regular', {
+    tradingsymbol: 'ABC',
+    transaction_type: 'BUY',
+    order_type: 'MARKET',
+    product: 'MIS',
+    quantity: 50,
+  });
+  const margins = await broker.getMargins();
+  assert.equal(margins.equity.available.cash, 100000 - (200 * 50) / 5);
+  const [req] = await broker.orderMargins([{ tradingsymbol: 'ABC', quantity: 10, product: 'CNC' }]);
+  assert.equal(req.total, 2000);
+});
+
+test('paper mode is selected by TRADING_MODE or PAPER_TRADING', () => {
+  const prevMode = process.env.TRADING_MODE;
+  const prevFlag = process.env.PAPER_TRADING;
+  try {
+    delete process.env.TRADING_MODE;
+    process.env.PAPER_TRADING = 'true';
+    assert.equal(isPaperTrading(), true);
+    process.env.TRADING_MODE = 'live';
+    assert.equal(isPaperTrading(), false);
+    process.env.TRADING_MODE = 'paper';
+    assert.equal(isPaperTrading(), true);
+  } finally {
+    if (prevMode === undefined) delete process.env.TRADING_MODE;
+    else process.env.TRADING_MODE = prevMode;
+    if (prevFlag === undefined) delete process.env.PAPER_TRADING;
+    else process.env.PAPER_TRADING = prevFlag;
+  }
+});
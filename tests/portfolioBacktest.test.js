@@ -0,0 +1,128 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+process.env.NODE_ENV = 'test';
+
+test.mock.module('../db.js', {
+  defaultExport: {
+    collection: () => ({
+      deleteMany: async () => {},
+      deleteOne: async () => {},
+      insertMany: async () => {},
+      updateOne: async () => {},
+      find: () => ({ toArray: async () => [] }),
+    }),
+  },
+  namedExports: { connectDB: async () => ({}) },
+});
+test.mock.module('../telegram.js', {
+  namedExports: { sendNotification: () => {} },
+});
+test.mock.module('../account.js', {
+  namedExports: { applyRealizedPnL: () => {} },
+});
+
+const { runPortfolioBacktest } = await import('../src/backtest/portfolio.js');
+const { openPositions } = await import('../portfolioContext.js');
+
+const T0 = Date.UTC(2024, 0, 2, 4, 0); // 09:30 IST
+
+function series(moves = {}) {
+  return Array.from({ length: 40 }, (_, i) => {
+    const m = moves[i];
+    return {
+      timestamp: new Date(T0 + i * 60_000),
+      open: 100,
+      high: m?.high ?? 100.2,
+      low: m?.low ?? 99.8,
+      close: m?.close ?? 100,
+      volume: 1000,
+    };
+  });
+}
+
+const universe = [
+  { symbol: 'NSE:AAA', sector: 'IT', candles: series({ 12: { high: 103, low: 100, close: 102.5 } }) },
+  { symbol: 'NSE:BBB', sector: 'BANK', candles: series({ 12: { high: 100, low: 98, close: 98.2 } }) },
+];
+
+function evaluator(plan) {
+  return async ({ candles, symbol }) => {
+    const ts = candles.at(-1).timestamp.getTime();
+    const idx = (ts - T0) / 60_000;
+    const hit = plan[symbol]?.[idx];
+    if (!hit) return null;
+    return { entry: 100, stopLoss: 99, atr: 0.5, direction: 'Long', ...hit };
+  };
+}
+
+test('runs symbols on a shared clock with breakdowns and equity curve', async () => {
+  const result = await runPortfolioBacktest({
+    universe,
+    lookback: 5,
+    riskPerTrade: 0.0005,
+    evaluate: evaluator({
+      'NSE:AAA': { 10: { pattern: 'Breakout' } },
+      'NSE:BBB': { 10: { pattern: 'Pullback' }, 14: { pattern: 'Pullback' } },
+    }),
+  });
+  assert.equal(result.mode, 'portfolio');
+  assert.equal(result.metrics.trades, 2);
+  assert.equal(result.metrics.maxConcurrentPositions, 2);
+  assert.ok(result.bySymbol['NSE:AAA'].netPnl > 0);
+  assert.ok(result.bySymbol['NSE:BBB'].netPnl < 0);
+  assert.deepEqual(Object.keys(result.byStrategy).sort(), ['Breakout', 'Pullback']);
+  assert.equal(result.rejections.reEntry, 1, 'BBB re-entry blocked inside window');
+  const last = result.equityCurve.at(-1);
+  assert.ok(Math.abs(last.equity - result.metrics.finalEquity) < 1e-6);
+  // ₹50 risk over a 1pt stop, less round-trip MIS charges at the stop.
+  assert.equal(result.trades[0].qty, 45);
+  assert.equal(openPositions.size, 0, 'portfolio state cleaned up after run');
+});
+
+test('daily loss and exposure limits block new entries', async () => {
+  const result = await runPortfolioBacktest({
+    universe,
+    lookback: 5,
+    riskPerTrade: 0.0005,
+    reentryWindowMs: 0,
+    risk: { maxDailyLoss: 1 },
+    evaluate: evaluator({
+      'NSE:BBB': { 10: { pattern: 'Pullback' }, 20: { pattern: 'Pullback' } },
+    }),
+  });
+  assert.equal(result.metrics.trades, 1);
+  assert.ok(result.rejections.maxDailyLoss > 0);
+
+  const capped = await runPortfolioBacktest({
+    universe,
+    lookback: 5,
+    riskPerTrade: 0.01,
+    evaluate: evaluator({ 'NSE:AAA': { 10: {} } }),
+  });
+  assert.equal(capped.metrics.trades, 0);
+  assert.equal(capped.rejections.exposure, 1);
+});
+
+test('scale-out books T1, moves the stop to breakeven and sums leg P&L', async () => {
+  const result = await runPortfolioBacktest({
+    universe: [universe[0]],
+    lookback: 5,
+    riskPerTrade: 0.0005,
+    scaleOut: { pct: 0.5, after: 'breakeven' },
+    evaluate: evaluator({ 'NSE:AAA': { 10: { pattern: 'Breakout' } } }),
+  });
+  const [trade] = result.trades;
+  assert.deepEqual(trade.legs.map((l) => [l.reason, l.qty]), [['target1', 22], ['stop', 23]]);
+  assert.equal(trade.legs[1].at.getTime(), T0 + 13 * 60_000, 'breakeven stop hit on the next candle');
+  assert.equal(trade.exitReason, 'stop');
+  assert.equal(trade.openQty, 0);
+  const legPnl = trade.legs.reduce((n, l) => n + l.pnl, 0);
+  const entryFees = trade.totalFees - trade.legs.reduce((n, l) => n + l.fees, 0);
+  assert.ok(Math.abs(trade.pnl - (legPnl - entryFees)) < 1e-6);
+  assert.ok(trade.legs[0].pnl > 0);
+  assert.ok(Math.abs(result.metrics.finalEquity - (100000 + trade.pnl)) < 1e-6);
+  assert.deepEqual(
+    result.equityCurve.filter((p) => p.kind !== 'eod').map((p) => [p.kind, p.openPositions]),
+    [['partial', 1], ['exit', 0]]
+  );
+});
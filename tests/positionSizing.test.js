@@ -130,3 +130,15 @@ test('equalCapitalAllocation splits capital', () => {
   assert.equal(qty, 200);
 });
 
+
+test('round-trip charges at the stop shrink quantity when price is known', () => {
+  const base = { capital: 100000, risk: 1000, slPoints: 10, price: 500 };
+  assert.equal(calculatePositionSize({ ...base, includeCharges: false }), 100);
+  const debug = {};
+  const qty = calculatePositionSize({ ...base, debug });
+  assert.ok(qty < 100);
+  assert.ok(debug.chargesPerShare > 0);
+  assert.ok(qty * (10 + debug.chargesPerShare) <= 1000);
+  const cnc = calculatePositionSize({ ...base, product: 'CNC' });
+  assert.ok(cnc < qty, 'delivery STT and DP charges cost more');
+});
@@ -0,0 +1,85 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { createRegimeEngine } from '../regimeEngine.js';
+import { marketContext } from '../smartStrategySelector.js';
+import { createBacktestClock } from '../src/backtest/clock.js';
+
+const START = Date.parse('2024-06-04T09:15:00+05:30');
+const MIN = 60_000;
+
+function risingBars(n, from = 22000) {
+  return Array.from({ length: n }, (_, i) => {
+    const px = from + i * 5;
+    return { date: new Date(START - (n - i) * MIN), open: px - 2, high: px + 3, low: px - 3, close: px };
+  });
+}
+
+test('index, VIX and breadth ticks drive regime transitions', () => {
+  const clock = createBacktestClock(START);
+  const events = [];
+  const engine = createRegimeEngine({
+    clock,
+    isActive: () => true,
+    emit: (event, payload) => events.push({ event, payload }),
+  });
+
+  assert.equal(engine.onMinute(), null, 'no NIFTY bars yet');
+  assert.equal(marketContext.regime, 'sideways');
+
+  engine.seed('NSE:NIFTY 50', risingBars(240));
+  engine.seed('NSE:NIFTY BANK', risingBars(240, 48000));
+  engine.onTick('NSE:INDIA VIX', { last_price: 12.5 });
+  for (const [sym, change] of [
+    ['NSE:TCS', 1.2],
+    ['NSE:INFY', 0.4],
+    ['NSE:SBIN', -0.3],
+  ]) {
+    engine.onTick(sym, { last_price: 100, change, exchange_timestamp: new Date(START) });
+  }
+  // Live NIFTY ticks build the current minute bar
+  engine.onTick('NSE:NIFTY 50', { last_price: 23210, exchange_timestamp: new Date(START + 5_000) });
+  engine.onTick('NSE:NIFTY 50', { last_price: 23220, exchange_timestamp: new Date(START + 30_000) });
+
+  clock.set(START + MIN + 1000);
+  const first = engine.onMinute();
+  assert.equal(first.vix, 12.5);
+  assert.equal(first.volatility, 'low');
+  assert.equal(first.advances, 2);
+  assert.equal(first.declines, 1);
+  assert.ok(first.indices.NIFTY.ema50 > first.indices.NIFTY.ema200);
+  assert.equal(first.indices.NIFTY.close, 23220, 'live minute bar closed into the series');
+  assert.equal(first.regime, 'sideways', 'one trending reading is not a transition');
+
+  clock.set(START + 2 * MIN + 1000);
+  const second = engine.onMinute();
+  assert.equal(second.regime, 'trending');
+  const change = events.find((e) => e.event === 'regimeChange');
+  assert.equal(change.payload.from, 'sideways');
+  assert.equal(change.payload.to, 'trending');
+  assert.equal(events.filter((e) => e.event === 'marketRegime').length, 2);
+
+  // Fear spike flips to choppy after two readings
+  engine.onTick('NSE:INDIA VIX', { last_price: 24 });
+  engine.onMinute(START + 3 * MIN + 1000);
+  engine.onMinute(START + 4 * MIN + 1000);
+  assert.equal(marketContext.regime, 'choppy');
+  assert.equal(marketContext.volatility, 'high');
+});
+
+test('aligned minute timer and instruments', () => {
+  const clock = createBacktestClock(START + 20_000);
+  const engine = createRegimeEngine({ clock, isActive: () => false });
+  const delays = [];
+  engine.start({
+    setTimeoutFn: (fn, ms) => {
+      delays.push(ms);
+      return 0;
+    },
+  });
+  assert.deepEqual(delays, [41_000], 'first run lands 1s after the next minute');
+  engine.stop();
+  assert.deepEqual(
+    engine.instruments().map((i) => i.token),
+    [256265, 260105, 264969]
+  );
+});
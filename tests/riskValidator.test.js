@@ -45,3 +45,14 @@ test('validateRR respects strategy thresholds', () => {
   assert.ok(res.valid); // RR = 3.6 >= 1.8
   assert.equal(getMinRRForStrategy('breakout'), 1.8);
 });
+
+test('validateRR rejects setups that only clear RR before charges', () => {
+  const setup = { strategy: 'breakout', entry: 100, stopLoss: 99, target: 101.85 };
+  const gross = validateRR({ ...setup, includeCharges: false });
+  assert.ok(gross.valid);
+  const net = validateRR(setup);
+  assert.equal(net.valid, false);
+  assert.equal(net.reason, 'rrBelowMinAfterCosts');
+  assert.ok(net.grossRR >= 1.8 && net.rr < 1.8);
+  assert.ok(net.charges.perUnitAtStop > 0);
+});
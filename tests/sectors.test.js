@@ -0,0 +1,100 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  parseClassificationCsv,
+  setSectorTaxonomy,
+  getSector,
+  getSectorInfo,
+  sectorMembers,
+} from '../sectors.js';
+import { createSectorStrengthEngine, symbolStats } from '../sectorStrength.js';
+import { createBacktestClock } from '../src/backtest/clock.js';
+
+const CSV = [
+  'Company Name,Industry,Symbol,Series,Indices',
+  'Infosys Ltd.,Information Technology,INFY,EQ,NIFTY 50;NIFTY IT',
+  'Tata Consultancy Services Ltd.,Information Technology,TCS,EQ,NIFTY 50;NIFTY IT',
+  'HDFC Bank Ltd.,Financial Services,HDFCBANK,EQ,NIFTY 50;NIFTY BANK',
+  '"ICICI Bank, Ltd.",Financial Services,ICICIBANK,EQ,NIFTY 50;NIFTY BANK',
+  'Some Warrant,Information Technology,ABCW,W1,',
+  ',Power,,EQ,',
+].join('\n');
+
+const START = Date.parse('2024-06-03T09:15:00+05:30');
+
+function candles(open, close, bars = 30) {
+  return Array.from({ length: bars }, (_, i) => {
+    const px = open + ((close - open) * i) / (bars - 1);
+    return { timestamp: new Date(START + i * 60_000), open: px, high: px, low: px, close: px };
+  });
+}
+
+test('classification CSV builds the sector map', () => {
+  const { rows, errors } = parseClassificationCsv(CSV);
+  assert.equal(rows.length, 4, 'non-EQ series skipped');
+  assert.equal(errors.length, 1);
+  assert.equal(rows[3].company, 'ICICI Bank, Ltd.');
+
+  setSectorTaxonomy(rows);
+  assert.equal(getSector('NSE:INFY'), 'IT');
+  assert.equal(getSector('hdfcbank'), 'FIN');
+  assert.equal(getSector('NSE:UNKNOWN'), 'GEN');
+  assert.deepEqual(getSectorInfo('TCS').indices, ['NIFTY 50', 'NIFTY IT']);
+  assert.deepEqual(sectorMembers('NIFTY BANK'), ['HDFCBANK', 'ICICIBANK']);
+
+  assert.deepEqual(parseClassificationCsv('Name,Sector\nx,y').errors, [
+    'header needs Symbol and Industry columns',
+  ]);
+});
+
+test('relative strength, breadth and rotation per sector', () => {
+  const sectorOf = { INFY: 'IT', TCS: 'IT', HDFCBANK: 'FIN', ICICIBANK: 'FIN' };
+  const clock = createBacktestClock(START + 30 * 60_000);
+  const engine = createSectorStrengthEngine({ clock, getSector: (s) => sectorOf[s] || 'GEN' });
+
+  assert.ok(Math.abs(symbolStats(candles(100, 102)).changePct - 2) < 1e-9);
+
+  engine.update('INFY', candles(100, 102));
+  engine.update('TCS', candles(100, 101));
+  engine.update('HDFCBANK', candles(100, 99));
+  engine.update('ICICIBANK', candles(100, 98.5));
+  let { snapshot, rotations } = engine.rotate();
+  assert.deepEqual(rotations, [], 'no rotation on the first snapshot');
+  assert.deepEqual(
+    snapshot.sectors.map((s) => [s.sector, s.rank]),
+    [
+      ['IT', 1],
+      ['FIN', 2],
+    ]
+  );
+  const it = snapshot.sectors[0];
+  assert.equal(it.advance, 2);
+  assert.equal(it.above50, 100);
+  assert.ok(Math.abs(it.relativeStrength - 1.375) < 1e-9, '1.5% vs a 0.125% market');
+  assert.ok(engine.scoreFor('IT', 'Long') > 0.9);
+  assert.ok(engine.scoreFor('FIN', 'Short') > 0.9);
+  assert.equal(engine.scoreFor('GEN'), 0.5);
+  assert.deepEqual(engine.breadth().FIN, { advance: 0, decline: 2, above50: 0 });
+
+  // Banks take over leadership
+  const leaders = createSectorStrengthEngine({
+    clock,
+    getSector: (s) => sectorOf[s] || 'GEN',
+    config: { leaders: 1 },
+  });
+  for (const [sym, c] of Object.entries({ INFY: 102, TCS: 101, HDFCBANK: 99, ICICIBANK: 98.5 })) {
+    leaders.update(sym, candles(100, c));
+  }
+  leaders.rotate();
+  for (const [sym, c] of Object.entries({ INFY: 99, TCS: 99.5, HDFCBANK: 102, ICICIBANK: 101 })) {
+    leaders.update(sym, candles(100, c));
+  }
+  ({ rotations } = leaders.rotate());
+  assert.deepEqual(
+    rotations.map((r) => [r.sector, r.direction, r.fromRank, r.toRank]),
+    [
+      ['FIN', 'in', 2, 1],
+      ['IT', 'out', 1, 2],
+    ]
+  );
+});
@@ -0,0 +1,230 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+process.env.NODE_ENV = 'test';
+
+test.mock.module('../db.js', {
+  defaultExport: { collection: () => ({}) },
+  namedExports: { connectDB: async () => ({}) },
+});
+
+const { createOrderRouter, fillQuality } = await import('../smartOrderRouter.js');
+const { createOrderStateMachine } = await import('../orderStateMachine.js');
+const { createPaperBroker } = await import('../paperBroker.js');
+const { createBacktestClock } = await import('../src/backtest/clock.js');
+
+function memoryDatabase() {
+  const docs = new Map();
+  return {
+    docs,
+    collection: () => ({
+      updateOne: async ({ _id }, { $set }) => docs.set(_id, structuredClone({ ...docs.get(_id), ...$set, _id })),
+      find: (query = {}) => {
+        const rows = async () => [...docs.values()].filter((d) => d.state !== query.state?.$ne).map((d) => structuredClone(d));
+        return { toArray: rows, sort: () => ({ limit: () => ({ toArray: async () => (await rows()).reverse() }) }) };
+      },
+    }),
+  };
+}
+
+const T0 = Date.UTC(2024, 0, 10, 4, 0);
+const quote = (ltp, spread = 0.1) => ({
+  last_price: ltp,
+  depth: { buy: [{ price: ltp - spread / 2, quantity: 500 }], sell: [{ price: ltp + spread / 2, quantity: 500 }] },
+});
+
+// A paper broker and a router sharing one fake clock; every sleep moves the
+// clock and feeds both the tick that `path` gives for the new time.
+function setup(path, config = {}) {
+  const clock = createBacktestClock(T0);
+  const paper = createPaperBroker({ capital: 10_000_000, clock });
+  const database = memoryDatabase();
+  const feed = (tick) => {
+    paper.onTick('INFY', tick);
+    router.onTick('NSE:INFY', tick);
+  };
+  const router = createOrderRouter({
+    database,
+    clock,
+    config: { pollMs: 250, chaseIntervalMs: 250, maxSlippagePct: 0.3, ...config },
+    sleep: async (ms) => {
+      clock.tick(ms);
+      feed(path(clock.now() - T0));
+    },
+    broker: {
+      place: (params) => paper.placeOrder('regular', params),
+      modify: (orderId, params) => paper.modifyOrder('regular', orderId, params),
+      cancel: (orderId) => paper.cancelOrder('regular', orderId),
+      orders: () => paper.getOrders(),
+    },
+  });
+  return { clock, paper, router, database, feed };
+}
+
+const buy = (quantity, price = 100) => ({ exchange: 'NSE', tradingsymbol: 'INFY', transaction_type: 'BUY', product: 'MIS', quantity, price, meta: { strategy: 'orb' } });
+const children = (report) => report.children.map((c) => [c.qty, c.status, c.filledQty]);
+
+test('chase re-prices to the touch within the slippage cap and cancels on timeout', async () => {
+  assert.deepEqual(fillQuality({ side: 'SELL', qty: 10, arrivalPrice: 100, children: [{ filledQty: 10, avgPrice: 99.5 }] }), {
+    filledQty: 10,
+    fillRate: 1,
+    avgPrice: 99.5,
+    slippage: 0.5,
+    slippageBps: 50,
+    vsEntryBps: null,
+  });
+
+  // The book lifts past the cap, then comes back to 100.4
+  const { router, database } = setup((t) => (t < 500 ? quote(100.8) : quote(100.4)));
+  router.onTick('NSE:INFY', quote(100.2)); // arrival 100.2; the broker has no print yet
+  const resolved = router.resolve('chase', 100);
+  assert.equal(resolved.params.algo, 'chase');
+  const report = await router.execute(buy(100), resolved.params, { tradeId: 'T1' });
+  assert.equal(report.status, 'FILLED');
+  assert.equal(report.arrivalPrice, 100.2);
+  assert.deepEqual(report.children.map((c) => [c.price, c.reprices]), [[100.5, 1]]);
+  assert.equal(report.avgPrice, 100.45);
+  assert.equal(report.slippageBps, 24.95);
+  assert.equal(database.docs.get(report._id).tradeId, 'T1');
+
+  // A runaway market is never chased past arrival + 0.3%
+  const capped = setup(() => quote(101), { timeoutMs: 2000 });
+  capped.router.onTick('NSE:INFY', quote(100));
+  const missed = await capped.router.execute(buy(10), { ...capped.router.config(), algo: 'chase' });
+  assert.equal(missed.status, 'UNFILLED');
+  assert.deepEqual(missed.children.map((c) => [c.price, c.status]), [[100.3, 'CANCELLED']]);
+  assert.equal(missed.durationMs, 2000);
+  assert.equal(missed.slippageBps, null);
+});
+
+test('twap slices roll unfilled qty forward; iceberg shows one child at a time', async () => {
+  // Out of reach between 1.0s and 2.2s
+  const { router, feed } = setup((t) => (t >= 1000 && t < 2200 ? quote(101) : quote(100)));
+  feed(quote(100));
+  const { params } = router.resolve({ algo: 'twap', twapSlices: 4, twapDurationMs: 4000 }, 100);
+  const twap = await router.execute(buy(100), params);
+  assert.equal(twap.status, 'FILLED');
+  assert.deepEqual(children(twap), [
+    [25, 'COMPLETE', 25],
+    [25, 'CANCELLED', 0],
+    [50, 'COMPLETE', 50],
+    [25, 'COMPLETE', 25],
+  ]);
+  assert.deepEqual(twap.children.map((c) => c.placedAt - T0), [0, 1000, 2000, 3000]);
+  assert.equal(twap.avgPrice, 100.03, 'the third slice takes the 100.05 offer');
+
+  // Large entries are sliced without the signal asking for it
+  const sliced = setup(() => quote(100), { sliceAboveQty: 40, icebergDisplayQty: 20 });
+  sliced.feed(quote(100));
+  const auto = sliced.router.resolve(undefined, 50);
+  assert.equal(auto.params.algo, 'iceberg');
+  assert.equal(sliced.router.resolve('chase', 50).params.algo, 'chase');
+  assert.deepEqual(sliced.router.resolve('vwap', 50).errors, ['unknown execution algo "vwap"']);
+  const iceberg = await sliced.router.execute(buy(50), auto.params);
+  assert.deepEqual(children(iceberg), [
+    [20, 'COMPLETE', 20],
+    [20, 'COMPLETE', 20],
+    [10, 'COMPLETE', 10],
+  ]);
+  const shown = (await sliced.paper.getOrders()).map((o) => o.quantity);
+  assert.deepEqual(shown, [20, 20, 10]);
+});
+
+test('a working limit is reported on its fill; stale routed entries are settled by reconcile', async () => {
+  const { router, paper, database, feed } = setup(() => quote(100.5), { timeoutMs: 1000 });
+  feed(quote(100.5));
+  const open = await router.execute(buy(10), router.resolve('limit', 10).params);
+  assert.equal(open.status, 'OPEN');
+  paper.onUpdate((u) => router.handleOrderUpdate(u));
+  feed({ last_price: 99.9 });
+  await new Promise((r) => setImmediate(r));
+  const stored = database.docs.get(open._id);
+  assert.equal(stored.status, 'FILLED');
+  assert.equal(stored.avgPrice, 99.9);
+  assert.equal(stored.slippageBps, -59.7);
+  assert.equal(stored.vsEntryBps, -10);
+
+  const cancelled = await router.execute(buy(10, 99), { ...router.resolve('limit', 10).params, cancelOnTimeout: true });
+  assert.equal(cancelled.status, 'UNFILLED');
+
+  // A twap left behind by a restart: one child filled, one still working
+  const clock = createBacktestClock(T0);
+  const states = memoryDatabase();
+  const machine = createOrderStateMachine({
+    database: states,
+    clock,
+    alert: () => {},
+    broker: {
+      place: ({ meta, ...params }) => paper.placeOrder('regular', params),
+      cancel: (orderId) => paper.cancelOrder('regular', orderId),
+      orders: () => paper.getOrders(),
+      positions: () => paper.getPositions(),
+    },
+  });
+  const { trade } = await machine.open({ symbol: 'INFY', side: 'BUY', qty: 20, entry: 100, stopLoss: 95, target: 110 });
+  feed({ last_price: 100 });
+  const filled = await paper.placeOrder('regular', { ...buy(10), order_type: 'LIMIT' });
+  const working = await paper.placeOrder('regular', { ...buy(10, 98), order_type: 'LIMIT' });
+  await machine.update(trade._id, { routing: { algo: 'twap', childIds: [filled.order_id, working.order_id], until: T0 + 1000 } });
+
+  await machine.reconcile();
+  assert.equal(machine.get(trade._id).state, 'PENDING_ENTRY', 'inside the router window');
+  clock.tick(2000);
+  await machine.reconcile();
+  const live = machine.get(trade._id);
+  assert.equal(live.state, 'PROTECTED');
+  assert.equal(live.filledQty, 10);
+  const orders = await paper.getOrders();
+  assert.equal(orders.find((o) => o.order_id === working.order_id).status, 'CANCELLED');
+  assert.equal(orders.find((o) => o.order_id === live.slId).quantity, 10);
+});
+
+test('children share one order-book read per poll and take fills from order updates', async () => {
+  const clock = createBacktestClock(T0);
+  const book = new Map();
+  let reads = 0;
+  let seq = 0;
+  const waiting = [];
+  const router = createOrderRouter({
+    database: memoryDatabase(),
+    clock,
+    config: { pollMs: 250, timeoutMs: 1000, cancelOnTimeout: true },
+    sleep: () => new Promise((r) => waiting.push(r)),
+    broker: {
+      place: async (params) => {
+        const order_id = `C${++seq}`;
+        book.set(order_id, { order_id, status: 'OPEN', filled_quantity: 0, average_price: 0, quantity: params.quantity });
+        return { order_id };
+      },
+      modify: async () => ({}),
+      cancel: async (id) => {
+        book.get(id).status = 'CANCELLED';
+        return { order_id: id };
+      },
+      orders: async () => {
+        reads += 1;
+        return [...book.values()].map((o) => ({ ...o }));
+      },
+    },
+  });
+  const settle = () => new Promise((r) => setImmediate(r));
+  const runs = [router.execute(buy(10), router.resolve('limit', 10).params), router.execute(buy(5), router.resolve('limit', 5).params)];
+  const poll = async () => {
+    clock.tick(250);
+    waiting.splice(0).forEach((r) => r());
+    await settle();
+  };
+  await settle();
+  assert.equal(reads, 1, 'both children read one order book');
+  await poll();
+  assert.equal(reads, 2);
+
+  // The first child fills on an update the order book never shows
+  await router.handleOrderUpdate({ order_id: 'C1', status: 'COMPLETE', filled_quantity: 10, average_price: 99.95 });
+  for (let i = 0; i < 3; i++) await poll();
+  const [filled, missed] = await Promise.all(runs);
+  assert.equal(filled.status, 'FILLED');
+  assert.equal(filled.avgPrice, 99.95);
+  assert.equal(missed.status, 'UNFILLED');
+  // One read per poll for both children, then one after the cancel
+  assert.equal(reads, 6);
+});
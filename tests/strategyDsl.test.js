@@ -0,0 +1,126 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+process.env.NODE_ENV = 'test';
+
+test.mock.module('../db.js', {
+  defaultExport: { collection: () => ({}) },
+  namedExports: { connectDB: async () => ({}) },
+});
+
+const { compileRule, parseRule, dryRunRule, createRuleBook } = await import('../strategyDsl.js');
+const { createStrategyRegistry } = await import('../strategyRegistry.js');
+
+const t0 = Date.parse('2024-06-03T09:15:00+05:30');
+// 1m bars following `path` (closes), ±0.2 wicks
+const bars = (path) =>
+  path.map((p, i) => ({
+    timestamp: new Date(t0 + i * 60000),
+    open: p,
+    high: p + 0.2,
+    low: p - 0.2,
+    close: p,
+    volume: 1000,
+  }));
+// 40 flat bars, a 5-bar dip, then a steady climb
+const dipThenRally = [
+  ...Array(40).fill(100),
+  ...[99.6, 99.2, 98.8, 98.4, 98],
+  ...Array.from({ length: 25 }, (_, i) => 98.5 + i * 0.5),
+];
+
+const RULE = `
+id: close-over-prior-high   # YAML subset
+name: Close Over Prior High
+direction: Long
+category: breakout
+when:
+  - close crosses_above highest(high, 10)[1]
+  - within: 10
+    when: low < lowest(low, 20)[1]
+stopLoss: lowest(low, 10) - params.buffer
+targets: [entry + 2 * risk]
+params:
+  buffer: 0.1
+`;
+
+test('rules are validated with located errors', () => {
+  const bad = compileRule({
+    id: 'Bad Id',
+    direction: 'Up',
+    when: ['rsi > 50', { any: ['ema10 > ema21'] }],
+    stopLoss: 'low[500]',
+    targets: ['entry + risk * params.rr'],
+  });
+  assert.deepEqual(bad.errors, [
+    'id must be kebab-case',
+    'direction must be Long or Short',
+    'when[1].any[0]: unknown field "ema10"',
+    'stopLoss: lookback must be 0-200',
+    'targets[0]: params.rr is not declared in params',
+  ]);
+  assert.deepEqual(compileRule({ id: 'x', direction: 'Long', when: 'close > open > low', stopLoss: 'low' }).errors, [
+    'when: a condition needs exactly one comparison',
+  ]);
+  assert.match(parseRule('id: x\n  bad: indent').errors[0], /yaml line 2/);
+
+  const { ok, rule } = parseRule(RULE);
+  assert.equal(ok, true);
+  assert.deepEqual(rule.when[1], { within: 10, when: 'low < lowest(low, 20)[1]' });
+  assert.deepEqual(rule.targets, ['entry + 2 * risk']);
+  const compiled = compileRule(rule).compiled;
+  assert.equal(compiled.depth, 29); // lowest(low, 20)[1] inside within: 10
+  assert.deepEqual(compiled.features, []);
+});
+
+test('compiled rules run as registry detectors with overridable params', async () => {
+  const registry = createStrategyRegistry();
+  const book = createRuleBook({ registry });
+  const rule = parseRule(RULE).rule;
+  const saved = await book.save({ rule });
+  assert.equal(saved.ok, true);
+  const def = registry.get('close-over-prior-high');
+  assert.equal(def.source, 'rule');
+  assert.equal(registry.isEnabled(def.id), false, 'new rules start disabled');
+
+  const candles = bars(dipThenRally.slice(0, 50)); // first close above the prior 10-bar high
+  const hit = registry.run(def, candles, {}, {});
+  assert.equal(hit.name, 'Close Over Prior High');
+  assert.equal(hit.entry, 100.5);
+  assert.ok(Math.abs(hit.stopLoss - 97.7) < 1e-9);
+  assert.ok(Math.abs(hit.targets.T1 - (100.5 + 2 * 2.8)) < 1e-9);
+  assert.equal(registry.run(def, candles.slice(0, -1), {}, {}), null);
+
+  await registry.configure(def.id, { params: { buffer: 1 } });
+  assert.ok(Math.abs(registry.run(def, candles, {}, {}).stopLoss - 96.8) < 1e-9);
+
+  registry.register({ id: 'taken', kind: 'detector', category: 'trend', direction: 'both', detect: () => null });
+  assert.deepEqual((await book.save({ rule: { ...rule, id: 'taken' } })).errors, ['id taken is already used by builtin']);
+  assert.equal((await book.remove({ id: def.id })).ok, true);
+  assert.equal(registry.get(def.id), null);
+});
+
+test('dry run backtests a rule in R multiples', async () => {
+  const rule = parseRule(RULE).rule;
+  const result = await dryRunRule(rule, bars(dipThenRally));
+  assert.equal(result.ok, true);
+  assert.equal(result.metrics.trades, 1);
+  const [trade] = result.trades;
+  assert.deepEqual([trade.reason, trade.entry, trade.bars, trade.r], ['target', 100.5, 11, 2]);
+  assert.equal(result.metrics.profitFactor, null);
+
+  // A stop-out on the next bar, and open positions close at the end of the day
+  const crash = bars([...dipThenRally.slice(0, 50), 97]);
+  assert.equal((await dryRunRule(rule, crash)).trades[0].reason, 'stop');
+  const fade = bars([...dipThenRally.slice(0, 50), 100.6, 100.7]);
+  assert.deepEqual((await dryRunRule(rule, fade)).trades.map((t) => t.reason), ['eod']);
+  assert.deepEqual((await dryRunRule({ ...rule, direction: 'Sideways' }, fade)).errors, ['direction must be Long or Short']);
+});
+
+test('dry run holding period falls back to the default for null', async () => {
+  const rule = parseRule(RULE).rule;
+  const drift = bars([...dipThenRally.slice(0, 50), ...Array(80).fill(100.6)]);
+  const held = (await dryRunRule(rule, drift, { maxHoldBars: null, chunkBars: 16 })).trades;
+  assert.deepEqual(held.map((t) => [t.reason, t.bars]), [['time', 60]]);
+  const short = (await dryRunRule(rule, drift, { maxHoldBars: 5 })).trades;
+  assert.deepEqual(short[0].bars, 5);
+});
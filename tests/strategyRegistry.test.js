@@ -0,0 +1,143 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+process.env.NODE_ENV = 'test';
+
+test.mock.module('../db.js', {
+  defaultExport: { collection: () => ({}) },
+  namedExports: { connectDB: async () => ({}) },
+});
+
+const { createStrategyRegistry, strategyRegistry, strategyIdFromName } = await import(
+  '../strategyRegistry.js'
+);
+const { evaluateStrategies } = await import('../strategies.js');
+await import('../strategyEngine.js');
+
+const always = (name) => () => ({ name, confidence: 0.6 });
+
+test('metadata validation and enablement precedence', async () => {
+  const registry = createStrategyRegistry();
+  assert.equal(strategyIdFromName('detectVWReversalZone'), 'vw-reversal-zone');
+  assert.equal(strategyIdFromName('strategyEMAReversal'), 'ema-reversal');
+
+  const bad = registry.register({ id: 'Bad Id', kind: 'detector', category: 'magic', direction: 'up' });
+  assert.equal(bad.ok, false);
+  assert.equal(bad.errors.length, 4);
+  const def = { id: 'orb', kind: 'detector', category: 'breakout', direction: 'both', detect: always('ORB') };
+  assert.equal(registry.register(def).ok, true);
+  assert.deepEqual(registry.register(def).errors, ['duplicate id orb']);
+
+  const writes = [];
+  const database = {
+    collection: () => ({
+      updateOne: async (filter, { $set }) => writes.push({ filter, $set }),
+      find: () => ({ toArray: async () => writes.map((w) => w.$set) }),
+    }),
+  };
+  await registry.configure('orb', { enabled: false }, { database });
+  await registry.configure('orb', { enabled: true, symbol: 'NSE:INFY' }, { database });
+  assert.equal(registry.isEnabled('orb'), false);
+  assert.equal(registry.isEnabled('orb', 'INFY'), true);
+  assert.deepEqual(registry.active('detector', { symbol: 'TCS' }), []);
+  assert.equal(writes.at(-1).$set.symbols.INFY, true);
+  assert.deepEqual((await registry.configure('nope', { enabled: true })).errors, ['unknown strategy nope']);
+  assert.deepEqual((await registry.configure('orb', { enabled: 'yes' })).errors, [
+    'enabled must be true, false or null',
+  ]);
+
+  // Settings survive a restart
+  const restored = createStrategyRegistry();
+  restored.register(def);
+  await restored.load({ database });
+  assert.equal(restored.isEnabled('orb', 'TCS'), false);
+  assert.equal(restored.isEnabled('orb', 'INFY'), true);
+});
+
+test('loads plugins from a directory', async () => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'strategy-plugins-'));
+  try {
+    await fs.writeFile(
+      path.join(dir, 'a.js'),
+      `export default [
+        { id: 'plugin-one', category: 'momentum', direction: 'Long', params: { len: 5 },
+          detect: (candles, ctx, cfg) => ({ name: 'Plugin One', len: cfg.len }) },
+        { id: 'broken', category: 'momentum', direction: 'Long' },
+      ];`
+    );
+    await fs.writeFile(path.join(dir, 'b.mjs'), 'export const nothing = 1;');
+    await fs.writeFile(path.join(dir, 'notes.txt'), 'ignored');
+    const registry = createStrategyRegistry();
+    registry.register({ id: 'orb', kind: 'detector', category: 'breakout', direction: 'both', detect: always('ORB') });
+    await fs.writeFile(
+      path.join(dir, 'c.js'),
+      "export default { id: 'orb', category: 'breakout', direction: 'both', detect: () => null };"
+    );
+
+    const { loaded, errors } = await registry.loadPlugins(dir);
+    assert.deepEqual(loaded, ['plugin-one']);
+    assert.deepEqual(errors, [
+      'a.js: detect must be a function',
+      'b.mjs: no default export',
+      'c.js: id orb is already a builtin',
+    ]);
+    const plugin = registry.get('plugin-one');
+    assert.equal(plugin.source, 'plugin:a.js');
+    assert.equal(registry.run(plugin, [], {}, { len: 1 }).len, 5, 'declared params win over cfg');
+    const [listed] = registry.list({ kind: 'detector' }).filter((s) => s.id === 'plugin-one');
+    assert.deepEqual([listed.stats.evaluated, listed.stats.fired, listed.stats.signalNames], [1, 1, ['Plugin One']]);
+    assert.deepEqual(await registry.loadPlugins(path.join(dir, 'missing')), { loaded: [], errors: [] });
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+});
+
+test('evaluateStrategies iterates the enabled registry entries', async () => {
+  const builtins = strategyRegistry.list();
+  assert.ok(builtins.length >= 100);
+  assert.ok(builtins.some((s) => s.id === 'ema-crossover' && s.kind === 'detector'));
+  assert.ok(builtins.some((s) => s.id === 'supertrend' && s.kind === 'strategy'));
+
+  strategyRegistry.register({
+    id: 'test-always',
+    kind: 'detector',
+    category: 'momentum',
+    direction: 'Long',
+    detect: always('Always Fires'),
+  });
+  // Flat 10:00-10:29 IST candles so no built-in detector fires
+  const t0 = Date.parse('2024-06-03T10:00:00+05:30');
+  const candles = Array.from({ length: 30 }, (_, i) => ({
+    timestamp: t0 + i * 60000,
+    open: 100,
+    high: 100.5,
+    low: 99.5,
+    close: 100,
+    volume: 1000,
+  }));
+  const names = (symbol) => evaluateStrategies(candles, { symbol }, { topN: 0 }).map((r) => r.name);
+
+  assert.ok(names('INFY').includes('Always Fires'));
+  await strategyRegistry.configure('test-always', { enabled: false, symbol: 'INFY' });
+  assert.ok(!names('INFY').includes('Always Fires'));
+  assert.ok(names('TCS').includes('Always Fires'));
+  const [hit] = evaluateStrategies(candles, { symbol: 'TCS' }, { topN: 0 }).filter((r) => r.name === 'Always Fires');
+  assert.equal(hit.strategyId, 'test-always');
+
+  // Detectors that declare regimes only run in those market regimes
+  strategyRegistry.register({
+    id: 'test-trending-only',
+    kind: 'detector',
+    category: 'trend',
+    direction: 'Long',
+    regimes: ['trending'],
+    detect: always('Trending Only'),
+  });
+  const inRegime = (regime) =>
+    evaluateStrategies(candles, { symbol: 'TCS', regime }, { topN: 0 }).map((r) => r.name);
+  assert.ok(inRegime('trending').includes('Trending Only'));
+  assert.ok(!inRegime('choppy').includes('Trending Only'));
+  assert.ok(inRegime('neutral').includes('Trending Only'), 'unknown regimes do not filter');
+});
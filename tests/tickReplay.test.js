@@ -0,0 +1,269 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import {
+  createTickReplay,
+  loadTicksFromJsonl,
+  normalizeReplayTick,
+} from '../src/backtest/tickReplay.js';
+
+const T0 = Date.UTC(2024, 0, 2, 3, 45); // 09:15 IST
+
+function ev(offsetMs, token = 1, price = 100) {
+  return normalizeReplayTick({
+    instrument_token: token,
+    last_price: price,
+    exchange_timestamp: new Date(T0 + offsetMs).toISOString(),
+  });
+}
+
+test('normalizeReplayTick maps stored docs onto Kite ticks', () => {
+  const e = normalizeReplayTick({ _id: 'x', token: 256265, last_price: 1, timestamp: T0 });
+  assert.equal(e.ts, T0);
+  assert.equal(e.tick.instrument_token, 256265);
+  assert.equal(e.tick._id, undefined);
+  assert.ok(e.tick.timestamp instanceof Date);
+  assert.equal(normalizeReplayTick({ last_price: 1, timestamp: T0 }), null);
+});
+
+test('loadTicksFromJsonl filters and sorts rows', async () => {
+  const file = path.join(os.tmpdir(), `replay-${process.pid}.jsonl`);
+  const rows = [
+    { instrument_token: 2, last_price: 10, exchange_timestamp: T0 + 2000 },
+    { instrument_token: 1, last_price: 11, exchange_timestamp: T0 + 1000 },
+    'not json',
+    { instrument_token: 1, last_price: 12, exchange_timestamp: T0 + 3000 },
+  ];
+  fs.writeFileSync(
+    file,
+    rows.map((r) => (typeof r === 'string' ? r : JSON.stringify(r))).join('\n')
+  );
+  try {
+    const all = await loadTicksFromJsonl(file);
+    assert.deepEqual(all.map((e) => e.ts), [T0 + 1000, T0 + 2000, T0 + 3000]);
+    const only1 = await loadTicksFromJsonl(file, { tokens: [1], to: T0 + 2500 });
+    assert.equal(only1.length, 1);
+    assert.equal(only1[0].tick.last_price, 11);
+  } finally {
+    fs.unlinkSync(file);
+  }
+});
+
+test('replay batches ticks, advances clock and runs timers on sim time', async () => {
+  const events = [ev(0, 1), ev(0, 2), ev(30_000), ev(65_000), ev(130_000)];
+  const batches = [];
+  const timerRuns = [];
+  const replay = createTickReplay({
+    events,
+    speed: 0,
+    onTicks: (ticks, ts) => batches.push({ n: ticks.length, ts, clock: replay.clock.now() }),
+    timers: [{ everyMs: 60_000, run: (at) => timerRuns.push(at) }],
+  });
+  const status = await replay.start();
+  assert.equal(status.state, 'finished');
+  assert.equal(status.emitted, 5);
+  assert.deepEqual(batches.map((b) => b.n), [2, 1, 1, 1]);
+  assert.ok(batches.every((b) => b.clock === b.ts));
+  // Boundaries at +60s, +120s and one trailing run past the last tick.
+  assert.deepEqual(timerRuns, [T0 + 60_000, T0 + 120_000, T0 + 180_000]);
+});
+
+test('seek skips ahead without firing skipped timers', async () => {
+  const events = Array.from({ length: 10 }, (_, i) => ev(i * 60_000));
+  const seen = [];
+  const timerRuns = [];
+  const replay = createTickReplay({
+    events,
+    speed: 0,
+    onTicks: (ticks, ts) => {
+      seen.push(ts);
+      if (seen.length === 1) replay.seek(T0 + 7 * 60_000);
+    },
+    timers: [{ everyMs: 60_000, run: (at) => timerRuns.push(at) }],
+  });
+  await replay.start();
+  assert.deepEqual(seen, [T0, T0 + 7 * 60_000, T0 + 8 * 60_000, T0 + 9 * 60_000]);
+  assert.ok(timerRuns.every((at) => at > T0 + 7 * 60_000));
+});
+
+test('pause holds playback until resume and stop ends early', async () => {
+  const events = [ev(0), ev(1000), ev(2000), ev(3000)];
+  const seen = [];
+  const replay = createTickReplay({
+    events,
+    speed: 0,
+    onTicks: (ticks, ts) => {
+      seen.push(ts);
+      if (seen.length === 2) replay.pause();
+    },
+  });
+  const done = replay.start();
+  await new Promise((r) => setImmediate(r));
+  assert.equal(replay.status().state, 'paused');
+  assert.equal(seen.length, 2);
+  replay.resume();
+  await new Promise((r) => setImmediate(r));
+  const final = await replay.stop();
+  assert.ok(['stopped', 'finished'].includes(final.state));
+  assert.equal((await done).state, final.state);
+
+  const slow = createTickReplay({ events, speed: 1, maxIdleMs: 10_000, onTicks: () => {} });
+  const slowDone = slow.start();
+  await new Promise((r) => setTimeout(r, 20));
+  const stopped = await slow.stop();
+  assert.equal(stopped.state, 'stopped');
+  assert.ok(stopped.emitted < events.length);
+  await slowDone;
+});
+
+// Just enough of a Mongo Db for kite.js: equality filters only, operator
+// queries match everything.
+function memoryDb() {
+  const store = new Map();
+  const rows = (name) => {
+    if (!store.has(name)) store.set(name, []);
+    return store.get(name);
+  };
+  const matches = (doc, filter = {}) =>
+    Object.entries(filter).every(([k, v]) => typeof v === 'object' || doc[k] === v);
+  const cursor = (docs) => {
+    const c = {
+      sort: () => c,
+      limit: (n) => cursor(docs.slice(0, n)),
+      project: () => c,
+      batchSize: () => c,
+      toArray: async () => docs,
+      hasNext: async () => false,
+    };
+    return c;
+  };
+  let nextId = 1;
+  const collection = (name) => ({
+    find: (filter) => cursor(rows(name).filter((d) => matches(d, filter))),
+    findOne: async (filter) => rows(name).find((d) => matches(d, filter)) ?? null,
+    countDocuments: async () => rows(name).length,
+    insertOne: async (doc) => {
+      rows(name).push({ _id: nextId++, ...doc });
+      return { acknowledged: true, insertedId: nextId - 1 };
+    },
+    insertMany: async (docs) => docs.forEach((d) => rows(name).push({ _id: nextId++, ...d })),
+    updateOne: async () => ({}),
+    bulkWrite: async (ops) => {
+      for (const { updateOne } of ops) rows(name).push({ _id: nextId++, ...updateOne.update.$set });
+    },
+    deleteOne: async ({ _id }) => store.set(name, rows(name).filter((d) => d._id !== _id)),
+    deleteMany: async () => store.set(name, []),
+    createIndex: async () => {},
+    aggregate: () => cursor([]),
+  });
+  return { store, rows, collection, createCollection: async () => {}, collections: async () => [] };
+}
+
+test('a tick replay never reaches execution, account dispatch or live signals', async () => {
+  process.env.NODE_ENV = 'test';
+  process.env.AUTO_EXECUTE_WINDOW_MS = '0';
+  const fakeDb = memoryDb();
+  const calls = { execution: 0, dispatch: 0, telegram: 0 };
+  const T = Date.UTC(2024, 0, 2, 4, 0); // 09:30 IST
+  test.mock.module('../db.js', {
+    defaultExport: fakeDb,
+    namedExports: { connectDB: async () => fakeDb },
+  });
+  test.mock.module('../openAI.js', { namedExports: { fetchAIData: async () => null } });
+  test.mock.module('../account.js', {
+    namedExports: {
+      initAccountBalance: async () => 100000,
+      getAccountBalance: () => 100000,
+      getAccountMargin: async () => null,
+      extractNetBalance: () => 0,
+      applyRealizedPnL: () => {},
+    },
+  });
+  test.mock.module('../telegram.js', {
+    namedExports: {
+      sendSignal: async () => calls.telegram++,
+      sendNotification: async () => {},
+    },
+  });
+  test.mock.module('../accounts.js', {
+    namedExports: { accountManager: { dispatch: async () => (calls.dispatch++, []) } },
+  });
+  const sendToExecution = async () => (calls.execution++, {});
+  test.mock.module('../orderExecution.js', { namedExports: { sendToExecution } });
+  test.mock.module('../autoTrader.js', {
+    namedExports: { evaluateAutoTradeEligibility: () => ({ ok: true }) },
+  });
+  test.mock.module('../scanner.js', {
+    namedExports: {
+      buildEvaluationJob: async () => ({}),
+      analyzeCandles: async (candles, symbol, ...rest) => ({
+        stock: symbol,
+        pattern: 'breakout',
+        direction: 'Long',
+        entry: candles.at(-1).close,
+        stopLoss: candles.at(-1).close - 1,
+        qty: 1,
+        replay: Boolean(rest.at(-1)?.replay),
+      }),
+      rankAndExecute: async (signals) => ({ orders: await sendToExecution(signals[0]) }),
+    },
+  });
+  const { setMapping } = await import('../mapping.js');
+  setMapping(101, 'NSE:TEST');
+  const kite = await import('../kite.js');
+  const file = path.join(os.tmpdir(), `replay-sandbox-${process.pid}.jsonl`);
+  fs.writeFileSync(
+    file,
+    [0, 20_000, 61_000, 125_000]
+      .map((o, i) => JSON.stringify({ instrument_token: 101, last_price: 100 + i, exchange_timestamp: T + o }))
+      .join('\n')
+  );
+  try {
+    await kite.startTickReplay(null, { file, speed: 0 });
+    while (kite.getTickReplay()) await new Promise((r) => setTimeout(r, 5));
+  } finally {
+    fs.unlinkSync(file);
+  }
+  await new Promise((r) => setTimeout(r, 50));
+  assert.deepEqual(calls, { execution: 0, dispatch: 0, telegram: 0 });
+  const replayed = fakeDb.rows('replay_signals');
+  assert.ok(replayed.length >= 1);
+  assert.ok(replayed.every((s) => s.replay));
+  assert.equal(fakeDb.rows('signals').length, 0);
+  assert.equal(fakeDb.rows('session_data').length, 0);
+  assert.equal(fakeDb.rows('aligned_ticks').length, 0);
+});
+
+test('open-trade feeds keep their ticks, unscanned, when the universe is re-synced', async () => {
+  // Reuses the mocks and the kite.js instance from the test above
+  const { setMapping } = await import('../mapping.js');
+  setMapping(202, 'NSE:HELD');
+  const kite = await import('../kite.js');
+  await kite.subscribeTickSymbols(['NSE:HELD'], 'liveExits');
+  // The universe sync replaces the scanned tokens; HELD was never one of them
+  kite.updateInstrumentTokens([101]);
+
+  const T = Date.UTC(2024, 0, 3, 4, 0);
+  const file = path.join(os.tmpdir(), `replay-held-${process.pid}.jsonl`);
+  fs.writeFileSync(
+    file,
+    [0, 20_000, 61_000]
+      .map((o, i) => JSON.stringify({ instrument_token: 202, last_price: 50 + i, exchange_timestamp: T + o }))
+      .join('\n')
+  );
+  try {
+    await kite.startTickReplay(null, { file, speed: 0 });
+    while (kite.getTickReplay()) await new Promise((r) => setTimeout(r, 5));
+  } finally {
+    fs.unlinkSync(file);
+  }
+  assert.equal(kite.tickBuffer['202'], undefined, 'never buffered for scanning');
+  assert.equal(kite.candleHistory['202'], undefined);
+
+  // The feed is dropped only when its last owner lets go
+  await kite.subscribeTickSymbols(['NSE:HELD']);
+  assert.equal(await kite.unsubscribeTickSymbols(['NSE:HELD'], 'liveExits'), 0);
+  assert.equal(await kite.unsubscribeTickSymbols(['NSE:HELD']), 1);
+});
@@ -0,0 +1,103 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  createTimeframeEngine,
+  resampleCandles,
+  normalizeTimeframe,
+} from '../timeframes.js';
+
+const ist = (s) => Date.parse(`${s}+05:30`);
+const MINUTE = 60 * 1000;
+
+// 1m bars from `from` (IST) for `count` minutes; close = minute index
+function minutes(from, count, startIndex = 0) {
+  const t0 = ist(from);
+  return Array.from({ length: count }, (_, i) => {
+    const n = startIndex + i;
+    return { minute: new Date(t0 + i * MINUTE), open: n, high: n + 1, low: n - 1, close: n, volume: 10 };
+  });
+}
+
+test('rolls 1m bars into session-anchored buckets', () => {
+  const engine = createTimeframeEngine({ timeframes: ['15m', '60minute', 'day'] });
+  for (const bar of minutes('2024-06-03T09:15:00', 60)) engine.onMinuteBar(256265, bar);
+
+  const m15 = engine.getBars('256265', '15m');
+  assert.equal(m15.length, 4);
+  assert.ok(m15.every((b) => b.complete));
+  assert.equal(m15[0].timestamp.toISOString(), new Date(ist('2024-06-03T09:15:00')).toISOString());
+  assert.deepEqual(
+    [m15[1].open, m15[1].high, m15[1].low, m15[1].close, m15[1].volume, m15[1].minutes],
+    [15, 30, 14, 29, 150, 15]
+  );
+  // The 10:14 bar completes the 09:15-10:15 hour without waiting for 10:15
+  const h1 = engine.getBars('256265', '60m');
+  assert.equal(h1.length, 1);
+  assert.equal(h1[0].complete, true);
+  const day = engine.getBars('256265', '1d');
+  assert.equal(day.length, 1);
+  assert.equal(day[0].complete, false);
+
+  // Last hour of the day is the short 15:15-15:30 bucket
+  for (const bar of minutes('2024-06-03T15:15:00', 15, 1000)) engine.onMinuteBar(256265, bar);
+  const lastHour = engine.getBars('256265', '60m').at(-1);
+  assert.equal(lastHour.timestamp.getTime(), ist('2024-06-03T15:15:00'));
+  assert.equal(lastHour.minutes, 15);
+  assert.equal(lastHour.complete, true);
+  assert.equal(engine.getBars('256265', '1d').at(-1).complete, true);
+  assert.equal(normalizeTimeframe('2h'), null);
+});
+
+test('replays are idempotent and resampling anchors at the open', () => {
+  const bars = minutes('2024-06-03T09:16:00', 10);
+  const engine = createTimeframeEngine({ timeframes: ['3m'] });
+  engine.seed('1', bars);
+  engine.seed('1', bars);
+  engine.onMinuteBar('1', bars[2]); // late duplicate
+  const out = engine.getBars('1', '3m');
+  assert.deepEqual(
+    out.map((b) => [b.timestamp.getTime(), b.minutes, b.complete]),
+    [
+      [ist('2024-06-03T09:15:00'), 2, true],
+      [ist('2024-06-03T09:18:00'), 3, true],
+      [ist('2024-06-03T09:21:00'), 3, true],
+      [ist('2024-06-03T09:24:00'), 2, false],
+    ]
+  );
+  assert.deepEqual(
+    resampleCandles(bars, '3minute').map((b) => b.volume),
+    [20, 30, 30, 20]
+  );
+});
+
+test('persists closed bars and loads them back', async () => {
+  let stored = [];
+  const database = {
+    collection: () => ({
+      bulkWrite: async (ops) => {
+        stored.push(...ops.map((op) => ({ ...op.updateOne.filter, ...op.updateOne.update.$set })));
+      },
+      find: (query) => ({
+        sort: () => ({
+          toArray: async () => stored.filter((r) => r.timeframe === query.timeframe),
+        }),
+      }),
+    }),
+  };
+  const clock = { now: () => ist('2024-06-03T10:00:00') };
+  const engine = createTimeframeEngine({ timeframes: ['5m', '15m'], clock });
+  engine.seed('7', minutes('2024-06-03T09:15:00', 5)); // seeding does not persist
+  for (const bar of minutes('2024-06-03T09:20:00', 12, 5)) engine.onMinuteBar('7', { ...bar, symbol: 'NSE:INFY' });
+  assert.equal(await engine.persist({ database }), 3); // 09:20, 09:25 (5m) and 09:15 (15m)
+  assert.equal(await engine.persist({ database }), 0);
+
+  const restored = createTimeframeEngine({ timeframes: ['5m', '15m'], clock });
+  assert.equal(await restored.load({ database }), 3);
+  const m5 = restored.getBars('7', '5m');
+  assert.deepEqual(m5.map((b) => b.timestamp.getTime()), [ist('2024-06-03T09:20:00'), ist('2024-06-03T09:25:00')]);
+  // Live bars continue after the loaded ones; the symbol resolves to its token
+  restored.onMinuteBar('7', { ...minutes('2024-06-03T09:30:00', 1, 15)[0], symbol: 'NSE:INFY' });
+  assert.equal(restored.getBars('NSE:INFY', '5m').length, 3);
+  assert.equal(engine.getBars('NSE:INFY', '15m')[0].close, 14);
+});
@@ -2,10 +2,14 @@ import test from 'node:test';
 import assert from 'node:assert/strict';
 process.env.NODE_ENV = 'test';
 
-// Prevent actual DB connections
+// Prevent actual DB connections; order_states writes land in memory
+const stateDocs = new Map();
 const dbMock = test.mock.module('../db.js', {
   defaultExport: {
-    collection: () => ({})
+    collection: () => ({
+      updateOne: async ({ _id }, { $set }) => stateDocs.set(_id, { ...stateDocs.get(_id), ...$set, _id }),
+      findOne: async ({ _id }) => stateDocs.get(_id) ?? null,
+    })
   },
   namedExports: {
     connectDB: async () => ({ collection: () => ({}) })
@@ -16,7 +20,18 @@ const dbMock = test.mock.module('../db.js', {
 const auditMock = test.mock.module('../auditLogger.js', {
   namedExports: {
     logSignalRejected: () => {},
-    logSignalCreated: () => {}
+    logSignalCreated: () => {},
+    logSignalExpired: () => {},
+    logSignalMutation: () => {}
+  }
+});
+
+// account.js pulls in the live Kite session
+const accountMock = test.mock.module('../account.js', {
+  namedExports: {
+    extractNetBalance: () => 0,
+    applyRealizedPnL: () => {},
+    getAccountMargin: async () => null,
   }
 });
 
@@ -29,7 +44,14 @@ const execMock = test.mock.module('../orderExecution.js', {
     sendOrder: async (variety, order) => {
       const id = `id${placed.length + 1}`;
       placed.push({ variety, order, id });
-      orders.push({ order_id: id, status: 'COMPLETE' });
+      // The entry fills half a rupee above its limit
+      const slip = placed.length === 1 ? 0.5 : 0;
+      orders.push({
+        order_id: id,
+        status: 'COMPLETE',
+        filled_quantity: order.quantity,
+        average_price: order.price + slip,
+      });
       return { order_id: id };
     },
     cancelOrder: async (variety, id) => {
@@ -41,24 +63,44 @@ const execMock = test.mock.module('../orderExecution.js', {
 });
 
 const mod = await import('../tradeLifecycle.js');
+const { orderStates } = await import('../orderStateMachine.js');
+const { sendOrder, cancelOrder } = await import('../orderExecution.js');
+orderStates.setBroker({
+  place: (params) => sendOrder('regular', params),
+  cancel: (id) => cancelOrder('regular', id),
+  orders: async () => orders,
+  positions: async () => [],
+});
 
 await mod.executeSignal(
   {
     stock: 'AAA',
     direction: 'Long',
     entry: 100,
-    stopLoss: 95,
-    target2: 110,
+    stopLoss: 98,
+    target2: 105,
+    qty: 10,
   },
   { capital: 100000 }
 );
 
 execMock.restore();
+accountMock.restore();
 dbMock.restore();
 auditMock.restore();
 
 test('executeSignal places entry, sl and target orders', () => {
   assert.equal(placed.length, 3);
+  const exits = placed.slice(1).map((p) => [p.order.transaction_type, p.order.order_type]);
+  assert.deepEqual(exits, [['SELL', 'SL'], ['SELL', 'LIMIT']], 'one stop-loss and one target');
+});
+
+test('executeSignal records the broker fill and the state machine legs', () => {
+  const [trade] = [...stateDocs.values()];
+  assert.equal(trade.state, 'CLOSED');
+  assert.equal(trade.entryPrice, 100.5);
+  assert.equal(trade.filledQty, placed[0].order.quantity);
+  assert.deepEqual([trade.entryId, trade.slId, trade.targetId], ['id1', 'id2', 'id3']);
 });
 
 test('executeSignal cancels opposite order after fill', () => {
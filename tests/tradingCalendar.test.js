@@ -0,0 +1,103 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  createTradingCalendar,
+  validateCalendarEntry,
+  DEFAULT_CALENDAR_FILE,
+} from '../tradingCalendar.js';
+import { createLiveFeedMonitor } from '../liveFeedMonitor.js';
+import { createBacktestClock } from '../src/backtest/clock.js';
+
+const ist = (s) => Date.parse(`${s}+05:30`);
+
+test('holidays and weekends are skipped, special sessions count', async () => {
+  const calendar = createTradingCalendar();
+  await calendar.load({ file: DEFAULT_CALENDAR_FILE });
+
+  // Holi on Monday 2024-03-25, Good Friday 2024-03-29
+  assert.deepEqual(calendar.pastTradingDates('2024-04-01', 5), [
+    '2024-03-21',
+    '2024-03-22',
+    '2024-03-26',
+    '2024-03-27',
+    '2024-03-28',
+  ]);
+  assert.equal(calendar.isTradingDay('2024-03-25'), false);
+  assert.equal(calendar.getDay('2024-03-25').holiday, 'Holi');
+  assert.equal(calendar.isMarketOpen(ist('2024-03-25T10:00:00')), false);
+
+  // Saturday special session
+  assert.equal(calendar.isTradingDay('2024-01-20'), true);
+  assert.equal(calendar.isMarketOpen(ist('2024-01-20T10:00:00')), true);
+  assert.equal(calendar.isMarketOpen(ist('2024-01-27T10:00:00')), false);
+
+  // Split special session: open in both windows, closed in the gap
+  assert.equal(calendar.isMarketOpen(ist('2024-03-02T09:30:00')), true);
+  assert.equal(calendar.isMarketOpen(ist('2024-03-02T11:00:00')), false);
+  assert.equal(calendar.isMarketOpen(ist('2024-03-02T12:00:00')), true);
+  assert.equal(calendar.nextSessionStart(ist('2024-03-02T10:30:00')), ist('2024-03-02T11:30:00'));
+});
+
+test('muhurat session opens on a holiday evening with its own pre-open', () => {
+  const calendar = createTradingCalendar({
+    entries: [
+      { date: '2024-11-01', type: 'holiday', description: 'Diwali' },
+      {
+        date: '2024-11-01',
+        type: 'muhurat',
+        open: '18:00',
+        close: '19:00',
+        preOpen: { open: '17:45', close: '17:53' },
+      },
+    ],
+  });
+  assert.equal(calendar.isTradingDay('2024-11-01'), true);
+  assert.equal(calendar.isMarketOpen(ist('2024-11-01T10:00:00')), false);
+  assert.equal(calendar.isMarketOpen(ist('2024-11-01T17:50:00')), false);
+  assert.equal(calendar.isMarketOpen(ist('2024-11-01T17:50:00'), { includePreOpen: true }), true);
+  assert.equal(calendar.currentSession(ist('2024-11-01T18:30:00')).kind, 'muhurat');
+
+  // Regular days keep the 09:00–09:08 pre-open
+  assert.equal(calendar.isPreOpen(ist('2024-11-04T09:05:00')), true);
+  assert.equal(calendar.isMarketOpen(ist('2024-11-04T09:05:00')), false);
+});
+
+test('expiry is clamped to the session close', () => {
+  const calendar = createTradingCalendar({
+    clock: createBacktestClock(ist('2024-11-01T18:50:00')),
+    entries: [
+      { date: '2024-11-01', type: 'holiday' },
+      { date: '2024-11-01', type: 'muhurat', open: '18:00', close: '19:00' },
+    ],
+  });
+  const in30 = ist('2024-11-01T19:20:00');
+  assert.equal(calendar.clampToSessionEnd(in30), ist('2024-11-01T19:00:00'));
+  assert.equal(
+    calendar.clampToSessionEnd(ist('2024-11-04T10:30:00'), ist('2024-11-04T10:00:00')),
+    ist('2024-11-04T10:30:00')
+  );
+});
+
+test('entry validation', () => {
+  assert.deepEqual(validateCalendarEntry({ date: '2025-03-14', type: 'holiday' }), []);
+  assert.deepEqual(validateCalendarEntry({ date: '2025-02-01', type: 'session', open: '09:15', close: '15:30' }), []);
+  assert.equal(validateCalendarEntry({ date: '14-03-2025', type: 'holiday' }).length, 1);
+  assert.match(validateCalendarEntry({ date: '2025-03-14', type: 'closed' })[0], /type must be/);
+  assert.equal(validateCalendarEntry({ date: '2025-02-01', type: 'session', open: '15:30', close: '09:15' }).length, 1);
+});
+
+test('live feed monitor stands by on holidays when given the calendar', () => {
+  const logs = [];
+  const calendar = {
+    isMarketOpen: () => false,
+    getDay: () => ({ holiday: 'Holi' }),
+  };
+  const monitor = createLiveFeedMonitor({
+    calendar,
+    isLiveFeedRunning: () => false,
+    startLiveFeed: () => assert.fail('feed should not start'),
+    logger: { log: (msg) => logs.push(msg) },
+  });
+  monitor.evaluate({});
+  assert.ok(logs.some((msg) => msg.includes('Market closed (Holi)')));
+});
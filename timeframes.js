@@ -0,0 +1,320 @@
+// timeframes.js
+// Higher-timeframe candles rolled up incrementally from the aligner's 1m
+// bars. Intraday buckets are anchored to the session open (09:15 IST, or
+// the special-session start from the trading calendar), so 15m bars are
+// 09:15-09:30, 09:30-09:45, ... and the last 60m bar is the short
+// 15:15-15:30 one. Closed bars are cached per token and persisted to
+// `timeframe_candles` so strategies never need the Kite historical API
+// during market hours.
+import { canonSymbol, canonToken } from './canon.js';
+import { tradingCalendar, istDate } from './tradingCalendar.js';
+import { ensureClock } from './src/backtest/clock.js';
+
+export const TIMEFRAME_COLLECTION = 'timeframe_candles';
+
+// minutes per bar; '1d' covers every session of the trading date
+export const TIMEFRAMES = Object.freeze({
+  '3m': 3,
+  '5m': 5,
+  '15m': 15,
+  '30m': 30,
+  '60m': 60,
+  '1d': null,
+});
+
+// Kite historical-API interval names
+const ALIASES = {
+  '3minute': '3m',
+  '5minute': '5m',
+  '15minute': '15m',
+  '30minute': '30m',
+  '60minute': '60m',
+  '1h': '60m',
+  day: '1d',
+};
+
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+const SESSION_MINUTES = 375;
+
+/** '15minute' / '15m' -> '15m'; null when unsupported. */
+export function normalizeTimeframe(tf) {
+  const key = String(tf || '').trim().toLowerCase();
+  const name = ALIASES[key] || key;
+  return Object.hasOwn(TIMEFRAMES, name) ? name : null;
+}
+
+function barTime(c) {
+  const t = c?.minute ?? c?.timestamp ?? c?.date ?? c?.ts;
+  const ms = t instanceof Date ? t.getTime() : typeof t === 'number' ? t : Date.parse(t);
+  return Number.isFinite(ms) ? ms : null;
+}
+
+/**
+ * @param {Object} [calendar] - tradingCalendar-like ({ getDay })
+ * @returns {(ms:number, tf:string) => {start:number, end:number}}
+ */
+export function createBucketer(calendar = tradingCalendar) {
+  const sessionsByDate = new Map();
+
+  function sessionsOn(date) {
+    if (!sessionsByDate.has(date)) {
+      if (sessionsByDate.size > 64) sessionsByDate.clear();
+      const sessions = calendar.getDay(date)?.sessions || [];
+      sessionsByDate.set(
+        date,
+        sessions.length
+          ? sessions.map((s) => ({ start: s.start, end: s.end }))
+          : [{ start: Date.parse(`${date}T09:15:00+05:30`), end: Date.parse(`${date}T15:30:00+05:30`) }]
+      );
+    }
+    return sessionsByDate.get(date);
+  }
+
+  return function bucketFor(ms, tf) {
+    const date = istDate(ms);
+    const sessions = sessionsOn(date);
+    if (tf === '1d') {
+      return { start: Date.parse(`${date}T00:00:00+05:30`), end: sessions[sessions.length - 1].end };
+    }
+    const session = sessions.findLast((s) => ms >= s.start) || sessions[0];
+    const size = TIMEFRAMES[tf] * MINUTE_MS;
+    // Bars stamped before the open (pre-open auction) or at/after the close
+    // fold into the first/last bucket of the session
+    const offset = Math.min(Math.max(0, ms - session.start), session.end - session.start - MINUTE_MS);
+    const start = session.start + Math.floor(offset / size) * size;
+    return { start, end: Math.min(start + size, session.end) };
+  };
+}
+
+/**
+ * Build one timeframe from 1m candles (oldest first) in a single pass.
+ * @returns {Object[]} bars; the last one has complete:false if its bucket is still open
+ */
+export function resampleCandles(candles = [], timeframe, { calendar } = {}) {
+  const tf = normalizeTimeframe(timeframe);
+  if (!tf) return [];
+  const engine = createTimeframeEngine({ timeframes: [tf], calendar });
+  for (const c of candles) engine.onMinuteBar('0', c, { persist: false });
+  return engine.getBars('0', tf);
+}
+
+/**
+ * @param {Object} [options]
+ * @param {string[]} [options.timeframes] - defaults to every key of TIMEFRAMES
+ * @param {number} [options.maxBars=500] - closed bars kept per token and timeframe
+ * @param {Object} [options.calendar]
+ * @param {Object} [options.clock]
+ */
+export function createTimeframeEngine(options = {}) {
+  const clock = ensureClock(options.clock);
+  const bucketFor = createBucketer(options.calendar || tradingCalendar);
+  const timeframes = (options.timeframes || Object.keys(TIMEFRAMES)).map(normalizeTimeframe).filter(Boolean);
+  const maxBars = options.maxBars ?? 500;
+
+  const series = new Map(); // `${token}|${tf}` -> { bars, partial }
+  const tokensBySymbol = new Map();
+  const listeners = new Set();
+  let pending = []; // closed bars not yet persisted
+
+  function seriesFor(token, tf) {
+    const key = `${token}|${tf}`;
+    if (!series.has(key)) series.set(key, { bars: [], partial: null });
+    return series.get(key);
+  }
+
+  function resolve(tokenOrSymbol) {
+    const raw = String(tokenOrSymbol ?? '');
+    if (/^\d+$/.test(raw)) return canonToken(raw);
+    return tokensBySymbol.get(canonSymbol(raw)) || canonToken(raw);
+  }
+
+  function closeBar(token, tf, s, persist) {
+    const { lastMinute, ...bar } = s.partial;
+    s.partial = null;
+    const done = { ...bar, complete: true };
+    s.bars.push(done);
+    if (s.bars.length > maxBars) s.bars.splice(0, s.bars.length - maxBars);
+    if (persist) pending.push({ token, timeframe: tf, ...done });
+    for (const fn of listeners) {
+      try {
+        fn({ token, timeframe: tf, bar: done });
+      } catch (err) {
+        console.error('[timeframes] listener failed:', err.message);
+      }
+    }
+  }
+
+  /**
+   * Fold one finalized 1m bar into every timeframe. Bars for a bucket that
+   * has already closed, or minutes already seen, are ignored, so replays and
+   * re-seeding are idempotent.
+   */
+  function onMinuteBar(token, candle, { persist = true } = {}) {
+    const ms = barTime(candle);
+    const tokenStr = canonToken(token);
+    if (ms === null || !tokenStr || !Number.isFinite(Number(candle.close))) return;
+    if (candle.symbol) tokensBySymbol.set(canonSymbol(candle.symbol), tokenStr);
+    const open = Number(candle.open ?? candle.close);
+    const high = Number(candle.high ?? candle.close);
+    const low = Number(candle.low ?? candle.close);
+    const close = Number(candle.close);
+    const volume = Number(candle.volume) || 0;
+
+    for (const tf of timeframes) {
+      const s = seriesFor(tokenStr, tf);
+      const { start, end } = bucketFor(ms, tf);
+      const lastClosed = s.bars[s.bars.length - 1];
+      if (lastClosed && start <= lastClosed.start) continue;
+      if (s.partial && s.partial.start !== start) {
+        if (start < s.partial.start) continue;
+        closeBar(tokenStr, tf, s, persist);
+      }
+      if (!s.partial) {
+        s.partial = {
+          start,
+          end,
+          timestamp: new Date(start),
+          open,
+          high,
+          low,
+          close,
+          volume,
+          minutes: 1,
+          lastMinute: ms,
+        };
+      } else {
+        if (ms <= s.partial.lastMinute) continue;
+        s.partial.high = Math.max(s.partial.high, high);
+        s.partial.low = Math.min(s.partial.low, low);
+        s.partial.close = close;
+        s.partial.volume += volume;
+        s.partial.minutes += 1;
+        s.partial.lastMinute = ms;
+      }
+      if (ms + MINUTE_MS >= end) closeBar(tokenStr, tf, s, persist);
+    }
+  }
+
+  function getBars(tokenOrSymbol, timeframe, { limit, includePartial = true } = {}) {
+    const tf = normalizeTimeframe(timeframe);
+    const s = tf && series.get(`${resolve(tokenOrSymbol)}|${tf}`);
+    if (!s) return [];
+    const out = s.bars.slice();
+    if (includePartial && s.partial) {
+      const { lastMinute, ...bar } = s.partial;
+      out.push({ ...bar, complete: false });
+    }
+    return limit ? out.slice(-limit) : out;
+  }
+
+  return {
+    timeframes: () => [...timeframes],
+    onMinuteBar,
+    /** Replay 1m history (oldest first) for a token without persisting it. */
+    seed(token, candles = []) {
+      for (const c of candles) onMinuteBar(token, c, { persist: false });
+    },
+    /** Close every open bucket whose end has passed, e.g. at the close. */
+    flush(at = clock.now()) {
+      for (const [key, s] of series) {
+        if (s.partial && s.partial.end <= at) {
+          const [token, tf] = key.split('|');
+          closeBar(token, tf, s, true);
+        }
+      }
+    },
+    /**
+     * @param {string|number} tokenOrSymbol
+     * @param {string} timeframe
+     * @param {Object} [opts]
+     * @param {number} [opts.limit]
+     * @param {boolean} [opts.includePartial=true] - append the forming bar (complete:false)
+     */
+    getBars,
+    /** { '5m': bars, '15m': bars, ... } for a token; timeframes without bars are omitted. */
+    snapshot(tokenOrSymbol, list = timeframes, opts) {
+      const out = {};
+      for (const tf of list) {
+        const bars = getBars(tokenOrSymbol, tf, opts);
+        if (bars.length) out[normalizeTimeframe(tf)] = bars;
+      }
+      return out;
+    },
+    onBar(fn) {
+      listeners.add(fn);
+      return () => listeners.delete(fn);
+    },
+    /** Write closed bars to Mongo; failed batches are retried on the next call. */
+    async persist({ database }) {
+      if (!pending.length) return 0;
+      const batch = pending;
+      pending = [];
+      try {
+        await database.collection(TIMEFRAME_COLLECTION).bulkWrite(
+          batch.map(({ token, timeframe, start, end, timestamp, ...bar }) => ({
+            updateOne: {
+              filter: { token: Number(token), timeframe, start: new Date(start) },
+              update: {
+                $set: { ...bar, end: new Date(end), timestamp, updatedAt: new Date() },
+              },
+              upsert: true,
+            },
+          })),
+          { ordered: false }
+        );
+      } catch (err) {
+        pending = batch.concat(pending).slice(-maxBars * timeframes.length * 50);
+        throw err;
+      }
+      return batch.length;
+    },
+    /**
+     * Load recent persisted bars into the cache (enough calendar days to
+     * cover `maxBars` per timeframe).
+     * @returns {Promise<number>} bars loaded
+     */
+    async load({ database, tokens } = {}) {
+      let loaded = 0;
+      for (const tf of timeframes) {
+        const perDay = tf === '1d' ? 1 : SESSION_MINUTES / TIMEFRAMES[tf];
+        const days = Math.ceil((maxBars / perDay) * 1.5) + 4;
+        const query = { timeframe: tf, start: { $gte: new Date(clock.now() - days * DAY_MS) } };
+        if (tokens?.length) query.token = { $in: tokens.map(Number) };
+        const rows = await database
+          .collection(TIMEFRAME_COLLECTION)
+          .find(query, { projection: { _id: 0, updatedAt: 0 } })
+          .sort({ start: 1 })
+          .toArray();
+        for (const row of rows) {
+          const s = seriesFor(canonToken(row.token), tf);
+          const start = new Date(row.start).getTime();
+          const last = s.bars[s.bars.length - 1];
+          if (last && start <= last.start) continue;
+          s.bars.push({
+            start,
+            end: new Date(row.end).getTime(),
+            timestamp: new Date(start),
+            open: row.open,
+            high: row.high,
+            low: row.low,
+            close: row.close,
+            volume: row.volume,
+            minutes: row.minutes,
+            complete: true,
+          });
+          if (s.bars.length > maxBars) s.bars.shift();
+          loaded += 1;
+        }
+      }
+      return loaded;
+    },
+    reset() {
+      series.clear();
+      tokensBySymbol.clear();
+      pending = [];
+    },
+  };
+}
+
+export const timeframeEngine = createTimeframeEngine();
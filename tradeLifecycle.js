@@ -8,6 +8,7 @@ import {
   resolveSignalConflicts,
   openPositions,
 } from './portfolioContext.js';
+import { orderStates } from './orderStateMachine.js';
 import { ensureClock } from './src/backtest/clock.js';
 
 let activeClock = ensureClock();
@@ -29,14 +30,15 @@ export function resetTradeLifecycleClock() {
  * @param {string} orderId
  * @param {number} [timeout=30000]
  * @param {number} [interval=1000]
- * @returns {Promise<boolean>} fill status
+ * @returns {Promise<Object|false>} the filled order (average_price,
+ *   filled_quantity), or false
  */
 export async function waitForOrderFill(orderId, timeout = 30000, interval = 1000) {
   const start = nowMs();
   while (nowMs() - start < timeout) {
     const orders = await getAllOrders();
     const ord = orders.find((o) => o.order_id === orderId);
-    if (ord && ord.status === 'COMPLETE') return true;
+    if (ord && ord.status === 'COMPLETE') return ord;
     if (ord && ['CANCELLED', 'REJECTED'].includes(ord.status)) return false;
     await new Promise((r) => setTimeout(r, interval));
   }
@@ -69,7 +71,8 @@ export async function monitorBracketOrders(slId, targetId, interval = 1000) {
 
 /**
  * Execute a trading signal with risk and exposure checks.
- * Places entry order, waits for fill, then places SL and target orders.
+ * Places the entry order and waits for its fill; the SL and target legs are
+ * placed by the order state machine, as for placeOrder.
  * @param {Object} signal
  * @param {Object} opts
  * @param {number} [opts.capital]
@@ -141,6 +144,25 @@ export async function executeSignal(signal, opts = {}) {
     });
   if (!allowed) return null;
 
+  const meta = {
+    strategy: signal.pattern || signal.strategy,
+    signalId: signal.signalId || signal.algoSignal?.signalId,
+    confidence: signal.confidence ?? signal.confidenceScore,
+  };
+  const target = signal.target2 || signal.target;
+  // Persisted before the entry goes out; see orderStateMachine.js
+  const opened = await orderStates.open({
+    symbol,
+    side: signal.direction === 'Long' ? 'BUY' : 'SELL',
+    qty,
+    entry: signal.entry,
+    stopLoss: signal.stopLoss,
+    target,
+    meta,
+  });
+  if (!opened.ok) return null;
+  const tradeId = opened.trade._id;
+
   const entryOrder = await sendOrder('regular', {
     exchange: 'NSE',
     tradingsymbol: symbol,
@@ -149,52 +171,36 @@ export async function executeSignal(signal, opts = {}) {
     order_type: 'LIMIT',
     price: signal.entry,
     product: 'MIS',
-    meta: {
-      strategy: signal.pattern || signal.strategy,
-      signalId: signal.signalId || signal.algoSignal?.signalId,
-      confidence: signal.confidence ?? signal.confidenceScore,
-    },
+    meta,
   });
-  if (!entryOrder) return null;
+  if (!entryOrder) {
+    await orderStates.transition(tradeId, 'CLOSED', { exitReason: 'entry not placed' }, 'entry not placed');
+    return null;
+  }
+  // An update that beats this is matched to the trade by its tag
+  await orderStates.update(tradeId, { entryId: entryOrder.order_id });
+  // An unfilled entry stays PENDING_ENTRY for the order update listener
   const filled = await waitForOrderFill(entryOrder.order_id);
   if (!filled) return null;
   recordTradeExecution({ symbol, sector: signal.sector });
-
-  const exitType = signal.direction === 'Long' ? 'SELL' : 'BUY';
-  const slOrder = await sendOrder('regular', {
-    exchange: 'NSE',
-    tradingsymbol: symbol,
-    transaction_type: exitType,
-    quantity: qty,
-    order_type: 'SL',
-    price: signal.stopLoss,
-    trigger_price: signal.stopLoss,
-    product: 'MIS',
-    meta: {
-      strategy: signal.pattern || signal.strategy,
-      signalId: signal.signalId || signal.algoSignal?.signalId,
-      confidence: signal.confidence ?? signal.confidenceScore,
-    },
+  // The order update listener may already have filled and protected the
+  // trade; then both calls are no-ops.
+  await orderStates.fill(tradeId, {
+    qty: filled.filled_quantity,
+    price: filled.average_price,
   });
-  const targetOrder = await sendOrder('regular', {
-    exchange: 'NSE',
-    tradingsymbol: symbol,
-    transaction_type: exitType,
-    quantity: qty,
-    order_type: 'LIMIT',
-    price: signal.target2 || signal.target,
-    product: 'MIS',
-    meta: {
-      strategy: signal.pattern || signal.strategy,
-      signalId: signal.signalId || signal.algoSignal?.signalId,
-      confidence: signal.confidence ?? signal.confidenceScore,
-    },
+  // protect() places the SL and target legs, or retries a failed stop-loss and alerts
+  const { trade } = await orderStates.protect(tradeId);
+  if (!trade?.slId || !trade?.targetId) return null;
+  const { slId, targetId } = trade;
+  const leg = await monitorBracketOrders(slId, targetId);
+  await orderStates.exitFilled(tradeId, {
+    orderId: leg === 'TARGET' ? targetId : slId,
+    orders: await getAllOrders(),
   });
-  if (!slOrder || !targetOrder) return null;
-  await monitorBracketOrders(slOrder.order_id, targetOrder.order_id);
   return {
     entryId: entryOrder.order_id,
-    slId: slOrder.order_id,
-    targetId: targetOrder.order_id,
+    slId,
+    targetId,
   };
 }
@@ -0,0 +1,219 @@
+// tradingCalendar.js
+// NSE trading calendar: regular 09:15–15:30 IST sessions with the 09:00–09:08
+// pre-open, plus holidays, special or shortened sessions and muhurat trading
+// loaded from data/nse-calendar.json and the `market_calendar` collection.
+// Everything that asks "is the market open" or "which days traded" goes
+// through here instead of assuming Monday–Friday.
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { ensureClock } from './src/backtest/clock.js';
+
+export const CALENDAR_COLLECTION = 'market_calendar';
+export const DEFAULT_CALENDAR_FILE = path.join(
+  path.dirname(fileURLToPath(import.meta.url)),
+  'data',
+  'nse-calendar.json'
+);
+
+export const REGULAR_SESSION = Object.freeze({ open: '09:15', close: '15:30' });
+export const PRE_OPEN = Object.freeze({ open: '09:00', close: '09:08' });
+const ENTRY_TYPES = ['holiday', 'session', 'muhurat'];
+const IST_OFFSET_MS = 330 * 60 * 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+const TIME_RE = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+/** IST calendar date (YYYY-MM-DD) for a timestamp, Date or date string. */
+export function istDate(value) {
+  if (typeof value === 'string' && DATE_RE.test(value)) return value;
+  const ms = value instanceof Date ? value.getTime() : Number(value);
+  return new Date(ms + IST_OFFSET_MS).toISOString().slice(0, 10);
+}
+
+function atIST(date, hhmm) {
+  return Date.parse(`${date}T${hhmm}:00+05:30`);
+}
+
+function shiftDate(date, days) {
+  return new Date(Date.parse(`${date}T00:00:00Z`) + days * DAY_MS).toISOString().slice(0, 10);
+}
+
+function sessionWindow(date, { open, close }, kind) {
+  return { kind, open, close, start: atIST(date, open), end: atIST(date, close) };
+}
+
+/**
+ * Validate one calendar entry.
+ * `holiday` closes the day, `session` replaces its sessions (special
+ * weekend sessions, half days), `muhurat` adds an evening session.
+ * @returns {string[]} errors
+ */
+export function validateCalendarEntry(entry = {}) {
+  const errors = [];
+  const label = entry.date || '?';
+  if (!DATE_RE.test(String(entry.date))) errors.push('date must be YYYY-MM-DD');
+  if (!ENTRY_TYPES.includes(entry.type)) {
+    errors.push(`${label}: type must be one of ${ENTRY_TYPES.join(', ')}`);
+  }
+  if (entry.type === 'holiday') return errors;
+  const sessions = entry.sessions || [{ open: entry.open, close: entry.close }];
+  const windows = entry.preOpen ? [...sessions, entry.preOpen] : sessions;
+  for (const s of windows) {
+    if (!TIME_RE.test(String(s?.open)) || !TIME_RE.test(String(s?.close)) || s.open >= s.close) {
+      errors.push(`${label}: sessions need HH:MM open before close`);
+      break;
+    }
+  }
+  return errors;
+}
+
+/**
+ * @param {Object} [options]
+ * @param {Object[]} [options.entries]
+ * @param {Object} [options.clock]
+ */
+export function createTradingCalendar(options = {}) {
+  const clock = ensureClock(options.clock);
+  let byDate = new Map(); // date -> entries
+
+  function setEntries(entries = []) {
+    const next = new Map();
+    for (const entry of entries) {
+      const errors = validateCalendarEntry(entry);
+      if (errors.length) {
+        console.warn(`[calendar] skipping entry: ${errors.join('; ')}`);
+        continue;
+      }
+      const list = next.get(entry.date) || [];
+      // A later source (the collection) replaces an earlier entry of the same type
+      const kept = list.filter((e) => e.type !== entry.type);
+      next.set(entry.date, [...kept, { ...entry }]);
+    }
+    byDate = next;
+    return byDate.size;
+  }
+  if (options.entries) setEntries(options.entries);
+
+  /**
+   * Sessions for one IST date.
+   * @returns {{date:string, tradingDay:boolean, holiday:string|null,
+   *   sessions:Object[], preOpen:Object|null}}
+   */
+  function getDay(value = clock.now()) {
+    const date = istDate(value);
+    const weekday = new Date(`${date}T00:00:00Z`).getUTCDay();
+    const entries = byDate.get(date) || [];
+    let sessions = weekday === 0 || weekday === 6 ? [] : [sessionWindow(date, REGULAR_SESSION, 'regular')];
+    let preOpen = sessions.length ? sessionWindow(date, PRE_OPEN, 'preOpen') : null;
+    let holiday = null;
+
+    const holidayEntry = entries.find((e) => e.type === 'holiday');
+    if (holidayEntry) {
+      sessions = [];
+      preOpen = null;
+      holiday = holidayEntry.description || 'Holiday';
+    }
+    const special = entries.find((e) => e.type === 'session');
+    if (special) {
+      const list = special.sessions || [{ open: special.open, close: special.close }];
+      sessions = list.map((s) => sessionWindow(date, s, 'special'));
+      preOpen = special.preOpen
+        ? sessionWindow(date, special.preOpen, 'preOpen')
+        : list[0].open === REGULAR_SESSION.open
+        ? sessionWindow(date, PRE_OPEN, 'preOpen')
+        : null;
+    }
+    const muhurat = entries.find((e) => e.type === 'muhurat');
+    if (muhurat) {
+      sessions.push(sessionWindow(date, muhurat, 'muhurat'));
+      if (!preOpen && muhurat.preOpen) preOpen = sessionWindow(date, muhurat.preOpen, 'preOpen');
+    }
+    sessions.sort((a, b) => a.start - b.start);
+    return { date, tradingDay: sessions.length > 0, holiday, sessions, preOpen };
+  }
+
+  function isPreOpen(at = clock.now()) {
+    const { preOpen } = getDay(at);
+    return Boolean(preOpen && at >= preOpen.start && at <= preOpen.end);
+  }
+
+  function currentSession(at = clock.now()) {
+    return getDay(at).sessions.find((s) => at >= s.start && at <= s.end) || null;
+  }
+
+  return {
+    setEntries,
+    getDay,
+    currentSession,
+    entries() {
+      return [...byDate.values()].flat().sort((a, b) => a.date.localeCompare(b.date));
+    },
+    /**
+     * Load the JSON file, then the collection on top of it.
+     * @param {Object} [opts]
+     * @param {Object} [opts.database] - Mongo handle; skipped when omitted
+     * @param {string|null} [opts.file] - null skips the file
+     * @returns {Promise<number>} number of dates with entries
+     */
+    async load({ database, file = process.env.MARKET_CALENDAR_FILE || DEFAULT_CALENDAR_FILE } = {}) {
+      let fromFile = [];
+      if (file) {
+        try {
+          fromFile = JSON.parse(await fs.readFile(file, 'utf8'));
+        } catch (err) {
+          console.warn(`[calendar] could not read ${file}: ${err.message}`);
+        }
+      }
+      const fromDb = database
+        ? await database.collection(CALENDAR_COLLECTION).find({}, { projection: { _id: 0 } }).toArray()
+        : [];
+      return setEntries([...fromFile, ...fromDb]);
+    },
+    isTradingDay(value = clock.now()) {
+      return getDay(value).tradingDay;
+    },
+    /**
+     * @param {number} [at=clock.now()]
+     * @param {Object} [opts]
+     * @param {boolean} [opts.includePreOpen=false] - Count the pre-open call auction as open
+     */
+    isMarketOpen(at = clock.now(), { includePreOpen = false } = {}) {
+      return Boolean(currentSession(at)) || (includePreOpen && isPreOpen(at));
+    },
+    isPreOpen,
+    /** Start of the next session strictly after `at`, or null within 30 days. */
+    nextSessionStart(at = clock.now()) {
+      let date = istDate(at);
+      for (let i = 0; i < 30; i += 1, date = shiftDate(date, 1)) {
+        const next = getDay(date).sessions.find((s) => s.start > at);
+        if (next) return next.start;
+      }
+      return null;
+    },
+    /**
+     * Cap a timestamp at the end of the session in progress (or the day's
+     * next session) so nothing outlives the close.
+     */
+    clampToSessionEnd(ms, at = clock.now()) {
+      const session =
+        currentSession(at) || getDay(at).sessions.find((s) => s.start > at) || null;
+      return session ? Math.min(ms, session.end) : ms;
+    },
+    /**
+     * The `count` trading days before `refDate`'s IST date, oldest first.
+     * @returns {string[]} YYYY-MM-DD dates
+     */
+    pastTradingDates(refDate = clock.now(), count = 1) {
+      const dates = [];
+      let date = istDate(refDate instanceof Date ? refDate.getTime() : refDate);
+      for (let guard = 0; dates.length < count && guard < 3660; guard += 1) {
+        date = shiftDate(date, -1);
+        if (getDay(date).tradingDay) dates.push(date);
+      }
+      return dates.reverse();
+    },
+  };
+}
+
+export const tradingCalendar = createTradingCalendar();
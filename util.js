@@ -65,6 +65,10 @@ export function sanitizeCandles(candles = []) {
   return cleaned;
 }
 
+// Bare upper-case tradingsymbol: ticks are keyed "NSE:INFY", orders "INFY"
+export const symbolKey = (symbol) =>
+  String(symbol || "").split(":").pop().trim().toUpperCase();
+
 export const toSpreadPct = (spread, price) =>
   Number.isFinite(spread) && Number.isFinite(price) && price > 0
     ? (spread / price) * 100
@@ -219,6 +223,43 @@ export async function getMAForSymbol(symbolOrToken, period) {
 // Alias for clarity when callers provide a token id
 export const getMAForToken = getMAForSymbol;
 
+// Minimal RFC 4180 reader for admin CSV imports (sector map, events):
+// quoted cells, doubled quotes, blank lines skipped. Keys are the
+// lower-cased header names.
+export function parseCsv(text = "") {
+  const splitLine = (line) => {
+    const cells = [];
+    let cell = "";
+    let quoted = false;
+    for (let i = 0; i < line.length; i += 1) {
+      const ch = line[i];
+      if (quoted) {
+        if (ch === '"' && line[i + 1] === '"') {
+          cell += '"';
+          i += 1;
+        } else if (ch === '"') quoted = false;
+        else cell += ch;
+      } else if (ch === '"') quoted = true;
+      else if (ch === ",") {
+        cells.push(cell.trim());
+        cell = "";
+      } else cell += ch;
+    }
+    cells.push(cell.trim());
+    return cells;
+  };
+  const lines = String(text)
+    .split(/\r?\n/)
+    .filter((l) => l.trim());
+  if (!lines.length) return { header: [], rows: [] };
+  const header = splitLine(lines[0]).map((h) => h.toLowerCase());
+  const rows = lines.slice(1).map((line) => {
+    const cells = splitLine(line);
+    return Object.fromEntries(header.map((h, i) => [h, cells[i] ?? ""]));
+  });
+  return { header, rows };
+}
+
 export function toISTISOString(date = new Date()) {
   return dayjs(date).tz("Asia/Kolkata").format();
 }
@@ -2007,12 +2048,14 @@ export function aggregateCandlesByTime(candles = [], timeframeMs) {
   return buckets;
 }
 
+// `opts.higherCandles`: ready-made 5m bars (e.g. from the timeframe engine);
+// without them the 1m candles are resampled here.
 export function patternConfluenceAcrossTimeframes(
   candles = [],
   patternType,
   opts = {}
 ) {
-  const { vwapMode = "rolling", vwapWindow = 20 } = opts;
+  const { vwapMode = "rolling", vwapWindow = 20, higherCandles } = opts;
   if (!Array.isArray(candles) || candles.length < 10) return false;
   const clean = sanitizeCandles(candles);
   if (clean.length < 10) return false;
@@ -2023,7 +2066,9 @@ export function patternConfluenceAcrossTimeframes(
   });
   if (!lowerPatterns.find((p) => p.type === patternType)) return false;
   const agg5 =
-    clean.some((c) => Number.isFinite(c.ts))
+    Array.isArray(higherCandles) && higherCandles.length >= 10
+      ? sanitizeCandles(higherCandles)
+      : clean.some((c) => Number.isFinite(c.ts))
       ? aggregateCandlesByTime(clean, 5 * 60 * 1000)
       : aggregateCandles(clean, 5);
   const atrAgg = getATR(agg5, 14) || atrLo;